@@ -158,6 +158,12 @@ const securityConfig = {
     enabled: true,
     requiredForSensitiveOperations: true,
     backupCodes: 10,
+    // Wrong codes allowed before the login challenge is revoked and 2FA sign-in is locked
+    maxFailedAttempts: 5,
+    lockoutMinutes: 15,
+    // Force every admin account through TOTP at login (individual admins can
+    // also be forced via Admin.require2FA)
+    requiredForAdmins: process.env.ADMIN_REQUIRE_2FA === 'true',
   },
 
   // Request validation
@@ -10,7 +10,8 @@ const Admin = require('../models/Admin');
 const Session = require('../models/Session');
 const KycVerification = require('../models/KycVerification');
 const jwt = require('jsonwebtoken');
-const razorpayService = require('../services/razorpay.service');
+const PaymentGatewayService = require('../services/paymentGateway.service');
+const LedgerService = require('../services/ledger.service');
 
 // Dashboard Stats
 const getDashboardStats = async (req, res) => {
@@ -204,6 +205,9 @@ const getPlatformFeeHistory = async (req, res) => {
       id: config._id,
       platformFeeRate: config.platformFeeRate,
       platformFeePercentage: (config.platformFeeRate * 100).toFixed(1),
+      scope: PricingConfig.normalizeScope(config.scope),
+      scopeKey: config.scopeKey || 'global',
+      status: PricingConfig.getStatus(config),
       isActive: config.isActive,
       effectiveFrom: config.effectiveFrom,
       effectiveTo: config.effectiveTo,
@@ -383,7 +387,7 @@ const getUser = async (req, res) => {
 const updateUser = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { name, email, phone, role, isVerified } = req.body;
+    const { name, email, phone, role, isVerified, segments } = req.body;
 
     const user = await User.findById(userId);
     if (!user) {
@@ -399,6 +403,7 @@ const updateUser = async (req, res) => {
     if (phone) user.phone = phone;
     if (role) user.role = role;
     if (typeof isVerified === 'boolean') user.isVerified = isVerified;
+    if (Array.isArray(segments)) user.segments = segments.filter(segment => typeof segment === 'string' && segment.trim());
 
     user.updatedBy = req.user._id;
     user.updatedAt = new Date();
@@ -418,6 +423,7 @@ const updateUser = async (req, res) => {
           phone: user.phone,
           role: user.role,
           isVerified: user.isVerified,
+          segments: user.segments,
           updatedAt: user.updatedAt
         }
       }
@@ -1057,10 +1063,10 @@ const refundBooking = async (req, res) => {
     }
 
     // ❌ Payment missing
-    if (!booking.payment || !booking.payment.razorpayPaymentId) {
+    if (!PaymentGatewayService.canRefundThroughGateway(booking.payment)) {
       return res.status(400).json({
         success: false,
-        message: 'Razorpay payment not found for this booking'
+        message: 'Gateway payment not found for this booking'
       });
     }
 
@@ -1082,10 +1088,10 @@ const refundBooking = async (req, res) => {
     }
 
     // ============================
-    // 🔁 RAZORPAY REFUND (SERVICE)
+    // 🔁 GATEWAY REFUND (SERVICE)
     // ============================
-    const refund = await razorpayService.createRefund(
-      booking.payment.razorpayPaymentId,
+    const refund = await PaymentGatewayService.refundPayment(
+      booking.payment,
       finalRefundAmount,
       reason,
       {
@@ -1105,11 +1111,12 @@ const refundBooking = async (req, res) => {
 
     booking.payment.refundAmount = finalRefundAmount;
     booking.payment.refundReason = reason;
-    booking.payment.razorpayRefundId = refund.refundId;
+    booking.payment.gatewayRefundId = refund.refundId;
     booking.payment.refundedBy = req.user._id;
     booking.payment.refundedAt = new Date();
 
     await booking.payment.save();
+    await LedgerService.queueGatewayRefund(booking.payment._id, refund.refundId, finalRefundAmount);
 
     // ============================
     // ✅ UPDATE BOOKING
@@ -1125,7 +1132,7 @@ const refundBooking = async (req, res) => {
     await booking.save();
 
     console.log(
-      `✅ Refund success | Booking ${booking._id} | Razorpay Refund ${refund.refundId}`
+      `✅ Refund success | Booking ${booking._id} | ${refund.provider} Refund ${refund.refundId}`
     );
 
     return res.status(200).json({
@@ -1134,7 +1141,8 @@ const refundBooking = async (req, res) => {
       data: {
         bookingId: booking._id,
         refundAmount: finalRefundAmount,
-        razorpayRefundId: refund.refundId,
+        gateway: refund.provider,
+        gatewayRefundId: refund.refundId,
         refundStatus: refund.status
       }
     });
@@ -2257,6 +2265,58 @@ const getPaymentAuditDetails = async (req, res) => {
   }
 };
 
+// @desc    Force (or stop forcing) 2FA for an admin account
+// @route   PUT /api/admin/admins/:adminId/require-2fa
+// @access  Private (Super admin only)
+const setAdminTwoFactorRequirement = async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const { required } = req.body;
+
+    if (req.user.role !== 'super-admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only super admins can change 2FA policy'
+      });
+    }
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'required must be a boolean'
+      });
+    }
+
+    const admin = await Admin.findByIdAndUpdate(
+      adminId,
+      { require2FA: required },
+      { new: true }
+    ).select('name email role require2FA twoFactorEnabled');
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: required
+        ? '2FA is now required for this admin at next sign in'
+        : '2FA is no longer required for this admin',
+      data: { admin }
+    });
+  } catch (error) {
+    console.error('Error updating admin 2FA requirement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating admin 2FA requirement',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Register admin
 // @route   POST /api/admin/signup
 // @access  Public
@@ -2346,6 +2406,7 @@ const adminSignup = async (req, res) => {
 module.exports = {
   // Authentication
   adminSignup,
+  setAdminTwoFactorRequirement,
 
   // Dashboard
   getDashboardStats,
@@ -2,7 +2,18 @@ const User = require('../models/User');
 const Admin = require('../models/Admin');
 const VerificationToken = require('../models/VerificationToken');
 const Session = require('../models/Session');
-const { generateToken } = require('../utils/generateToken');
+const ReferralService = require('../services/referral.service');
+const { generateToken, generate2FAToken, verifyJWTToken } = require('../utils/generateToken');
+const {
+  generateTOTPSecret,
+  verifyTOTP,
+  buildOtpAuthUri,
+  generateBackupCodes,
+  hashBackupCode,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+const { securityConfig } = require('../config/security.config');
 const { sendEmail, sendWelcomeEmail, sendPasswordResetEmail } = require('../utils/sendEmail');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
@@ -18,6 +29,278 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
   });
 }
 
+// ========================================
+// Two-factor authentication helpers
+// ========================================
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastUsedStep';
+const CHALLENGE_FIELDS = '+twoFactorChallengeId +twoFactorFailedAttempts';
+
+// Admins can be forced into 2FA globally (ADMIN_REQUIRE_2FA) or individually (require2FA)
+const adminRequires2FA = (admin) => {
+  return !!(admin.require2FA || securityConfig.twoFactor.requiredForAdmins);
+};
+
+const createLoginSession = (req, accountId, token) => {
+  return Session.create({
+    user: accountId,
+    token,
+    userAgent: req.headers['user-agent'] || 'unknown',
+    ipAddress: req.ip || req.connection?.remoteAddress || 'unknown',
+    deviceHash: ReferralService.getDeviceHash(req),
+    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+  });
+};
+
+// Link a new account to the referral code it signed up with (never fails the signup)
+const attributeReferral = (req, user, method) => {
+  return ReferralService.attributeSignup(user, {
+    referralCode: req.body.referralCode,
+    deviceHash: ReferralService.getDeviceHash(req),
+    ipAddress: req.ip || req.connection?.remoteAddress,
+    userAgent: req.headers['user-agent'],
+    method
+  });
+};
+
+// Issue the real access token for a user and respond
+const sendUserLoginResponse = async (req, res, user, message, extra = {}) => {
+  const token = user.generateAuthToken();
+  await createLoginSession(req, user._id, token);
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isVerified: user.isVerified,
+        profileImage: user.profileImage,
+        twoFactorEnabled: !!user.twoFactorEnabled
+      },
+      token,
+      ...extra
+    }
+  });
+};
+
+// Issue the real access token for an admin and respond
+const sendAdminLoginResponse = async (req, res, admin, message, extra = {}) => {
+  const token = jwt.sign(
+    {
+      id: admin._id,
+      email: admin.email,
+      role: 'admin',
+      name: admin.name
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '7d' }
+  );
+
+  await createLoginSession(req, admin._id, token);
+
+  // Remove password from response
+  const adminData = {
+    _id: admin._id,
+    name: admin.name,
+    email: admin.email,
+    role: 'admin',
+    isActive: admin.isActive,
+    lastLogin: admin.lastLogin,
+    createdAt: admin.createdAt,
+    twoFactorEnabled: !!admin.twoFactorEnabled
+  };
+
+  // Update last login
+  await Admin.updateOne({ _id: admin._id }, { $set: { lastLogin: new Date() } });
+
+  console.log(`✅ Admin login successful: ${admin.email}`);
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      admin: adminData,
+      token,
+      ...extra
+    }
+  });
+};
+
+const isTwoFactorLocked = (account) => !!(account.twoFactorLockedUntil && account.twoFactorLockedUntil > new Date());
+
+const sendTwoFactorLocked = (res, account) => {
+  return res.status(429).json({
+    success: false,
+    message: 'Too many invalid 2FA codes. Please try again later.',
+    data: { lockedUntil: account.twoFactorLockedUntil }
+  });
+};
+
+// Respond with a short-lived challenge instead of an access token. Only the
+// latest challenge of an account can be completed.
+const sendTwoFactorChallenge = async (res, accountId, accountType, purpose = 'login') => {
+  const Model = accountType === 'admin' ? Admin : User;
+  const account = await Model.findById(accountId).select('twoFactorLockedUntil');
+  if (account && isTwoFactorLocked(account)) {
+    return sendTwoFactorLocked(res, account);
+  }
+
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  await Model.updateOne({ _id: accountId }, { $set: { twoFactorChallengeId: challengeId } });
+  const challengeToken = generate2FAToken(accountId.toString(), { accountType, purpose, challengeId });
+
+  res.status(200).json({
+    success: true,
+    message: purpose === 'enroll'
+      ? 'Two-factor authentication must be set up before you can sign in'
+      : 'Two-factor authentication required',
+    data: {
+      twoFactorRequired: purpose === 'login',
+      twoFactorSetupRequired: purpose === 'enroll',
+      challengeToken
+    }
+  });
+};
+
+// Use up one attempt on a challenge before the code is checked, so parallel
+// guesses count too. Returns the attempt number, or null when the challenge is
+// no longer valid or out of attempts.
+const claimChallengeAttempt = async (Model, accountId, challengeId) => {
+  const account = await Model.findOneAndUpdate(
+    {
+      _id: accountId,
+      twoFactorChallengeId: challengeId,
+      twoFactorFailedAttempts: { $not: { $gte: securityConfig.twoFactor.maxFailedAttempts } }
+    },
+    { $inc: { twoFactorFailedAttempts: 1 } },
+    { new: true }
+  ).select('+twoFactorFailedAttempts');
+  return account ? account.twoFactorFailedAttempts : null;
+};
+
+// A wrong code: revoke the challenge and lock 2FA sign-in once attempts run out
+const recordFailedChallengeAttempt = async (Model, account, attempt) => {
+  const { maxFailedAttempts, lockoutMinutes } = securityConfig.twoFactor;
+  if (attempt < maxFailedAttempts) {
+    return { attemptsRemaining: maxFailedAttempts - attempt };
+  }
+
+  const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+  await Model.updateOne(
+    { _id: account._id },
+    { $set: { twoFactorLockedUntil: lockedUntil, twoFactorFailedAttempts: 0 }, $unset: { twoFactorChallengeId: 1 } }
+  );
+  console.warn(`🔒 2FA sign-in locked until ${lockedUntil.toISOString()} after ${attempt} invalid codes: ${account.email}`);
+  return { lockedUntil };
+};
+
+// Check the code of a signed-in 2FA action (verify, disable, new backup codes)
+// against the same failure counter and lockout as sign-in. Answers locked
+// accounts and wrong codes itself; returns true when the action can go ahead.
+const checkAccountCode = async (res, Model, account, isValidCode) => {
+  if (isTwoFactorLocked(account)) {
+    sendTwoFactorLocked(res, account);
+    return false;
+  }
+
+  const claimed = await Model.findOneAndUpdate(
+    { _id: account._id, twoFactorFailedAttempts: { $not: { $gte: securityConfig.twoFactor.maxFailedAttempts } } },
+    { $inc: { twoFactorFailedAttempts: 1 } },
+    { new: true }
+  ).select('+twoFactorFailedAttempts');
+  if (!claimed) {
+    sendTwoFactorLocked(res, account);
+    return false;
+  }
+
+  if (await isValidCode()) {
+    await Model.updateOne({ _id: account._id }, { $set: { twoFactorFailedAttempts: 0 } });
+    return true;
+  }
+
+  const { attemptsRemaining, lockedUntil } = await recordFailedChallengeAttempt(Model, account, claimed.twoFactorFailedAttempts);
+  if (lockedUntil) {
+    sendTwoFactorLocked(res, { twoFactorLockedUntil: lockedUntil });
+  } else {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid 2FA code',
+      data: { attemptsRemaining }
+    });
+  }
+  return false;
+};
+
+// Decode a challenge token issued by sendTwoFactorChallenge
+const decodeChallengeToken = (challengeToken) => {
+  if (!challengeToken) return null;
+  try {
+    const decoded = verifyJWTToken(challengeToken);
+    return decoded.type === '2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Hash and persist a fresh set of backup codes; returns the plain codes (shown once)
+const issueBackupCodes = async (Model, accountId) => {
+  const codes = generateBackupCodes(securityConfig.twoFactor.backupCodes);
+  await Model.updateOne(
+    { _id: accountId },
+    { $set: { twoFactorBackupCodes: codes.map(code => ({ codeHash: hashBackupCode(code) })) } }
+  );
+  return codes;
+};
+
+// Atomically accept a TOTP code: a code's time step can only be used once
+const consumeTOTPCode = async (Model, account, encryptedSecret, code) => {
+  const step = verifyTOTP(decryptSecret(encryptedSecret), code, {
+    lastUsedStep: account.twoFactorLastUsedStep ?? null
+  });
+  if (step === null) return false;
+
+  const result = await Model.updateOne(
+    {
+      _id: account._id,
+      $or: [
+        { twoFactorLastUsedStep: { $exists: false } },
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { $lt: step } }
+      ]
+    },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Atomically mark a backup code as used
+const consumeBackupCode = async (Model, account, backupCode) => {
+  const result = await Model.updateOne(
+    {
+      _id: account._id,
+      twoFactorBackupCodes: { $elemMatch: { codeHash: hashBackupCode(backupCode), usedAt: null } }
+    },
+    { $set: { 'twoFactorBackupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Verify the second factor of an enrolled account (TOTP code or backup code)
+const verifySecondFactor = async (Model, account, { code, backupCode }) => {
+  if (!account.twoFactorEnabled || !account.twoFactorSecret) return false;
+  if (code) {
+    return consumeTOTPCode(Model, account, account.twoFactorSecret, code);
+  }
+  if (backupCode) {
+    return consumeBackupCode(Model, account, backupCode);
+  }
+  return false;
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -49,6 +332,8 @@ const registerUser = async (req, res) => {
       role
     });
 
+    const referral = await attributeReferral(req, user, 'email');
+
     // Generate verification token
     const verificationToken = crypto.randomBytes(32).toString('hex');
     await VerificationToken.create({
@@ -93,7 +378,8 @@ const registerUser = async (req, res) => {
           role: user.role,
           isVerified: user.isVerified
         },
-        token
+        token,
+        referral
       }
     });
   } catch (error) {
@@ -181,33 +467,12 @@ const loginUser = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = user.generateAuthToken();
-
-    // Create session
-    await Session.create({
-      user: user._id,
-      token,
-      userAgent: req.headers['user-agent'] || 'unknown',
-      ipAddress: req.ip || req.connection?.remoteAddress || 'unknown',
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-    });
+    // Second step: exchange the challenge token at /api/auth/2fa/login
+    if (user.twoFactorEnabled) {
+      return await sendTwoFactorChallenge(res, user._id, 'user');
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          isVerified: user.isVerified,
-          profileImage: user.profileImage
-        },
-        token
-      }
-    });
+    await sendUserLoginResponse(req, res, user, 'Login successful');
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -473,6 +738,7 @@ const socialLogin = async (req, res) => {
   try {
     const { provider, token } = req.body;
     let user = null;
+    let referral;
 
     if (provider === 'google') {
       try {
@@ -546,6 +812,7 @@ const socialLogin = async (req, res) => {
           });
           
           console.log('Google user created successfully:', user.email);
+          referral = await attributeReferral(req, user, 'google');
         } else {
           // Update existing user's Google ID if not set
           if (!user.socialLogins?.googleId) {
@@ -613,33 +880,11 @@ const socialLogin = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const jwtToken = user.generateAuthToken();
-
-    // Create session
-    await Session.create({
-      user: user._id,
-      token: jwtToken,
-      userAgent: req.headers['user-agent'] || 'unknown',
-      ipAddress: req.ip || req.connection?.remoteAddress || 'unknown',
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
-    });
+    if (user.twoFactorEnabled) {
+      return await sendTwoFactorChallenge(res, user._id, 'user');
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Google login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          isVerified: user.isVerified,
-          profileImage: user.profileImage
-        },
-        token: jwtToken
-      }
-    });
+    await sendUserLoginResponse(req, res, user, 'Google login successful', referral ? { referral } : {});
   } catch (error) {
     console.error('Social login error:', error);
     res.status(500).json({
@@ -808,15 +1053,34 @@ const reactivateAccount = async (req, res) => {
   }
 };
 
-// @desc    Enable 2FA
+// @desc    Start 2FA enrollment (generates a secret to scan into an authenticator app)
 // @route   POST /api/auth/2fa/enable
 // @access  Private
 const enable2FA = async (req, res) => {
   try {
-    // TODO: Implement 2FA logic
+    const Model = req.isAdmin ? Admin : User;
+    const account = await Model.findById(req.user._id);
+
+    if (account.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: '2FA is already enabled'
+      });
+    }
+
+    const secret = generateTOTPSecret();
+    await Model.updateOne(
+      { _id: account._id },
+      { $set: { twoFactorPendingSecret: encryptSecret(secret) } }
+    );
+
     res.status(200).json({
       success: true,
-      message: '2FA enabled successfully'
+      message: 'Scan the QR code with your authenticator app, then confirm with a code at /api/auth/2fa/verify',
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUri(secret, account.email)
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -827,12 +1091,47 @@ const enable2FA = async (req, res) => {
   }
 };
 
-// @desc    Disable 2FA
+// @desc    Disable 2FA (requires a current TOTP code or a backup code)
 // @route   POST /api/auth/2fa/disable
 // @access  Private
 const disable2FA = async (req, res) => {
   try {
-    // TODO: Implement 2FA logic
+    const { code, backupCode } = req.body;
+    const Model = req.isAdmin ? Admin : User;
+    const account = await Model.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!account.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: '2FA is not enabled'
+      });
+    }
+
+    if (req.isAdmin && adminRequires2FA(account)) {
+      return res.status(403).json({
+        success: false,
+        message: '2FA is required for this admin account by policy and cannot be disabled'
+      });
+    }
+
+    if (!(await checkAccountCode(res, Model, account, () => verifySecondFactor(Model, account, { code, backupCode })))) {
+      return;
+    }
+
+    await Model.updateOne(
+      { _id: account._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: {
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorBackupCodes: 1,
+          twoFactorLastUsedStep: 1,
+          twoFactorEnabledAt: 1
+        }
+      }
+    );
+
     res.status(200).json({
       success: true,
       message: '2FA disabled successfully'
@@ -846,12 +1145,52 @@ const disable2FA = async (req, res) => {
   }
 };
 
-// @desc    Verify 2FA
+// @desc    Verify 2FA code (confirms a pending enrollment, or checks a code once enabled)
 // @route   POST /api/auth/2fa/verify
 // @access  Private
 const verify2FA = async (req, res) => {
   try {
-    // TODO: Implement 2FA logic
+    const { code } = req.body;
+    const Model = req.isAdmin ? Admin : User;
+    const account = await Model.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    // Confirming enrollment started with /2fa/enable
+    if (!account.twoFactorEnabled) {
+      if (!account.twoFactorPendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'No 2FA enrollment in progress. Call /api/auth/2fa/enable first.'
+        });
+      }
+
+      if (!(await checkAccountCode(res, Model, account, () => consumeTOTPCode(Model, account, account.twoFactorPendingSecret, code)))) {
+        return;
+      }
+
+      await Model.updateOne(
+        { _id: account._id },
+        {
+          $set: {
+            twoFactorEnabled: true,
+            twoFactorEnabledAt: new Date(),
+            twoFactorSecret: account.twoFactorPendingSecret
+          },
+          $unset: { twoFactorPendingSecret: 1 }
+        }
+      );
+      const backupCodes = await issueBackupCodes(Model, account._id);
+
+      return res.status(200).json({
+        success: true,
+        message: '2FA enabled successfully. Store these backup codes somewhere safe; they will not be shown again.',
+        data: { backupCodes }
+      });
+    }
+
+    if (!(await checkAccountCode(res, Model, account, () => verifySecondFactor(Model, account, { code })))) {
+      return;
+    }
+
     res.status(200).json({
       success: true,
       message: '2FA verified successfully'
@@ -865,6 +1204,221 @@ const verify2FA = async (req, res) => {
   }
 };
 
+// @desc    Regenerate backup codes (invalidates the previous set)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const Model = req.isAdmin ? Admin : User;
+    const account = await Model.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!(await checkAccountCode(res, Model, account, () => verifySecondFactor(Model, account, { code })))) {
+      return;
+    }
+
+    const backupCodes = await issueBackupCodes(Model, account._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error generating backup codes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get 2FA status
+// @route   GET /api/auth/2fa/status
+// @access  Private
+const get2FAStatus = async (req, res) => {
+  try {
+    const Model = req.isAdmin ? Admin : User;
+    const account = await Model.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!account.twoFactorEnabled,
+        enabledAt: account.twoFactorEnabledAt || null,
+        enrollmentPending: !account.twoFactorEnabled && !!account.twoFactorPendingSecret,
+        backupCodesRemaining: (account.twoFactorBackupCodes || []).filter(c => !c.usedAt).length,
+        requiredByPolicy: req.isAdmin ? adminRequires2FA(account) : false
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching 2FA status',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start forced 2FA enrollment during login (admins required by policy)
+// @route   POST /api/auth/2fa/setup, POST /api/admin/login/2fa/setup
+// @access  Public (requires enroll challenge token)
+const setupTwoFactorLogin = async (req, res) => {
+  try {
+    const challenge = decodeChallengeToken(req.body.challengeToken);
+    if (!challenge || challenge.purpose !== 'enroll') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const Model = challenge.accountType === 'admin' ? Admin : User;
+    const account = await Model.findById(challenge.userId).select(CHALLENGE_FIELDS);
+    if (account && account.twoFactorChallengeId !== challenge.challengeId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+    if (!account || account.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: '2FA enrollment is not available for this account'
+      });
+    }
+
+    const secret = generateTOTPSecret();
+    await Model.updateOne(
+      { _id: account._id },
+      { $set: { twoFactorPendingSecret: encryptSecret(secret) } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then submit a code to complete sign in',
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUri(secret, account.email)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error starting 2FA setup',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Second login step: exchange challenge token + code for an access token
+// @route   POST /api/auth/2fa/login, POST /api/admin/login/2fa
+// @access  Public (requires challenge token)
+const completeTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    const challenge = decodeChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token. Please sign in again.'
+      });
+    }
+
+    if (!code && !backupCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'A 2FA code or backup code is required'
+      });
+    }
+
+    const isAdminChallenge = challenge.accountType === 'admin';
+    const Model = isAdminChallenge ? Admin : User;
+    const account = await Model.findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+
+    if (!account || (isAdminChallenge ? !account.isActive : account.accountStatus !== 'active')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not active'
+      });
+    }
+
+    if (isTwoFactorLocked(account)) {
+      return sendTwoFactorLocked(res, account);
+    }
+    const attempt = await claimChallengeAttempt(Model, account._id, challenge.challengeId);
+    if (attempt === null) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token. Please sign in again.'
+      });
+    }
+    const rejectCode = async () => {
+      const { attemptsRemaining, lockedUntil } = await recordFailedChallengeAttempt(Model, account, attempt);
+      if (lockedUntil) {
+        return sendTwoFactorLocked(res, { twoFactorLockedUntil: lockedUntil });
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid 2FA code',
+        data: { attemptsRemaining }
+      });
+    };
+
+    let backupCodes;
+    if (challenge.purpose === 'enroll') {
+      // Completing a forced enrollment: code must match the pending secret
+      if (!account.twoFactorPendingSecret || !code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start 2FA setup first and submit a code from your authenticator app'
+        });
+      }
+      const confirmed = await consumeTOTPCode(Model, account, account.twoFactorPendingSecret, code);
+      if (!confirmed) {
+        return rejectCode();
+      }
+      await Model.updateOne(
+        { _id: account._id },
+        {
+          $set: {
+            twoFactorEnabled: true,
+            twoFactorEnabledAt: new Date(),
+            twoFactorSecret: account.twoFactorPendingSecret
+          },
+          $unset: { twoFactorPendingSecret: 1 }
+        }
+      );
+      account.twoFactorEnabled = true;
+      backupCodes = await issueBackupCodes(Model, account._id);
+    } else {
+      const verified = await verifySecondFactor(Model, account, { code, backupCode });
+      if (!verified) {
+        return rejectCode();
+      }
+    }
+
+    // The challenge is single-use
+    await Model.updateOne(
+      { _id: account._id },
+      { $set: { twoFactorFailedAttempts: 0 }, $unset: { twoFactorChallengeId: 1, twoFactorLockedUntil: 1 } }
+    );
+
+    const extra = backupCodes ? { backupCodes } : {};
+    if (isAdminChallenge) {
+      return sendAdminLoginResponse(req, res, account, 'Admin login successful', extra);
+    }
+    await sendUserLoginResponse(req, res, account, 'Login successful', extra);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error completing 2FA login',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get active sessions
 // @route   GET /api/auth/sessions
 // @access  Private
@@ -971,52 +1525,17 @@ const adminLogin = async (req, res) => {
       });
     }
 
-    // Generate JWT token for admin
-    const token = jwt.sign(
-      { 
-        id: admin._id, 
-        email: admin.email, 
-        role: 'admin',
-        name: admin.name
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    // Create session
-    await Session.create({
-      user: admin._id,
-      token,
-      userAgent: req.headers['user-agent'] || 'unknown',
-      ipAddress: req.ip || req.connection?.remoteAddress || 'unknown',
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-    });
-
-    // Remove password from response
-    const adminData = {
-      _id: admin._id,
-      name: admin.name,
-      email: admin.email,
-      role: 'admin',
-      isActive: admin.isActive,
-      lastLogin: admin.lastLogin,
-      createdAt: admin.createdAt
-    };
-
-    // Update last login
-    admin.lastLogin = new Date();
-    await admin.save();
+    // Second step: exchange the challenge token at /api/admin/login/2fa
+    if (admin.twoFactorEnabled) {
+      return await sendTwoFactorChallenge(res, admin._id, 'admin');
+    }
 
-    console.log(`✅ Admin login successful: ${admin.email}`);
+    // Policy requires 2FA but the admin hasn't enrolled yet: enroll before access
+    if (adminRequires2FA(admin)) {
+      return await sendTwoFactorChallenge(res, admin._id, 'admin', 'enroll');
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Admin login successful',
-      data: {
-        admin: adminData,
-        token
-      }
-    });
+    await sendAdminLoginResponse(req, res, admin, 'Admin login successful');
 
   } catch (error) {
     console.error('Admin login error:', error);
@@ -1047,6 +1566,10 @@ module.exports = {
   enable2FA,
   disable2FA,
   verify2FA,
+  regenerateBackupCodes,
+  get2FAStatus,
+  setupTwoFactorLogin,
+  completeTwoFactorLogin,
   getActiveSessions,
   terminateSession,
   validateResetToken
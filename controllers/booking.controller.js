@@ -3,9 +3,8 @@ const Property = require('../models/Property');
 const Service = require('../models/Service');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
-const Coupon = require('../models/Coupon');
 const Availability = require('../models/Availability');
-const razorpayService = require('../services/razorpay.service');
+const PaymentGatewayService = require('../services/paymentGateway.service');
 const { calculatePricingBreakdown, calculateTotalHours, calculateCheckoutTime, calculateNextAvailableTime, validate24HourBooking, calculateHourlyExtension, toTwoDecimals } = require('../utils/pricingUtils');
 const { calculateExtendedCheckout, getAdditionalDatesForExtension } = require('../config/pricing.config');
 const AvailabilityService = require('../services/availability.service');
@@ -18,6 +17,16 @@ const AvailabilityEventService = require('../services/availabilityEvent.service'
 
 const Notification = require('../models/Notification');
 const RefundService = require('../services/refundService');
+const BookingRequestService = require('../services/bookingRequest.service');
+const CurrencyService = require('../services/currency.service');
+const InvoiceService = require('../services/invoice.service');
+const LedgerService = require('../services/ledger.service');
+const PayoutService = require('../services/payout.service');
+const PaymentPlanService = require('../services/paymentPlan.service');
+const WalletService = require('../services/wallet.service');
+const DamageClaimService = require('../services/damageClaim.service');
+const CouponEligibilityService = require('../services/couponEligibility.service');
+const HostPromotionService = require('../services/hostPromotion.service');
 const {
   sendBookingConfirmationEmail,
   sendBookingCancellationEmail,
@@ -204,6 +213,11 @@ const preValidateBooking = async (req, res) => {
       .update(tokenPayload)
       .digest('hex');
 
+    // Let the client show "confirmed immediately" vs "request to book" before payment
+    const instantBook = listing
+      ? await BookingRequestService.checkInstantBookEligibility(listing, req.user._id)
+      : { eligible: false, reason: null };
+
     console.log(`✅ Pre-validation passed for user ${req.user._id} | property ${actualListingId}`);
 
     return res.status(200).json({
@@ -214,6 +228,9 @@ const preValidateBooking = async (req, res) => {
         expiresAt: new Date(Date.now() + 20 * 60 * 1000).toISOString(), // 20 minutes
         bookingDuration: bookingDuration || 'daily',
         is24HourBooking,
+        instantBook: instantBook.eligible,
+        instantBookReason: instantBook.reason,
+        responseHours: instantBook.eligible ? null : BookingRequestService.getResponseHours(listing || service),
       },
     });
   } catch (error) {
@@ -255,11 +272,19 @@ const processPaymentAndCreateBooking = async (req, res) => {
       extensionHours,
       bookingDuration,
       // Late check-in flag: use basePrice24Hour per night even for daily multi-night bookings
-      isLateCheckIn
+      isLateCheckIn,
+      // Currency the guest was quoted in (defaults to their preferred currency)
+      guestCurrency,
+      // 'deposit' pays the listing's payment plan deposit now and the balance later
+      paymentOption,
+      // Wallet balance to spend; the gateway is charged the rest
+      walletAmount
     } = req.body;
 
     // Generate idempotency key if not provided
     const finalIdempotencyKey = idempotencyKey || require('crypto').randomUUID();
+    // Gateway proof of payment ({ provider, orderId, paymentId, signature })
+    const checkoutProof = PaymentGatewayService.getCheckoutProof(paymentData);
     let bookingDoc;
     let paymentDoc;
     let bookingCheckInDateTime;
@@ -268,6 +293,7 @@ const processPaymentAndCreateBooking = async (req, res) => {
     let nextAvailableTime;
     let hostBufferTime;
     let amount
+    let paymentPlanOffer = null;
 
     // Decide 24-hour flow strictly via bookingDuration flag to avoid misclassification when checkInDateTime is sent for daily bookings
     let is24HourBooking = bookingDuration === '24hour';
@@ -384,9 +410,9 @@ const processPaymentAndCreateBooking = async (req, res) => {
 
       }
 
-      // Verify payment amount if provided (skip for Razorpay - we verify signature instead)
-      if (paymentData && !paymentData.razorpayOrderId) {
-        // Only verify amount for non-Razorpay payments
+      // Verify payment amount if provided (skip for gateway payments - we verify them with the gateway instead)
+      if (paymentData && !checkoutProof) {
+        // Only verify amount when there is no gateway proof
         const amountVerification = require('../utils/paymentSecurity').verifyPaymentAmount(paymentData, {
           basePrice: listing?.pricing?.basePrice || service?.pricing?.basePrice || 0,
           nights: bookingType === 'property' ?
@@ -417,8 +443,6 @@ const processPaymentAndCreateBooking = async (req, res) => {
           //   actualAmount: amountVerification.actualAmount
           // });
         }
-      } else if (paymentData && paymentData.razorpayOrderId) {
-        // For Razorpay, we verify signature instead of amount (amount verification happens via Razorpay API)
       }
 
       // Determine if this is a 24-hour booking (only via explicit flag to avoid misclassification)
@@ -501,6 +525,8 @@ const processPaymentAndCreateBooking = async (req, res) => {
           // Set 24-hour pricing parameters
           pricingParams.basePrice24Hour = listing.pricing.basePrice24Hour || listing.pricing.basePrice;
           pricingParams.totalHours = totalHours;
+          // Fee config can be segmented by property (host, location, type)
+          pricingParams.propertyId = listing._id;
           pricingParams.extraGuestPrice = listing.pricing.extraGuestPrice || 0;
           pricingParams.cleaningFee = listing.pricing.cleaningFee || 0;
           pricingParams.serviceFee = listing.pricing.serviceFee || 0; // Use property's service fee or 0
@@ -522,6 +548,9 @@ const processPaymentAndCreateBooking = async (req, res) => {
           console.log(`💰 Daily booking base price: ₹${effectiveBasePrice} (lateCheckIn: ${isLateCheckIn}, basePrice24Hour: ${listing.pricing.basePrice24Hour})`);
 
           pricingParams.basePrice = effectiveBasePrice;
+          // Host pricing rules (seasonal, weekend, ...) are applied night by night from check-in
+          pricingParams.propertyId = listing._id;
+          pricingParams.checkIn = checkIn;
           pricingParams.extraGuestPrice = listing.pricing.extraGuestPrice || 0;
           pricingParams.cleaningFee = listing.pricing.cleaningFee || 0;
           pricingParams.serviceFee = listing.pricing.serviceFee || 0; // Use property's service fee or 0
@@ -553,41 +582,34 @@ const processPaymentAndCreateBooking = async (req, res) => {
         pricingParams.extraGuestPrice = service.pricing.perPersonPrice || 0;
       }
 
-      // Apply coupon if provided
+      // Apply coupons if provided; one that does not apply is skipped
       let couponApplied = null;
-      if (couponCode) {
-        const coupon = await Coupon.findOne({
-          code: couponCode.toUpperCase(),
-          isActive: true,
-          validFrom: { $lte: new Date() },
-          validTo: { $gte: new Date() }
-        }).session(session);
-        if (coupon) {
-          const hasUsed = coupon.usedBy?.some(usage => usage.user.toString() === req.user._id.toString());
-          if (!hasUsed) {
-            // Calculate subtotal first to apply coupon discount
-            const tempPricing = await calculatePricingBreakdown(pricingParams);
-            let discountAmount = 0;
-
-            if (coupon.discountType === 'percentage') {
-              discountAmount = (tempPricing.subtotal * coupon.amount) / 100;
-              const maxDiscount = coupon.maxDiscount || discountAmount;
-              discountAmount = Math.min(discountAmount, maxDiscount);
-            } else {
-              discountAmount = coupon.amount;
-            }
-
-            pricingParams.discountAmount = discountAmount;
-            couponApplied = coupon._id;
-            coupon.usedCount += 1;
-            coupon.usedBy.push({ user: req.user._id, usedAt: new Date() });
-            await coupon.save({ session });
-          }
+      let appliedCoupons = [];
+      const couponCodes = CouponEligibilityService.requestedCodes({ couponCode, couponCodes: req.body.couponCodes });
+      if (couponCodes.length > 0) {
+        // Calculate subtotal first to apply coupon discount
+        const tempPricing = await calculatePricingBreakdown(pricingParams);
+        const evaluatedCoupons = await CouponEligibilityService.evaluateOrSkip(couponCodes, {
+          user: req.user,
+          listing,
+          service,
+          checkIn: checkIn || checkInDateTime,
+          checkOut,
+          nights: pricingParams.nights ?? 1,
+          amount: tempPricing.subtotal,
+          session
+        });
+        const couponResult = await CouponEligibilityService.redeemOrSkip(evaluatedCoupons, req.user._id, { session });
+        if (couponResult.coupons.length > 0) {
+          pricingParams.discountAmount = couponResult.discountAmount;
+          couponApplied = couponResult.coupons[0]._id;
+          appliedCoupons = couponResult.applied;
         }
       }
 
       // Calculate final pricing breakdown using unified utilities
       const pricing = await calculatePricingBreakdown(pricingParams);
+      await HostPromotionService.recordUse(pricing.hostPromotion, { session });
 
       // Extract values for backward compatibility
       const {
@@ -600,6 +622,21 @@ const processPaymentAndCreateBooking = async (req, res) => {
         breakdown
       } = pricing;
 
+      // Payment plan: charge the deposit now, the balance is due before check-in
+      if (paymentOption === 'deposit') {
+        paymentPlanOffer = PaymentPlanService.getPlanOffer(listing, checkInDateObj, totalAmount, {
+          bookingType: is24HourBooking ? '24hour' : 'daily'
+        });
+        if (!paymentPlanOffer) {
+          const err = new Error('A payment plan is not available for this booking');
+          err.status = 400;
+          throw err;
+        }
+      }
+      const chargeAmount = paymentPlanOffer ? paymentPlanOffer.depositAmount : totalAmount;
+      const walletUse = Math.min(Math.max(0, toTwoDecimals(Number(walletAmount) || 0)), chargeAmount);
+      const gatewayAmount = toTwoDecimals(chargeAmount - walletUse);
+
       // Handle checkout time calculation based on booking type
       let finalCheckOut = checkOutDateObj;
       let finalCheckOutTime = checkOutTime || (bookingType === 'property' ? (listing.checkOutTime || '10:00') : undefined);
@@ -675,6 +712,35 @@ const processPaymentAndCreateBooking = async (req, res) => {
         }
       }
 
+      // Lock the exchange rates for the guest's currency and the host's settlement currency
+      let exchange;
+      try {
+        exchange = await CurrencyService.lockBookingRates({
+          currency,
+          guestCurrency: guestCurrency || req.user.preferredCurrency,
+          hostCurrency: host.preferredCurrency,
+          totalAmount,
+          hostEarning
+        });
+      } catch (rateError) {
+        // Preferred currencies without a configured rate fall back to the booking
+        // currency, keeping the guest currency the checkout order was made in
+        let guestRate;
+        try {
+          guestRate = await CurrencyService.getGuestRate({
+            currency,
+            guestCurrency,
+            preferredCurrency: req.user.preferredCurrency
+          });
+        } catch (guestRateError) {
+          const err = new Error(guestRateError.message);
+          err.status = 400;
+          throw err;
+        }
+        console.warn(`⚠️ ${rateError.message}, falling back to ${currency}`);
+        exchange = await CurrencyService.lockBookingRates({ currency, guestCurrency: guestRate.currency, totalAmount, hostEarning });
+      }
+
       // Step 1: Create booking first (temporary, will be updated after payment)
       const booking = await Booking.create([{
         user: req.user._id,
@@ -711,6 +777,7 @@ const processPaymentAndCreateBooking = async (req, res) => {
         cleaningFee: pricing.cleaningFee,
         securityDeposit: pricing.securityDeposit,
         currency,
+        exchange,
         cancellationPolicy,
         specialRequests: specialRequests || undefined,
         hourlyExtension: is24HourBooking ? (extensionHours > 0 ? {
@@ -723,11 +790,13 @@ const processPaymentAndCreateBooking = async (req, res) => {
         refundAmount: 0,
         refunded: false,
         couponApplied,
+        appliedCoupons,
         discountAmount: pricing.discountAmount,
         hostFee: hostEarning,
         platformFee: platformFee,
         processingFee: processingFee,
         gst: gst,
+        pricingConfigVersion: pricing.pricingConfigVersion,
         // Store pricing breakdown for detailed reporting
         pricingBreakdown: breakdown,
         // Security metadata
@@ -749,84 +818,24 @@ const processPaymentAndCreateBooking = async (req, res) => {
       bookingDoc = booking[0];
 
       // Step 2: Create payment with booking reference
-      // Require and verify Razorpay payment proof for this flow
-      let razorpayOrderId = null;
-      let razorpayPaymentId = null;
-      let razorpaySignature = null;
-      let isPaymentVerified = false;
-      let razorpayPaymentDetails = null;
-
-      if (!paymentData || !paymentData.razorpayOrderId || !paymentData.razorpayPaymentId || !paymentData.razorpaySignature) {
-        const err = new Error('Razorpay payment proof is required');
+      // Require and verify the gateway's payment proof for the part the wallet does not cover
+      if (gatewayAmount > 0 && !checkoutProof) {
+        const err = new Error('Payment proof is required');
         err.status = 400;
         throw err;
       }
 
-      if (paymentData && paymentData.razorpayOrderId && paymentData.razorpayPaymentId && paymentData.razorpaySignature) {
-        // Verify payment signature
-        isPaymentVerified = razorpayService.verifyPayment(
-          paymentData.razorpayOrderId,
-          paymentData.razorpayPaymentId,
-          paymentData.razorpaySignature
-        );
-
-        if (!isPaymentVerified) {
-          const err = new Error('Invalid payment signature. Payment verification failed.');
-          err.status = 400;
-          throw err;
-        }
-
-        razorpayOrderId = paymentData.razorpayOrderId;
-        razorpayPaymentId = paymentData.razorpayPaymentId;
-        razorpaySignature = paymentData.razorpaySignature;
-
-        // Get payment details from Razorpay
+      let verifiedPayment = null;
+      if (gatewayAmount > 0) {
         try {
-          razorpayPaymentDetails = await razorpayService.getPaymentDetails(razorpayPaymentId);
-        } catch (razorpayError) {
-          console.error('❌ Error fetching Razorpay payment details:', razorpayError);
-          const err = new Error("Failed to verify payment with Razorpay");
-          err.status = 400;
-          err.error = razorpayError.message;
-          throw err;
-          // return res.status(400).json({
-          //   success: false,
-          //   message: 'Failed to verify payment with Razorpay',
-          //   error: razorpayError.message
-          // });
-        }
-
-        const expectedAmountPaise = Math.round(Number(totalAmount) * 100);
-        const expectedCurrency = currency || 'INR';
-        const razorpayStatus = razorpayPaymentDetails?.status;
-
-        if (razorpayPaymentDetails?.order_id !== razorpayOrderId) {
-          const err = new Error('Razorpay order mismatch');
-          err.status = 400;
-          throw err;
-        }
-
-        const paidAmountPaise = Number(razorpayPaymentDetails?.amount);
-        const amountDiff = Math.abs(paidAmountPaise - expectedAmountPaise);
-        // Allow a small tolerance (₹1) to account for rounding or currency conversions
-        if (amountDiff > 100) {
-          const err = new Error('Razorpay amount mismatch');
-          err.status = 400;
-          err.expectedAmountPaise = expectedAmountPaise;
-          err.paidAmountPaise = paidAmountPaise;
-          err.amountDiffPaise = amountDiff;
-          throw err;
-        }
-
-        if (razorpayPaymentDetails?.currency !== expectedCurrency) {
-          const err = new Error('Razorpay currency mismatch');
-          err.status = 400;
-          throw err;
-        }
-
-        if (!['authorized', 'captured'].includes(razorpayStatus)) {
-          const err = new Error(`Payment status is not successful: ${razorpayStatus || 'unknown'}`);
-          err.status = 400;
+          // Charged in the guest's currency at the rate just locked
+          verifiedPayment = await PaymentGatewayService.verifyCheckout(
+            checkoutProof,
+            PaymentGatewayService.toChargeAmount({ currency, exchange }, gatewayAmount)
+          );
+        } catch (verifyError) {
+          const err = new Error(verifyError.message);
+          err.status = verifyError.statusCode || 400;
           throw err;
         }
       }
@@ -841,8 +850,7 @@ const processPaymentAndCreateBooking = async (req, res) => {
 
       const mappedPaymentMethod = paymentMethodMap[paymentMethod] || 'credit_card';
 
-      // Generate transaction ID and invoice ID
-      const transactionId = razorpayPaymentId || `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      // Generate invoice ID
       const invoiceId = `INV_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       const receiptId = `RCP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -850,20 +858,16 @@ const processPaymentAndCreateBooking = async (req, res) => {
         booking: bookingDoc._id,
         user: req.user._id,
         host: host._id,
-        amount: totalAmount,
+        amount: chargeAmount,
         currency: currency,
-        paymentMethod: mappedPaymentMethod,
+        paymentMethod: verifiedPayment ? mappedPaymentMethod : 'wallet',
+        installment: paymentPlanOffer ? 'deposit' : 'full',
+        walletAmount: walletUse,
 
-        // Payment details with transaction information
-        paymentDetails: {
-          transactionId: transactionId,
-          paymentGateway: 'razorpay',
-          gatewayResponse: razorpayPaymentDetails
-        },
-        // Razorpay specific fields
-        razorpayOrderId: razorpayOrderId,
-        razorpayPaymentId: razorpayPaymentId,
-        razorpaySignature: razorpaySignature,
+        // Gateway payment details (plus the Razorpay fields for Razorpay payments)
+        ...(verifiedPayment
+          ? PaymentGatewayService.toPaymentFields(verifiedPayment, checkoutProof)
+          : { paymentDetails: { paymentGateway: 'wallet' } }),
 
         // Fee breakdown
         subtotal: subtotal,
@@ -892,6 +896,9 @@ const processPaymentAndCreateBooking = async (req, res) => {
             new Date(new Date(checkIn).getTime() + 24 * 60 * 60 * 1000) : // 24 hours after check-in
             new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours from now for services
           amount: hostEarning,
+          settlementAmount: exchange.hostEarningAmount,
+          settlementCurrency: exchange.hostCurrency,
+          exchangeRate: exchange.hostRate,
           method: 'bank_transfer',
           reference: `PAYOUT_${Date.now()}`,
           notes: `Payout for booking ${booking.receiptId}`
@@ -927,23 +934,50 @@ const processPaymentAndCreateBooking = async (req, res) => {
       }], { session });
       paymentDoc = payment[0];
 
+      // Spend the wallet share in the same transaction: a concurrent checkout
+      // that already spent the balance makes this fail and the booking roll back
+      if (walletUse > 0) {
+        try {
+          await WalletService.debitForBooking(req.user._id, {
+            amount: walletUse,
+            currency: currency || 'INR',
+            bookingId: bookingDoc._id,
+            paymentId: paymentDoc._id
+          }, session);
+        } catch (walletError) {
+          if (walletError.statusCode) {
+            walletError.status = walletError.statusCode === 409 ? 400 : walletError.statusCode;
+          }
+          throw walletError;
+        }
+      }
+
       // await payment.save();
 
-      // Step 3: Finalize payment status only after verified gateway proof
-      paymentDoc.status = isPaymentVerified ? 'completed' : 'failed';
+      // Step 3: Finalize payment status (the gateway proof was verified in step 2)
+      paymentDoc.status = 'completed';
       paymentDoc.processedAt = new Date();
       await paymentDoc.save({ session });
 
-      if (!isPaymentVerified) {
-        const err = new Error('Payment verification failed during booking processing');
-        err.status = 400;
-        throw err;
-      }
+      // Step 4: Update booking with payment reference. Instant Book listings confirm
+      // immediately; otherwise keep as pending until the host answers or the request expires
+      const instantBook = listing
+        ? await BookingRequestService.checkInstantBookEligibility(listing, req.user._id)
+        : { eligible: false };
 
-      // Step 4: Update booking with payment reference but keep as pending for host approval
       bookingDoc.payment = paymentDoc._id;
-      bookingDoc.status = 'pending'; // Keep pending until host approves
-      bookingDoc.paymentStatus = 'paid'; // Payment is successful but booking needs host approval
+      bookingDoc.paymentStatus = paymentPlanOffer ? 'partially_paid' : 'paid';
+      if (paymentPlanOffer) {
+        bookingDoc.paymentPlan = PaymentPlanService.buildBookingPlan(paymentPlanOffer);
+      }
+      if (instantBook.eligible) {
+        bookingDoc.status = 'confirmed';
+        bookingDoc.instantBooked = true;
+        bookingDoc.confirmedAt = new Date();
+      } else {
+        bookingDoc.status = 'pending';
+        bookingDoc.responseDeadline = BookingRequestService.getResponseDeadline(listing || service);
+      }
       await bookingDoc.save({ session });
 
       // Step 4.5: Block availability for the booking dates
@@ -1218,8 +1252,10 @@ const processPaymentAndCreateBooking = async (req, res) => {
       await Notification.create({
         user: host._id,
         type: 'booking',
-        title: 'New Booking Request',
-        message: `You have a new booking request from ${req.user.name}. Please review and accept or decline.`,
+        title: bookingDoc.instantBooked ? 'New Instant Booking' : 'New Booking Request',
+        message: bookingDoc.instantBooked
+          ? `${req.user.name} booked ${listing.title} with Instant Book. The booking is confirmed.`
+          : `You have a new booking request from ${req.user.name}. Please accept or decline by ${bookingDoc.responseDeadline.toLocaleString('en-IN')}.`,
         relatedEntity: {
           type: 'Booking',
           id: bookingDoc._id
@@ -1258,7 +1294,7 @@ const processPaymentAndCreateBooking = async (req, res) => {
           guests: `${bookingDoc.guests.adults} adults${bookingDoc.guests.children > 0 ? `, ${bookingDoc.guests.children} children` : ''}${bookingDoc.guests.infants > 0 ? `, ${bookingDoc.guests.infants} infants` : ''}`,
           totalAmount: bookingDoc.totalAmount.toLocaleString(),
           currency: bookingDoc.currency,
-          status: 'pending' // Indicate that booking is pending host approval
+          status: bookingDoc.status // 'pending' until host approval unless instant booked
         });
 
         // Send notification email to host
@@ -1295,9 +1331,17 @@ const processPaymentAndCreateBooking = async (req, res) => {
         console.error('Email sending failed:', emailError);
         // Don't fail the booking if email fails
       }
-      amount = totalAmount;
+      amount = chargeAmount;
     });
 
+    // GST invoices, ledger entries and host payouts follow once the payment is committed
+    // (payment plan bookings are invoiced once the balance is paid)
+    if (bookingDoc.paymentStatus === 'paid') {
+      await InvoiceService.queueBookingInvoices(bookingDoc._id);
+    }
+    await LedgerService.queuePayment(paymentDoc._id);
+    await PayoutService.queuePaymentPayouts(paymentDoc._id);
+
     res.status(201).json({
       success: true,
       message: is24HourBooking ? '24-hour booking created and payment processed successfully' : 'Booking request created and payment processed successfully',
@@ -1313,9 +1357,20 @@ const processPaymentAndCreateBooking = async (req, res) => {
           nextAvailableTime: nextAvailableTime,
           hostBufferTime: hostBufferTime
         }),
+        ...(paymentPlanOffer && {
+          balanceDue: {
+            amount: paymentPlanOffer.balanceAmount,
+            dueDate: paymentPlanOffer.balanceDueDate
+          }
+        }),
+        ...(paymentDoc.walletAmount > 0 && {
+          paidFromWallet: paymentDoc.walletAmount
+        }),
         message: is24HourBooking
           ? `24-hour booking confirmed! Payment of ₹${amount} processed successfully. Check-in: ${bookingCheckInDateTime.toLocaleString()}, Check-out: ${bookingCheckOutDateTime.toLocaleString()}.`
-          : `Booking request submitted! Payment of ₹${amount} processed successfully. The host will review your request and confirm within 24 hours.`
+          : bookingDoc.instantBooked
+            ? `Booking confirmed! Payment of ₹${amount} processed successfully.`
+            : `Booking request submitted! Payment of ₹${amount} processed successfully. The host has until ${bookingDoc.responseDeadline.toLocaleString('en-IN')} to respond, otherwise the request expires and you are refunded in full.`
       }
     });
 
@@ -1478,6 +1533,9 @@ const createBooking = async (req, res) => {
 
     if (bookingType === 'property') {
       pricingParams.basePrice = listing.pricing.basePrice;
+      // Host pricing rules (seasonal, weekend, ...) are applied night by night from check-in
+      pricingParams.propertyId = listing._id;
+      pricingParams.checkIn = checkIn;
       pricingParams.extraGuestPrice = listing.pricing.extraGuestPrice || 0;
       pricingParams.cleaningFee = listing.pricing.cleaningFee || 0;
       pricingParams.serviceFee = listing.pricing.serviceFee || 0; // Use property's service fee or 0
@@ -1508,41 +1566,27 @@ const createBooking = async (req, res) => {
       pricingParams.extraGuestPrice = service.pricing.perPersonPrice || 0;
     }
 
-    // Apply coupon if provided
+    // Apply coupons if provided; one that does not apply is skipped
     let couponApplied = null;
-    if (couponCode) {
-      const coupon = await Coupon.findOne({
-        code: couponCode.toUpperCase(),
-        isActive: true,
-        validFrom: { $lte: new Date() },
-        validTo: { $gte: new Date() }
+    let appliedCoupons = [];
+    const couponCodes = CouponEligibilityService.requestedCodes({ couponCode, couponCodes: req.body.couponCodes });
+    if (couponCodes.length > 0) {
+      // Calculate subtotal first to apply coupon discount
+      const tempPricing = await calculatePricingBreakdown(pricingParams);
+      const evaluatedCoupons = await CouponEligibilityService.evaluateOrSkip(couponCodes, {
+        user: req.user,
+        listing,
+        service,
+        checkIn,
+        checkOut,
+        nights: pricingParams.nights ?? 1,
+        amount: tempPricing.subtotal
       });
-      if (coupon) {
-        // Check if user has already used this coupon
-        const hasUsed = coupon.usedBy?.some(usage => usage.user.toString() === req.user._id.toString());
-        if (!hasUsed) {
-          // Calculate subtotal first to apply coupon discount
-          const tempPricing = await calculatePricingBreakdown(pricingParams);
-          let discountAmount = 0;
-
-          if (coupon.discountType === 'percentage') {
-            discountAmount = (tempPricing.subtotal * coupon.amount) / 100;
-            if (coupon.maxDiscount) {
-              discountAmount = Math.min(discountAmount, coupon.maxDiscount);
-            }
-          } else {
-            discountAmount = coupon.amount;
-          }
-          if (coupon.minBookingAmount && tempPricing.subtotal < coupon.minBookingAmount) {
-            discountAmount = 0;
-          }
-
-          pricingParams.discountAmount = discountAmount;
-          couponApplied = coupon._id;
-          coupon.usedCount += 1;
-          coupon.usedBy.push({ user: req.user._id, usedAt: new Date() });
-          await coupon.save();
-        }
+      const couponResult = await CouponEligibilityService.redeemOrSkip(evaluatedCoupons, req.user._id);
+      if (couponResult.coupons.length > 0) {
+        pricingParams.discountAmount = couponResult.discountAmount;
+        couponApplied = couponResult.coupons[0]._id;
+        appliedCoupons = couponResult.applied;
       }
     }
 
@@ -1568,6 +1612,7 @@ const createBooking = async (req, res) => {
       service: bookingType === 'service' ? serviceId : undefined,
       bookingType,
       status: 'pending',
+      responseDeadline: BookingRequestService.getResponseDeadline(listing || service),
       checkIn: bookingType === 'property' ? checkIn : undefined,
       checkOut: bookingType === 'property' ? checkOut : undefined,
       checkInTime: checkInTime || (bookingType === 'property' ? (listing.checkInTime || '11:00') : undefined),
@@ -1589,14 +1634,17 @@ const createBooking = async (req, res) => {
       refundAmount: 0,
       refunded: false,
       couponApplied,
+      appliedCoupons,
       discountAmount: pricing.discountAmount,
       hostFee: hostEarning,
       platformFee: platformFee,
       processingFee: processingFee,
       gst: gst,
+      pricingConfigVersion: pricing.pricingConfigVersion,
       // Store complete pricing breakdown
       pricingBreakdown: breakdown
     });
+    await HostPromotionService.recordUse(pricing.hostPromotion);
 
     // Create notification for host
     await Notification.create({
@@ -1934,13 +1982,41 @@ const acceptBooking = async (req, res) => {
       });
     }
 
-    // Update booking status to confirmed
-    booking.status = 'confirmed';
-    booking.confirmedAt = new Date();
-    if (message) {
-      booking.hostMessage = message;
+    if (booking.responseDeadline && booking.responseDeadline <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking request has expired'
+      });
     }
-    await booking.save();
+
+    // Confirm only while still pending and in time, so the expiry job and the host cannot both win
+    const now = new Date();
+    const accepted = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: 'pending',
+        $or: [{ responseDeadline: null }, { responseDeadline: { $gt: now } }]
+      },
+      {
+        $set: {
+          status: 'confirmed',
+          confirmedAt: now,
+          ...(message && { hostMessage: message })
+        }
+      },
+      { new: true }
+    ).select('status confirmedAt hostMessage');
+
+    if (!accepted) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking request has expired or was already answered'
+      });
+    }
+
+    booking.status = accepted.status;
+    booking.confirmedAt = accepted.confirmedAt;
+    booking.hostMessage = accepted.hostMessage;
 
     // Create notification for guest
     await Notification.create({
@@ -2044,7 +2120,7 @@ const rejectBooking = async (req, res) => {
       console.log('💰 Booking Amount:', booking.totalAmount, booking.currency || 'INR');
       console.log('📅 Booking Status:', booking.status);
       console.log('💳 Payment ID:', booking.payment?._id);
-      console.log('💳 Razorpay Payment ID:', booking.payment?.razorpayPaymentId || 'N/A');
+      console.log('💳 Gateway Payment ID:', booking.payment?.paymentDetails?.transactionId || booking.payment?.razorpayPaymentId || 'N/A');
       console.log('🔄 ===========================================');
 
       const refund = await RefundService.processRefund(
@@ -2063,7 +2139,7 @@ const rejectBooking = async (req, res) => {
       console.log('📋 Refund ID:', refund._id);
       console.log('📋 Refund Reference:', refund.refundReference);
       console.log('💰 Refund Amount:', refund.amount, refund.currency);
-      console.log('💳 Razorpay Refund ID:', refund.razorpayRefundId || 'N/A');
+      console.log('💳 Gateway Refund ID:', refund.gatewayRefundId || refund.razorpayRefundId || 'N/A');
       console.log('📊 Refund Status:', refund.status);
       console.log('✅ ===========================================');
 
@@ -2367,7 +2443,7 @@ const updateBookingStatus = async (req, res) => {
           console.log('📋 Refund ID:', refund._id);
           console.log('📋 Refund Reference:', refund.refundReference);
           console.log('💰 Refund Amount:', refund.amount, refund.currency);
-          console.log('💳 Razorpay Refund ID:', refund.razorpayRefundId || 'N/A');
+          console.log('💳 Gateway Refund ID:', refund.gatewayRefundId || refund.razorpayRefundId || 'N/A');
           console.log('📊 Refund Status:', refund.status);
           console.log('✅ ===========================================');
 
@@ -2394,8 +2470,8 @@ const updateBookingStatus = async (req, res) => {
 
     booking.status = status;
 
-    // Update payment status for confirmed bookings
-    if (status === 'confirmed') {
+    // Update payment status for confirmed bookings (payment plan balances stay outstanding)
+    if (status === 'confirmed' && booking.paymentStatus !== 'partially_paid') {
       booking.paymentStatus = 'paid';
     }
 
@@ -2626,6 +2702,144 @@ const checkInGuest = async (req, res) => {
   }
 };
 
+// @desc    Record that a checked-in guest left early; refunds the nights given up
+// @route   POST /api/bookings/:id/early-check-out
+// @access  Private (Host only)
+const recordEarlyCheckOut = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { checkOutDate, notes } = req.body;
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.host.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host can record an early check-out'
+      });
+    }
+
+    if (booking.status !== 'confirmed' || !booking.checkedIn || booking.bookingDuration === '24hour' || !booking.checkIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Early check-out can only be recorded for a checked-in daily stay'
+      });
+    }
+
+    if (booking.earlyCheckOut?.date || booking.refunded) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has already been refunded'
+      });
+    }
+
+    // The first night given up: the day the guest left (today by default)
+    const leftOn = new Date(checkOutDate || Date.now());
+    const firstNight = new Date(leftOn.getFullYear(), leftOn.getMonth(), leftOn.getDate());
+    const checkInDay = new Date(booking.checkIn);
+    const checkOutDay = new Date(booking.checkOut);
+    const firstStayNight = new Date(checkInDay.getFullYear(), checkInDay.getMonth(), checkInDay.getDate());
+    const lastCheckOutDay = new Date(checkOutDay.getFullYear(), checkOutDay.getMonth(), checkOutDay.getDate());
+
+    if (Number.isNaN(firstNight.getTime()) || firstNight <= firstStayNight || firstNight >= lastCheckOutDay) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out date must be after check-in and before the booked check-out date'
+      });
+    }
+
+    // Claim the early check-out first so a second request cannot refund the same nights
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'confirmed', 'earlyCheckOut.date': null, refunded: { $ne: true } },
+      {
+        $set: {
+          earlyCheckOut: {
+            date: firstNight,
+            bookedCheckOut: booking.checkOut,
+            recordedAt: new Date(),
+            recordedBy: req.user._id,
+            notes: notes || undefined
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has already been refunded'
+      });
+    }
+
+    // Refund the nights given up at the rates the guest paid for them
+    let refund;
+    try {
+      refund = await RefundService.processRefund(booking._id, 'early_checkout', 'partial', {
+        fromDate: firstNight,
+        userNotes: `Early check-out on ${firstNight.toDateString()}`,
+        adminNotes: notes || ''
+      });
+    } catch (error) {
+      await Booking.updateOne({ _id: booking._id }, { $unset: { earlyCheckOut: 1 } });
+      throw error;
+    }
+
+    // The host is not paid for the refunded nights, and the stay now ends on the day the guest left
+    const hostFee = toTwoDecimals(Math.max(0, (booking.hostFee || 0) - (refund.refundBreakdown?.hostEarning || 0)));
+    const updated = await Booking.findByIdAndUpdate(booking._id, {
+      $set: {
+        'earlyCheckOut.refund': refund._id,
+        checkOut: firstNight,
+        hostFee,
+        ...(booking.exchange?.hostRate && {
+          'exchange.hostEarningAmount': CurrencyService.convert(hostFee, booking.exchange.hostRate)
+        })
+      }
+    }, { new: true });
+
+    try {
+      await Payment.updateOne(
+        { booking: booking._id, 'payout.status': 'pending' },
+        {
+          $set: {
+            'payout.amount': hostFee,
+            ...(updated.exchange?.hostRate && {
+              'payout.settlementAmount': updated.exchange.hostEarningAmount
+            })
+          }
+        }
+      );
+      await PayoutService.replanBookingPayouts(booking._id);
+    } catch (error) {
+      console.error(`❌ Error updating host payout for booking ${booking._id}:`, error);
+    }
+
+    // The nights given up can be booked again
+    await AvailabilityService.releaseBookingDates(booking, { checkIn: firstNight, checkOut: booking.checkOut });
+
+    res.status(200).json({
+      success: true,
+      message: refund.amount > 0
+        ? 'Early check-out recorded. The unused nights will be refunded once approved.'
+        : 'Early check-out recorded',
+      data: { booking: updated, refund }
+    });
+  } catch (error) {
+    console.error('Error recording early check-out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording early check-out',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Calculate booking price
 // @route   POST /api/bookings/calculate-price
 // @access  Public
@@ -2701,35 +2915,31 @@ const calculateBookingPrice = async (req, res) => {
     let discountAmount = 0;
     let couponDetails = null;
 
-    if (couponCode) {
-      const coupon = await Coupon.findOne({
-        code: couponCode.toUpperCase(),
-        isActive: true,
-        validFrom: { $lte: new Date() },
-        validTo: { $gte: new Date() }
+    let couponRejection;
+    const couponCodes = CouponEligibilityService.requestedCodes({ couponCode, couponCodes: req.body.couponCodes });
+    if (couponCodes.length > 0) {
+      const couponResult = await CouponEligibilityService.evaluateOrSkip(couponCodes, {
+        user: req.user,
+        listing,
+        service,
+        checkIn,
+        checkOut,
+        nights: listing ? nights : 1,
+        amount: totalAmount
       });
 
-      if (coupon) {
-        if (coupon.discountType === 'percentage') {
-          discountAmount = (totalAmount * coupon.amount) / 100;
-          if (coupon.maxDiscount) {
-            discountAmount = Math.min(discountAmount, coupon.maxDiscount);
-          }
-        } else {
-          discountAmount = coupon.amount;
-        }
-
-        if (coupon.minBookingAmount && totalAmount < coupon.minBookingAmount) {
-          discountAmount = 0;
-        }
-
+      if (couponResult.coupons.length > 0) {
+        discountAmount = couponResult.discountAmount;
         totalAmount -= discountAmount;
+        const [coupon] = couponResult.coupons;
         couponDetails = {
           code: coupon.code,
           discountType: coupon.discountType,
-          amount: coupon.amount
+          amount: coupon.amount,
+          coupons: couponResult.applied.map(record => ({ code: record.code, discountAmount: record.discountAmount }))
         };
       }
+      couponRejection = couponResult.rejection;
     }
 
     const breakdown = {
@@ -2746,6 +2956,7 @@ const calculateBookingPrice = async (req, res) => {
       data: {
         breakdown,
         couponDetails,
+        couponRejection,
         currency: listing ? listing.pricing.currency : service.pricing.currency
       }
     });
@@ -4219,7 +4430,9 @@ const calculateHourlyPrice = async (req, res) => {
       securityDeposit: property.pricing.securityDeposit || 0,
       hourlyExtension: hourlyExtension ? calculateHourlyExtension(property.pricing.basePrice, hourlyExtension) : 0,
       discountAmount: 0,
-      currency: property.pricing.currency
+      currency: property.pricing.currency,
+      propertyId: property._id,
+      checkIn
     };
 
     // Validate minimum stay
@@ -4316,18 +4529,15 @@ const getHourlySettings = async (req, res) => {
   }
 };
 
-// @desc    Process security deposit refund
+// @desc    Release the security deposit without a damage claim
 // @route   POST /api/bookings/:id/refund-security-deposit
 // @access  Private (Host only)
 const refundSecurityDeposit = async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason, notes } = req.body;
+    const { reason } = req.body;
 
-    const booking = await Booking.findById(id)
-      .populate('user', 'name email')
-      .populate('host', 'name email')
-      .populate('payment');
+    const booking = await Booking.findById(id);
 
     if (!booking) {
       return res.status(404).json({
@@ -4337,7 +4547,7 @@ const refundSecurityDeposit = async (req, res) => {
     }
 
     // Check if user is the host
-    if (booking.host._id.toString() !== req.user._id.toString()) {
+    if (booking.host.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Only the host can refund security deposit.'
@@ -4352,35 +4562,28 @@ const refundSecurityDeposit = async (req, res) => {
       });
     }
 
-    // Process security deposit refund
-    const refund = await RefundService.processRefund(
-      booking._id,
-      'guest_request',
-      'security_deposit_only',
-      {
-        userNotes: `Security deposit refund requested by host: ${reason || 'No reason provided'}`,
-        adminNotes: `Host notes: ${notes || 'No additional notes'}`
-      }
-    );
-
-    // Create notification for guest
-    await Notification.create({
-      user: booking.user._id,
-      type: 'refund',
-      title: 'Security Deposit Refund Processed',
-      message: `Your security deposit of ₹${refund.amount} has been refunded. It will be credited to your original payment method within 3-5 business days.`,
-      relatedEntity: {
-        type: 'Refund',
-        id: refund._id
-      }
+    // Deposits under a damage claim are settled through the claim
+    const released = await DamageClaimService.releaseDeposit(booking._id, {
+      note: `Security deposit released by host: ${reason || 'No reason provided'}`
     });
+    if (!released) {
+      return res.status(400).json({
+        success: false,
+        message: booking.securityDepositStatus === 'claimed'
+          ? 'The security deposit is under a damage claim. Withdraw the claim to release it.'
+          : `The security deposit has already been ${booking.securityDepositStatus || 'released'}`
+      });
+    }
 
+    const { refund } = released;
     res.status(200).json({
       success: true,
       message: 'Security deposit refund processed successfully',
       data: {
         refund,
-        message: `Security deposit refund of ₹${refund.amount} has been processed.`
+        message: refund
+          ? `Security deposit refund of ${refund.currency} ${refund.amount} has been processed.`
+          : 'The security deposit had already been refunded.'
       }
     });
   } catch (error) {
@@ -4519,17 +4722,24 @@ const getPendingRefunds = async (req, res) => {
 const approveRefund = async (req, res) => {
   try {
     const { id } = req.params;
-    const { adminNotes } = req.body;
+    const { adminNotes, refundMethod } = req.body;
+
+    if (refundMethod && !['original_payment_method', 'wallet_credit'].includes(refundMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'refundMethod must be original_payment_method or wallet_credit'
+      });
+    }
 
-    const refund = await RefundService.approveRefund(id, req.user._id, adminNotes);
+    const refund = await RefundService.approveRefund(id, req.user._id, adminNotes, { refundMethod });
 
     res.status(200).json({
       success: true,
-      message: 'Refund approved successfully',
+      message: refund.status === 'completed' ? 'Refund approved and credited to the guest wallet' : 'Refund approved successfully',
       data: refund
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error approving refund',
       error: error.message
@@ -4707,40 +4917,29 @@ const process24HourBooking = async (req, res) => {
       serviceFee: property.pricing.serviceFee,
       securityDeposit: property.pricing.securityDeposit,
       currency: property.pricing.currency,
-      bookingType: '24hour'
+      bookingType: '24hour',
+      propertyId: property._id
     };
 
-    // Apply coupon if provided
+    // Apply coupons if provided; one that does not apply is skipped
     let couponApplied = null;
-    if (couponCode) {
-      const coupon = await Coupon.findOne({
-        code: couponCode.toUpperCase(),
-        isActive: true,
-        validFrom: { $lte: new Date() },
-        validTo: { $gte: new Date() }
+    let appliedCoupons = [];
+    const couponCodes = CouponEligibilityService.requestedCodes({ couponCode, couponCodes: req.body.couponCodes });
+    if (couponCodes.length > 0) {
+      // Calculate subtotal first to apply coupon discount
+      const tempPricing = await calculate24HourPricing(pricingParams);
+      const evaluatedCoupons = await CouponEligibilityService.evaluateOrSkip(couponCodes, {
+        user: req.user,
+        listing: property,
+        checkIn: checkInDateTime,
+        nights: 1,
+        amount: tempPricing.subtotal
       });
-
-      if (coupon) {
-        const hasUsed = coupon.usedBy?.some(usage => usage.user.toString() === req.user._id.toString());
-        if (!hasUsed) {
-          // Calculate subtotal first to apply coupon discount
-          const tempPricing = await calculate24HourPricing(pricingParams);
-          let discountAmount = 0;
-
-          if (coupon.discountType === 'percentage') {
-            discountAmount = (tempPricing.subtotal * coupon.amount) / 100;
-            const maxDiscount = coupon.maxDiscount || discountAmount;
-            discountAmount = Math.min(discountAmount, maxDiscount);
-          } else {
-            discountAmount = coupon.amount;
-          }
-
-          pricingParams.discountAmount = discountAmount;
-          couponApplied = coupon._id;
-          coupon.usedCount += 1;
-          coupon.usedBy.push({ user: req.user._id, usedAt: new Date() });
-          await coupon.save();
-        }
+      const couponResult = await CouponEligibilityService.redeemOrSkip(evaluatedCoupons, req.user._id);
+      if (couponResult.coupons.length > 0) {
+        pricingParams.discountAmount = couponResult.discountAmount;
+        couponApplied = couponResult.coupons[0]._id;
+        appliedCoupons = couponResult.applied;
       }
     }
 
@@ -4773,6 +4972,7 @@ const process24HourBooking = async (req, res) => {
       serviceFee: pricing.serviceFee,
       cleaningFee: pricing.cleaningFee,
       securityDeposit: pricing.securityDeposit,
+      pricingConfigVersion: pricing.pricingConfigVersion,
       currency: property.pricing.currency,
       cancellationPolicy: property.cancellationPolicy || 'moderate',
       specialRequests: specialRequests || undefined,
@@ -4786,6 +4986,7 @@ const process24HourBooking = async (req, res) => {
       refundAmount: 0,
       refunded: false,
       couponApplied,
+      appliedCoupons,
       discountAmount: pricing.discountAmount,
       hostFee: pricing.hostEarning,
       platformFee: pricing.platformFee,
@@ -4966,6 +5167,7 @@ module.exports = {
   rejectBooking,
   updateBookingStatus,
   checkInGuest,
+  recordEarlyCheckOut,
   getBookingStats,
 
   // Admin functions
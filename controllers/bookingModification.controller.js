@@ -0,0 +1,200 @@
+const Booking = require('../models/Booking');
+const BookingModificationService = require('../services/bookingModification.service');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    Get modification history for a booking
+// @route   GET /api/bookings/:id/modifications
+// @access  Private (guest, host or admin)
+const getModifications = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .select('status checkIn checkOut guests totalAmount currency modifications')
+      .populate('modifications.proposedBy', 'name')
+      .populate('modifications.respondedBy', 'name')
+      .populate('modifications.refund', 'amount status refundReference');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        status: booking.status,
+        current: {
+          checkIn: booking.checkIn,
+          checkOut: booking.checkOut,
+          guests: booking.guests,
+          totalAmount: booking.totalAmount,
+          currency: booking.currency
+        },
+        modifications: [...booking.modifications].reverse()
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching booking modifications');
+  }
+};
+
+// @desc    Price a date/guest change without proposing it
+// @route   POST /api/bookings/:id/modifications/quote
+// @access  Private (guest or host)
+const quoteModification = async (req, res) => {
+  try {
+    const { booking } = await BookingModificationService.loadBookingForParticipant(req.params.id, req.user);
+    BookingModificationService.assertModifiable(booking);
+
+    const quote = await BookingModificationService.quoteModification(booking, req.body);
+    const availability = await BookingModificationService.checkAvailability(booking, quote.checkIn, quote.checkOut);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...quote,
+        currentTotal: booking.totalAmount,
+        available: availability.available,
+        unavailableReason: availability.reason
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error quoting booking modification');
+  }
+};
+
+// @desc    Propose new dates and/or guests for a confirmed booking
+// @route   POST /api/bookings/:id/modifications
+// @access  Private (guest or host)
+const proposeModification = async (req, res) => {
+  try {
+    const { booking, modification } = await BookingModificationService.proposeModification(
+      req.params.id,
+      req.user,
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Modification request sent',
+      data: { bookingId: booking._id, modification }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error proposing booking modification');
+  }
+};
+
+// @desc    Accept a modification proposed by the other party
+// @route   POST /api/bookings/:id/modifications/:modificationId/accept
+// @access  Private (guest or host who did not propose it)
+const acceptModification = async (req, res) => {
+  try {
+    const result = await BookingModificationService.acceptModification(
+      req.params.id,
+      req.params.modificationId,
+      req.user,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.paymentRequired
+        ? 'Modification accepted. The guest must pay the price difference to confirm it.'
+        : 'Modification accepted and applied',
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error accepting booking modification');
+  }
+};
+
+// @desc    Pay the price difference for an accepted modification
+// @route   POST /api/bookings/:id/modifications/:modificationId/pay
+// @access  Private (guest)
+const payModification = async (req, res) => {
+  try {
+    const result = await BookingModificationService.confirmPayment(
+      req.params.id,
+      req.params.modificationId,
+      req.user,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment received and booking updated',
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error processing modification payment');
+  }
+};
+
+// @desc    Reject a modification proposed by the other party
+// @route   POST /api/bookings/:id/modifications/:modificationId/reject
+// @access  Private (guest or host who did not propose it)
+const rejectModification = async (req, res) => {
+  try {
+    const { modification } = await BookingModificationService.rejectModification(
+      req.params.id,
+      req.params.modificationId,
+      req.user,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Modification rejected',
+      data: { modification }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error rejecting booking modification');
+  }
+};
+
+// @desc    Withdraw a pending modification or cancel one awaiting payment
+// @route   POST /api/bookings/:id/modifications/:modificationId/cancel
+// @access  Private (guest or host)
+const cancelModification = async (req, res) => {
+  try {
+    const { modification } = await BookingModificationService.cancelModification(
+      req.params.id,
+      req.params.modificationId,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Modification cancelled',
+      data: { modification }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error cancelling booking modification');
+  }
+};
+
+module.exports = {
+  getModifications,
+  quoteModification,
+  proposeModification,
+  acceptModification,
+  payModification,
+  rejectModification,
+  cancelModification
+};
@@ -0,0 +1,290 @@
+const Property = require('../models/Property');
+const ExternalCalendar = require('../models/ExternalCalendar');
+const ICalService = require('../services/ical.service');
+const AvailabilityEventService = require('../services/availabilityEvent.service');
+
+const buildExportUrl = (req, propertyId, token) => {
+  const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/availability/${propertyId}/calendar.ics?token=${token}`;
+};
+
+// @desc    Public .ics feed for a property (consumed by other channels)
+// @route   GET /api/availability/:propertyId/calendar.ics?token=...
+// @access  Public (secret token)
+const exportPropertyCalendar = async (req, res) => {
+  try {
+    const { propertyId } = req.params;
+    const { token } = req.query;
+
+    const property = await Property.findById(propertyId);
+    if (!property || !token || !property.icalExportToken || property.icalExportToken !== token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      });
+    }
+
+    const calendar = await ICalService.buildPropertyCalendar(property);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="tripme-${property._id}.ics"`,
+      'Cache-Control': 'no-cache'
+    });
+    res.status(200).send(calendar);
+  } catch (error) {
+    console.error('❌ Error exporting property calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting calendar',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get export feed URL and registered external calendars
+// @route   GET /api/availability/:propertyId/ical
+// @access  Private (Host only)
+const getCalendarSync = async (req, res) => {
+  try {
+    const property = req.property;
+    const token = await ICalService.getExportToken(property);
+
+    const calendars = await ExternalCalendar.find({ property: property._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        exportUrl: buildExportUrl(req, property._id, token),
+        calendars
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching calendar sync settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar sync settings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Rotate the export feed token (old URLs stop working)
+// @route   POST /api/availability/:propertyId/ical/export-token
+// @access  Private (Host only)
+const rotateExportToken = async (req, res) => {
+  try {
+    const property = req.property;
+    const token = await ICalService.getExportToken(property, true);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar export link regenerated',
+      data: {
+        exportUrl: buildExportUrl(req, property._id, token)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error rotating export token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating calendar export link',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Register an external iCal feed and run a first import
+// @route   POST /api/availability/:propertyId/ical/feeds
+// @access  Private (Host only)
+const addExternalCalendar = async (req, res) => {
+  try {
+    const property = req.property;
+    const { name, url, provider } = req.body;
+
+    if (!name || !url) {
+      return res.status(400).json({
+        success: false,
+        message: 'name and url are required'
+      });
+    }
+
+    const existing = await ExternalCalendar.findOne({ property: property._id, url: url.trim() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This calendar is already linked to the property'
+      });
+    }
+
+    const calendar = await ExternalCalendar.create({
+      property: property._id,
+      host: property.host,
+      name,
+      url,
+      provider
+    });
+
+    const syncResult = await ICalService.syncExternalCalendar(calendar);
+
+    res.status(201).json({
+      success: true,
+      message: syncResult.success
+        ? 'External calendar linked and imported'
+        : 'External calendar linked, but the first import failed',
+      data: {
+        calendar,
+        sync: syncResult
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('❌ Error adding external calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding external calendar',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update an external calendar (name, url, active flag)
+// @route   PUT /api/availability/:propertyId/ical/feeds/:calendarId
+// @access  Private (Host only)
+const updateExternalCalendar = async (req, res) => {
+  try {
+    const { calendarId } = req.params;
+    const { name, url, provider, isActive } = req.body;
+
+    const calendar = await ExternalCalendar.findOne({ _id: calendarId, property: req.property._id });
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'External calendar not found'
+      });
+    }
+
+    const deactivated = calendar.isActive && isActive === false;
+
+    if (name !== undefined) calendar.name = name;
+    if (url !== undefined) calendar.url = url;
+    if (provider !== undefined) calendar.provider = provider;
+    if (isActive !== undefined) calendar.isActive = isActive;
+    await calendar.save();
+
+    // An inactive feed no longer blocks dates; its blocks come back on the next sync after reactivation
+    if (deactivated) {
+      await AvailabilityEventService.deleteImportedBlockEvents(calendar.property, calendar._id);
+      calendar.importedBlockCount = 0;
+      calendar.lastSyncedAt = undefined;
+      await calendar.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'External calendar updated',
+      data: { calendar }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This calendar is already linked to the property'
+      });
+    }
+    console.error('❌ Error updating external calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating external calendar',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unlink an external calendar and remove its imported blocks
+// @route   DELETE /api/availability/:propertyId/ical/feeds/:calendarId
+// @access  Private (Host only)
+const removeExternalCalendar = async (req, res) => {
+  try {
+    const { calendarId } = req.params;
+
+    const calendar = await ExternalCalendar.findOne({ _id: calendarId, property: req.property._id });
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'External calendar not found'
+      });
+    }
+
+    await AvailabilityEventService.deleteImportedBlockEvents(calendar.property, calendar._id);
+    await calendar.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'External calendar removed'
+    });
+  } catch (error) {
+    console.error('❌ Error removing external calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing external calendar',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Re-import an external calendar now
+// @route   POST /api/availability/:propertyId/ical/feeds/:calendarId/sync
+// @access  Private (Host only)
+const syncExternalCalendar = async (req, res) => {
+  try {
+    const { calendarId } = req.params;
+
+    const calendar = await ExternalCalendar.findOne({ _id: calendarId, property: req.property._id });
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'External calendar not found'
+      });
+    }
+
+    const result = await ICalService.syncExternalCalendar(calendar);
+
+    res.status(result.success ? 200 : 502).json({
+      success: result.success,
+      message: result.success ? 'Calendar synced successfully' : `Calendar sync failed: ${result.error}`,
+      data: {
+        calendar,
+        sync: result
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error syncing external calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error syncing external calendar',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportPropertyCalendar,
+  getCalendarSync,
+  rotateExportToken,
+  addExternalCalendar,
+  updateExternalCalendar,
+  removeExternalCalendar,
+  syncExternalCalendar
+};
@@ -2,6 +2,32 @@ const Coupon = require('../models/Coupon');
 const Admin = require('../models/Admin');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
+const mongoose = require('mongoose');
+const CouponService = require('../services/coupon.service');
+const CouponEligibilityService = require('../services/couponEligibility.service');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+const invalidCouponId = (res, couponId) => {
+  if (mongoose.Types.ObjectId.isValid(couponId)) {
+    return false;
+  }
+  res.status(400).json({ success: false, message: 'Invalid coupon ID' });
+  return true;
+};
 
 // @desc    Create coupon (admin only)
 // @route   POST /api/coupons
@@ -26,7 +52,9 @@ const createCoupon = async (req, res) => {
       validTo,
       usageLimit,
       applicableToListings,
-      applicableToServices
+      applicableToServices,
+      targeting,
+      stacking
     } = req.body;
 
     // Check if coupon code already exists
@@ -50,6 +78,8 @@ const createCoupon = async (req, res) => {
       usageLimit,
       applicableToListings,
       applicableToServices,
+      targeting,
+      stacking,
       createdBy: req.user.id
     });
 
@@ -260,113 +290,60 @@ const deleteCoupon = async (req, res) => {
 // @access  Public
 const validateCoupon = async (req, res) => {
   try {
-    const { couponCode, bookingAmount, listingId, serviceId, userId } = req.body;
-    console.log('req body', req.body);
-    const coupon = await Coupon.findOne({
-      code: couponCode.toUpperCase(),
-      isActive: true,
-      validFrom: { $lte: new Date() },
-      validTo: { $gte: new Date() }
-    });
-    console.log('coupon', coupon);
-    if (!coupon) {
+    const { bookingAmount, listingId, serviceId, userId, checkIn, checkOut, nights } = req.body;
+    const codes = CouponEligibilityService.requestedCodes(req.body);
+    if (codes.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired coupon code'
+        message: 'Coupon code is required'
       });
     }
 
-    // Check usage limit
-    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
-      return res.status(400).json({
-        success: false,
-        message: 'Coupon usage limit reached'
-      });
-    }
-
-    // Check if user has already used this coupon
-    if (userId) {
-      const hasUsed = coupon.usedBy.some(usage => usage.user.toString() === userId);
-      if (hasUsed) {
-        return res.status(400).json({
-          success: false,
-          message: 'You have already used this coupon'
-        });
-      }
-    }
-
-    // Check minimum booking amount
-    if (coupon.minBookingAmount && bookingAmount < coupon.minBookingAmount) {
-      return res.status(400).json({
-        success: false,
-        message: `Minimum booking amount of ${coupon.minBookingAmount} required`
-      });
-    }
-
-    // Check if coupon is applicable to the listing/service
-    if (listingId && coupon.applicableToListings.length > 0) {
-      const isApplicable = coupon.applicableToListings.some(
-        listing => listing.toString() === listingId
-      );
-      if (!isApplicable) {
-        return res.status(400).json({
-          success: false,
-          message: 'Coupon is not applicable to this listing'
-        });
-      }
-    }
-
-    if (serviceId && coupon.applicableToServices.length > 0) {
-      const isApplicable = coupon.applicableToServices.some(
-        service => service.toString() === serviceId
-      );
-      if (!isApplicable) {
-        return res.status(400).json({
-          success: false,
-          message: 'Coupon is not applicable to this service'
-        });
-      }
-    }
-
-    // Calculate discount
-    let discountAmount = 0;
-    if (coupon.discountType === 'percentage') {
-      discountAmount = (bookingAmount * coupon.amount) / 100;
-      if (coupon.maxDiscount) {
-        discountAmount = Math.min(discountAmount, coupon.maxDiscount);
-      }
-    } else {
-      discountAmount = coupon.amount;
-    }
-
-    const finalAmount = bookingAmount - discountAmount;
+    const originalAmount = Number(bookingAmount) || 0;
+    const result = await CouponEligibilityService.evaluate(codes, {
+      user: req.user && !req.isAdmin ? req.user : null,
+      userId: req.user ? null : userId,
+      listingId,
+      serviceId,
+      checkIn,
+      checkOut,
+      nights,
+      amount: originalAmount
+    });
 
+    const [coupon] = result.coupons;
     res.status(200).json({
       success: true,
-      message: 'Coupon is valid',
+      message: result.coupons.length > 1 ? 'Coupons are valid' : 'Coupon is valid',
       data: {
         coupon: {
-          code: coupon.couponCode,
+          code: coupon.code,
           discountType: coupon.discountType,
           amount: coupon.amount,
           maxDiscount: coupon.maxDiscount
         },
-        discountAmount,
-        finalAmount,
-        originalAmount: bookingAmount
+        coupons: result.applied.map(({ code, discountType, amount, maxDiscount, discountAmount }) => ({
+          code, discountType, amount, maxDiscount, discountAmount
+        })),
+        discountAmount: result.discountAmount,
+        finalAmount: originalAmount - result.discountAmount,
+        originalAmount
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error validating coupon',
-      error: error.message
-    });
+    if (error.statusCode === 400 && error.data) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        ...error.data
+      });
+    }
+    sendServiceError(res, error, 'Error validating coupon');
   }
 };
 
-// @desc    Get coupon usage statistics
-// @route   GET /api/coupons/:id/stats
+// @desc    Get coupon usage statistics (all coupons without an ID)
+// @route   GET /api/coupons/:id/stats, GET /api/coupons/stats/overview
 // @access  Private (Admin only)
 const getCouponStats = async (req, res) => {
   try {
@@ -379,6 +356,15 @@ const getCouponStats = async (req, res) => {
 
     const { id } = req.params;
 
+    // /stats/overview: all coupons
+    if (!id) {
+      const overview = await CouponService.getOverview({ currency: req.query.currency });
+      return res.status(200).json({
+        success: true,
+        data: { stats: overview }
+      });
+    }
+
     const coupon = await Coupon.findById(id);
     if (!coupon) {
       return res.status(404).json({
@@ -400,7 +386,7 @@ const getCouponStats = async (req, res) => {
     );
 
     const usageByMonth = await Booking.aggregate([
-      { $match: { couponApplied: id } },
+      { $match: { couponApplied: coupon._id } },
       {
         $group: {
           _id: {
@@ -492,7 +478,9 @@ const getAvailableCoupons = async (req, res) => {
     const query = {
       isActive: true,
       validFrom: { $lte: new Date() },
-      validTo: { $gte: new Date() }
+      validTo: { $gte: new Date() },
+      // Coupons issued to particular users (referral rewards) are not listed
+      'targeting.users.0': { $exists: false }
     };
 
     // Filter by applicable listings/services
@@ -551,7 +539,8 @@ const getPublicActiveCoupons = async (req, res) => {
 
     // More lenient query - remove strict date filtering for now
     const query = {
-      isActive: isActive === 'true'
+      isActive: isActive === 'true',
+      'targeting.users.0': { $exists: false }
       // Temporarily remove date filtering to see all active coupons
       // validFrom: { $lte: new Date() },
       // validTo: { $gte: new Date() }
@@ -575,6 +564,262 @@ const getPublicActiveCoupons = async (req, res) => {
   }
 };
 
+const COUPON_STATES = ['active', 'scheduled', 'expired', 'exhausted', 'inactive'];
+
+const parsePage = (query, defaultLimit = 20) => ({
+  page: Math.max(1, parseInt(query.page, 10) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(query.limit, 10) || defaultLimit))
+});
+
+// @desc    Get coupons the user can still use and the ones they have used
+// @route   GET /api/coupons/my-coupons
+// @access  Private
+const getMyCoupons = async (req, res) => {
+  try {
+    const coupons = await CouponService.getUserCoupons(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: coupons
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching your coupons');
+  }
+};
+
+// @desc    Get coupon by ID (full details for admins)
+// @route   GET /api/coupons/:id
+// @access  Private
+const getCouponById = async (req, res) => {
+  if (req.user.role === 'admin') {
+    return getCoupon(req, res);
+  }
+
+  try {
+    if (invalidCouponId(res, req.params.id)) return;
+
+    const coupon = await Coupon.findOne({ _id: req.params.id, isActive: true })
+      .select('code couponImage discountType amount maxDiscount minBookingAmount validFrom validTo usageLimit usedCount applicableToListings applicableToServices')
+      .populate('applicableToListings', 'title')
+      .populate('applicableToServices', 'title');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { coupon: CouponService.withState(coupon) }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching coupon');
+  }
+};
+
+// @desc    Record a use of a coupon by the current user
+// @route   POST /api/coupons/:id/use
+// @access  Private
+const useCoupon = async (req, res) => {
+  try {
+    if (invalidCouponId(res, req.params.id)) return;
+
+    const coupon = await CouponService.redeem(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied',
+      data: { coupon }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error using coupon');
+  }
+};
+
+// @desc    Get usage summary of a coupon
+// @route   GET /api/coupons/:id/usage
+// @access  Private (Admin only)
+const getCouponUsage = async (req, res) => {
+  try {
+    if (invalidCouponId(res, req.params.id)) return;
+
+    const usage = await CouponService.getUsage(req.params.id, { currency: req.query.currency });
+
+    res.status(200).json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching coupon usage');
+  }
+};
+
+// @desc    Get each use of a coupon with the guest and booking
+// @route   GET /api/coupons/:id/usage-history
+// @access  Private (Admin only)
+const getCouponUsageHistory = async (req, res) => {
+  try {
+    if (invalidCouponId(res, req.params.id)) return;
+
+    const history = await CouponService.getUsageHistory(req.params.id, parsePage(req.query));
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching coupon usage history');
+  }
+};
+
+// @desc    Get the most redeemed coupons in a period
+// @route   GET /api/coupons/stats/popular
+// @access  Private (Admin only)
+const getPopularCoupons = async (req, res) => {
+  try {
+    const { from, to, currency } = req.query;
+
+    const popular = await CouponService.getPopularCoupons({
+      from,
+      to,
+      currency,
+      limit: Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10))
+    });
+
+    res.status(200).json({
+      success: true,
+      data: popular
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching popular coupons');
+  }
+};
+
+// @desc    Compare coupon bookings with non-coupon bookings in a period
+// @route   GET /api/coupons/stats/effectiveness
+// @access  Private (Admin only)
+const getCouponEffectiveness = async (req, res) => {
+  try {
+    const { from, to, currency, couponId } = req.query;
+    if (couponId && invalidCouponId(res, couponId)) return;
+
+    const report = await CouponService.getEffectiveness({ from, to, currency, couponId });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching coupon effectiveness');
+  }
+};
+
+// @desc    Get all coupons with their state
+// @route   GET /api/coupons/admin/all
+// @access  Private (Admin only)
+const getAllCouponsAdmin = async (req, res) => {
+  try {
+    const { state, search, batchId } = req.query;
+    if (state && !COUPON_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        message: `state must be one of: ${COUPON_STATES.join(', ')}`
+      });
+    }
+
+    const result = await CouponService.listCoupons({ state, search, batchId, ...parsePage(req.query) });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching coupons');
+  }
+};
+
+// @desc    Get coupons past their end date or out of uses
+// @route   GET /api/coupons/admin/expired
+// @access  Private (Admin only)
+const getExpiredCoupons = async (req, res) => {
+  try {
+    const result = await CouponService.listExpiredCoupons(parsePage(req.query));
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching expired coupons');
+  }
+};
+
+// @desc    Get coupons that can be redeemed now
+// @route   GET /api/coupons/admin/active
+// @access  Private (Admin only)
+const getActiveCoupons = async (req, res) => {
+  try {
+    const result = await CouponService.listCoupons({ state: 'active', ...parsePage(req.query) });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching active coupons');
+  }
+};
+
+// @desc    Activate or deactivate a coupon
+// @route   PATCH /api/coupons/admin/:id/status
+// @access  Private (Admin only)
+const updateCouponStatus = async (req, res) => {
+  try {
+    if (invalidCouponId(res, req.params.id)) return;
+
+    const { isActive } = req.body;
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false'
+      });
+    }
+
+    const coupon = await CouponService.setStatus(req.params.id, isActive);
+
+    res.status(200).json({
+      success: true,
+      message: `Coupon ${isActive ? 'activated' : 'deactivated'}`,
+      data: { coupon }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error updating coupon status');
+  }
+};
+
+// @desc    Generate a batch of coupons with random codes and shared rules
+// @route   POST /api/coupons/admin/bulk-create
+// @access  Private (Admin only)
+const bulkCreateCoupons = async (req, res) => {
+  try {
+    const { pattern, prefix, randomLength, count, rules } = req.body;
+
+    const batch = await CouponService.bulkCreate(req.user, { pattern, prefix, randomLength, count, rules });
+
+    res.status(201).json({
+      success: true,
+      message: batch.count < batch.requested
+        ? `Created ${batch.count} of ${batch.requested} coupons; the pattern ran short of unused codes`
+        : `Created ${batch.count} coupons`,
+      data: batch
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error creating coupons');
+  }
+};
+
 module.exports = {
   createCoupon,
   getCoupons,
@@ -585,29 +830,17 @@ module.exports = {
   getCouponStats,
   getMyCouponUsage,
   getAvailableCoupons,
-  getPublicActiveCoupons
+  getPublicActiveCoupons,
+  getMyCoupons,
+  getCouponById,
+  useCoupon,
+  getCouponUsage,
+  getCouponUsageHistory,
+  getPopularCoupons,
+  getCouponEffectiveness,
+  getAllCouponsAdmin,
+  getExpiredCoupons,
+  getActiveCoupons,
+  updateCouponStatus,
+  bulkCreateCoupons
 };
-
-// --- STUBS FOR UNIMPLEMENTED ROUTE HANDLERS ---
-const notImplemented = (name) => (req, res) => res.status(501).json({ success: false, message: `${name} not implemented yet` });
-
-const stubMethods = [
-  'getAllCoupons',
-  'getMyCoupons',
-  'getCouponById',
-  'useCoupon',
-  'getCouponUsage',
-  'getCouponUsageHistory',
-  'getPopularCoupons',
-  'getCouponEffectiveness',
-  'getAllCouponsAdmin',
-  'getExpiredCoupons',
-  'getActiveCoupons',
-  'updateCouponStatus',
-  'bulkCreateCoupons'
-];
-stubMethods.forEach((name) => {
-  if (typeof module.exports[name] === 'undefined') {
-    module.exports[name] = notImplemented(name);
-  }
-}); 
\ No newline at end of file
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const DamageClaimService = require('../services/damageClaim.service');
+
+const CLAIM_STATUSES = ['pending_guest', 'contested', 'accepted', 'resolved', 'withdrawn'];
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+const invalidClaimId = (res, claimId) => {
+  if (mongoose.Types.ObjectId.isValid(claimId)) {
+    return false;
+  }
+  res.status(400).json({ success: false, message: 'Invalid damage claim ID' });
+  return true;
+};
+
+// @desc    Get the security deposit and damage claims for a booking
+// @route   GET /api/bookings/:id/damage-claims
+// @access  Private (guest, host or admin)
+const getBookingClaims = async (req, res) => {
+  try {
+    const result = await DamageClaimService.getBookingClaims(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching damage claims');
+  }
+};
+
+// @desc    File a damage claim against the security deposit
+// @route   POST /api/bookings/:id/damage-claims
+// @access  Private (host only)
+const fileClaim = async (req, res) => {
+  try {
+    const claim = await DamageClaimService.fileClaim(req.params.id, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Damage claim filed. The guest has been asked to accept or contest it.',
+      data: { claim }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error filing damage claim');
+  }
+};
+
+// @desc    Accept a damage claim
+// @route   POST /api/bookings/:id/damage-claims/:claimId/accept
+// @access  Private (guest only)
+const acceptClaim = async (req, res) => {
+  try {
+    if (invalidClaimId(res, req.params.claimId)) return;
+
+    const claim = await DamageClaimService.respondToClaim(req.params.id, req.params.claimId, req.user, {
+      accepted: true,
+      message: req.body.message
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Damage claim accepted. The rest of your security deposit will be refunded.',
+      data: { claim }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error accepting damage claim');
+  }
+};
+
+// @desc    Contest a damage claim
+// @route   POST /api/bookings/:id/damage-claims/:claimId/contest
+// @access  Private (guest only)
+const contestClaim = async (req, res) => {
+  try {
+    if (invalidClaimId(res, req.params.claimId)) return;
+
+    const claim = await DamageClaimService.respondToClaim(req.params.id, req.params.claimId, req.user, {
+      accepted: false,
+      message: req.body.message
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Damage claim contested. Our team will review it.',
+      data: { claim }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error contesting damage claim');
+  }
+};
+
+// @desc    Withdraw a damage claim
+// @route   POST /api/bookings/:id/damage-claims/:claimId/withdraw
+// @access  Private (host only)
+const withdrawClaim = async (req, res) => {
+  try {
+    if (invalidClaimId(res, req.params.claimId)) return;
+
+    const claim = await DamageClaimService.withdrawClaim(req.params.id, req.params.claimId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Damage claim withdrawn',
+      data: { claim }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error withdrawing damage claim');
+  }
+};
+
+// @desc    Get damage claims for review
+// @route   GET /api/admin/damage-claims
+// @access  Private (Admin only)
+const getClaims = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    if (status && !CLAIM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${CLAIM_STATUSES.join(', ')}`
+      });
+    }
+
+    const result = await DamageClaimService.getClaims({
+      status,
+      page: Math.max(1, parseInt(page, 10) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit, 10) || 20))
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching damage claims');
+  }
+};
+
+// @desc    Get a damage claim
+// @route   GET /api/admin/damage-claims/:id
+// @access  Private (Admin only)
+const getClaim = async (req, res) => {
+  try {
+    if (invalidClaimId(res, req.params.id)) return;
+
+    const claim = await DamageClaimService.getClaim(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: { claim }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching damage claim');
+  }
+};
+
+// @desc    Decide a contested damage claim
+// @route   POST /api/admin/damage-claims/:id/resolve
+// @access  Private (Admin only)
+const resolveClaim = async (req, res) => {
+  try {
+    if (invalidClaimId(res, req.params.id)) return;
+
+    const { awardedAmount, notes } = req.body;
+    if (awardedAmount === undefined || awardedAmount === null || !(Number(awardedAmount) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'awardedAmount is required and cannot be negative'
+      });
+    }
+
+    const claim = await DamageClaimService.resolveClaim(req.params.id, req.user, {
+      awardedAmount: Number(awardedAmount),
+      notes
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Damage claim resolved: ${claim.currency} ${claim.approvedAmount} awarded to the host`,
+      data: { claim }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error resolving damage claim');
+  }
+};
+
+module.exports = {
+  getBookingClaims,
+  fileClaim,
+  acceptClaim,
+  contestClaim,
+  withdrawClaim,
+  getClaims,
+  getClaim,
+  resolveClaim
+};
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const DisputeService = require('../services/dispute.service');
+
+const DISPUTE_STATUSES = ['open', 'under_review', 'won', 'lost'];
+const OUTCOMES = ['won', 'lost'];
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+const invalidDisputeId = (res, disputeId) => {
+  if (mongoose.Types.ObjectId.isValid(disputeId)) {
+    return false;
+  }
+  res.status(400).json({ success: false, message: 'Invalid dispute ID' });
+  return true;
+};
+
+// @desc    Open disputes by response deadline, with counts and amount at stake
+// @route   GET /api/admin/disputes/dashboard
+// @access  Private (Admin only)
+const getDisputeDashboard = async (req, res) => {
+  try {
+    const dashboard = await DisputeService.getDashboard();
+
+    res.status(200).json({
+      success: true,
+      data: dashboard
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching dispute dashboard');
+  }
+};
+
+// @desc    Get payment disputes
+// @route   GET /api/admin/disputes
+// @access  Private (Admin only)
+const getDisputes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    if (status && !DISPUTE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${DISPUTE_STATUSES.join(', ')}`
+      });
+    }
+
+    const result = await DisputeService.getDisputes({
+      status,
+      page: Math.max(1, parseInt(page, 10) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit, 10) || 20))
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching disputes');
+  }
+};
+
+// @desc    Get a payment dispute with the booking's payouts
+// @route   GET /api/admin/disputes/:id
+// @access  Private (Admin only)
+const getDispute = async (req, res) => {
+  try {
+    if (invalidDisputeId(res, req.params.id)) return;
+
+    const result = await DisputeService.getDispute(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching dispute');
+  }
+};
+
+// @desc    Build (or rebuild) the evidence pack for a dispute
+// @route   POST /api/admin/disputes/:id/evidence
+// @access  Private (Admin only)
+const buildEvidencePack = async (req, res) => {
+  try {
+    if (invalidDisputeId(res, req.params.id)) return;
+
+    const dispute = await DisputeService.buildEvidencePack(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Evidence pack built',
+      data: { evidence: dispute.evidence }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error building evidence pack');
+  }
+};
+
+// @desc    Record that the evidence pack was sent to the gateway
+// @route   POST /api/admin/disputes/:id/evidence/submit
+// @access  Private (Admin only)
+const submitEvidence = async (req, res) => {
+  try {
+    if (invalidDisputeId(res, req.params.id)) return;
+
+    const dispute = await DisputeService.submitEvidence(req.params.id, req.user, { notes: req.body.notes });
+
+    res.status(200).json({
+      success: true,
+      message: 'Evidence submitted. The dispute is under review by the gateway.',
+      data: { dispute }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error submitting dispute evidence');
+  }
+};
+
+// @desc    Record a dispute outcome the gateway did not send by webhook
+// @route   POST /api/admin/disputes/:id/resolve
+// @access  Private (Admin only)
+const resolveDispute = async (req, res) => {
+  try {
+    if (invalidDisputeId(res, req.params.id)) return;
+
+    const { outcome, amountLost, notes } = req.body;
+    if (!OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `outcome must be one of: ${OUTCOMES.join(', ')}`
+      });
+    }
+    if (amountLost !== undefined && amountLost !== null && !(Number(amountLost) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'amountLost cannot be negative'
+      });
+    }
+
+    const dispute = await DisputeService.resolveDispute(req.params.id, req.user, {
+      outcome,
+      amountLost: amountLost === undefined || amountLost === null ? undefined : Number(amountLost),
+      notes
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Dispute marked as ${dispute.status}`,
+      data: { dispute }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error resolving dispute');
+  }
+};
+
+module.exports = {
+  getDisputeDashboard,
+  getDisputes,
+  getDispute,
+  buildEvidencePack,
+  submitEvidence,
+  resolveDispute
+};
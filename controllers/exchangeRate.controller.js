@@ -0,0 +1,169 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const CurrencyService = require('../services/currency.service');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+const formatRate = (entry) => ({
+  id: entry._id,
+  baseCurrency: entry.baseCurrency,
+  currency: entry.currency,
+  rate: entry.rate,
+  inverseRate: Math.round((1 / entry.rate) * 1e6) / 1e6,
+  source: entry.source,
+  isActive: entry.isActive,
+  effectiveFrom: entry.effectiveFrom,
+  effectiveTo: entry.effectiveTo,
+  changeReason: entry.changeReason,
+  createdBy: entry.createdBy?.name || entry.createdBy,
+  version: entry.version
+});
+
+// @desc    Current exchange rates (public, for currency pickers)
+// @route   GET /api/pricing/exchange-rates
+// @access  Public
+const getPublicRates = async (req, res) => {
+  try {
+    const table = await CurrencyService.getRateTable();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency: CurrencyService.baseCurrency,
+        supportedCurrencies: CurrencyService.supportedCurrencies,
+        rates: table.rates,
+        updatedAt: table.updatedAt
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching exchange rates');
+  }
+};
+
+// @desc    Current exchange rates with their metadata
+// @route   GET /api/admin/exchange-rates
+// @access  Private (Admin only)
+const getRates = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.getActiveRates().populate('createdBy', 'name email');
+    const configured = new Set(rates.map(rate => rate.currency));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        baseCurrency: CurrencyService.baseCurrency,
+        rates: rates.map(formatRate),
+        missingCurrencies: CurrencyService.supportedCurrencies.filter(
+          currency => currency !== CurrencyService.baseCurrency && !configured.has(currency)
+        )
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching exchange rates');
+  }
+};
+
+// @desc    Set the rate for one currency
+// @route   PUT /api/admin/exchange-rates/:currency
+// @access  Private (Admin only)
+const updateRate = async (req, res) => {
+  try {
+    const { rate, changeReason } = req.body;
+
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate is required and must be a positive number'
+      });
+    }
+
+    const entry = await CurrencyService.setRate(req.params.currency, rate, req.user._id, {
+      source: 'manual',
+      changeReason: changeReason || 'Exchange rate updated via admin panel'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Exchange rate for ${entry.currency} updated`,
+      data: { rate: formatRate(entry) }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error updating exchange rate');
+  }
+};
+
+// @desc    Import rates from a CSV file (`currency,rate[,reason]`)
+// @route   POST /api/admin/exchange-rates/import
+// @access  Private (Admin only)
+const importRates = async (req, res) => {
+  try {
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+    if (!csvText) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV file as "file" or send its contents as "csv"'
+      });
+    }
+
+    const { imported, unchanged } = await CurrencyService.importRatesCsv(csvText, req.user._id, {
+      changeReason: req.body.changeReason
+    });
+
+    console.log(`💱 Exchange rates imported by ${req.user.email}: ${imported.length} updated, ${unchanged.length} unchanged`);
+
+    res.status(200).json({
+      success: true,
+      message: `${imported.length} exchange rate${imported.length === 1 ? '' : 's'} updated`,
+      data: {
+        imported: imported.map(formatRate),
+        unchanged
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error importing exchange rates');
+  }
+};
+
+// @desc    Exchange rate history, newest first
+// @route   GET /api/admin/exchange-rates/history
+// @access  Private (Admin only)
+const getRateHistory = async (req, res) => {
+  try {
+    const { currency, limit = 50 } = req.query;
+    const limitNum = Math.min(500, Math.max(1, parseInt(limit, 10) || 50));
+
+    const history = await ExchangeRate.getRateHistory(currency || null, limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        history: history.map(formatRate),
+        totalChanges: history.length
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching exchange rate history');
+  }
+};
+
+module.exports = {
+  getPublicRates,
+  getRates,
+  updateRate,
+  importRates,
+  getRateHistory
+};
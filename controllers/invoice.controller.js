@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const InvoiceService = require('../services/invoice.service');
+const generateInvoicePdf = require('../utils/generateInvoicePdf');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+const findAccessibleInvoice = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.invoiceId)) {
+    res.status(400).json({ success: false, message: 'Invalid invoice ID' });
+    return null;
+  }
+
+  const invoice = await Invoice.findById(req.params.invoiceId)
+    .populate('originalInvoice', 'invoiceNumber issuedAt');
+
+  if (!invoice) {
+    res.status(404).json({ success: false, message: 'Invoice not found' });
+    return null;
+  }
+  if (!InvoiceService.canAccess(invoice, req.user)) {
+    res.status(403).json({ success: false, message: 'You are not authorized to view this invoice' });
+    return null;
+  }
+  return invoice;
+};
+
+const fileName = (invoice) => `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+// @desc    Invoice or credit note as JSON (`?format=gst` for the e-invoice layout)
+// @route   GET /api/invoices/:invoiceId
+// @access  Private (guest, host or admin)
+const getInvoice = async (req, res) => {
+  try {
+    const invoice = await findAccessibleInvoice(req, res);
+    if (!invoice) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoice: req.query.format === 'gst' ? InvoiceService.toGstJson(invoice) : invoice
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching invoice');
+  }
+};
+
+// @desc    Download invoice or credit note as PDF
+// @route   GET /api/invoices/:invoiceId/pdf
+// @access  Private (guest, host or admin)
+const downloadInvoicePdf = async (req, res) => {
+  try {
+    const invoice = await findAccessibleInvoice(req, res);
+    if (!invoice) return;
+
+    const pdf = await generateInvoicePdf(invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName(invoice)}"`);
+    res.send(pdf);
+  } catch (error) {
+    sendServiceError(res, error, 'Error generating invoice PDF');
+  }
+};
+
+// @desc    Invoices and credit notes for a booking
+// @route   GET /api/bookings/:id/invoices
+// @access  Private (guest, host or admin)
+const getBookingInvoices = async (req, res) => {
+  try {
+    const invoices = await Invoice.find({ booking: req.params.id })
+      .populate('originalInvoice', 'invoiceNumber issuedAt')
+      .sort({ issuedAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoices,
+        count: invoices.length
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching booking invoices');
+  }
+};
+
+// @desc    List invoices and credit notes
+// @route   GET /api/admin/invoices
+// @access  Private (Admin only)
+const getAllInvoices = async (req, res) => {
+  try {
+    const { documentType, invoiceType, financialYear, gstin, search, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const query = {};
+    if (documentType) query.documentType = documentType;
+    if (invoiceType) query.invoiceType = invoiceType;
+    if (financialYear) query.financialYear = financialYear;
+    if (gstin) query['supplier.gstin'] = gstin.toUpperCase();
+    if (search) {
+      if (mongoose.Types.ObjectId.isValid(search)) {
+        query.$or = [{ booking: search }, { refund: search }];
+      } else {
+        query.invoiceNumber = search.toUpperCase();
+      }
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .populate('guest', 'name email')
+        .populate('host', 'name email')
+        .populate('originalInvoice', 'invoiceNumber issuedAt')
+        .sort({ issuedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Invoice.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching invoices');
+  }
+};
+
+// @desc    Issue any missing invoices for a booking
+// @route   POST /api/admin/bookings/:bookingId/invoices
+// @access  Private (Admin only)
+const issueBookingInvoices = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+    if (!InvoiceService.getPlatformSupplier()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Invoicing is not configured (PLATFORM_GSTIN)'
+      });
+    }
+
+    const invoices = await InvoiceService.issueBookingInvoices(req.params.bookingId);
+
+    res.status(200).json({
+      success: true,
+      message: `${invoices.length} invoice${invoices.length === 1 ? '' : 's'} on booking`,
+      data: { invoices }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error issuing invoices');
+  }
+};
+
+module.exports = {
+  getInvoice,
+  downloadInvoicePdf,
+  getBookingInvoices,
+  getAllInvoices,
+  issueBookingInvoices
+};
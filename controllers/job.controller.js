@@ -0,0 +1,220 @@
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const JobScheduler = require('../services/scheduler.service');
+
+// @desc    List scheduler jobs
+// @route   GET /api/admin/jobs
+// @access  Private (Admin only)
+const getJobs = async (req, res) => {
+  try {
+    const { type, status, name, paused, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+    const query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (name) query.name = name;
+    if (paused !== undefined) query.paused = paused === 'true';
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .sort({ type: -1, nextRunAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Job.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => ({
+          ...job.toObject(),
+          hasHandler: JobScheduler.isDefined(job.name)
+        })),
+        instanceId: JobScheduler.instanceId,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching jobs',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a job with its recent runs
+// @route   GET /api/admin/jobs/:jobId
+// @access  Private (Admin only)
+const getJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const recentRuns = await JobRun.find({ job: job._id })
+      .sort({ startedAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      success: true,
+      data: { job, recentRuns }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Job run history
+// @route   GET /api/admin/jobs/runs
+// @route   GET /api/admin/jobs/:jobId/runs
+// @access  Private (Admin only)
+const getJobRuns = async (req, res) => {
+  try {
+    const { status, jobName, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+    const query = {};
+    if (req.params.jobId) query.job = req.params.jobId;
+    if (jobName) query.jobName = jobName;
+    if (status) query.status = status;
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .populate('triggeredBy', 'name email')
+        .sort({ startedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      JobRun.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job runs',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Pause a job (it stays scheduled but is not picked up)
+// @route   POST /api/admin/jobs/:jobId/pause
+// @access  Private (Admin only)
+const pauseJob = async (req, res) => {
+  try {
+    const job = await JobScheduler.setPaused(req.params.jobId, true, req.user);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    console.log(`⏸️ Job ${job.name} paused by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job paused',
+      data: { job }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error pausing job',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resume a paused job
+// @route   POST /api/admin/jobs/:jobId/resume
+// @access  Private (Admin only)
+const resumeJob = async (req, res) => {
+  try {
+    const job = await JobScheduler.setPaused(req.params.jobId, false, req.user);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    console.log(`▶️ Job ${job.name} resumed by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job resumed',
+      data: { job }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming job',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Run a job now on this instance and return the run record
+// @route   POST /api/admin/jobs/:jobId/trigger
+// @access  Private (Admin only)
+const triggerJob = async (req, res) => {
+  try {
+    const run = await JobScheduler.triggerNow(req.params.jobId, { triggeredBy: req.user._id });
+
+    res.status(200).json({
+      success: run.status === 'succeeded',
+      message: run.status === 'succeeded' ? 'Job run completed' : 'Job run failed',
+      data: { run }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error triggering job',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJob,
+  getJobRuns,
+  pauseJob,
+  resumeJob,
+  triggerJob
+};
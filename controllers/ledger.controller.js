@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerService = require('../services/ledger.service');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    Chart of accounts with balances and the trial balance, per currency
+// @route   GET /api/admin/ledger/accounts
+// @access  Private (Admin only)
+const getAccountBalances = async (req, res) => {
+  try {
+    const { asOf, currency } = req.query;
+    if (asOf && isNaN(new Date(asOf).getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid asOf date' });
+    }
+
+    const balances = await LedgerService.getAccountBalances({ asOf, currency });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chartOfAccounts: LedgerService.ACCOUNTS,
+        balances,
+        asOf: asOf ? new Date(asOf) : new Date()
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching ledger balances');
+  }
+};
+
+// @desc    List journal entries
+// @route   GET /api/admin/ledger/entries
+// @access  Private (Admin only)
+const getLedgerEntries = async (req, res) => {
+  try {
+    const { type, account, booking, payment, payout, currency, from, to, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    for (const [name, value] of Object.entries({ booking, payment, payout })) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ success: false, message: `Invalid ${name} ID` });
+      }
+    }
+
+    const query = {};
+    if (type) query.type = type;
+    if (account) query['lines.account'] = account;
+    if (booking) query.booking = booking;
+    if (payment) query.payment = payment;
+    if (payout) query.payout = payout;
+    if (currency) query.currency = currency.toUpperCase();
+    if (from || to) {
+      query.postedAt = {};
+      if (from) query.postedAt.$gte = new Date(from);
+      if (to) query.postedAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .sort({ postedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching ledger entries');
+  }
+};
+
+// @desc    Journal for one booking with per-account totals
+// @route   GET /api/admin/ledger/bookings/:bookingId
+// @access  Private (Admin only)
+const getBookingJournal = async (req, res) => {
+  try {
+    const journal = await LedgerService.getBookingJournal(req.params.bookingId);
+
+    res.status(200).json({
+      success: true,
+      data: journal
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching booking journal');
+  }
+};
+
+// @desc    Bookings whose entries do not balance or settle, and settled payments with no entries
+// @route   GET /api/admin/ledger/reconciliation
+// @access  Private (Admin only)
+const getReconciliation = async (req, res) => {
+  try {
+    const { from, to, limit } = req.query;
+    const report = await LedgerService.reconcile({
+      from,
+      to,
+      limit: Math.min(5000, Math.max(1, parseInt(limit, 10) || 500))
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error reconciling ledger');
+  }
+};
+
+// @desc    Post a reversing entry
+// @route   POST /api/admin/ledger/entries/:id/reverse
+// @access  Private (Admin only)
+const reverseLedgerEntry = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid ledger entry ID' });
+    }
+
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'Reversal reason is required' });
+    }
+
+    const reversal = await LedgerService.reverseEntry(req.params.id, {
+      description: `Reversed by ${req.user.email}: ${reason}`,
+      postedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Ledger entry reversed',
+      data: reversal
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error reversing ledger entry');
+  }
+};
+
+// @desc    Queue ledger postings for existing payments, refunds and payouts
+// @route   POST /api/admin/ledger/backfill
+// @access  Private (Admin only)
+const backfillLedger = async (req, res) => {
+  try {
+    const queued = await LedgerService.backfill();
+
+    res.status(202).json({
+      success: true,
+      message: 'Ledger postings queued',
+      data: queued
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error queuing ledger backfill');
+  }
+};
+
+module.exports = {
+  getAccountBalances,
+  getLedgerEntries,
+  getBookingJournal,
+  getReconciliation,
+  reverseLedgerEntry,
+  backfillLedger
+};
@@ -4,6 +4,8 @@ const Booking = require('../models/Booking');
 const Review = require('../models/Review');
 const Wishlist = require('../models/Wishlist');
 const Notification = require('../models/Notification');
+const ListingSearchService = require('../services/listingSearch.service');
+const CurrencyService = require('../services/currency.service');
 const slugify = require('slugify');
 
 // Helper function to transform listing data for frontend
@@ -33,7 +35,7 @@ const transformListingForFrontend = (listing) => {
       ...(transformed.features || []).slice(0, 2)
     ],
     // Add instant bookable flag
-    instantBookable: false,
+    instantBookable: transformed.instantBook?.enabled || false,
     // Ensure coordinates are properly accessible for map markers
     coordinates: transformed.location?.coordinates || transformed.coordinates,
     // Ensure location object has proper structure
@@ -44,6 +46,33 @@ const transformListingForFrontend = (listing) => {
   };
 };
 
+// Add `displayPrice` in the requested currency to transformed listings.
+// Listings whose currency has no configured rate keep only their own price.
+const addDisplayPrices = async (listings, displayCurrency) => {
+  if (!displayCurrency) {
+    return listings;
+  }
+
+  const currency = CurrencyService.normalizeCurrency(displayCurrency);
+  const table = await CurrencyService.getRateTable();
+
+  return listings.map(listing => {
+    try {
+      const rate = CurrencyService.rateFromTable(table, listing.price.currency, currency);
+      return {
+        ...listing,
+        displayPrice: {
+          amount: CurrencyService.convert(listing.price.amount, rate),
+          currency,
+          rate
+        }
+      };
+    } catch (error) {
+      return listing;
+    }
+  });
+};
+
 // @desc    Create new property listing
 // @route   POST /api/listings
 // @access  Private (Hosts only)
@@ -71,6 +100,9 @@ const createListing = async (req, res) => {
       cancellationPolicy,
       hourlyBooking,
       enable24HourBooking,
+      instantBook,
+      paymentPlan,
+      bookingRequestExpiryHours,
       images
     } = req.body;
 
@@ -182,6 +214,9 @@ const createListing = async (req, res) => {
         }
       },
       enable24HourBooking: enable24HourBooking || false,
+      instantBook: instantBook || { enabled: false },
+      paymentPlan: paymentPlan || { enabled: false },
+      bookingRequestExpiryHours,
       images: transformedImages,
       seo: {
         slug
@@ -422,7 +457,7 @@ const getListings = async (req, res) => {
     }
 
     // Transform listings for frontend
-    const transformedListings = listings.map(transformListingForFrontend);
+    const transformedListings = await addDisplayPrices(listings.map(transformListingForFrontend), req.query.currency);
 
     res.status(200).json({
       success: true,
@@ -437,7 +472,7 @@ const getListings = async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error fetching listings',
       error: error.message
@@ -518,7 +553,7 @@ const getListing = async (req, res) => {
       }
       responseData = listingObj;
     } else {
-      responseData = transformListingForFrontend(listing);
+      [responseData] = await addDisplayPrices([transformListingForFrontend(listing)], req.query.currency);
     }
     
 
@@ -533,7 +568,7 @@ const getListing = async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error fetching listing',
       error: error.message
@@ -1078,6 +1113,61 @@ const getSimilarListings = async (req, res) => {
   }
 };
 
+// @desc    Faceted listing search with availability filtering
+// @route   GET /api/listings/search
+// @access  Public
+const searchListings = async (req, res) => {
+  try {
+    let params;
+    try {
+      params = ListingSearchService.parseQuery(req.query);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { listings, total, facets, priceHistogram } = await ListingSearchService.search(params);
+    const transformedListings = await addDisplayPrices(listings.map(transformListingForFrontend), req.query.currency);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        listings: transformedListings,
+        pagination: {
+          currentPage: params.page,
+          totalPages: Math.ceil(total / params.limit),
+          totalItems: total,
+          itemsPerPage: params.limit
+        },
+        facets,
+        priceHistogram,
+        appliedFilters: {
+          checkIn: params.checkIn,
+          checkOut: params.checkOut,
+          guests: params.guests,
+          minPrice: params.minPrice,
+          maxPrice: params.maxPrice,
+          type: params.type,
+          placeType: params.placeType,
+          propertyType: params.propertyType,
+          amenities: params.amenities,
+          features: params.features,
+          sortBy: params.sortBy || (params.lat !== null && !params.bounds ? 'distance' : 'newest')
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error searching listings:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error searching listings',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createListing,
   getListings,
@@ -1090,6 +1180,7 @@ module.exports = {
   getFeaturedListings,
   getSponseredListings,
   getSimilarListings,
+  searchListings,
   publishListing,
   publishApprovedListing,
   unpublishListing
@@ -1269,7 +1360,6 @@ const notImplemented = (name) => (req, res) => res.status(501).json({ success: f
 // List of all referenced route handlers in listing.routes.js that need stubs
 const stubMethods = [
   'getAllListings',
-  'searchListings',
   'getListingCategories',
   'getPopularLocations',
   'uploadPhotos',
@@ -0,0 +1,278 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const MessagingService = require('../services/messaging.service');
+
+const PARTICIPANT_FIELDS = 'name profileImage';
+
+const populateConversation = (query) => {
+  return query
+    .populate('guest', PARTICIPANT_FIELDS)
+    .populate('host', PARTICIPANT_FIELDS)
+    .populate('listing', 'title images location.city')
+    .populate('service', 'title')
+    .populate('booking', 'checkIn checkOut status receiptId');
+};
+
+// Shape a thread for the requesting user: their role and unread count
+const formatConversation = (conversation, userId, isAdmin) => {
+  const data = conversation.toObject ? conversation.toObject() : conversation;
+  const id = userId.toString();
+  const guestId = (data.guest?._id || data.guest).toString();
+  const role = guestId === id ? 'guest' : ((data.host?._id || data.host).toString() === id ? 'host' : null);
+
+  return {
+    ...data,
+    role: role || (isAdmin ? 'admin' : null),
+    unread: role ? data.unreadCount?.[role] || 0 : 0,
+    otherParticipant: role === 'guest' ? data.host : role === 'host' ? data.guest : null
+  };
+};
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    Get my conversations with unread counts
+// @route   GET /api/messages/conversations
+// @access  Private (participants; admins see all threads)
+const getConversations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, role, listingId, bookingId, unreadOnly, userId } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const me = req.user._id;
+
+    let query;
+    if (req.isAdmin) {
+      query = userId ? { $or: [{ guest: userId }, { host: userId }] } : {};
+    } else if (role === 'guest') {
+      query = { guest: me };
+      if (unreadOnly === 'true') query['unreadCount.guest'] = { $gt: 0 };
+    } else if (role === 'host') {
+      query = { host: me };
+      if (unreadOnly === 'true') query['unreadCount.host'] = { $gt: 0 };
+    } else {
+      query = unreadOnly === 'true'
+        ? { $or: [{ guest: me, 'unreadCount.guest': { $gt: 0 } }, { host: me, 'unreadCount.host': { $gt: 0 } }] }
+        : { $or: [{ guest: me }, { host: me }] };
+    }
+    if (listingId) query.listing = listingId;
+    if (bookingId) query.booking = bookingId;
+
+    const [conversations, total, unreadTotal] = await Promise.all([
+      populateConversation(Conversation.find(query))
+        .sort({ lastMessageAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Conversation.countDocuments(query),
+      req.isAdmin ? Promise.resolve(0) : MessagingService.getUnreadTotal(me)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        conversations: conversations.map(c => formatConversation(c, me, req.isAdmin)),
+        unreadTotal,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversations',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Total unread messages for the current user
+// @route   GET /api/messages/unread-count
+// @access  Private
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadTotal = await MessagingService.getUnreadTotal(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { unreadTotal }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unread count',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start (or reopen) a conversation about a listing, service or booking
+// @route   POST /api/messages/conversations
+// @access  Private
+const startConversation = async (req, res) => {
+  try {
+    if (req.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admins cannot start host–guest conversations'
+      });
+    }
+
+    const { listingId, serviceId, bookingId, content, messageType, mediaUrl } = req.body;
+
+    const key = await MessagingService.resolveConversationKey(req.user, { listingId, serviceId, bookingId });
+    const conversation = await MessagingService.findOrCreateConversation(key);
+
+    let message = null;
+    if ((content && content.trim()) || mediaUrl) {
+      message = await MessagingService.sendMessage(conversation, req.user, { content, messageType, mediaUrl });
+    }
+
+    const populated = await populateConversation(Conversation.findById(conversation._id));
+
+    res.status(message ? 201 : 200).json({
+      success: true,
+      message: message ? 'Message sent successfully' : 'Conversation ready',
+      data: {
+        conversation: formatConversation(populated, req.user._id, false),
+        message
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error starting conversation');
+  }
+};
+
+// @desc    Get a conversation
+// @route   GET /api/messages/conversations/:id
+// @access  Private (participants or admin)
+const getConversation = async (req, res) => {
+  try {
+    const conversation = await populateConversation(Conversation.findById(req.conversation._id));
+
+    res.status(200).json({
+      success: true,
+      data: { conversation: formatConversation(conversation, req.user._id, req.isAdmin) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching conversation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get messages in a conversation (newest first)
+// @route   GET /api/messages/conversations/:id/messages
+// @access  Private (participants or admin)
+const getMessages = async (req, res) => {
+  try {
+    const { page = 1, limit = 30, before } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 30));
+
+    const query = { conversation: req.conversation._id };
+    // Cursor-style paging for infinite scroll: messages older than `before`
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'before must be a valid date'
+        });
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const [messages, total] = await Promise.all([
+      Message.find(query)
+        .populate('sender', PARTICIPANT_FIELDS)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(before ? 0 : (pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Message.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messages,
+        pagination: {
+          currentPage: before ? 1 : pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching messages',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a text/image/link message
+// @route   POST /api/messages/conversations/:id/messages
+// @access  Private (participants only)
+const sendMessage = async (req, res) => {
+  try {
+    const { content, messageType, mediaUrl } = req.body;
+
+    const message = await MessagingService.sendMessage(req.conversation, req.user, { content, messageType, mediaUrl });
+    await message.populate('sender', PARTICIPANT_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: { message }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error sending message');
+  }
+};
+
+// @desc    Mark all messages I received in a conversation as read
+// @route   PATCH /api/messages/conversations/:id/read
+// @access  Private (participants only)
+const markConversationRead = async (req, res) => {
+  try {
+    const markedCount = await MessagingService.markAsRead(req.conversation, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation marked as read',
+      data: { markedCount }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error marking conversation as read');
+  }
+};
+
+module.exports = {
+  getConversations,
+  getUnreadCount,
+  startConversation,
+  getConversation,
+  getMessages,
+  sendMessage,
+  markConversationRead
+};
@@ -1,28 +1,99 @@
+const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const Payout = require('../models/Payout');
 const Booking = require('../models/Booking');
+const Property = require('../models/Property');
 const User = require('../models/User');
-const Coupon = require('../models/Coupon');
 const Refund = require('../models/Refund');
 const Notification = require('../models/Notification');
 const PaymentService = require('../services/payment.service');
-const razorpayService = require('../services/razorpay.service');
+const InvoiceService = require('../services/invoice.service');
+const LedgerService = require('../services/ledger.service');
+const PayoutService = require('../services/payout.service');
+const PaymentGatewayService = require('../services/paymentGateway.service');
+const CurrencyService = require('../services/currency.service');
+const PaymentMethodService = require('../services/paymentMethod.service');
+const PaymentPlanService = require('../services/paymentPlan.service');
+const CouponEligibilityService = require('../services/couponEligibility.service');
+const WalletService = require('../services/wallet.service');
+const WebhookEventService = require('../services/webhookEvent.service');
+const { getProvider, listProviders } = require('../services/paymentProviders');
 const { verifyPricingToken } = require('../middlewares/pricingSecurity.middleware');
 const { 
   verifyPaymentAmount, 
   validateBookingParameters,
   paymentRateLimit,
   paymentSessionManager,
-  generateIdempotencyKey,
-  verifyWebhookSignature
+  generateIdempotencyKey
 } = require('../utils/paymentSecurity');
 
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      data: error.data
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// A lock left by a request that died mid-charge expires after this long
+const PAYMENT_LOCK_MS = 10 * 60 * 1000;
+
+// Claim an unpaid booking for a saved-method charge; null if another request holds it or it is paid
+const lockBookingForCharge = (bookingId, idempotencyKey) => Booking.findOneAndUpdate(
+  {
+    _id: bookingId,
+    paymentStatus: 'pending',
+    $or: [
+      { 'paymentLock.lockedAt': null },
+      { 'paymentLock.lockedAt': { $lte: new Date(Date.now() - PAYMENT_LOCK_MS) } }
+    ]
+  },
+  { $set: { paymentLock: { idempotencyKey, lockedAt: new Date() } } },
+  { new: true }
+);
+
+const releaseBookingLock = (bookingId) => Booking.updateOne({ _id: bookingId }, { $unset: { paymentLock: 1 } });
+
+// Give back a saved-method charge whose booking could not be paid
+const refundSavedMethodCharge = async (booking, verifiedPayment) => {
+  try {
+    await PaymentGatewayService.refundPayment(
+      {
+        currency: booking.currency || 'INR',
+        charge: { currency: verifiedPayment.currency, rate: verifiedPayment.rate },
+        paymentDetails: { paymentGateway: verifiedPayment.provider, transactionId: verifiedPayment.paymentId }
+      },
+      booking.totalAmount,
+      'Booking payment could not be completed',
+      { bookingId: booking._id.toString() }
+    );
+  } catch (refundError) {
+    console.error(`❌ Error refunding saved method charge ${verifiedPayment.paymentId} for booking ${booking._id}:`, refundError);
+  }
+};
+
+const invalidMethodId = (res, methodId) => {
+  if (mongoose.Types.ObjectId.isValid(methodId)) {
+    return false;
+  }
+  res.status(400).json({ success: false, message: 'Invalid payment method ID' });
+  return true;
+};
+
 // @desc    Process payment (enhanced with fee calculation)
 // @route   POST /api/payments/process
 // @access  Private
 const processPayment = async (req, res) => {
   try {
-    const { bookingId, paymentMethod, couponCode, ipAddress, userAgent, paymentData, idempotencyKey } = req.body;
+    const { bookingId, paymentMethod, ipAddress, userAgent, paymentData, idempotencyKey, savedMethodId } = req.body;
     
     // Rate limiting check
     if (!paymentRateLimit.isAllowed(req.user._id)) {
@@ -100,7 +171,10 @@ const processPayment = async (req, res) => {
         extraGuests: booking.guests?.adults > 1 ? booking.guests.adults - 1 : 0,
         hourlyExtension: booking.hourlyExtension?.cost || 0,
         discountAmount: booking.discountAmount || 0,
-        currency: booking.currency || 'INR'
+        currency: booking.currency || 'INR',
+        nightlyBreakdown: booking.pricingBreakdown?.nightlyBreakdown,
+        hostPromotion: booking.pricingBreakdown?.hostPromotion,
+        pricingConfigVersion: booking.pricingConfigVersion
       });
       
       if (!amountVerification.isValid) {
@@ -125,137 +199,118 @@ const processPayment = async (req, res) => {
       });
     }
     
+    // A saved payment method is charged here, so no checkout proof is needed
+    let savedMethod = null;
+    if (savedMethodId) {
+      try {
+        savedMethod = await PaymentMethodService.getMethod(req.user._id, savedMethodId, { withToken: true });
+      } catch (methodError) {
+        return sendServiceError(res, methodError, 'Error loading saved payment method');
+      }
+
+      if (!(await lockBookingForCharge(booking._id, idempotencyKey))) {
+        return res.status(409).json({
+          success: false,
+          message: 'This booking is already being paid or has been paid'
+        });
+      }
+    }
+    const chargedMethod = paymentMethod || savedMethod.paymentMethod;
+
     // Create payment session for tracking
     const sessionId = paymentSessionManager.createSession({
       bookingId,
       userId: req.user._id,
-      paymentMethod,
+      paymentMethod: chargedMethod,
       amount: booking.totalAmount,
       currency: booking.currency
     });
     
-    // Apply coupon if provided
-    let coupon = null;
-    if (couponCode) {
-      coupon = await Coupon.findOne({ 
-        code: couponCode.toUpperCase(), 
-        isActive: true, 
-        validFrom: { $lte: new Date() }, 
-        validTo: { $gte: new Date() } 
+    // Apply coupons if provided; one that does not apply is skipped
+    const couponCodes = CouponEligibilityService.requestedCodes(req.body);
+    if (couponCodes.length > 0) {
+      // Discount applies to subtotal, not total amount
+      const evaluatedCoupons = await CouponEligibilityService.evaluateOrSkip(couponCodes, {
+        user: req.user,
+        listingId: booking.listing,
+        serviceId: booking.service,
+        checkIn: booking.checkIn,
+        checkOut: booking.checkOut,
+        amount: booking.subtotal
       });
-      
-      if (coupon) {
-        const hasUsed = coupon.usedBy.some(usage => usage.user.toString() === req.user.id);
-        if (!hasUsed) {
-        if (coupon.discountType === 'percentage') {
-          // Apply discount to subtotal, not total amount
-          const discount = (booking.subtotal * coupon.amount) / 100;
-          const maxDiscount = coupon.maxDiscount || discount;
-          booking.discountAmount = Math.min(discount, maxDiscount);
-        } else {
-          booking.discountAmount = coupon.amount;
-        }
-          booking.couponApplied = coupon._id;
-          coupon.usedCount += 1;
-          coupon.usedBy.push({ user: req.user.id, usedAt: new Date() });
-          await coupon.save();
-        }
+      const couponResult = await CouponEligibilityService.redeemOrSkip(evaluatedCoupons, req.user._id);
+      if (couponResult.coupons.length > 0) {
+        booking.discountAmount = couponResult.discountAmount;
+        booking.couponApplied = couponResult.coupons[0]._id;
+        booking.appliedCoupons = couponResult.applied;
       }
     }
-    
-    if (!paymentData || !paymentData.razorpayOrderId || !paymentData.razorpayPaymentId || !paymentData.razorpaySignature) {
-      return res.status(400).json({
-        success: false,
-        message: 'Razorpay payment proof is required'
-      });
-    }
 
-    // Verify Razorpay payment
-    let razorpayOrderId = paymentData.razorpayOrderId;
-    let razorpayPaymentId = paymentData.razorpayPaymentId;
-    let razorpaySignature = paymentData.razorpaySignature;
-    let isPaymentVerified = false;
-    let razorpayPaymentDetails = null;
-
-    {
-      // Verify payment signature
-      isPaymentVerified = razorpayService.verifyPayment(
-        razorpayOrderId,
-        razorpayPaymentId,
-        razorpaySignature
-      );
-
-      if (!isPaymentVerified) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid payment signature. Payment verification failed.'
-        });
-      }
-
-      // Get payment details from Razorpay
+    let checkoutProof;
+    let verifiedPayment;
+    if (savedMethod) {
       try {
-        razorpayPaymentDetails = await razorpayService.getPaymentDetails(razorpayPaymentId);
-      } catch (razorpayError) {
-        console.error('❌ Error fetching Razorpay payment details:', razorpayError);
-        return res.status(400).json({
-          success: false,
-          message: 'Failed to verify payment with Razorpay',
-          error: razorpayError.message
-        });
-      }
-
-      const expectedAmountPaise = Math.round(Number(booking.totalAmount) * 100);
-      const expectedCurrency = booking.currency || 'INR';
-      const razorpayStatus = razorpayPaymentDetails?.status;
-
-      if (razorpayPaymentDetails?.order_id !== razorpayOrderId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Razorpay order mismatch'
+        verifiedPayment = await PaymentMethodService.chargeMethod(req.user, savedMethod, {
+          ...PaymentGatewayService.toChargeAmount(booking, booking.totalAmount),
+          receipt: `BKG_${bookingId}`,
+          notes: {
+            bookingId: bookingId.toString(),
+            userId: req.user._id.toString(),
+            description: `Payment for booking ${bookingId}`
+          }
         });
+      } catch (chargeError) {
+        await releaseBookingLock(booking._id);
+        return sendServiceError(res, chargeError, 'Error charging saved payment method');
       }
-
-      const paidAmountPaise = Number(razorpayPaymentDetails?.amount);
-      const amountDiff = Math.abs(paidAmountPaise - expectedAmountPaise);
-      // Allow tolerance of ₹1 (100 paise) to avoid false mismatches due to rounding
-      if (amountDiff > 100) {
-        return res.status(400).json({
-          success: false,
-          message: 'Razorpay amount mismatch',
-          error: `Expected ${expectedAmountPaise}, got ${paidAmountPaise}`,
-          amountDiffPaise: amountDiff
-        });
-      }
-
-      if (razorpayPaymentDetails?.currency !== expectedCurrency) {
+      checkoutProof = {
+        provider: verifiedPayment.provider,
+        orderId: verifiedPayment.orderId,
+        paymentId: verifiedPayment.paymentId
+      };
+    } else {
+      checkoutProof = PaymentGatewayService.getCheckoutProof(paymentData);
+      if (!checkoutProof) {
         return res.status(400).json({
           success: false,
-          message: 'Razorpay currency mismatch'
+          message: 'Payment proof is required'
         });
       }
 
-      if (!['authorized', 'captured'].includes(razorpayStatus)) {
-        return res.status(400).json({
+      // Verify the payment with its gateway
+      try {
+        verifiedPayment = await PaymentGatewayService.verifyCheckout(
+          checkoutProof,
+          PaymentGatewayService.toChargeAmount(booking, booking.totalAmount)
+        );
+      } catch (verifyError) {
+        return res.status(verifyError.statusCode || 400).json({
           success: false,
-          message: `Payment status is not successful: ${razorpayStatus || 'unknown'}`
+          message: verifyError.message
         });
       }
     }
+    const gatewayFields = PaymentGatewayService.toPaymentFields(verifiedPayment, checkoutProof);
 
     // Process payment using PaymentService with enhanced security
     const paymentServiceData = {
-      paymentMethod,
-      transactionId: razorpayPaymentId || `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      gateway: 'razorpay',
-      gatewayResponse: razorpayPaymentDetails,
+      paymentMethod: chargedMethod,
+      cardLast4: savedMethod?.last4,
+      cardBrand: savedMethod?.brand,
+      savedMethod: savedMethod?._id,
+      transactionId: gatewayFields.paymentDetails.transactionId,
+      gatewayOrderId: gatewayFields.paymentDetails.gatewayOrderId,
+      gateway: gatewayFields.paymentDetails.paymentGateway,
+      gatewayResponse: gatewayFields.paymentDetails.gatewayResponse,
+      charge: gatewayFields.charge,
       ipAddress: ipAddress || req.ip,
       userAgent: userAgent || req.get('User-Agent'),
       source: 'web',
       sessionId,
       idempotencyKey,
-      razorpayOrderId,
-      razorpayPaymentId,
-      razorpaySignature,
+      razorpayOrderId: gatewayFields.razorpayOrderId,
+      razorpayPaymentId: gatewayFields.razorpayPaymentId,
+      razorpaySignature: gatewayFields.razorpaySignature,
       securityMetadata: {
         userAgent: req.get('User-Agent'),
         ipAddress: req.ip,
@@ -267,13 +322,29 @@ const processPayment = async (req, res) => {
       }
     };
     
-    const { payment, feeBreakdown } = await PaymentService.processPayment(bookingId, paymentServiceData, req.user);
-    
-    // Update booking status to confirmed after successful payment
-    booking.status = 'confirmed';
-    booking.paymentStatus = 'paid';
-    await booking.save();
+    let payment;
+    let feeBreakdown;
+    try {
+      ({ payment, feeBreakdown } = await PaymentService.processPayment(bookingId, paymentServiceData, req.user));
+
+      // Update booking status to confirmed after successful payment
+      booking.status = 'confirmed';
+      booking.paymentStatus = 'paid';
+      await booking.save();
+    } catch (processError) {
+      // The saved method was charged by us, so the charge is given back
+      if (savedMethod) {
+        await refundSavedMethodCharge(booking, verifiedPayment);
+        if (payment) {
+          await Payment.updateOne({ _id: payment._id }, { $set: { status: 'refunded' } });
+        }
+        await releaseBookingLock(booking._id);
+      }
+      throw processError;
+    }
     console.log(`✅ Booking ${bookingId} confirmed after payment processing`);
+    await InvoiceService.queueBookingInvoices(booking._id);
+    await LedgerService.queuePayment(payment._id);
     
     // Update availability status to 'booked' after successful payment
     try {
@@ -322,6 +393,8 @@ const confirmPayment = async (req, res) => {
     // For now, just confirm the payment
     payment.status = 'completed';
     await payment.save();
+    await LedgerService.queuePayment(payment._id);
+    await PayoutService.queuePaymentPayouts(payment._id);
     
     // Update booking status to confirmed
     if (payment.booking) {
@@ -611,7 +684,7 @@ const getBookingPayments = async (req, res) => {
 const processRefund = async (req, res) => {
   try {
     const { paymentId } = req.params;
-    const { amount, reason, type, userNotes } = req.body;
+    const { amount, reason, type, userNotes, refundMethod = 'original_payment_method' } = req.body;
     
     const payment = await Payment.findById(paymentId);
     if (!payment) {
@@ -629,6 +702,10 @@ const processRefund = async (req, res) => {
     if (amount > payment.amount) {
       return res.status(400).json({ success: false, message: 'Refund amount cannot exceed payment amount' });
     }
+
+    if (!['original_payment_method', 'wallet_credit'].includes(refundMethod)) {
+      return res.status(400).json({ success: false, message: 'refundMethod must be original_payment_method or wallet_credit' });
+    }
     
     // Process refund using PaymentService
     const refundData = {
@@ -636,6 +713,7 @@ const processRefund = async (req, res) => {
       reason,
       type,
       userNotes,
+      refundMethod,
       adminNotes: req.user.role === 'admin' ? req.body.adminNotes : null
     };
     
@@ -646,7 +724,9 @@ const processRefund = async (req, res) => {
       message: 'Refund processed successfully', 
       data: { 
         refund,
-        message: `Refund of ₹${amount} has been processed. It will be credited to your original payment method within 3-5 business days.`
+        message: refund.walletAmount >= amount
+          ? `Refund of ₹${amount} will be credited to your wallet.`
+          : `Refund of ₹${amount} has been processed. It will be credited to your original payment method within 3-5 business days.`
       } 
     });
   } catch (error) {
@@ -730,103 +810,89 @@ const getRefundById = async (req, res) => {
   }
 };
 
-// @desc    Get payment methods
+// @desc    Get saved payment methods
 // @route   GET /api/payments/methods
 // @access  Private
 const getPaymentMethods = async (req, res) => {
   try {
-    const mockMethods = [
-      {
-        id: 'method_1',
-        type: 'card',
-        last4: '1234',
-        brand: 'Visa',
-        isDefault: true
-      },
-      {
-        id: 'method_2',
-        type: 'upi',
-        upiId: 'user@upi',
-        isDefault: false
-      }
-    ];
-    
+    const paymentMethods = await PaymentMethodService.listMethods(req.user._id);
+
     res.status(200).json({
       success: true,
-      data: { paymentMethods: mockMethods }
+      data: { paymentMethods }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching payment methods',
-      error: error.message
+    sendServiceError(res, error, 'Error fetching payment methods');
+  }
+};
+
+// @desc    Start saving a payment method with a gateway
+// @route   POST /api/payments/methods/setup
+// @access  Private
+const setupPaymentMethod = async (req, res) => {
+  try {
+    const setup = await PaymentMethodService.startSetup(req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: setup
     });
+  } catch (error) {
+    sendServiceError(res, error, 'Error starting payment method setup');
   }
 };
 
-// @desc    Add payment method
+// @desc    Save a payment method from its gateway token
 // @route   POST /api/payments/methods
 // @access  Private
 const addPaymentMethod = async (req, res) => {
   try {
-    const { type, details, isDefault } = req.body;
-    
-    res.status(201).json({
+    const { method, duplicate } = await PaymentMethodService.addMethod(req.user, req.body);
+
+    res.status(duplicate ? 200 : 201).json({
       success: true,
-      message: 'Payment method added successfully',
-      data: { 
-        id: `method_${Date.now()}`,
-        type,
-        isDefault: isDefault || false
-      }
+      message: duplicate ? 'This payment method was already saved and has been updated' : 'Payment method saved successfully',
+      data: { paymentMethod: PaymentMethodService.present(method) }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error adding payment method',
-      error: error.message
-    });
+    sendServiceError(res, error, 'Error adding payment method');
   }
 };
 
-// @desc    Update payment method
+// @desc    Rename a saved payment method or make it the default
 // @route   PUT /api/payments/methods/:methodId
 // @access  Private
 const updatePaymentMethod = async (req, res) => {
   try {
-    const { methodId } = req.params;
-    const { details } = req.body;
-    
+    if (invalidMethodId(res, req.params.methodId)) return;
+
+    const method = await PaymentMethodService.updateMethod(req.user._id, req.params.methodId, req.body);
+
     res.status(200).json({
       success: true,
-      message: 'Payment method updated successfully'
+      message: 'Payment method updated successfully',
+      data: { paymentMethod: PaymentMethodService.present(method) }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error updating payment method',
-      error: error.message
-    });
+    sendServiceError(res, error, 'Error updating payment method');
   }
 };
 
-// @desc    Delete payment method
+// @desc    Delete a saved payment method
 // @route   DELETE /api/payments/methods/:methodId
 // @access  Private
 const deletePaymentMethod = async (req, res) => {
   try {
-    const { methodId } = req.params;
-    
+    if (invalidMethodId(res, req.params.methodId)) return;
+
+    await PaymentMethodService.removeMethod(req.user._id, req.params.methodId);
+
     res.status(200).json({
       success: true,
       message: 'Payment method deleted successfully'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting payment method',
-      error: error.message
-    });
+    sendServiceError(res, error, 'Error deleting payment method');
   }
 };
 
@@ -835,165 +901,35 @@ const deletePaymentMethod = async (req, res) => {
 // @access  Private
 const setDefaultPaymentMethod = async (req, res) => {
   try {
-    const { methodId } = req.params;
-    
-    res.status(200).json({
-      success: true,
-      message: 'Default payment method updated successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error setting default payment method',
-      error: error.message
-    });
-  }
-};
+    if (invalidMethodId(res, req.params.methodId)) return;
 
-// @desc    Payment webhooks (enhanced security)
-// @route   POST /api/payments/webhook/stripe
-// @access  Public
-const stripeWebhook = async (req, res) => {
-  try {
-    const signature = req.get('stripe-signature');
-    const payload = req.rawBody || (Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body));
-    const parsedBody = Buffer.isBuffer(req.body) ? JSON.parse(payload) : req.body;
-    
-    // Verify webhook signature (when real Stripe is integrated)
-    if (process.env.STRIPE_WEBHOOK_SECRET) {
-      const isValidSignature = verifyWebhookSignature(
-        payload, 
-        signature, 
-        process.env.STRIPE_WEBHOOK_SECRET
-      );
-      
-      if (!isValidSignature) {
-        console.error('❌ Invalid webhook signature');
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Invalid webhook signature' 
-        });
-      }
-    }
-    
-    // Log webhook for security audit
-    console.log('🔒 Webhook received:', {
-      timestamp: new Date().toISOString(),
-      signature: signature ? 'present' : 'missing',
-      event: parsedBody?.type || null,
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
-    });
-    
-    // Process webhook based on event type
-    const event = parsedBody;
-    
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSuccess(event.data.object);
-        break;
-      case 'payment_intent.payment_failed':
-        await handleWebhookPaymentFailure(event.data.object);
-        break;
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
-    }
-    
-    res.status(200).json({ received: true });
-  } catch (error) {
-    console.error('❌ Webhook processing error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error processing webhook',
-      error: error.message
-    });
-  }
-};
+    const method = await PaymentMethodService.setDefault(req.user._id, req.params.methodId);
 
-// Handle successful payment
-const handlePaymentSuccess = async (paymentIntent) => {
-  try {
-    const payment = await Payment.findOne({ 
-      'paymentDetails.transactionId': paymentIntent.id 
-    });
-    
-    if (payment) {
-      payment.status = 'completed';
-      payment.processedAt = new Date();
-      payment.paymentDetails.gatewayResponse = paymentIntent;
-      await payment.save();
-      
-      // Update booking status
-      const booking = await Booking.findById(payment.booking);
-      if (booking) {
-        booking.paymentStatus = 'paid';
-        booking.status = 'confirmed';
-        await booking.save();
-      }
-      
-      console.log('✅ Payment confirmed:', payment._id);
-    }
-  } catch (error) {
-    console.error('❌ Error handling payment success:', error);
-  }
-};
-
-// Handle failed payment (webhook helper)
-const handleWebhookPaymentFailure = async (paymentIntent) => {
-  try {
-    const payment = await Payment.findOne({ 
-      'paymentDetails.transactionId': paymentIntent.id 
+    res.status(200).json({
+      success: true,
+      message: 'Default payment method updated successfully',
+      data: { paymentMethod: PaymentMethodService.present(method) }
     });
-    
-    if (payment) {
-      payment.status = 'failed';
-      payment.paymentDetails.gatewayResponse = paymentIntent;
-      await payment.save();
-      
-      // Update booking status
-      const booking = await Booking.findById(payment.booking);
-      if (booking) {
-        booking.paymentStatus = 'failed';
-        booking.status = 'cancelled';
-        await booking.save();
-      }
-      
-      console.log('❌ Payment failed:', payment._id);
-    }
   } catch (error) {
-    console.error('❌ Error handling payment failure:', error);
+    sendServiceError(res, error, 'Error setting default payment method');
   }
 };
 
-// @desc    PayPal webhook (mock)
-// @route   POST /api/payments/webhook/paypal
-// @access  Public
-const paypalWebhook = async (req, res) => {
-  try {
-    res.status(200).json({ received: true });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error processing webhook',
-      error: error.message
-    });
-  }
-};
-
-// @desc    Create Razorpay order
+// @desc    Create a gateway order (Razorpay, Stripe, PayPal or mock)
 // @route   POST /api/payments/create-order
 // @access  Private
-const createRazorpayOrder = async (req, res) => {
+const createPaymentOrder = async (req, res) => {
   try {
-    const { bookingId, propertyId, amount, currency = 'INR', pricingToken, pricingContext } = req.body;
+    const { bookingId, propertyId, amount, currency = 'INR', guestCurrency, pricingToken, pricingContext, provider, paymentOption, walletAmount } = req.body;
     let finalAmount = null;
     let finalCurrency = currency;
     let finalPropertyId = propertyId || null;
+    let booking = null;
 
     // If bookingId is provided, verify booking exists and user owns it.
     // Amount must come from booking total, never from client amount.
     if (bookingId) {
-      const booking = await Booking.findById(bookingId);
+      booking = await Booking.findById(bookingId);
       if (!booking) {
         return res.status(404).json({
           success: false,
@@ -1054,6 +990,19 @@ const createRazorpayOrder = async (req, res) => {
       finalCurrency = pricingContext.currency || finalCurrency;
       finalPropertyId = pricingContext.propertyId || finalPropertyId;
 
+      // Payment plan: the order is for the deposit only
+      if (paymentOption === 'deposit') {
+        const property = await Property.findById(finalPropertyId).select('paymentPlan');
+        const offer = PaymentPlanService.getPlanOffer(property, pricingContext.checkIn, finalAmount);
+        if (!offer) {
+          return res.status(400).json({
+            success: false,
+            message: 'A payment plan is not available for this booking'
+          });
+        }
+        finalAmount = offer.depositAmount;
+      }
+
       if (propertyId && finalPropertyId && propertyId.toString() !== finalPropertyId.toString()) {
         return res.status(400).json({
           success: false,
@@ -1076,57 +1025,84 @@ const createRazorpayOrder = async (req, res) => {
       });
     }
 
-    // Verify Razorpay is initialized, try to initialize if not
-    if (!razorpayService.isInitialized()) {
-      console.error('Razorpay not initialized. Check RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in .env');
-      return res.status(500).json({
-        success: false,
-        message: 'Payment gateway not configured. Please contact support.',
-        error: 'Razorpay service not initialized. Please check server logs.'
+    // Wallet balance used at checkout: the gateway order is for the rest
+    const walletUse = Number(walletAmount) || 0;
+    if (walletUse > 0) {
+      await WalletService.assertCanSpend(req.user._id, walletUse, finalCurrency);
+      if (walletUse >= finalAmount) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your wallet covers the full amount; no payment order is needed'
+        });
+      }
+      finalAmount = Math.round((finalAmount - walletUse) * 100) / 100;
+    }
+
+    // The guest is charged in their currency: at the booking's locked rate, or
+    // at the current rate before the booking exists (locked again at checkout)
+    let charge;
+    if (booking) {
+      charge = PaymentGatewayService.toChargeAmount(booking, finalAmount);
+    } else {
+      const guestRate = await CurrencyService.getGuestRate({
+        currency: finalCurrency,
+        guestCurrency,
+        preferredCurrency: req.user.preferredCurrency
       });
+      charge = { ...guestRate, amount: CurrencyService.convert(finalAmount, guestRate.rate) };
     }
 
-    // Razorpay receipt ID must be max 40 characters
+    // Receipt IDs are capped at 40 characters (Razorpay's limit)
     const timestamp = Date.now().toString().slice(-10);
     const shortId = (finalPropertyId || bookingId || 'temp').toString().slice(-12);
     const randomStr = Math.random().toString(36).substr(2, 6);
     const receiptId = `RCP_${shortId}_${timestamp}_${randomStr}`.substring(0, 40);
 
-    console.log('Creating Razorpay order', {
-      amount: finalAmount,
-      currency: finalCurrency,
+    console.log('Creating payment order', {
+      provider: provider || 'default',
+      amount: charge.amount,
+      currency: charge.currency,
+      bookingAmount: finalAmount,
+      bookingCurrency: finalCurrency,
       receiptId,
       propertyId: finalPropertyId,
       bookingId
     });
 
-    const order = await razorpayService.createOrder(finalAmount, finalCurrency, receiptId, {
-      bookingId: bookingId?.toString() || null,
-      propertyId: finalPropertyId?.toString() || null,
-      userId: req.user._id.toString(),
-      description: bookingId
-        ? `Payment for booking ${bookingId}`
-        : `Payment for property ${finalPropertyId || 'booking'}`
+    const order = await PaymentGatewayService.createOrder({
+      provider,
+      amount: charge.amount,
+      currency: charge.currency,
+      receipt: receiptId,
+      notes: {
+        bookingId: bookingId?.toString() || null,
+        propertyId: finalPropertyId?.toString() || null,
+        userId: req.user._id.toString(),
+        description: bookingId
+          ? `Payment for booking ${bookingId}`
+          : `Payment for property ${finalPropertyId || 'booking'}`
+      }
     });
 
     res.status(200).json({
       success: true,
-      data: {
-        orderId: order.orderId,
-        amount: order.amount / 100,
-        currency: order.currency,
-        key: process.env.RAZORPAY_KEY_ID,
-        receipt: order.receipt
-      }
+      data: order
     });
   } catch (error) {
-    console.error('Error creating Razorpay order:', error);
+    console.error('Error creating payment order:', error);
 
-    if (error.message && error.message.includes('Razorpay not initialized')) {
+    if (error.statusCode === 503) {
       return res.status(500).json({
         success: false,
         message: 'Payment gateway not configured. Please contact support.',
-        error: 'Razorpay credentials missing'
+        error: error.message
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
       });
     }
 
@@ -1146,81 +1122,25 @@ const createRazorpayOrder = async (req, res) => {
   }
 };
 
-// @desc    Razorpay webhook handler
-// @route   POST /api/payments/webhook/razorpay
+// @desc    Gateway webhook (Razorpay, Stripe, PayPal)
+// @route   POST /api/payments/webhook/:provider
 // @access  Public
-const razorpayWebhook = async (req, res) => {
+const handleWebhook = async (req, res) => {
   try {
-    const signature = req.get('X-Razorpay-Signature');
     const payload = req.rawBody || (Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body));
-    const parsedBody = Buffer.isBuffer(req.body) ? JSON.parse(payload) : req.body;
+    const { webhookEvent, duplicate } = await WebhookEventService.receive(req.params.provider, payload, req.headers);
 
-    // Verify webhook signature
-    const isValidSignature = razorpayService.verifyWebhookSignature(payload, signature);
-    
-    if (!isValidSignature) {
-      console.error('❌ Invalid Razorpay webhook signature');
-      return res.status(400).json({
+    res.status(200).json({ received: true, duplicate, status: webhookEvent?.status });
+  } catch (error) {
+    if (error.statusCode) {
+      console.error(`❌ ${req.params.provider} webhook rejected:`, error.message);
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Invalid webhook signature'
+        message: error.message
       });
     }
 
-    // Log webhook for security audit
-    console.log('🔒 Razorpay webhook received:', {
-      timestamp: new Date().toISOString(),
-      event: parsedBody.event,
-      ip: req.ip,
-      userAgent: req.get('User-Agent')
-    });
-
-    const event = parsedBody.event;
-    const paymentEntity = parsedBody.payload?.payment?.entity || parsedBody.payload?.payment;
-    const orderEntity = parsedBody.payload?.order?.entity || parsedBody.payload?.order;
-    const refundEntity = parsedBody.payload?.refund?.entity || parsedBody.payload?.refund;
-    const disputeEntity = parsedBody.payload?.dispute?.entity || parsedBody.payload?.dispute;
-
-    // Handle different webhook events
-    switch (event) {
-      case 'payment.authorized':
-        await handleRazorpayPaymentAuthorized(paymentEntity);
-        break;
-
-      case 'payment.captured':
-        await handleRazorpayPaymentSuccess(paymentEntity);
-        break;
-      
-      case 'payment.failed':
-        await handleRazorpayPaymentFailure(paymentEntity);
-        break;
-
-      case 'payment.dispute.created':
-        await handleRazorpayPaymentDisputeCreated(disputeEntity || paymentEntity);
-        break;
-
-      case 'order.paid':
-        await handleRazorpayOrderPaid(orderEntity);
-        break;
-      
-      case 'refund.created':
-        await handleRazorpayRefundCreated(refundEntity);
-        break;
-      
-      case 'refund.processed':
-        await handleRazorpayRefundProcessed(refundEntity);
-        break;
-
-      case 'refund.failed':
-        await handleRazorpayRefundFailed(refundEntity);
-        break;
-      
-      default:
-        console.log(`ℹ️ Unhandled Razorpay webhook event: ${event}`);
-    }
-
-    res.status(200).json({ received: true });
-  } catch (error) {
-    console.error('❌ Razorpay webhook processing error:', error);
+    console.error(`❌ ${req.params.provider} webhook processing error:`, error);
     res.status(500).json({
       success: false,
       message: 'Error processing webhook',
@@ -1229,293 +1149,52 @@ const razorpayWebhook = async (req, res) => {
   }
 };
 
-// Handle successful Razorpay payment
-const handleRazorpayPaymentSuccess = async (paymentEntity) => {
-  try {
-    const payment = await Payment.findOne({
-      razorpayPaymentId: paymentEntity.id
-    });
-
-    if (payment) {
-      payment.status = 'completed';
-      payment.paymentDetails.gatewayResponse = paymentEntity;
-      await payment.save();
-
-      // Update booking status
-      const booking = await Booking.findById(payment.booking);
-      if (booking) {
-        booking.paymentStatus = 'paid';
-        booking.status = 'confirmed';
-        await booking.save();
-      }
-
-      console.log('✅ Razorpay payment confirmed:', payment._id);
-    } else {
-      console.warn(`⚠️ Payment not found for Razorpay payment ID: ${paymentEntity.id}`);
-    }
-  } catch (error) {
-    console.error('❌ Error handling Razorpay payment success:', error);
-  }
-};
-
-// Handle Razorpay payment authorized (awaiting capture)
-const handleRazorpayPaymentAuthorized = async (paymentEntity) => {
-  try {
-    if (!paymentEntity?.id) {
-      console.warn('⚠️ Razorpay payment authorized webhook missing payment ID');
-      return;
-    }
-
-    const payment = await Payment.findOne({
-      razorpayPaymentId: paymentEntity.id
-    });
-
-    if (payment) {
-      payment.status = 'processing'; // within enum; capture will mark completed
-      payment.paymentDetails.gatewayResponse = paymentEntity;
-      await payment.save();
-
-      const booking = await Booking.findById(payment.booking);
-      if (booking) {
-        booking.paymentStatus = 'pending';
-        await booking.save();
-      }
-
-      console.log('✅ Razorpay payment authorized (awaiting capture):', payment._id);
-    } else {
-      console.warn(`⚠️ Payment not found for Razorpay payment ID: ${paymentEntity.id}`);
-    }
-  } catch (error) {
-    console.error('❌ Error handling Razorpay payment authorized:', error);
-  }
-};
-
-// Handle Razorpay payment dispute created
-const handleRazorpayPaymentDisputeCreated = async (disputeEntity) => {
+// @desc    Payment providers available for checkout
+// @route   GET /api/payments/providers
+// @access  Public
+const getPaymentProviders = async (req, res) => {
   try {
-    if (!disputeEntity) {
-      console.warn('⚠️ Razorpay dispute webhook missing dispute entity');
-      return;
-    }
-
-    const paymentId = disputeEntity.payment_id || disputeEntity.payment?.id || disputeEntity.paymentId;
-    if (!paymentId) {
-      console.warn('⚠️ Razorpay dispute webhook missing payment reference');
-      return;
-    }
-
-    const payment = await Payment.findOne({
-      razorpayPaymentId: paymentId
+    res.status(200).json({
+      success: true,
+      data: listProviders()
     });
-
-    if (payment) {
-      payment.paymentDetails.gatewayResponse = {
-        ...(payment.paymentDetails?.gatewayResponse || {}),
-        dispute: disputeEntity
-      };
-      // Keep status within allowed enum; mark as processing until resolved
-      payment.status = payment.status === 'completed' ? 'processing' : payment.status;
-      await payment.save();
-
-      const booking = await Booking.findById(payment.booking);
-      if (booking) {
-        booking.paymentStatus = 'pending';
-        await booking.save();
-      }
-
-      console.log('⚠️ Razorpay dispute created for payment:', payment._id);
-    } else {
-      console.warn(`⚠️ Payment not found for dispute on Razorpay payment ID: ${paymentId}`);
-    }
   } catch (error) {
-    console.error('❌ Error handling Razorpay dispute created:', error);
-  }
-};
-
-// Handle Razorpay order paid (order-level confirmation)
-const handleRazorpayOrderPaid = async (orderEntity) => {
-  try {
-    if (!orderEntity?.id) {
-      console.warn('⚠️ Razorpay order.paid webhook missing order ID');
-      return;
-    }
-
-    const payment = await Payment.findOne({
-      razorpayOrderId: orderEntity.id
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payment providers',
+      error: error.message
     });
-
-    if (payment) {
-      payment.status = 'completed';
-      payment.paymentDetails.gatewayResponse = {
-        ...(payment.paymentDetails?.gatewayResponse || {}),
-        order: orderEntity
-      };
-      await payment.save();
-
-      const booking = await Booking.findById(payment.booking);
-      if (booking) {
-        booking.paymentStatus = 'paid';
-        booking.status = 'confirmed';
-        await booking.save();
-      }
-
-      console.log('✅ Razorpay order paid:', payment._id);
-    } else {
-      console.warn(`⚠️ Payment not found for Razorpay order ID: ${orderEntity.id}`);
-    }
-  } catch (error) {
-    console.error('❌ Error handling Razorpay order paid:', error);
   }
 };
 
-// Handle failed Razorpay payment
-const handleRazorpayPaymentFailure = async (paymentEntity) => {
+// @desc    Complete a mock checkout with a chosen outcome (development only)
+// @route   POST /api/payments/mock/orders/:orderId/simulate
+// @access  Private
+const simulateMockPayment = async (req, res) => {
   try {
-    const payment = await Payment.findOne({
-      razorpayPaymentId: paymentEntity.id
-    });
-
-    if (payment) {
-      payment.status = 'failed';
-      payment.paymentDetails.gatewayResponse = paymentEntity;
-      await payment.save();
-
-      // Update booking status
-      const booking = await Booking.findById(payment.booking);
-      if (booking) {
-        booking.paymentStatus = 'failed';
-        booking.status = 'cancelled';
-        await booking.save();
-      }
-
-      // Revert availability
-      try {
-        const { updateAvailabilityStatus } = require('./availability.controller');
-        await updateAvailabilityStatus(payment.booking, 'available');
-      } catch (availabilityError) {
-        console.error('Error reverting availability status:', availabilityError);
-      }
-
-      console.log('❌ Razorpay payment failed:', payment._id);
+    const mockProvider = getProvider('mock', { requireConfigured: false });
+    if (!mockProvider.isConfigured()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock payments are not enabled'
+      });
     }
-  } catch (error) {
-    console.error('❌ Error handling Razorpay payment failure:', error);
-  }
-};
 
-// Handle Razorpay refund created
-const handleRazorpayRefundCreated = async (refundEntity) => {
-  try {
-    const refund = await Refund.findOne({
-      razorpayRefundId: refundEntity.id
+    const result = mockProvider.simulate(req.params.orderId, {
+      outcome: req.body.outcome,
+      delayMs: req.body.delayMs
     });
 
-    if (refund) {
-      refund.status = 'processing';
-      refund.gatewayResponse = refundEntity;
-      await refund.save();
-
-      console.log('✅ Razorpay refund created:', refund._id);
-    }
-  } catch (error) {
-    console.error('❌ Error handling Razorpay refund created:', error);
-  }
-};
-
-// Handle Razorpay refund failed
-const handleRazorpayRefundFailed = async (refundEntity) => {
-  try {
-    if (!refundEntity?.id) {
-      console.warn('⚠️ Razorpay refund.failed webhook missing refund ID');
-      return;
-    }
-
-    const refund = await Refund.findOne({
-      razorpayRefundId: refundEntity.id
+    res.status(200).json({
+      success: true,
+      data: { provider: 'mock', ...result }
     });
-
-    if (refund) {
-      refund.status = 'failed';
-      refund.gatewayResponse = refundEntity;
-      await refund.save();
-
-      const booking = await Booking.findById(refund.booking);
-      if (booking) {
-        booking.refundStatus = 'pending';
-        await booking.save();
-      }
-
-      console.log('⚠️ Razorpay refund failed:', refund._id);
-    } else {
-      console.warn(`⚠️ Refund record not found for Razorpay Refund ID: ${refundEntity.id}`);
-    }
   } catch (error) {
-    console.error('❌ Error handling Razorpay refund failed:', error);
-  }
-};
-
-// Handle Razorpay refund processed
-const handleRazorpayRefundProcessed = async (refundEntity) => {
-  try {
-    console.log('🔄 ===========================================');
-    console.log('🔄 RAZORPAY WEBHOOK - REFUND PROCESSED');
-    console.log('🔄 ===========================================');
-    console.log('💳 Razorpay Refund ID:', refundEntity.id);
-    console.log('💳 Payment ID:', refundEntity.payment_id);
-    console.log('💰 Refund Amount:', refundEntity.amount / 100, refundEntity.currency);
-    console.log('📊 Refund Status:', refundEntity.status);
-    console.log('🔄 ===========================================');
-    
-    const refund = await Refund.findOne({
-      razorpayRefundId: refundEntity.id
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error simulating payment',
+      error: error.message
     });
-
-    if (refund) {
-      console.log('✅ Refund record found in database:', refund._id);
-      console.log('📋 Refund Reference:', refund.refundReference);
-      
-      refund.status = 'completed';
-      refund.processedAt = new Date();
-      refund.gatewayResponse = refundEntity;
-      await refund.save();
-
-      console.log('✅ Refund status updated to: completed');
-
-      // Update booking refund status
-      const booking = await Booking.findById(refund.booking);
-      if (booking) {
-        console.log('✅ Booking found:', booking._id);
-        booking.refunded = true;
-        booking.refundStatus = 'completed';
-        booking.paymentStatus = refund.amount === booking.totalAmount ? 'refunded' : 'partially_refunded';
-        await booking.save();
-        console.log('✅ Booking payment status updated to:', booking.paymentStatus);
-      }
-
-      // Update payment status
-      const payment = await Payment.findById(refund.payment);
-      if (payment) {
-        console.log('✅ Payment found:', payment._id);
-        if (refund.amount === payment.amount) {
-          payment.status = 'refunded';
-        } else {
-          payment.status = 'partially_refunded';
-        }
-        await payment.save();
-        console.log('✅ Payment status updated to:', payment.status);
-      }
-      
-      console.log('✅ ===========================================');
-      console.log('✅ REFUND COMPLETED - MONEY REVERSED');
-      console.log('✅ ===========================================');
-      console.log('💰 Refund Amount:', refund.amount, refund.currency);
-      console.log('👤 Customer will receive money in 5-7 business days');
-      console.log('✅ ===========================================');
-    } else {
-      console.log('⚠️ Refund record not found for Razorpay Refund ID:', refundEntity.id);
-    }
-  } catch (error) {
-    console.error('❌ Error handling Razorpay refund processed:', error);
   }
 };
 
@@ -1899,14 +1578,15 @@ module.exports = {
   getRefundHistory,
   getRefundById,
   getPaymentMethods,
+  setupPaymentMethod,
   addPaymentMethod,
   updatePaymentMethod,
   deletePaymentMethod,
   setDefaultPaymentMethod,
-  createRazorpayOrder,
-  stripeWebhook,
-  paypalWebhook,
-  razorpayWebhook,
+  createPaymentOrder,
+  handleWebhook,
+  getPaymentProviders,
+  simulateMockPayment,
   getPaymentStats,
   getMonthlyPaymentStats,
   getPaymentMethodStats,
@@ -0,0 +1,60 @@
+const PaymentPlanService = require('../services/paymentPlan.service');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    Create the gateway order for a payment plan balance
+// @route   POST /api/bookings/:id/balance/order
+// @access  Private (guest)
+const createBalanceOrder = async (req, res) => {
+  try {
+    const { booking, order } = await PaymentPlanService.createBalanceOrder(req.params.id, req.user, {
+      provider: req.body.provider
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Balance payment order created',
+      data: {
+        order,
+        paymentPlan: booking.paymentPlan
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error creating balance payment order');
+  }
+};
+
+// @desc    Pay the balance of a payment plan booking
+// @route   POST /api/bookings/:id/balance/pay
+// @access  Private (guest)
+const payBalance = async (req, res) => {
+  try {
+    const result = await PaymentPlanService.payBalance(req.params.id, req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Balance paid. Your booking is now fully paid.',
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error processing balance payment');
+  }
+};
+
+module.exports = {
+  createBalanceOrder,
+  payBalance
+};
@@ -1,10 +1,31 @@
+const mongoose = require('mongoose');
 const Payout = require('../models/Payout');
+const PayoutPolicy = require('../models/PayoutPolicy');
 const Payment = require('../models/Payment');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const PaymentService = require('../services/payment.service');
+const LedgerService = require('../services/ledger.service');
+const PayoutService = require('../services/payout.service');
 
-// @desc    Get host's payout history
+const HOLD_REASONS = ['dispute', 'damage_claim', 'admin'];
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    Get host's payout history and upcoming payouts with expected dates
 // @route   GET /api/payouts/host
 // @access  Private (Host only)
 const getHostPayouts = async (req, res) => {
@@ -36,12 +57,14 @@ const getHostPayouts = async (req, res) => {
 
     // Get payout statistics
     const payoutStats = await PaymentService.getHostPayoutStats(req.user.id);
+    const upcoming = await PayoutService.getUpcomingPayouts(req.user.id);
 
     res.status(200).json({
       success: true,
       data: {
         payouts,
         payoutStats,
+        upcoming,
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(total / limit),
@@ -389,6 +412,7 @@ const reversePayout = async (req, res) => {
       notes
     };
     await payout.save();
+    await LedgerService.queuePayoutReversal(payout._id);
 
     // Send notification to host
     await Notification.create({
@@ -479,6 +503,118 @@ const bulkProcessPayouts = async (req, res) => {
   }
 };
 
+// @desc    Current payout policy and its history
+// @route   GET /api/payouts/admin/policy
+// @access  Private (Admin only)
+const getPayoutPolicy = async (req, res) => {
+  try {
+    const [policy, history] = await Promise.all([
+      PayoutService.getPolicy(),
+      PayoutPolicy.getPolicyHistory(parseInt(req.query.limit, 10) || 10)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { policy, history }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching payout policy');
+  }
+};
+
+// @desc    Save a new payout policy (applies to payouts scheduled from now on)
+// @route   PUT /api/payouts/admin/policy
+// @access  Private (Admin only)
+const updatePayoutPolicy = async (req, res) => {
+  try {
+    const { releaseAfterCheckInHours, serviceReleaseAfterHours, longStayNights, minimumPayouts, impsMaxAmount, changeReason } = req.body;
+
+    const numbers = { releaseAfterCheckInHours, serviceReleaseAfterHours, longStayNights, impsMaxAmount };
+    for (const [field, value] of Object.entries(numbers)) {
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        return res.status(400).json({ success: false, message: `${field} must be a non-negative number` });
+      }
+    }
+    if (minimumPayouts !== undefined && (
+      typeof minimumPayouts !== 'object' || minimumPayouts === null ||
+      Object.values(minimumPayouts).some(value => typeof value !== 'number' || value < 0)
+    )) {
+      return res.status(400).json({ success: false, message: 'minimumPayouts must map currencies to non-negative amounts' });
+    }
+
+    const policy = await PayoutPolicy.updatePolicy(
+      { releaseAfterCheckInHours, serviceReleaseAfterHours, longStayNights, minimumPayouts, impsMaxAmount },
+      req.user._id,
+      changeReason || 'Payout policy updated via admin panel'
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Payout policy updated',
+      data: { policy }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    sendServiceError(res, error, 'Error updating payout policy');
+  }
+};
+
+// @desc    Hold a booking's unsent payouts
+// @route   POST /api/payouts/admin/bookings/:bookingId/hold
+// @access  Private (Admin only)
+const holdBookingPayouts = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { reason = 'admin', reference, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+    if (!HOLD_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, message: `Reason must be one of: ${HOLD_REASONS.join(', ')}` });
+    }
+
+    const result = await PayoutService.placeHold(bookingId, { reason, reference, note }, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: result.held ? `${result.held} payout(s) held` : 'No payouts to hold',
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error holding payouts');
+  }
+};
+
+// @desc    Release a hold on a booking's payouts
+// @route   POST /api/payouts/admin/bookings/:bookingId/release
+// @access  Private (Admin only)
+const releaseBookingPayouts = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { reason = 'admin', reference } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID' });
+    }
+    if (!HOLD_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, message: `Reason must be one of: ${HOLD_REASONS.join(', ')}` });
+    }
+
+    const result = await PayoutService.releaseHold(bookingId, { reason, reference }, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: result.released ? `Hold released on ${result.released} payout(s)` : 'No matching hold found',
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error releasing payout hold');
+  }
+};
+
 module.exports = {
   getHostPayouts,
   getPayoutById,
@@ -487,5 +623,9 @@ module.exports = {
   getAllPayouts,
   getPayoutStats,
   reversePayout,
-  bulkProcessPayouts
+  bulkProcessPayouts,
+  getPayoutPolicy,
+  updatePayoutPolicy,
+  holdBookingPayouts,
+  releaseBookingPayouts
 };
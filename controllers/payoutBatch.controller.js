@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const PayoutBatch = require('../models/PayoutBatch');
+const PayoutService = require('../services/payout.service');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    Group due bank payouts into a NEFT/IMPS batch
+// @route   POST /api/payouts/admin/batches
+// @access  Private (Admin only)
+const createPayoutBatch = async (req, res) => {
+  try {
+    const { mode, cutoffDate, valueDate, hostIds } = req.body;
+
+    if (hostIds !== undefined && (!Array.isArray(hostIds) || hostIds.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({ success: false, message: 'hostIds must be a list of user IDs' });
+    }
+
+    const batch = await PayoutService.createBatch({ mode, cutoffDate, valueDate, hostIds }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Batch ${batch.reference} created with ${batch.lines.length} transfer(s)`,
+      data: { batch }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error creating payout batch');
+  }
+};
+
+// @desc    List payout batches
+// @route   GET /api/payouts/admin/batches
+// @access  Private (Admin only)
+const getPayoutBatches = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const query = {};
+    if (status) query.status = status;
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(query)
+        .select('-lines.beneficiary')
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      PayoutBatch.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        batches,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching payout batches');
+  }
+};
+
+// @desc    Batch with each line's host, payouts and bookings
+// @route   GET /api/payouts/admin/batches/:id
+// @access  Private (Admin only)
+const getPayoutBatch = async (req, res) => {
+  try {
+    await PayoutService.getBatch(req.params.id);
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate('lines.host', 'name email')
+      .populate('lines.payouts', 'amount currency scheduledDate release status')
+      .populate('lines.bookings', 'receiptId checkIn checkOut totalAmount currency')
+      .populate('rolledOver.host', 'name email')
+      .populate('skipped.host', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: { batch }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching payout batch');
+  }
+};
+
+// @desc    Bulk-transfer CSV for the bank
+// @route   GET /api/payouts/admin/batches/:id/file
+// @access  Private (Admin only)
+const downloadPayoutBatchFile = async (req, res) => {
+  try {
+    const batch = await PayoutService.getBatch(req.params.id);
+    if (batch.status === 'cancelled') {
+      return res.status(400).json({ success: false, message: 'Batch has been cancelled' });
+    }
+
+    const { fileName, csv } = PayoutService.buildBatchCsv(batch);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(csv);
+  } catch (error) {
+    sendServiceError(res, error, 'Error generating payout batch file');
+  }
+};
+
+// @desc    Mark a batch as uploaded to the bank
+// @route   POST /api/payouts/admin/batches/:id/submit
+// @access  Private (Admin only)
+const submitPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutService.submitBatch(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Batch submitted',
+      data: { batch }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error submitting payout batch');
+  }
+};
+
+// @desc    Record the bank's result for each line (JSON results or CSV)
+// @route   POST /api/payouts/admin/batches/:id/results
+// @access  Private (Admin only)
+const recordPayoutBatchResults = async (req, res) => {
+  try {
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    const results = csvText ? PayoutService.parseResultsCsv(csvText) : req.body.results;
+
+    if (!Array.isArray(results) || results.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send "results" ([{ reference, status, utr, reason }]) or a CSV file as "file"'
+      });
+    }
+
+    const { batch, settled, errors } = await PayoutService.recordBatchResults(req.params.id, results, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `${settled.length} line(s) settled`,
+      data: { batch, settled, errors }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error recording payout batch results');
+  }
+};
+
+// @desc    Cancel a batch that has not been submitted
+// @route   POST /api/payouts/admin/batches/:id/cancel
+// @access  Private (Admin only)
+const cancelPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutService.cancelBatch(req.params.id, req.user, req.body.notes);
+
+    res.status(200).json({
+      success: true,
+      message: 'Batch cancelled; its payouts are back in the queue',
+      data: { batch }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error cancelling payout batch');
+  }
+};
+
+module.exports = {
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatch,
+  downloadPayoutBatchFile,
+  submitPayoutBatch,
+  recordPayoutBatchResults,
+  cancelPayoutBatch
+};
@@ -1,8 +1,35 @@
 const Property = require('../models/Property');
 const PricingConfig = require('../models/PricingConfig');
-const Coupon = require('../models/Coupon');
-const { calculate24HourPricing, calculatePricingBreakdown, calculateHourlyExtension } = require('../utils/pricingUtils');
+const PricingRule = require('../models/PricingRule');
+const { calculate24HourPricing, calculatePricingBreakdown, calculateHourlyExtension, resolveNightlyBreakdown } = require('../utils/pricingUtils');
+const { sumNightlyPrices } = require('../utils/pricingRules');
 const { generatePricingToken } = require('../middlewares/pricingSecurity.middleware');
+const CurrencyService = require('../services/currency.service');
+const CouponEligibilityService = require('../services/couponEligibility.service');
+const PaymentPlanService = require('../services/paymentPlan.service');
+const HostPromotionService = require('../services/hostPromotion.service');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
 
 // @desc    Get platform fee rate
 // @route   GET /api/pricing/platform-fee-rate
@@ -47,11 +74,11 @@ const calculatePricing = async (req, res) => {
       checkOut,
       guests = { adults: 1, children: 0 },
       hourlyExtension = 0, // hours: 6, 12, 18 for daily flow
-      couponCode,
       bookingType = 'daily',
       checkInDateTime,
       extensionHours = 0,
-      isLateCheckIn = false  // When true, apply basePrice24Hour rate per night for multi-night bookings
+      isLateCheckIn = false,  // When true, apply basePrice24Hour rate per night for multi-night bookings
+      displayCurrency  // Optional: also return the amounts converted to this currency
     } = req.body;
 
     // Validate required fields and basic correctness (from secure flow)
@@ -172,9 +199,15 @@ const calculatePricing = async (req, res) => {
       // 24-hour pricing with optional extensionHours cost baked into baseAmount
       pricingParams.basePrice24Hour = property.pricing?.basePrice24Hour || basePrice;
       pricingParams.totalHours = 24 + (extensionHours || 0);
+      // Fee config can be segmented by property (host, location, type)
+      pricingParams.propertyId = property._id;
       // Note: calculate24HourPricing adds extension when totalHours > 24; pricingParams.hourlyExtension remains 0 here
     } else {
-      // Daily flow: compute hourly extension cost if applicable
+      // Daily flow: host pricing rules are applied night by night from check-in
+      pricingParams.propertyId = property._id;
+      pricingParams.checkIn = checkIn;
+
+      // Compute hourly extension cost if applicable
       if (hourlyExtension && hourlyExtension > 0 && property.hourlyBooking?.enabled) {
         const extensionCost = calculateHourlyExtension(property.pricing?.basePrice || basePrice, hourlyExtension);
         pricingParams.hourlyExtension = extensionCost;
@@ -185,33 +218,24 @@ const calculatePricing = async (req, res) => {
     const pricingBreakdown = await calculatePricingBreakdown(pricingParams);
 
     // Apply coupon discount if provided
-    let discountAmount = 0;
-    if (couponCode) {
-      try {
-        const coupon = await Coupon.findOne({
-          code: couponCode.toUpperCase(),
-          isActive: true,
-          validFrom: { $lte: new Date() },
-          validTo: { $gte: new Date() }
-        });
+    let couponResult = null;
+    const couponCodes = CouponEligibilityService.requestedCodes(req.body);
+    if (couponCodes.length > 0) {
+      couponResult = await CouponEligibilityService.evaluateOrSkip(couponCodes, {
+        user: req.user && !req.isAdmin ? req.user : null,
+        listing: property,
+        checkIn: is24HourBooking ? (checkInDateTime || checkIn) : checkIn,
+        checkOut,
+        nights: is24HourBooking ? 1 : nights,
+        amount: pricingBreakdown.hostSubtotal
+      });
 
-        if (coupon) {
-          if (coupon.discountType === 'percentage') {
-            discountAmount = (pricingBreakdown.hostSubtotal * coupon.amount) / 100;
-            const maxDiscount = coupon.maxDiscount || discountAmount;
-            discountAmount = Math.min(discountAmount, maxDiscount);
-          } else {
-            discountAmount = Math.min(coupon.amount, pricingBreakdown.hostSubtotal);
-          }
-
-          // Recalculate pricing with discount
-          const discountedParams = { ...pricingParams, discountAmount };
-          const discountedPricing = await calculatePricingBreakdown(discountedParams);
-          // overwrite with discounted values
-          Object.assign(pricingBreakdown, discountedPricing);
-        }
-      } catch (e) {
-        console.error('Error applying coupon:', e);
+      if (couponResult.discountAmount > 0) {
+        // Recalculate pricing with discount
+        const discountedParams = { ...pricingParams, discountAmount: couponResult.discountAmount };
+        const discountedPricing = await calculatePricingBreakdown(discountedParams);
+        // overwrite with discounted values
+        Object.assign(pricingBreakdown, discountedPricing);
       }
     }
 
@@ -238,6 +262,10 @@ const calculatePricing = async (req, res) => {
       hostFees: pricingBreakdown.hostFees,
       hourlyExtension: pricingBreakdown.hourlyExtension,
       discountAmount: pricingBreakdown.discountAmount,
+      promotionDiscount: pricingBreakdown.promotionDiscount || 0,
+      hostPromotion: pricingBreakdown.hostPromotion
+        ? { name: pricingBreakdown.hostPromotion.name, discountAmount: pricingBreakdown.hostPromotion.discountAmount }
+        : undefined,
       subtotal: pricingBreakdown.subtotal,
       hostSubtotal: pricingBreakdown.hostSubtotal,
       platformFee: pricingBreakdown.platformFee,
@@ -249,13 +277,35 @@ const calculatePricing = async (req, res) => {
       currency: pricingBreakdown.currency,
       platformFeeRate: pricingBreakdown.platformFeeRate,
       breakdown: pricingBreakdown.breakdown,
-      bookingType: pricingParams.bookingType
+      nightlyBreakdown: pricingBreakdown.nightlyBreakdown || undefined,
+      bookingType: pricingParams.bookingType,
+      coupons: couponResult?.applied.map(({ code, discountAmount }) => ({ code, discountAmount })),
+      couponRejection: couponResult?.rejection
     };
 
+    // Deposit/balance split when the listing offers a payment plan for this stay
+    const paymentPlan = PaymentPlanService.getPlanOffer(property, checkIn, pricingBreakdown.totalAmount, {
+      bookingType: pricingParams.bookingType
+    });
+
+    let display;
+    if (displayCurrency) {
+      try {
+        display = await CurrencyService.convertPricing(response, displayCurrency);
+      } catch (error) {
+        return res.status(error.statusCode || 500).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
     res.status(200).json({
       success: true,
       data: {
         pricing: response,
+        ...(display && { displayPricing: display }),
+        paymentPlan,
         security: {
           pricingToken,
           calculatedAt: new Date().toISOString(),
@@ -301,50 +351,239 @@ const calculatePricing = async (req, res) => {
 // @access  Public
 const validateCoupon = async (req, res) => {
   try {
-    const { couponCode, propertyId, checkIn, checkOut, guests } = req.body;
+    const { propertyId, checkIn, checkOut } = req.body;
+    const couponCodes = CouponEligibilityService.requestedCodes(req.body);
 
-    if (!couponCode || !propertyId) {
+    if (couponCodes.length === 0 || !propertyId) {
       return res.status(400).json({
         success: false,
         message: 'Coupon code and property ID are required'
       });
     }
 
-    // Find active coupon (align with model fields)
-    const coupon = await Coupon.findOne({
-      code: couponCode.toUpperCase(),
-      isActive: true,
-      validFrom: { $lte: new Date() },
-      validTo: { $gte: new Date() }
+    // Get property for base price calculation
+    const property = await Property.findById(propertyId);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    // Calculate discount amount (simplified for validation)
+    let nights = 0;
+    if (checkIn && checkOut) {
+      const checkInDate = new Date(checkIn);
+      const checkOutDate = new Date(checkOut);
+      const checkInDateOnly = new Date(checkInDate.getFullYear(), checkInDate.getMonth(), checkInDate.getDate());
+      const checkOutDateOnly = new Date(checkOutDate.getFullYear(), checkOutDate.getMonth(), checkOutDate.getDate());
+      nights = Math.max(0, (checkOutDateOnly - checkInDateOnly) / (1000 * 60 * 60 * 24));
+    }
+
+    const basePrice = property.pricing?.basePrice || 0;
+    const subtotal = basePrice * (nights || 1); // Avoid zero for same-day validation
+
+    let result;
+    try {
+      result = await CouponEligibilityService.evaluate(couponCodes, {
+        user: req.user && !req.isAdmin ? req.user : null,
+        listing: property,
+        checkIn,
+        checkOut,
+        nights: checkIn && checkOut ? nights : null,
+        amount: subtotal
+      });
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      return res.status(error.data?.reason === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: error.data?.reason === 'NOT_FOUND' ? 'Invalid or expired coupon code' : error.message,
+        ...error.data
+      });
+    }
+
+    const describe = (coupon) => coupon.description || `Get ${coupon.amount}${coupon.discountType === 'percentage' ? '%' : '₹'} off your booking`;
+    const [coupon] = result.coupons;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupon: {
+          code: coupon.code,
+          discountAmount: result.discountAmount,
+          discountType: coupon.discountType,
+          description: describe(coupon)
+        },
+        coupons: result.coupons.map((applied, index) => ({
+          code: applied.code,
+          discountAmount: result.applied[index].discountAmount,
+          discountType: applied.discountType,
+          description: describe(applied)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating coupon',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get pricing rules for a property
+// @route   GET /api/pricing/properties/:propertyId/rules
+// @access  Private (Property host or admin)
+const getPricingRules = async (req, res) => {
+  try {
+    const { ruleType, isActive } = req.query;
+
+    const query = { property: req.property._id };
+    if (ruleType) query.ruleType = ruleType;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const rules = await PricingRule.find(query).sort({ ruleType: 1, priority: -1, updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pricing rules',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a pricing rule
+// @route   POST /api/pricing/properties/:propertyId/rules
+// @access  Private (Property host or admin)
+const createPricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.create({
+      ...req.body,
+      property: req.property._id,
+      host: req.property.host
+    });
+
+    console.log(`💲 Pricing rule "${rule.name}" (${rule.ruleType}) created for property ${req.property._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pricing rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating pricing rule',
+      error: error.message
     });
+  }
+};
 
-    if (!coupon) {
+// @desc    Update a pricing rule
+// @route   PUT /api/pricing/properties/:propertyId/rules/:ruleId
+// @access  Private (Property host or admin)
+const updatePricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findOne({ _id: req.params.ruleId, property: req.property._id });
+    if (!rule) {
       return res.status(404).json({
         success: false,
-        message: 'Invalid or expired coupon code'
+        message: 'Pricing rule not found'
       });
     }
 
-    // Check if coupon is applicable to this property (field names may differ)
-    if (coupon.applicableToListings && coupon.applicableToListings.length > 0) {
-      if (!coupon.applicableToListings.map(String).includes(String(propertyId))) {
-        return res.status(400).json({
-          success: false,
-          message: 'This coupon is not applicable to the selected property'
-        });
-      }
+    rule.set(req.body);
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+      });
     }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating pricing rule',
+      error: error.message
+    });
+  }
+};
 
-    // Calculate discount amount (simplified for validation)
+// @desc    Delete a pricing rule
+// @route   DELETE /api/pricing/properties/:propertyId/rules/:ruleId
+// @access  Private (Property host or admin)
+const deletePricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findOneAndDelete({ _id: req.params.ruleId, property: req.property._id });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pricing rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing rule deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting pricing rule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Nightly prices for a stay with the property's pricing rules applied
+// @route   GET /api/pricing/properties/:propertyId/nightly-rates?checkIn=&checkOut=
+// @access  Public
+const getNightlyRates = async (req, res) => {
+  try {
+    const { checkIn, checkOut, isLateCheckIn } = req.query;
     const checkInDate = new Date(checkIn);
     const checkOutDate = new Date(checkOut);
+
+    if (!checkIn || !checkOut || isNaN(checkInDate.getTime()) || isNaN(checkOutDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid checkIn and checkOut dates are required'
+      });
+    }
+
     const checkInDateOnly = new Date(checkInDate.getFullYear(), checkInDate.getMonth(), checkInDate.getDate());
     const checkOutDateOnly = new Date(checkOutDate.getFullYear(), checkOutDate.getMonth(), checkOutDate.getDate());
-    const diffTime = checkOutDateOnly - checkInDateOnly;
-    const nights = Math.max(0, diffTime / (1000 * 60 * 60 * 24));
+    const nights = Math.round((checkOutDateOnly - checkInDateOnly) / (1000 * 60 * 60 * 24));
 
-    // Get property for base price calculation
-    const property = await Property.findById(propertyId);
+    if (nights < 1 || nights > 365) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stay must be between 1 and 365 nights'
+      });
+    }
+
+    const property = await Property.findById(req.params.propertyId).select('pricing');
     if (!property) {
       return res.status(404).json({
         success: false,
@@ -352,42 +591,139 @@ const validateCoupon = async (req, res) => {
       });
     }
 
-    const basePrice = property.pricing?.basePrice || 0;
-    const subtotal = basePrice * (nights || 1); // Avoid zero for same-day validation
+    // Same base price selection as calculatePricing (late check-in uses the 24-hour rate)
+    const basePrice = (isLateCheckIn === 'true' && property.pricing?.basePrice24Hour)
+      ? property.pricing.basePrice24Hour
+      : property.pricing?.basePrice || 0;
 
-    let discountAmount;
-    if (coupon.discountType === 'percentage') {
-      discountAmount = (subtotal * coupon.amount) / 100;
-      const maxDiscount = coupon.maxDiscount || discountAmount;
-      discountAmount = Math.min(discountAmount, maxDiscount);
-    } else {
-      discountAmount = Math.min(coupon.amount, subtotal);
-    }
+    const nightlyBreakdown = await resolveNightlyBreakdown({
+      basePrice,
+      nights,
+      propertyId: property._id,
+      checkIn: checkInDateOnly
+    });
 
     res.status(200).json({
       success: true,
       data: {
-        coupon: {
-          code: coupon.code,
-          discountAmount: Math.round(discountAmount * 100) / 100,
-          discountType: coupon.discountType,
-          description: coupon.description || `Get ${coupon.amount}${coupon.discountType === 'percentage' ? '%' : '₹'} off your booking`
-        }
+        basePrice,
+        nights,
+        currency: property.pricing?.currency || 'INR',
+        totalNightlyAmount: sumNightlyPrices(nightlyBreakdown),
+        nightlyBreakdown
       }
     });
-
   } catch (error) {
-    console.error('Error validating coupon:', error);
+    console.error('Error fetching nightly rates:', error);
     res.status(500).json({
       success: false,
-      message: 'Error validating coupon',
+      message: 'Error fetching nightly rates',
       error: error.message
     });
   }
 };
 
+// @desc    Get my promotions
+// @route   GET /api/pricing/promotions
+// @access  Private (Host)
+const getHostPromotions = async (req, res) => {
+  try {
+    const { propertyId, isActive } = req.query;
+    const promotions = await HostPromotionService.listPromotions(req.user._id, {
+      propertyId,
+      isActive: isActive !== undefined ? isActive === 'true' : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { promotions }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching promotions');
+  }
+};
+
+// @desc    Get a promotion with its bookings and budget
+// @route   GET /api/pricing/promotions/:promotionId
+// @access  Private (Host)
+const getHostPromotion = async (req, res) => {
+  try {
+    const result = await HostPromotionService.getPromotion(req.user._id, req.params.promotionId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching promotion');
+  }
+};
+
+// @desc    Create a promotion on my properties
+// @route   POST /api/pricing/promotions
+// @access  Private (Host)
+const createHostPromotion = async (req, res) => {
+  try {
+    const promotion = await HostPromotionService.createPromotion(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: { promotion }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error creating promotion');
+  }
+};
+
+// @desc    Update a promotion
+// @route   PUT /api/pricing/promotions/:promotionId
+// @access  Private (Host)
+const updateHostPromotion = async (req, res) => {
+  try {
+    const promotion = await HostPromotionService.updatePromotion(req.user._id, req.params.promotionId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: { promotion }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error updating promotion');
+  }
+};
+
+// @desc    Delete a promotion (switched off instead once bookings have used it)
+// @route   DELETE /api/pricing/promotions/:promotionId
+// @access  Private (Host)
+const deleteHostPromotion = async (req, res) => {
+  try {
+    const { deleted, promotion } = await HostPromotionService.deletePromotion(req.user._id, req.params.promotionId);
+
+    res.status(200).json({
+      success: true,
+      message: deleted
+        ? 'Promotion deleted successfully'
+        : 'Promotion has bookings, so it was switched off instead of deleted',
+      data: deleted ? undefined : { promotion }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error deleting promotion');
+  }
+};
+
 module.exports = {
   getPlatformFeeRate,
   calculatePricing,
-  validateCoupon
+  validateCoupon,
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  getNightlyRates,
+  getHostPromotions,
+  getHostPromotion,
+  createHostPromotion,
+  updateHostPromotion,
+  deleteHostPromotion
 };
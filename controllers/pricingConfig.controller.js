@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const PricingConfig = require('../models/PricingConfig');
+const Booking = require('../models/Booking');
+const { getFeeContext } = require('../utils/pricingUtils');
+
+const RATE_FIELDS = ['platformFeeRate', 'gstRate', 'processingFeeRate'];
+const SCOPE_FIELDS = ['host', 'city', 'state', 'type', 'bookingType'];
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode || error.name === 'ValidationError') {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+const formatConfig = (config) => ({
+  id: config._id,
+  version: config.version,
+  scope: PricingConfig.normalizeScope(config.scope),
+  scopeKey: config.scopeKey || 'global',
+  status: PricingConfig.getStatus(config),
+  platformFeeRate: config.platformFeeRate,
+  gstRate: config.gstRate,
+  processingFeeRate: config.processingFeeRate,
+  processingFeeFixed: config.processingFeeFixed,
+  effectiveFrom: config.effectiveFrom,
+  effectiveTo: config.effectiveTo,
+  changeReason: config.changeReason,
+  createdBy: config.createdBy?.name || config.createdBy,
+  updatedBy: config.updatedBy?.name || config.updatedBy || null,
+  createdAt: config.createdAt
+});
+
+// Scope fields given in a query string (`?city=goa&bookingType=daily`)
+const scopeFromQuery = (query) => Object.fromEntries(
+  SCOPE_FIELDS.filter(field => query[field]).map(field => [field, query[field]])
+);
+
+// @desc    Fee config versions, newest first (filter by scope and status)
+// @route   GET /api/admin/pricing/platform-fee/configs
+// @access  Private (Admin only)
+const getFeeConfigs = async (req, res) => {
+  try {
+    const { status, global, limit = 50 } = req.query;
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+    const now = new Date();
+
+    const filter = {};
+    const scope = scopeFromQuery(req.query);
+    if (Object.keys(scope).length > 0) {
+      filter.scopeKey = PricingConfig.getScopeKey(scope);
+    } else if (global === 'true') {
+      filter.scopeKey = PricingConfig.scopeKeyQuery('global');
+    }
+
+    if (status === 'scheduled') {
+      filter.isActive = true;
+      filter.effectiveFrom = { $gt: now };
+    } else if (status === 'current') {
+      filter.isActive = true;
+      filter.effectiveFrom = { $lte: now };
+      filter.$or = [{ effectiveTo: null }, { effectiveTo: { $gt: now } }];
+    } else if (status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be scheduled or current'
+      });
+    }
+
+    const configs = await PricingConfig.getPricingHistory(limitNum, filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        configs: configs.map(formatConfig),
+        count: configs.length
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching fee configs');
+  }
+};
+
+// @desc    Schedule a fee version, platform-wide or for a segment
+// @route   POST /api/admin/pricing/platform-fee/configs
+// @access  Private (Admin only)
+const scheduleFeeConfig = async (req, res) => {
+  try {
+    const { processingFeeFixed, scope = {}, effectiveFrom, effectiveTo, changeReason } = req.body;
+
+    for (const field of RATE_FIELDS) {
+      const value = req.body[field];
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1)) {
+        return res.status(400).json({ success: false, message: `${field} must be between 0 and 1 (0-100%)` });
+      }
+    }
+    if (processingFeeFixed !== undefined && (typeof processingFeeFixed !== 'number' || !Number.isFinite(processingFeeFixed) || processingFeeFixed < 0)) {
+      return res.status(400).json({ success: false, message: 'Processing fee fixed must be >= 0' });
+    }
+    if (![...RATE_FIELDS, 'processingFeeFixed'].some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({ success: false, message: 'At least one fee field is required' });
+    }
+    if (typeof scope !== 'object' || Array.isArray(scope) ||
+        Object.keys(scope).some(field => !SCOPE_FIELDS.includes(field))) {
+      return res.status(400).json({ success: false, message: `Scope can only set: ${SCOPE_FIELDS.join(', ')}` });
+    }
+    if (scope.host && !mongoose.Types.ObjectId.isValid(scope.host)) {
+      return res.status(400).json({ success: false, message: 'Invalid host ID' });
+    }
+
+    const config = await PricingConfig.scheduleConfig({
+      platformFeeRate: req.body.platformFeeRate,
+      gstRate: req.body.gstRate,
+      processingFeeRate: req.body.processingFeeRate,
+      processingFeeFixed,
+      scope,
+      effectiveFrom,
+      effectiveTo,
+      changeReason: changeReason || 'Fee config scheduled via admin panel'
+    }, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: config.effectiveFrom > new Date()
+        ? `Fee config v${config.version} scheduled`
+        : `Fee config v${config.version} is now in effect`,
+      data: { config: formatConfig(config) }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error scheduling fee config');
+  }
+};
+
+// @desc    Cancel a fee version that has not taken effect yet
+// @route   DELETE /api/admin/pricing/platform-fee/configs/:version
+// @access  Private (Admin only)
+const cancelFeeConfig = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    if (!(version > 0)) {
+      return res.status(400).json({ success: false, message: 'Invalid version' });
+    }
+
+    const config = await PricingConfig.cancelScheduledConfig(version, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Fee config v${config.version} cancelled`,
+      data: { config: formatConfig(config) }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error cancelling fee config');
+  }
+};
+
+// @desc    Fee config that would apply to a booking (by property, or an explicit segment)
+// @route   GET /api/admin/pricing/platform-fee/resolve
+// @access  Private (Admin only)
+const resolveFeeConfig = async (req, res) => {
+  try {
+    const { propertyId, bookingType, at } = req.query;
+    const bookedAt = at ? new Date(at) : new Date();
+    if (Number.isNaN(bookedAt.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid date' });
+    }
+
+    let context;
+    if (propertyId) {
+      if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+        return res.status(400).json({ success: false, message: 'Invalid property ID' });
+      }
+      context = await getFeeContext({ propertyId, bookingType });
+      if (Object.keys(context).length === 0) {
+        return res.status(404).json({ success: false, message: 'Property not found' });
+      }
+    } else {
+      context = scopeFromQuery(req.query);
+    }
+
+    const config = await PricingConfig.resolveConfig(context, bookedAt);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        context: PricingConfig.normalizeScope(context),
+        at: bookedAt,
+        config
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error resolving fee config');
+  }
+};
+
+// @desc    Compare two fee config versions
+// @route   GET /api/admin/pricing/platform-fee/diff?from=3&to=5
+// @access  Private (Admin only)
+const diffFeeConfigs = async (req, res) => {
+  try {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    if (!(from > 0) || !(to > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be version numbers'
+      });
+    }
+
+    const diff = await PricingConfig.compareVersions(from, to);
+    const [fromBookings, toBookings] = await Promise.all([
+      Booking.countDocuments({ pricingConfigVersion: from }),
+      Booking.countDocuments({ pricingConfigVersion: to })
+    ]);
+    diff.from.bookings = fromBookings;
+    diff.to.bookings = toBookings;
+
+    res.status(200).json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error comparing fee configs');
+  }
+};
+
+module.exports = {
+  getFeeConfigs,
+  scheduleFeeConfig,
+  cancelFeeConfig,
+  resolveFeeConfig,
+  diffFeeConfigs
+};
@@ -0,0 +1,61 @@
+const ReferralService = require('../services/referral.service');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    Get my referral code, share link, rewards and referred friends
+// @route   GET /api/referrals
+// @access  Private
+const getMyReferrals = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const referrals = await ReferralService.getStats(req.user._id, {
+      page: Math.max(1, parseInt(page, 10) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit, 10) || 20))
+    });
+
+    res.status(200).json({
+      success: true,
+      data: referrals
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching referrals');
+  }
+};
+
+// @desc    Get my referral code
+// @route   GET /api/referrals/code
+// @access  Private
+const getMyReferralCode = async (req, res) => {
+  try {
+    const code = await ReferralService.getOrCreateCode(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code,
+        shareUrl: ReferralService.getShareUrl(code),
+        terms: ReferralService.getRewardTerms()
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching referral code');
+  }
+};
+
+module.exports = {
+  getMyReferrals,
+  getMyReferralCode
+};
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const SettlementImport = require('../models/SettlementImport');
+const SettlementTransaction = require('../models/SettlementTransaction');
+const SettlementReconciliationService = require('../services/settlementReconciliation.service');
+
+const LINE_STATUSES = ['matched', 'mismatched', 'missing', 'duplicate', 'ignored'];
+const LINE_ISSUES = ['missing', 'duplicate', 'amount_mismatch', 'fee_mismatch'];
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// from/to query dates; invalid values are reported instead of ignored
+const parseDateRange = ({ from, to }) => {
+  const range = {};
+  if (from) range.from = new Date(from);
+  if (to) range.to = new Date(to);
+  if ((range.from && isNaN(range.from)) || (range.to && isNaN(range.to))) {
+    const error = new Error('from and to must be valid dates');
+    error.statusCode = 400;
+    throw error;
+  }
+  return range;
+};
+
+// @desc    Import a Razorpay settlement/transactions report (CSV)
+// @route   POST /api/admin/reconciliation/razorpay/import
+// @access  Private (Admin only)
+const importRazorpayReport = async (req, res) => {
+  try {
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!csv || !csv.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the report as "file" or send its contents as "csv"'
+      });
+    }
+
+    const settlementImport = await SettlementReconciliationService.importRazorpayReport({
+      csv,
+      fileName: req.file ? req.file.originalname : req.body.fileName,
+      amountUnit: req.body.amountUnit || 'rupees'
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `${settlementImport.counts.matched} of ${settlementImport.counts.rows} line(s) matched`,
+      data: { import: settlementImport }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error importing settlement report');
+  }
+};
+
+// @desc    List settlement report imports
+// @route   GET /api/admin/reconciliation/imports
+// @access  Private (Admin only)
+const getSettlementImports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [imports, total] = await Promise.all([
+      SettlementImport.find()
+        .select('-rowErrors')
+        .populate('importedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      SettlementImport.countDocuments()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        imports,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching settlement imports');
+  }
+};
+
+// @desc    Import with its report lines (filter by status or issue)
+// @route   GET /api/admin/reconciliation/imports/:id
+// @access  Private (Admin only)
+const getSettlementImport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid import ID' });
+    }
+
+    const { status, issue, page = 1, limit = 50 } = req.query;
+    if (status && !LINE_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${LINE_STATUSES.join(', ')}` });
+    }
+    if (issue && !LINE_ISSUES.includes(issue)) {
+      return res.status(400).json({ success: false, message: `issue must be one of: ${LINE_ISSUES.join(', ')}` });
+    }
+
+    const settlementImport = await SettlementImport.findById(req.params.id).populate('importedBy', 'name email');
+    if (!settlementImport) {
+      return res.status(404).json({ success: false, message: 'Settlement import not found' });
+    }
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+    const query = { settlementImport: settlementImport._id };
+    if (status) query.status = status;
+    if (issue) query.issues = issue;
+
+    const [lines, total] = await Promise.all([
+      SettlementTransaction.find(query)
+        .populate('booking', 'receiptId status')
+        .sort({ line: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      SettlementTransaction.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        import: settlementImport,
+        lines,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching settlement import');
+  }
+};
+
+// @desc    Reconciliation summary per settlement date
+// @route   GET /api/admin/reconciliation/summary
+// @access  Private (Admin only)
+const getSettlementSummary = async (req, res) => {
+  try {
+    const { importId } = req.query;
+    if (importId && !mongoose.Types.ObjectId.isValid(importId)) {
+      return res.status(400).json({ success: false, message: 'Invalid import ID' });
+    }
+
+    const summary = await SettlementReconciliationService.getSettlementSummary({
+      ...parseDateRange(req.query),
+      settlementImport: importId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { summary }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error building settlement summary');
+  }
+};
+
+// @desc    Download the reconciliation summary as CSV
+// @route   GET /api/admin/reconciliation/summary/download
+// @access  Private (Admin only)
+const downloadSettlementSummary = async (req, res) => {
+  try {
+    const { importId } = req.query;
+    if (importId && !mongoose.Types.ObjectId.isValid(importId)) {
+      return res.status(400).json({ success: false, message: 'Invalid import ID' });
+    }
+
+    const summary = await SettlementReconciliationService.getSettlementSummary({
+      ...parseDateRange(req.query),
+      settlementImport: importId
+    });
+    const csv = SettlementReconciliationService.buildSummaryCsv(summary);
+    const fileName = `settlement-reconciliation-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(csv);
+  } catch (error) {
+    sendServiceError(res, error, 'Error generating settlement summary');
+  }
+};
+
+module.exports = {
+  importRazorpayReport,
+  getSettlementImports,
+  getSettlementImport,
+  getSettlementSummary,
+  downloadSettlementSummary
+};
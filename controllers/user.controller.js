@@ -162,7 +162,9 @@ const updateUserProfile = async (req, res) => {
       bio,
       languages,
       location,
-      profileImage
+      profileImage,
+      preferredCurrency,
+      taxProfile
     } = req.body;
 
     // Clean up empty strings to null/undefined
@@ -174,6 +176,17 @@ const updateUserProfile = async (req, res) => {
     if (languages !== undefined) updateData.languages = languages;
     if (location !== undefined) updateData.location = location;
     if (profileImage !== undefined) updateData.profileImage = profileImage || null;
+    if (preferredCurrency !== undefined) updateData.preferredCurrency = preferredCurrency;
+    if (taxProfile !== undefined) {
+      // A GSTIN fixes the state; otherwise keep the state the user picked
+      const gstin = taxProfile.gstin ? taxProfile.gstin.toUpperCase() : undefined;
+      updateData.taxProfile = {
+        gstin,
+        legalName: taxProfile.legalName || undefined,
+        stateCode: gstin ? gstin.slice(0, 2) : (taxProfile.stateCode || undefined),
+        address: taxProfile.address || undefined
+      };
+    }
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WalletService = require('../services/wallet.service');
+
+const TRANSACTION_TYPES = ['credit', 'debit'];
+const TRANSACTION_SOURCES = ['refund', 'goodwill', 'booking_payment', 'expiry', 'referral'];
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// Shared query parsing for transaction lists; returns an error message or the options
+const parseTransactionQuery = ({ page = 1, limit = 20, type, source }) => {
+  if (type && !TRANSACTION_TYPES.includes(type)) {
+    return { error: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` };
+  }
+  if (source && !TRANSACTION_SOURCES.includes(source)) {
+    return { error: `source must be one of: ${TRANSACTION_SOURCES.join(', ')}` };
+  }
+  return {
+    options: {
+      page: Math.max(1, parseInt(page, 10) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(limit, 10) || 20)),
+      type,
+      source
+    }
+  };
+};
+
+// @desc    Get my wallet balance and expiring credit
+// @route   GET /api/wallet
+// @access  Private
+const getMyWallet = async (req, res) => {
+  try {
+    const wallet = await WalletService.getSummary(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { wallet }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching wallet');
+  }
+};
+
+// @desc    Get my wallet transactions
+// @route   GET /api/wallet/transactions
+// @access  Private
+const getMyTransactions = async (req, res) => {
+  try {
+    const { error, options } = parseTransactionQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const result = await WalletService.getTransactions(req.user._id, options);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching wallet transactions');
+  }
+};
+
+// @desc    Get a user's wallet and transactions
+// @route   GET /api/wallet/admin/users/:userId
+// @access  Private (Admin only)
+const getUserWallet = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const { error, options } = parseTransactionQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const user = await User.findById(req.params.userId).select('name email');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const [wallet, history] = await Promise.all([
+      WalletService.getSummary(user._id),
+      WalletService.getTransactions(user._id, options)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        wallet,
+        ...history
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching user wallet');
+  }
+};
+
+// @desc    Issue goodwill credit to a user's wallet
+// @route   POST /api/wallet/admin/users/:userId/credit
+// @access  Private (Admin only)
+const issueGoodwillCredit = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const { amount, currency, description, expiresAt, expiresInDays } = req.body;
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ success: false, message: 'amount must be greater than zero' });
+    }
+    if (expiresAt && expiresInDays) {
+      return res.status(400).json({ success: false, message: 'Send either expiresAt or expiresInDays, not both' });
+    }
+    if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+      return res.status(400).json({ success: false, message: 'expiresInDays must be greater than zero' });
+    }
+
+    const user = await User.findById(req.params.userId).select('name email');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const transaction = await WalletService.issueGoodwill(user._id, {
+      amount: Number(amount),
+      currency,
+      description,
+      expiresAt,
+      expiresInDays
+    }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `${transaction.amount} ${transaction.currency} credited to ${user.name || user.email}'s wallet`,
+      data: {
+        transaction,
+        wallet: await WalletService.getSummary(user._id)
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error issuing wallet credit');
+  }
+};
+
+module.exports = {
+  getMyWallet,
+  getMyTransactions,
+  getUserWallet,
+  issueGoodwillCredit
+};
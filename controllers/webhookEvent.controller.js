@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/WebhookEvent');
+const WebhookEventService = require('../services/webhookEvent.service');
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+// @desc    List stored gateway webhooks
+// @route   GET /api/admin/webhook-events
+// @access  Private (Admin only)
+const getWebhookEvents = async (req, res) => {
+  try {
+    const { provider, status, eventType, eventId, from, to, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const query = {};
+    if (provider) query.provider = provider.toLowerCase();
+    if (status) query.status = status;
+    if (eventType) query.eventType = eventType;
+    if (eventId) query.eventId = eventId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select('-payload -headers')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      WebhookEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching webhook events');
+  }
+};
+
+// @desc    Stored webhook with its raw payload and headers
+// @route   GET /api/admin/webhook-events/:id
+// @access  Private (Admin only)
+const getWebhookEvent = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid webhook event ID' });
+    }
+
+    const event = await WebhookEvent.findById(req.params.id)
+      .populate('replays.replayedBy', 'name email');
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Webhook event not found' });
+    }
+
+    let parsedPayload = null;
+    try {
+      parsedPayload = JSON.parse(event.payload);
+    } catch (error) {
+      // Not JSON: the raw payload is still returned
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { event, parsedPayload }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error fetching webhook event');
+  }
+};
+
+// @desc    Apply a stored webhook again
+// @route   POST /api/admin/webhook-events/:id/replay
+// @access  Private (Admin only)
+const replayWebhookEvent = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid webhook event ID' });
+    }
+
+    const event = await WebhookEventService.replay(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: event.status === 'failed' ? 'Webhook replay failed' : 'Webhook replayed',
+      data: event
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Error replaying webhook event');
+  }
+};
+
+module.exports = {
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent
+};
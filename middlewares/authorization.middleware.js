@@ -477,6 +477,45 @@ const canAccessSupportTicket = async (req, res, next) => {
   }
 };
 
+// Check if user is a participant in the conversation (guest or host) or admin
+const canAccessConversation = async (req, res, next) => {
+  try {
+    const conversationId = req.params.conversationId || req.params.id;
+    if (!conversationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Conversation ID is required'
+      });
+    }
+
+    const Conversation = require('../models/Conversation');
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    // User can access if they are the guest, the host, or admin
+    if (!conversation.getParticipantRole(req.user._id) && !req.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this conversation'
+      });
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    console.error('Conversation access check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authorization check failed'
+    });
+  }
+};
+
 // Check if user can access user profile data
 const canAccessUserProfile = async (req, res, next) => {
   try {
@@ -598,6 +637,7 @@ module.exports = {
   canAccessWishlist,
   canAccessNotification,
   canAccessSupportTicket,
+  canAccessConversation,
   canAccessUserProfile,
   isAdmin,
   isHost,
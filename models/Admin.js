@@ -53,7 +53,37 @@ const adminSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  twoFactorSecret: String,
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String, // AES-GCM encrypted base32 secret
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String, // Secret awaiting confirmation during enrollment
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [{
+      codeHash: String,
+      usedAt: Date
+    }],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Login challenge currently outstanding, and wrong codes entered against it
+  twoFactorChallengeId: {
+    type: String,
+    select: false
+  },
+  twoFactorFailedAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  twoFactorLockedUntil: Date,
   // Security features
   isLocked: {
     type: Boolean,
@@ -49,6 +49,21 @@ const bookingSchema = new mongoose.Schema({
     enum: ['pending', 'accepted', 'rejected', 'confirmed', 'cancelled', 'completed', 'expired'],
     default: 'pending'
   },
+  // Confirmed on payment through the listing's Instant Book setting
+  instantBooked: {
+    type: Boolean,
+    default: false
+  },
+  // Pending requests expire if the host has not answered by this time
+  responseDeadline: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
+  },
+  expiredAt: {
+    type: Date
+  },
   checkIn: {
     type: Date
   },
@@ -129,10 +144,35 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Deposit lifecycle after checkout (services/damageClaim.service.js):
+  // held until released in full, or claimed by the host and then settled
+  securityDepositStatus: {
+    type: String,
+    enum: ['held', 'claimed', 'released', 'settled']
+  },
+  securityDepositReleasedAt: {
+    type: Date
+  },
   currency: {
     type: String,
     default: 'INR'
   },
+  // Exchange rates locked when the booking was made (amounts above are in `currency`)
+  exchange: {
+    bookingCurrency: String,
+    // Currency the guest is charged and refunded in, and 1 booking-currency unit in it
+    guestCurrency: String,
+    guestRate: Number,
+    guestTotalAmount: Number,
+    // Host's settlement currency for the payout
+    hostCurrency: String,
+    hostRate: Number,
+    hostEarningAmount: Number,
+    // 1 booking-currency unit in INR, for GST invoices and credit notes
+    inrRate: Number,
+    ratesAsOf: Date,
+    lockedAt: Date
+  },
   cancellationPolicy: {
     type: String,
     enum: ['flexible', 'moderate', 'strict', 'super-strict', 'non-refundable']
@@ -161,10 +201,53 @@ const bookingSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded', 'partially_refunded', 'failed', 'cancelled'],
+    enum: ['pending', 'partially_paid', 'paid', 'refunded', 'partially_refunded', 'failed', 'cancelled'],
     default: 'pending'
   },
   paymentIntentId: String,
+  // Held while a saved payment method is charged, so a repeated submit can't charge twice
+  paymentLock: {
+    idempotencyKey: String,
+    lockedAt: Date
+  },
+  // Deposit paid at booking, balance due before check-in (services/paymentPlan.service.js)
+  paymentPlan: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    depositPercentage: Number,
+    depositAmount: Number,
+    balanceAmount: Number,
+    balanceDueDate: Date,
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['awaiting_balance', 'paid', 'defaulted']
+    },
+    // Gateway order the guest pays the balance against, and the gateway
+    // payment that settled it
+    balanceOrder: {
+      provider: String,
+      orderId: String,
+      paymentId: String,
+      createdAt: Date
+    },
+    balancePayment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    balancePaidAt: Date,
+    remindersSent: [{
+      _id: false,
+      daysBefore: Number,
+      sentAt: Date
+    }],
+    defaultedAt: Date
+  },
   refundAmount: {
     type: Number,
     default: 0
@@ -210,10 +293,47 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Check-in notes cannot exceed 500 characters']
   },
+  // Guest left before check-out; the nights from `date` are refunded and
+  // checkOut is moved to `date` (the original is kept in bookedCheckOut)
+  earlyCheckOut: {
+    date: Date,
+    bookedCheckOut: Date,
+    recordedAt: Date,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      maxlength: [500, 'Check-out notes cannot exceed 500 characters']
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund'
+    }
+  },
   couponApplied: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Coupon'
   },
+  // Every coupon applied (couponApplied is the first), with the rules it was
+  // checked against and the booking facts at the time, for audit
+  appliedCoupons: [{
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discountType: String,
+    amount: Number,
+    maxDiscount: Number,
+    discountAmount: Number,
+    stackGroup: String,
+    rules: mongoose.Schema.Types.Mixed,
+    context: mongoose.Schema.Types.Mixed,
+    evaluatedAt: Date,
+    _id: false
+  }],
   discountAmount: {
     type: Number,
     default: 0
@@ -234,7 +354,33 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // PricingConfig version whose fees were charged (see PricingConfig.resolveConfig)
+  pricingConfigVersion: Number,
   pricingBreakdown: {
+    // Per-night prices after host pricing rules (daily stays)
+    nightlyBreakdown: [{
+      _id: false,
+      date: Date,
+      basePrice: Number,
+      price: Number,
+      adjustments: [{
+        _id: false,
+        rule: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+        name: String,
+        ruleType: String,
+        adjustmentType: String,
+        adjustmentValue: Number,
+        amount: Number
+      }]
+    }],
+    // Host promotion applied to the stay (utils/hostPromotions.js)
+    hostPromotion: {
+      promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'HostPromotion' },
+      name: String,
+      discountType: String,
+      discountValue: Number,
+      discountAmount: Number
+    },
     customerBreakdown: {
       baseAmount: Number,
       cleaningFee: Number,
@@ -242,6 +388,7 @@ const bookingSchema = new mongoose.Schema({
       securityDeposit: Number,
       hourlyExtension: Number,
       discountAmount: Number,
+      promotionDiscount: Number,
       subtotal: Number,
       platformFee: Number,
       gst: Number,
@@ -255,6 +402,7 @@ const bookingSchema = new mongoose.Schema({
       securityDeposit: Number,
       hourlyExtension: Number,
       discountAmount: Number,
+      promotionDiscount: Number,
       subtotal: Number,
       platformFee: Number,
       hostEarning: Number
@@ -265,7 +413,88 @@ const bookingSchema = new mongoose.Schema({
       gst: Number,
       platformRevenue: Number
     }
-  }
+  },
+  // Date/guest change requests, newest last (kept as the modification history)
+  modifications: [{
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    proposedByRole: {
+      type: String,
+      enum: ['guest', 'host'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'applying', 'awaiting_payment', 'completed', 'rejected', 'cancelled'],
+      default: 'pending'
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Modification reason cannot exceed 500 characters']
+    },
+    previous: {
+      checkIn: Date,
+      checkOut: Date,
+      guests: {
+        adults: Number,
+        children: Number,
+        infants: Number
+      },
+      totalAmount: Number
+    },
+    requested: {
+      checkIn: Date,
+      checkOut: Date,
+      nights: Number,
+      guests: {
+        adults: Number,
+        children: Number,
+        infants: Number
+      },
+      totalAmount: Number
+    },
+    // Re-quoted pricing for the requested stay (same shape as calculatePricingBreakdown)
+    pricing: mongoose.Schema.Types.Mixed,
+    // Positive: guest pays the difference; negative: guest is refunded
+    priceDifference: {
+      type: Number,
+      default: 0
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    responseMessage: {
+      type: String,
+      maxlength: [500, 'Response message cannot exceed 500 characters']
+    },
+    payment: {
+      provider: String,
+      orderId: String,
+      paymentId: String,
+      amount: Number,
+      paidAt: Date,
+      // Payment record of the difference
+      record: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+      }
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund'
+    },
+    notes: String,
+    completedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -292,6 +521,11 @@ bookingSchema.index({ status: 1 });
 bookingSchema.index({ checkIn: 1 });
 bookingSchema.index({ checkOut: 1 });
 bookingSchema.index({ receiptId: 1 });
+bookingSchema.index({ status: 1, responseDeadline: 1 });
+bookingSchema.index({ 'paymentPlan.status': 1, 'paymentPlan.balanceDueDate': 1 });
+bookingSchema.index({ securityDepositStatus: 1, checkOut: 1 });
+bookingSchema.index({ 'pricingBreakdown.hostPromotion.promotion': 1 }, { sparse: true });
+bookingSchema.index({ pricingConfigVersion: 1 }, { sparse: true });
 
 // Virtuals
 bookingSchema.virtual('review', {
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A message thread between a guest and a host about one listing/service,
+// or about one booking once it exists
+const conversationSchema = new mongoose.Schema({
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  lastMessage: {
+    content: String,
+    messageType: {
+      type: String,
+      enum: ['text', 'image', 'link']
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  unreadCount: {
+    guest: { type: Number, default: 0, min: 0 },
+    host: { type: Number, default: 0, min: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+conversationSchema.index({ guest: 1, host: 1, listing: 1, service: 1, booking: 1 }, { unique: true });
+conversationSchema.index({ guest: 1, lastMessageAt: -1 });
+conversationSchema.index({ host: 1, lastMessageAt: -1 });
+
+// Role of a user in the conversation ('guest', 'host' or null)
+conversationSchema.methods.getParticipantRole = function(userId) {
+  if (!userId) return null;
+  const id = userId.toString();
+  if (this.guest.toString() === id) return 'guest';
+  if (this.host.toString() === id) return 'host';
+  return null;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
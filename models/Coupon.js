@@ -74,7 +74,64 @@ const couponSchema = new mongoose.Schema({
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin'
-  }
+  },
+  // Who and what the coupon is for (services/couponEligibility.service.js)
+  targeting: {
+    firstBookingOnly: {
+      type: Boolean,
+      default: false
+    },
+    // Only these users may use it (e.g. referral reward coupons)
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Uses per guest
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    // Any of: new_guest, returning_guest, frequent_guest, verified, host,
+    // or a segment assigned in User.segments
+    userSegments: [String],
+    cities: [String],
+    states: [String],
+    // Property.type values (villa, apartment, ...)
+    types: [String],
+    // Property.propertyType values (premium, standard, budget, luxury)
+    propertyTypes: [String],
+    minNights: {
+      type: Number,
+      min: 1
+    },
+    // Check-in weekdays, 0 = Sunday
+    checkInDays: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // Days between booking and check-in
+    minLeadDays: {
+      type: Number,
+      min: 0
+    },
+    maxLeadDays: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Coupons combine only when each lists the other's group in combinableWith;
+  // without a group a coupon cannot be combined
+  stacking: {
+    group: {
+      type: String,
+      trim: true
+    },
+    combinableWith: [String]
+  },
+  // Set on coupons generated together by bulk creation
+  batchId: String
 }, {
   timestamps: true
 });
@@ -84,6 +141,7 @@ couponSchema.index({ code: 1 }, { unique: true });
 couponSchema.index({ validFrom: 1 });
 couponSchema.index({ validTo: 1 });
 couponSchema.index({ isActive: 1 });
+couponSchema.index({ batchId: 1 }, { sparse: true });
 
 // Pre-save hook to validate dates
 couponSchema.pre('save', function(next) {
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Host claim against a booking's security deposit (services/damageClaim.service.js).
+// The guest accepts or contests it; contested claims are decided by an admin.
+// The approved amount goes to the host and the rest of the deposit is refunded.
+const damageClaimSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Booking currency; the deposit and every amount below are in it
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  depositAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Claim amount must be greater than zero']
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  // Uploaded photo URLs (/api/upload/images)
+  photos: [String],
+  status: {
+    type: String,
+    enum: ['pending_guest', 'contested', 'accepted', 'resolved', 'withdrawn'],
+    default: 'pending_guest'
+  },
+  // Unanswered claims go to an admin after this time
+  responseDeadline: {
+    type: Date,
+    required: true
+  },
+  guestResponse: {
+    accepted: Boolean,
+    message: {
+      type: String,
+      maxlength: [1000, 'Response cannot exceed 1000 characters']
+    },
+    respondedAt: Date,
+    // Escalated because the guest did not answer in time
+    escalated: {
+      type: Boolean,
+      default: false
+    }
+  },
+  resolution: {
+    awardedAmount: Number,
+    notes: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  // Part of the deposit paid to the host (set when the claim is settled)
+  approvedAmount: {
+    type: Number,
+    min: 0
+  },
+  // Refund of the rest of the deposit
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  // Host credit for the approved amount
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  settledAt: Date,
+  withdrawnAt: Date
+}, {
+  timestamps: true
+});
+
+damageClaimSchema.index({ booking: 1, createdAt: -1 });
+damageClaimSchema.index({ host: 1, createdAt: -1 });
+damageClaimSchema.index({ guest: 1, createdAt: -1 });
+damageClaimSchema.index({ status: 1, responseDeadline: 1 });
+
+module.exports = mongoose.model('DamageClaim', damageClaimSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Chargeback / payment dispute raised by the guest's bank through a gateway
+// (services/dispute.service.js). Opened from the gateway's dispute webhook;
+// the booking's payouts are held until it is decided.
+const disputeSchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Dispute ID at the gateway
+  gatewayDisputeId: {
+    type: String,
+    required: true
+  },
+  // Gateway reason code (e.g. fraudulent, product_not_received)
+  reasonCode: String,
+  reasonDescription: String,
+  // Stage at the gateway (inquiry, chargeback, pre_arbitration, ...)
+  phase: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'under_review', 'won', 'lost'],
+    default: 'open'
+  },
+  // Evidence must reach the gateway by this time
+  respondBy: Date,
+  evidence: {
+    // Snapshot of the booking, messages, check-in record and receipt
+    pack: mongoose.Schema.Types.Mixed,
+    generatedAt: Date,
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  },
+  outcome: {
+    decidedAt: Date,
+    // Amount the gateway took back from us (lost disputes)
+    amountLost: Number,
+    // gateway (webhook) or admin
+    source: {
+      type: String,
+      enum: ['gateway', 'admin']
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // What happened to the booking's unsent payouts
+    payoutAction: {
+      type: String,
+      enum: ['released', 'cancelled', 'held_for_review']
+    },
+    // Booking-currency amount already paid to the host when a dispute was lost
+    hostPaidAmount: Number,
+    notes: String
+  },
+  history: [{
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    source: {
+      type: String,
+      enum: ['gateway', 'admin']
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    _id: false
+  }],
+  gatewayResponse: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ provider: 1, gatewayDisputeId: 1 }, { unique: true });
+disputeSchema.index({ status: 1, respondBy: 1 });
+disputeSchema.index({ payment: 1 });
+disputeSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// One document per rate change. The active document for a currency is its
+// current rate; older documents are kept as the rate history.
+const exchangeRateSchema = new mongoose.Schema({
+  // Currency the rate is quoted against (platform currency, INR)
+  baseCurrency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    default: 'INR'
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Units of `currency` for 1 unit of `baseCurrency` (e.g. 0.012 USD per INR)
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Exchange rate must be positive']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+
+  source: {
+    type: String,
+    enum: ['manual', 'csv_import'],
+    default: 'manual'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changeReason: {
+    type: String,
+    maxlength: 500
+  },
+  version: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, isActive: 1 });
+exchangeRateSchema.index({ currency: 1, createdAt: -1 });
+
+// Current rate for every currency that has one
+exchangeRateSchema.statics.getActiveRates = function() {
+  return this.find({ isActive: true }).sort({ currency: 1 });
+};
+
+// Replace the active rate for a currency, keeping the old one as history
+exchangeRateSchema.statics.setRate = async function(currency, rate, adminUserId, options = {}) {
+  const code = currency.toUpperCase();
+  const now = new Date();
+
+  await this.updateMany(
+    { currency: code, isActive: true },
+    {
+      isActive: false,
+      effectiveTo: now,
+      updatedBy: adminUserId
+    }
+  );
+
+  const newRate = new this({
+    baseCurrency: options.baseCurrency || 'INR',
+    currency: code,
+    rate,
+    isActive: true,
+    effectiveFrom: now,
+    source: options.source || 'manual',
+    createdBy: adminUserId,
+    changeReason: options.changeReason,
+    version: await this.countDocuments({ currency: code }) + 1
+  });
+
+  await newRate.save();
+
+  console.log(`✅ Exchange rate ${newRate.baseCurrency}→${code} set to ${rate} by ${adminUserId}`);
+
+  return newRate;
+};
+
+// Rate history, newest first (optionally for one currency)
+exchangeRateSchema.statics.getRateHistory = function(currency = null, limit = 50) {
+  const query = currency ? { currency: currency.toUpperCase() } : {};
+  return this.find(query)
+    .populate('createdBy', 'name email')
+    .populate('updatedBy', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
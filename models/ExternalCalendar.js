@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const externalCalendarSchema = new Schema({
+  property: {
+    type: Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  host: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Calendar name cannot exceed 100 characters'],
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['airbnb', 'booking_com', 'vrbo', 'google', 'other'],
+    default: 'other'
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^(https|webcal):\/\/.+/i.test(v);
+      },
+      message: 'Calendar URL must be a valid https or webcal URL'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Sync state
+  lastSyncedAt: Date,
+  lastSyncStatus: {
+    type: String,
+    enum: ['never', 'success', 'failed'],
+    default: 'never'
+  },
+  lastSyncError: String,
+  importedBlockCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+externalCalendarSchema.index({ property: 1, url: 1 }, { unique: true });
+externalCalendarSchema.index({ isActive: 1, lastSyncedAt: 1 });
+
+module.exports = mongoose.model('ExternalCalendar', externalCalendarSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Host-run discount on some of their own properties ("20% off stays in July",
+// "10% off bookings made in the next 48h"). Applied automatically by
+// calculatePricingBreakdown (utils/hostPromotions.js) and paid for out of
+// the host's earning.
+const hostPromotionSchema = new mongoose.Schema({
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  properties: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property'
+    }],
+    validate: {
+      validator: (properties) => properties.length > 0,
+      message: 'A promotion needs at least one property'
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // percentage: % off the stay, fixed: amount off the stay
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Largest discount per booking (percentage promotions)
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Currency of the promoted properties; fixed amounts and the budget are in it
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  // Nights from stayStartDate to stayEndDate (inclusive) are discounted
+  stayStartDate: Date,
+  stayEndDate: Date,
+  // Only bookings made in this window get the promotion
+  bookingStartDate: Date,
+  bookingEndDate: Date,
+  minNights: {
+    type: Number,
+    min: 1
+  },
+
+  // Total discount the host is willing to give; the promotion stops once spent
+  budget: {
+    type: Number,
+    min: 0
+  },
+  spent: {
+    type: Number,
+    default: 0
+  },
+  redemptions: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+hostPromotionSchema.index({ properties: 1, isActive: 1 });
+hostPromotionSchema.index({ host: 1, createdAt: -1 });
+
+hostPromotionSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100%');
+  }
+  if (this.stayStartDate && this.stayEndDate && this.stayEndDate < this.stayStartDate) {
+    this.invalidate('stayEndDate', 'stayEndDate must be on or after stayStartDate');
+  }
+  if (this.bookingStartDate && this.bookingEndDate && this.bookingEndDate <= this.bookingStartDate) {
+    this.invalidate('bookingEndDate', 'bookingEndDate must be after bookingStartDate');
+  }
+  next();
+});
+
+// Promotions that can apply to a booking of the property made at bookedAt
+hostPromotionSchema.statics.getActivePromotions = function(propertyId, bookedAt = new Date()) {
+  return this.find({
+    properties: propertyId,
+    isActive: true,
+    $and: [
+      { $or: [{ bookingStartDate: null }, { bookingStartDate: { $lte: bookedAt } }] },
+      { $or: [{ bookingEndDate: null }, { bookingEndDate: { $gte: bookedAt } }] },
+      { $or: [{ budget: null }, { $expr: { $lt: ['$spent', '$budget'] } }] }
+    ]
+  }).lean();
+};
+
+module.exports = mongoose.model('HostPromotion', hostPromotionSchema);
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  legalName: String,
+  gstin: String,
+  address: String,
+  stateCode: String,
+  stateName: String,
+  email: String
+}, { _id: false });
+
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  sacCode: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  unit: {
+    type: String,
+    default: 'OTH'
+  },
+  grossAmount: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  gstRate: {
+    type: Number,
+    required: true
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // Gapless per supplier GSTIN, series and financial year (see InvoiceSequence);
+  // unique per supplier, since registered hosts number from their own GSTIN
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  documentType: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  // host_supply: the stay/service itself; platform_fee: TripMe's own fees
+  invoiceType: {
+    type: String,
+    enum: ['host_supply', 'platform_fee'],
+    required: true
+  },
+  series: {
+    type: String,
+    required: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Credit notes: the refund that triggered them and the invoice they reduce
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+
+  supplier: partySchema,
+  recipient: partySchema,
+  // Set when TripMe issues the invoice as e-commerce operator for an unregistered host
+  issuedOnBehalfOf: {
+    name: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  placeOfSupply: {
+    stateCode: String,
+    stateName: String
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    required: true
+  },
+  reverseCharge: {
+    type: Boolean,
+    default: false
+  },
+
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Booking amounts in another currency are converted to INR at this rate
+  conversion: {
+    currency: String,
+    rate: Number
+  },
+
+  lineItems: [lineItemSchema],
+  totals: {
+    taxableValue: Number,
+    cgstAmount: Number,
+    sgstAmount: Number,
+    igstAmount: Number,
+    totalTax: Number,
+    grandTotal: Number
+  },
+  notes: [String],
+
+  status: {
+    type: String,
+    enum: ['issued', 'cancelled'],
+    default: 'issued'
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ 'supplier.gstin': 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ booking: 1, documentType: 1 });
+invoiceSchema.index({ financialYear: 1, series: 1, sequence: 1 });
+invoiceSchema.index({ guest: 1, issuedAt: -1 });
+invoiceSchema.index({ host: 1, issuedAt: -1 });
+// One invoice of each type per booking, one credit note per refund and invoice
+invoiceSchema.index(
+  { booking: 1, invoiceType: 1 },
+  { unique: true, partialFilterExpression: { documentType: 'invoice' } }
+);
+invoiceSchema.index(
+  { refund: 1, originalInvoice: 1 },
+  { unique: true, partialFilterExpression: { documentType: 'credit_note' } }
+);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Last number used per supplier GSTIN, series and financial year.
+// Incremented in the same transaction that creates the invoice, so numbers stay gapless.
+const invoiceSequenceSchema = new mongoose.Schema({
+  gstin: {
+    type: String,
+    required: true
+  },
+  series: {
+    type: String,
+    required: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  lastNumber: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSequenceSchema.index({ gstin: 1, series: 1, financialYear: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
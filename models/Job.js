@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Persistent job for the scheduler (services/scheduler.service.js).
+// Recurring jobs are keyed by name; one-off jobs get a unique key per enqueue.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['recurring', 'one_off'],
+    required: true
+  },
+  intervalMs: {
+    type: Number,
+    min: 1000
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'running', 'completed', 'failed'],
+    default: 'scheduled'
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Distributed lock: only the instance holding the lock runs the job.
+  // An expired lock (crashed instance) can be taken over.
+  lockedBy: String,
+  lockedAt: Date,
+  lockExpiresAt: Date,
+  lockTimeoutMs: {
+    type: Number,
+    default: 10 * 60 * 1000
+  },
+
+  // Retries with exponential backoff: backoffMs, 2x, 4x, ...
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  backoffMs: {
+    type: Number,
+    default: 30 * 1000
+  },
+
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastRunStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  lastError: String,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  pausedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobSchema.index({ status: 1, paused: 1, nextRunAt: 1 });
+jobSchema.index({ name: 1, status: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Run history for scheduler jobs (kept for JOB_RUN_RETENTION_DAYS, default 30)
+const retentionDays = parseInt(process.env.JOB_RUN_RETENTION_DAYS, 10) || 30;
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  jobName: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'retry', 'manual'],
+    default: 'schedule'
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  instanceId: String,
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
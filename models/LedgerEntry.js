@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+// Double-entry journal entry (services/ledger.service.js).
+// Each entry is one document, so its lines are always written together, and
+// its debits must equal its credits. Entries are never edited: mistakes are
+// corrected with a reversing entry.
+const ACCOUNT_CODES = [
+  'gateway_clearing',
+  'guest_receivables',
+  'host_payables',
+  'gst_payable',
+  'security_deposits',
+  'platform_fee_revenue',
+  'processing_fee_revenue',
+  'refunds',
+  'wallet_balances',
+  'goodwill_expense'
+];
+
+// What a line is for, so refunds can be split across what was charged
+const COMPONENTS = ['host', 'gst', 'deposit', 'platform_fee', 'processing_fee'];
+
+const BALANCE_TOLERANCE = 0.005;
+
+const lineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ACCOUNT_CODES,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  component: {
+    type: String,
+    enum: COMPONENTS
+  },
+  memo: String
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // Idempotency key of the posting (e.g. payment:<id>:charge)
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['booking_charge', 'payment', 'booking_adjustment', 'refund', 'payout', 'wallet', 'reversal'],
+    required: true
+  },
+  description: String,
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  lines: {
+    type: [lineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  totalDebit: Number,
+  totalCredit: Number,
+
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  walletTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction'
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.pre('validate', function(next) {
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error(`Ledger line for ${line.account} must have either a debit or a credit`));
+    }
+  }
+
+  this.totalDebit = Math.round(this.lines.reduce((sum, line) => sum + line.debit, 0) * 100) / 100;
+  this.totalCredit = Math.round(this.lines.reduce((sum, line) => sum + line.credit, 0) * 100) / 100;
+
+  if (Math.abs(this.totalDebit - this.totalCredit) > BALANCE_TOLERANCE) {
+    return next(new Error(`Unbalanced journal entry: debits ${this.totalDebit}, credits ${this.totalCredit}`));
+  }
+  next();
+});
+
+ledgerEntrySchema.index({ booking: 1, postedAt: 1 });
+ledgerEntrySchema.index({ type: 1, postedAt: -1 });
+ledgerEntrySchema.index({ 'lines.account': 1, postedAt: -1 });
+ledgerEntrySchema.index({ postedAt: -1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 
 const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -38,6 +42,7 @@ const messageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  readAt: Date,
   booking: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Booking'
@@ -47,6 +52,7 @@ const messageSchema = new mongoose.Schema({
 });
 
 // Indexes
+messageSchema.index({ conversation: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ receiver: 1 });
 messageSchema.index({ createdAt: -1 });
@@ -30,7 +30,15 @@ const paymentSchema = new mongoose.Schema({
     cardLast4: String,
     cardBrand: String,
     paymentGateway: String,
+    // Gateway payment ID (Razorpay payment, Stripe PaymentIntent, PayPal capture, ...)
     transactionId: String,
+    // Gateway order the payment was made against
+    gatewayOrderId: String,
+    // Saved payment method the payment was charged to
+    savedMethod: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentMethod'
+    },
     gatewayResponse: mongoose.Schema.Types.Mixed
   },
   // Razorpay specific fields
@@ -42,6 +50,38 @@ const paymentSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'partially_refunded', 'cancelled'],
     default: 'pending'
   },
+  // Payment plan bookings are paid as a deposit and a balance. The deposit
+  // payment carries the booking's fee breakdown; the balance only settles it.
+  // The price difference of a booking modification is also a balance payment.
+  installment: {
+    type: String,
+    enum: ['full', 'deposit', 'balance'],
+    default: 'full'
+  },
+  // Booking modification whose price difference this payment settled
+  modification: mongoose.Schema.Types.ObjectId,
+  // Part of the amount paid from the guest's wallet; the gateway charged the rest
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // What the gateway charged, in the guest's currency at the rate locked on the
+  // booking (`amount` stays in `currency`); refunds are converted at the same rate
+  charge: {
+    amount: Number,
+    currency: String,
+    rate: Number
+  },
+  // Latest chargeback on this payment (services/dispute.service.js)
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
+  disputeStatus: {
+    type: String,
+    enum: ['open', 'under_review', 'won', 'lost']
+  },
   
   // Fee breakdown
   subtotal: {
@@ -101,6 +141,30 @@ const paymentSchema = new mongoose.Schema({
   
   // Complete pricing breakdown for consistency
   pricingBreakdown: {
+    // Per-night prices after host pricing rules (daily stays)
+    nightlyBreakdown: [{
+      _id: false,
+      date: Date,
+      basePrice: Number,
+      price: Number,
+      adjustments: [{
+        _id: false,
+        rule: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+        name: String,
+        ruleType: String,
+        adjustmentType: String,
+        adjustmentValue: Number,
+        amount: Number
+      }]
+    }],
+    // Host promotion applied to the stay (utils/hostPromotions.js)
+    hostPromotion: {
+      promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'HostPromotion' },
+      name: String,
+      discountType: String,
+      discountValue: Number,
+      discountAmount: Number
+    },
     customerBreakdown: {
       baseAmount: Number,
       extraGuestCost: Number,
@@ -109,6 +173,7 @@ const paymentSchema = new mongoose.Schema({
       securityDeposit: Number,
       hourlyExtension: Number,
       discountAmount: Number,
+      promotionDiscount: Number,
       subtotal: Number,
       platformFee: Number,
       gst: Number,
@@ -123,6 +188,7 @@ const paymentSchema = new mongoose.Schema({
       securityDeposit: Number,
       hourlyExtension: Number,
       discountAmount: Number,
+      promotionDiscount: Number,
       subtotal: Number,
       platformFee: Number,
       hostEarning: Number
@@ -145,6 +211,10 @@ const paymentSchema = new mongoose.Schema({
     scheduledDate: Date,
     processedDate: Date,
     amount: Number,
+    // Amount in the host's settlement currency at the rate locked on the booking
+    settlementAmount: Number,
+    settlementCurrency: String,
+    exchangeRate: Number,
     method: {
       type: String,
       enum: ['bank_transfer', 'paypal', 'stripe_connect', 'manual'],
@@ -193,7 +263,7 @@ const paymentSchema = new mongoose.Schema({
   currency: {
     type: String,
     default: 'INR',
-    enum: ['INR', 'USD', 'EUR', 'GBP']
+    enum: ['INR', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD']
   },
   invoiceId: String,
   receiptUrl: String,
@@ -238,10 +308,13 @@ paymentSchema.virtual('payoutAmount').get(function() {
 
 // Pre-save hook to calculate totals
 paymentSchema.pre('save', function(next) {
+  // Deposit and balance payments are a share of the booking total, not its fee sum
+  const isInstallment = this.installment === 'deposit' || this.installment === 'balance';
+
   // Ensure total amount equals subtotal + all fees - discount
-  if (this.isModified('subtotal') || this.isModified('taxes') || this.isModified('serviceFee') || 
+  if (!isInstallment && (this.isModified('subtotal') || this.isModified('taxes') || this.isModified('serviceFee') || 
       this.isModified('cleaningFee') || this.isModified('securityDeposit') || 
-      this.isModified('processingFee') || this.isModified('discountAmount')) {
+      this.isModified('processingFee') || this.isModified('discountAmount'))) {
     
     // Calculate total amount correctly (subtotal already includes base amount + fees)
     // Total = subtotal + platform fee + GST + processing fee
@@ -272,11 +345,13 @@ paymentSchema.pre('save', function(next) {
     this.commission.hostEarning = Math.round((this.subtotal - this.commission.platformFee) * 100) / 100;
     
     // Recalculate amount with correct platform fee
-    this.amount = this.subtotal + 
-                  this.commission.platformFee + 
-                  this.taxes + 
-                  this.processingFee - 
-                  (this.discountAmount || 0);
+    if (!isInstallment) {
+      this.amount = this.subtotal + 
+                    this.commission.platformFee + 
+                    this.taxes + 
+                    this.processingFee - 
+                    (this.discountAmount || 0);
+    }
   }
   
   next();
@@ -293,5 +368,7 @@ paymentSchema.index({ transactionId: 1 });
 paymentSchema.index({ 'payout.scheduledDate': 1 });
 paymentSchema.index({ razorpayOrderId: 1 });
 paymentSchema.index({ razorpayPaymentId: 1 });
+paymentSchema.index({ 'paymentDetails.transactionId': 1 });
+paymentSchema.index({ 'paymentDetails.gatewayOrderId': 1 });
 
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
@@ -1,32 +1,44 @@
 const mongoose = require('mongoose');
 
+// Settlement report lines may not match any payment
+const SETTLEMENT_ACTIONS = [
+  'settlement_missing',
+  'settlement_duplicate',
+  'settlement_amount_mismatch',
+  'settlement_fee_mismatch'
+];
+
+function requiredUnlessSettlement() {
+  return !SETTLEMENT_ACTIONS.includes(this.audit?.action);
+}
+
 const paymentAuditLogSchema = new mongoose.Schema({
   // Reference to the payment
   payment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment',
-    required: true
+    required: requiredUnlessSettlement
   },
   
   // Reference to the booking
   booking: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Booking',
-    required: true
+    required: requiredUnlessSettlement
   },
   
   // User who initiated the payment
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: requiredUnlessSettlement
   },
   
   // Host of the booking
   host: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: requiredUnlessSettlement
   },
   
   // Raw input parameters used for calculation
@@ -111,11 +123,30 @@ const paymentAuditLogSchema = new mongoose.Schema({
     requestId: String
   },
   
+  // Gateway settlement report line that did not reconcile
+  reconciliation: {
+    settlementImport: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SettlementImport'
+    },
+    provider: String,
+    settlementId: String,
+    settlementDate: Date,
+    entityType: String,
+    entityId: String,
+    orderId: String,
+    line: Number,
+    reportedAmount: Number,
+    expectedAmount: Number,
+    reportedFee: Number,
+    expectedFee: Number
+  },
+
   // Audit metadata
   audit: {
     action: {
       type: String,
-      enum: ['payment_created', 'payment_processed', 'payment_rejected', 'rate_mismatch', 'validation_failed'],
+      enum: ['payment_created', 'payment_processed', 'payment_rejected', 'rate_mismatch', 'validation_failed', ...SETTLEMENT_ACTIONS],
       required: true
     },
     reason: String,
@@ -140,6 +171,7 @@ paymentAuditLogSchema.index({ 'validation.isValid': 1 });
 paymentAuditLogSchema.index({ 'audit.action': 1 });
 paymentAuditLogSchema.index({ 'audit.severity': 1 });
 paymentAuditLogSchema.index({ createdAt: -1 });
+paymentAuditLogSchema.index({ 'reconciliation.settlementImport': 1 });
 
 // Virtual for calculation difference
 paymentAuditLogSchema.virtual('calculationDifference').get(function() {
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Reusable payment instrument saved at a gateway (services/paymentMethod.service.js).
+// Only the gateway's customer and token IDs and display details are kept;
+// card numbers never reach this server.
+const paymentMethodSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Gateway customer the instrument is saved under
+  customerId: {
+    type: String,
+    required: true
+  },
+  // Gateway token / payment method ID used to charge it
+  token: {
+    type: String,
+    required: true,
+    select: false
+  },
+  type: {
+    type: String,
+    enum: ['card', 'upi'],
+    required: true
+  },
+  // Card network (Visa, Mastercard, RuPay, ...)
+  brand: String,
+  // credit, debit or prepaid
+  funding: String,
+  last4: String,
+  expMonth: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  expYear: Number,
+  // UPI VPA (name@bank)
+  vpa: String,
+  // Hash identifying the underlying card or VPA, so it is saved only once
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  nickname: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Nickname cannot exceed 50 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'removed'],
+    default: 'active'
+  },
+  lastUsedAt: Date,
+  // Set when the guest was warned that the card is about to expire
+  expiryWarnedAt: Date,
+  removedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+paymentMethodSchema.index(
+  { user: 1, provider: 1, fingerprint: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+paymentMethodSchema.index({ user: 1, status: 1, isDefault: -1 });
+paymentMethodSchema.index({ status: 1, type: 1, expYear: 1, expMonth: 1 });
+
+// Cards are valid until the end of their expiry month
+paymentMethodSchema.virtual('expiresAt').get(function() {
+  if (this.type !== 'card' || !this.expMonth || !this.expYear) {
+    return null;
+  }
+  return new Date(Date.UTC(this.expYear, this.expMonth, 1) - 1);
+});
+
+paymentMethodSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt < new Date());
+});
+
+// Payment.paymentMethod value for charges made with this instrument
+paymentMethodSchema.virtual('paymentMethod').get(function() {
+  if (this.type === 'upi') {
+    return 'upi';
+  }
+  return this.funding === 'debit' ? 'debit_card' : 'credit_card';
+});
+
+module.exports = mongoose.model('PaymentMethod', paymentMethodSchema);
@@ -25,7 +25,13 @@ const payoutSchema = new Schema({
   currency: {
     type: String,
     default: 'INR',
-    enum: ['INR', 'USD', 'EUR', 'GBP']
+    enum: ['INR', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD']
+  },
+  // Booking-currency amount converted at the rate locked on the booking
+  conversion: {
+    amount: Number,
+    currency: String,
+    rate: Number
   },
   status: {
     type: String,
@@ -107,6 +113,81 @@ const payoutSchema = new Schema({
       ref: 'Admin'
     },
     notes: String
+  },
+
+  // Release rule that set scheduledDate (services/payout.service.js)
+  release: {
+    rule: {
+      type: String,
+      enum: ['after_check_in', 'after_service', 'monthly_installment', 'damage_claim']
+    },
+    policyVersion: Number,
+    // Host credit for an approved damage claim on the security deposit
+    damageClaim: {
+      type: Schema.Types.ObjectId,
+      ref: 'DamageClaim'
+    },
+    // Long stays: the part of the stay this payout covers
+    installment: {
+      number: Number,
+      of: Number,
+      periodStart: Date,
+      periodEnd: Date,
+      nights: Number
+    }
+  },
+
+  // Holds (open dispute, damage claim, admin). Held payouts are not batched.
+  holds: [{
+    reason: {
+      type: String,
+      enum: ['dispute', 'damage_claim', 'admin'],
+      required: true
+    },
+    // ID of the dispute, claim or refund that caused the hold
+    reference: String,
+    note: String,
+    placedAt: {
+      type: Date,
+      default: Date.now
+    },
+    placedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    releasedAt: Date,
+    releasedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  onHold: {
+    type: Boolean,
+    default: false
+  },
+
+  // Left out of batches while the host's balance was below the minimum payout
+  rollover: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastRolledAt: Date
+  },
+
+  // Bank batch the payout was sent in
+  batch: {
+    type: Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  batchLine: String,
+  lastFailure: {
+    reason: String,
+    batch: {
+      type: Schema.Types.ObjectId,
+      ref: 'PayoutBatch'
+    },
+    failedAt: Date
   }
 }, {
   timestamps: true,
@@ -157,5 +238,7 @@ payoutSchema.index({ processedDate: 1 });
 payoutSchema.index({ createdAt: -1 });
 payoutSchema.index({ reference: 1 });
 payoutSchema.index({ transactionId: 1 });
+payoutSchema.index({ status: 1, onHold: 1, scheduledDate: 1 });
+payoutSchema.index({ batch: 1 });
 
 module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A bank bulk-transfer run (NEFT/IMPS). Each line is one transfer to one host
+// and lists the payouts, and so the bookings, it pays for.
+const batchLineSchema = new Schema({
+  // Customer reference sent to the bank (batch reference + line number)
+  reference: {
+    type: String,
+    required: true
+  },
+  host: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['NEFT', 'IMPS'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  beneficiary: {
+    accountHolderName: String,
+    accountNumber: String,
+    ifscCode: String,
+    bankName: String
+  },
+  payouts: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Payout'
+  }],
+  bookings: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Booking'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed'],
+    default: 'pending'
+  },
+  // Bank transaction reference of a paid line
+  utr: String,
+  failureReason: String,
+  settledAt: Date
+});
+
+const payoutBatchSchema = new Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  mode: {
+    type: String,
+    enum: ['NEFT', 'IMPS'],
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['generated', 'submitted', 'completed', 'partially_failed', 'failed', 'cancelled'],
+    default: 'generated'
+  },
+  // Payouts released on or before this date were considered
+  cutoffDate: {
+    type: Date,
+    required: true
+  },
+  // Date the bank is asked to make the transfers
+  valueDate: {
+    type: Date,
+    required: true
+  },
+  lines: [batchLineSchema],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  payoutCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Hosts left out of this batch
+  rolledOver: [{
+    host: { type: Schema.Types.ObjectId, ref: 'User' },
+    amount: Number,
+    payoutCount: Number
+  }],
+  skipped: [{
+    host: { type: Schema.Types.ObjectId, ref: 'User' },
+    amount: Number,
+    payoutCount: Number,
+    reason: String
+  }],
+
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  submittedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  cancelledAt: Date,
+  notes: String
+}, {
+  timestamps: true
+});
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ 'lines.reference': 1 });
+payoutBatchSchema.index({ 'lines.host': 1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
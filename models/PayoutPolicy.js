@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Host payout release rules (services/payout.service.js).
+// Versioned like PricingConfig: an update deactivates the current policy and
+// creates a new one, so earlier rules stay on record.
+const DEFAULT_POLICY = {
+  releaseAfterCheckInHours: 24,
+  serviceReleaseAfterHours: 0,
+  longStayNights: 28,
+  minimumPayouts: { INR: 500 },
+  impsMaxAmount: 500000
+};
+
+const payoutPolicySchema = new mongoose.Schema({
+  // Stays: payout is released this long after check-in
+  releaseAfterCheckInHours: {
+    type: Number,
+    min: 0,
+    default: DEFAULT_POLICY.releaseAfterCheckInHours
+  },
+  // Services: released this long after the service starts (0 = on payment)
+  serviceReleaseAfterHours: {
+    type: Number,
+    min: 0,
+    default: DEFAULT_POLICY.serviceReleaseAfterHours
+  },
+  // Stays of at least this many nights are paid out in monthly installments
+  longStayNights: {
+    type: Number,
+    min: 1,
+    default: DEFAULT_POLICY.longStayNights
+  },
+  // Smallest amount sent to a host, per payout currency. Smaller balances roll
+  // over to the next batch. Currencies not listed have no minimum.
+  minimumPayouts: {
+    type: Map,
+    of: { type: Number, min: 0 },
+    default: () => ({ ...DEFAULT_POLICY.minimumPayouts })
+  },
+  // Larger transfers go by NEFT even in an IMPS batch
+  impsMaxAmount: {
+    type: Number,
+    min: 0,
+    default: DEFAULT_POLICY.impsMaxAmount
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changeReason: {
+    type: String,
+    maxlength: 500
+  },
+  version: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true
+});
+
+payoutPolicySchema.index({ isActive: 1, effectiveFrom: -1 });
+
+// Active policy, or the defaults when none has been saved
+payoutPolicySchema.statics.getCurrentPolicy = async function() {
+  const policy = await this.findOne({ isActive: true }).sort({ effectiveFrom: -1 });
+  return policy || new this({ ...DEFAULT_POLICY, version: 0 });
+};
+
+payoutPolicySchema.statics.updatePolicy = async function(changes, adminUserId, changeReason = '') {
+  const current = await this.getCurrentPolicy();
+  const next = {
+    releaseAfterCheckInHours: changes.releaseAfterCheckInHours ?? current.releaseAfterCheckInHours,
+    serviceReleaseAfterHours: changes.serviceReleaseAfterHours ?? current.serviceReleaseAfterHours,
+    longStayNights: changes.longStayNights ?? current.longStayNights,
+    minimumPayouts: changes.minimumPayouts ?? Object.fromEntries(current.minimumPayouts || []),
+    impsMaxAmount: changes.impsMaxAmount ?? current.impsMaxAmount
+  };
+
+  // Validate before the current policy is deactivated
+  const policy = new this({
+    ...next,
+    isActive: true,
+    effectiveFrom: new Date(),
+    createdBy: adminUserId,
+    changeReason,
+    version: await this.countDocuments() + 1
+  });
+  await policy.validate();
+
+  await this.updateMany({ isActive: true }, { isActive: false, effectiveTo: new Date() });
+  await policy.save();
+
+  console.log(`✅ Payout policy v${policy.version} saved by admin ${adminUserId}`);
+  return policy;
+};
+
+payoutPolicySchema.statics.getPolicyHistory = async function(limit = 10) {
+  return this.find()
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('PayoutPolicy', payoutPolicySchema);
@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 
+// Fee configuration. Each change creates a new version; versions can be
+// scheduled ahead (effectiveFrom in the future) and scoped to a segment.
+// resolveConfig picks the most specific config in force for a booking, and
+// the booking records the version it used.
+const DEFAULT_FEES = {
+  platformFeeRate: 0.15,
+  gstRate: 0.18,
+  processingFeeRate: 0.029,
+  processingFeeFixed: 30
+};
+const FEE_FIELDS = Object.keys(DEFAULT_FEES);
+
+// Segment fields, most specific first; a config matches a booking when every
+// field it sets matches. More specific matches win.
+const SCOPE_WEIGHTS = {
+  host: 16,
+  city: 8,
+  state: 4,
+  type: 2,
+  bookingType: 1
+};
+const SCOPE_FIELDS = Object.keys(SCOPE_WEIGHTS);
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 const pricingConfigSchema = new mongoose.Schema({
   // Platform fee configuration
   platformFeeRate: {
@@ -69,6 +98,38 @@ const pricingConfigSchema = new mongoose.Schema({
   version: {
     type: Number,
     default: 1
+  },
+
+  // Segment the config applies to; empty for the platform-wide config
+  scope: {
+    host: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    city: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    state: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    // Property `type` (villa, apartment, ...)
+    type: {
+      type: String,
+      enum: ['villa', 'apartment', 'hostel', 'house', 'cottage', 'cabin', 'treehouse', 'boat']
+    },
+    bookingType: {
+      type: String,
+      enum: ['daily', '24hour']
+    }
+  },
+  // Normalised scope ('global' when empty); versions with the same key replace each other
+  scopeKey: {
+    type: String,
+    default: 'global'
   }
 }, {
   timestamps: true
@@ -77,106 +138,320 @@ const pricingConfigSchema = new mongoose.Schema({
 // Indexes for efficient queries
 pricingConfigSchema.index({ isActive: 1, effectiveFrom: 1, effectiveTo: 1 });
 pricingConfigSchema.index({ createdAt: -1 });
+pricingConfigSchema.index({ version: 1 });
+pricingConfigSchema.index({ scopeKey: 1, isActive: 1, effectiveFrom: 1 });
 
-// Static method to get current active platform fee rate
-pricingConfigSchema.statics.getCurrentPlatformFeeRate = async function() {
-  const now = new Date();
-  
-  const activeConfig = await this.findOne({
+pricingConfigSchema.pre('validate', function(next) {
+  this.scopeKey = this.constructor.getScopeKey(this.scope);
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo <= this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'effectiveTo must be after effectiveFrom');
+  }
+  next();
+});
+
+// Set scope fields only, in a fixed order
+pricingConfigSchema.statics.normalizeScope = function(scope = {}) {
+  const normalized = {};
+  for (const field of SCOPE_FIELDS) {
+    const value = scope?.[field];
+    if (value === undefined || value === null || value === '') continue;
+    normalized[field] = ['city', 'state'].includes(field)
+      ? String(value).trim().toLowerCase()
+      : String(value);
+  }
+  return normalized;
+};
+
+pricingConfigSchema.statics.getScopeKey = function(scope) {
+  const normalized = this.normalizeScope(scope);
+  const parts = Object.entries(normalized).map(([field, value]) => `${field}=${value}`);
+  return parts.length > 0 ? parts.join('|') : 'global';
+};
+
+// Query on scopeKey; configs saved before scopes existed have none and are platform-wide
+pricingConfigSchema.statics.scopeKeyQuery = function(scopeKey) {
+  return scopeKey === 'global' ? { $in: ['global', null] } : scopeKey;
+};
+
+// How specific a scope is (0 = platform-wide)
+pricingConfigSchema.statics.getSpecificity = function(scope) {
+  return Object.keys(this.normalizeScope(scope))
+    .reduce((total, field) => total + SCOPE_WEIGHTS[field], 0);
+};
+
+/**
+ * Does a config's scope cover a booking?
+ * @param {Object} scope - Config scope
+ * @param {Object} context - { host, city, state, type, bookingType }
+ */
+pricingConfigSchema.statics.scopeMatches = function(scope, context = {}) {
+  const normalizedContext = this.normalizeScope(context);
+  return Object.entries(this.normalizeScope(scope))
+    .every(([field, value]) => normalizedContext[field] === value);
+};
+
+// Where a version is in its life: scheduled, current, ended or cancelled
+pricingConfigSchema.statics.getStatus = function(config, at = new Date()) {
+  if (!config.isActive) {
+    return config.effectiveFrom > (config.updatedAt || at) ? 'cancelled' : 'ended';
+  }
+  if (config.effectiveFrom > at) return 'scheduled';
+  if (config.effectiveTo && config.effectiveTo <= at) return 'ended';
+  return 'current';
+};
+
+// Fee rates of a config, with the version that supplied them
+pricingConfigSchema.statics.toFeeConfig = function(config) {
+  if (!config) {
+    return { ...DEFAULT_FEES, version: 0, configId: null, scope: {} };
+  }
+  return {
+    platformFeeRate: config.platformFeeRate,
+    gstRate: config.gstRate ?? DEFAULT_FEES.gstRate,
+    processingFeeRate: config.processingFeeRate ?? DEFAULT_FEES.processingFeeRate,
+    processingFeeFixed: config.processingFeeFixed ?? DEFAULT_FEES.processingFeeFixed,
+    version: config.version,
+    configId: config._id,
+    scope: this.normalizeScope(config.scope)
+  };
+};
+
+/**
+ * Most specific config in force for a booking. Among configs of the same
+ * specificity the one that took effect last wins, so a scheduled version
+ * takes over from the one before it without anything being switched.
+ * @param {Object} context - { host, city, state, type, bookingType }; empty for the platform-wide config
+ * @param {Date} at - Booking time
+ * @returns {Promise<Object>} Fee rates with version, configId and scope
+ */
+pricingConfigSchema.statics.resolveConfig = async function(context = {}, at = new Date()) {
+  const candidates = await this.find({
     isActive: true,
-    effectiveFrom: { $lte: now },
+    effectiveFrom: { $lte: at },
     $or: [
       { effectiveTo: null },
-      { effectiveTo: { $gte: now } }
+      { effectiveTo: { $gt: at } }
     ]
-  }).sort({ effectiveFrom: -1 });
+  }).lean();
+
+  const best = candidates
+    .filter(config => this.scopeMatches(config.scope, context))
+    .sort((a, b) => (this.getSpecificity(b.scope) - this.getSpecificity(a.scope)) ||
+      (new Date(b.effectiveFrom) - new Date(a.effectiveFrom)))[0];
+
+  return this.toFeeConfig(best);
+};
+
+// Fee rates of one version (re-validating a booking), or null
+pricingConfigSchema.statics.getVersionConfig = async function(version) {
+  const config = await this.findOne({ version }).sort({ createdAt: -1 }).lean();
+  return config ? this.toFeeConfig(config) : null;
+};
+
+/**
+ * Create a fee version, now or scheduled, platform-wide or for a segment.
+ * Fee fields left out are copied from the config that would otherwise apply
+ * to the segment at that time.
+ * - An open-ended version ends the open-ended version of the same scope
+ *   before it, and runs until the next one already scheduled.
+ * - A version with effectiveTo is a temporary override; the version before
+ *   it resumes afterwards.
+ * - A version starting at the same moment as another of its scope replaces it.
+ * @param {Object} data - { platformFeeRate, gstRate, processingFeeRate, processingFeeFixed, scope, effectiveFrom, effectiveTo, changeReason }
+ * @param {string} adminUserId - Admin making the change
+ * @returns {Promise<Object>} New config
+ */
+pricingConfigSchema.statics.scheduleConfig = async function(data, adminUserId) {
+  const now = new Date();
+  const scope = this.normalizeScope(data.scope);
+  const scopeKey = this.getScopeKey(scope);
+  const sameScope = this.scopeKeyQuery(scopeKey);
+  const effectiveFrom = data.effectiveFrom ? new Date(data.effectiveFrom) : now;
+  const effectiveTo = data.effectiveTo ? new Date(data.effectiveTo) : null;
+
+  if (Number.isNaN(effectiveFrom.getTime()) || (effectiveTo && Number.isNaN(effectiveTo.getTime()))) {
+    throw httpError(400, 'Invalid effective date');
+  }
+  // A minute of slack for clock skew between the admin panel and the server
+  if (effectiveFrom < new Date(now.getTime() - 60 * 1000)) {
+    throw httpError(400, 'effectiveFrom cannot be in the past');
+  }
+
+  const inherited = await this.resolveConfig(scope, effectiveFrom);
+  const fees = {};
+  for (const field of FEE_FIELDS) {
+    fees[field] = data[field] !== undefined && data[field] !== null ? data[field] : inherited[field];
+  }
+
+  let end = effectiveTo;
+  if (!end) {
+    const nextScheduled = await this.findOne({
+      scopeKey: sameScope,
+      isActive: true,
+      effectiveTo: null,
+      effectiveFrom: { $gt: effectiveFrom }
+    }).sort({ effectiveFrom: 1 });
+    end = nextScheduled ? nextScheduled.effectiveFrom : null;
+  }
+
+  // Validate before existing versions are touched
+  const config = new this({
+    ...fees,
+    scope,
+    isActive: true,
+    effectiveFrom,
+    effectiveTo: end,
+    createdBy: adminUserId,
+    changeReason: data.changeReason || '',
+    version: await this.countDocuments() + 1
+  });
+  await config.validate();
+
+  await this.updateMany(
+    { scopeKey: sameScope, isActive: true, effectiveFrom },
+    { isActive: false, updatedBy: adminUserId }
+  );
+  if (!effectiveTo) {
+    const startsNow = effectiveFrom <= now;
+    await this.updateMany(
+      {
+        scopeKey: sameScope,
+        isActive: true,
+        effectiveFrom: { $lt: effectiveFrom },
+        $or: [{ effectiveTo: null }, { effectiveTo: { $gt: effectiveFrom } }]
+      },
+      {
+        effectiveTo: effectiveFrom,
+        updatedBy: adminUserId,
+        ...(startsNow && { isActive: false })
+      }
+    );
+  }
+
+  await config.save();
+
+  console.log(`✅ Pricing config v${config.version} (${scopeKey}) saved by admin ${adminUserId}, effective ${effectiveFrom.toISOString()}`);
+  return config;
+};
+
+/**
+ * Cancel a version that has not taken effect yet. The version it would have
+ * ended runs on as if it had never been scheduled.
+ * @returns {Promise<Object>} Cancelled config
+ */
+pricingConfigSchema.statics.cancelScheduledConfig = async function(version, adminUserId) {
+  const config = await this.findOne({ version, isActive: true });
+  if (!config) {
+    throw httpError(404, 'Pricing config version not found');
+  }
+  if (config.effectiveFrom <= new Date()) {
+    throw httpError(400, 'Only scheduled versions can be cancelled; schedule a new version instead');
+  }
+
+  await this.updateMany(
+    { scopeKey: this.scopeKeyQuery(config.scopeKey), isActive: true, effectiveTo: config.effectiveFrom, _id: { $ne: config._id } },
+    { effectiveTo: config.effectiveTo, updatedBy: adminUserId }
+  );
+  config.isActive = false;
+  config.updatedBy = adminUserId;
+  await config.save();
+
+  console.log(`🗑️ Scheduled pricing config v${config.version} cancelled by admin ${adminUserId}`);
+  return config;
+};
+
+/**
+ * Field-by-field comparison of two versions
+ * @returns {Promise<Object>} { from, to, changes: [{ field, from, to }] }
+ */
+pricingConfigSchema.statics.compareVersions = async function(fromVersion, toVersion) {
+  const [from, to] = await Promise.all([
+    this.findOne({ version: fromVersion }).populate('createdBy', 'name email').lean(),
+    this.findOne({ version: toVersion }).populate('createdBy', 'name email').lean()
+  ]);
+  if (!from || !to) {
+    throw httpError(404, `Pricing config version ${!from ? fromVersion : toVersion} not found`);
+  }
+
+  const comparable = (config) => {
+    const scope = this.normalizeScope(config.scope);
+    return {
+      ...Object.fromEntries(FEE_FIELDS.map(field => [field, config[field] ?? DEFAULT_FEES[field]])),
+      ...Object.fromEntries(SCOPE_FIELDS.map(field => [`scope.${field}`, scope[field] ?? null])),
+      effectiveFrom: config.effectiveFrom ? new Date(config.effectiveFrom).toISOString() : null,
+      effectiveTo: config.effectiveTo ? new Date(config.effectiveTo).toISOString() : null,
+      status: this.getStatus(config)
+    };
+  };
+  const fromValues = comparable(from);
+  const toValues = comparable(to);
+
+  const changes = Object.keys(fromValues)
+    .filter(field => fromValues[field] !== toValues[field])
+    .map(field => ({ field, from: fromValues[field], to: toValues[field] }));
+
+  const summary = (config, values) => ({
+    version: config.version,
+    ...values,
+    changeReason: config.changeReason,
+    createdBy: config.createdBy?.name || null,
+    createdAt: config.createdAt
+  });
+
+  return {
+    from: summary(from, fromValues),
+    to: summary(to, toValues),
+    changes
+  };
+};
+
+// Static method to get current active platform fee rate (platform-wide config)
+pricingConfigSchema.statics.getCurrentPlatformFeeRate = async function() {
+  const config = await this.resolveConfig();
   
-  if (!activeConfig) {
+  if (!config.configId) {
     // Fallback to default rate if no active config found
     console.warn('⚠️ No active pricing config found, using default platform fee rate: 15%');
-    return 0.15;
   }
   
-  return activeConfig.platformFeeRate;
+  return config.platformFeeRate;
 };
 
-// Get full current pricing config (platform, gst, processing)
+// Get full current platform-wide pricing config (platform, gst, processing)
 pricingConfigSchema.statics.getCurrentPricingConfig = async function() {
-  const now = new Date();
-  const activeConfig = await this.findOne({
-    isActive: true,
-    effectiveFrom: { $lte: now },
-    $or: [
-      { effectiveTo: null },
-      { effectiveTo: { $gte: now } }
-    ]
-  }).sort({ effectiveFrom: -1 });
+  const config = await this.resolveConfig();
 
-  if (!activeConfig) {
+  if (!config.configId) {
     console.warn('⚠️ No active pricing config found, using defaults (15%, 18% GST, 2.9% + ₹30 processing).');
-    return {
-      platformFeeRate: 0.15,
-      gstRate: 0.18,
-      processingFeeRate: 0.029,
-      processingFeeFixed: 30
-    };
   }
 
-  return {
-    platformFeeRate: activeConfig.platformFeeRate,
-    gstRate: activeConfig.gstRate ?? 0.18,
-    processingFeeRate: activeConfig.processingFeeRate ?? 0.029,
-    processingFeeFixed: activeConfig.processingFeeFixed ?? 30
-  };
+  return config;
 };
 
-// Static method to create new platform fee configuration
+// Static method to create new platform-wide fee configuration, effective now
 pricingConfigSchema.statics.updatePlatformFeeRate = async function(
   newRate,
   adminUserId,
   changeReason = '',
   options = {}
 ) {
-  // Preserve existing ancillary rates if not provided
-  const current = await this.getCurrentPricingConfig();
-  const nextConfig = {
+  // Ancillary rates not provided are kept from the current config
+  const newConfig = await this.scheduleConfig({
     platformFeeRate: newRate,
-    gstRate: options.gstRate !== undefined ? options.gstRate : current.gstRate,
-    processingFeeRate: options.processingFeeRate !== undefined ? options.processingFeeRate : current.processingFeeRate,
-    processingFeeFixed: options.processingFeeFixed !== undefined ? options.processingFeeFixed : current.processingFeeFixed
-  };
-
-  // Deactivate current active configs
-  await this.updateMany(
-    { isActive: true },
-    { 
-      isActive: false,
-      effectiveTo: new Date(),
-      updatedBy: adminUserId
-    }
-  );
-  
-  // Create new active config
-  const newConfig = new this({
-    ...nextConfig,
-    isActive: true,
-    effectiveFrom: new Date(),
-    effectiveTo: null,
-    createdBy: adminUserId,
-    changeReason: changeReason,
-    version: await this.countDocuments() + 1
-  });
-  
-  await newConfig.save();
+    gstRate: options.gstRate,
+    processingFeeRate: options.processingFeeRate,
+    processingFeeFixed: options.processingFeeFixed,
+    changeReason
+  }, adminUserId);
   
   console.log(`✅ Platform fee rate updated to ${(newRate * 100).toFixed(1)}% by admin ${adminUserId}`);
   
   return newConfig;
 };
 
-// Static method to get pricing history
-pricingConfigSchema.statics.getPricingHistory = async function(limit = 10) {
-  return await this.find()
+// Static method to get pricing history (optionally one scope, e.g. 'global')
+pricingConfigSchema.statics.getPricingHistory = async function(limit = 10, filter = {}) {
+  return await this.find(filter)
     .populate('createdBy', 'name email')
     .populate('updatedBy', 'name email')
     .sort({ createdAt: -1 })
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// Host-defined dynamic pricing rule for a property.
+// Rules are applied night by night by utils/pricingRules.js.
+const pricingRuleSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  ruleType: {
+    type: String,
+    enum: ['seasonal', 'day_of_week', 'last_minute', 'early_bird', 'length_of_stay'],
+    required: true
+  },
+  // percentage: +/- % of the night's price, fixed: +/- amount per night,
+  // set_price: replace the night's price (seasonal and day_of_week only)
+  adjustmentType: {
+    type: String,
+    enum: ['percentage', 'fixed', 'set_price'],
+    required: true
+  },
+  adjustmentValue: {
+    type: Number,
+    required: true
+  },
+  // Higher priority wins when several rules of the same type match a night
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // seasonal: nights from startDate to endDate (inclusive)
+  startDate: Date,
+  endDate: Date,
+
+  // day_of_week: 0 (Sunday) - 6 (Saturday)
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+
+  // last_minute: booked at most maxLeadDays before check-in
+  maxLeadDays: {
+    type: Number,
+    min: 0
+  },
+
+  // early_bird: booked at least minLeadDays before check-in
+  minLeadDays: {
+    type: Number,
+    min: 0
+  },
+
+  // length_of_stay: stays of minNights..maxNights nights
+  minNights: {
+    type: Number,
+    min: 1
+  },
+  maxNights: {
+    type: Number,
+    min: 1
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+pricingRuleSchema.index({ property: 1, isActive: 1 });
+pricingRuleSchema.index({ host: 1 });
+
+// Type-specific required fields
+pricingRuleSchema.pre('validate', function(next) {
+  const fail = (message) => {
+    this.invalidate('ruleType', message);
+  };
+
+  switch (this.ruleType) {
+    case 'seasonal':
+      if (!this.startDate || !this.endDate) {
+        fail('Seasonal rules require startDate and endDate');
+      } else if (this.endDate < this.startDate) {
+        fail('endDate must be on or after startDate');
+      }
+      break;
+    case 'day_of_week':
+      if (!this.daysOfWeek || this.daysOfWeek.length === 0) {
+        fail('Day-of-week rules require at least one day in daysOfWeek');
+      }
+      break;
+    case 'last_minute':
+      if (this.maxLeadDays === undefined || this.maxLeadDays === null) {
+        fail('Last-minute rules require maxLeadDays');
+      }
+      break;
+    case 'early_bird':
+      if (this.minLeadDays === undefined || this.minLeadDays === null) {
+        fail('Early-bird rules require minLeadDays');
+      }
+      break;
+    case 'length_of_stay':
+      if (!this.minNights) {
+        fail('Length-of-stay rules require minNights');
+      } else if (this.maxNights && this.maxNights < this.minNights) {
+        fail('maxNights must be greater than or equal to minNights');
+      }
+      break;
+  }
+
+  if (this.adjustmentType === 'set_price' && !['seasonal', 'day_of_week'].includes(this.ruleType)) {
+    this.invalidate('adjustmentType', 'set_price is only allowed for seasonal and day-of-week rules');
+  }
+  if (this.adjustmentType === 'set_price' && this.adjustmentValue < 0) {
+    this.invalidate('adjustmentValue', 'Price cannot be negative');
+  }
+  if (this.adjustmentType === 'percentage' && this.adjustmentValue < -100) {
+    this.invalidate('adjustmentValue', 'Percentage discount cannot exceed 100%');
+  }
+
+  next();
+});
+
+// Active rules for a property, in application order
+pricingRuleSchema.statics.getActiveRules = function(propertyId) {
+  return this.find({ property: propertyId, isActive: true })
+    .sort({ priority: -1, updatedAt: -1 })
+    .lean();
+};
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
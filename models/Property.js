@@ -220,6 +220,58 @@ const propertySchema = new mongoose.Schema({
     type: String,
     default: '11:00'
   },
+    // Instant Book: bookings are confirmed on payment without host approval
+    instantBook: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Only guests whose KYC is verified
+      requireVerifiedGuests: {
+        type: Boolean,
+        default: false
+      },
+      // Only guests with at least this many completed stays
+      minCompletedStays: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Only guests who have reviewed at least this many of their stays
+      minGuestReviews: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    },
+    // Payment plan: guests pay a deposit when booking and the balance before check-in
+    paymentPlan: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Share of the total captured at booking
+      depositPercentage: {
+        type: Number,
+        default: 30,
+        min: 10,
+        max: 90
+      },
+      // The balance is due this many days before check-in
+      balanceDueDays: {
+        type: Number,
+        default: 30,
+        min: 1,
+        max: 180
+      }
+    },
+    // Hours the host has to answer a booking request before it expires
+    // (falls back to BOOKING_REQUEST_EXPIRY_HOURS, default 24)
+    bookingRequestExpiryHours: {
+      type: Number,
+      min: 1,
+      max: 168
+    },
     // NEW: 24-hour booking settings
     enable24HourBooking: {
       type: Boolean,
@@ -249,6 +301,11 @@ const propertySchema = new mongoose.Schema({
       }
     },
 
+  // Secret token for the public .ics export feed consumed by other channels
+  icalExportToken: {
+    type: String
+  },
+
   amenities: [{
     type: String,
     enum: ['wifi', 'tv', 'kitchen', 
@@ -414,6 +471,7 @@ propertySchema.index({ isSponsored: 1 });
 propertySchema.index({ isTopRated: 1 });
 propertySchema.index({ status: 1 });
 propertySchema.index({ approvalStatus: 1 });
+propertySchema.index({ icalExportToken: 1 }, { sparse: true });
 
 // Virtuals
 propertySchema.virtual('reviews', {
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// A signup made with another user's referral code (services/referral.service.js).
+// Both sides are rewarded once the referee's first booking is completed,
+// unless the fraud checks link the two accounts.
+const referralRewardSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['referrer', 'referee'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'coupon'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  walletTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction'
+  },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const referralSchema = new mongoose.Schema({
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  referee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Code used at signup
+  code: {
+    type: String,
+    required: true
+  },
+  // pending: waiting for the referee's first completed booking
+  // qualified: booking completed, rewards being issued
+  status: {
+    type: String,
+    enum: ['pending', 'qualified', 'rewarded', 'rejected'],
+    default: 'pending'
+  },
+  // How the referee signed up
+  signup: {
+    method: {
+      type: String,
+      enum: ['email', 'google']
+    },
+    // SHA-256 of the device ID sent by the app
+    deviceHash: String,
+    ipAddress: String,
+    userAgent: String
+  },
+  qualifyingBooking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  qualifiedAt: Date,
+  rewards: [referralRewardSchema],
+  // The referrer had reached the reward cap; only the referee was rewarded
+  referrerCapped: {
+    type: Boolean,
+    default: false
+  },
+  rewardedAt: Date,
+  rejectionReason: {
+    type: String,
+    enum: ['same_device', 'same_phone', 'same_payment_method', 'referrer_inactive']
+  },
+  rejectedAt: Date
+}, {
+  timestamps: true
+});
+
+// A user can be referred once
+referralSchema.index({ referee: 1 }, { unique: true });
+referralSchema.index({ referrer: 1, status: 1, createdAt: -1 });
+referralSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Referral', referralSchema);
@@ -30,11 +30,15 @@ const refundSchema = new Schema({
   currency: { 
     type: String, 
     default: 'INR',
-    enum: ['INR', 'USD', 'EUR', 'GBP']
+    enum: ['INR', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD']
   },
+  // Refund in the guest's currency at the rate locked on the booking
+  guestAmount: Number,
+  guestCurrency: String,
+  exchangeRate: Number,
   reason: {
     type: String,
-    enum: ['cancellation', 'host_cancel', 'dispute', 'overpayment', 'service_issue', 'guest_request'],
+    enum: ['cancellation', 'host_cancel', 'dispute', 'overpayment', 'service_issue', 'guest_request', 'modification', 'request_expired', 'payment_plan_default', 'security_deposit', 'early_checkout'],
     required: true
   },
   type: {
@@ -61,12 +65,27 @@ const refundSchema = new Schema({
     enum: ['original_payment_method', 'wallet_credit', 'voucher', 'bank_transfer'],
     default: 'original_payment_method'
   },
+  // Part of the amount paid into the guest's wallet; the rest goes back through the gateway
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   refundReference: String,
+  // A refund larger than one payment is split across the booking's payments;
+  // each later part points to the first
+  splitFrom: {
+    type: Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
   estimatedProcessingTime: {
     type: String,
     default: '3-5 business days'
   },
-  // Razorpay specific fields
+  // Gateway that processed the refund and its refund ID
+  gateway: String,
+  gatewayRefundId: String,
+  // Razorpay specific fields (kept for older refunds)
   razorpayRefundId: String,
   // Complete refund breakdown for consistency
   refundBreakdown: {
@@ -87,12 +106,19 @@ const refundSchema = new Schema({
     
     // Discounts
     discountAmount: Number,
+    promotionDiscount: Number,
     
     // Calculated amounts
     subtotal: Number,
     totalAmount: Number,
     hostEarning: Number,
-    platformRevenue: Number
+    platformRevenue: Number,
+
+    // Nights refunded, at the rate paid (early check-out)
+    refundedNights: [{
+      date: Date,
+      price: Number
+    }]
   }
 }, { 
   timestamps: true,
@@ -122,7 +148,10 @@ refundSchema.virtual('reasonDisplay').get(function() {
     'dispute': 'Dispute Resolution',
     'overpayment': 'Overpayment',
     'service_issue': 'Service Issue',
-    'guest_request': 'Guest Request'
+    'guest_request': 'Guest Request',
+    'modification': 'Booking Modification',
+    'request_expired': 'Booking Request Expired',
+    'early_checkout': 'Early Check-out'
   };
   return reasonMap[this.reason] || this.reason;
 });
@@ -136,5 +165,6 @@ refundSchema.index({ status: 1, createdAt: -1 });
 refundSchema.index({ createdAt: -1 });
 refundSchema.index({ 'refundReference': 1 });
 refundSchema.index({ razorpayRefundId: 1 });
+refundSchema.index({ gatewayRefundId: 1 });
 
 module.exports = mongoose.model('Refund', refundSchema);
\ No newline at end of file
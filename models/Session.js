@@ -12,6 +12,8 @@ const sessionSchema = new Schema({
   },
   os: String,
   browser: String,
+  // SHA-256 of the device ID sent by the app (X-Device-Id), for referral fraud checks
+  deviceHash: String,
   lastActivity: { type: Date, default: Date.now },
   expiresAt: { type: Date, required: true }
 }, { timestamps: true });
@@ -19,5 +21,6 @@ const sessionSchema = new Schema({
 // TTL index for auto-expiry
 sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 sessionSchema.index({ user: 1, token: 1 });
+sessionSchema.index({ deviceHash: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
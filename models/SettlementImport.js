@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One uploaded gateway settlement/transactions report
+const settlementImportSchema = new Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  fileName: String,
+  // sha256 of the file contents; the same file cannot be imported twice
+  fileHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Unit the report amounts were given in
+  amountUnit: {
+    type: String,
+    enum: ['rupees', 'paise'],
+    default: 'rupees'
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  counts: {
+    rows: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    missing: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    feeMismatch: { type: Number, default: 0 },
+    ignored: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 }
+  },
+  // Rows that could not be read (line number and reason)
+  rowErrors: [{
+    line: Number,
+    message: String
+  }],
+  // Settlement dates covered by the report
+  settlementDates: [Date],
+  importedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+settlementImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SettlementImport', settlementImportSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One line of a gateway settlement report and how it matched our records
+const settlementTransactionSchema = new Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  settlementImport: {
+    type: Schema.Types.ObjectId,
+    ref: 'SettlementImport',
+    required: true
+  },
+  // Row number in the uploaded file (header is line 1)
+  line: Number,
+
+  // Gateway entity the line is about (pay_..., rfnd_..., adj_...)
+  entityId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  orderId: String,
+  paymentId: String,
+  settlementId: String,
+  settlementDate: Date,
+  settlementUtr: String,
+
+  // Report figures, in rupees
+  amount: {
+    type: Number,
+    default: 0
+  },
+  fee: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  credit: {
+    type: Number,
+    default: 0
+  },
+  debit: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  // Our side of the match
+  payment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refund: {
+    type: Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  booking: {
+    type: Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  expectedAmount: Number,
+  expectedFee: Number,
+
+  status: {
+    type: String,
+    enum: ['matched', 'mismatched', 'missing', 'duplicate', 'ignored'],
+    required: true
+  },
+  issues: [{
+    type: String,
+    enum: ['missing', 'duplicate', 'amount_mismatch', 'fee_mismatch']
+  }],
+  // Set when the entity was already reported (in this or an earlier file)
+  isDuplicate: {
+    type: Boolean,
+    default: false
+  },
+  duplicateOf: {
+    type: Schema.Types.ObjectId,
+    ref: 'SettlementTransaction'
+  }
+}, {
+  timestamps: true
+});
+
+// A gateway entity is counted once; later sightings are kept as duplicates
+settlementTransactionSchema.index(
+  { provider: 1, type: 1, entityId: 1 },
+  { unique: true, partialFilterExpression: { isDuplicate: false } }
+);
+settlementTransactionSchema.index({ settlementImport: 1, line: 1 });
+settlementTransactionSchema.index({ settlementDate: 1, settlementId: 1 });
+settlementTransactionSchema.index({ status: 1 });
+
+module.exports = mongoose.model('SettlementTransaction', settlementTransactionSchema);
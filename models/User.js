@@ -140,6 +140,24 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['en', 'fr', 'es', 'de', 'it', 'pt', 'ru', 'zh', 'ja', 'ar']
   }],
+  // Display currency for prices and, for hosts, the payout settlement currency
+  preferredCurrency: {
+    type: String,
+    enum: ['INR', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'],
+    default: 'INR'
+  },
+  // GST registration, used on tax invoices (hosts: as supplier, guests: as recipient)
+  taxProfile: {
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please enter a valid GSTIN']
+    },
+    legalName: String,
+    stateCode: String,
+    address: String
+  },
   accountStatus: {
     type: String,
     enum: ['active', 'suspended', 'banned', 'deactivated'],
@@ -149,10 +167,73 @@ const userSchema = new mongoose.Schema({
     googleId: String,
     facebookId: String
   },
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String, // AES-GCM encrypted base32 secret
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String, // Secret awaiting confirmation during enrollment
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [{
+      codeHash: String,
+      usedAt: Date
+    }],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Login challenge currently outstanding, and wrong codes entered against it
+  twoFactorChallengeId: {
+    type: String,
+    select: false
+  },
+  twoFactorFailedAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  twoFactorLockedUntil: Date,
   savedListings: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Property'
   }],
+  // Code others sign up with to be referred by this user (services/referral.service.js)
+  referralCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // SHA-256 of the device ID the account was created from, for referral fraud checks
+  signupDeviceHash: {
+    type: String,
+    select: false
+  },
+  // Marketing segments assigned by admins, used for coupon targeting
+  segments: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Customer records at the gateways, for saved payment methods
+  paymentCustomers: [{
+    provider: String,
+    customerId: String,
+    _id: false
+  }],
   metadata: mongoose.Schema.Types.Mixed
 }, {
   timestamps: true,
@@ -163,6 +244,7 @@ const userSchema = new mongoose.Schema({
 // Indexes
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ location: '2dsphere' });
+userSchema.index({ referralCode: 1 }, { unique: true, sparse: true });
 
 // Virtuals
 userSchema.virtual('reviews', {
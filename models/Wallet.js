@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Guest wallet (services/wallet.service.js). The balance only changes
+// through WalletTransaction entries, and every change is a conditional
+// update on `version`, so two concurrent debits cannot both spend the
+// same balance.
+const expiringCreditSchema = new mongoose.Schema({
+  // Credit transaction the amount came from
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Part not yet spent or expired
+  remaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Credits that lapse; spent soonest-expiring first. The rest of the
+  // balance never expires.
+  expiringCredits: [expiringCreditSchema],
+  version: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+walletSchema.index({ 'expiringCredits.expiresAt': 1 });
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// One movement on a guest wallet. Transactions are append-only: they are
+// never updated or deleted, and the wallet balance is their running total.
+const walletTransactionSchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['refund', 'goodwill', 'booking_payment', 'expiry', 'referral'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // Credits only: when the unspent part lapses
+  expiresAt: Date,
+
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  description: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Idempotency key (e.g. refund:<id>, booking:<id>:payment)
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Wallet transactions cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Wallet transactions cannot be modified'));
+};
+walletTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ wallet: 1, createdAt: -1 });
+walletTransactionSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
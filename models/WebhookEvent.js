@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Every inbound gateway webhook, stored before it is applied.
+// (provider, eventId) is unique for verified events, so redelivered events are
+// recognised as duplicates. Failed events are retried from here.
+const replaySchema = new mongoose.Schema({
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  replayedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: String,
+  error: String
+}, { _id: false });
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Gateway event ID, or a hash of the payload when the gateway sends none
+  eventId: {
+    type: String,
+    required: true
+  },
+  // Normalized type (payment.captured, refund.processed, ...) and the gateway's own name
+  eventType: String,
+  gatewayEvent: String,
+
+  // Body exactly as received, and the request headers
+  payload: {
+    type: String,
+    required: true
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  signatureValid: {
+    type: Boolean,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed', 'rejected'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  lockedAt: Date,
+  nextRetryAt: Date,
+  processedAt: Date,
+
+  // Redeliveries of the same event
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  lastDuplicateAt: Date,
+
+  replays: [replaySchema],
+
+  // Rejected (unverified) payloads are only kept for a while
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { signatureValid: true } }
+);
+webhookEventSchema.index({ status: 1, nextRetryAt: 1 });
+webhookEventSchema.index({ eventType: 1, createdAt: -1 });
+webhookEventSchema.index({ createdAt: -1 });
+webhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -8,10 +8,34 @@ const { validateLogin, validateAdminSignup } = require('../validations/auth.vali
 // Import admin controllers
 const adminController = require('../controllers/admin.controller');
 const popularDestController = require('../controllers/popularDestination.controller');
+const jobController = require('../controllers/job.controller');
+const exchangeRateController = require('../controllers/exchangeRate.controller');
+const pricingConfigController = require('../controllers/pricingConfig.controller');
+const invoiceController = require('../controllers/invoice.controller');
+const webhookEventController = require('../controllers/webhookEvent.controller');
+const ledgerController = require('../controllers/ledger.controller');
+const settlementReconciliationController = require('../controllers/settlementReconciliation.controller');
+const damageClaimController = require('../controllers/damageClaim.controller');
+const disputeController = require('../controllers/dispute.controller');
+const multer = require('multer');
+
+// Exchange-rate CSV uploads are small text files
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 256 * 1024, files: 1 }
+});
+
+// Gateway settlement reports cover a day or more of transactions
+const reportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 }
+});
 
 // Public admin routes (no authentication required)
 router.post('/signup', validateAdminSignup, adminController.adminSignup);
 router.post('/login', validateLogin, authController.adminLogin);
+router.post('/login/2fa', authController.completeTwoFactorLogin);
+router.post('/login/2fa/setup', authController.setupTwoFactorLogin);
 router.get('/pricing/platform-fee/public', adminController.getCurrentPlatformFeeRate);
 
 // Apply admin authentication to all other routes
@@ -25,6 +49,54 @@ router.get('/dashboard/stats', adminController.getDashboardStats);
 router.get('/pricing/platform-fee', adminController.getCurrentPlatformFeeRate);
 router.put('/pricing/platform-fee', adminController.updatePlatformFeeRate);
 router.get('/pricing/platform-fee/history', adminController.getPlatformFeeHistory);
+router.get('/pricing/platform-fee/configs', pricingConfigController.getFeeConfigs);
+router.post('/pricing/platform-fee/configs', pricingConfigController.scheduleFeeConfig);
+router.delete('/pricing/platform-fee/configs/:version', pricingConfigController.cancelFeeConfig);
+router.get('/pricing/platform-fee/resolve', pricingConfigController.resolveFeeConfig);
+router.get('/pricing/platform-fee/diff', pricingConfigController.diffFeeConfigs);
+
+// Exchange rates
+router.get('/exchange-rates', exchangeRateController.getRates);
+router.get('/exchange-rates/history', exchangeRateController.getRateHistory);
+router.post('/exchange-rates/import', csvUpload.single('file'), exchangeRateController.importRates);
+router.put('/exchange-rates/:currency', exchangeRateController.updateRate);
+
+// GST invoices
+router.get('/invoices', invoiceController.getAllInvoices);
+router.post('/bookings/:bookingId/invoices', invoiceController.issueBookingInvoices);
+
+// Gateway webhook event store
+router.get('/webhook-events', webhookEventController.getWebhookEvents);
+router.get('/webhook-events/:id', webhookEventController.getWebhookEvent);
+router.post('/webhook-events/:id/replay', webhookEventController.replayWebhookEvent);
+
+// Double-entry ledger
+router.get('/ledger/accounts', ledgerController.getAccountBalances);
+router.get('/ledger/entries', ledgerController.getLedgerEntries);
+router.post('/ledger/entries/:id/reverse', ledgerController.reverseLedgerEntry);
+router.get('/ledger/bookings/:bookingId', ledgerController.getBookingJournal);
+router.get('/ledger/reconciliation', ledgerController.getReconciliation);
+router.post('/ledger/backfill', ledgerController.backfillLedger);
+
+// Gateway settlement reconciliation
+router.post('/reconciliation/razorpay/import', reportUpload.single('file'), settlementReconciliationController.importRazorpayReport);
+router.get('/reconciliation/imports', settlementReconciliationController.getSettlementImports);
+router.get('/reconciliation/imports/:id', settlementReconciliationController.getSettlementImport);
+router.get('/reconciliation/summary', settlementReconciliationController.getSettlementSummary);
+router.get('/reconciliation/summary/download', settlementReconciliationController.downloadSettlementSummary);
+
+// Security deposit damage claims
+router.get('/damage-claims', damageClaimController.getClaims);
+router.get('/damage-claims/:id', damageClaimController.getClaim);
+router.post('/damage-claims/:id/resolve', damageClaimController.resolveClaim);
+
+// Payment disputes (chargebacks)
+router.get('/disputes/dashboard', disputeController.getDisputeDashboard);
+router.get('/disputes', disputeController.getDisputes);
+router.get('/disputes/:id', disputeController.getDispute);
+router.post('/disputes/:id/evidence', disputeController.buildEvidencePack);
+router.post('/disputes/:id/evidence/submit', disputeController.submitEvidence);
+router.post('/disputes/:id/resolve', disputeController.resolveDispute);
 
 // User management routes
 router.get('/users', (req, res, next) => {
@@ -36,6 +108,9 @@ router.put('/users/:userId/status', adminController.updateUserStatus);
 router.get('/users/:userId', adminController.getUser);
 router.put('/users/:userId', adminController.updateUser);
 
+// Admin account security
+router.put('/admins/:adminId/require-2fa', adminController.setAdminTwoFactorRequirement);
+
 // Host management routes
 router.get('/hosts', adminController.getHosts);
 router.put('/hosts/:hostId/approve', adminController.approveHost);
@@ -79,6 +154,15 @@ router.get('/reports', adminController.getReports);
 router.get('/activities/recent', adminController.getRecentActivities);
 router.get('/system/health', adminController.getSystemHealth);
 
+// Background job scheduler routes
+router.get('/jobs', jobController.getJobs);
+router.get('/jobs/runs', jobController.getJobRuns);
+router.get('/jobs/:jobId', jobController.getJob);
+router.get('/jobs/:jobId/runs', jobController.getJobRuns);
+router.post('/jobs/:jobId/pause', jobController.pauseJob);
+router.post('/jobs/:jobId/resume', jobController.resumeJob);
+router.post('/jobs/:jobId/trigger', jobController.triggerJob);
+
 // Payment audit routes
 router.get('/audit/payments', adminController.getPaymentAuditDashboard);
 router.get('/audit/validation-failures', adminController.getValidationFailures);
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const { auth } = require('../middlewares/auth.middleware');
-const { validateRegistration, validateLogin, validatePasswordReset } = require('../validations/auth.validation');
+const { validateRegistration, validateLogin, validatePasswordReset, validate2FA } = require('../validations/auth.validation');
 
 // Test route
 router.get('/test', (req, res) => {
@@ -38,6 +38,10 @@ router.post('/google', authController.socialLogin);
 router.post('/facebook', authController.socialLogin);
 router.post('/apple', authController.socialLogin);
 
+// Two-factor login step (challenge token from /login instead of an access token)
+router.post('/2fa/login', authController.completeTwoFactorLogin);
+router.post('/2fa/setup', authController.setupTwoFactorLogin);
+
 // Protected routes (require authentication)
 router.use(auth);
 
@@ -54,9 +58,11 @@ router.post('/deactivate', authController.deactivateAccount);
 router.post('/reactivate', authController.reactivateAccount);
 
 // Two-factor authentication
+router.get('/2fa/status', authController.get2FAStatus);
 router.post('/2fa/enable', authController.enable2FA);
 router.post('/2fa/disable', authController.disable2FA);
-router.post('/2fa/verify', authController.verify2FA);
+router.post('/2fa/verify', validate2FA, authController.verify2FA);
+router.post('/2fa/backup-codes', validate2FA, authController.regenerateBackupCodes);
 
 // Session management
 router.get('/sessions', authController.getActiveSessions);
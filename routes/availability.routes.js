@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const availabilityController = require('../controllers/availability.controller');
+const calendarSyncController = require('../controllers/calendarSync.controller');
 const { auth, optionalAuth } = require('../middlewares/auth.middleware');
 const AuthorizationMiddleware = require('../middlewares/authorization.middleware');
 
+// iCal export feed for other channels (secured by per-property token, no auth header)
+router.get('/:propertyId/calendar.ics', calendarSyncController.exportPropertyCalendar);
+
 // ========================================
 // OLD: Public routes - Anyone can check availability
 // ========================================
@@ -43,6 +47,14 @@ router.post('/:propertyId/bulk', AuthorizationMiddleware.isPropertyHost, availab
 router.post('/:propertyId/block-dates', AuthorizationMiddleware.isPropertyHost, availabilityController.blockDates);
 router.post('/:propertyId/unblock-dates', AuthorizationMiddleware.isPropertyHost, availabilityController.unblockDates);
 
+// iCal import/export sync (host only)
+router.get('/:propertyId/ical', AuthorizationMiddleware.isPropertyHost, calendarSyncController.getCalendarSync);
+router.post('/:propertyId/ical/export-token', AuthorizationMiddleware.isPropertyHost, calendarSyncController.rotateExportToken);
+router.post('/:propertyId/ical/feeds', AuthorizationMiddleware.isPropertyHost, calendarSyncController.addExternalCalendar);
+router.put('/:propertyId/ical/feeds/:calendarId', AuthorizationMiddleware.isPropertyHost, calendarSyncController.updateExternalCalendar);
+router.delete('/:propertyId/ical/feeds/:calendarId', AuthorizationMiddleware.isPropertyHost, calendarSyncController.removeExternalCalendar);
+router.post('/:propertyId/ical/feeds/:calendarId/sync', AuthorizationMiddleware.isPropertyHost, calendarSyncController.syncExternalCalendar);
+
 // ========================================
 // NEW: Maintenance time configuration (host only)
 // Comment out if issues
@@ -1,8 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/booking.controller');
+const bookingModificationController = require('../controllers/bookingModification.controller');
+const paymentPlanController = require('../controllers/paymentPlan.controller');
+const invoiceController = require('../controllers/invoice.controller');
+const damageClaimController = require('../controllers/damageClaim.controller');
 const { auth } = require('../middlewares/auth.middleware');
-const { validateBooking } = require('../validations/booking.validation');
+const {
+  validateBooking,
+  validateBookingModification,
+  validateModificationResponse,
+  validateModificationPayment,
+  validateBalancePayment,
+  validateDamageClaim,
+  validateDamageClaimResponse
+} = require('../validations/booking.validation');
 const AuthorizationMiddleware = require('../middlewares/authorization.middleware');
 const { bookingRateLimit } = require('../middlewares/rateLimit.middleware');
 const { securityMiddleware } = require('../middlewares/security.middleware');
@@ -99,6 +111,13 @@ router.get('/:id/receipt',
   bookingController.downloadReceipt
 );
 
+// GST invoices and credit notes (must come before /:id routes)
+router.get('/:id/invoices', 
+  securityMiddleware.auditLog('view_booking_invoices'),
+  AuthorizationMiddleware.canAccessBooking, 
+  invoiceController.getBookingInvoices
+);
+
 // Get cancellation information (must come before /:id routes)
 router.get('/:id/cancellation-info', 
   securityMiddleware.auditLog('view_cancellation_info'),
@@ -132,12 +151,102 @@ router.post('/:id/check-in',
   AuthorizationMiddleware.canAccessBooking, 
   bookingController.checkInGuest
 );
+router.post('/:id/early-check-out', 
+  securityMiddleware.auditLog('early_check_out'),
+  AuthorizationMiddleware.canAccessBooking, 
+  bookingController.recordEarlyCheckOut
+);
 router.post('/:id/cancel', 
   securityMiddleware.auditLog('cancel_booking'),
   AuthorizationMiddleware.canAccessBooking, 
   bookingController.cancelBooking
 );
 
+// Date/guest modification of confirmed bookings
+router.get('/:id/modifications', 
+  securityMiddleware.auditLog('view_booking_modifications'),
+  AuthorizationMiddleware.canAccessBooking, 
+  bookingModificationController.getModifications
+);
+router.post('/:id/modifications/quote', 
+  securityMiddleware.auditLog('quote_booking_modification'),
+  AuthorizationMiddleware.canAccessBooking, 
+  validateBookingModification,
+  bookingModificationController.quoteModification
+);
+router.post('/:id/modifications', 
+  securityMiddleware.auditLog('propose_booking_modification'),
+  AuthorizationMiddleware.canAccessBooking, 
+  validateBookingModification,
+  bookingModificationController.proposeModification
+);
+router.post('/:id/modifications/:modificationId/accept', 
+  securityMiddleware.auditLog('accept_booking_modification'),
+  AuthorizationMiddleware.canAccessBooking, 
+  validateModificationResponse,
+  bookingModificationController.acceptModification
+);
+router.post('/:id/modifications/:modificationId/reject', 
+  securityMiddleware.auditLog('reject_booking_modification'),
+  AuthorizationMiddleware.canAccessBooking, 
+  validateModificationResponse,
+  bookingModificationController.rejectModification
+);
+router.post('/:id/modifications/:modificationId/cancel', 
+  securityMiddleware.auditLog('cancel_booking_modification'),
+  AuthorizationMiddleware.canAccessBooking, 
+  bookingModificationController.cancelModification
+);
+router.post('/:id/modifications/:modificationId/pay', 
+  securityMiddleware.auditLog('pay_booking_modification'),
+  AuthorizationMiddleware.canAccessBooking, 
+  validateModificationPayment,
+  bookingModificationController.payModification
+);
+
+// Payment plan balance (deposit paid at booking)
+router.post('/:id/balance/order', 
+  securityMiddleware.auditLog('create_balance_payment_order'),
+  AuthorizationMiddleware.canAccessBooking, 
+  paymentPlanController.createBalanceOrder
+);
+router.post('/:id/balance/pay', 
+  securityMiddleware.auditLog('pay_booking_balance'),
+  AuthorizationMiddleware.canAccessBooking, 
+  validateBalancePayment,
+  paymentPlanController.payBalance
+);
+
+// Security deposit damage claims (filed by the host after checkout)
+router.get('/:id/damage-claims', 
+  securityMiddleware.auditLog('view_damage_claims'),
+  AuthorizationMiddleware.canAccessBooking, 
+  damageClaimController.getBookingClaims
+);
+router.post('/:id/damage-claims', 
+  securityMiddleware.auditLog('file_damage_claim'),
+  AuthorizationMiddleware.canAccessBooking, 
+  validateDamageClaim,
+  damageClaimController.fileClaim
+);
+router.post('/:id/damage-claims/:claimId/accept', 
+  securityMiddleware.auditLog('accept_damage_claim'),
+  AuthorizationMiddleware.canAccessBooking, 
+  validateDamageClaimResponse,
+  damageClaimController.acceptClaim
+);
+router.post('/:id/damage-claims/:claimId/contest', 
+  securityMiddleware.auditLog('contest_damage_claim'),
+  AuthorizationMiddleware.canAccessBooking, 
+  validateDamageClaimResponse,
+  damageClaimController.contestClaim
+);
+router.post('/:id/damage-claims/:claimId/withdraw', 
+  securityMiddleware.auditLog('withdraw_damage_claim'),
+  AuthorizationMiddleware.canAccessBooking, 
+  damageClaimController.withdrawClaim
+);
+
 // Refund routes
 router.post('/:id/refund-security-deposit', 
   securityMiddleware.auditLog('refund_security_deposit'),
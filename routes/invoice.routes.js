@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoice.controller');
+const { auth } = require('../middlewares/auth.middleware');
+
+// Protected routes (guest, host or admin of the invoice)
+router.use(auth);
+
+router.get('/:invoiceId', invoiceController.getInvoice);
+router.get('/:invoiceId/pdf', invoiceController.downloadInvoicePdf);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const messageController = require('../controllers/message.controller');
+const { auth } = require('../middlewares/auth.middleware');
+const AuthorizationMiddleware = require('../middlewares/authorization.middleware');
+const { validateStartConversation, validateMessage } = require('../validations/message.validation');
+
+// All routes require authentication
+router.use(auth);
+
+// Conversations
+router.get('/conversations', messageController.getConversations);
+router.post('/conversations', validateStartConversation, messageController.startConversation);
+router.get('/unread-count', messageController.getUnreadCount);
+router.get('/conversations/:id', AuthorizationMiddleware.canAccessConversation, messageController.getConversation);
+
+// Messages
+router.get('/conversations/:id/messages', AuthorizationMiddleware.canAccessConversation, messageController.getMessages);
+router.post('/conversations/:id/messages', AuthorizationMiddleware.canAccessConversation, validateMessage, messageController.sendMessage);
+router.patch('/conversations/:id/read', AuthorizationMiddleware.canAccessConversation, messageController.markConversationRead);
+
+module.exports = router;
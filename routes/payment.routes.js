@@ -2,7 +2,13 @@ const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/payment.controller');
 const { auth, adminOnly } = require('../middlewares/auth.middleware');
-const { validatePayment, validateRefund } = require('../validations/payment.validation');
+const {
+  validatePayment,
+  validateRefund,
+  validatePaymentMethodSetup,
+  validatePaymentMethod,
+  validatePaymentMethodUpdate
+} = require('../validations/payment.validation');
 const AuthorizationMiddleware = require('../middlewares/authorization.middleware');
 const { bookingRateLimit, strictRateLimit } = require('../middlewares/rateLimit.middleware');
 
@@ -29,15 +35,17 @@ const validateBody = (schema) => (req, res, next) => {
 
 // Payment webhooks (for payment gateway callbacks - NO AUTH REQUIRED)
 // These must be before auth middleware as they are called by payment gateways
-router.post('/webhook/stripe', express.raw({ type: 'application/json' }), paymentController.stripeWebhook);
-router.post('/webhook/paypal', express.raw({ type: 'application/json' }), paymentController.paypalWebhook);
-router.post('/webhook/razorpay', express.raw({ type: 'application/json' }), paymentController.razorpayWebhook);
+router.post('/webhook/:provider', express.raw({ type: 'application/json' }), paymentController.handleWebhook);
+
+// Configured payment providers and their public checkout settings
+router.get('/providers', paymentController.getPaymentProviders);
 
 // Protected routes (require authentication)
 router.use(auth);
 
 // Payment processing (with rate limiting)
-router.post('/create-order', strictRateLimit, paymentController.createRazorpayOrder);
+router.post('/create-order', strictRateLimit, paymentController.createPaymentOrder);
+router.post('/mock/orders/:orderId/simulate', strictRateLimit, paymentController.simulateMockPayment);
 router.post('/process', strictRateLimit, validateBody(validatePayment), paymentController.processPayment);
 router.post('/confirm/:paymentId', strictRateLimit, paymentController.confirmPayment);
 router.post('/cancel/:paymentId', strictRateLimit, paymentController.cancelPayment);
@@ -45,8 +53,9 @@ router.post('/:paymentId/fail', strictRateLimit, paymentController.handlePayment
 
 // Payment methods management
 router.get('/methods', paymentController.getPaymentMethods);
-router.post('/methods', paymentController.addPaymentMethod);
-router.put('/methods/:methodId', paymentController.updatePaymentMethod);
+router.post('/methods/setup', strictRateLimit, validateBody(validatePaymentMethodSetup), paymentController.setupPaymentMethod);
+router.post('/methods', strictRateLimit, validateBody(validatePaymentMethod), paymentController.addPaymentMethod);
+router.put('/methods/:methodId', validateBody(validatePaymentMethodUpdate), paymentController.updatePaymentMethod);
 router.delete('/methods/:methodId', paymentController.deletePaymentMethod);
 router.post('/methods/:methodId/set-default', paymentController.setDefaultPaymentMethod);
 
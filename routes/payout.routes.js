@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const payoutController = require('../controllers/payout.controller');
+const payoutBatchController = require('../controllers/payoutBatch.controller');
 const { auth } = require('../middlewares/auth.middleware');
 const { protect, adminOnly } = require('../middlewares/auth.middleware');
 
+// Bank result files are small text files
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024, files: 1 }
+});
+
 // Protected routes (require authentication)
 router.use(auth);
 
@@ -20,4 +28,19 @@ router.get('/admin/stats', payoutController.getPayoutStats);
 router.post('/admin/:id/reverse', payoutController.reversePayout);
 router.post('/admin/bulk-process', payoutController.bulkProcessPayouts);
 
+// Payout policy and holds
+router.get('/admin/policy', payoutController.getPayoutPolicy);
+router.put('/admin/policy', payoutController.updatePayoutPolicy);
+router.post('/admin/bookings/:bookingId/hold', payoutController.holdBookingPayouts);
+router.post('/admin/bookings/:bookingId/release', payoutController.releaseBookingPayouts);
+
+// Bank transfer batches (NEFT/IMPS)
+router.post('/admin/batches', payoutBatchController.createPayoutBatch);
+router.get('/admin/batches', payoutBatchController.getPayoutBatches);
+router.get('/admin/batches/:id', payoutBatchController.getPayoutBatch);
+router.get('/admin/batches/:id/file', payoutBatchController.downloadPayoutBatchFile);
+router.post('/admin/batches/:id/submit', payoutBatchController.submitPayoutBatch);
+router.post('/admin/batches/:id/results', csvUpload.single('file'), payoutBatchController.recordPayoutBatchResults);
+router.post('/admin/batches/:id/cancel', payoutBatchController.cancelPayoutBatch);
+
 module.exports = router;
@@ -1,13 +1,36 @@
 const express = require('express');
 const router = express.Router();
-const { getPlatformFeeRate, calculatePricing, validateCoupon } = require('../controllers/pricing.controller');
+const {
+  getPlatformFeeRate,
+  calculatePricing,
+  validateCoupon,
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  getNightlyRates,
+  getHostPromotions,
+  getHostPromotion,
+  createHostPromotion,
+  updateHostPromotion,
+  deleteHostPromotion
+} = require('../controllers/pricing.controller');
+const { getPublicRates } = require('../controllers/exchangeRate.controller');
+const { auth, optionalAuth } = require('../middlewares/auth.middleware');
+const AuthorizationMiddleware = require('../middlewares/authorization.middleware');
+const {
+  validatePricingRule,
+  validatePricingRuleUpdate,
+  validateHostPromotion,
+  validateHostPromotionUpdate
+} = require('../validations/pricing.validation');
 
 /**
  * @desc    Calculate pricing for property booking
  * @route   POST /api/pricing/calculate
  * @access  Public (for property details page)
  */
-router.post('/calculate', calculatePricing);
+router.post('/calculate', optionalAuth, calculatePricing);
 
 /**
  * @desc    Get platform fee rate
@@ -16,11 +39,46 @@ router.post('/calculate', calculatePricing);
  */
 router.get('/platform-fee-rate', getPlatformFeeRate);
 
+/**
+ * @desc    Current exchange rates against the platform currency
+ * @route   GET /api/pricing/exchange-rates
+ * @access  Public
+ */
+router.get('/exchange-rates', getPublicRates);
+
 /**
  * @desc    Validate coupon code
  * @route   POST /api/pricing/validate-coupon
  * @access  Public
  */
-router.post('/validate-coupon', validateCoupon);
+router.post('/validate-coupon', optionalAuth, validateCoupon);
+
+/**
+ * @desc    Nightly prices for a stay with host pricing rules applied
+ * @route   GET /api/pricing/properties/:propertyId/nightly-rates
+ * @access  Public
+ */
+router.get('/properties/:propertyId/nightly-rates', getNightlyRates);
+
+/**
+ * @desc    Manage dynamic pricing rules (seasonal, day-of-week, last-minute, early-bird, length-of-stay)
+ * @route   /api/pricing/properties/:propertyId/rules
+ * @access  Private (Property host or admin)
+ */
+router.get('/properties/:propertyId/rules', auth, AuthorizationMiddleware.isPropertyHost, getPricingRules);
+router.post('/properties/:propertyId/rules', auth, AuthorizationMiddleware.isPropertyHost, validatePricingRule, createPricingRule);
+router.put('/properties/:propertyId/rules/:ruleId', auth, AuthorizationMiddleware.isPropertyHost, validatePricingRuleUpdate, updatePricingRule);
+router.delete('/properties/:propertyId/rules/:ruleId', auth, AuthorizationMiddleware.isPropertyHost, deletePricingRule);
+
+/**
+ * @desc    Manage host promotions on the host's own properties (applied automatically at checkout)
+ * @route   /api/pricing/promotions
+ * @access  Private (Host)
+ */
+router.get('/promotions', auth, AuthorizationMiddleware.isHost, getHostPromotions);
+router.post('/promotions', auth, AuthorizationMiddleware.isHost, validateHostPromotion, createHostPromotion);
+router.get('/promotions/:promotionId', auth, AuthorizationMiddleware.isHost, getHostPromotion);
+router.put('/promotions/:promotionId', auth, AuthorizationMiddleware.isHost, validateHostPromotionUpdate, updateHostPromotion);
+router.delete('/promotions/:promotionId', auth, AuthorizationMiddleware.isHost, deleteHostPromotion);
 
 module.exports = router;
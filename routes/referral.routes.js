@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const referralController = require('../controllers/referral.controller');
+const { auth } = require('../middlewares/auth.middleware');
+
+// Protected routes (require authentication)
+router.use(auth);
+
+router.get('/', referralController.getMyReferrals);
+router.get('/code', referralController.getMyReferralCode);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const walletController = require('../controllers/wallet.controller');
+const { auth, adminOnly } = require('../middlewares/auth.middleware');
+
+// Protected routes (require authentication)
+router.use(auth);
+
+// Guest wallet routes
+router.get('/', walletController.getMyWallet);
+router.get('/transactions', walletController.getMyTransactions);
+
+// Admin wallet routes (admin only)
+router.use(adminOnly);
+router.get('/admin/users/:userId', walletController.getUserWallet);
+router.post('/admin/users/:userId/credit', walletController.issueGoodwillCredit);
+
+module.exports = router;
@@ -57,31 +57,22 @@ console.log('Razorpay initialized:', razorpayService.isInitialized());
 // Connect to database
 connectDB();
 
-// Setup periodic cleanup of expired blocked bookings
-const bookingController = require('./controllers/booking.controller');
-const availabilityController = require('./controllers/availability.controller');
-
-// Run cleanup every 3 minutes for more responsive cleanup
-setInterval(async () => {
-  try {
-    console.log('🔄 Running periodic cleanup...');
-    await bookingController.cleanupExpiredBlockedBookings();
-    await availabilityController.cleanupExpiredBlockedAvailability();
-  } catch (error) {
-    console.error('Error in periodic cleanup:', error);
-  }
-}, 3 * 60 * 1000); // 3 minutes
-
-// Also run cleanup on startup
-setTimeout(async () => {
-  try {
-    console.log('🚀 Running startup cleanup...');
-    await bookingController.cleanupExpiredBlockedBookings();
-    await availabilityController.cleanupExpiredBlockedAvailability();
-  } catch (error) {
-    console.error('Error in startup cleanup:', error);
-  }
-}, 5000); // Wait 5 seconds after startup
+// Background jobs (expired hold cleanup, iCal sync, payouts) run on the
+// Mongo-backed scheduler: each due job is locked so only one instance runs it
+const JobScheduler = require('./services/scheduler.service');
+const { registerJobs, scheduleRecurringJobs } = require('./services/jobs.service');
+
+registerJobs();
+
+if (process.env.JOB_SCHEDULER_ENABLED !== 'false') {
+  scheduleRecurringJobs()
+    .then(() => JobScheduler.start({
+      pollIntervalMs: (parseInt(process.env.JOB_POLL_INTERVAL_SECONDS, 10) || 15) * 1000
+    }))
+    .catch(error => console.error('❌ Failed to start job scheduler:', error));
+} else {
+  console.log('⏸️ Job scheduler disabled on this instance (JOB_SCHEDULER_ENABLED=false)');
+}
 
 // Security middleware setup
 const helmet = createHelmet();
@@ -267,9 +258,13 @@ app.use('/api/services', require('./routes/service.routes'));
 app.use('/api/stories', require('./routes/story.routes'));
 app.use('/api/payments', require('./routes/payment.routes'));
 app.use('/api/payouts', require('./routes/payout.routes'));
+app.use('/api/wallet', require('./routes/wallet.routes'));
+app.use('/api/referrals', require('./routes/referral.routes'));
+app.use('/api/invoices', require('./routes/invoice.routes'));
 app.use('/api/reviews', require('./routes/review.routes'));
 app.use('/api/wishlist', require('./routes/wishlist.routes'));
 app.use('/api/notifications', require('./routes/notification.routes'));
+app.use('/api/messages', require('./routes/message.routes'));
 app.use('/api/coupons', require('./routes/coupon.routes'));
 app.use('/api/support', require('./routes/support.routes'));
 app.use('/api/upload', require('./routes/upload.routes'));
@@ -170,6 +170,35 @@ class AvailabilityService {
     }
   }
   
+  /**
+   * Release the nights held by a daily property booking
+   * Frees nights booked by the booking and the guest's unpaid holds in the range
+   * @param {Object} booking - Booking with listing, user, checkIn and checkOut
+   * @param {Object} [range] - Dates to release (defaults to the booking's stay)
+   * @returns {Promise<number>} Number of nights released
+   */
+  static async releaseBookingDates(booking, { checkIn, checkOut } = booking) {
+    // Nights are stored as UTC midnight of their local calendar date
+    const toNightDate = (date) => new Date(new Date(date).toLocaleDateString('en-CA'));
+
+    const result = await Availability.updateMany(
+      {
+        property: booking.listing._id || booking.listing,
+        date: { $gte: toNightDate(checkIn), $lte: toNightDate(checkOut) },
+        $or: [
+          { bookedBy: booking._id },
+          { blockedBy: booking.user._id || booking.user, status: 'blocked' }
+        ]
+      },
+      {
+        $set: { status: 'available', reason: null },
+        $unset: { bookedBy: 1, bookedAt: 1, blockedBy: 1, blockedAt: 1 }
+      }
+    );
+
+    return result.modifiedCount;
+  }
+
   /**
    * Get property availability for a specific date range
    * @param {string} propertyId - Property ID
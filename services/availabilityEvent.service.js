@@ -14,6 +14,7 @@
  * Created: Dec 2024
  */
 
+const crypto = require('crypto');
 const AvailabilityEvent = require('../models/HourlyBasedAvailability');
 const Availability = require('../models/Availability');
 const Booking = require('../models/Booking');
@@ -230,6 +231,84 @@ class AvailabilityEventService {
     }
   }
   
+  /**
+   * ========================================
+   * FIND BLOCKED PROPERTIES (BATCH)
+   * ========================================
+   * Batch version of checkHourlyAvailability for search: returns the IDs of
+   * properties that have a booking, maintenance or block range overlapping
+   * the requested window.
+   *
+   * Start events are paired with their end events by bookingId (bookings,
+   * maintenance) or meta.blockId (blocks); older blocks without a blockId are
+   * paired with the next unkeyed block_end. Ranges that started more than
+   * `lookbackDays` before the window are ignored.
+   *
+   * @param {Array<string>} propertyIds - Candidate property IDs
+   * @param {Date} startTime - Window start
+   * @param {Date} endTime - Window end
+   * @param {number} lookbackDays - How far back to look for open ranges (default 365)
+   * @param {string} excludeBookingId - Optional booking whose own events are ignored
+   * @returns {Promise<Set<string>>} IDs of properties with a conflicting range
+   */
+  static async findBlockedProperties(propertyIds, startTime, endTime, lookbackDays = 365, excludeBookingId = null) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    const lookbackStart = new Date(start.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+    const blocked = new Set();
+
+    if (!propertyIds || propertyIds.length === 0) {
+      return blocked;
+    }
+
+    const events = await AvailabilityEvent.find({
+      property: { $in: propertyIds },
+      time: { $gte: lookbackStart },
+      eventType: { $in: ['booking_start', 'booking_end', 'maintenance_start', 'maintenance_end', 'block_start', 'block_end'] },
+      ...(excludeBookingId && { bookingId: { $ne: excludeBookingId } })
+    })
+      .select('property eventType time bookingId meta.blockId')
+      .sort({ time: 1 })
+      .lean();
+
+    // Group start/end events per property and pairing key
+    const ends = new Map();
+    for (const event of events) {
+      if (!event.eventType.endsWith('_end')) continue;
+      const key = this.getPairingKey(event);
+      if (!ends.has(key)) ends.set(key, []);
+      ends.get(key).push(event);
+    }
+
+    for (const event of events) {
+      const propertyId = event.property.toString();
+      if (blocked.has(propertyId) || !event.eventType.endsWith('_start')) continue;
+      if (event.time >= end) continue;
+
+      const candidates = ends.get(this.getPairingKey(event)) || [];
+      const matchIndex = candidates.findIndex(e => e.time >= event.time);
+      const endEvent = matchIndex === -1 ? null : candidates[matchIndex];
+
+      // Unkeyed legacy blocks: each end closes one start
+      if (endEvent && !event.bookingId && !event.meta?.blockId) {
+        candidates.splice(matchIndex, 1);
+      }
+
+      // Open-ended range, or range still running at the window start => conflict
+      if (!endEvent || endEvent.time > start) {
+        blocked.add(propertyId);
+      }
+    }
+
+    return blocked;
+  }
+
+  static getPairingKey(event) {
+    const kind = event.eventType.replace(/_(start|end)$/, '');
+    const ref = event.bookingId || event.meta?.blockId || 'unkeyed';
+    return `${event.property}:${kind}:${ref}`;
+  }
+
   /**
    * ========================================
    * GET NEXT AVAILABLE SLOT
@@ -350,11 +429,19 @@ class AvailabilityEventService {
    * @param {Date} params.startTime - Block start time
    * @param {Date} params.endTime - Block end time
    * @param {string} params.reason - Block reason
+   * @param {Object} params.source - Optional origin tag (e.g. { type: 'ical', calendarId, uid })
+   *                                 so imported blocks can be replaced on re-import
    * @returns {Promise<Array>} Created block events
    */
-  static async createBlockEvents({ propertyId, userId, startTime, endTime, reason = 'Blocked by host' }) {
+  static async createBlockEvents({ propertyId, userId, startTime, endTime, reason = 'Blocked by host', source = null }) {
     try {
       const events = [];
+      // Shared id so the start/end pair can be matched up later (e.g. for calendar export)
+      const blockId = crypto.randomUUID();
+      const meta = { reason: reason, blockId: blockId };
+      if (source) {
+        meta.source = source;
+      }
       
       // 1. Create block_start event
       const blockStartEvent = new AvailabilityEvent({
@@ -362,7 +449,7 @@ class AvailabilityEventService {
         time: new Date(startTime),
         eventType: 'block_start',
         userId: userId,
-        meta: { reason: reason }
+        meta: meta
       });
       events.push(await blockStartEvent.save());
       
@@ -372,7 +459,7 @@ class AvailabilityEventService {
         time: new Date(endTime),
         eventType: 'block_end',
         userId: userId,
-        meta: { reason: reason }
+        meta: meta
       });
       events.push(await blockEndEvent.save());
       
@@ -386,6 +473,80 @@ class AvailabilityEventService {
     }
   }
   
+  /**
+   * ========================================
+   * GET IMPORTED BLOCKS
+   * ========================================
+   * Blocks imported from an external calendar, one per start/end pair.
+   *
+   * @param {string} propertyId - Property ID
+   * @param {string} calendarId - ExternalCalendar ID the blocks came from
+   * @returns {Promise<Array>} { blockId, uid, reason, start, end } (blockId is
+   *   null for blocks imported before pairs had one)
+   */
+  static async getImportedBlocks(propertyId, calendarId) {
+    const events = await AvailabilityEvent.find({
+      property: propertyId,
+      eventType: { $in: ['block_start', 'block_end'] },
+      'meta.source.type': 'ical',
+      'meta.source.calendarId': calendarId.toString()
+    }).sort({ time: 1 }).lean();
+
+    const blocks = new Map();
+    for (const event of events) {
+      const blockId = event.meta?.blockId || null;
+      const key = blockId || `unpaired:${event._id}`;
+      const block = blocks.get(key) || {
+        blockId,
+        uid: event.meta?.source?.uid || null,
+        reason: event.meta?.reason
+      };
+      block[event.eventType === 'block_start' ? 'start' : 'end'] = event.time;
+      blocks.set(key, block);
+    }
+    return [...blocks.values()];
+  }
+
+  /**
+   * ========================================
+   * DELETE IMPORTED BLOCK EVENTS
+   * ========================================
+   * Removes block events that were imported from an external calendar:
+   * all of them (feed unlinked), or only the listed blocks (stale after a
+   * re-import; null removes blocks imported before pairs had an id).
+   *
+   * @param {string} propertyId - Property ID
+   * @param {string} calendarId - ExternalCalendar ID the blocks came from
+   * @param {Object} [options] - { blockIds }
+   * @returns {Promise<Object>} Deletion result
+   */
+  static async deleteImportedBlockEvents(propertyId, calendarId, { blockIds } = {}) {
+    try {
+      if (blockIds && blockIds.length === 0) {
+        return { success: true, deletedCount: 0 };
+      }
+
+      const result = await AvailabilityEvent.deleteMany({
+        property: propertyId,
+        eventType: { $in: ['block_start', 'block_end'] },
+        'meta.source.type': 'ical',
+        'meta.source.calendarId': calendarId.toString(),
+        ...(blockIds && { 'meta.blockId': { $in: blockIds } })
+      });
+
+      console.log(`🗑️ Deleted ${result.deletedCount} imported block events for calendar ${calendarId}`);
+
+      return {
+        success: true,
+        deletedCount: result.deletedCount
+      };
+
+    } catch (error) {
+      console.error('❌ Error deleting imported block events:', error);
+      throw error;
+    }
+  }
+
   /**
    * ========================================
    * GET AVAILABILITY TIMELINE
@@ -0,0 +1,843 @@
+/**
+ * Booking Modification Service
+ * Date and guest-count changes for confirmed daily property bookings.
+ * Either party proposes a change and the other accepts it. The stay is then
+ * re-priced, re-checked and moved. The price difference is collected through
+ * the payment gateway or returned as a partial refund.
+ */
+
+const Booking = require('../models/Booking');
+const Property = require('../models/Property');
+const Payment = require('../models/Payment');
+const Availability = require('../models/Availability');
+const Notification = require('../models/Notification');
+const AvailabilityService = require('./availability.service');
+const AvailabilityEventService = require('./availabilityEvent.service');
+const RefundService = require('./refundService');
+const PaymentGatewayService = require('./paymentGateway.service');
+const CurrencyService = require('./currency.service');
+const LedgerService = require('./ledger.service');
+const PayoutService = require('./payout.service');
+const { calculatePricingBreakdown, calculateHourlyExtension, toTwoDecimals } = require('../utils/pricingUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_BOOKING_STATUSES = ['pending', 'accepted', 'confirmed'];
+const BLOCKING_AVAILABILITY_STATUSES = ['blocked', 'booked', 'maintenance', 'unavailable', 'on-hold'];
+const OPEN_MODIFICATION_STATUSES = ['pending', 'applying', 'awaiting_payment'];
+const MODIFIABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Availability stores each night as UTC midnight of its local calendar date
+const toNightDate = (date) => new Date(new Date(date).toLocaleDateString('en-CA'));
+
+const getNightDates = (checkIn, checkOut) => {
+  const nights = [];
+  const current = toNightDate(checkIn);
+  const end = toNightDate(checkOut);
+  while (current < end) {
+    nights.push(new Date(current));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return nights;
+};
+
+// Move a stored check-in/check-out to another date, keeping its time of day
+const withTimeOf = (date, source) => {
+  const result = new Date(date);
+  const reference = new Date(source);
+  result.setHours(reference.getHours(), reference.getMinutes(), 0, 0);
+  return result;
+};
+
+const toGuests = (guests = {}) => ({
+  adults: guests.adults ?? 1,
+  children: guests.children ?? 0,
+  infants: guests.infants ?? 0
+});
+
+class BookingModificationService {
+  static getParticipantRole(booking, user) {
+    const userId = user._id.toString();
+    if (booking.user.toString() === userId) return 'guest';
+    if (booking.host.toString() === userId) return 'host';
+    return null;
+  }
+
+  static assertModifiable(booking) {
+    if (booking.bookingType !== 'property' || booking.bookingDuration !== 'daily') {
+      throw httpError(400, 'Only daily property bookings can be modified');
+    }
+    if (booking.status !== 'confirmed') {
+      throw httpError(400, `Only confirmed bookings can be modified. Current status: ${booking.status}`);
+    }
+    if (!MODIFIABLE_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+      throw httpError(400, `Bookings with payment status "${booking.paymentStatus}" cannot be modified`);
+    }
+    if (booking.checkedIn || new Date(booking.checkIn) <= new Date()) {
+      throw httpError(400, 'Bookings cannot be modified after check-in');
+    }
+  }
+
+  static async loadBookingForParticipant(bookingId, user) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+
+    const role = this.getParticipantRole(booking, user);
+    if (!role) {
+      throw httpError(403, 'Only the guest or host can modify this booking');
+    }
+
+    return { booking, role };
+  }
+
+  static getModification(booking, modificationId) {
+    const modification = booking.modifications.id(modificationId);
+    if (!modification) {
+      throw httpError(404, 'Modification not found');
+    }
+    return modification;
+  }
+
+  /**
+   * ========================================
+   * QUOTE MODIFICATION
+   * ========================================
+   * Re-price the booking for new dates and/or guests using the listing's
+   * current prices and host pricing rules. The coupon discount on the booking
+   * is carried over.
+   *
+   * @param {Object} booking - Booking document
+   * @param {Object} changes - { checkIn, checkOut, guests }
+   * @returns {Promise<Object>} { checkIn, checkOut, nights, guests, pricing, priceDifference }
+   */
+  static async quoteModification(booking, { checkIn, checkOut, guests } = {}) {
+    const listing = await Property.findById(booking.listing);
+    if (!listing) {
+      throw httpError(404, 'Listing not found');
+    }
+
+    const newCheckIn = withTimeOf(checkIn || booking.checkIn, booking.checkIn);
+    const newCheckOut = withTimeOf(checkOut || booking.checkOut, booking.checkOut);
+    const nights = getNightDates(newCheckIn, newCheckOut).length;
+
+    if (nights < 1) {
+      throw httpError(400, 'Check-out date must be after check-in date');
+    }
+    if (toNightDate(newCheckIn) < toNightDate(new Date())) {
+      throw httpError(400, 'Check-in date cannot be in the past');
+    }
+    if (listing.minNights && nights < listing.minNights) {
+      throw httpError(400, `This listing requires a minimum stay of ${listing.minNights} nights`);
+    }
+
+    const newGuests = toGuests({ ...toGuests(booking.guests), ...guests });
+    if (listing.maxGuests && newGuests.adults + newGuests.children > listing.maxGuests) {
+      throw httpError(400, `This listing allows at most ${listing.maxGuests} guests`);
+    }
+
+    const currentGuests = toGuests(booking.guests);
+    const unchanged = toNightDate(newCheckIn).getTime() === toNightDate(booking.checkIn).getTime() &&
+      toNightDate(newCheckOut).getTime() === toNightDate(booking.checkOut).getTime() &&
+      ['adults', 'children', 'infants'].every(key => newGuests[key] === currentGuests[key]);
+    if (unchanged) {
+      throw httpError(400, 'Requested dates and guests are the same as the current booking');
+    }
+
+    const basePrice = listing.pricing.basePrice;
+    const pricing = await calculatePricingBreakdown({
+      basePrice,
+      nights,
+      propertyId: listing._id,
+      checkIn: newCheckIn,
+      cleaningFee: listing.pricing.cleaningFee || 0,
+      serviceFee: listing.pricing.serviceFee || 0,
+      securityDeposit: listing.pricing.securityDeposit || 0,
+      extraGuestPrice: listing.pricing.extraGuestPrice || 0,
+      extraGuests: newGuests.adults > 1 ? newGuests.adults - 1 : 0,
+      hourlyExtension: booking.hourlyExtension?.hours && listing.hourlyBooking?.enabled
+        ? calculateHourlyExtension(basePrice, booking.hourlyExtension.hours)
+        : 0,
+      discountAmount: booking.discountAmount || 0,
+      currency: booking.currency || 'INR',
+      bookingType: 'daily'
+    });
+
+    return {
+      checkIn: newCheckIn,
+      checkOut: newCheckOut,
+      nights,
+      guests: newGuests,
+      pricing,
+      priceDifference: toTwoDecimals(pricing.totalAmount - booking.totalAmount)
+    };
+  }
+
+  /**
+   * Check that new dates are free, ignoring the booking's own nights and events
+   * @param {Object} booking - Booking being modified
+   * @param {Date} checkIn - New check-in
+   * @param {Date} checkOut - New check-out
+   * @returns {Promise<Object>} { available, reason }
+   */
+  static async checkAvailability(booking, checkIn, checkOut) {
+    const propertyId = booking.listing;
+
+    const overlappingBooking = await Booking.exists({
+      _id: { $ne: booking._id },
+      listing: propertyId,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      checkIn: { $lt: checkOut },
+      checkOut: { $gt: checkIn }
+    });
+    if (overlappingBooking) {
+      return { available: false, reason: 'The requested dates overlap another booking' };
+    }
+
+    // Daily availability records (host blocks, other holds)
+    const ownNights = new Set(getNightDates(booking.checkIn, booking.checkOut).map(date => date.getTime()));
+    const blockedNights = await Availability.find({
+      property: propertyId,
+      date: { $in: getNightDates(checkIn, checkOut) },
+      status: { $in: BLOCKING_AVAILABILITY_STATUSES }
+    }).select('date bookedBy');
+    const conflictingNight = blockedNights.find(record =>
+      !record.bookedBy?.equals(booking._id) && !ownNights.has(record.date.getTime())
+    );
+    if (conflictingNight) {
+      return {
+        available: false,
+        reason: `${conflictingNight.date.toISOString().split('T')[0]} is not available`
+      };
+    }
+
+    // Time-based slots (24-hour bookings)
+    const overlappingSlots = await AvailabilityService.findOverlappingBookings(propertyId, checkIn, checkOut, booking._id);
+    if (overlappingSlots.length > 0) {
+      return { available: false, reason: 'The requested dates overlap a 24-hour booking' };
+    }
+
+    // Availability events (maintenance windows, host and iCal blocks)
+    const blocked = await AvailabilityEventService.findBlockedProperties([propertyId], checkIn, checkOut, 365, booking._id);
+    if (blocked.size > 0) {
+      return { available: false, reason: 'The requested dates are blocked on the host calendar' };
+    }
+
+    return { available: true };
+  }
+
+  /**
+   * ========================================
+   * PROPOSE MODIFICATION
+   * ========================================
+   * @param {string} bookingId - Booking ID
+   * @param {Object} user - Guest or host proposing the change
+   * @param {Object} data - { checkIn, checkOut, guests, reason }
+   * @returns {Promise<Object>} { booking, modification }
+   */
+  static async proposeModification(bookingId, user, { checkIn, checkOut, guests, reason } = {}) {
+    const { booking, role } = await this.loadBookingForParticipant(bookingId, user);
+    this.assertModifiable(booking);
+
+    if (booking.modifications.some(m => OPEN_MODIFICATION_STATUSES.includes(m.status))) {
+      throw httpError(409, 'This booking already has an open modification request');
+    }
+
+    const quote = await this.quoteModification(booking, { checkIn, checkOut, guests });
+    const availability = await this.checkAvailability(booking, quote.checkIn, quote.checkOut);
+    if (!availability.available) {
+      throw httpError(409, availability.reason);
+    }
+
+    const modification = {
+      proposedBy: user._id,
+      proposedByRole: role,
+      status: 'pending',
+      reason,
+      previous: {
+        checkIn: booking.checkIn,
+        checkOut: booking.checkOut,
+        guests: toGuests(booking.guests),
+        totalAmount: booking.totalAmount
+      },
+      requested: {
+        checkIn: quote.checkIn,
+        checkOut: quote.checkOut,
+        nights: quote.nights,
+        guests: quote.guests,
+        totalAmount: quote.pricing.totalAmount
+      },
+      pricing: quote.pricing,
+      priceDifference: quote.priceDifference
+    };
+
+    // Guarded push so two concurrent proposals cannot both be opened
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: 'confirmed',
+        'modifications.status': { $nin: OPEN_MODIFICATION_STATUSES }
+      },
+      { $push: { modifications: modification } },
+      { new: true }
+    );
+    if (!updated) {
+      throw httpError(409, 'This booking already has an open modification request');
+    }
+
+    const created = updated.modifications[updated.modifications.length - 1];
+    await this.notify(
+      role === 'guest' ? updated.host : updated.user,
+      updated,
+      'Booking Change Requested',
+      `The ${role} has asked to change booking ${updated.receiptId} to ${this.describeStay(created.requested)}.`
+    );
+
+    console.log(`📝 Modification ${created._id} proposed by ${role} for booking ${updated._id} (difference: ${created.priceDifference})`);
+    return { booking: updated, modification: created };
+  }
+
+  /**
+   * ========================================
+   * ACCEPT MODIFICATION
+   * ========================================
+   * The party who did not propose the change accepts it. A cheaper or
+   * same-price stay is applied right away. A more expensive stay waits for
+   * the guest to pay the difference through a gateway order.
+   *
+   * @param {string} bookingId - Booking ID
+   * @param {string} modificationId - Modification ID
+   * @param {Object} user - Accepting user
+   * @param {Object} options - { message }
+   * @returns {Promise<Object>} { booking, modification, paymentRequired, order }
+   */
+  static async acceptModification(bookingId, modificationId, user, { message } = {}) {
+    const { booking, role } = await this.loadBookingForParticipant(bookingId, user);
+    const modification = this.getModification(booking, modificationId);
+
+    if (modification.status !== 'pending') {
+      throw httpError(400, `Cannot accept a modification that is ${modification.status}`);
+    }
+    if (modification.proposedByRole === role) {
+      throw httpError(403, 'The other party must respond to this modification');
+    }
+    this.assertModifiable(booking);
+
+    const availability = await this.checkAvailability(booking, modification.requested.checkIn, modification.requested.checkOut);
+    if (!availability.available) {
+      throw httpError(409, availability.reason);
+    }
+
+    // Claim the request so it is only accepted once
+    const claimed = await this.transitionModification(booking._id, modificationId, 'pending', 'applying', {
+      respondedBy: user._id,
+      respondedAt: new Date(),
+      responseMessage: message
+    });
+    if (!claimed) {
+      throw httpError(409, 'Modification is no longer pending');
+    }
+
+    if (modification.priceDifference > 0) {
+      let order;
+      try {
+        order = await this.createDifferenceOrder(claimed, modification);
+      } catch (error) {
+        await this.transitionModification(booking._id, modificationId, 'applying', 'pending');
+        throw httpError(502, `Could not create payment order: ${error.message}`);
+      }
+
+      const awaiting = await this.transitionModification(booking._id, modificationId, 'applying', 'awaiting_payment', {
+        'payment.provider': order.provider,
+        'payment.orderId': order.orderId,
+        'payment.amount': modification.priceDifference
+      });
+
+      await this.notify(
+        awaiting.user,
+        awaiting,
+        'Booking Change Accepted',
+        `Your booking change was accepted. Pay ${awaiting.currency || 'INR'} ${modification.priceDifference} to confirm the new dates.`
+      );
+
+      return {
+        booking: awaiting,
+        modification: awaiting.modifications.id(modificationId),
+        paymentRequired: true,
+        order
+      };
+    }
+
+    const applied = await this.applyModification(claimed, modificationId);
+    return { ...applied, paymentRequired: false };
+  }
+
+  /**
+   * Create the gateway order for a positive price difference, with the
+   * gateway the booking was originally paid through
+   */
+  static async createDifferenceOrder(booking, modification) {
+    // Receipt IDs are capped at 40 characters (Razorpay's limit)
+    const receiptId = `MOD_${booking._id.toString().slice(-12)}_${Date.now().toString().slice(-10)}`.substring(0, 40);
+    const payment = await Payment.findById(booking.payment).select('paymentDetails razorpayPaymentId');
+    const charge = PaymentGatewayService.toChargeAmount(booking, modification.priceDifference);
+
+    return PaymentGatewayService.createOrder({
+      provider: PaymentGatewayService.getGatewayReference(payment)?.provider,
+      amount: charge.amount,
+      currency: charge.currency,
+      receipt: receiptId,
+      notes: {
+        bookingId: booking._id.toString(),
+        modificationId: modification._id.toString(),
+        userId: booking.user.toString(),
+        description: `Booking modification for ${booking.receiptId}`
+      }
+    });
+  }
+
+  /**
+   * ========================================
+   * CONFIRM DIFFERENCE PAYMENT
+   * ========================================
+   * Verify the guest's gateway payment for an accepted modification and
+   * apply it. If the dates were taken while the guest was paying, the payment
+   * is refunded and the modification is cancelled.
+   *
+   * @param {string} bookingId - Booking ID
+   * @param {string} modificationId - Modification ID
+   * @param {Object} user - Guest
+   * @param {Object} paymentData - { provider, orderId, paymentId, signature } or the razorpay* fields
+   * @returns {Promise<Object>} { booking, modification }
+   */
+  static async confirmPayment(bookingId, modificationId, user, paymentData) {
+    const { booking, role } = await this.loadBookingForParticipant(bookingId, user);
+    const modification = this.getModification(booking, modificationId);
+
+    if (role !== 'guest') {
+      throw httpError(403, 'Only the guest can pay for a booking modification');
+    }
+    if (modification.status !== 'awaiting_payment') {
+      throw httpError(400, `Cannot pay for a modification that is ${modification.status}`);
+    }
+    const proof = PaymentGatewayService.getCheckoutProof(paymentData);
+    if (!proof || !modification.payment?.orderId || modification.payment.orderId !== proof.orderId) {
+      throw httpError(400, 'Payment order does not belong to this modification');
+    }
+
+    const verified = await PaymentGatewayService.verifyCheckout(
+      { ...proof, provider: modification.payment.provider || proof.provider },
+      PaymentGatewayService.toChargeAmount(booking, modification.priceDifference)
+    );
+
+    const claimed = await this.transitionModification(booking._id, modificationId, 'awaiting_payment', 'applying', {
+      'payment.paymentId': verified.paymentId,
+      'payment.paidAt': new Date()
+    });
+    if (!claimed) {
+      throw httpError(409, 'Modification is no longer awaiting payment');
+    }
+
+    const availability = await this.checkAvailability(claimed, modification.requested.checkIn, modification.requested.checkOut);
+    if (!availability.available) {
+      let notes = `Dates became unavailable before payment was confirmed: ${availability.reason}.`;
+      try {
+        const refund = await PaymentGatewayService.refundPayment(
+          {
+            currency: booking.currency || 'INR',
+            charge: { currency: verified.currency, rate: verified.rate },
+            paymentDetails: { paymentGateway: verified.provider, transactionId: verified.paymentId }
+          },
+          modification.priceDifference,
+          'Booking modification could not be applied',
+          { bookingId: booking._id.toString(), modificationId: modificationId.toString() }
+        );
+        notes += ` Payment refunded (${refund.refundId}).`;
+      } catch (error) {
+        console.error('❌ Error refunding modification payment:', error);
+        notes += ` Automatic refund failed: ${error.message}`;
+      }
+
+      await this.transitionModification(booking._id, modificationId, 'applying', 'cancelled', { notes });
+      throw httpError(409, `${availability.reason}. The booking was not changed and your payment is being refunded.`);
+    }
+
+    try {
+      await this.recordDifferencePayment(claimed, claimed.modifications.id(modificationId), verified, proof);
+    } catch (error) {
+      console.error(`❌ Error recording payment for modification ${modificationId}:`, error);
+    }
+
+    return this.applyModification(claimed, modificationId);
+  }
+
+  /**
+   * Payment record for the guest's difference payment, so it can be refunded
+   * and reconciled like any other payment. Like a payment plan balance it only
+   * settles the booking: the ledger receipt is posted with the modification
+   * and the host payout stays on the original payment.
+   */
+  static async recordDifferencePayment(booking, modification, verified, proof) {
+    const original = await Payment.findById(booking.payment).select('paymentMethod');
+    const payment = await Payment.create({
+      booking: booking._id,
+      user: booking.user,
+      host: booking.host,
+      amount: modification.priceDifference,
+      currency: booking.currency || 'INR',
+      paymentMethod: original?.paymentMethod || 'credit_card',
+      ...PaymentGatewayService.toPaymentFields(verified, proof),
+      installment: 'balance',
+      modification: modification._id,
+      status: 'completed',
+      processedAt: modification.payment.paidAt || new Date(),
+      subtotal: 0,
+      taxes: 0,
+      processingFee: 0,
+      commission: { platformFee: 0, hostEarning: 0, processingFee: 0 },
+      payout: { status: 'cancelled', notes: `Host payout is scheduled from the original payment of ${booking.receiptId}` }
+    });
+
+    await Booking.updateOne(
+      { _id: booking._id, 'modifications._id': modification._id },
+      { $set: { 'modifications.$.payment.record': payment._id } }
+    );
+    modification.payment.record = payment._id;
+    return payment;
+  }
+
+  /**
+   * ========================================
+   * APPLY MODIFICATION
+   * ========================================
+   * Write the new dates, guests and pricing to a booking whose modification
+   * has been claimed ('applying'), then move its availability, update the
+   * pending host payout and refund any price decrease. Steps after the
+   * booking update are logged rather than thrown, because the change itself
+   * has already been committed.
+   *
+   * @param {Object} booking - Booking document as claimed (pre-change values)
+   * @param {string} modificationId - Modification ID
+   * @returns {Promise<Object>} { booking, modification }
+   */
+  static async applyModification(booking, modificationId) {
+    const modification = booking.modifications.id(modificationId);
+    const { requested, pricing, previous } = modification;
+
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        modifications: { $elemMatch: { _id: modificationId, status: 'applying' } }
+      },
+      {
+        $set: {
+          checkIn: requested.checkIn,
+          checkOut: requested.checkOut,
+          guests: requested.guests,
+          totalAmount: pricing.totalAmount,
+          subtotal: pricing.subtotal,
+          taxAmount: pricing.gst,
+          serviceFee: pricing.serviceFee,
+          cleaningFee: pricing.cleaningFee,
+          securityDeposit: pricing.securityDeposit,
+          discountAmount: pricing.discountAmount,
+          hostFee: pricing.hostEarning,
+          platformFee: pricing.platformFee,
+          processingFee: pricing.processingFee,
+          gst: pricing.gst,
+          pricingBreakdown: pricing.breakdown,
+          // The fee config the new price was quoted with, so re-validation uses the same rates
+          pricingConfigVersion: pricing.pricingConfigVersion,
+          // Converted amounts keep the rates locked when the booking was made
+          ...(booking.exchange?.guestRate && {
+            'exchange.guestTotalAmount': CurrencyService.convert(pricing.totalAmount, booking.exchange.guestRate),
+            'exchange.hostEarningAmount': CurrencyService.convert(pricing.hostEarning, booking.exchange.hostRate)
+          }),
+          'modifications.$.status': 'completed',
+          'modifications.$.completedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw httpError(409, 'Modification is no longer being applied');
+    }
+
+    await LedgerService.queueModification(updated._id, modificationId);
+
+    try {
+      await this.moveAvailability(updated, previous, requested);
+    } catch (error) {
+      console.error(`❌ Error moving availability for booking ${updated._id}:`, error);
+    }
+
+    try {
+      await Payment.updateOne(
+        { booking: updated._id, 'payout.status': 'pending' },
+        {
+          $set: {
+            'payout.amount': pricing.hostEarning,
+            ...(updated.exchange?.hostRate && {
+              'payout.settlementAmount': updated.exchange.hostEarningAmount
+            }),
+            'payout.scheduledDate': new Date(new Date(requested.checkIn).getTime() + DAY_MS)
+          }
+        }
+      );
+      await PayoutService.replanBookingPayouts(updated._id);
+    } catch (error) {
+      console.error(`❌ Error updating host payout for booking ${updated._id}:`, error);
+    }
+
+    if (modification.priceDifference < 0) {
+      await this.refundDifference(booking, updated, modification);
+    }
+
+    for (const participant of [updated.user, updated.host]) {
+      await this.notify(
+        participant,
+        updated,
+        'Booking Updated',
+        `Booking ${updated.receiptId} now runs ${this.describeStay(requested)}.`
+      );
+    }
+
+    console.log(`✅ Modification ${modificationId} applied to booking ${updated._id}`);
+
+    const result = await Booking.findById(updated._id);
+    return { booking: result, modification: result.modifications.id(modificationId) };
+  }
+
+  /**
+   * Issue a partial refund for a cheaper stay and link it to the modification
+   */
+  static async refundDifference(previousBooking, updatedBooking, modification) {
+    try {
+      const refund = await RefundService.processRefund(updatedBooking._id, 'modification', 'partial', {
+        amount: Math.abs(modification.priceDifference),
+        breakdown: this.buildRefundBreakdown(previousBooking.pricingBreakdown, modification.pricing),
+        userNotes: `Price difference for booking modification ${modification._id}`
+      });
+
+      await Booking.updateOne(
+        { _id: updatedBooking._id, 'modifications._id': modification._id },
+        { $set: { 'modifications.$.refund': refund._id } }
+      );
+    } catch (error) {
+      console.error(`❌ Error refunding modification ${modification._id}:`, error);
+      await Booking.updateOne(
+        { _id: updatedBooking._id, 'modifications._id': modification._id },
+        { $set: { 'modifications.$.notes': `Refund could not be created: ${error.message}` } }
+      );
+    }
+  }
+
+  // Per-line difference between the old and new customer breakdowns
+  static buildRefundBreakdown(previousBreakdown, pricing) {
+    const before = previousBreakdown?.customerBreakdown || {};
+    const after = pricing.breakdown?.customerBreakdown || {};
+    const difference = (field) => toTwoDecimals((before[field] || 0) - (after[field] || 0));
+
+    return {
+      baseAmount: difference('baseAmount'),
+      hourlyExtension: difference('hourlyExtension'),
+      cleaningFee: difference('cleaningFee'),
+      serviceFee: difference('serviceFee'),
+      securityDeposit: difference('securityDeposit'),
+      platformFee: difference('platformFee'),
+      processingFee: difference('processingFee'),
+      gst: difference('gst'),
+      discountAmount: difference('discountAmount'),
+      subtotal: difference('subtotal'),
+      totalAmount: difference('totalAmount'),
+      hostEarning: toTwoDecimals((previousBreakdown?.hostBreakdown?.hostEarning || 0) - (pricing.hostEarning || 0)),
+      platformRevenue: toTwoDecimals((previousBreakdown?.platformBreakdown?.platformRevenue || 0) - (pricing.platformRevenue || 0))
+    };
+  }
+
+  /**
+   * Release the booking's old nights and hold the new ones
+   * @param {Object} booking - Updated booking
+   * @param {Object} previous - Previous stay { checkIn, checkOut }
+   * @param {Object} requested - New stay { checkIn, checkOut }
+   */
+  static async moveAvailability(booking, previous, requested) {
+    const propertyId = booking.listing;
+    const listing = await Property.findById(propertyId).select('availabilitySettings');
+    const maintenanceHours = listing?.availabilitySettings?.hostBufferTime || 2;
+    const now = new Date();
+
+    // Release the old nights and checkout-day record held by this booking
+    await AvailabilityService.releaseBookingDates(booking, previous);
+
+    for (const night of getNightDates(requested.checkIn, requested.checkOut)) {
+      await Availability.findOneAndUpdate(
+        { property: propertyId, date: night },
+        {
+          $set: {
+            property: propertyId,
+            date: night,
+            status: 'booked',
+            reason: 'Booking confirmed',
+            bookedBy: booking._id,
+            bookedAt: now
+          },
+          $unset: { blockedBy: 1, blockedAt: 1 }
+        },
+        { upsert: true }
+      );
+    }
+
+    // Checkout day stays bookable after checkout time + maintenance
+    const [checkoutHour, checkoutMinute] = (booking.checkOutTime || '11:00').split(':').map(Number);
+    const checkoutAt = new Date(requested.checkOut);
+    checkoutAt.setHours(checkoutHour, checkoutMinute, 0, 0);
+    const availableFrom = new Date(checkoutAt.getTime() + maintenanceHours * 60 * 60 * 1000);
+    const checkoutNight = toNightDate(requested.checkOut);
+
+    const checkoutRecord = await Availability.findOne({ property: propertyId, date: checkoutNight }).select('status');
+    if (!checkoutRecord || !BLOCKING_AVAILABILITY_STATUSES.includes(checkoutRecord.status)) {
+      await Availability.findOneAndUpdate(
+        { property: propertyId, date: checkoutNight },
+        {
+          property: propertyId,
+          date: checkoutNight,
+          status: 'partially-available',
+          reason: `Available after ${availableFrom.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}`,
+          bookedBy: booking._id,
+          bookedAt: now
+        },
+        { upsert: true }
+      );
+    }
+
+    await AvailabilityEventService.deleteBookingEvents(booking._id);
+    const eventResult = await AvailabilityEventService.createBookingEvents({
+      propertyId,
+      bookingId: booking._id,
+      userId: booking.user,
+      checkIn: new Date(requested.checkIn),
+      checkOut: new Date(requested.checkOut),
+      maintenanceHours
+    });
+    if (eventResult.success) {
+      await Booking.updateOne({ _id: booking._id }, { $set: { nextAvailableTime: eventResult.nextAvailableTime } });
+    }
+  }
+
+  /**
+   * ========================================
+   * REJECT / CANCEL MODIFICATION
+   * ========================================
+   * The other party rejects a pending request. The proposer can withdraw it
+   * while pending, and either party can cancel it while it awaits payment.
+   */
+  static async rejectModification(bookingId, modificationId, user, { message } = {}) {
+    const { booking, role } = await this.loadBookingForParticipant(bookingId, user);
+    const modification = this.getModification(booking, modificationId);
+
+    if (modification.status !== 'pending') {
+      throw httpError(400, `Cannot reject a modification that is ${modification.status}`);
+    }
+    if (modification.proposedByRole === role) {
+      throw httpError(403, 'You cannot reject your own request; cancel it instead');
+    }
+
+    const updated = await this.transitionModification(booking._id, modificationId, 'pending', 'rejected', {
+      respondedBy: user._id,
+      respondedAt: new Date(),
+      responseMessage: message
+    });
+    if (!updated) {
+      throw httpError(409, 'Modification is no longer pending');
+    }
+
+    await this.notify(
+      modification.proposedBy,
+      updated,
+      'Booking Change Declined',
+      `Your requested change to booking ${updated.receiptId} was declined.${message ? ` Message: ${message}` : ''}`.substring(0, 500)
+    );
+
+    return { booking: updated, modification: updated.modifications.id(modificationId) };
+  }
+
+  static async cancelModification(bookingId, modificationId, user) {
+    const { booking, role } = await this.loadBookingForParticipant(bookingId, user);
+    const modification = this.getModification(booking, modificationId);
+
+    if (modification.status === 'pending' && modification.proposedByRole !== role) {
+      throw httpError(403, 'Only the party who proposed this change can withdraw it');
+    }
+    if (!['pending', 'awaiting_payment'].includes(modification.status)) {
+      throw httpError(400, `Cannot cancel a modification that is ${modification.status}`);
+    }
+
+    const updated = await this.transitionModification(booking._id, modificationId, modification.status, 'cancelled', {
+      notes: `Cancelled by ${role}`
+    });
+    if (!updated) {
+      throw httpError(409, 'Modification status changed, please refresh');
+    }
+
+    await this.notify(
+      role === 'guest' ? updated.host : updated.user,
+      updated,
+      'Booking Change Cancelled',
+      `The requested change to booking ${updated.receiptId} was cancelled by the ${role}.`
+    );
+
+    return { booking: updated, modification: updated.modifications.id(modificationId) };
+  }
+
+  /**
+   * Atomically move a modification from one status to another
+   * @returns {Promise<Object|null>} Updated booking, or null if the status had changed
+   */
+  static async transitionModification(bookingId, modificationId, fromStatus, toStatus, fields = {}) {
+    const set = { 'modifications.$.status': toStatus };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) set[`modifications.$.${key}`] = value;
+    }
+
+    return Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        modifications: { $elemMatch: { _id: modificationId, status: fromStatus } }
+      },
+      { $set: set },
+      { new: true }
+    );
+  }
+
+  static describeStay({ checkIn, checkOut, guests }) {
+    const format = (date) => new Date(date).toLocaleDateString('en-CA');
+    const guestCount = (guests?.adults || 0) + (guests?.children || 0);
+    return `${format(checkIn)} to ${format(checkOut)} for ${guestCount} guest${guestCount === 1 ? '' : 's'}`;
+  }
+
+  static async notify(userId, booking, title, message) {
+    try {
+      await Notification.create({
+        user: userId,
+        type: 'booking',
+        title,
+        message,
+        relatedEntity: {
+          type: 'Booking',
+          id: booking._id
+        }
+      });
+    } catch (error) {
+      console.error('Error creating modification notification:', error);
+    }
+  }
+}
+
+module.exports = BookingModificationService;
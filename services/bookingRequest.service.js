@@ -0,0 +1,215 @@
+/**
+ * Booking Request Service
+ * Instant Book eligibility and expiry of booking requests the host never answered.
+ * Expired requests release their held dates and captured payments are refunded
+ * in full through the refund service.
+ */
+
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const Notification = require('../models/Notification');
+const AvailabilityService = require('./availability.service');
+const AvailabilityEventService = require('./availabilityEvent.service');
+const RefundService = require('./refundService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_RESPONSE_HOURS = 24;
+
+class BookingRequestService {
+  /**
+   * Hours a host has to answer a request for this listing
+   * @param {Object} [listing] - Property or service
+   * @returns {number}
+   */
+  static getResponseHours(listing) {
+    return listing?.bookingRequestExpiryHours
+      || parseInt(process.env.BOOKING_REQUEST_EXPIRY_HOURS, 10)
+      || DEFAULT_RESPONSE_HOURS;
+  }
+
+  /**
+   * Deadline for the host to accept or decline a request created now
+   * @param {Object} [listing] - Property or service
+   * @param {Date} [from] - Request creation time
+   * @returns {Date}
+   */
+  static getResponseDeadline(listing, from = new Date()) {
+    return new Date(from.getTime() + this.getResponseHours(listing) * HOUR_MS);
+  }
+
+  /**
+   * ========================================
+   * INSTANT BOOK ELIGIBILITY
+   * ========================================
+   * A listing with Instant Book enabled can still restrict it to KYC-verified
+   * guests, guests with a minimum number of completed stays and/or guests who
+   * have reviewed a minimum number of stays. Guests who don't qualify fall
+   * back to a normal booking request.
+   * @param {Object} listing - Property
+   * @param {string} guestId - Guest user ID
+   * @returns {Promise<Object>} { eligible, reason }
+   */
+  static async checkInstantBookEligibility(listing, guestId) {
+    const settings = listing?.instantBook;
+    if (!settings?.enabled) {
+      return { eligible: false, reason: 'Instant Book is not enabled for this listing' };
+    }
+
+    if (listing.host && listing.host.toString() === guestId.toString()) {
+      return { eligible: false, reason: 'Hosts cannot instant book their own listing' };
+    }
+
+    if (settings.requireVerifiedGuests) {
+      const guest = await User.findById(guestId).select('kyc.status');
+      if (guest?.kyc?.status !== 'verified') {
+        return { eligible: false, reason: 'Instant Book is limited to guests with verified identity' };
+      }
+    }
+
+    if (settings.minCompletedStays > 0) {
+      const completedStays = await Booking.countDocuments({ user: guestId, status: 'completed' });
+      if (completedStays < settings.minCompletedStays) {
+        return {
+          eligible: false,
+          reason: `Instant Book requires at least ${settings.minCompletedStays} completed stay${settings.minCompletedStays === 1 ? '' : 's'}`
+        };
+      }
+    }
+
+    if (settings.minGuestReviews > 0) {
+      const guestReviews = await Review.countDocuments({ reviewer: guestId });
+      if (guestReviews < settings.minGuestReviews) {
+        return {
+          eligible: false,
+          reason: `Instant Book requires at least ${settings.minGuestReviews} review${settings.minGuestReviews === 1 ? '' : 's'} of past stays`
+        };
+      }
+    }
+
+    return { eligible: true, reason: null };
+  }
+
+  /**
+   * ========================================
+   * EXPIRE UNANSWERED REQUESTS
+   * ========================================
+   * Run by the 'expire-booking-requests' job.
+   * @returns {Promise<Object>} { checked, expired, failed }
+   */
+  static async expireUnansweredRequests() {
+    const due = await Booking.find({
+      status: 'pending',
+      responseDeadline: { $lte: new Date() }
+    })
+      .select('_id')
+      .sort({ responseDeadline: 1 })
+      .limit(100);
+
+    let expired = 0;
+    let failed = 0;
+
+    for (const { _id } of due) {
+      try {
+        if (await this.expireRequest(_id)) {
+          expired++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Error expiring booking request ${_id}:`, error);
+      }
+    }
+
+    if (expired || failed) {
+      console.log(`⌛ Booking requests: ${expired} expired, ${failed} failed`);
+    }
+
+    return { checked: due.length, expired, failed };
+  }
+
+  /**
+   * Expire one request if it is still pending past its deadline
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object|null>} Expired booking, or null if it was answered meanwhile
+   */
+  static async expireRequest(bookingId) {
+    const now = new Date();
+
+    // Claim the request atomically; acceptBooking confirms with the same status and
+    // deadline filter, so only one of the two can move it out of pending
+    const booking = await Booking.findOneAndUpdate(
+      { _id: bookingId, status: 'pending', responseDeadline: { $lte: now } },
+      {
+        $set: {
+          status: 'expired',
+          expiredAt: now,
+          cancellationReason: 'Host did not respond before the request deadline'
+        }
+      },
+      { new: true }
+    ).populate('listing', 'title').populate('service', 'title');
+
+    if (!booking) {
+      return null;
+    }
+
+    if (booking.listing) {
+      try {
+        await AvailabilityService.releaseBookingDates(booking);
+        await AvailabilityEventService.deleteBookingEvents(booking._id);
+      } catch (error) {
+        console.error(`❌ Error releasing dates for expired booking ${booking._id}:`, error);
+      }
+    } else if (booking.timeSlot?.startTime) {
+      await AvailabilityService.releaseTimeSlot(booking._id);
+    }
+
+    let refund = null;
+    if (booking.paymentStatus === 'paid' || booking.paymentStatus === 'partially_paid') {
+      try {
+        refund = await RefundService.processRefund(booking._id, 'request_expired', 'full', {
+          userNotes: 'Automatic refund: the host did not respond to the booking request in time'
+        });
+      } catch (error) {
+        console.error(`❌ Error refunding expired booking ${booking._id}:`, error);
+      }
+    }
+
+    const title = booking.listing?.title || booking.service?.title || 'your listing';
+
+    await this.notify(
+      booking.user,
+      booking,
+      'Booking Request Expired',
+      `The host did not respond to your request for ${title} in time.${refund ? ` A full refund of ₹${refund.amount} has been initiated.` : ''}`
+    );
+    await this.notify(
+      booking.host,
+      booking,
+      'Booking Request Expired',
+      `The booking request ${booking.receiptId} for ${title} expired without a response and the dates were released.`
+    );
+
+    console.log(`⌛ Booking request ${booking._id} expired`);
+    return booking;
+  }
+
+  static async notify(userId, booking, title, message) {
+    try {
+      await Notification.create({
+        user: userId,
+        type: 'booking',
+        title,
+        message: message.slice(0, 500),
+        relatedEntity: {
+          type: 'Booking',
+          id: booking._id
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error creating booking request notification:', error);
+    }
+  }
+}
+
+module.exports = BookingRequestService;
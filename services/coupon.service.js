@@ -0,0 +1,729 @@
+/**
+ * Coupon Service
+ * Coupon administration and marketing analytics:
+ *   - bulk creation of single-use style codes that share one set of rules;
+ *   - redemption (atomic, respecting the usage limit and one use per guest);
+ *   - usage history (Coupon.usedBy joined to the bookings it was used on);
+ *   - popularity and effectiveness reports.
+ *
+ * Booking amounts are only added up within one currency (INR by default).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Booking = require('../models/Booking');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_DAYS = 30;
+const DEFAULT_CURRENCY = 'INR';
+// Bookings that actually happened (paid, in full or by payment plan)
+const REALISED_BOOKING_STATUSES = ['confirmed', 'completed'];
+
+const MAX_BULK_COUNT = 1000;
+const MAX_CODE_LENGTH = 20;
+const DEFAULT_RANDOM_LENGTH = 6;
+// No 0/O or 1/I, so codes can be read out and typed back
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PLACEHOLDER = '#';
+const MAX_GENERATION_ROUNDS = 5;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const randomCode = (pattern) => {
+  const bytes = crypto.randomBytes(pattern.length);
+  return pattern
+    .split('')
+    .map((char, index) => char === PLACEHOLDER ? CODE_ALPHABET[bytes[index] % CODE_ALPHABET.length] : char)
+    .join('');
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Aggregation expression: how many times the user has used the coupon
+const usesBy = (userId) => ({
+  $size: { $filter: { input: '$usedBy', cond: { $eq: ['$$this.user', toObjectId(userId)] } } }
+});
+
+class CouponService {
+  /**
+   * Where a coupon is in its life
+   * @returns {string} inactive | scheduled | expired | exhausted | active
+   */
+  static getState(coupon, now = new Date()) {
+    if (!coupon.isActive) return 'inactive';
+    if (coupon.validFrom > now) return 'scheduled';
+    if (coupon.validTo < now) return 'expired';
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) return 'exhausted';
+    return 'active';
+  }
+
+  static withState(coupon, now = new Date()) {
+    const plain = coupon.toObject ? coupon.toObject() : coupon;
+    return {
+      ...plain,
+      state: this.getState(plain, now),
+      remainingUses: plain.usageLimit ? Math.max(0, plain.usageLimit - plain.usedCount) : null
+    };
+  }
+
+  // Query for coupons in a state
+  static stateQuery(state, now = new Date()) {
+    const notExhausted = {
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    };
+    switch (state) {
+      case 'inactive':
+        return { isActive: false };
+      case 'scheduled':
+        return { isActive: true, validFrom: { $gt: now } };
+      case 'expired':
+        return { isActive: true, validTo: { $lt: now } };
+      case 'exhausted':
+        return {
+          isActive: true,
+          validFrom: { $lte: now },
+          validTo: { $gte: now },
+          usageLimit: { $ne: null },
+          $expr: { $gte: ['$usedCount', '$usageLimit'] }
+        };
+      case 'active':
+        return { isActive: true, validFrom: { $lte: now }, validTo: { $gte: now }, ...notExhausted };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * ==== ADMIN LISTS ====
+   * Coupons with their state, newest first
+   * @param {Object} options - { state, search, batchId, page, limit }
+   */
+  static async listCoupons({ state, search, batchId, page = 1, limit = 20 } = {}) {
+    const now = new Date();
+    const query = { ...this.stateQuery(state, now) };
+    if (search) {
+      query.code = { $regex: search.replace(/[^A-Za-z0-9]/g, ''), $options: 'i' };
+    }
+    if (batchId) {
+      query.batchId = batchId;
+    }
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query)
+        .select('-usedBy')
+        .populate('createdBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Coupon.countDocuments(query)
+    ]);
+
+    return {
+      coupons: coupons.map(coupon => this.withState(coupon, now)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Coupons that can no longer be redeemed: past validTo or out of uses
+   */
+  static async listExpiredCoupons({ page = 1, limit = 20 } = {}) {
+    const now = new Date();
+    const query = {
+      $or: [
+        { validTo: { $lt: now } },
+        { usageLimit: { $ne: null }, $expr: { $gte: ['$usedCount', '$usageLimit'] } }
+      ]
+    };
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query)
+        .select('-usedBy')
+        .sort({ validTo: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Coupon.countDocuments(query)
+    ]);
+
+    return {
+      coupons: coupons.map(coupon => this.withState(coupon, now)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async setStatus(couponId, isActive) {
+    const coupon = await Coupon.findByIdAndUpdate(couponId, { $set: { isActive } }, { new: true }).select('-usedBy');
+    if (!coupon) {
+      throw httpError(404, 'Coupon not found');
+    }
+    return this.withState(coupon);
+  }
+
+  /**
+   * ==== BULK CREATE ====
+   * Create `count` coupons with random codes and the same rules.
+   * Codes come from `pattern`, where each # is a random character
+   * (e.g. SUMMER####), or from `prefix` plus `randomLength` random
+   * characters. Codes already taken are regenerated.
+   * @param {Object} admin - Admin creating them
+   * @param {Object} data - { pattern | prefix, randomLength, count, rules }
+   * @returns {Promise<Object>} { batchId, count, codes }
+   */
+  static async bulkCreate(admin, { pattern, prefix, randomLength = DEFAULT_RANDOM_LENGTH, count, rules = {} }) {
+    const total = parseInt(count, 10);
+    if (!Number.isInteger(total) || total < 1 || total > MAX_BULK_COUNT) {
+      throw httpError(400, `count must be between 1 and ${MAX_BULK_COUNT}`);
+    }
+
+    const template = (pattern || `${prefix || ''}${PLACEHOLDER.repeat(parseInt(randomLength, 10) || 0)}`).toUpperCase();
+    const placeholders = template.split(PLACEHOLDER).length - 1;
+    if (!/^[A-Z0-9#]+$/.test(template) || template.length < 3 || template.length > MAX_CODE_LENGTH) {
+      throw httpError(400, `The code pattern must be 3-${MAX_CODE_LENGTH} letters, digits and # placeholders`);
+    }
+    // Leave plenty of room so random codes rarely collide
+    if (placeholders === 0 || Math.pow(CODE_ALPHABET.length, placeholders) < total * 100) {
+      throw httpError(400, `The pattern needs more # placeholders to generate ${total} unique codes`);
+    }
+
+    const missing = ['couponImage', 'discountType', 'amount', 'validFrom', 'validTo'].filter(field => rules[field] === undefined);
+    if (missing.length > 0) {
+      throw httpError(400, `rules must include ${missing.join(', ')}`);
+    }
+    if (new Date(rules.validFrom) >= new Date(rules.validTo)) {
+      throw httpError(400, 'validFrom must be before validTo');
+    }
+
+    const batchId = `BATCH-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    const shared = {
+      couponImage: rules.couponImage,
+      discountType: rules.discountType,
+      amount: rules.amount,
+      maxDiscount: rules.maxDiscount,
+      minBookingAmount: rules.minBookingAmount,
+      validFrom: rules.validFrom,
+      validTo: rules.validTo,
+      usageLimit: rules.usageLimit,
+      applicableToListings: rules.applicableToListings,
+      applicableToServices: rules.applicableToServices,
+      targeting: rules.targeting,
+      stacking: rules.stacking,
+      isActive: rules.isActive !== false,
+      batchId,
+      createdBy: admin._id
+    };
+    // Catch invalid rules before generating anything
+    const sample = new Coupon({ ...shared, code: template.replace(/#/g, 'A') });
+    const validationError = sample.validateSync();
+    if (validationError) {
+      throw httpError(400, validationError.message);
+    }
+
+    const created = [];
+    for (let round = 0; round < MAX_GENERATION_ROUNDS && created.length < total; round++) {
+      const candidates = new Set();
+      while (candidates.size < total - created.length) {
+        candidates.add(randomCode(template));
+      }
+      const taken = await Coupon.find({ code: { $in: [...candidates] } }).distinct('code');
+      taken.forEach(code => candidates.delete(code));
+
+      try {
+        const inserted = await Coupon.insertMany(
+          [...candidates].map(code => ({ ...shared, code })),
+          { ordered: false }
+        );
+        created.push(...inserted.map(coupon => coupon.code));
+      } catch (error) {
+        // Codes created at the same moment by someone else; the rest went in
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+        const inserted = error.insertedDocs || [];
+        created.push(...inserted.map(coupon => coupon.code));
+      }
+    }
+
+    if (created.length < total) {
+      console.warn(`⚠️ Bulk coupon batch ${batchId}: only ${created.length} of ${total} codes could be generated`);
+    }
+    console.log(`🎟️ Bulk coupon batch ${batchId}: ${created.length} code(s) from ${template}`);
+
+    return { batchId, count: created.length, requested: total, codes: created };
+  }
+
+  /**
+   * ==== REDEMPTION ====
+   * Record that a guest used a coupon. The per-guest limit
+   * (targeting.perUserLimit, one use by default) and the usage limit are
+   * checked in the same update, so two guests cannot take the last use.
+   */
+  static async redeem(couponId, user) {
+    const now = new Date();
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        _id: couponId,
+        isActive: true,
+        validFrom: { $lte: now },
+        validTo: { $gte: now },
+        $expr: {
+          $and: [
+            { $lt: [usesBy(user._id), { $ifNull: ['$targeting.perUserLimit', 1] }] },
+            { $or: [{ $not: ['$usageLimit'] }, { $lt: ['$usedCount', '$usageLimit'] }] }
+          ]
+        }
+      },
+      {
+        $inc: { usedCount: 1 },
+        $push: { usedBy: { user: user._id, usedAt: now } }
+      },
+      { new: true }
+    ).select('-usedBy');
+
+    if (coupon) {
+      return this.withState(coupon, now);
+    }
+
+    // Work out why for the guest
+    const current = await Coupon.findById(couponId);
+    if (!current) {
+      throw httpError(404, 'Coupon not found');
+    }
+    const perUserLimit = current.targeting?.perUserLimit || 1;
+    const uses = current.usedBy.filter(usage => usage.user?.toString() === user._id.toString()).length;
+    if (uses >= perUserLimit) {
+      throw httpError(400, perUserLimit === 1
+        ? 'You have already used this coupon'
+        : `This coupon can be used ${perUserLimit} times per guest`);
+    }
+    const state = this.getState(current, now);
+    throw httpError(400, state === 'exhausted' ? 'Coupon usage limit reached' : `Coupon is ${state}`);
+  }
+
+  /**
+   * Coupons the guest can still use, and the ones they have used
+   */
+  static async getUserCoupons(userId) {
+    const now = new Date();
+    const [available, used] = await Promise.all([
+      Coupon.find({
+        ...this.stateQuery('active', now),
+        $expr: { $lt: [usesBy(userId), { $ifNull: ['$targeting.perUserLimit', 1] }] },
+        // Open to everyone, or issued to this user
+        $and: [{ $or: [{ 'targeting.users.0': { $exists: false } }, { 'targeting.users': userId }] }]
+      })
+        .select('code couponImage discountType amount maxDiscount minBookingAmount validFrom validTo usageLimit usedCount applicableToListings applicableToServices targeting stacking')
+        .sort({ validTo: 1 }),
+      Coupon.find({ 'usedBy.user': userId })
+        .select('code discountType amount maxDiscount usedBy.$')
+    ]);
+
+    const usedIds = used.map(coupon => coupon._id);
+    const bookings = await Booking.find({
+      user: userId,
+      $or: [{ couponApplied: { $in: usedIds } }, { 'appliedCoupons.coupon': { $in: usedIds } }]
+    })
+      .select('couponApplied appliedCoupons.coupon receiptId discountAmount totalAmount currency status createdAt')
+      .sort({ createdAt: -1 });
+    const usedOn = (couponId) => bookings.find(booking =>
+      booking.couponApplied?.toString() === couponId.toString() ||
+      booking.appliedCoupons.some(applied => applied.coupon?.toString() === couponId.toString()));
+
+    return {
+      available: available.map(coupon => this.withState(coupon, now)),
+      used: used.map(coupon => ({
+        _id: coupon._id,
+        code: coupon.code,
+        discountType: coupon.discountType,
+        amount: coupon.amount,
+        maxDiscount: coupon.maxDiscount,
+        usedAt: coupon.usedBy[0]?.usedAt,
+        booking: usedOn(coupon._id) || null
+      }))
+    };
+  }
+
+  /**
+   * ==== USAGE ====
+   * Usage summary of one coupon
+   */
+  static async getUsage(couponId, { currency = DEFAULT_CURRENCY } = {}) {
+    const coupon = await Coupon.findById(couponId).select('-usedBy');
+    if (!coupon) {
+      throw httpError(404, 'Coupon not found');
+    }
+
+    const [totals] = await Booking.aggregate([
+      { $match: { couponApplied: coupon._id, ...this.currencyMatch(currency) } },
+      {
+        $group: {
+          _id: null,
+          bookings: { $sum: 1 },
+          realisedBookings: { $sum: { $cond: [{ $in: ['$status', REALISED_BOOKING_STATUSES] }, 1, 0] } },
+          discountGiven: {
+            $sum: { $cond: [{ $in: ['$status', REALISED_BOOKING_STATUSES] }, { $ifNull: ['$discountAmount', 0] }, 0] }
+          },
+          gmv: {
+            $sum: { $cond: [{ $in: ['$status', REALISED_BOOKING_STATUSES] }, '$totalAmount', 0] }
+          },
+          lastBookingAt: { $max: '$createdAt' }
+        }
+      }
+    ]);
+    const usageByMonth = await Coupon.aggregate([
+      { $match: { _id: coupon._id } },
+      { $unwind: '$usedBy' },
+      {
+        $group: {
+          _id: { year: { $year: '$usedBy.usedAt' }, month: { $month: '$usedBy.usedAt' } },
+          redemptions: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.year': -1, '_id.month': -1 } },
+      { $limit: 12 }
+    ]);
+
+    return {
+      coupon: this.withState(coupon),
+      currency,
+      redemptions: coupon.usedCount,
+      usageLimit: coupon.usageLimit || null,
+      remainingUses: coupon.usageLimit ? Math.max(0, coupon.usageLimit - coupon.usedCount) : null,
+      bookings: totals?.bookings || 0,
+      realisedBookings: totals?.realisedBookings || 0,
+      discountGiven: toTwoDecimals(totals?.discountGiven || 0),
+      gmv: toTwoDecimals(totals?.gmv || 0),
+      lastBookingAt: totals?.lastBookingAt || null,
+      usageByMonth
+    };
+  }
+
+  /**
+   * Each use of a coupon (Coupon.usedBy), newest first, with the guest and
+   * the booking it was used on. A guest uses a coupon once, so the booking
+   * is the guest's booking with this coupon applied.
+   */
+  static async getUsageHistory(couponId, { page = 1, limit = 20 } = {}) {
+    const coupon = await Coupon.findById(couponId).select('code usedCount');
+    if (!coupon) {
+      throw httpError(404, 'Coupon not found');
+    }
+
+    const usage = await Coupon.aggregate([
+      { $match: { _id: coupon._id } },
+      { $unwind: '$usedBy' },
+      { $replaceRoot: { newRoot: '$usedBy' } },
+      { $sort: { usedAt: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'bookings',
+          let: { guest: '$user' },
+          pipeline: [
+            { $match: { couponApplied: coupon._id } },
+            { $match: { $expr: { $eq: ['$user', '$$guest'] } } },
+            { $sort: { createdAt: -1 } },
+            { $limit: 1 },
+            {
+              $project: {
+                receiptId: 1,
+                listing: 1,
+                service: 1,
+                status: 1,
+                paymentStatus: 1,
+                subtotal: 1,
+                discountAmount: 1,
+                totalAmount: 1,
+                currency: 1,
+                checkIn: 1,
+                checkOut: 1,
+                createdAt: 1
+              }
+            }
+          ],
+          as: 'booking'
+        }
+      },
+      { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'user' } },
+      {
+        $project: {
+          _id: 0,
+          usedAt: 1,
+          user: {
+            _id: { $arrayElemAt: ['$user._id', 0] },
+            name: { $arrayElemAt: ['$user.name', 0] },
+            email: { $arrayElemAt: ['$user.email', 0] }
+          },
+          booking: { $ifNull: [{ $arrayElemAt: ['$booking', 0] }, null] }
+        }
+      }
+    ]);
+
+    const total = coupon.usedCount;
+    return {
+      coupon: { _id: coupon._id, code: coupon.code },
+      usage,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * ==== ANALYTICS ====
+   * Report period: `from`/`to`, defaulting to the last 30 days
+   */
+  static getPeriod({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw httpError(400, 'from and to must be valid dates');
+    }
+    if (start >= end) {
+      throw httpError(400, 'from must be before to');
+    }
+    return { from: start, to: end };
+  }
+
+  // Bookings made before currencies were stored are INR
+  static currencyMatch(currency = DEFAULT_CURRENCY) {
+    return currency === DEFAULT_CURRENCY
+      ? { currency: { $in: [DEFAULT_CURRENCY, null] } }
+      : { currency };
+  }
+
+  /**
+   * All coupons at a glance
+   */
+  static async getOverview({ currency = DEFAULT_CURRENCY } = {}) {
+    const now = new Date();
+    const states = ['active', 'scheduled', 'expired', 'exhausted', 'inactive'];
+    const counts = await Promise.all(states.map(state => Coupon.countDocuments(this.stateQuery(state, now))));
+    const [redemptions] = await Coupon.aggregate([
+      { $group: { _id: null, redemptions: { $sum: '$usedCount' }, coupons: { $sum: 1 } } }
+    ]);
+    const [bookings] = await Booking.aggregate([
+      {
+        $match: {
+          couponApplied: { $ne: null },
+          status: { $in: REALISED_BOOKING_STATUSES },
+          ...this.currencyMatch(currency)
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          bookings: { $sum: 1 },
+          discountGiven: { $sum: { $ifNull: ['$discountAmount', 0] } },
+          gmv: { $sum: '$totalAmount' }
+        }
+      }
+    ]);
+
+    return {
+      totalCoupons: redemptions?.coupons || 0,
+      byState: Object.fromEntries(states.map((state, index) => [state, counts[index]])),
+      redemptions: redemptions?.redemptions || 0,
+      currency,
+      couponBookings: bookings?.bookings || 0,
+      discountGiven: toTwoDecimals(bookings?.discountGiven || 0),
+      couponGmv: toTwoDecimals(bookings?.gmv || 0)
+    };
+  }
+
+  /**
+   * Most redeemed coupons in the period, with the discount given and GMV of
+   * their bookings
+   * @param {Object} options - { from, to, limit, currency }
+   */
+  static async getPopularCoupons({ from, to, limit = 10, currency = DEFAULT_CURRENCY } = {}) {
+    const period = this.getPeriod({ from, to });
+
+    const popular = await Coupon.aggregate([
+      { $unwind: '$usedBy' },
+      { $match: { 'usedBy.usedAt': { $gte: period.from, $lte: period.to } } },
+      {
+        $group: {
+          _id: '$_id',
+          code: { $first: '$code' },
+          discountType: { $first: '$discountType' },
+          amount: { $first: '$amount' },
+          isActive: { $first: '$isActive' },
+          redemptions: { $sum: 1 },
+          lastUsedAt: { $max: '$usedBy.usedAt' }
+        }
+      },
+      { $sort: { redemptions: -1, lastUsedAt: -1 } },
+      { $limit: limit }
+    ]);
+
+    const bookingTotals = await Booking.aggregate([
+      {
+        $match: {
+          couponApplied: { $in: popular.map(coupon => coupon._id) },
+          status: { $in: REALISED_BOOKING_STATUSES },
+          createdAt: { $gte: period.from, $lte: period.to },
+          ...this.currencyMatch(currency)
+        }
+      },
+      {
+        $group: {
+          _id: '$couponApplied',
+          bookings: { $sum: 1 },
+          discountGiven: { $sum: { $ifNull: ['$discountAmount', 0] } },
+          gmv: { $sum: '$totalAmount' }
+        }
+      }
+    ]);
+    const totalsById = new Map(bookingTotals.map(total => [total._id.toString(), total]));
+
+    return {
+      period,
+      currency,
+      coupons: popular.map(coupon => {
+        const totals = totalsById.get(coupon._id.toString());
+        return {
+          ...coupon,
+          bookings: totals?.bookings || 0,
+          discountGiven: toTwoDecimals(totals?.discountGiven || 0),
+          gmv: toTwoDecimals(totals?.gmv || 0)
+        };
+      })
+    };
+  }
+
+  /**
+   * How coupon bookings compare with the other bookings made in the same
+   * period (confirmed and completed bookings, by creation date):
+   *   - redemptions, discount given and GMV of coupon bookings;
+   *   - average booking value with and without a coupon, and the lift;
+   *   - incremental GMV: GMV of coupon bookings that were the guest's first
+   *     booking, i.e. guests the coupon brought in rather than existing
+   *     guests who would likely have booked anyway;
+   *   - GMV per unit of discount.
+   * @param {Object} options - { from, to, couponId, currency }
+   */
+  static async getEffectiveness({ from, to, couponId, currency = DEFAULT_CURRENCY } = {}) {
+    const period = this.getPeriod({ from, to });
+    const couponFilter = couponId ? toObjectId(couponId) : { $ne: null };
+
+    const base = {
+      status: { $in: REALISED_BOOKING_STATUSES },
+      createdAt: { $gte: period.from, $lte: period.to },
+      ...this.currencyMatch(currency)
+    };
+
+    const [couponRows, baselineRows] = await Promise.all([
+      Booking.aggregate([
+        { $match: { ...base, couponApplied: couponFilter } },
+        {
+          // Did the guest have a realised booking before this one?
+          $lookup: {
+            from: 'bookings',
+            let: { guest: '$user', createdAt: '$createdAt', bookingId: '$_id' },
+            pipeline: [
+              {
+                $match: {
+                  $expr: {
+                    $and: [
+                      { $eq: ['$user', '$$guest'] },
+                      { $lt: ['$createdAt', '$$createdAt'] },
+                      { $ne: ['$_id', '$$bookingId'] },
+                      { $in: ['$status', REALISED_BOOKING_STATUSES] }
+                    ]
+                  }
+                }
+              },
+              { $limit: 1 },
+              { $project: { _id: 1 } }
+            ],
+            as: 'earlier'
+          }
+        },
+        {
+          $group: {
+            _id: '$couponApplied',
+            redemptions: { $sum: 1 },
+            discountGiven: { $sum: { $ifNull: ['$discountAmount', 0] } },
+            gmv: { $sum: '$totalAmount' },
+            newGuestBookings: { $sum: { $cond: [{ $eq: [{ $size: '$earlier' }, 0] }, 1, 0] } },
+            newGuestGmv: { $sum: { $cond: [{ $eq: [{ $size: '$earlier' }, 0] }, '$totalAmount', 0] } }
+          }
+        },
+        { $lookup: { from: 'coupons', localField: '_id', foreignField: '_id', as: 'coupon' } },
+        { $addFields: { code: { $arrayElemAt: ['$coupon.code', 0] } } },
+        { $project: { coupon: 0 } },
+        { $sort: { gmv: -1 } }
+      ]),
+      Booking.aggregate([
+        { $match: { ...base, couponApplied: null } },
+        { $group: { _id: null, bookings: { $sum: 1 }, gmv: { $sum: '$totalAmount' } } }
+      ])
+    ]);
+
+    const summarise = (rows) => {
+      const redemptions = rows.reduce((sum, row) => sum + row.redemptions, 0);
+      const gmv = rows.reduce((sum, row) => sum + row.gmv, 0);
+      const discountGiven = rows.reduce((sum, row) => sum + row.discountGiven, 0);
+      return {
+        redemptions,
+        discountGiven: toTwoDecimals(discountGiven),
+        gmv: toTwoDecimals(gmv),
+        averageBookingValue: redemptions ? toTwoDecimals(gmv / redemptions) : 0,
+        newGuestBookings: rows.reduce((sum, row) => sum + row.newGuestBookings, 0),
+        incrementalGmv: toTwoDecimals(rows.reduce((sum, row) => sum + row.newGuestGmv, 0)),
+        gmvPerDiscount: discountGiven ? toTwoDecimals(gmv / discountGiven) : null
+      };
+    };
+
+    const coupons = summarise(couponRows);
+    const baseline = baselineRows[0] || { bookings: 0, gmv: 0 };
+    const baselineAverage = baseline.bookings ? toTwoDecimals(baseline.gmv / baseline.bookings) : 0;
+    const lift = toTwoDecimals(coupons.averageBookingValue - baselineAverage);
+
+    return {
+      period,
+      currency,
+      coupons: {
+        ...coupons,
+        averageBookingValueLift: lift,
+        averageBookingValueLiftPercent: baselineAverage ? toTwoDecimals((lift / baselineAverage) * 100) : null
+      },
+      withoutCoupon: {
+        bookings: baseline.bookings,
+        gmv: toTwoDecimals(baseline.gmv),
+        averageBookingValue: baselineAverage
+      },
+      couponShareOfBookings: coupons.redemptions + baseline.bookings
+        ? toTwoDecimals((coupons.redemptions / (coupons.redemptions + baseline.bookings)) * 100)
+        : 0,
+      byCoupon: couponId ? undefined : couponRows.map(row => ({
+        couponId: row._id,
+        code: row.code,
+        ...summarise([row])
+      }))
+    };
+  }
+}
+
+module.exports = CouponService;
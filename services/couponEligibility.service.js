@@ -0,0 +1,434 @@
+/**
+ * Coupon Eligibility Service
+ * Decides whether coupons apply to a booking and what they take off.
+ *   - Base checks: active, validity dates, usage limit, per-guest limit,
+ *     minimum booking amount and the listing/service allow-lists.
+ *   - Targeting rules (Coupon.targeting): named users, first booking only,
+ *     user segments, city/state, property type, minimum nights, check-in day
+ *     and booking lead time.
+ *   - Stacking (Coupon.stacking): coupons combine only when each one
+ *     names the other's stack group in `combinableWith`.
+ * A failed check is a 400 whose `data` carries the coupon code and a
+ * reason code. Applied coupons come back with an audit record of the
+ * rules checked and the booking facts they were checked against, stored
+ * in Booking.appliedCoupons.
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const Service = require('../models/Service');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STACKED_COUPONS = 3;
+// Bookings that count as "having booked before"
+const REALISED_BOOKING_STATUSES = ['confirmed', 'completed'];
+const FREQUENT_GUEST_BOOKINGS = 5;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const ineligible = (couponCode, reason, message) => {
+  const error = httpError(400, message);
+  error.data = { couponCode, reason };
+  return error;
+};
+
+const failure = (reason, message) => ({ reason, message });
+
+const dateOnly = (value) => {
+  const date = new Date(value);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+const sameText = (list, value) =>
+  Boolean(value) && list.some(item => item.trim().toLowerCase() === value.trim().toLowerCase());
+
+class CouponEligibilityService {
+  /**
+   * Coupon codes asked for, from `couponCode` and/or `couponCodes`
+   * @returns {string[]} Unique upper-case codes in the order given
+   */
+  static requestedCodes({ couponCode, couponCodes } = {}) {
+    const codes = [
+      ...(couponCode ? [couponCode] : []),
+      ...(Array.isArray(couponCodes) ? couponCodes : [])
+    ]
+      .filter(code => typeof code === 'string' && code.trim())
+      .map(code => code.trim().toUpperCase());
+    return [...new Set(codes)];
+  }
+
+  /**
+   * Segments a user belongs to: derived from their account and bookings,
+   * plus any assigned by admins in User.segments
+   */
+  static getUserSegments(user, priorBookings) {
+    const segments = new Set(user.segments || []);
+    segments.add(priorBookings === 0 ? 'new_guest' : 'returning_guest');
+    if (priorBookings >= FREQUENT_GUEST_BOOKINGS) segments.add('frequent_guest');
+    if (user.isVerified) segments.add('verified');
+    if (user.role === 'host') segments.add('host');
+    return [...segments];
+  }
+
+  /**
+   * Booking facts the rules are checked against
+   * @param {Object} input - { user | userId, listing | listingId, service | serviceId,
+   *   checkIn, checkOut, nights, amount, now }
+   */
+  static async buildContext(input = {}) {
+    const now = input.now || new Date();
+
+    let user = input.user || null;
+    if (!user && input.userId) {
+      user = await User.findById(input.userId).select('role isVerified segments');
+    }
+    // Admins (from the Admin collection) are not guests
+    if (user && user.role === 'admin') {
+      user = null;
+    }
+
+    let listing = input.listing || null;
+    if (!listing && input.listingId) {
+      listing = await Property.findById(input.listingId).select('type propertyType location');
+    }
+    let service = input.service || null;
+    if (!service && input.serviceId) {
+      service = await Service.findById(input.serviceId).select('location');
+    }
+
+    const priorBookings = user
+      ? await Booking.countDocuments({ user: user._id, status: { $in: REALISED_BOOKING_STATUSES } })
+      : null;
+
+    let nights = input.nights ?? null;
+    if (nights === null && input.checkIn && input.checkOut) {
+      nights = Math.max(0, Math.round((dateOnly(input.checkOut) - dateOnly(input.checkIn)) / DAY_MS));
+    }
+    const checkIn = input.checkIn ? new Date(input.checkIn) : null;
+
+    return {
+      now,
+      user,
+      userId: user?._id || null,
+      priorBookings,
+      segments: user ? this.getUserSegments(user, priorBookings) : [],
+      listingId: listing?._id || input.listingId || null,
+      serviceId: service?._id || input.serviceId || null,
+      city: listing?.location?.city || service?.location?.city || null,
+      state: listing?.location?.state || null,
+      type: listing?.type || null,
+      propertyType: listing?.propertyType || null,
+      nights,
+      checkIn,
+      checkInDay: checkIn ? checkIn.getDay() : null,
+      leadDays: checkIn ? Math.floor((dateOnly(checkIn) - dateOnly(now)) / DAY_MS) : null,
+      amount: Number(input.amount) || 0
+    };
+  }
+
+  /**
+   * ==== RULE CHECKS ====
+   * First rule the booking fails, or null when the coupon applies
+   * @returns {Object|null} { reason, message }
+   */
+  static checkCoupon(coupon, context) {
+    const { now } = context;
+    const targeting = coupon.targeting || {};
+
+    if (!coupon.isActive) {
+      return failure('INACTIVE', 'This coupon is no longer active');
+    }
+    if (coupon.validFrom > now) {
+      return failure('NOT_STARTED', `This coupon is valid from ${coupon.validFrom.toDateString()}`);
+    }
+    if (coupon.validTo < now) {
+      return failure('EXPIRED', 'This coupon has expired');
+    }
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      return failure('USAGE_LIMIT', 'Coupon usage limit reached');
+    }
+
+    // Rules about the guest
+    if (!context.user && (targeting.firstBookingOnly || targeting.userSegments?.length > 0 || targeting.users?.length > 0)) {
+      return failure('LOGIN_REQUIRED', 'Sign in to use this coupon');
+    }
+    if (context.user) {
+      if (targeting.users?.length > 0 && !targeting.users.some(userId => userId.toString() === context.userId.toString())) {
+        return failure('USER', 'This coupon belongs to another account');
+      }
+      const perUserLimit = targeting.perUserLimit || 1;
+      const uses = coupon.usedBy.filter(usage => usage.user?.toString() === context.userId.toString()).length;
+      if (uses >= perUserLimit) {
+        return failure('PER_USER_LIMIT', perUserLimit === 1
+          ? 'You have already used this coupon'
+          : `This coupon can be used ${perUserLimit} times per guest`);
+      }
+      if (targeting.firstBookingOnly && context.priorBookings > 0) {
+        return failure('FIRST_BOOKING_ONLY', 'This coupon is only for your first booking');
+      }
+      if (targeting.userSegments?.length > 0 && !targeting.userSegments.some(segment => context.segments.includes(segment))) {
+        return failure('USER_SEGMENT', 'This coupon is not available for your account');
+      }
+    }
+
+    // Rules about what is booked
+    if (coupon.minBookingAmount && context.amount < coupon.minBookingAmount) {
+      return failure('MIN_BOOKING_AMOUNT', `Minimum booking amount of ${coupon.minBookingAmount} required`);
+    }
+    if (context.listingId && coupon.applicableToListings?.length > 0 &&
+        !coupon.applicableToListings.some(listing => listing.toString() === context.listingId.toString())) {
+      return failure('LISTING', 'Coupon is not applicable to this listing');
+    }
+    if (context.serviceId && coupon.applicableToServices?.length > 0 &&
+        !coupon.applicableToServices.some(service => service.toString() === context.serviceId.toString())) {
+      return failure('SERVICE', 'Coupon is not applicable to this service');
+    }
+    if (targeting.cities?.length > 0 && !sameText(targeting.cities, context.city)) {
+      return failure('CITY', `This coupon is only valid in ${targeting.cities.join(', ')}`);
+    }
+    if (targeting.states?.length > 0 && !sameText(targeting.states, context.state)) {
+      return failure('STATE', `This coupon is only valid in ${targeting.states.join(', ')}`);
+    }
+    if (targeting.types?.length > 0 && !targeting.types.includes(context.type)) {
+      return failure('PROPERTY_TYPE', `This coupon is only valid for ${targeting.types.join(', ')} stays`);
+    }
+    if (targeting.propertyTypes?.length > 0 && !targeting.propertyTypes.includes(context.propertyType)) {
+      return failure('PROPERTY_CATEGORY', `This coupon is only valid for ${targeting.propertyTypes.join(', ')} properties`);
+    }
+
+    // Rules about the dates
+    const needsDates = targeting.minNights || targeting.checkInDays?.length > 0 ||
+      targeting.minLeadDays !== undefined && targeting.minLeadDays !== null ||
+      targeting.maxLeadDays !== undefined && targeting.maxLeadDays !== null;
+    if (needsDates && !context.checkIn) {
+      return failure('DATES_REQUIRED', 'Select your dates to use this coupon');
+    }
+    if (targeting.minNights && (context.nights || 0) < targeting.minNights) {
+      return failure('MIN_NIGHTS', `This coupon requires a stay of at least ${targeting.minNights} nights`);
+    }
+    if (targeting.checkInDays?.length > 0 && !targeting.checkInDays.includes(context.checkInDay)) {
+      return failure('CHECK_IN_DAY', `This coupon is only valid for check-in on ${targeting.checkInDays.map(day => DAY_NAMES[day]).join(', ')}`);
+    }
+    if (typeof targeting.minLeadDays === 'number' && context.leadDays < targeting.minLeadDays) {
+      return failure('LEAD_TIME', `Book at least ${targeting.minLeadDays} days before check-in to use this coupon`);
+    }
+    if (typeof targeting.maxLeadDays === 'number' && context.leadDays > targeting.maxLeadDays) {
+      return failure('LEAD_TIME', `This coupon is only valid for check-in within ${targeting.maxLeadDays} days`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether two coupons may be used on the same booking. Coupons without
+   * a stack group are exclusive; two in the same group never combine.
+   */
+  static canCombine(first, second) {
+    const a = first.stacking || {};
+    const b = second.stacking || {};
+    if (!a.group || !b.group || a.group === b.group) {
+      return false;
+    }
+    return (a.combinableWith || []).includes(b.group) && (b.combinableWith || []).includes(a.group);
+  }
+
+  static calculateDiscount(coupon, amount) {
+    let discount = coupon.discountType === 'percentage'
+      ? (amount * coupon.amount) / 100
+      : coupon.amount;
+    if (coupon.discountType === 'percentage' && coupon.maxDiscount) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+    return toTwoDecimals(Math.max(0, Math.min(discount, amount)));
+  }
+
+  // What was checked, for Booking.appliedCoupons
+  static auditRecord(coupon, discountAmount, context) {
+    const targeting = coupon.targeting?.toObject ? coupon.targeting.toObject() : (coupon.targeting || {});
+    return {
+      coupon: coupon._id,
+      code: coupon.code,
+      discountType: coupon.discountType,
+      amount: coupon.amount,
+      maxDiscount: coupon.maxDiscount,
+      discountAmount,
+      stackGroup: coupon.stacking?.group || null,
+      rules: {
+        validFrom: coupon.validFrom,
+        validTo: coupon.validTo,
+        usageLimit: coupon.usageLimit || null,
+        minBookingAmount: coupon.minBookingAmount || null,
+        applicableToListings: coupon.applicableToListings || [],
+        applicableToServices: coupon.applicableToServices || [],
+        ...targeting,
+        combinableWith: coupon.stacking?.combinableWith || []
+      },
+      context: {
+        amount: context.amount,
+        priorBookings: context.priorBookings,
+        segments: context.segments,
+        city: context.city,
+        state: context.state,
+        type: context.type,
+        propertyType: context.propertyType,
+        nights: context.nights,
+        checkIn: context.checkIn,
+        leadDays: context.leadDays
+      },
+      evaluatedAt: context.now
+    };
+  }
+
+  /**
+   * ==== EVALUATE ====
+   * Check the coupons against a booking and work out the discount. With
+   * several coupons, each applies to what is left after the ones before.
+   * @param {string[]} codes - Coupon codes, in the order to apply them
+   * @param {Object} input - Booking facts, see buildContext; `amount` is
+   *   the amount the discount applies to
+   * @returns {Promise<Object>} { coupons, applied, discountAmount }
+   * @throws 400 with data { couponCode, reason } when a coupon does not apply
+   */
+  static async evaluate(codes, input) {
+    if (!codes || codes.length === 0) {
+      return { coupons: [], applied: [], discountAmount: 0 };
+    }
+    if (codes.length > MAX_STACKED_COUPONS) {
+      throw ineligible(codes[MAX_STACKED_COUPONS], 'TOO_MANY_COUPONS', `At most ${MAX_STACKED_COUPONS} coupons can be used on one booking`);
+    }
+
+    const found = await Coupon.find({ code: { $in: codes } }).session(input.session || null);
+    const coupons = codes.map(code => found.find(coupon => coupon.code === code));
+    const missing = codes.find((code, index) => !coupons[index]);
+    if (missing) {
+      throw ineligible(missing, 'NOT_FOUND', 'Invalid coupon code');
+    }
+
+    const context = await this.buildContext(input);
+    for (const coupon of coupons) {
+      const failed = this.checkCoupon(coupon, context);
+      if (failed) {
+        throw ineligible(coupon.code, failed.reason, failed.message);
+      }
+    }
+
+    for (let i = 0; i < coupons.length; i++) {
+      for (let j = i + 1; j < coupons.length; j++) {
+        if (!this.canCombine(coupons[i], coupons[j])) {
+          throw ineligible(coupons[j].code, 'NOT_STACKABLE', `${coupons[j].code} cannot be combined with ${coupons[i].code}`);
+        }
+      }
+    }
+
+    let remaining = context.amount;
+    const applied = coupons.map(coupon => {
+      const discountAmount = this.calculateDiscount(coupon, remaining);
+      remaining -= discountAmount;
+      return this.auditRecord(coupon, discountAmount, context);
+    });
+
+    return {
+      coupons,
+      applied,
+      discountAmount: toTwoDecimals(applied.reduce((sum, record) => sum + record.discountAmount, 0))
+    };
+  }
+
+  /**
+   * evaluate() for flows that go ahead without a discount when a coupon
+   * does not apply (e.g. after the guest has paid)
+   * @returns {Promise<Object>} evaluate() result, plus `rejection` if skipped
+   */
+  static async evaluateOrSkip(codes, input) {
+    try {
+      return await this.evaluate(codes, input);
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      console.warn(`⚠️ Coupon ${error.data?.couponCode} not applied: ${error.message}`);
+      return { coupons: [], applied: [], discountAmount: 0, rejection: { ...error.data, message: error.message } };
+    }
+  }
+
+  /**
+   * Count a booking's use of the coupons. The usage and per-guest limits are
+   * part of the update filter, so concurrent bookings cannot go past them.
+   * A coupon used up in the meantime fails like any other check, and the
+   * uses already counted for this booking are taken back.
+   */
+  static async recordRedemption(coupons, userId, { session } = {}) {
+    const usedAt = new Date();
+    const user = new mongoose.Types.ObjectId(userId.toString());
+    const recorded = [];
+
+    for (const coupon of coupons) {
+      const result = await Coupon.updateOne(
+        {
+          _id: coupon._id,
+          $expr: {
+            $and: [
+              { $or: [{ $not: ['$usageLimit'] }, { $lt: ['$usedCount', '$usageLimit'] }] },
+              {
+                $lt: [
+                  { $size: { $filter: { input: { $ifNull: ['$usedBy', []] }, cond: { $eq: ['$$this.user', user] } } } },
+                  { $ifNull: ['$targeting.perUserLimit', 1] }
+                ]
+              }
+            ]
+          }
+        },
+        { $inc: { usedCount: 1 }, $push: { usedBy: { user, usedAt } } },
+        { session }
+      );
+
+      if (result.modifiedCount === 0) {
+        for (const counted of recorded) {
+          await Coupon.updateOne(
+            { _id: counted._id },
+            { $inc: { usedCount: -1 }, $pull: { usedBy: { user, usedAt } } },
+            { session }
+          );
+        }
+        const current = await Coupon.findById(coupon._id).select('usageLimit usedCount targeting.perUserLimit').session(session || null);
+        if (current?.usageLimit && current.usedCount >= current.usageLimit) {
+          throw ineligible(coupon.code, 'USAGE_LIMIT', 'Coupon usage limit reached');
+        }
+        const perUserLimit = current?.targeting?.perUserLimit || 1;
+        throw ineligible(coupon.code, 'PER_USER_LIMIT', perUserLimit === 1
+          ? 'You have already used this coupon'
+          : `This coupon can be used ${perUserLimit} times per guest`);
+      }
+      recorded.push(coupon);
+    }
+  }
+
+  /**
+   * recordRedemption() for flows that go ahead without a discount when a
+   * coupon does not apply: coupons used up since they were evaluated are dropped
+   * @param {Object} couponResult - evaluateOrSkip() result
+   * @returns {Promise<Object>} couponResult, or an empty result with `rejection` if skipped
+   */
+  static async redeemOrSkip(couponResult, userId, options = {}) {
+    if (couponResult.coupons.length === 0) {
+      return couponResult;
+    }
+    try {
+      await this.recordRedemption(couponResult.coupons, userId, options);
+      return couponResult;
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      console.warn(`⚠️ Coupon ${error.data?.couponCode} not applied: ${error.message}`);
+      return { coupons: [], applied: [], discountAmount: 0, rejection: { ...error.data, message: error.message } };
+    }
+  }
+}
+
+module.exports = CouponEligibilityService;
@@ -0,0 +1,336 @@
+/**
+ * Currency Service
+ * Exchange-rate lookups and conversions against the managed rate table.
+ * Rates are stored per currency against the platform currency (INR), so any
+ * pair is converted through it. Bookings lock the rates they were made with.
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+const { PRICING_CONFIG } = require('../config/pricing.config');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+
+const BASE_CURRENCY = PRICING_CONFIG.DEFAULT_CURRENCY;
+const SUPPORTED_CURRENCIES = PRICING_CONFIG.SUPPORTED_CURRENCIES;
+const RATE_CACHE_TTL_MS = 60 * 1000;
+const MAX_IMPORT_ROWS = 500;
+
+// Amount fields of a pricing breakdown / pricing response
+const PRICING_AMOUNT_FIELDS = [
+  'baseAmount', 'extraGuestCost', 'cleaningFee', 'serviceFee', 'securityDeposit', 'hostFees',
+  'hourlyExtension', 'discountAmount', 'promotionDiscount', 'subtotal', 'hostSubtotal', 'platformFee',
+  'processingFee', 'platformRevenue', 'gst', 'totalAmount', 'hostEarning'
+];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Rates are kept to 8 decimal places; amounts to 2
+const toRate = (value) => Math.round(value * 1e8) / 1e8;
+
+let rateCache = null;
+
+class CurrencyService {
+  static get baseCurrency() {
+    return BASE_CURRENCY;
+  }
+
+  static get supportedCurrencies() {
+    return SUPPORTED_CURRENCIES;
+  }
+
+  /**
+   * Upper-case and validate a currency code
+   * @param {string} currency - ISO code
+   * @returns {string}
+   */
+  static normalizeCurrency(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (!SUPPORTED_CURRENCIES.includes(code)) {
+      throw httpError(400, `Unsupported currency: ${currency}. Supported: ${SUPPORTED_CURRENCIES.join(', ')}`);
+    }
+    return code;
+  }
+
+  /**
+   * Active rates keyed by currency (base currency = 1), cached briefly
+   * @returns {Promise<Object>} { rates: { INR: 1, USD: 0.012, ... }, updatedAt }
+   */
+  static async getRateTable() {
+    if (rateCache && rateCache.expiresAt > Date.now()) {
+      return rateCache.table;
+    }
+
+    const activeRates = await ExchangeRate.getActiveRates();
+    const table = { rates: { [BASE_CURRENCY]: 1 }, updatedAt: null };
+    for (const entry of activeRates) {
+      table.rates[entry.currency] = entry.rate;
+      if (!table.updatedAt || entry.effectiveFrom > table.updatedAt) {
+        table.updatedAt = entry.effectiveFrom;
+      }
+    }
+
+    rateCache = { table, expiresAt: Date.now() + RATE_CACHE_TTL_MS };
+    return table;
+  }
+
+  static clearCache() {
+    rateCache = null;
+  }
+
+  /**
+   * Rate to convert 1 unit of `from` into `to` using a rate table
+   * @returns {number}
+   */
+  static rateFromTable(table, from, to) {
+    const fromCode = (from || BASE_CURRENCY).toUpperCase();
+    const toCode = (to || BASE_CURRENCY).toUpperCase();
+    if (fromCode === toCode) {
+      return 1;
+    }
+
+    const fromUnits = table.rates[fromCode];
+    const toUnits = table.rates[toCode];
+    if (!fromUnits || !toUnits) {
+      throw httpError(400, `No exchange rate configured for ${!fromUnits ? fromCode : toCode}`);
+    }
+    return toRate(toUnits / fromUnits);
+  }
+
+  /**
+   * Current rate to convert 1 unit of `from` into `to`
+   * @returns {Promise<number>}
+   */
+  static async getRate(from, to) {
+    return this.rateFromTable(await this.getRateTable(), from, to);
+  }
+
+  static convert(amount, rate) {
+    return toTwoDecimals((Number(amount) || 0) * rate);
+  }
+
+  /**
+   * Convert the named numeric fields of an object, leaving the rest out
+   * @param {Object} source - Object holding amounts
+   * @param {number} rate - Conversion rate
+   * @param {Array<string>} fields - Amount fields to convert
+   * @returns {Object}
+   */
+  static convertFields(source, rate, fields) {
+    const converted = {};
+    for (const field of fields) {
+      if (typeof source?.[field] === 'number') {
+        converted[field] = this.convert(source[field], rate);
+      }
+    }
+    return converted;
+  }
+
+  /**
+   * Pricing amounts in a display currency (the pricing itself stays in its own currency)
+   * @param {Object} pricing - Pricing breakdown with `currency`
+   * @param {string} displayCurrency - Currency to show
+   * @returns {Promise<Object>} { currency, rate, ratesAsOf, ...amounts, nightlyBreakdown }
+   */
+  static async convertPricing(pricing, displayCurrency) {
+    const currency = this.normalizeCurrency(displayCurrency);
+    const table = await this.getRateTable();
+    const rate = this.rateFromTable(table, pricing.currency, currency);
+
+    return {
+      currency,
+      rate,
+      ratesAsOf: table.updatedAt,
+      ...this.convertFields(pricing, rate, PRICING_AMOUNT_FIELDS),
+      nightlyBreakdown: pricing.nightlyBreakdown?.map(night => ({
+        date: night.date,
+        price: this.convert(night.price, rate)
+      }))
+    };
+  }
+
+  /**
+   * ========================================
+   * RATE MANAGEMENT
+   * ========================================
+   */
+
+  static async setRate(currency, rate, adminUserId, options = {}) {
+    const code = this.normalizeCurrency(currency);
+    if (code === BASE_CURRENCY) {
+      throw httpError(400, `${BASE_CURRENCY} is the base currency and always has a rate of 1`);
+    }
+
+    const entry = await ExchangeRate.setRate(code, rate, adminUserId, {
+      ...options,
+      baseCurrency: BASE_CURRENCY
+    });
+    this.clearCache();
+    return entry;
+  }
+
+  /**
+   * Parse an exchange-rate CSV (`currency,rate[,reason]`, header optional)
+   * @param {string} csvText - File contents
+   * @returns {Object} { rows: [{ line, currency, rate, reason }], errors: [{ line, message }] }
+   */
+  static parseRateCsv(csvText) {
+    const rows = [];
+    const errors = [];
+    const seen = new Set();
+
+    const lines = String(csvText || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    lines.forEach((rawLine, index) => {
+      const line = index + 1;
+      const text = rawLine.trim();
+      if (!text || text.startsWith('#')) {
+        return;
+      }
+
+      const [currencyCell = '', rateCell = '', ...reasonCells] = text.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+      if (index === 0 && currencyCell.toLowerCase() === 'currency') {
+        return;
+      }
+
+      const currency = currencyCell.toUpperCase();
+      const rate = Number(rateCell);
+
+      if (!SUPPORTED_CURRENCIES.includes(currency)) {
+        errors.push({ line, message: `Unsupported currency "${currencyCell}"` });
+      } else if (currency === BASE_CURRENCY) {
+        errors.push({ line, message: `${BASE_CURRENCY} is the base currency and cannot be imported` });
+      } else if (!rateCell || !Number.isFinite(rate) || rate <= 0) {
+        errors.push({ line, message: `Invalid rate "${rateCell}" for ${currency}` });
+      } else if (seen.has(currency)) {
+        errors.push({ line, message: `${currency} appears more than once` });
+      } else {
+        seen.add(currency);
+        rows.push({ line, currency, rate: toRate(rate), reason: reasonCells.join(',').trim() || null });
+      }
+    });
+
+    if (rows.length + errors.length > MAX_IMPORT_ROWS) {
+      errors.push({ line: 0, message: `A rate file can contain at most ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    return { rows, errors };
+  }
+
+  /**
+   * Import rates from CSV. Nothing is saved if any row is invalid.
+   * @returns {Promise<Object>} { imported: [ExchangeRate], unchanged: [currency] }
+   */
+  static async importRatesCsv(csvText, adminUserId, { changeReason } = {}) {
+    const { rows, errors } = this.parseRateCsv(csvText);
+    if (errors.length) {
+      const error = httpError(400, 'Exchange rate file has invalid rows');
+      error.errors = errors;
+      throw error;
+    }
+    if (!rows.length) {
+      throw httpError(400, 'Exchange rate file contains no rates');
+    }
+
+    const { rates } = await this.getRateTable();
+    const imported = [];
+    const unchanged = [];
+
+    for (const row of rows) {
+      if (rates[row.currency] === row.rate) {
+        unchanged.push(row.currency);
+        continue;
+      }
+      imported.push(await ExchangeRate.setRate(row.currency, row.rate, adminUserId, {
+        baseCurrency: BASE_CURRENCY,
+        source: 'csv_import',
+        changeReason: row.reason || changeReason || 'Imported from CSV'
+      }));
+    }
+
+    this.clearCache();
+    return { imported, unchanged };
+  }
+
+  /**
+   * ========================================
+   * BOOKING RATE LOCK
+   * ========================================
+   * Rates used for a booking: listing currency → guest's currency for the
+   * gateway charge and refunds, and listing currency → host's settlement
+   * currency for the payout.
+   * @param {Object} params
+   * @param {string} params.currency - Listing (booking) currency
+   * @param {string} [params.guestCurrency] - Currency the guest is charged in
+   * @param {string} [params.hostCurrency] - Host's settlement currency
+   * @param {number} params.totalAmount - Booking total in listing currency
+   * @param {number} params.hostEarning - Host earning in listing currency
+   * @returns {Promise<Object>} Value for booking.exchange
+   */
+  static async lockBookingRates({ currency, guestCurrency, hostCurrency, totalAmount, hostEarning }) {
+    const bookingCurrency = (currency || BASE_CURRENCY).toUpperCase();
+    const guestCode = guestCurrency ? this.normalizeCurrency(guestCurrency) : bookingCurrency;
+    const hostCode = hostCurrency ? this.normalizeCurrency(hostCurrency) : bookingCurrency;
+
+    const table = await this.getRateTable();
+    const guestRate = this.rateFromTable(table, bookingCurrency, guestCode);
+    const hostRate = this.rateFromTable(table, bookingCurrency, hostCode);
+    const inrRate = this.rateFromTable(table, bookingCurrency, BASE_CURRENCY);
+
+    return {
+      bookingCurrency,
+      guestCurrency: guestCode,
+      guestRate,
+      guestTotalAmount: this.convert(totalAmount, guestRate),
+      hostCurrency: hostCode,
+      hostRate,
+      hostEarningAmount: this.convert(hostEarning, hostRate),
+      inrRate,
+      ratesAsOf: table.updatedAt,
+      lockedAt: new Date()
+    };
+  }
+
+  /**
+   * Currency a guest is charged in before the booking exists (the checkout
+   * order): the one asked for, else the guest's preferred currency when it has
+   * a rate, else the booking currency. Same choice as the booking's rate lock.
+   * @param {Object} params - { currency, guestCurrency, preferredCurrency }
+   * @returns {Promise<Object>} { currency, rate }
+   */
+  static async getGuestRate({ currency, guestCurrency, preferredCurrency }) {
+    const bookingCurrency = (currency || BASE_CURRENCY).toUpperCase();
+    if (guestCurrency) {
+      const code = this.normalizeCurrency(guestCurrency);
+      return { currency: code, rate: await this.getRate(bookingCurrency, code) };
+    }
+
+    try {
+      const code = preferredCurrency ? this.normalizeCurrency(preferredCurrency) : bookingCurrency;
+      return { currency: code, rate: await this.getRate(bookingCurrency, code) };
+    } catch (error) {
+      return { currency: bookingCurrency, rate: 1 };
+    }
+  }
+
+  /**
+   * Convert an amount in booking currency with the rate locked on the booking
+   * @param {Object} booking - Booking with `exchange`
+   * @param {number} amount - Amount in booking currency
+   * @param {string} [side] - 'guest' or 'host'
+   * @returns {Object} { amount, currency, rate }
+   */
+  static toLockedCurrency(booking, amount, side = 'guest') {
+    const exchange = booking.exchange;
+    const currency = exchange?.[`${side}Currency`];
+    const rate = exchange?.[`${side}Rate`];
+
+    if (!currency || !rate) {
+      return { amount, currency: booking.currency || BASE_CURRENCY, rate: 1 };
+    }
+    return { amount: this.convert(amount, rate), currency, rate };
+  }
+}
+
+module.exports = CurrencyService;
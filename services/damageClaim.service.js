@@ -0,0 +1,701 @@
+/**
+ * Damage Claim Service
+ * Host claims against a booking's security deposit.
+ *   - After checkout the host has a claim window to file a claim with an
+ *     amount (up to the deposit), a description and photos. The booking's
+ *     payouts are held while the claim is open.
+ *   - The guest accepts or contests the claim. Claims the guest does not
+ *     answer in time are escalated to an admin, who also decides contested
+ *     claims.
+ *   - Settling a claim pays the approved amount to the host with the next
+ *     payout batch and refunds the rest of the deposit to the guest.
+ *   - Deposits with no claim filed by the end of the window are released
+ *     (refunded in full) automatically.
+ */
+
+const Booking = require('../models/Booking');
+const DamageClaim = require('../models/DamageClaim');
+const Refund = require('../models/Refund');
+const Notification = require('../models/Notification');
+const RefundService = require('./refundService');
+const PaymentGatewayService = require('./paymentGateway.service');
+const PayoutService = require('./payout.service');
+const LedgerService = require('./ledger.service');
+const JobScheduler = require('./scheduler.service');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days after checkout the host has to file a claim
+const CLAIM_WINDOW_DAYS = parseInt(process.env.DAMAGE_CLAIM_WINDOW_DAYS, 10) || 14;
+// Days the guest has to accept or contest a claim
+const RESPONSE_DAYS = parseInt(process.env.DAMAGE_CLAIM_RESPONSE_DAYS, 10) || 3;
+// Bookings whose deposit can be claimed or released
+const DEPOSIT_BOOKING_STATUSES = ['confirmed', 'completed'];
+const DEPOSIT_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+const OPEN_CLAIM_STATUSES = ['pending_guest', 'contested'];
+// Deposit refunds that no longer count
+const VOID_REFUND_STATUSES = ['rejected', 'failed', 'cancelled'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+class DamageClaimService {
+  // End of the stay or service the deposit covers
+  static getStayEnd(booking) {
+    const end = booking.checkOut || booking.checkOutDateTime || booking.timeSlot?.endTime;
+    return end ? new Date(end) : null;
+  }
+
+  static getClaimDeadline(booking) {
+    const end = this.getStayEnd(booking);
+    return end ? new Date(end.getTime() + CLAIM_WINDOW_DAYS * DAY_MS) : null;
+  }
+
+  static getParticipantRole(booking, user) {
+    const userId = user._id.toString();
+    if ((booking.user._id || booking.user).toString() === userId) return 'guest';
+    if ((booking.host._id || booking.host).toString() === userId) return 'host';
+    return null;
+  }
+
+  static async loadClaim(bookingId, claimId) {
+    const claim = await DamageClaim.findOne({ _id: claimId, booking: bookingId });
+    if (!claim) {
+      throw httpError(404, 'Damage claim not found');
+    }
+    return claim;
+  }
+
+  /**
+   * Where a booking's deposit stands, for the guest and host
+   * @param {Object} booking - Booking document
+   * @returns {Object} { amount, currency, status, claimDeadline, canClaim }
+   */
+  static getDepositSummary(booking) {
+    const now = new Date();
+    const stayEnd = this.getStayEnd(booking);
+    const claimDeadline = this.getClaimDeadline(booking);
+    const status = booking.securityDepositStatus || (booking.securityDeposit > 0 ? 'held' : null);
+
+    return {
+      amount: booking.securityDeposit || 0,
+      currency: booking.currency || 'INR',
+      status,
+      releasedAt: booking.securityDepositReleasedAt,
+      claimDeadline,
+      canClaim: status === 'held' &&
+        DEPOSIT_BOOKING_STATUSES.includes(booking.status) &&
+        Boolean(stayEnd && stayEnd <= now && now <= claimDeadline)
+    };
+  }
+
+  /**
+   * Claims on a booking, newest first (guest or host)
+   */
+  static async getBookingClaims(bookingId, user) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (!this.getParticipantRole(booking, user) && !['admin', 'super-admin'].includes(user.role)) {
+      throw httpError(403, 'Not authorized to view damage claims for this booking');
+    }
+
+    const claims = await DamageClaim.find({ booking: booking._id })
+      .populate('refund', 'amount status refundReference')
+      .populate('payout', 'amount currency status scheduledDate')
+      .sort({ createdAt: -1 });
+
+    return { deposit: this.getDepositSummary(booking), claims };
+  }
+
+  /**
+   * ========================================
+   * FILE CLAIM
+   * ========================================
+   * Host claims part or all of the security deposit after checkout.
+   *
+   * @param {string} bookingId - Booking ID
+   * @param {Object} user - Host filing the claim
+   * @param {Object} claimData - { amount, description, photos }
+   * @returns {Promise<Object>} DamageClaim
+   */
+  static async fileClaim(bookingId, user, { amount, description, photos = [] } = {}) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (this.getParticipantRole(booking, user) !== 'host') {
+      throw httpError(403, 'Only the host can file a damage claim');
+    }
+    if (!DEPOSIT_BOOKING_STATUSES.includes(booking.status) || !DEPOSIT_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+      throw httpError(400, 'Damage claims can only be filed on paid, confirmed or completed bookings');
+    }
+
+    const deposit = booking.securityDeposit || 0;
+    if (deposit <= 0) {
+      throw httpError(400, 'This booking has no security deposit');
+    }
+
+    const now = new Date();
+    const stayEnd = this.getStayEnd(booking);
+    if (!stayEnd || stayEnd > now) {
+      throw httpError(400, 'Damage claims can only be filed after checkout');
+    }
+    const claimDeadline = this.getClaimDeadline(booking);
+    if (now > claimDeadline) {
+      throw httpError(400, `The damage claim window closed on ${formatDate(claimDeadline)}`);
+    }
+
+    const claimAmount = toTwoDecimals(amount);
+    if (!(claimAmount > 0) || claimAmount > deposit) {
+      throw httpError(400, `Claim amount must be between 0 and the security deposit (${booking.currency || 'INR'} ${deposit})`);
+    }
+
+    // Claim the deposit atomically so the auto-release job cannot refund it meanwhile
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, securityDepositStatus: { $in: [null, 'held'] } },
+      { $set: { securityDepositStatus: 'claimed' } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw httpError(409, `The security deposit has already been ${booking.securityDepositStatus || 'released'}`);
+    }
+
+    let claim;
+    try {
+      claim = await DamageClaim.create({
+        booking: booking._id,
+        host: booking.host,
+        guest: booking.user,
+        currency: booking.currency || 'INR',
+        depositAmount: deposit,
+        amount: claimAmount,
+        description,
+        photos,
+        responseDeadline: new Date(now.getTime() + RESPONSE_DAYS * DAY_MS)
+      });
+    } catch (error) {
+      await Booking.updateOne(
+        { _id: booking._id, securityDepositStatus: 'claimed' },
+        { $set: { securityDepositStatus: 'held' } }
+      );
+      throw error;
+    }
+
+    // The host is not paid out while the claim is open
+    await PayoutService.placeHold(booking._id, {
+      reason: 'damage_claim',
+      reference: claim._id.toString(),
+      note: `Damage claim of ${claim.currency} ${claim.amount}`
+    }, user);
+
+    await this.notify(
+      booking.user,
+      booking,
+      'Damage Claim Filed',
+      `Your host has claimed ${claim.currency} ${claim.amount} of your ${claim.currency} ${deposit} security deposit for booking ${booking.receiptId}. Please accept or contest the claim by ${formatDate(claim.responseDeadline)}.`
+    );
+
+    console.log(`🧾 Damage claim ${claim._id} filed on booking ${booking._id}: ${claim.currency} ${claim.amount}`);
+    return claim;
+  }
+
+  /**
+   * ========================================
+   * GUEST RESPONSE
+   * ========================================
+   * The guest accepts the claim (settled for the claimed amount) or contests
+   * it (an admin decides).
+   *
+   * @param {string} bookingId - Booking ID
+   * @param {string} claimId - DamageClaim ID
+   * @param {Object} user - Guest
+   * @param {Object} response - { accepted, message }
+   * @returns {Promise<Object>} DamageClaim
+   */
+  static async respondToClaim(bookingId, claimId, user, { accepted, message } = {}) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (this.getParticipantRole(booking, user) !== 'guest') {
+      throw httpError(403, 'Only the guest can respond to a damage claim');
+    }
+
+    const existing = await this.loadClaim(booking._id, claimId);
+    if (existing.status !== 'pending_guest') {
+      throw httpError(400, `This claim is ${existing.status.replace('_', ' ')} and can no longer be answered`);
+    }
+
+    // Claim the response atomically so the escalation job cannot race it
+    const claim = await DamageClaim.findOneAndUpdate(
+      { _id: existing._id, status: 'pending_guest' },
+      {
+        $set: {
+          status: accepted ? 'accepted' : 'contested',
+          'guestResponse.accepted': accepted,
+          'guestResponse.message': message,
+          'guestResponse.respondedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!claim) {
+      throw httpError(409, 'This claim has already been answered or escalated');
+    }
+
+    if (accepted) {
+      return this.settleClaim(claim, claim.amount, user);
+    }
+
+    await this.notify(
+      booking.host,
+      booking,
+      'Damage Claim Contested',
+      `The guest contested your damage claim on booking ${booking.receiptId}. Our team will review it and decide the outcome.`
+    );
+    return claim;
+  }
+
+  /**
+   * Host withdraws an open claim. The deposit goes back to being held, and is
+   * released straight away if the claim window has already closed.
+   */
+  static async withdrawClaim(bookingId, claimId, user) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (this.getParticipantRole(booking, user) !== 'host') {
+      throw httpError(403, 'Only the host can withdraw a damage claim');
+    }
+
+    const claim = await DamageClaim.findOneAndUpdate(
+      { _id: claimId, booking: booking._id, status: { $in: OPEN_CLAIM_STATUSES } },
+      { $set: { status: 'withdrawn', withdrawnAt: new Date() } },
+      { new: true }
+    );
+    if (!claim) {
+      await this.loadClaim(booking._id, claimId);
+      throw httpError(400, 'Only open claims can be withdrawn');
+    }
+
+    await Booking.updateOne(
+      { _id: booking._id, securityDepositStatus: 'claimed' },
+      { $set: { securityDepositStatus: 'held' } }
+    );
+    await PayoutService.releaseHold(booking._id, { reason: 'damage_claim', reference: claim._id.toString() }, user);
+
+    await this.notify(
+      booking.user,
+      booking,
+      'Damage Claim Withdrawn',
+      `Your host withdrew the damage claim on booking ${booking.receiptId}.`
+    );
+
+    if (new Date() > this.getClaimDeadline(booking)) {
+      await this.releaseDeposit(booking._id, { note: 'Released after the host withdrew their damage claim' });
+    }
+
+    console.log(`↩️ Damage claim ${claim._id} withdrawn`);
+    return claim;
+  }
+
+  /**
+   * ========================================
+   * ADMIN ARBITRATION
+   * ========================================
+   * Decide a contested claim and settle it for the awarded amount.
+   *
+   * @param {string} claimId - DamageClaim ID
+   * @param {Object} admin - Admin user
+   * @param {Object} decision - { awardedAmount, notes }
+   * @returns {Promise<Object>} DamageClaim
+   */
+  static async resolveClaim(claimId, admin, { awardedAmount, notes } = {}) {
+    const existing = await DamageClaim.findById(claimId);
+    if (!existing) {
+      throw httpError(404, 'Damage claim not found');
+    }
+    if (existing.status !== 'contested') {
+      throw httpError(400, `Only contested claims can be resolved. This claim is ${existing.status.replace('_', ' ')}`);
+    }
+
+    const awarded = toTwoDecimals(awardedAmount);
+    if (!(awarded >= 0) || awarded > existing.amount) {
+      throw httpError(400, `Awarded amount must be between 0 and the claimed amount (${existing.currency} ${existing.amount})`);
+    }
+
+    const claim = await DamageClaim.findOneAndUpdate(
+      { _id: existing._id, status: 'contested' },
+      {
+        $set: {
+          status: 'resolved',
+          resolution: {
+            awardedAmount: awarded,
+            notes,
+            resolvedBy: admin._id,
+            resolvedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!claim) {
+      throw httpError(409, 'This claim has already been resolved');
+    }
+
+    return this.settleClaim(claim, awarded, admin);
+  }
+
+  /**
+   * ========================================
+   * SETTLEMENT
+   * ========================================
+   * Pay the approved amount to the host and refund the rest of the deposit.
+   *
+   * @param {Object} claim - Accepted or resolved DamageClaim
+   * @param {number} approvedAmount - Amount awarded to the host
+   * @param {Object} user - Guest who accepted or admin who resolved
+   * @returns {Promise<Object>} DamageClaim
+   */
+  static async settleClaim(claim, approvedAmount, user = null) {
+    const booking = await Booking.findById(claim.booking);
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+
+    claim.approvedAmount = toTwoDecimals(approvedAmount);
+    claim.settledAt = new Date();
+    await claim.save();
+
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $set: { securityDepositStatus: 'settled', securityDepositReleasedAt: claim.settledAt } }
+    );
+    await PayoutService.releaseHold(booking._id, { reason: 'damage_claim', reference: claim._id.toString() }, user);
+
+    if (claim.approvedAmount > 0) {
+      await LedgerService.queueDamageClaim(claim._id);
+      const payout = await PayoutService.scheduleDamageClaimPayout(booking, claim);
+      claim.payout = payout._id;
+    }
+
+    await claim.save();
+
+    const remainder = toTwoDecimals(claim.depositAmount - claim.approvedAmount);
+    if (remainder > 0) {
+      try {
+        const result = await this.refundRemainder(claim._id);
+        claim.refund = result.refundId || claim.refund;
+      } catch (error) {
+        console.error(`❌ Error refunding security deposit for damage claim ${claim._id}:`, error);
+        await this.queueRemainderRefund(claim._id);
+      }
+    }
+
+    const currency = claim.currency;
+    await this.notify(
+      booking.user,
+      booking,
+      'Damage Claim Settled',
+      `The damage claim on booking ${booking.receiptId} was settled at ${currency} ${claim.approvedAmount}.${remainder > 0 ? ` The remaining ${currency} ${remainder} of your security deposit is being refunded.` : ''}`
+    );
+    await this.notify(
+      booking.host,
+      booking,
+      'Damage Claim Settled',
+      `The damage claim on booking ${booking.receiptId} was settled at ${currency} ${claim.approvedAmount}.${claim.approvedAmount > 0 ? ' It will be paid with your next payout.' : ''}`
+    );
+
+    console.log(`✅ Damage claim ${claim._id} settled: ${currency} ${claim.approvedAmount} to host, ${currency} ${remainder} refunded`);
+    return claim;
+  }
+
+  /**
+   * Refund the part of the deposit a settled claim did not award to the host.
+   * Retried by the 'refund-claim-deposit' job when it fails at settlement,
+   * including when the refund was created but the gateway call failed;
+   * a refund already sent to the gateway is not sent again.
+   *
+   * @param {string} claimId - DamageClaim ID
+   * @returns {Promise<Object>} { refunded, refundId, reason }
+   */
+  static async refundRemainder(claimId) {
+    const claim = await DamageClaim.findById(claimId);
+    if (!claim) {
+      throw httpError(404, 'Damage claim not found');
+    }
+    if (claim.refund) {
+      await this.sendUnsentRefund(claim.refund);
+      return { refunded: false, refundId: claim.refund, reason: 'Already refunded' };
+    }
+    const remainder = toTwoDecimals(claim.depositAmount - (claim.approvedAmount || 0));
+    if (!claim.settledAt || remainder <= 0) {
+      return { refunded: false, reason: 'Nothing to refund' };
+    }
+
+    // An earlier attempt may have created the refund before failing
+    const existing = await Refund.findOne({
+      booking: claim.booking,
+      type: 'security_deposit_only',
+      status: { $nin: VOID_REFUND_STATUSES },
+      createdAt: { $gte: claim.settledAt }
+    }).select('_id');
+    const refund = existing || await RefundService.processRefund(claim.booking, 'security_deposit', 'security_deposit_only', {
+      amount: remainder,
+      userNotes: `Security deposit less ${claim.currency} ${claim.approvedAmount} damage claim`
+    });
+
+    await DamageClaim.updateOne({ _id: claim._id }, { $set: { refund: refund._id } });
+    await this.sendUnsentRefund(refund._id);
+    return { refunded: !existing, refundId: refund._id };
+  }
+
+  /**
+   * Send the gateway share of a deposit refund (and its split parts) that is
+   * still pending. processRefund only notes a failed gateway call on the
+   * refund, so this throws it again for the retry job to see.
+   *
+   * @param {string} refundId - First Refund of the deposit refund
+   */
+  static async sendUnsentRefund(refundId) {
+    const parts = await Refund.find({
+      $or: [{ _id: refundId }, { splitFrom: refundId }],
+      status: 'pending',
+      gatewayRefundId: null,
+      razorpayRefundId: null
+    }).populate('payment');
+
+    for (const part of parts) {
+      const gatewayAmount = toTwoDecimals(part.amount - (part.walletAmount || 0));
+      if (gatewayAmount > 0 && PaymentGatewayService.canRefundThroughGateway(part.payment)) {
+        await RefundService.processGatewayRefund(part._id);
+      }
+    }
+  }
+
+  /**
+   * Queue a retry of a settled claim's deposit refund (once per claim)
+   */
+  static async queueRemainderRefund(claimId) {
+    try {
+      await JobScheduler.enqueue('refund-claim-deposit', { claimId: claimId.toString() }, {
+        uniqueKey: claimId.toString()
+      });
+    } catch (error) {
+      console.error(`❌ Failed to queue deposit refund for damage claim ${claimId}:`, error.message);
+    }
+  }
+
+  /**
+   * ========================================
+   * DEPOSIT RELEASE
+   * ========================================
+   * Refund a held deposit in full. Used by the host to release it early and
+   * by the job that releases deposits with no claim filed in time.
+   *
+   * @param {string} bookingId - Booking ID
+   * @param {Object} options - { note }
+   * @returns {Promise<Object|null>} { booking, refund }, or null if the deposit is not held
+   */
+  static async releaseDeposit(bookingId, { note } = {}) {
+    const releasedAt = new Date();
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        securityDeposit: { $gt: 0 },
+        securityDepositStatus: { $in: [null, 'held'] }
+      },
+      { $set: { securityDepositStatus: 'released', securityDepositReleasedAt: releasedAt } },
+      { new: true }
+    );
+    if (!booking) {
+      return null;
+    }
+
+    let refund = null;
+    try {
+      // Deposits refunded before claims existed are not refunded twice
+      const alreadyRefunded = await Refund.exists({
+        booking: booking._id,
+        type: 'security_deposit_only',
+        status: { $nin: VOID_REFUND_STATUSES }
+      });
+      if (!alreadyRefunded) {
+        refund = await RefundService.processRefund(booking._id, 'security_deposit', 'security_deposit_only', {
+          userNotes: note || 'Security deposit released'
+        });
+      }
+    } catch (error) {
+      await Booking.updateOne(
+        { _id: booking._id, securityDepositStatus: 'released' },
+        { $set: { securityDepositStatus: 'held' }, $unset: { securityDepositReleasedAt: 1 } }
+      );
+      throw error;
+    }
+
+    if (refund) {
+      await this.notify(
+        booking.user,
+        booking,
+        'Security Deposit Released',
+        `Your security deposit of ${booking.currency || 'INR'} ${refund.amount} for booking ${booking.receiptId} has been released and is being refunded.`
+      );
+    }
+
+    console.log(`🔓 Security deposit released for booking ${booking._id}`);
+    return { booking, refund };
+  }
+
+  /**
+   * Release deposits whose claim window closed without a claim
+   * (run by the 'release-security-deposits' job)
+   * @returns {Promise<Object>} { checked, released, failed }
+   */
+  static async releaseExpiredDeposits() {
+    const windowStart = new Date(Date.now() - CLAIM_WINDOW_DAYS * DAY_MS);
+
+    const due = await Booking.find({
+      securityDeposit: { $gt: 0 },
+      securityDepositStatus: { $in: [null, 'held'] },
+      status: { $in: DEPOSIT_BOOKING_STATUSES },
+      paymentStatus: { $in: DEPOSIT_PAYMENT_STATUSES },
+      $or: [
+        { checkOut: { $lte: windowStart } },
+        { checkOut: null, checkOutDateTime: { $lte: windowStart } },
+        { checkOut: null, checkOutDateTime: null, 'timeSlot.endTime': { $lte: windowStart } }
+      ]
+    })
+      .select('_id')
+      .sort({ checkOut: 1 })
+      .limit(100);
+
+    let released = 0;
+    let failed = 0;
+
+    for (const { _id } of due) {
+      try {
+        if (await this.releaseDeposit(_id, { note: 'Automatic release: no damage claim was filed' })) {
+          released++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Error releasing security deposit for booking ${_id}:`, error);
+      }
+    }
+
+    if (released || failed) {
+      console.log(`🔓 Security deposits: ${released} released, ${failed} failed`);
+    }
+
+    return { checked: due.length, released, failed };
+  }
+
+  /**
+   * Escalate claims the guest did not answer in time to an admin
+   * (run by the 'escalate-damage-claims' job)
+   * @returns {Promise<Object>} { checked, escalated }
+   */
+  static async escalateUnansweredClaims() {
+    const now = new Date();
+    const due = await DamageClaim.find({ status: 'pending_guest', responseDeadline: { $lte: now } })
+      .select('_id')
+      .sort({ responseDeadline: 1 })
+      .limit(100);
+
+    let escalated = 0;
+    for (const { _id } of due) {
+      const claim = await DamageClaim.findOneAndUpdate(
+        { _id, status: 'pending_guest' },
+        { $set: { status: 'contested', 'guestResponse.escalated': true } },
+        { new: true }
+      );
+      if (!claim) continue;
+      escalated++;
+
+      const booking = { _id: claim.booking };
+      await this.notify(claim.guest, booking, 'Damage Claim Escalated',
+        'You did not respond to a damage claim in time. Our team will review it and decide the outcome.');
+      await this.notify(claim.host, booking, 'Damage Claim Escalated',
+        'The guest did not respond to your damage claim. Our team will review it and decide the outcome.');
+    }
+
+    if (escalated) {
+      console.log(`⚖️ ${escalated} unanswered damage claim(s) escalated`);
+    }
+
+    return { checked: due.length, escalated };
+  }
+
+  /**
+   * Claims for admin review, newest first
+   * @param {Object} options - { status, page, limit }
+   */
+  static async getClaims({ status, page = 1, limit = 20 } = {}) {
+    const query = status ? { status } : {};
+    const [claims, total] = await Promise.all([
+      DamageClaim.find(query)
+        .populate('booking', 'receiptId checkIn checkOut securityDeposit currency')
+        .populate('host', 'name email')
+        .populate('guest', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DamageClaim.countDocuments(query)
+    ]);
+
+    return {
+      claims,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async getClaim(claimId) {
+    const claim = await DamageClaim.findById(claimId)
+      .populate('booking', 'receiptId checkIn checkOut securityDeposit securityDepositStatus currency status')
+      .populate('host', 'name email')
+      .populate('guest', 'name email')
+      .populate('refund', 'amount status refundReference')
+      .populate('payout', 'amount currency status scheduledDate')
+      .populate('resolution.resolvedBy', 'name email');
+    if (!claim) {
+      throw httpError(404, 'Damage claim not found');
+    }
+    return claim;
+  }
+
+  static async notify(userId, booking, title, message) {
+    try {
+      await Notification.create({
+        user: userId._id || userId,
+        type: 'booking',
+        title,
+        message: message.slice(0, 500),
+        relatedEntity: {
+          type: 'Booking',
+          id: booking._id
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error creating damage claim notification:', error);
+    }
+  }
+}
+
+module.exports = DamageClaimService;
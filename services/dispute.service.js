@@ -0,0 +1,496 @@
+/**
+ * Dispute Service
+ * Chargebacks raised by a guest's bank through the payment gateway.
+ *   - The gateway's dispute webhooks open and update a Dispute for the
+ *     payment. Opening one holds the booking's unsent payouts.
+ *   - Admins build an evidence pack (booking, messages, check-in record,
+ *     receipt) to send to the gateway before the response deadline.
+ *   - The outcome comes from the gateway (or is recorded by an admin).
+ *     A won dispute releases the payouts. A lost one marks the payment
+ *     refunded, posts the chargeback to the ledger and cancels the unsent
+ *     payouts when the whole payment was taken back; after a partial loss
+ *     they stay held for an admin to adjust.
+ */
+
+const Dispute = require('../models/Dispute');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Payout = require('../models/Payout');
+const Refund = require('../models/Refund');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Notification = require('../models/Notification');
+const PayoutService = require('./payout.service');
+const LedgerService = require('./ledger.service');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+const { generateReceipt } = require('../utils/generateReceipt');
+
+const HOUR_MS = 60 * 60 * 1000;
+const OPEN_STATUSES = ['open', 'under_review'];
+const DECIDED_STATUSES = ['won', 'lost'];
+// Deadlines this close are flagged on the dashboard
+const DUE_SOON_HOURS = 48;
+const MAX_EVIDENCE_MESSAGES = 500;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Amount reported by the gateway (in the currency it charged) in the payment currency
+const toPaymentCurrency = (payment, amount) => (amount == null ? amount : toTwoDecimals(amount / payment.charge.rate));
+
+class DisputeService {
+  /**
+   * ==== GATEWAY EVENTS ====
+   * Open or update the dispute behind a gateway dispute webhook
+   * @param {Object} payment - Disputed Payment
+   * @param {Object} event - Normalized webhook event with `dispute`
+   * @returns {Promise<Object>} Dispute
+   */
+  static async applyGatewayEvent(payment, event) {
+    // Disputes are kept in the payment currency like the rest of its amounts
+    const data = payment.charge?.rate
+      ? {
+        ...event.dispute,
+        amount: toPaymentCurrency(payment, event.dispute.amount),
+        amountLost: toPaymentCurrency(payment, event.dispute.amountLost),
+        currency: payment.currency
+      }
+      : event.dispute;
+    const gatewayDisputeId = data.disputeId || `payment:${data.paymentId}`;
+
+    let dispute = await Dispute.findOne({ provider: event.provider, gatewayDisputeId });
+    if (!dispute) {
+      dispute = await this.openDispute(payment, event.provider, { ...data, disputeId: gatewayDisputeId });
+    } else {
+      if (data.respondBy) dispute.respondBy = data.respondBy;
+      if (data.phase) dispute.phase = data.phase;
+      dispute.gatewayResponse = data.raw;
+      await dispute.save();
+    }
+
+    if (DECIDED_STATUSES.includes(data.status)) {
+      return this.decide(dispute._id, {
+        result: data.status,
+        amountLost: data.amountLost,
+        source: 'gateway'
+      });
+    }
+    if (data.status === 'under_review' && dispute.status === 'open') {
+      return this.setStatus(dispute, 'under_review', { source: 'gateway' });
+    }
+    return dispute;
+  }
+
+  static async openDispute(payment, provider, data) {
+    let dispute;
+    try {
+      dispute = await Dispute.create({
+        payment: payment._id,
+        booking: payment.booking,
+        guest: payment.user,
+        host: payment.host,
+        provider,
+        gatewayDisputeId: data.disputeId,
+        reasonCode: data.reason,
+        reasonDescription: data.reasonDescription,
+        phase: data.phase,
+        amount: toTwoDecimals(data.amount || payment.amount),
+        currency: data.currency || payment.currency || 'INR',
+        status: 'open',
+        respondBy: data.respondBy,
+        history: [{ status: 'open', source: 'gateway' }],
+        gatewayResponse: data.raw
+      });
+    } catch (error) {
+      // The same webhook delivered twice at once
+      if (error.code === 11000) {
+        return Dispute.findOne({ provider, gatewayDisputeId: data.disputeId });
+      }
+      throw error;
+    }
+
+    await Payment.updateOne({ _id: payment._id }, { $set: { dispute: dispute._id, disputeStatus: 'open' } });
+
+    // The host is not paid while the chargeback is open
+    await PayoutService.placeHold(payment.booking, {
+      reason: 'dispute',
+      reference: dispute._id.toString(),
+      note: `Chargeback ${dispute.gatewayDisputeId} (${dispute.reasonCode || 'no reason given'})`
+    });
+
+    const booking = await Booking.findById(payment.booking).select('receiptId');
+    await this.notify(
+      payment.host,
+      'Payment Disputed',
+      `The guest's bank has disputed the payment for booking ${booking?.receiptId || payment.booking}. Payouts for this booking are on hold until the dispute is decided.`
+    );
+
+    console.log(`⚠️ Dispute ${dispute._id} opened on payment ${payment._id}: ${dispute.currency} ${dispute.amount}`);
+    return dispute;
+  }
+
+  static async setStatus(dispute, status, { source, user, note } = {}) {
+    dispute.status = status;
+    dispute.history.push({ status, source, by: user?._id, note });
+    await dispute.save();
+    await Payment.updateOne({ _id: dispute.payment }, { $set: { disputeStatus: status } });
+    return dispute;
+  }
+
+  /**
+   * ==== OUTCOME ====
+   * Apply a won or lost decision once
+   * @param {string} disputeId - Dispute ID
+   * @param {Object} decision - { result: won | lost, amountLost, notes, source, user }
+   * @returns {Promise<Object>} Dispute
+   */
+  static async decide(disputeId, { result, amountLost, notes, source, user = null }) {
+    const existing = await Dispute.findById(disputeId);
+    if (!existing) {
+      throw httpError(404, 'Dispute not found');
+    }
+    if (!OPEN_STATUSES.includes(existing.status)) {
+      if (source === 'gateway') {
+        return existing;
+      }
+      throw httpError(400, `This dispute has already been ${existing.status}`);
+    }
+
+    const payment = await Payment.findById(existing.payment);
+    if (!payment) {
+      throw httpError(404, 'Payment not found');
+    }
+    // Only what the gateway charged can be taken back
+    const gatewayCharged = toTwoDecimals(payment.amount - (payment.walletAmount || 0));
+    const lost = result === 'lost'
+      ? toTwoDecimals(Math.min(amountLost ?? existing.amount, gatewayCharged))
+      : 0;
+    const fullLoss = result === 'lost' && lost >= gatewayCharged;
+    const now = new Date();
+
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: existing._id, status: { $in: OPEN_STATUSES } },
+      {
+        $set: {
+          status: result,
+          outcome: {
+            decidedAt: now,
+            amountLost: lost,
+            source,
+            decidedBy: user?._id,
+            payoutAction: result === 'won' ? 'released' : fullLoss ? 'cancelled' : 'held_for_review',
+            notes
+          }
+        },
+        $push: { history: { status: result, at: now, source, by: user?._id, note: notes } }
+      },
+      { new: true }
+    );
+    if (!dispute) {
+      return Dispute.findById(existing._id);
+    }
+
+    payment.disputeStatus = result;
+    if (result === 'won') {
+      await payment.save();
+      await PayoutService.releaseHold(dispute.booking, { reason: 'dispute', reference: dispute._id.toString() }, user);
+    } else {
+      payment.status = fullLoss ? 'refunded' : 'partially_refunded';
+      await payment.save();
+      await Booking.updateOne({ _id: dispute.booking }, { $set: { paymentStatus: payment.status } });
+      await LedgerService.queueChargeback(dispute._id);
+
+      if (fullLoss) {
+        // Nothing is left to pay the host from
+        await Payout.updateMany(
+          { booking: dispute.booking, status: 'pending' },
+          { $set: { status: 'cancelled', notes: `Cancelled: chargeback ${dispute.gatewayDisputeId} lost` } }
+        );
+        const paid = await Payout.find({ booking: dispute.booking, status: { $in: ['processing', 'completed'] } })
+          .select('amount conversion');
+        dispute.outcome.hostPaidAmount = toTwoDecimals(
+          paid.reduce((sum, payout) => sum + (payout.conversion?.amount ?? payout.amount), 0)
+        );
+        await dispute.save();
+      }
+    }
+
+    const booking = await Booking.findById(dispute.booking).select('receiptId');
+    const reference = booking?.receiptId || dispute.booking;
+    await this.notify(
+      dispute.host,
+      result === 'won' ? 'Payment Dispute Won' : 'Payment Dispute Lost',
+      result === 'won'
+        ? `The payment dispute on booking ${reference} was decided in our favour. Payouts for this booking have been released.`
+        : `The payment dispute on booking ${reference} was lost and ${dispute.currency} ${lost} was returned to the guest's bank.${fullLoss ? ' Unsent payouts for this booking have been cancelled.' : ' Payouts for this booking stay on hold while our team reviews them.'}`
+    );
+
+    console.log(`⚖️ Dispute ${dispute._id} ${result}${lost ? `: ${dispute.currency} ${lost} lost` : ''}`);
+    return dispute;
+  }
+
+  /**
+   * Record an outcome the gateway did not send by webhook
+   */
+  static resolveDispute(disputeId, admin, { outcome, amountLost, notes } = {}) {
+    return this.decide(disputeId, { result: outcome, amountLost, notes, source: 'admin', user: admin });
+  }
+
+  /**
+   * ==== EVIDENCE PACK ====
+   * Collect what the gateway needs to decide the dispute: the booking and
+   * its pricing, the guest-host messages, the check-in record, the receipt,
+   * the payment and any refunds. The pack is saved on the dispute.
+   * @param {string} disputeId - Dispute ID
+   * @param {Object} admin - Admin building the pack
+   * @returns {Promise<Object>} Dispute with evidence.pack
+   */
+  static async buildEvidencePack(disputeId, admin) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw httpError(404, 'Dispute not found');
+    }
+    // Keep the pack that was sent to the gateway
+    if (dispute.evidence?.submittedAt) {
+      throw httpError(400, 'Evidence for this dispute has already been submitted');
+    }
+
+    const booking = await Booking.findById(dispute.booking)
+      .populate('listing', 'title location cancellationPolicy checkInTime checkOutTime')
+      .populate('service', 'title location cancellationPolicy')
+      .populate('user', 'name email phone createdAt')
+      .populate('host', 'name email phone')
+      .populate('couponApplied', 'code discountType amount')
+      .populate('checkedInBy', 'name');
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+
+    const payment = await Payment.findById(dispute.payment);
+    const conversations = await Conversation.find({ guest: booking.user._id, host: booking.host._id }).select('_id');
+    const [messages, refunds] = await Promise.all([
+      Message.find({
+        $or: [
+          { conversation: { $in: conversations.map(conversation => conversation._id) } },
+          { booking: booking._id }
+        ]
+      })
+        .select('sender content messageType mediaUrl createdAt')
+        .sort({ createdAt: 1 })
+        .limit(MAX_EVIDENCE_MESSAGES),
+      Refund.find({ booking: booking._id }).select('amount currency status reason type refundReference createdAt processedAt')
+    ]);
+
+    const roleOf = (userId) => userId.toString() === booking.user._id.toString() ? 'guest' : 'host';
+
+    const pack = {
+      dispute: {
+        provider: dispute.provider,
+        gatewayDisputeId: dispute.gatewayDisputeId,
+        reasonCode: dispute.reasonCode,
+        amount: dispute.amount,
+        currency: dispute.currency,
+        respondBy: dispute.respondBy
+      },
+      booking: {
+        receiptId: booking.receiptId,
+        status: booking.status,
+        bookingType: booking.bookingType,
+        createdAt: booking.createdAt,
+        confirmedAt: booking.confirmedAt,
+        checkIn: booking.checkIn,
+        checkOut: booking.checkOut,
+        timeSlot: booking.timeSlot,
+        guests: booking.guests,
+        listing: booking.listing?.title || booking.service?.title,
+        location: booking.listing?.location || booking.service?.location,
+        cancellationPolicy: booking.cancellationPolicy || booking.listing?.cancellationPolicy || booking.service?.cancellationPolicy,
+        cancelledAt: booking.cancelledAt,
+        cancellationReason: booking.cancellationReason,
+        totalAmount: booking.totalAmount,
+        currency: booking.currency || 'INR'
+      },
+      guest: {
+        name: booking.user.name,
+        email: booking.user.email,
+        phone: booking.user.phone,
+        memberSince: booking.user.createdAt
+      },
+      host: {
+        name: booking.host.name,
+        email: booking.host.email
+      },
+      checkIn: {
+        checkedIn: booking.checkedIn,
+        checkedInAt: booking.checkedInAt,
+        checkedInBy: booking.checkedInBy?.name,
+        notes: booking.checkInNotes,
+        scheduledCheckInTime: booking.checkInTime,
+        scheduledCheckOutTime: booking.checkOutTime
+      },
+      messages: messages.map(message => ({
+        from: roleOf(message.sender),
+        content: message.content,
+        messageType: message.messageType,
+        mediaUrl: message.mediaUrl,
+        sentAt: message.createdAt
+      })),
+      payment: payment && {
+        amount: payment.amount,
+        currency: payment.currency,
+        paymentMethod: payment.paymentMethod,
+        gateway: payment.paymentDetails?.paymentGateway,
+        transactionId: payment.paymentDetails?.transactionId || payment.razorpayPaymentId,
+        cardLast4: payment.paymentDetails?.cardLast4,
+        paidAt: payment.createdAt,
+        ipAddress: payment.metadata?.ipAddress,
+        userAgent: payment.metadata?.userAgent
+      },
+      refunds,
+      receipt: generateReceipt(booking, payment)
+    };
+
+    dispute.evidence = {
+      ...(dispute.evidence?.toObject?.() || {}),
+      pack,
+      generatedAt: new Date(),
+      generatedBy: admin._id
+    };
+    await dispute.save();
+
+    console.log(`🗂️ Evidence pack built for dispute ${dispute._id}: ${messages.length} message(s)`);
+    return dispute;
+  }
+
+  /**
+   * Record that the evidence was sent to the gateway
+   */
+  static async submitEvidence(disputeId, admin, { notes } = {}) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw httpError(404, 'Dispute not found');
+    }
+    if (dispute.status !== 'open') {
+      throw httpError(400, `Evidence can only be submitted for open disputes. This dispute is ${dispute.status.replace('_', ' ')}`);
+    }
+    if (!dispute.evidence?.pack) {
+      throw httpError(400, 'Build the evidence pack before submitting it');
+    }
+
+    dispute.evidence.submittedAt = new Date();
+    dispute.evidence.submittedBy = admin._id;
+    dispute.evidence.notes = notes;
+    return this.setStatus(dispute, 'under_review', { source: 'admin', user: admin, note: notes });
+  }
+
+  /**
+   * ==== ADMIN VIEWS ====
+   * Disputes, newest first
+   * @param {Object} options - { status, page, limit }
+   */
+  static async getDisputes({ status, page = 1, limit = 20 } = {}) {
+    const query = status ? { status } : {};
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .select('-evidence.pack -gatewayResponse')
+        .populate('booking', 'receiptId checkIn checkOut')
+        .populate('guest', 'name email')
+        .populate('host', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Dispute.countDocuments(query)
+    ]);
+
+    return {
+      disputes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async getDispute(disputeId) {
+    const dispute = await Dispute.findById(disputeId)
+      .populate('booking', 'receiptId checkIn checkOut status totalAmount currency')
+      .populate('payment', 'amount currency status disputeStatus paymentMethod')
+      .populate('guest', 'name email')
+      .populate('host', 'name email')
+      .populate('evidence.generatedBy', 'name email')
+      .populate('evidence.submittedBy', 'name email')
+      .populate('outcome.decidedBy', 'name email');
+    if (!dispute) {
+      throw httpError(404, 'Dispute not found');
+    }
+
+    const payouts = await Payout.find({ booking: dispute.booking._id || dispute.booking })
+      .select('amount currency status scheduledDate onHold release.rule');
+    return { dispute, payouts };
+  }
+
+  /**
+   * Open disputes by response deadline (soonest first, no deadline last),
+   * with counts and the amount at stake per currency
+   * @returns {Promise<Object>} { open, counts, atStake, overdue, dueSoon }
+   */
+  static async getDashboard() {
+    const now = new Date();
+    const dueSoonBy = new Date(now.getTime() + DUE_SOON_HOURS * HOUR_MS);
+
+    const [open, statusCounts] = await Promise.all([
+      Dispute.find({ status: { $in: OPEN_STATUSES } })
+        .select('-evidence.pack -gatewayResponse -history')
+        .populate('booking', 'receiptId checkIn checkOut')
+        .populate('guest', 'name email')
+        .populate('host', 'name email')
+        .lean(),
+      Dispute.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const deadline = dispute => dispute.respondBy ? new Date(dispute.respondBy).getTime() : Infinity;
+    open.sort((a, b) => deadline(a) - deadline(b));
+
+    const atStake = {};
+    let overdue = 0;
+    let dueSoon = 0;
+    for (const dispute of open) {
+      atStake[dispute.currency] = toTwoDecimals((atStake[dispute.currency] || 0) + dispute.amount);
+      const respondBy = dispute.respondBy ? new Date(dispute.respondBy) : null;
+      dispute.evidenceSubmitted = Boolean(dispute.evidence?.submittedAt);
+      dispute.overdue = Boolean(respondBy && respondBy < now && dispute.status === 'open');
+      dispute.dueSoon = Boolean(respondBy && respondBy >= now && respondBy <= dueSoonBy && dispute.status === 'open');
+      if (dispute.overdue) overdue++;
+      if (dispute.dueSoon) dueSoon++;
+    }
+
+    return {
+      open,
+      counts: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+      atStake: Object.entries(atStake).map(([currency, amount]) => ({ currency, amount })),
+      overdue,
+      dueSoon
+    };
+  }
+
+  static async notify(userId, title, message) {
+    if (!userId) return;
+    try {
+      await Notification.create({
+        user: userId,
+        type: 'payment',
+        title,
+        message: message.slice(0, 500)
+      });
+    } catch (error) {
+      console.error('❌ Error creating dispute notification:', error);
+    }
+  }
+}
+
+module.exports = DisputeService;
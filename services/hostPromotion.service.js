@@ -0,0 +1,187 @@
+/**
+ * Host Promotion Service
+ * Hosts run their own discounts on their own properties, without admin
+ * coupons:
+ *   - A promotion covers one or more of the host's properties, all priced in
+ *     the same currency. It can be limited to stay dates, to bookings made
+ *     in a window and to a minimum number of nights, and capped by a budget.
+ *   - calculatePricingBreakdown applies the best matching promotion on its
+ *     own (utils/hostPromotions.js). The discount comes out of the host's
+ *     earning: the platform fee is charged on the price before it.
+ *   - Each booking made with a promotion adds its discount to `spent`; the
+ *     promotion stops applying once the budget is used.
+ */
+
+const mongoose = require('mongoose');
+const HostPromotion = require('../models/HostPromotion');
+const Property = require('../models/Property');
+const Booking = require('../models/Booking');
+
+// Fields a host can set
+const EDITABLE_FIELDS = [
+  'name', 'properties', 'discountType', 'discountValue', 'maxDiscount',
+  'stayStartDate', 'stayEndDate', 'bookingStartDate', 'bookingEndDate',
+  'minNights', 'budget', 'isActive'
+];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const pick = (data) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+class HostPromotionService {
+  /**
+   * Check the properties belong to the host; returns their common currency
+   * @returns {Promise<string>} Currency
+   */
+  static async checkProperties(hostId, propertyIds) {
+    const ids = [...new Set((propertyIds || []).map(String))];
+    if (ids.length === 0) {
+      throw httpError(400, 'A promotion needs at least one property');
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw httpError(400, 'Invalid property ID');
+    }
+
+    const properties = await Property.find({
+      _id: { $in: ids },
+      host: hostId,
+      status: { $ne: 'deleted' }
+    }).select('pricing.currency');
+    if (properties.length !== ids.length) {
+      throw httpError(403, 'You can only run promotions on your own properties');
+    }
+
+    const currencies = [...new Set(properties.map(property => property.pricing?.currency || 'INR'))];
+    if (currencies.length > 1) {
+      throw httpError(400, 'All properties in a promotion must be priced in the same currency');
+    }
+    return currencies[0];
+  }
+
+  static async getOwnPromotion(hostId, promotionId) {
+    if (!mongoose.Types.ObjectId.isValid(promotionId)) {
+      throw httpError(400, 'Invalid promotion ID');
+    }
+    const promotion = await HostPromotion.findOne({ _id: promotionId, host: hostId });
+    if (!promotion) {
+      throw httpError(404, 'Promotion not found');
+    }
+    return promotion;
+  }
+
+  /**
+   * ==== HOST MANAGEMENT ====
+   */
+  static async listPromotions(hostId, { propertyId, isActive } = {}) {
+    const query = { host: hostId };
+    if (propertyId) query.properties = propertyId;
+    if (isActive !== undefined) query.isActive = isActive;
+
+    return HostPromotion.find(query)
+      .populate('properties', 'title')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * A promotion with the bookings it was applied to
+   * @returns {Promise<Object>} { promotion, performance, budgetRemaining }
+   */
+  static async getPromotion(hostId, promotionId) {
+    const promotion = await this.getOwnPromotion(hostId, promotionId);
+    await promotion.populate('properties', 'title');
+
+    const [performance] = await Booking.aggregate([
+      { $match: { 'pricingBreakdown.hostPromotion.promotion': promotion._id } },
+      {
+        $group: {
+          _id: null,
+          bookings: { $sum: 1 },
+          cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+          discountGiven: { $sum: '$pricingBreakdown.hostPromotion.discountAmount' },
+          bookingValue: { $sum: '$totalAmount' }
+        }
+      },
+      { $project: { _id: 0 } }
+    ]);
+
+    return {
+      promotion,
+      performance: performance || { bookings: 0, cancelled: 0, discountGiven: 0, bookingValue: 0 },
+      budgetRemaining: promotion.budget !== undefined && promotion.budget !== null
+        ? Math.max(0, promotion.budget - promotion.spent)
+        : null
+    };
+  }
+
+  static async createPromotion(hostId, data) {
+    const currency = await this.checkProperties(hostId, data.properties);
+    const promotion = await HostPromotion.create({
+      ...pick(data),
+      host: hostId,
+      currency
+    });
+
+    console.log(`🏷️ Host promotion "${promotion.name}" created by host ${hostId}`);
+    return promotion;
+  }
+
+  static async updatePromotion(hostId, promotionId, data) {
+    const promotion = await this.getOwnPromotion(hostId, promotionId);
+    const updates = pick(data);
+    if (updates.properties) {
+      const currency = await this.checkProperties(hostId, updates.properties);
+      if (promotion.redemptions > 0 && currency !== promotion.currency) {
+        throw httpError(400, `This promotion has been used; its properties must stay priced in ${promotion.currency}`);
+      }
+      promotion.currency = currency;
+    }
+
+    promotion.set(updates);
+    await promotion.save();
+    return promotion;
+  }
+
+  /**
+   * Delete a promotion, or switch it off when bookings already used it
+   * @returns {Promise<Object>} { deleted, promotion }
+   */
+  static async deletePromotion(hostId, promotionId) {
+    const promotion = await this.getOwnPromotion(hostId, promotionId);
+    if (promotion.redemptions > 0) {
+      promotion.isActive = false;
+      await promotion.save();
+      return { deleted: false, promotion };
+    }
+
+    await promotion.deleteOne();
+    return { deleted: true, promotion };
+  }
+
+  /**
+   * ==== BOOKINGS ====
+   * Count a booking's promotion discount against the promotion's budget.
+   * The price was already quoted, so a budget overrun by a concurrent booking
+   * is honoured; the promotion stops applying from the next quote.
+   * @param {Object} hostPromotion - pricing.hostPromotion from calculatePricingBreakdown
+   * @param {Object} options - { session }
+   */
+  static async recordUse(hostPromotion, { session } = {}) {
+    if (!hostPromotion?.promotion || !(hostPromotion.discountAmount > 0)) {
+      return;
+    }
+
+    await HostPromotion.updateOne(
+      { _id: hostPromotion.promotion },
+      { $inc: { spent: hostPromotion.discountAmount, redemptions: 1 } },
+      { session }
+    );
+  }
+}
+
+module.exports = HostPromotionService;
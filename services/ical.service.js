@@ -0,0 +1,684 @@
+/**
+ * ========================================
+ * iCal Sync Service
+ * ========================================
+ * Keeps TripMe calendars in step with other channels (Airbnb, Booking.com, ...).
+ *
+ * EXPORT: builds a per-property .ics feed from bookings, host blocks and
+ *         maintenance windows (Availability + AvailabilityEvent records).
+ * IMPORT: fetches registered external feeds and turns every VEVENT into
+ *         block_start/block_end events. Imported blocks are tagged with the
+ *         calendar they came from so a re-import replaces them, and are left
+ *         out of the export so they are not echoed back to their channel.
+ *
+ * Feed URLs are host-supplied, so they are fetched over https only and never
+ * from loopback, private or link-local addresses (checked on every redirect,
+ * against the address actually connected to).
+ */
+
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Availability = require('../models/Availability');
+const AvailabilityEvent = require('../models/HourlyBasedAvailability');
+const ExternalCalendar = require('../models/ExternalCalendar');
+const AvailabilityEventService = require('./availabilityEvent.service');
+
+const PRODID = '-//TripMe//Property Calendar//EN';
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const EXPORT_LOOKBACK_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily availability statuses that should show as busy on other channels
+const BUSY_AVAILABILITY_STATUSES = ['blocked', 'booked', 'maintenance', 'unavailable', 'on-hold'];
+
+// Booking statuses that hold the dates
+const ACTIVE_BOOKING_STATUSES = ['pending', 'accepted', 'confirmed'];
+
+// Addresses a feed may not be fetched from
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const FEED_UNAVAILABLE = 'Calendar feed could not be downloaded';
+
+const feedError = (message) => {
+  const error = new Error(message);
+  error.isFeedError = true;
+  return error;
+};
+
+class ICalService {
+
+  /**
+   * ========================================
+   * EXPORT TOKEN
+   * ========================================
+   * Returns the property's feed token, generating one on first use.
+   *
+   * @param {Object} property - Property document
+   * @param {boolean} rotate - Force a new token (invalidates old feed URLs)
+   * @returns {Promise<string>} Export token
+   */
+  static async getExportToken(property, rotate = false) {
+    if (!property.icalExportToken || rotate) {
+      property.icalExportToken = crypto.randomBytes(24).toString('hex');
+      await property.save();
+    }
+    return property.icalExportToken;
+  }
+
+  /**
+   * ========================================
+   * BUILD PROPERTY CALENDAR
+   * ========================================
+   * Generates the .ics document for a property.
+   *
+   * @param {Object} property - Property document
+   * @returns {Promise<string>} iCalendar text
+   */
+  static async buildPropertyCalendar(property) {
+    const from = new Date(Date.now() - EXPORT_LOOKBACK_DAYS * DAY_MS);
+    const propertyId = property._id;
+    const stamp = this.formatDateTime(new Date());
+    const vevents = [];
+
+    // 1. Bookings
+    const bookings = await Booking.find({
+      listing: propertyId,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      $or: [
+        { checkOut: { $gte: from } },
+        { checkOutDateTime: { $gte: from } }
+      ]
+    }).select('checkIn checkOut checkInDateTime checkOutDateTime bookingDuration status');
+
+    const exportedBookingIds = new Set();
+    for (const booking of bookings) {
+      exportedBookingIds.add(booking._id.toString());
+      const isTimed = booking.bookingDuration === '24hour' && booking.checkInDateTime && booking.checkOutDateTime;
+      vevents.push({
+        uid: `booking-${booking._id}@tripme`,
+        start: isTimed ? booking.checkInDateTime : booking.checkIn,
+        end: isTimed ? booking.checkOutDateTime : booking.checkOut,
+        allDay: !isTimed,
+        summary: 'Reserved - TripMe',
+        status: booking.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'
+      });
+    }
+
+    // 2. Daily and 24-hour Availability records not already covered by a booking
+    const availability = await Availability.find({
+      property: propertyId,
+      status: { $in: BUSY_AVAILABILITY_STATUSES },
+      $or: [
+        { date: { $gte: from } },
+        { endDateTime: { $gte: from } }
+      ]
+    }).sort({ date: 1, startDateTime: 1 });
+
+    const dailyRecords = [];
+    for (const record of availability) {
+      if (record.bookedBy && exportedBookingIds.has(record.bookedBy.toString())) {
+        continue;
+      }
+      if (record.bookingType === '24hour' && record.startDateTime && record.endDateTime) {
+        vevents.push({
+          uid: `availability-${record._id}@tripme`,
+          start: record.startDateTime,
+          end: record.endDateTime,
+          allDay: false,
+          summary: this.availabilitySummary(record.status, record.reason)
+        });
+      } else if (record.date) {
+        dailyRecords.push(record);
+      }
+    }
+    vevents.push(...this.groupDailyRecords(dailyRecords));
+
+    // 3. Block and maintenance windows from availability events
+    //    (blocks imported from other channels' feeds stay out of the export)
+    const events = await AvailabilityEvent.find({
+      property: propertyId,
+      eventType: { $in: ['block_start', 'block_end', 'maintenance_start', 'maintenance_end'] },
+      time: { $gte: from },
+      'meta.source.type': { $ne: 'ical' }
+    }).sort({ time: 1 });
+
+    for (const window of this.pairEvents(events)) {
+      vevents.push({
+        uid: `${window.kind}-${window.id}@tripme`,
+        start: window.start,
+        end: window.end,
+        allDay: false,
+        summary: window.kind === 'maintenance'
+          ? 'Not available - Maintenance'
+          : this.availabilitySummary('blocked', window.reason)
+      });
+    }
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(`TripMe - ${property.title}`)}`
+    ];
+
+    for (const vevent of vevents) {
+      if (!vevent.start || !vevent.end) continue;
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${vevent.uid}`);
+      lines.push(`DTSTAMP:${stamp}`);
+      if (vevent.allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${this.formatDate(vevent.start)}`);
+        lines.push(`DTEND;VALUE=DATE:${this.formatDate(vevent.end)}`);
+      } else {
+        lines.push(`DTSTART:${this.formatDateTime(vevent.start)}`);
+        lines.push(`DTEND:${this.formatDateTime(vevent.end)}`);
+      }
+      lines.push(`SUMMARY:${this.escapeText(vevent.summary)}`);
+      if (vevent.status) {
+        lines.push(`STATUS:${vevent.status}`);
+      }
+      lines.push('TRANSP:OPAQUE');
+      lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Collapse consecutive daily records with the same status/reason into
+   * single all-day events.
+   * @param {Array} records - Availability records sorted by date
+   * @returns {Array} vevent descriptors
+   */
+  static groupDailyRecords(records) {
+    const ranges = [];
+    let current = null;
+
+    for (const record of records) {
+      const day = new Date(record.date);
+      const key = `${record.status}|${record.reason || ''}`;
+
+      if (current && current.key === key && day.getTime() - current.lastDay.getTime() <= DAY_MS) {
+        current.lastDay = day;
+        continue;
+      }
+
+      if (current) ranges.push(current);
+      current = { key, firstDay: day, lastDay: day, record };
+    }
+    if (current) ranges.push(current);
+
+    return ranges.map(range => ({
+      uid: `availability-${range.record._id}@tripme`,
+      start: range.firstDay,
+      end: new Date(range.lastDay.getTime() + DAY_MS),
+      allDay: true,
+      summary: this.availabilitySummary(range.record.status, range.record.reason)
+    }));
+  }
+
+  /**
+   * Match *_start events with their *_end counterparts.
+   * Maintenance pairs share a bookingId, block pairs share meta.blockId;
+   * older blocks without a blockId are paired in time order.
+   * @param {Array} events - AvailabilityEvent documents sorted by time
+   * @returns {Array} { kind, id, start, end, reason }
+   */
+  static pairEvents(events) {
+    const windows = [];
+    const open = new Map();
+    const unkeyedBlocks = [];
+
+    for (const event of events) {
+      const kind = event.eventType.startsWith('maintenance') ? 'maintenance' : 'block';
+      const isStart = event.eventType.endsWith('_start');
+      const pairKey = kind === 'maintenance'
+        ? (event.bookingId ? `maintenance:${event.bookingId}` : null)
+        : (event.meta?.blockId ? `block:${event.meta.blockId}` : null);
+
+      if (!pairKey) {
+        if (kind === 'block') {
+          if (isStart) {
+            unkeyedBlocks.push(event);
+          } else if (unkeyedBlocks.length > 0) {
+            const startEvent = unkeyedBlocks.shift();
+            windows.push({
+              kind,
+              id: startEvent._id,
+              start: startEvent.time,
+              end: event.time,
+              reason: startEvent.meta?.reason
+            });
+          }
+        }
+        continue;
+      }
+
+      if (isStart) {
+        open.set(pairKey, event);
+      } else if (open.has(pairKey)) {
+        const startEvent = open.get(pairKey);
+        open.delete(pairKey);
+        windows.push({
+          kind,
+          id: startEvent._id,
+          start: startEvent.time,
+          end: event.time,
+          reason: startEvent.meta?.reason
+        });
+      }
+    }
+
+    return windows;
+  }
+
+  static availabilitySummary(status, reason) {
+    if (status === 'booked') return 'Reserved - TripMe';
+    if (status === 'maintenance') return 'Not available - Maintenance';
+    return reason ? `Not available - ${reason}` : 'Not available';
+  }
+
+  /**
+   * ========================================
+   * SYNC EXTERNAL CALENDAR
+   * ========================================
+   * Fetches one external feed and brings its imported blocks up to date.
+   * Blocks for unchanged events (same UID, dates and summary) are kept, new
+   * ones are added, and only then are the stale ones removed, so the dates
+   * are never open while a sync runs or when it fails part way.
+   *
+   * @param {Object} calendar - ExternalCalendar document
+   * @returns {Promise<Object>} Sync result
+   */
+  static async syncExternalCalendar(calendar) {
+    try {
+      const body = await this.fetchFeed(calendar.url);
+      const parsed = this.parseCalendar(body);
+      const now = Date.now();
+
+      // Past stays don't need to block anything
+      const upcoming = parsed.filter(event => event.end.getTime() > now);
+      const source = { type: 'ical', calendarId: calendar._id.toString() };
+
+      const blockKey = (uid, start, end, reason) => [uid, new Date(start).getTime(), new Date(end).getTime(), reason].join('|');
+      const existing = await AvailabilityEventService.getImportedBlocks(calendar.property, calendar._id);
+      const unchanged = new Map();
+      for (const block of existing) {
+        if (block.blockId && block.uid && block.start && block.end) {
+          unchanged.set(blockKey(block.uid, block.start, block.end, block.reason), block.blockId);
+        }
+      }
+
+      const kept = new Set();
+      for (const event of upcoming) {
+        const reason = event.summary ? `${calendar.name}: ${event.summary}` : `Imported from ${calendar.name}`;
+        const blockId = event.uid && unchanged.get(blockKey(event.uid, event.start, event.end, reason));
+        if (blockId && !kept.has(blockId)) {
+          kept.add(blockId);
+          continue;
+        }
+
+        await AvailabilityEventService.createBlockEvents({
+          propertyId: calendar.property,
+          userId: calendar.host,
+          startTime: event.start,
+          endTime: event.end,
+          reason,
+          source: { ...source, uid: event.uid }
+        });
+      }
+
+      // Only blocks that existed before this sync are removed, so a sync
+      // running at the same time never loses the blocks the other one added
+      const stale = [...new Set(existing.map(block => block.blockId).filter(blockId => !kept.has(blockId)))];
+      await AvailabilityEventService.deleteImportedBlockEvents(calendar.property, calendar._id, { blockIds: stale });
+
+      calendar.lastSyncedAt = new Date();
+      calendar.lastSyncStatus = 'success';
+      calendar.lastSyncError = undefined;
+      calendar.importedBlockCount = upcoming.length;
+      await calendar.save();
+
+      console.log(`📅 Synced external calendar ${calendar._id} (${calendar.name}): ${upcoming.length} blocks`);
+
+      return {
+        success: true,
+        imported: upcoming.length
+      };
+
+    } catch (error) {
+      console.error(`❌ Error syncing external calendar ${calendar._id}:`, error.message);
+
+      calendar.lastSyncedAt = new Date();
+      calendar.lastSyncStatus = 'failed';
+      calendar.lastSyncError = error.message;
+      await calendar.save();
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * ========================================
+   * SYNC DUE CALENDARS
+   * ========================================
+   * Syncs every active feed that hasn't been synced within the interval.
+   * Called periodically from server.js.
+   *
+   * @param {number} intervalMinutes - Minimum minutes between syncs of one feed
+   * @returns {Promise<Object>} Summary
+   */
+  static async syncDueCalendars(intervalMinutes = 30) {
+    const cutoff = new Date(Date.now() - intervalMinutes * 60 * 1000);
+
+    const calendars = await ExternalCalendar.find({
+      isActive: true,
+      $or: [
+        { lastSyncedAt: null },
+        { lastSyncedAt: { $lt: cutoff } }
+      ]
+    });
+
+    let synced = 0;
+    let failed = 0;
+    for (const calendar of calendars) {
+      const result = await this.syncExternalCalendar(calendar);
+      if (result.success) {
+        synced++;
+      } else {
+        failed++;
+      }
+    }
+
+    return { synced, failed };
+  }
+
+  /**
+   * ========================================
+   * PARSE CALENDAR
+   * ========================================
+   * Minimal RFC 5545 parser: extracts VEVENTs with UID, SUMMARY and
+   * DTSTART/DTEND (or DURATION). Cancelled events are skipped.
+   *
+   * @param {string} text - iCalendar document
+   * @returns {Array} { uid, summary, start, end }
+   */
+  static parseCalendar(text) {
+    if (!text || !/BEGIN:VCALENDAR/i.test(text)) {
+      throw new Error('Response is not a valid iCalendar feed');
+    }
+
+    // Unfold continuation lines (RFC 5545 §3.1)
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    const events = [];
+    let current = null;
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      if (/^BEGIN:VEVENT$/i.test(line)) {
+        current = {};
+        continue;
+      }
+      if (/^END:VEVENT$/i.test(line)) {
+        if (current) {
+          const event = this.toImportedEvent(current);
+          if (event) events.push(event);
+        }
+        current = null;
+        continue;
+      }
+      if (!current) continue;
+
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const [name, ...paramParts] = line.slice(0, separator).split(';');
+      const params = {};
+      for (const part of paramParts) {
+        const [key, value] = part.split('=');
+        if (key && value) params[key.toUpperCase()] = value;
+      }
+      current[name.toUpperCase()] = { value: line.slice(separator + 1), params };
+    }
+
+    return events;
+  }
+
+  static toImportedEvent(props) {
+    if (!props.DTSTART) return null;
+    if (props.STATUS && props.STATUS.value.toUpperCase() === 'CANCELLED') return null;
+
+    const start = this.parseDateValue(props.DTSTART.value, props.DTSTART.params);
+    if (!start) return null;
+
+    const isDateOnly = props.DTSTART.params.VALUE === 'DATE' || /^\d{8}$/.test(props.DTSTART.value);
+    let end = null;
+    if (props.DTEND) {
+      end = this.parseDateValue(props.DTEND.value, props.DTEND.params);
+    } else if (props.DURATION) {
+      const durationMs = this.parseDuration(props.DURATION.value);
+      end = durationMs ? new Date(start.getTime() + durationMs) : null;
+    }
+    if (!end) {
+      end = new Date(start.getTime() + (isDateOnly ? DAY_MS : 60 * 60 * 1000));
+    }
+    if (end <= start) return null;
+
+    return {
+      uid: props.UID ? props.UID.value : null,
+      summary: props.SUMMARY ? this.unescapeText(props.SUMMARY.value) : null,
+      start,
+      end
+    };
+  }
+
+  /**
+   * Parse DATE (YYYYMMDD) and DATE-TIME (YYYYMMDDTHHMMSS[Z]) values.
+   * Floating and TZID times are interpreted in server local time.
+   */
+  static parseDateValue(value, params = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, y, mo, d, h, mi, s, utc] = match;
+    if (!h || params.VALUE === 'DATE') {
+      return new Date(Number(y), Number(mo) - 1, Number(d));
+    }
+    if (utc) {
+      return new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)));
+    }
+    return new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+  }
+
+  static parseDuration(value) {
+    const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, w, d, h, m, s] = match.map(v => Number(v) || 0);
+    return (((w * 7 + d) * 24 + h) * 60 + m) * 60 * 1000 + s * 1000;
+  }
+
+  /**
+   * Is an address one a feed must not be fetched from
+   * (loopback, private, link-local, ...)?
+   */
+  static isBlockedAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+      return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    const family = net.isIP(address);
+    if (!family) {
+      return true;
+    }
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * dns.lookup that refuses blocked addresses. Passed to https.get so the
+   * address checked is the one connected to.
+   */
+  static safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(feedError(FEED_UNAVAILABLE));
+      }
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      if (addresses.length === 0 || addresses.some(entry => ICalService.isBlockedAddress(entry))) {
+        return callback(feedError('Calendar URL points to a private network address'));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * Check a feed URL before fetching it
+   * webcal:// URLs are fetched over https.
+   * @returns {URL}
+   */
+  static parseFeedUrl(url) {
+    let target;
+    try {
+      target = new URL(String(url).trim().replace(/^webcal:\/\//i, 'https://'));
+    } catch (error) {
+      throw feedError('Calendar URL is not valid');
+    }
+    if (target.protocol !== 'https:') {
+      throw feedError('Calendar URL must use https');
+    }
+    if (target.username || target.password) {
+      throw feedError('Calendar URL cannot contain credentials');
+    }
+    // IP literals are connected to without a lookup
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && this.isBlockedAddress(hostname)) {
+      throw feedError('Calendar URL points to a private network address');
+    }
+    return target;
+  }
+
+  /**
+   * Download a feed over https, following a few redirects. Every hop is
+   * checked like the original URL. Errors don't reveal what the remote end
+   * answered, so the sync status can't be used to probe other servers.
+   */
+  static fetchFeed(url, redirects = 0) {
+    return new Promise((resolve, reject) => {
+      let target;
+      try {
+        target = this.parseFeedUrl(url);
+      } catch (error) {
+        return reject(error);
+      }
+
+      const request = https.get(target, {
+        headers: { 'User-Agent': 'TripMe-Calendar-Sync/1.0', Accept: 'text/calendar, */*' },
+        timeout: FETCH_TIMEOUT_MS,
+        lookup: (hostname, options, callback) => this.safeLookup(hostname, options, callback)
+      }, (response) => {
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            return reject(feedError('Too many redirects while fetching calendar'));
+          }
+          let next;
+          try {
+            next = new URL(headers.location, target).toString();
+          } catch (error) {
+            return reject(feedError(FEED_UNAVAILABLE));
+          }
+          return resolve(this.fetchFeed(next, redirects + 1));
+        }
+
+        if (statusCode !== 200) {
+          response.resume();
+          return reject(feedError(FEED_UNAVAILABLE));
+        }
+
+        let size = 0;
+        const chunks = [];
+        response.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > MAX_FEED_BYTES) {
+            request.destroy(feedError('Calendar feed is too large'));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        response.on('error', (error) => reject(error.isFeedError ? error : feedError(FEED_UNAVAILABLE)));
+      });
+
+      request.on('timeout', () => request.destroy(feedError('Timed out fetching calendar feed')));
+      request.on('error', (error) => reject(error.isFeedError ? error : feedError(FEED_UNAVAILABLE)));
+    });
+  }
+
+  // ---------- formatting helpers ----------
+
+  static formatDate(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  static formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  static escapeText(text = '') {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  static unescapeText(text = '') {
+    return String(text)
+      .replace(/\\n/gi, ' ')
+      .replace(/\\([\\;,])/g, '$1')
+      .trim();
+  }
+
+  // Fold lines longer than 75 octets (RFC 5545 §3.1)
+  static foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) return line;
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = ICalService;
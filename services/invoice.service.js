@@ -0,0 +1,648 @@
+/**
+ * Invoice Service
+ * GST tax invoices for bookings and credit notes for refunds.
+ *
+ * Every paid booking gets two invoices to the guest:
+ *   - host_supply: the accommodation/experience, issued by the host when they
+ *     have a GSTIN, otherwise by TripMe as e-commerce operator (section 9(5))
+ *   - platform_fee: TripMe's own platform and processing fees
+ * Numbers are gapless per supplier GSTIN, series and financial year.
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const InvoiceSequence = require('../models/InvoiceSequence');
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const CurrencyService = require('./currency.service');
+const JobScheduler = require('./scheduler.service');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+const { getStateCode, getStateName, isValidGstin } = require('../utils/gstStates');
+
+// Invoice number prefixes (<series>/<yy-yy>/<000001>, at most 16 characters)
+const SERIES = {
+  host_supply: 'AC',
+  platform_fee: 'PF',
+  credit_note: 'CN'
+};
+
+// Services Accounting Codes
+const SAC_CODES = {
+  accommodation: '996311', // Room or unit accommodation services
+  experience: '999799', // Other services n.e.c.
+  platformFee: '998599' // Other support services (online marketplace fees)
+};
+
+// Refunded bookings were paid first, so they are still invoiced (and credited)
+const INVOICEABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Rounding allowed per line when checking invoice totals against the amount paid
+const ROUNDING_TOLERANCE = 0.01;
+
+// Financial years are counted in IST
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class InvoiceService {
+  /**
+   * Indian financial year (April–March) a date falls in
+   * @returns {{ label: string, short: string }} e.g. { label: '2025-26', short: '25-26' }
+   */
+  static getFinancialYear(date = new Date()) {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    const endYear = String(startYear + 1).slice(2);
+
+    return {
+      label: `${startYear}-${endYear}`,
+      short: `${String(startYear).slice(2)}-${endYear}`
+    };
+  }
+
+  /**
+   * TripMe's registration, from PLATFORM_GSTIN / PLATFORM_LEGAL_NAME / PLATFORM_ADDRESS
+   * @returns {Object|null} Supplier details, or null when not configured
+   */
+  static getPlatformSupplier() {
+    const gstin = (process.env.PLATFORM_GSTIN || '').trim().toUpperCase();
+    if (!isValidGstin(gstin)) {
+      return null;
+    }
+
+    const stateCode = gstin.slice(0, 2);
+    return {
+      name: process.env.PLATFORM_LEGAL_NAME || 'TripMe',
+      legalName: process.env.PLATFORM_LEGAL_NAME || 'TripMe',
+      gstin,
+      address: process.env.PLATFORM_ADDRESS || '',
+      stateCode,
+      stateName: getStateName(stateCode)
+    };
+  }
+
+  static getHostSupplier(host) {
+    const profile = host.taxProfile || {};
+    if (!profile.gstin || !isValidGstin(profile.gstin)) {
+      return null;
+    }
+
+    const stateCode = profile.gstin.slice(0, 2);
+    return {
+      name: profile.legalName || host.name,
+      legalName: profile.legalName || host.name,
+      gstin: profile.gstin,
+      address: profile.address || '',
+      stateCode,
+      stateName: getStateName(stateCode)
+    };
+  }
+
+  static getRecipient(guest) {
+    const profile = guest.taxProfile || {};
+    const gstin = profile.gstin && isValidGstin(profile.gstin) ? profile.gstin : undefined;
+    const stateCode = gstin ? gstin.slice(0, 2) : (profile.stateCode || getStateCode(guest.location?.state));
+
+    return {
+      name: profile.legalName || guest.name,
+      legalName: profile.legalName || guest.name,
+      gstin,
+      address: profile.address || guest.location?.address || '',
+      stateCode: stateCode || undefined,
+      stateName: stateCode ? getStateName(stateCode) : undefined,
+      email: guest.email
+    };
+  }
+
+  /**
+   * Split the GST actually charged across lines in proportion to their
+   * taxable value; the last line takes the rounding
+   * @returns {number[]} Tax per line
+   */
+  static allocateTax(totalTax, taxableValues) {
+    const totalTaxable = taxableValues.reduce((total, value) => total + value, 0);
+    let remaining = toTwoDecimals(totalTax);
+
+    return taxableValues.map((value, index) => {
+      if (index === taxableValues.length - 1) {
+        return remaining;
+      }
+      const tax = totalTaxable > 0 ? toTwoDecimals(totalTax * value / totalTaxable) : 0;
+      remaining = toTwoDecimals(remaining - tax);
+      return tax;
+    });
+  }
+
+  /**
+   * Line item with CGST/SGST (intra-state) or IGST (inter-state). The tax is
+   * the amount actually charged; the rate shown is derived from it.
+   */
+  static buildLineItem({ description, sacCode, grossAmount, discount = 0, taxAmount, intraState }) {
+    const taxableValue = toTwoDecimals(Math.max(0, grossAmount - discount));
+    const tax = toTwoDecimals(taxAmount || 0);
+    const gstRate = taxableValue > 0 ? tax / taxableValue : 0;
+    const cgstAmount = intraState ? toTwoDecimals(tax / 2) : 0;
+    const sgstAmount = intraState ? toTwoDecimals(tax - cgstAmount) : 0;
+    const igstAmount = intraState ? 0 : tax;
+
+    return {
+      description,
+      sacCode,
+      quantity: 1,
+      unit: 'OTH',
+      grossAmount: toTwoDecimals(grossAmount),
+      discount: toTwoDecimals(discount),
+      taxableValue,
+      gstRate: toTwoDecimals(gstRate * 100),
+      cgstAmount,
+      sgstAmount,
+      igstAmount,
+      totalAmount: toTwoDecimals(taxableValue + cgstAmount + sgstAmount + igstAmount)
+    };
+  }
+
+  static sumTotals(lineItems) {
+    const sum = (field) => toTwoDecimals(lineItems.reduce((total, item) => total + (item[field] || 0), 0));
+    const cgstAmount = sum('cgstAmount');
+    const sgstAmount = sum('sgstAmount');
+    const igstAmount = sum('igstAmount');
+
+    return {
+      taxableValue: sum('taxableValue'),
+      cgstAmount,
+      sgstAmount,
+      igstAmount,
+      totalTax: toTwoDecimals(cgstAmount + sgstAmount + igstAmount),
+      grandTotal: sum('totalAmount')
+    };
+  }
+
+  /**
+   * Create an invoice/credit note with the next number in its series.
+   * Must run inside a transaction so a failed insert does not burn a number.
+   */
+  static async createNumbered(payload, session) {
+    const series = payload.documentType === 'credit_note' ? SERIES.credit_note : SERIES[payload.invoiceType];
+    const issuedAt = payload.issuedAt || new Date();
+    const financialYear = this.getFinancialYear(issuedAt);
+
+    const counter = await InvoiceSequence.findOneAndUpdate(
+      { gstin: payload.supplier.gstin, series, financialYear: financialYear.label },
+      { $inc: { lastNumber: 1 } },
+      { upsert: true, new: true, session }
+    );
+
+    const [invoice] = await Invoice.create([{
+      ...payload,
+      issuedAt,
+      series,
+      financialYear: financialYear.label,
+      sequence: counter.lastNumber,
+      invoiceNumber: `${series}/${financialYear.short}/${String(counter.lastNumber).padStart(6, '0')}`
+    }], { session });
+
+    return invoice;
+  }
+
+  /**
+   * Booking amounts in INR (invoices are always in INR), at the rate locked
+   * on the booking when it has one
+   */
+  static async getInrConversion(booking) {
+    const currency = booking.currency || 'INR';
+    if (currency === 'INR') {
+      return { rate: 1, conversion: undefined };
+    }
+
+    const rate = booking.exchange?.inrRate || await CurrencyService.getRate(currency, 'INR');
+    return { rate, conversion: { currency, rate } };
+  }
+
+  /**
+   * Draft payloads for a booking's invoices (without numbers). Pricing charges
+   * GST on the booking subtotal only, so the GST collected goes on the host
+   * supply lines and the platform fee lines carry none. The invoices add up to
+   * what the guest paid, less the security deposit.
+   */
+  static async buildBookingInvoices(booking, platform) {
+    const { rate, conversion } = await this.getInrConversion(booking);
+    const inr = (amount) => CurrencyService.convert(amount || 0, rate);
+    const recipient = this.getRecipient(booking.user);
+    const isService = booking.bookingType === 'service';
+    const item = booking.listing || booking.service;
+    const common = {
+      documentType: 'invoice',
+      booking: booking._id,
+      guest: booking.user._id,
+      host: booking.host._id,
+      recipient,
+      currency: 'INR',
+      conversion
+    };
+
+    const drafts = [];
+
+    // Host supply: accommodation/experience charges, place of supply is where it is provided
+    const hostSupplier = this.getHostSupplier(booking.host);
+    const supplier = hostSupplier || platform;
+    const propertyStateCode = getStateCode(item?.location?.state) || supplier.stateCode;
+    const hostIntraState = supplier.stateCode === propertyStateCode;
+    const hostBreakdown = booking.pricingBreakdown?.hostBreakdown || {};
+    const cleaningFee = booking.cleaningFee || 0;
+    const serviceFee = booking.serviceFee || 0;
+    const hostSubtotal = hostBreakdown.subtotal ?? (booking.subtotal - (booking.securityDeposit || 0));
+    // Coupons and the host's own promotion both reduce the accommodation line
+    const discount = (booking.discountAmount || 0) + (hostBreakdown.promotionDiscount || 0);
+    const baseAmount = hostSubtotal + discount - cleaningFee - serviceFee;
+
+    const hostItems = [{
+      description: isService ? `Experience – ${item?.title || 'Service'}` : `Accommodation – ${item?.title || 'Stay'}`,
+      sacCode: isService ? SAC_CODES.experience : SAC_CODES.accommodation,
+      grossAmount: inr(baseAmount),
+      discount: inr(discount)
+    }];
+    if (cleaningFee > 0) {
+      hostItems.push({
+        description: 'Cleaning fee',
+        sacCode: isService ? SAC_CODES.experience : SAC_CODES.accommodation,
+        grossAmount: inr(cleaningFee)
+      });
+    }
+    if (serviceFee > 0) {
+      hostItems.push({
+        description: 'Host service fee',
+        sacCode: isService ? SAC_CODES.experience : SAC_CODES.accommodation,
+        grossAmount: inr(serviceFee)
+      });
+    }
+    const hostTaxes = this.allocateTax(
+      inr(booking.gst ?? booking.taxAmount),
+      hostItems.map(line => Math.max(0, line.grossAmount - (line.discount || 0)))
+    );
+    const hostLines = hostItems.map((line, index) => this.buildLineItem({
+      ...line,
+      taxAmount: hostTaxes[index],
+      intraState: hostIntraState
+    }));
+
+    const hostNotes = [];
+    if (!hostSupplier) {
+      hostNotes.push(`Issued by ${platform.name} as electronic commerce operator under section 9(5) of the CGST Act on behalf of ${booking.host.name}`);
+    }
+    if (booking.securityDeposit > 0) {
+      hostNotes.push(`Refundable security deposit of ₹${inr(booking.securityDeposit)} collected separately; not a supply`);
+      if (booking.gst > 0 && booking.subtotal > 0) {
+        const depositTax = toTwoDecimals(inr(booking.gst) * booking.securityDeposit / booking.subtotal);
+        hostNotes.push(`GST above includes ₹${depositTax} charged on the security deposit`);
+      }
+    }
+
+    drafts.push({
+      ...common,
+      invoiceType: 'host_supply',
+      supplier,
+      issuedOnBehalfOf: hostSupplier ? undefined : { name: booking.host.name, user: booking.host._id },
+      placeOfSupply: { stateCode: propertyStateCode, stateName: getStateName(propertyStateCode) },
+      supplyType: hostIntraState ? 'intra_state' : 'inter_state',
+      lineItems: hostLines,
+      totals: this.sumTotals(hostLines),
+      notes: hostNotes
+    });
+
+    // Platform fees: TripMe's own supply, place of supply is the recipient's state
+    const platformFee = booking.platformFee || 0;
+    const processingFee = booking.processingFee || 0;
+    if (platformFee + processingFee > 0) {
+      const feeStateCode = recipient.stateCode || platform.stateCode;
+      const feeIntraState = platform.stateCode === feeStateCode;
+      const feeLines = [];
+
+      if (platformFee > 0) {
+        feeLines.push(this.buildLineItem({
+          description: 'Platform fee',
+          sacCode: SAC_CODES.platformFee,
+          grossAmount: inr(platformFee),
+          intraState: feeIntraState
+        }));
+      }
+      if (processingFee > 0) {
+        feeLines.push(this.buildLineItem({
+          description: 'Payment processing fee',
+          sacCode: SAC_CODES.platformFee,
+          grossAmount: inr(processingFee),
+          intraState: feeIntraState
+        }));
+      }
+
+      drafts.push({
+        ...common,
+        invoiceType: 'platform_fee',
+        supplier: platform,
+        placeOfSupply: { stateCode: feeStateCode, stateName: getStateName(feeStateCode) },
+        supplyType: feeIntraState ? 'intra_state' : 'inter_state',
+        lineItems: feeLines,
+        totals: this.sumTotals(feeLines),
+        notes: ['No GST was charged on these fees']
+      });
+    }
+
+    // The invoices must account for exactly what was paid
+    const invoiced = toTwoDecimals(drafts.reduce((total, draft) => total + draft.totals.grandTotal, 0));
+    const paid = inr(booking.totalAmount - (booking.securityDeposit || 0));
+    const lineCount = drafts.reduce((total, draft) => total + draft.lineItems.length, 0);
+    if (Math.abs(invoiced - paid) > ROUNDING_TOLERANCE * lineCount) {
+      throw new Error(`Invoices for booking ${booking._id} total ₹${invoiced} but ₹${paid} was paid (excluding the security deposit)`);
+    }
+
+    return drafts;
+  }
+
+  /**
+   * Queue invoice generation for a paid booking (once per booking)
+   * Never throws: a failure here must not fail the payment flow.
+   */
+  static async queueBookingInvoices(bookingId) {
+    try {
+      await JobScheduler.enqueue('issue-booking-invoices', { bookingId: bookingId.toString() }, {
+        uniqueKey: bookingId.toString()
+      });
+    } catch (error) {
+      console.error(`❌ Failed to queue invoices for booking ${bookingId}:`, error.message);
+    }
+  }
+
+  /**
+   * Queue credit notes for a completed refund (once per refund)
+   */
+  static async queueCreditNotes(refundId) {
+    try {
+      await JobScheduler.enqueue('issue-credit-notes', { refundId: refundId.toString() }, {
+        uniqueKey: refundId.toString()
+      });
+    } catch (error) {
+      console.error(`❌ Failed to queue credit notes for refund ${refundId}:`, error.message);
+    }
+  }
+
+  /**
+   * ==== ISSUE INVOICES FOR A PAID BOOKING ====
+   * Idempotent: invoice types the booking already has are skipped.
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Array>} The booking's invoices
+   */
+  static async issueBookingInvoices(bookingId) {
+    const platform = this.getPlatformSupplier();
+    if (!platform) {
+      console.warn('⚠️ PLATFORM_GSTIN not configured - skipping invoice generation');
+      return [];
+    }
+
+    const booking = await Booking.findById(bookingId)
+      .populate('user', 'name email location taxProfile')
+      .populate('host', 'name email taxProfile')
+      .populate('listing', 'title location')
+      .populate('service', 'title location');
+
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (!INVOICEABLE_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+      throw httpError(400, 'Invoices are only issued for paid bookings');
+    }
+
+    const existing = await Invoice.find({ booking: booking._id, documentType: 'invoice' });
+    const existingTypes = new Set(existing.map(invoice => invoice.invoiceType));
+    const drafts = (await this.buildBookingInvoices(booking, platform))
+      .filter(draft => !existingTypes.has(draft.invoiceType));
+
+    if (drafts.length === 0) {
+      return existing;
+    }
+
+    const session = await mongoose.startSession();
+    let created = [];
+    try {
+      await session.withTransaction(async () => {
+        created = [];
+        for (const draft of drafts) {
+          created.push(await this.createNumbered(draft, session));
+        }
+      });
+    } catch (error) {
+      // Another worker issued them first
+      if (error.code === 11000) {
+        return Invoice.find({ booking: booking._id, documentType: 'invoice' });
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    console.log(`🧾 Issued ${created.map(invoice => invoice.invoiceNumber).join(', ')} for booking ${booking._id}`);
+
+    return [...existing, ...created];
+  }
+
+  /**
+   * ==== CREDIT NOTES FOR A COMPLETED REFUND ====
+   * The refunded amount (less any security deposit, which was never invoiced)
+   * is credited against the booking's invoices in proportion to what each
+   * still has outstanding. One credit note per invoice; idempotent per refund.
+   * @param {string} refundId - Refund ID
+   * @returns {Promise<Array>} Credit notes for the refund
+   */
+  static async issueCreditNotesForRefund(refundId) {
+    const refund = await Refund.findById(refundId);
+    if (!refund) {
+      throw httpError(404, 'Refund not found');
+    }
+    if (refund.status !== 'completed') {
+      throw httpError(400, 'Credit notes are only issued for completed refunds');
+    }
+
+    const alreadyIssued = await Invoice.find({ refund: refund._id, documentType: 'credit_note' });
+    if (alreadyIssued.length > 0) {
+      return alreadyIssued;
+    }
+
+    // Invoices may not exist yet if the booking job has not run
+    const invoices = await this.issueBookingInvoices(refund.booking);
+    if (invoices.length === 0) {
+      return [];
+    }
+
+    // Credit at the rate the invoices were issued at
+    const rate = invoices[0].conversion?.rate || 1;
+    const deposit = refund.refundBreakdown?.securityDeposit || 0;
+    const creditable = CurrencyService.convert(Math.max(0, refund.amount - deposit), rate);
+    if (creditable <= 0) {
+      return [];
+    }
+
+    // What each invoice still has outstanding after earlier credit notes
+    const priorNotes = await Invoice.find({
+      originalInvoice: { $in: invoices.map(invoice => invoice._id) },
+      documentType: 'credit_note'
+    });
+    const outstanding = invoices.map(invoice => {
+      const credited = priorNotes
+        .filter(note => note.originalInvoice.equals(invoice._id))
+        .reduce((total, note) => total + note.totals.grandTotal, 0);
+      return { invoice, remaining: toTwoDecimals(invoice.totals.grandTotal - credited) };
+    }).filter(entry => entry.remaining > 0);
+
+    const totalRemaining = outstanding.reduce((total, entry) => total + entry.remaining, 0);
+    if (totalRemaining <= 0) {
+      return [];
+    }
+    const share = Math.min(1, creditable / totalRemaining);
+
+    const drafts = outstanding.map(({ invoice, remaining }) => {
+      const ratio = (remaining * share) / invoice.totals.grandTotal;
+      const intraState = invoice.supplyType === 'intra_state';
+      const lineItems = invoice.lineItems.map(line => this.buildLineItem({
+        description: `${line.description} (credit)`,
+        sacCode: line.sacCode,
+        grossAmount: line.taxableValue * ratio,
+        taxAmount: (line.cgstAmount + line.sgstAmount + line.igstAmount) * ratio,
+        intraState
+      }));
+
+      return {
+        documentType: 'credit_note',
+        invoiceType: invoice.invoiceType,
+        booking: invoice.booking,
+        guest: invoice.guest,
+        host: invoice.host,
+        refund: refund._id,
+        originalInvoice: invoice._id,
+        supplier: invoice.supplier,
+        recipient: invoice.recipient,
+        issuedOnBehalfOf: invoice.issuedOnBehalfOf,
+        placeOfSupply: invoice.placeOfSupply,
+        supplyType: invoice.supplyType,
+        currency: invoice.currency,
+        conversion: invoice.conversion,
+        lineItems,
+        totals: this.sumTotals(lineItems),
+        notes: [`Against invoice ${invoice.invoiceNumber} dated ${invoice.issuedAt.toISOString().slice(0, 10)} – refund ${refund._id}`]
+      };
+    });
+
+    const session = await mongoose.startSession();
+    let created = [];
+    try {
+      await session.withTransaction(async () => {
+        created = [];
+        for (const draft of drafts) {
+          created.push(await this.createNumbered(draft, session));
+        }
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return Invoice.find({ refund: refund._id, documentType: 'credit_note' });
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    console.log(`🧾 Issued credit notes ${created.map(note => note.invoiceNumber).join(', ')} for refund ${refund._id}`);
+
+    return created;
+  }
+
+  /**
+   * Whether a user may view an invoice (guest, host or admin)
+   */
+  static canAccess(invoice, user) {
+    if (!user) {
+      return false;
+    }
+    if (user.role === 'admin') {
+      return true;
+    }
+    const userId = user._id.toString();
+    return invoice.guest.toString() === userId || invoice.host.toString() === userId;
+  }
+
+  /**
+   * Machine-readable form following the GST e-invoice (INV-01) schema layout
+   * @param {Object} invoice - Invoice document (originalInvoice populated for credit notes)
+   * @returns {Object}
+   */
+  static toGstJson(invoice) {
+    const issued = new Date(invoice.issuedAt);
+    const date = [
+      String(issued.getDate()).padStart(2, '0'),
+      String(issued.getMonth() + 1).padStart(2, '0'),
+      issued.getFullYear()
+    ].join('/');
+
+    return {
+      Version: '1.1',
+      TranDtls: {
+        TaxSch: 'GST',
+        SupTyp: invoice.recipient?.gstin ? 'B2B' : 'B2C',
+        RegRev: invoice.reverseCharge ? 'Y' : 'N',
+        EcmGstin: invoice.issuedOnBehalfOf?.name ? invoice.supplier.gstin : null
+      },
+      DocDtls: {
+        Typ: invoice.documentType === 'credit_note' ? 'CRN' : 'INV',
+        No: invoice.invoiceNumber,
+        Dt: date
+      },
+      SellerDtls: {
+        Gstin: invoice.supplier.gstin,
+        LglNm: invoice.supplier.legalName || invoice.supplier.name,
+        Addr1: invoice.supplier.address,
+        Stcd: invoice.supplier.stateCode
+      },
+      BuyerDtls: {
+        Gstin: invoice.recipient?.gstin || 'URP',
+        LglNm: invoice.recipient?.legalName || invoice.recipient?.name,
+        Pos: invoice.placeOfSupply?.stateCode,
+        Addr1: invoice.recipient?.address,
+        Stcd: invoice.recipient?.stateCode
+      },
+      ItemList: invoice.lineItems.map((line, index) => ({
+        SlNo: String(index + 1),
+        PrdDesc: line.description,
+        IsServc: 'Y',
+        HsnCd: line.sacCode,
+        Qty: line.quantity,
+        Unit: line.unit,
+        UnitPrice: line.grossAmount,
+        TotAmt: line.grossAmount,
+        Discount: line.discount,
+        AssAmt: line.taxableValue,
+        GstRt: line.gstRate,
+        IgstAmt: line.igstAmount,
+        CgstAmt: line.cgstAmount,
+        SgstAmt: line.sgstAmount,
+        TotItemVal: line.totalAmount
+      })),
+      ValDtls: {
+        AssVal: invoice.totals.taxableValue,
+        CgstVal: invoice.totals.cgstAmount,
+        SgstVal: invoice.totals.sgstAmount,
+        IgstVal: invoice.totals.igstAmount,
+        TotInvVal: invoice.totals.grandTotal
+      },
+      ...(invoice.documentType === 'credit_note' && invoice.originalInvoice?.invoiceNumber && {
+        RefDtls: {
+          PrecDocDtls: [{
+            InvNo: invoice.originalInvoice.invoiceNumber,
+            InvDt: new Date(invoice.originalInvoice.issuedAt).toISOString().slice(0, 10)
+          }]
+        }
+      })
+    };
+  }
+}
+
+module.exports = InvoiceService;
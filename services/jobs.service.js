@@ -0,0 +1,148 @@
+/**
+ * Scheduled Jobs
+ * Registers every background job with the scheduler. Called once from server.js.
+ */
+
+const JobScheduler = require('./scheduler.service');
+const ICalService = require('./ical.service');
+const PaymentService = require('./payment.service');
+const BookingRequestService = require('./bookingRequest.service');
+const InvoiceService = require('./invoice.service');
+const WebhookEventService = require('./webhookEvent.service');
+const LedgerService = require('./ledger.service');
+const PayoutService = require('./payout.service');
+const PaymentPlanService = require('./paymentPlan.service');
+const WalletService = require('./wallet.service');
+const DamageClaimService = require('./damageClaim.service');
+const PaymentMethodService = require('./paymentMethod.service');
+const ReferralService = require('./referral.service');
+const bookingController = require('../controllers/booking.controller');
+const availabilityController = require('../controllers/availability.controller');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Register job handlers (needed on every instance that runs jobs or enqueues them)
+ */
+function registerJobs() {
+  // Release payment holds on bookings/availability that were never paid
+  JobScheduler.define('cleanup-expired-blocks', async () => {
+    const bookings = await bookingController.cleanupExpiredBlockedBookings();
+    const availability = await availabilityController.cleanupExpiredBlockedAvailability();
+
+    return {
+      bookingsCleaned: bookings?.cleaned || 0,
+      availabilityCleaned: availability?.cleaned || 0
+    };
+  }, { maxAttempts: 2, backoffMs: 30 * 1000, lockTimeoutMs: 5 * MINUTE });
+
+  // Import external iCal feeds (Airbnb, Booking.com, ...) as host blocks
+  JobScheduler.define('ical-sync', async () => {
+    const intervalMinutes = parseInt(process.env.ICAL_SYNC_INTERVAL_MINUTES, 10) || 30;
+
+    const result = await ICalService.syncDueCalendars(intervalMinutes);
+    if (result.synced || result.failed) {
+      console.log(`📅 iCal sync: ${result.synced} synced, ${result.failed} failed`);
+    }
+    return result;
+  }, { maxAttempts: 1, lockTimeoutMs: 15 * MINUTE });
+
+  // Expire booking requests the host did not answer in time (releases dates, refunds the guest)
+  JobScheduler.define('expire-booking-requests', async () => {
+    return BookingRequestService.expireUnansweredRequests();
+  }, { maxAttempts: 2, backoffMs: MINUTE, lockTimeoutMs: 10 * MINUTE });
+
+  // Remind guests of payment plan balances coming due (7, 3 and 1 days before)
+  JobScheduler.define('send-balance-reminders', async () => {
+    return PaymentPlanService.sendBalanceReminders();
+  }, { maxAttempts: 2, backoffMs: MINUTE, lockTimeoutMs: 10 * MINUTE });
+
+  // Cancel payment plan bookings whose balance is past due (releases dates, refunds the deposit per policy)
+  JobScheduler.define('cancel-unpaid-balances', async () => {
+    return PaymentPlanService.cancelUnpaidBookings();
+  }, { maxAttempts: 2, backoffMs: MINUTE, lockTimeoutMs: 10 * MINUTE });
+
+  // Simulated gateway completion for host payouts (one-off, payload: { payoutId })
+  JobScheduler.define('complete-host-payout', async ({ payoutId }) => {
+    return PaymentService.completeHostPayout(payoutId);
+  }, { maxAttempts: 5, backoffMs: MINUTE });
+
+  // GST invoices for a paid booking (one-off, payload: { bookingId })
+  JobScheduler.define('issue-booking-invoices', async ({ bookingId }) => {
+    const invoices = await InvoiceService.issueBookingInvoices(bookingId);
+    return { invoices: invoices.map(invoice => invoice.invoiceNumber) };
+  }, { maxAttempts: 5, backoffMs: MINUTE });
+
+  // Credit notes for a completed refund (one-off, payload: { refundId })
+  JobScheduler.define('issue-credit-notes', async ({ refundId }) => {
+    const notes = await InvoiceService.issueCreditNotesForRefund(refundId);
+    return { creditNotes: notes.map(note => note.invoiceNumber) };
+  }, { maxAttempts: 5, backoffMs: MINUTE });
+
+  // Host payouts for a settled payment under the payout policy (one-off, payload: { paymentId })
+  JobScheduler.define('schedule-host-payouts', async ({ paymentId }) => {
+    return PayoutService.scheduleForPayment(paymentId);
+  }, { maxAttempts: 5, backoffMs: MINUTE });
+
+  // Take lapsed goodwill credit out of guest wallets
+  JobScheduler.define('expire-wallet-credits', async () => {
+    return WalletService.expireCredits();
+  }, { maxAttempts: 2, backoffMs: MINUTE, lockTimeoutMs: 10 * MINUTE });
+
+  // Refund security deposits whose damage claim window closed without a claim
+  JobScheduler.define('release-security-deposits', async () => {
+    return DamageClaimService.releaseExpiredDeposits();
+  }, { maxAttempts: 2, backoffMs: MINUTE, lockTimeoutMs: 10 * MINUTE });
+
+  // Refund the rest of the deposit for a settled damage claim when the refund or its gateway call failed at settlement (one-off, payload: { claimId })
+  JobScheduler.define('refund-claim-deposit', async ({ claimId }) => {
+    return DamageClaimService.refundRemainder(claimId);
+  }, { maxAttempts: 8, backoffMs: MINUTE });
+
+  // Send damage claims the guest did not answer in time to an admin
+  JobScheduler.define('escalate-damage-claims', async () => {
+    return DamageClaimService.escalateUnansweredClaims();
+  }, { maxAttempts: 2, backoffMs: MINUTE, lockTimeoutMs: 10 * MINUTE });
+
+  // Warn guests about saved cards that are about to expire
+  JobScheduler.define('warn-expiring-payment-methods', async () => {
+    return PaymentMethodService.warnExpiringMethods();
+  }, { maxAttempts: 2, backoffMs: MINUTE, lockTimeoutMs: 10 * MINUTE });
+
+  // Double-entry ledger posting (one-off, payload: { source, ...ids })
+  JobScheduler.define('post-ledger-entry', async (data) => {
+    return LedgerService.post(data);
+  }, { maxAttempts: 8, backoffMs: MINUTE });
+
+  // Reward both sides of referrals whose referee has completed a booking
+  JobScheduler.define('issue-referral-rewards', async () => {
+    return ReferralService.issueDueRewards();
+  }, { maxAttempts: 2, backoffMs: MINUTE, lockTimeoutMs: 10 * MINUTE });
+
+  // Reprocess stored gateway webhooks that failed (each event has its own backoff)
+  JobScheduler.define('retry-webhook-events', async () => {
+    return WebhookEventService.retryDueEvents();
+  }, { maxAttempts: 1, lockTimeoutMs: 10 * MINUTE });
+}
+
+/**
+ * Create/refresh the recurring job schedule
+ */
+async function scheduleRecurringJobs() {
+  await JobScheduler.every('cleanup-expired-blocks', 3 * MINUTE, { firstRunDelayMs: 5000 });
+  await JobScheduler.every('ical-sync', 5 * MINUTE);
+  await JobScheduler.every('expire-booking-requests', 5 * MINUTE);
+  await JobScheduler.every('send-balance-reminders', 60 * MINUTE);
+  await JobScheduler.every('cancel-unpaid-balances', 15 * MINUTE);
+  await JobScheduler.every('expire-wallet-credits', 60 * MINUTE);
+  await JobScheduler.every('release-security-deposits', 60 * MINUTE);
+  await JobScheduler.every('escalate-damage-claims', 30 * MINUTE);
+  await JobScheduler.every('warn-expiring-payment-methods', 6 * 60 * MINUTE);
+  await JobScheduler.every('issue-referral-rewards', 15 * MINUTE);
+  await JobScheduler.every('retry-webhook-events', 2 * MINUTE);
+}
+
+module.exports = {
+  registerJobs,
+  scheduleRecurringJobs
+};
@@ -0,0 +1,1045 @@
+/**
+ * Ledger Service
+ * Double-entry ledger for every movement of money.
+ *
+ * A paid booking posts two entries:
+ *   booking_charge  Dr guest_receivables / Cr host_payables, gst_payable,
+ *                   security_deposits, platform_fee_revenue, processing_fee_revenue
+ *   payment         Dr gateway_clearing / Cr guest_receivables
+ * Payment plan bookings are charged in full with the deposit; the balance
+ * payment only posts its receipt, and a plan that defaults takes the
+ * uncollected balance back off the charge.
+ * Refunds debit what was charged (revenue through the refunds account) and
+ * credit gateway_clearing. Payouts debit host_payables and credit
+ * gateway_clearing. Reversals post the mirror image of an entry.
+ * Wallet money is a liability to the guest (wallet_balances): the wallet
+ * part of a payment is debited there instead of gateway_clearing and the
+ * wallet part of a refund is credited there. Goodwill credit is an expense
+ * (Dr goodwill_expense / Cr wallet_balances); expired credit reverses it.
+ * Referral reward credit is posted the same way to referral_expense.
+ * Security deposit awarded to a host on a damage claim moves from
+ * security_deposits to host_payables and is then paid out like any payout.
+ * A lost chargeback is posted like a refund of the amount the gateway took back.
+ *
+ * Amounts are in the booking currency. Postings are queued as scheduler jobs
+ * and are idempotent: each entry has a unique key.
+ */
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const Payout = require('../models/Payout');
+const WalletTransaction = require('../models/WalletTransaction');
+const DamageClaim = require('../models/DamageClaim');
+const Dispute = require('../models/Dispute');
+const JobScheduler = require('./scheduler.service');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+
+// Chart of accounts. Debit-normal accounts grow with debits, credit-normal with credits.
+const ACCOUNTS = {
+  gateway_clearing: { name: 'Gateway clearing (funds held by payment gateways)', type: 'asset', normal: 'debit' },
+  guest_receivables: { name: 'Guest receivables', type: 'asset', normal: 'debit' },
+  host_payables: { name: 'Host payables', type: 'liability', normal: 'credit' },
+  gst_payable: { name: 'GST payable', type: 'liability', normal: 'credit' },
+  security_deposits: { name: 'Security deposits held', type: 'liability', normal: 'credit' },
+  platform_fee_revenue: { name: 'Platform fee revenue', type: 'revenue', normal: 'credit' },
+  processing_fee_revenue: { name: 'Processing fees', type: 'revenue', normal: 'credit' },
+  refunds: { name: 'Refunds', type: 'contra_revenue', normal: 'debit' },
+  wallet_balances: { name: 'Guest wallet balances', type: 'liability', normal: 'credit' },
+  goodwill_expense: { name: 'Goodwill credit', type: 'expense', normal: 'debit' },
+  referral_expense: { name: 'Referral rewards', type: 'expense', normal: 'debit' }
+};
+
+// Account each charged component is credited to, and the account its refunds are debited to
+const COMPONENT_ACCOUNTS = {
+  host: { charge: 'host_payables', refund: 'host_payables' },
+  gst: { charge: 'gst_payable', refund: 'gst_payable' },
+  deposit: { charge: 'security_deposits', refund: 'security_deposits' },
+  platform_fee: { charge: 'platform_fee_revenue', refund: 'refunds' },
+  processing_fee: { charge: 'processing_fee_revenue', refund: 'refunds' }
+};
+
+const SETTLED_PAYMENT_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+const TOLERANCE = 0.01;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// A line on its normal side; negative amounts go on the other side, zero is dropped
+const debit = (account, amount, extra = {}) => {
+  const value = toTwoDecimals(amount || 0);
+  if (Math.abs(value) < TOLERANCE) return null;
+  return value > 0
+    ? { account, debit: value, credit: 0, ...extra }
+    : { account, debit: 0, credit: -value, ...extra };
+};
+
+const credit = (account, amount, extra = {}) => debit(account, -(amount || 0), extra);
+
+class LedgerService {
+  static get ACCOUNTS() {
+    return ACCOUNTS;
+  }
+
+  /**
+   * Queue a posting (never throws: a missing posting is caught by reconciliation)
+   * @param {string} source - payment | refund | gateway_refund | payout | payout_reversal | modification | plan_default | wallet_transaction | damage_claim | chargeback
+   * @param {Object} data - Source IDs
+   * @param {string} uniqueKey - Queued once per key
+   */
+  static async queuePosting(source, data, uniqueKey) {
+    try {
+      await JobScheduler.enqueue('post-ledger-entry', { source, ...data }, { uniqueKey: `${source}:${uniqueKey}` });
+    } catch (error) {
+      console.error(`❌ Failed to queue ledger posting ${source}:${uniqueKey}:`, error.message);
+    }
+  }
+
+  static queuePayment(paymentId) {
+    return this.queuePosting('payment', { paymentId: paymentId.toString() }, paymentId.toString());
+  }
+
+  static queueRefund(refundId) {
+    return this.queuePosting('refund', { refundId: refundId.toString() }, refundId.toString());
+  }
+
+  // Refund made straight through the gateway, without a Refund record
+  static queueGatewayRefund(paymentId, gatewayRefundId, amount) {
+    return this.queuePosting('gateway_refund', {
+      paymentId: paymentId.toString(),
+      gatewayRefundId,
+      amount
+    }, gatewayRefundId);
+  }
+
+  static queuePayout(payoutId) {
+    return this.queuePosting('payout', { payoutId: payoutId.toString() }, payoutId.toString());
+  }
+
+  static queuePayoutReversal(payoutId) {
+    return this.queuePosting('payout_reversal', { payoutId: payoutId.toString() }, payoutId.toString());
+  }
+
+  static queueModification(bookingId, modificationId) {
+    return this.queuePosting('modification', {
+      bookingId: bookingId.toString(),
+      modificationId: modificationId.toString()
+    }, modificationId.toString());
+  }
+
+  static queuePlanDefault(bookingId) {
+    return this.queuePosting('plan_default', { bookingId: bookingId.toString() }, bookingId.toString());
+  }
+
+  static queueWalletTransaction(transactionId) {
+    return this.queuePosting('wallet_transaction', { transactionId: transactionId.toString() }, transactionId.toString());
+  }
+
+  static queueDamageClaim(claimId) {
+    return this.queuePosting('damage_claim', { claimId: claimId.toString() }, claimId.toString());
+  }
+
+  static queueChargeback(disputeId) {
+    return this.queuePosting('chargeback', { disputeId: disputeId.toString() }, disputeId.toString());
+  }
+
+  /**
+   * Run a queued posting (the 'post-ledger-entry' job)
+   */
+  static async post({ source, ...data }) {
+    switch (source) {
+      case 'payment':
+        return this.recordPayment(data.paymentId);
+      case 'refund':
+        return this.recordRefund(data.refundId);
+      case 'gateway_refund':
+        return this.recordGatewayRefund(data.paymentId, data.gatewayRefundId, data.amount);
+      case 'payout':
+        return this.recordPayout(data.payoutId);
+      case 'payout_reversal':
+        return this.recordPayoutReversal(data.payoutId);
+      case 'modification':
+        return this.recordModification(data.bookingId, data.modificationId);
+      case 'plan_default':
+        return this.recordPlanDefault(data.bookingId);
+      case 'wallet_transaction':
+        return this.recordWalletTransaction(data.transactionId);
+      case 'damage_claim':
+        return this.recordDamageClaim(data.claimId);
+      case 'chargeback':
+        return this.recordChargeback(data.disputeId);
+      default:
+        throw new Error(`Unknown ledger posting source: ${source}`);
+    }
+  }
+
+  /**
+   * Write an entry once. A second posting with the same key returns the first.
+   */
+  static async postEntry({ lines, ...entry }) {
+    const existing = await LedgerEntry.findOne({ key: entry.key });
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      const created = await LedgerEntry.create({ ...entry, lines: lines.filter(Boolean) });
+      console.log(`📒 Ledger ${created.type} ${created.key}: ${created.totalDebit} ${created.currency}`);
+      return created;
+    } catch (error) {
+      if (error.code === 11000) {
+        return LedgerEntry.findOne({ key: entry.key });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * ==== PAYMENT ====
+   * Charge the guest for the booking and record the money received.
+   * Posted once the payment has settled. A payment plan deposit charges the
+   * whole booking; the balance payment is only a receipt.
+   */
+  static async recordPayment(paymentId) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+    if (!SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+      return { posted: false, reason: `Payment is ${payment.status}` };
+    }
+
+    const currency = payment.currency || 'INR';
+    const amount = toTwoDecimals(payment.amount);
+    const walletAmount = toTwoDecimals(payment.walletAmount || 0);
+    const hostEarning = toTwoDecimals(payment.commission?.hostEarning || 0);
+    const gst = toTwoDecimals(payment.gst ?? payment.taxes ?? 0);
+    const processingFee = toTwoDecimals(payment.processingFee ?? payment.commission?.processingFee ?? 0);
+    const deposit = toTwoDecimals(payment.securityDeposit || 0);
+    const refs = { booking: payment.booking, payment: payment._id, guest: payment.user, host: payment.host, currency };
+    const keys = [];
+
+    if (payment.installment !== 'balance') {
+      const chargeAmount = payment.installment === 'deposit'
+        ? toTwoDecimals(payment.pricingBreakdown?.customerBreakdown?.totalAmount ?? amount)
+        : amount;
+      // Guest service fee plus host commission (and any rounding)
+      const platformFee = toTwoDecimals(chargeAmount - hostEarning - gst - processingFee - deposit);
+
+      const charge = await this.postEntry({
+        ...refs,
+        key: `payment:${payment._id}:charge`,
+        type: 'booking_charge',
+        description: `Booking charge for payment ${payment._id}`,
+        postedAt: payment.createdAt,
+        lines: [
+          debit('guest_receivables', chargeAmount),
+          credit('host_payables', hostEarning, { component: 'host' }),
+          credit('gst_payable', gst, { component: 'gst' }),
+          credit('security_deposits', deposit, { component: 'deposit' }),
+          credit('platform_fee_revenue', platformFee, { component: 'platform_fee' }),
+          credit('processing_fee_revenue', processingFee, { component: 'processing_fee' })
+        ]
+      });
+      keys.push(charge.key);
+    }
+
+    const receipt = await this.postEntry({
+      ...refs,
+      key: `payment:${payment._id}:receipt`,
+      type: 'payment',
+      description: `Payment received via ${payment.paymentDetails?.paymentGateway || 'gateway'} (${payment.paymentDetails?.transactionId || payment._id})`,
+      postedAt: payment.createdAt,
+      lines: [
+        debit('gateway_clearing', amount - walletAmount),
+        debit('wallet_balances', walletAmount, { memo: 'Paid from wallet' }),
+        credit('guest_receivables', amount)
+      ]
+    });
+    keys.push(receipt.key);
+
+    return { posted: true, entries: keys };
+  }
+
+  /**
+   * What a booking's entries have charged and refunded, per component,
+   * and what it owes the guest (negative receivable)
+   */
+  static async getBookingPosition(bookingId) {
+    const entries = await LedgerEntry.find({ booking: bookingId }).select('type lines reversalOf');
+    const types = new Map(entries.map(entry => [entry._id.toString(), entry.type]));
+    const position = {
+      hasCharge: false,
+      receivable: 0,
+      components: Object.fromEntries(Object.keys(COMPONENT_ACCOUNTS).map(key => [key, { charged: 0, refunded: 0 }]))
+    };
+
+    for (const entry of entries) {
+      // A reversal counts as the kind of entry it reverses
+      const type = entry.type === 'reversal' ? types.get(entry.reversalOf?.toString()) : entry.type;
+      if (entry.type === 'booking_charge') {
+        position.hasCharge = true;
+      }
+      for (const line of entry.lines) {
+        if (line.account === 'guest_receivables') {
+          position.receivable += line.debit - line.credit;
+        }
+        if (!line.component) continue;
+
+        const component = position.components[line.component];
+        const accounts = COMPONENT_ACCOUNTS[line.component];
+        if (line.account === accounts.charge && type !== 'refund') {
+          component.charged += line.credit - line.debit;
+        } else if (line.account === accounts.refund) {
+          component.refunded += line.debit - line.credit;
+        }
+      }
+    }
+
+    position.receivable = toTwoDecimals(position.receivable);
+    return position;
+  }
+
+  /**
+   * Debit lines for a refund: first anything already owed to the guest, then
+   * each component in proportion to what is still outstanding on it
+   * (security deposit first for deposit-only refunds)
+   */
+  static async buildRefundLines(bookingId, amount, refundType) {
+    const position = await this.getBookingPosition(bookingId);
+    const lines = [];
+    let remaining = toTwoDecimals(amount);
+
+    if (position.receivable < 0 && remaining > 0) {
+      const owed = Math.min(remaining, -position.receivable);
+      lines.push(debit('guest_receivables', owed, { memo: 'Amount owed to guest' }));
+      remaining = toTwoDecimals(remaining - owed);
+    }
+
+    const outstanding = Object.entries(position.components)
+      .map(([component, { charged, refunded }]) => ({ component, amount: Math.max(0, toTwoDecimals(charged - refunded)) }))
+      .filter(item => item.amount > 0);
+
+    if (refundType === 'security_deposit_only') {
+      const deposit = outstanding.find(item => item.component === 'deposit');
+      if (deposit && remaining > 0) {
+        const share = Math.min(remaining, deposit.amount);
+        lines.push(debit('security_deposits', share, { component: 'deposit' }));
+        remaining = toTwoDecimals(remaining - share);
+        deposit.amount = toTwoDecimals(deposit.amount - share);
+      }
+    }
+
+    const totalOutstanding = outstanding.reduce((sum, item) => sum + item.amount, 0);
+    if (remaining > 0 && totalOutstanding > 0) {
+      const allocatable = Math.min(remaining, toTwoDecimals(totalOutstanding));
+      const shares = outstanding.filter(item => item.amount > 0);
+      let allocated = 0;
+
+      shares.forEach((item, index) => {
+        const share = index === shares.length - 1
+          ? toTwoDecimals(allocatable - allocated)
+          : toTwoDecimals(allocatable * item.amount / totalOutstanding);
+        allocated = toTwoDecimals(allocated + share);
+        lines.push(debit(COMPONENT_ACCOUNTS[item.component].refund, share, { component: item.component }));
+      });
+      remaining = toTwoDecimals(remaining - allocatable);
+    }
+
+    // More than was charged (e.g. goodwill): a plain refund
+    if (remaining > 0) {
+      lines.push(debit('refunds', remaining, { memo: 'Refund beyond amounts charged' }));
+    }
+
+    return lines;
+  }
+
+  /**
+   * ==== REFUND ====
+   * Posted once the refund has completed
+   */
+  static async recordRefund(refundId) {
+    const refund = await Refund.findById(refundId);
+    if (!refund) {
+      throw new Error('Refund not found');
+    }
+    if (refund.status !== 'completed') {
+      return { posted: false, reason: `Refund is ${refund.status}` };
+    }
+
+    const key = `refund:${refund._id}`;
+    if (await LedgerEntry.exists({ key })) {
+      return { posted: false, reason: 'Already posted' };
+    }
+    if (refund.reason === 'modification') {
+      await this.assertModificationsPosted(refund.booking);
+    }
+
+    const entry = await this.postRefund({
+      key,
+      booking: refund.booking,
+      payment: refund.payment,
+      refund: refund._id,
+      guest: refund.user,
+      host: refund.host,
+      currency: refund.currency || 'INR',
+      amount: refund.amount,
+      walletAmount: refund.walletAmount,
+      refundType: refund.type,
+      description: `Refund ${refund.refundReference || refund._id} (${refund.reason})`,
+      postedAt: refund.processedAt || refund.updatedAt
+    });
+    return { posted: true, entries: [entry.key] };
+  }
+
+  static async recordGatewayRefund(paymentId, gatewayRefundId, amount) {
+    const key = `gateway_refund:${gatewayRefundId}`;
+    if (await LedgerEntry.exists({ key })) {
+      return { posted: false, reason: 'Already posted' };
+    }
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    const entry = await this.postRefund({
+      key,
+      booking: payment.booking,
+      payment: payment._id,
+      guest: payment.user,
+      host: payment.host,
+      currency: payment.currency || 'INR',
+      amount,
+      refundType: 'partial',
+      description: `Gateway refund ${gatewayRefundId}`
+    });
+    return { posted: true, entries: [entry.key] };
+  }
+
+  /**
+   * ==== CHARGEBACK ====
+   * A lost dispute: the gateway took the money back from us
+   */
+  static async recordChargeback(disputeId) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    if (dispute.status !== 'lost' || !(dispute.outcome?.amountLost > 0)) {
+      return { posted: false, reason: `Dispute is ${dispute.status}` };
+    }
+
+    const payment = await Payment.findById(dispute.payment);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    const entry = await this.postRefund({
+      key: `chargeback:${dispute._id}`,
+      booking: dispute.booking,
+      payment: payment._id,
+      guest: payment.user,
+      host: payment.host,
+      currency: payment.currency || 'INR',
+      amount: dispute.outcome.amountLost,
+      refundType: 'partial',
+      description: `Chargeback lost (${dispute.provider} ${dispute.gatewayDisputeId})`,
+      postedAt: dispute.outcome.decidedAt
+    });
+    return { posted: true, entries: [entry.key] };
+  }
+
+  // A modification refund pays out the credit its adjustment leaves in
+  // guest_receivables, so the adjustment has to be posted first
+  static async assertModificationsPosted(bookingId) {
+    const booking = await Booking.findById(bookingId).select('modifications');
+    const keys = (booking?.modifications || [])
+      .filter(modification => modification.status === 'completed' && modification.priceDifference < 0)
+      .map(modification => `modification:${modification._id}:adjustment`);
+
+    if (await LedgerEntry.countDocuments({ key: { $in: keys } }) < keys.length) {
+      throw new Error(`Booking ${bookingId} has modifications not posted yet`);
+    }
+  }
+
+  static async postRefund({ amount, walletAmount = 0, refundType, ...entry }) {
+    if (!(await this.getBookingPosition(entry.booking)).hasCharge) {
+      // The charge is posted by its own job; retry once it exists
+      throw new Error(`Booking ${entry.booking} has no charge entry yet`);
+    }
+
+    const lines = await this.buildRefundLines(entry.booking, amount, refundType);
+    lines.push(credit('gateway_clearing', amount - (walletAmount || 0)));
+    lines.push(credit('wallet_balances', walletAmount, { memo: 'Refunded to wallet' }));
+
+    return this.postEntry({ ...entry, type: 'refund', lines });
+  }
+
+  /**
+   * ==== PAYOUT ====
+   * Posted once the payout has completed, in the booking currency
+   */
+  static async recordPayout(payoutId) {
+    const payout = await Payout.findById(payoutId);
+    if (!payout) {
+      throw new Error('Payout not found');
+    }
+    // A reversed payout was completed first
+    if (!['completed', 'reversed'].includes(payout.status)) {
+      return { posted: false, reason: `Payout is ${payout.status}` };
+    }
+
+    const entry = await this.postPayout(payout);
+    return { posted: true, entries: [entry.key] };
+  }
+
+  static postPayout(payout) {
+    const amount = payout.conversion?.amount ?? payout.amount;
+    return this.postEntry({
+      key: `payout:${payout._id}`,
+      type: 'payout',
+      description: `Host payout ${payout.reference || payout._id}`,
+      currency: payout.conversion?.currency || payout.currency || 'INR',
+      booking: payout.booking,
+      payment: payout.payment,
+      payout: payout._id,
+      host: payout.host,
+      postedAt: payout.processedDate || payout.updatedAt,
+      lines: [
+        debit('host_payables', amount),
+        credit('gateway_clearing', amount)
+      ]
+    });
+  }
+
+  static async recordPayoutReversal(payoutId) {
+    const payout = await Payout.findById(payoutId);
+    if (!payout) {
+      throw new Error('Payout not found');
+    }
+    if (payout.status !== 'reversed') {
+      return { posted: false, reason: `Payout is ${payout.status}` };
+    }
+
+    const original = await this.postPayout(payout);
+    const reversal = await this.reverseEntry(original._id, {
+      key: `payout:${payout._id}:reversal`,
+      description: `Payout reversed: ${payout.reversal?.reason || 'no reason given'}`,
+      postedBy: payout.reversal?.reversedBy
+    });
+    return { posted: true, entries: [reversal.key] };
+  }
+
+  /**
+   * ==== BOOKING MODIFICATION ====
+   * Re-price the booking to its new amounts (the difference from what the
+   * ledger has charged so far), then record the guest's difference payment.
+   * A cheaper stay leaves a credit in guest_receivables that the
+   * modification refund then pays out.
+   */
+  static async recordModification(bookingId, modificationId) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    const modification = booking.modifications.id(modificationId);
+    if (!modification || modification.status !== 'completed') {
+      return { posted: false, reason: 'Modification is not completed' };
+    }
+
+    const position = await this.getBookingPosition(booking._id);
+    if (!position.hasCharge) {
+      throw new Error(`Booking ${booking._id} has no charge entry yet`);
+    }
+
+    const totalAmount = toTwoDecimals(booking.totalAmount);
+    const target = {
+      host: toTwoDecimals(booking.hostFee || 0),
+      gst: toTwoDecimals(booking.gst ?? booking.taxAmount ?? 0),
+      deposit: toTwoDecimals(booking.securityDeposit || 0),
+      processing_fee: toTwoDecimals(booking.processingFee || 0)
+    };
+    target.platform_fee = toTwoDecimals(totalAmount - target.host - target.gst - target.deposit - target.processing_fee);
+
+    const charged = Object.fromEntries(
+      Object.entries(position.components).map(([component, values]) => [component, toTwoDecimals(values.charged)])
+    );
+    const chargedTotal = toTwoDecimals(Object.values(charged).reduce((sum, value) => sum + value, 0));
+    const refs = { booking: booking._id, guest: booking.user, host: booking.host, currency: booking.currency || 'INR' };
+    const keys = [];
+
+    const adjustmentLines = [
+      debit('guest_receivables', totalAmount - chargedTotal),
+      ...Object.keys(COMPONENT_ACCOUNTS).map(component =>
+        credit(COMPONENT_ACCOUNTS[component].charge, target[component] - charged[component], { component })
+      )
+    ].filter(Boolean);
+
+    // No lines: the price did not change
+    if (adjustmentLines.length >= 2) {
+      const adjustment = await this.postEntry({
+        ...refs,
+        key: `modification:${modification._id}:adjustment`,
+        type: 'booking_adjustment',
+        description: `Booking modified (${modification._id})`,
+        postedAt: modification.completedAt || new Date(),
+        lines: adjustmentLines
+      });
+      keys.push(adjustment.key);
+    }
+
+    if (modification.priceDifference > 0 && modification.payment?.paymentId) {
+      const receipt = await this.postEntry({
+        ...refs,
+        payment: modification.payment.record,
+        key: `modification:${modification._id}:receipt`,
+        type: 'payment',
+        description: `Modification payment via ${modification.payment.provider || 'gateway'} (${modification.payment.paymentId})`,
+        postedAt: modification.payment.paidAt || new Date(),
+        lines: [
+          debit('gateway_clearing', modification.payment.amount ?? modification.priceDifference),
+          credit('guest_receivables', modification.payment.amount ?? modification.priceDifference)
+        ]
+      });
+      keys.push(receipt.key);
+    }
+
+    return { posted: keys.length > 0, entries: keys };
+  }
+
+  /**
+   * ==== PAYMENT PLAN DEFAULT ====
+   * A booking cancelled for an unpaid balance was charged in full but only
+   * the deposit was received. The uncollected balance comes back off each
+   * component in proportion to what is still charged on it.
+   */
+  static async recordPlanDefault(bookingId) {
+    const booking = await Booking.findById(bookingId).select('user host currency paymentPlan');
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+    if (booking.paymentPlan?.status !== 'defaulted') {
+      return { posted: false, reason: 'Payment plan has not defaulted' };
+    }
+
+    const key = `plan_default:${booking._id}`;
+    if (await LedgerEntry.exists({ key })) {
+      return { posted: false, reason: 'Already posted' };
+    }
+
+    const position = await this.getBookingPosition(booking._id);
+    if (!position.hasCharge) {
+      throw new Error(`Booking ${booking._id} has no charge entry yet`);
+    }
+
+    const uncollected = toTwoDecimals(Math.min(position.receivable, booking.paymentPlan.balanceAmount || 0));
+    if (uncollected < TOLERANCE) {
+      return { posted: false, reason: 'Nothing uncollected' };
+    }
+
+    const outstanding = Object.entries(position.components)
+      .map(([component, { charged, refunded }]) => ({ component, amount: Math.max(0, toTwoDecimals(charged - refunded)) }))
+      .filter(item => item.amount > 0);
+    const totalOutstanding = toTwoDecimals(outstanding.reduce((sum, item) => sum + item.amount, 0));
+    const writeOff = Math.min(uncollected, totalOutstanding);
+
+    const lines = [credit('guest_receivables', writeOff)];
+    let allocated = 0;
+    outstanding.forEach((item, index) => {
+      const share = index === outstanding.length - 1
+        ? toTwoDecimals(writeOff - allocated)
+        : toTwoDecimals(writeOff * item.amount / totalOutstanding);
+      allocated = toTwoDecimals(allocated + share);
+      lines.push(debit(COMPONENT_ACCOUNTS[item.component].charge, share, { component: item.component }));
+    });
+
+    const entry = await this.postEntry({
+      key,
+      type: 'booking_adjustment',
+      description: 'Payment plan defaulted: uncollected balance',
+      booking: booking._id,
+      guest: booking.user,
+      host: booking.host,
+      currency: booking.currency || 'INR',
+      postedAt: booking.paymentPlan.defaultedAt || new Date(),
+      lines
+    });
+    return { posted: true, entries: [entry.key] };
+  }
+
+  /**
+   * ==== WALLET ====
+   * Goodwill and referral credit, and goodwill expiry. Refund and checkout
+   * wallet movements are part of their refund and payment entries.
+   */
+  static async recordWalletTransaction(transactionId) {
+    const transaction = await WalletTransaction.findById(transactionId);
+    if (!transaction) {
+      throw new Error('Wallet transaction not found');
+    }
+
+    const lines = {
+      goodwill: [
+        debit('goodwill_expense', transaction.amount),
+        credit('wallet_balances', transaction.amount)
+      ],
+      expiry: [
+        debit('wallet_balances', transaction.amount),
+        credit('goodwill_expense', transaction.amount)
+      ],
+      referral: [
+        debit('referral_expense', transaction.amount),
+        credit('wallet_balances', transaction.amount)
+      ]
+    }[transaction.source];
+    if (!lines) {
+      return { posted: false, reason: `${transaction.source} is posted with its payment or refund` };
+    }
+
+    const entry = await this.postEntry({
+      key: `wallet:${transaction._id}`,
+      type: 'wallet',
+      description: transaction.description || `Wallet ${transaction.source}`,
+      currency: transaction.currency || 'INR',
+      walletTransaction: transaction._id,
+      guest: transaction.user,
+      postedBy: transaction.createdBy,
+      postedAt: transaction.createdAt,
+      lines
+    });
+    return { posted: true, entries: [entry.key] };
+  }
+
+  /**
+   * ==== DAMAGE CLAIM ====
+   * The part of the security deposit awarded to the host becomes a host payable
+   */
+  static async recordDamageClaim(claimId) {
+    const claim = await DamageClaim.findById(claimId);
+    if (!claim) {
+      throw new Error('Damage claim not found');
+    }
+    if (!claim.settledAt) {
+      return { posted: false, reason: `Claim is ${claim.status}` };
+    }
+    if (!(claim.approvedAmount > 0)) {
+      return { posted: false, reason: 'Nothing awarded to the host' };
+    }
+
+    const position = await this.getBookingPosition(claim.booking);
+    if (!position.hasCharge) {
+      throw new Error(`Booking ${claim.booking} has no charge entry yet`);
+    }
+
+    const entry = await this.postEntry({
+      key: `damage_claim:${claim._id}`,
+      type: 'booking_adjustment',
+      description: 'Security deposit awarded to the host (damage claim)',
+      booking: claim.booking,
+      guest: claim.guest,
+      host: claim.host,
+      currency: claim.currency || 'INR',
+      postedBy: claim.resolution?.resolvedBy,
+      postedAt: claim.settledAt,
+      lines: [
+        debit('security_deposits', claim.approvedAmount, { component: 'deposit' }),
+        credit('host_payables', claim.approvedAmount, { component: 'host' })
+      ]
+    });
+    return { posted: true, entries: [entry.key] };
+  }
+
+  /**
+   * ==== REVERSAL ====
+   * Post the mirror image of an entry
+   * @param {string} entryId - Entry to reverse
+   * @param {Object} options - { key, description, postedBy }
+   * @returns {Promise<Object>} Reversing entry
+   */
+  static async reverseEntry(entryId, { key, description, postedBy } = {}) {
+    const original = await LedgerEntry.findById(entryId);
+    if (!original) {
+      throw httpError(404, 'Ledger entry not found');
+    }
+    if (original.type === 'reversal') {
+      throw httpError(400, 'A reversing entry cannot be reversed');
+    }
+    if (original.reversedBy) {
+      const existing = await LedgerEntry.findById(original.reversedBy);
+      if (key && existing?.key === key) {
+        return existing;
+      }
+      throw httpError(400, 'Ledger entry has already been reversed');
+    }
+
+    const reversal = await this.postEntry({
+      key: key || `reversal:${original._id}`,
+      type: 'reversal',
+      description: description || `Reversal of ${original.key}`,
+      currency: original.currency,
+      booking: original.booking,
+      payment: original.payment,
+      refund: original.refund,
+      payout: original.payout,
+      walletTransaction: original.walletTransaction,
+      guest: original.guest,
+      host: original.host,
+      reversalOf: original._id,
+      postedBy,
+      lines: original.lines.map(line => ({
+        account: line.account,
+        debit: line.credit,
+        credit: line.debit,
+        component: line.component,
+        memo: line.memo
+      }))
+    });
+
+    await LedgerEntry.updateOne({ _id: original._id, reversedBy: null }, { $set: { reversedBy: reversal._id } });
+    return reversal;
+  }
+
+  /**
+   * ==== ACCOUNT BALANCES / TRIAL BALANCE ====
+   * @param {Object} options - { asOf, currency }
+   * @returns {Promise<Object>} { accounts, totals } per currency
+   */
+  static async getAccountBalances({ asOf, currency } = {}) {
+    const match = {};
+    if (asOf) match.postedAt = { $lte: new Date(asOf) };
+    if (currency) match.currency = currency.toUpperCase();
+
+    const rows = await LedgerEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { currency: '$currency', account: '$lines.account' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const byCurrency = {};
+    for (const row of rows) {
+      const code = row._id.account;
+      const account = ACCOUNTS[code];
+      if (!byCurrency[row._id.currency]) {
+        byCurrency[row._id.currency] = { currency: row._id.currency, accounts: [], totals: { debit: 0, credit: 0 } };
+      }
+      const group = byCurrency[row._id.currency];
+      const net = account.normal === 'debit' ? row.debit - row.credit : row.credit - row.debit;
+
+      group.accounts.push({
+        code,
+        name: account.name,
+        type: account.type,
+        normal: account.normal,
+        debit: toTwoDecimals(row.debit),
+        credit: toTwoDecimals(row.credit),
+        balance: toTwoDecimals(net)
+      });
+      group.totals.debit += row.debit;
+      group.totals.credit += row.credit;
+    }
+
+    return Object.values(byCurrency).map(group => ({
+      ...group,
+      accounts: group.accounts.sort((a, b) => Object.keys(ACCOUNTS).indexOf(a.code) - Object.keys(ACCOUNTS).indexOf(b.code)),
+      totals: {
+        debit: toTwoDecimals(group.totals.debit),
+        credit: toTwoDecimals(group.totals.credit),
+        balanced: Math.abs(group.totals.debit - group.totals.credit) <= TOLERANCE
+      }
+    }));
+  }
+
+  /**
+   * Entries for one booking with per-account totals
+   */
+  static async getBookingJournal(bookingId) {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw httpError(400, 'Invalid booking ID');
+    }
+
+    const entries = await LedgerEntry.find({ booking: bookingId }).sort({ postedAt: 1, createdAt: 1 });
+    const accounts = {};
+    let totalDebit = 0;
+    let totalCredit = 0;
+
+    for (const entry of entries) {
+      for (const line of entry.lines) {
+        if (!accounts[line.account]) {
+          accounts[line.account] = { code: line.account, name: ACCOUNTS[line.account].name, debit: 0, credit: 0 };
+        }
+        const account = accounts[line.account];
+        account.debit = toTwoDecimals(account.debit + line.debit);
+        account.credit = toTwoDecimals(account.credit + line.credit);
+        totalDebit += line.debit;
+        totalCredit += line.credit;
+      }
+    }
+
+    return {
+      bookingId,
+      entries,
+      accounts: Object.values(accounts),
+      totals: {
+        debit: toTwoDecimals(totalDebit),
+        credit: toTwoDecimals(totalCredit),
+        net: toTwoDecimals(totalDebit - totalCredit)
+      }
+    };
+  }
+
+  /**
+   * ==== RECONCILIATION ====
+   * Flags bookings whose entries do not net to zero, whose guest receivable
+   * is not settled, or whose settled payment has no entries.
+   * @param {Object} options - { from, to, limit }
+   * @returns {Promise<Object>} { checked, flagged: [{ bookingId, issues, ... }] }
+   */
+  static async reconcile({ from, to, limit = 500 } = {}) {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    const hasRange = Object.keys(range).length > 0;
+
+    const bookingRows = await LedgerEntry.aggregate([
+      { $match: { booking: { $ne: null }, ...(hasRange ? { postedAt: range } : {}) } },
+      { $group: { _id: '$booking' } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: LedgerEntry.collection.name,
+          localField: '_id',
+          foreignField: 'booking',
+          as: 'entries'
+        }
+      },
+      { $unwind: '$entries' },
+      { $unwind: '$entries.lines' },
+      {
+        $group: {
+          _id: '$_id',
+          debit: { $sum: '$entries.lines.debit' },
+          credit: { $sum: '$entries.lines.credit' },
+          receivable: {
+            $sum: {
+              $cond: [
+                { $eq: ['$entries.lines.account', 'guest_receivables'] },
+                { $subtract: ['$entries.lines.debit', '$entries.lines.credit'] },
+                0
+              ]
+            }
+          },
+          currencies: { $addToSet: '$entries.currency' }
+        }
+      }
+    ]);
+
+    // Payment plan bookings owe their balance until it is paid
+    const awaitingBalance = new Map((await Booking.find({
+      _id: { $in: bookingRows.filter(row => row.receivable > TOLERANCE).map(row => row._id) },
+      'paymentPlan.status': 'awaiting_balance'
+    }).select('paymentPlan.balanceAmount')).map(booking => [booking._id.toString(), booking.paymentPlan.balanceAmount]));
+
+    const flagged = [];
+    for (const row of bookingRows) {
+      const issues = [];
+      const balanceDue = awaitingBalance.get(row._id.toString()) || 0;
+      if (Math.abs(row.debit - row.credit) > TOLERANCE) issues.push('unbalanced');
+      if (Math.abs(row.receivable - balanceDue) > TOLERANCE) issues.push('receivable_not_settled');
+      if (row.currencies.length > 1) issues.push('mixed_currencies');
+
+      if (issues.length) {
+        flagged.push({
+          bookingId: row._id,
+          issues,
+          debit: toTwoDecimals(row.debit),
+          credit: toTwoDecimals(row.credit),
+          net: toTwoDecimals(row.debit - row.credit),
+          receivable: toTwoDecimals(row.receivable)
+        });
+      }
+    }
+
+    // Settled payments the ledger has no charge for
+    const settledPayments = await Payment.find({
+      status: { $in: SETTLED_PAYMENT_STATUSES },
+      ...(hasRange ? { createdAt: range } : {})
+    }).select('_id booking amount currency installment modification').limit(limit);
+    // Balance payments of a payment plan only post a receipt; a modification's
+    // difference payment is received with the modification
+    const postedKey = payment => payment.modification
+      ? `modification:${payment.modification}:receipt`
+      : `payment:${payment._id}:${payment.installment === 'balance' ? 'receipt' : 'charge'}`;
+    const chargedKeys = new Set((await LedgerEntry.find({
+      key: { $in: settledPayments.map(postedKey) }
+    }).select('key')).map(entry => entry.key));
+
+    for (const payment of settledPayments) {
+      if (!chargedKeys.has(postedKey(payment))) {
+        flagged.push({
+          bookingId: payment.booking,
+          paymentId: payment._id,
+          issues: ['missing_payment_entries'],
+          amount: payment.amount,
+          currency: payment.currency
+        });
+      }
+    }
+
+    return {
+      checked: bookingRows.length,
+      paymentsChecked: settledPayments.length,
+      flagged
+    };
+  }
+
+  /**
+   * Queue postings for settled payments, completed refunds, payouts, wallet
+   * credit, damage awards and lost chargebacks that predate the ledger (or
+   * whose posting was lost).
+   * Safe to run repeatedly.
+   * @returns {Promise<Object>} Counts queued
+   */
+  static async backfill() {
+    const [payments, refunds, payouts, walletTransactions, damageClaims, chargebacks] = await Promise.all([
+      Payment.find({ status: { $in: SETTLED_PAYMENT_STATUSES } }).select('_id'),
+      Refund.find({ status: 'completed' }).select('_id'),
+      Payout.find({ status: { $in: ['completed', 'reversed'] } }).select('_id status'),
+      WalletTransaction.find({ source: { $in: ['goodwill', 'expiry', 'referral'] } }).select('_id'),
+      DamageClaim.find({ settledAt: { $ne: null }, approvedAmount: { $gt: 0 } }).select('_id'),
+      Dispute.find({ status: 'lost' }).select('_id')
+    ]);
+
+    for (const payment of payments) await this.queuePayment(payment._id);
+    for (const refund of refunds) await this.queueRefund(refund._id);
+    for (const payout of payouts) {
+      await this.queuePayout(payout._id);
+      if (payout.status === 'reversed') await this.queuePayoutReversal(payout._id);
+    }
+    for (const transaction of walletTransactions) await this.queueWalletTransaction(transaction._id);
+    for (const claim of damageClaims) await this.queueDamageClaim(claim._id);
+    for (const dispute of chargebacks) await this.queueChargeback(dispute._id);
+
+    return {
+      payments: payments.length,
+      refunds: refunds.length,
+      payouts: payouts.length,
+      walletTransactions: walletTransactions.length,
+      damageClaims: damageClaims.length,
+      chargebacks: chargebacks.length
+    };
+  }
+}
+
+module.exports = LedgerService;
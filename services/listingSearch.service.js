@@ -0,0 +1,411 @@
+/**
+ * Listing Search Service
+ * Faceted, availability-aware property search used by GET /api/listings/search
+ */
+
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const Booking = require('../models/Booking');
+const Availability = require('../models/Availability');
+const AvailabilityEventService = require('./availabilityEvent.service');
+
+const EARTH_RADIUS_METERS = 6378100;
+const DEFAULT_RADIUS_METERS = 20000;
+const MAX_LIMIT = 50;
+const HISTOGRAM_BUCKETS = 20;
+
+// Booking statuses that hold dates
+const ACTIVE_BOOKING_STATUSES = ['pending', 'accepted', 'confirmed'];
+// Availability statuses that make a day unbookable
+const UNAVAILABLE_DAY_STATUSES = ['blocked', 'booked', 'maintenance', 'unavailable', 'on-hold'];
+
+// Multi-select facets combine values with OR: their counts ignore their own filter.
+// Array facets combine values with AND ($all): their counts include every filter.
+const OR_FACETS = ['type', 'placeType', 'propertyType'];
+const AND_FACETS = ['amenities', 'features'];
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  price_asc: { 'pricing.basePrice': 1, _id: 1 },
+  price_desc: { 'pricing.basePrice': -1, _id: 1 },
+  rating: { 'rating.average': -1, reviewCount: -1, _id: 1 },
+  distance: { distance: 1, _id: 1 }
+};
+
+class ListingSearchService {
+  /**
+   * Run a search.
+   * @param {Object} params - Parsed search parameters (see parseQuery)
+   * @returns {Promise<Object>} { listings, total, facets, priceHistogram }
+   */
+  static async search(params) {
+    const baseMatch = this.buildBaseMatch(params);
+    const geoNear = this.buildGeoNear(params);
+
+    // Exclude properties that are not free for the requested dates
+    if (params.checkIn && params.checkOut) {
+      const candidateIds = await this.findCandidateIds(baseMatch, params);
+      const unavailable = await this.findUnavailablePropertyIds(candidateIds, params.checkIn, params.checkOut);
+      if (unavailable.size > 0) {
+        baseMatch._id = { $nin: [...unavailable].map(id => new mongoose.Types.ObjectId(id)) };
+      }
+    }
+
+    const filterMatches = this.buildFilterMatches(params);
+    const allFilters = this.combine(Object.values(filterMatches));
+
+    const pipeline = [];
+    if (geoNear) {
+      pipeline.push({ $geoNear: { ...geoNear, query: baseMatch } });
+    } else {
+      pipeline.push({ $match: baseMatch });
+    }
+
+    const sortKey = params.sortBy === 'distance' && !geoNear ? 'newest' : (params.sortBy || (geoNear ? 'distance' : 'newest'));
+    const facetStages = {
+      results: [
+        { $match: allFilters },
+        { $sort: SORT_OPTIONS[sortKey] || SORT_OPTIONS.newest },
+        { $skip: (params.page - 1) * params.limit },
+        { $limit: params.limit },
+        { $project: { reviews: 0, __v: 0, icalExportToken: 0 } }
+      ],
+      total: [
+        { $match: allFilters },
+        { $count: 'count' }
+      ],
+      priceStats: [
+        { $match: this.combine(this.except(filterMatches, 'price')) },
+        { $group: { _id: null, min: { $min: '$pricing.basePrice' }, max: { $max: '$pricing.basePrice' } } }
+      ]
+    };
+
+    for (const field of OR_FACETS) {
+      facetStages[`facet_${field}`] = [
+        { $match: this.combine(this.except(filterMatches, field)) },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ];
+    }
+    for (const field of AND_FACETS) {
+      facetStages[`facet_${field}`] = [
+        { $match: allFilters },
+        { $unwind: `$${field}` },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ];
+    }
+
+    pipeline.push({ $facet: facetStages });
+
+    const [result] = await Property.aggregate(pipeline);
+
+    const listings = await Property.populate(result.results, { path: 'host', select: 'name profileImage' });
+    const total = result.total[0]?.count || 0;
+
+    const facets = {};
+    for (const field of [...OR_FACETS, ...AND_FACETS]) {
+      facets[field] = result[`facet_${field}`]
+        .filter(bucket => bucket._id !== null && bucket._id !== undefined)
+        .map(bucket => ({
+          value: bucket._id,
+          count: bucket.count,
+          selected: (params[field] || []).includes(bucket._id)
+        }));
+    }
+
+    const priceHistogram = await this.buildPriceHistogram(
+      pipeline[0],
+      this.combine(this.except(filterMatches, 'price')),
+      result.priceStats[0]
+    );
+
+    return { listings, total, facets, priceHistogram };
+  }
+
+  /**
+   * Parse and normalise req.query.
+   * @param {Object} query - Express query object
+   * @returns {Object} Search parameters
+   * @throws {Error} with statusCode 400 for invalid input
+   */
+  static parseQuery(query) {
+    const toList = (value) => {
+      if (value === undefined || value === null || value === '') return [];
+      return (Array.isArray(value) ? value : String(value).split(','))
+        .map(v => String(v).trim())
+        .filter(Boolean);
+    };
+    const toNumber = (value) => {
+      if (value === undefined || value === null || value === '') return null;
+      const n = Number(value);
+      return Number.isFinite(n) ? n : null;
+    };
+    const badRequest = (message) => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      return error;
+    };
+
+    const params = {
+      page: Math.max(1, parseInt(query.page, 10) || 1),
+      limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || 20)),
+      sortBy: query.sortBy,
+      search: query.search ? String(query.search).trim() : null,
+      city: query.city ? String(query.city).trim() : null,
+      lat: toNumber(query.lat),
+      lng: toNumber(query.lng),
+      radius: toNumber(query.radius) || DEFAULT_RADIUS_METERS,
+      bounds: null,
+      checkIn: null,
+      checkOut: null,
+      guests: toNumber(query.guests),
+      minPrice: toNumber(query.minPrice),
+      maxPrice: toNumber(query.maxPrice),
+      bedrooms: toNumber(query.bedrooms),
+      bathrooms: toNumber(query.bathrooms),
+      type: toList(query.type),
+      placeType: toList(query.placeType),
+      propertyType: toList(query.propertyType),
+      amenities: toList(query.amenities),
+      features: toList(query.features)
+    };
+
+    if (params.sortBy && !SORT_OPTIONS[params.sortBy]) {
+      throw badRequest(`Invalid sortBy. Use one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+    }
+
+    if ((params.lat === null) !== (params.lng === null)) {
+      throw badRequest('lat and lng must be provided together');
+    }
+
+    if (query.bounds) {
+      const bounds = String(query.bounds).split(',').map(Number);
+      if (bounds.length !== 4 || bounds.some(n => !Number.isFinite(n))) {
+        throw badRequest('Invalid bounds format. Expected: swLng,swLat,neLng,neLat');
+      }
+      params.bounds = bounds;
+    }
+
+    if (query.checkIn || query.checkOut) {
+      const checkIn = new Date(query.checkIn);
+      const checkOut = new Date(query.checkOut);
+      if (isNaN(checkIn.getTime()) || isNaN(checkOut.getTime())) {
+        throw badRequest('checkIn and checkOut must both be valid dates');
+      }
+      if (checkOut <= checkIn) {
+        throw badRequest('checkOut must be after checkIn');
+      }
+      params.checkIn = checkIn;
+      params.checkOut = checkOut;
+    }
+
+    if (params.minPrice !== null && params.maxPrice !== null && params.minPrice > params.maxPrice) {
+      throw badRequest('minPrice cannot be greater than maxPrice');
+    }
+
+    return params;
+  }
+
+  // Filters every result must satisfy (not facetable)
+  static buildBaseMatch(params) {
+    const match = {
+      status: 'published',
+      approvalStatus: 'approved',
+      isPublished: true
+    };
+
+    if (params.guests) {
+      match.maxGuests = { $gte: params.guests };
+    }
+    if (params.bedrooms) {
+      match.bedrooms = { $gte: params.bedrooms };
+    }
+    if (params.bathrooms) {
+      match.bathrooms = { $gte: params.bathrooms };
+    }
+
+    if (params.checkIn && params.checkOut) {
+      const nights = Math.max(1, Math.round((params.checkOut - params.checkIn) / (24 * 60 * 60 * 1000)));
+      match.minNights = { $lte: nights };
+    }
+
+    if (params.search) {
+      const pattern = this.escapeRegex(params.search);
+      match.$or = [
+        { title: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    if (params.city && params.lat === null && !params.bounds) {
+      const pattern = this.escapeRegex(params.city);
+      match.$and = [{
+        $or: [
+          { 'location.city': { $regex: pattern, $options: 'i' } },
+          { 'location.state': { $regex: pattern, $options: 'i' } },
+          { 'location.address': { $regex: pattern, $options: 'i' } }
+        ]
+      }];
+    }
+
+    if (params.bounds) {
+      const [swLng, swLat, neLng, neLat] = params.bounds;
+      match.location = { $geoWithin: { $box: [[swLng, swLat], [neLng, neLat]] } };
+    }
+
+    return match;
+  }
+
+  // $geoNear options when searching around a point (must be the first stage)
+  static buildGeoNear(params) {
+    if (params.lat === null || params.lng === null || params.bounds) {
+      return null;
+    }
+    return {
+      near: { type: 'Point', coordinates: [params.lng, params.lat] },
+      distanceField: 'distance',
+      maxDistance: params.radius,
+      spherical: true,
+      key: 'location'
+    };
+  }
+
+  // Facetable filters, keyed so a facet can drop its own filter
+  static buildFilterMatches(params) {
+    const filters = {};
+
+    for (const field of OR_FACETS) {
+      if (params[field].length > 0) {
+        filters[field] = { [field]: { $in: params[field] } };
+      }
+    }
+    for (const field of AND_FACETS) {
+      if (params[field].length > 0) {
+        filters[field] = { [field]: { $all: params[field] } };
+      }
+    }
+
+    if (params.minPrice !== null || params.maxPrice !== null) {
+      const range = {};
+      if (params.minPrice !== null) range.$gte = params.minPrice;
+      if (params.maxPrice !== null) range.$lte = params.maxPrice;
+      filters.price = { 'pricing.basePrice': range };
+    }
+
+    return filters;
+  }
+
+  static except(filterMatches, key) {
+    return Object.entries(filterMatches)
+      .filter(([name]) => name !== key)
+      .map(([, match]) => match);
+  }
+
+  static combine(matches) {
+    if (matches.length === 0) return {};
+    if (matches.length === 1) return matches[0];
+    return { $and: matches };
+  }
+
+  // IDs of properties matching the base filters (before date exclusion)
+  static async findCandidateIds(baseMatch, params) {
+    const match = { ...baseMatch };
+    if (params.lat !== null && params.lng !== null && !params.bounds) {
+      match.location = {
+        $geoWithin: {
+          $centerSphere: [[params.lng, params.lat], params.radius / EARTH_RADIUS_METERS]
+        }
+      };
+    }
+    const properties = await Property.find(match).select('_id').lean();
+    return properties.map(p => p._id);
+  }
+
+  /**
+   * Properties that cannot be booked for [checkIn, checkOut):
+   * overlapping bookings, unavailable daily/24-hour Availability records and
+   * booking/maintenance/block AvailabilityEvent ranges.
+   * @returns {Promise<Set<string>>}
+   */
+  static async findUnavailablePropertyIds(propertyIds, checkIn, checkOut) {
+    const unavailable = new Set();
+    if (propertyIds.length === 0) return unavailable;
+
+    const bookedListings = await Booking.distinct('listing', {
+      listing: { $in: propertyIds },
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      $or: [
+        { checkIn: { $lt: checkOut }, checkOut: { $gt: checkIn } },
+        { checkInDateTime: { $lt: checkOut }, checkOutDateTime: { $gt: checkIn } }
+      ]
+    });
+    bookedListings.forEach(id => unavailable.add(id.toString()));
+
+    const blockedDays = await Availability.distinct('property', {
+      property: { $in: propertyIds },
+      status: { $in: UNAVAILABLE_DAY_STATUSES },
+      $or: [
+        { bookingType: { $ne: '24hour' }, date: { $gte: this.startOfDay(checkIn), $lt: checkOut } },
+        { bookingType: '24hour', startDateTime: { $lt: checkOut }, endDateTime: { $gt: checkIn } }
+      ]
+    });
+    blockedDays.forEach(id => unavailable.add(id.toString()));
+
+    const remaining = propertyIds.filter(id => !unavailable.has(id.toString()));
+    const blockedByEvents = await AvailabilityEventService.findBlockedProperties(remaining, checkIn, checkOut);
+    blockedByEvents.forEach(id => unavailable.add(id));
+
+    return unavailable;
+  }
+
+  // Equal-width price buckets over the results matching every filter but price
+  static async buildPriceHistogram(firstStage, match, stats) {
+    if (!stats || stats.min === null || stats.max === null) {
+      return { min: 0, max: 0, bucketSize: 0, buckets: [] };
+    }
+
+    const min = Math.floor(stats.min);
+    const max = Math.ceil(stats.max);
+    const bucketSize = Math.max(1, Math.ceil((max - min + 1) / HISTOGRAM_BUCKETS));
+    const boundaries = [];
+    for (let edge = min; edge <= max; edge += bucketSize) {
+      boundaries.push(edge);
+    }
+    boundaries.push(boundaries[boundaries.length - 1] + bucketSize);
+
+    const counts = await Property.aggregate([
+      firstStage,
+      { $match: match },
+      {
+        $bucket: {
+          groupBy: '$pricing.basePrice',
+          boundaries,
+          default: 'other',
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ]);
+
+    const countByEdge = new Map(counts.map(bucket => [bucket._id, bucket.count]));
+    const buckets = boundaries.slice(0, -1).map((edge, index) => ({
+      min: edge,
+      max: boundaries[index + 1],
+      count: countByEdge.get(edge) || 0
+    }));
+
+    return { min, max, bucketSize, buckets };
+  }
+
+  static startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }
+
+  static escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = ListingSearchService;
@@ -0,0 +1,235 @@
+/**
+ * Messaging Service
+ * Host–guest conversation threads built on the Message model
+ */
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Property = require('../models/Property');
+const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+
+const NOTIFICATION_PREVIEW_LENGTH = 200;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class MessagingService {
+  /**
+   * ========================================
+   * RESOLVE CONVERSATION SUBJECT
+   * ========================================
+   * Work out the guest/host pair for a new thread. A thread is keyed by
+   * (guest, host, listing/service, booking): guests open pre-booking threads
+   * from a listing or service, and either party can open the thread for a
+   * booking they are part of.
+   *
+   * @param {Object} user - Requesting user
+   * @param {Object} subject - { listingId, serviceId, bookingId }
+   * @returns {Promise<Object>} Conversation key
+   */
+  static async resolveConversationKey(user, { listingId, serviceId, bookingId }) {
+    const userId = user._id.toString();
+
+    if (bookingId) {
+      const booking = await Booking.findById(bookingId).select('user host listing service');
+      if (!booking) {
+        throw httpError(404, 'Booking not found');
+      }
+      if (booking.user.toString() !== userId && booking.host.toString() !== userId) {
+        throw httpError(403, 'Not authorized to message about this booking');
+      }
+      return {
+        guest: booking.user,
+        host: booking.host,
+        listing: booking.listing || null,
+        service: booking.service || null,
+        booking: booking._id
+      };
+    }
+
+    if (listingId) {
+      const property = await Property.findById(listingId).select('host status');
+      if (!property) {
+        throw httpError(404, 'Listing not found');
+      }
+      if (property.host.toString() === userId) {
+        throw httpError(400, 'You cannot message yourself about your own listing');
+      }
+      return { guest: user._id, host: property.host, listing: property._id, service: null, booking: null };
+    }
+
+    if (serviceId) {
+      const service = await Service.findById(serviceId).select('provider');
+      if (!service) {
+        throw httpError(404, 'Service not found');
+      }
+      if (service.provider.toString() === userId) {
+        throw httpError(400, 'You cannot message yourself about your own service');
+      }
+      return { guest: user._id, host: service.provider, listing: null, service: service._id, booking: null };
+    }
+
+    throw httpError(400, 'listingId, serviceId or bookingId is required');
+  }
+
+  /**
+   * Find the thread for a key, creating it if needed.
+   * @param {Object} key - Conversation key from resolveConversationKey
+   * @returns {Promise<Object>} Conversation document
+   */
+  static async findOrCreateConversation(key) {
+    try {
+      return await Conversation.findOneAndUpdate(
+        key,
+        { $setOnInsert: { ...key, lastMessageAt: new Date() } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Two requests raced to create the same thread: the other one won
+      if (error.code === 11000) {
+        return Conversation.findOne(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * ========================================
+   * SEND MESSAGE
+   * ========================================
+   * Store a message, bump the receiver's unread counter and create a
+   * notification for them.
+   *
+   * @param {Object} conversation - Conversation document
+   * @param {Object} sender - Sending user (must be the guest or host)
+   * @param {Object} payload - { content, messageType, mediaUrl }
+   * @returns {Promise<Object>} Created message
+   */
+  static async sendMessage(conversation, sender, { content, messageType = 'text', mediaUrl }) {
+    const senderRole = conversation.getParticipantRole(sender._id);
+    if (!senderRole) {
+      throw httpError(403, 'Only conversation participants can send messages');
+    }
+
+    const receiverRole = senderRole === 'guest' ? 'host' : 'guest';
+    const receiverId = conversation[receiverRole];
+    const text = content && content.trim() ? content.trim() : (messageType === 'image' ? 'Sent a photo' : '');
+
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: sender._id,
+      receiver: receiverId,
+      content: text,
+      messageType,
+      mediaUrl: messageType === 'text' ? undefined : mediaUrl,
+      listing: conversation.listing || undefined,
+      service: conversation.service || undefined,
+      booking: conversation.booking || undefined,
+      isVisiblePreBooking: !conversation.booking
+    });
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      {
+        $set: {
+          lastMessage: {
+            content: text,
+            messageType,
+            sender: sender._id,
+            sentAt: message.createdAt
+          },
+          lastMessageAt: message.createdAt
+        },
+        $inc: { [`unreadCount.${receiverRole}`]: 1 }
+      }
+    );
+
+    try {
+      const preview = text.length > NOTIFICATION_PREVIEW_LENGTH
+        ? `${text.slice(0, NOTIFICATION_PREVIEW_LENGTH - 3)}...`
+        : text;
+
+      await Notification.create({
+        user: receiverId,
+        type: 'message',
+        title: `New message from ${sender.name || 'a user'}`.slice(0, 100),
+        message: preview,
+        relatedEntity: {
+          type: 'Conversation',
+          id: conversation._id
+        },
+        metadata: {
+          conversationId: conversation._id,
+          messageId: message._id,
+          listingId: conversation.listing,
+          serviceId: conversation.service,
+          bookingId: conversation.booking
+        }
+      });
+    } catch (notificationError) {
+      // Don't fail the message if the notification can't be stored
+      console.error('⚠️ Error creating message notification:', notificationError);
+    }
+
+    console.log(`💬 Message ${message._id} sent in conversation ${conversation._id} (${senderRole} → ${receiverRole})`);
+    return message;
+  }
+
+  /**
+   * Mark every message the user received in a thread as read.
+   * @param {Object} conversation - Conversation document
+   * @param {string} userId - Reader (guest or host)
+   * @returns {Promise<number>} Number of messages marked as read
+   */
+  static async markAsRead(conversation, userId) {
+    const role = conversation.getParticipantRole(userId);
+    if (!role) {
+      throw httpError(403, 'Only conversation participants can mark messages as read');
+    }
+
+    const now = new Date();
+    const result = await Message.updateMany(
+      { conversation: conversation._id, receiver: userId, isRead: false },
+      { $set: { isRead: true, readAt: now } }
+    );
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { [`unreadCount.${role}`]: 0 } }
+    );
+
+    // Clear the matching message notifications too
+    await Notification.updateMany(
+      { user: userId, type: 'message', 'relatedEntity.id': conversation._id, isRead: false },
+      { $set: { isRead: true } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Total unread messages across all of a user's threads.
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  static async getUnreadTotal(userId) {
+    const [asGuest, asHost] = await Promise.all([
+      Conversation.aggregate([
+        { $match: { guest: userId } },
+        { $group: { _id: null, total: { $sum: '$unreadCount.guest' } } }
+      ]),
+      Conversation.aggregate([
+        { $match: { host: userId } },
+        { $group: { _id: null, total: { $sum: '$unreadCount.host' } } }
+      ])
+    ]);
+    return (asGuest[0]?.total || 0) + (asHost[0]?.total || 0);
+  }
+}
+
+module.exports = MessagingService;
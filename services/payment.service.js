@@ -5,6 +5,10 @@ const Booking = require('../models/Booking');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const PaymentAuditLog = require('../models/PaymentAuditLog');
+const JobScheduler = require('./scheduler.service');
+const LedgerService = require('./ledger.service');
+const PayoutService = require('./payout.service');
+const RefundService = require('./refundService');
 const { calculatePricingBreakdown, validatePricingConsistency } = require('../utils/pricingUtils');
 
 class PaymentService {
@@ -89,7 +93,12 @@ class PaymentService {
         extraGuests: booking.guests?.adults > 1 ? booking.guests.adults - 1 : 0,
         hourlyExtension: booking.hourlyExtension?.cost || 0,
         discountAmount: booking.discountAmount || 0,
-        currency: booking.currency || 'INR'
+        currency: booking.currency || 'INR',
+        // Reuse the nightly prices locked in at booking time (host pricing rules)
+        nightlyRates: booking.pricingBreakdown?.nightlyBreakdown,
+        // ...and the host promotion and fee config applied then
+        hostPromotion: booking.pricingBreakdown?.hostPromotion,
+        pricingConfigVersion: booking.pricingConfigVersion
       };
 
       // Recalculate pricing using unified pricing utilities
@@ -174,7 +183,11 @@ class PaymentService {
         // Payment details with transaction information
         paymentDetails: {
           transactionId: transactionId,
+          gatewayOrderId: paymentData.gatewayOrderId || null,
           paymentGateway: paymentData.gateway || 'razorpay',
+          cardLast4: paymentData.cardLast4,
+          cardBrand: paymentData.cardBrand,
+          savedMethod: paymentData.savedMethod,
           gatewayResponse: paymentData.gatewayResponse || {
             status: 'success',
             transactionId: transactionId,
@@ -182,6 +195,7 @@ class PaymentService {
             gateway: paymentData.gateway || 'razorpay'
           }
         },
+        charge: paymentData.charge,
         // Razorpay specific fields
         razorpayOrderId: paymentData.razorpayOrderId || null,
         razorpayPaymentId: paymentData.razorpayPaymentId || null,
@@ -306,36 +320,12 @@ class PaymentService {
   }
 
   /**
-   * Schedule a payout for the host
+   * Schedule the host's payouts under the payout policy (see PayoutService)
    */
   static async scheduleHostPayout(paymentId, bookingId, amount, hostId) {
     try {
-      // Schedule payout for 24 hours after check-in (or immediately if service)
       const booking = await Booking.findById(bookingId);
-      let scheduledDate = new Date();
-      
-      if (booking.bookingType === 'property' && booking.checkIn) {
-        scheduledDate = new Date(booking.checkIn);
-        scheduledDate.setHours(scheduledDate.getHours() + 24);
-      }
-
-      const payout = await Payout.create({
-        host: hostId,
-        payment: paymentId,
-        booking: bookingId,
-        amount,
-        currency: 'INR',
-        status: 'pending',
-        method: 'bank_transfer', // Default method
-        scheduledDate,
-        fees: {
-          processingFee: 0,
-          taxDeduction: 0,
-          netAmount: amount
-        }
-      });
-
-      return payout;
+      return await PayoutService.scheduleBookingPayouts({ paymentId, booking, amount, hostId });
     } catch (error) {
       console.error('Error scheduling payout:', error);
       throw error;
@@ -361,7 +351,8 @@ class PaymentService {
         reason,
         type,
         adminNotes,
-        userNotes
+        userNotes,
+        refundMethod = 'original_payment_method'
       } = refundData;
 
       // Validate refund amount
@@ -369,24 +360,33 @@ class PaymentService {
         throw new Error('Refund amount cannot exceed payment amount');
       }
 
+      // Wallet-paid amounts (or the whole refund, for wallet credit) go back to the wallet
+      const { walletAmount } = await RefundService.splitRefund(payment, amount, refundMethod);
+
       // Create refund record
-      const refund = await Refund.create({
+      let refund = await Refund.create({
         booking: payment.booking._id,
         payment: paymentId,
         user: payment.user._id,
         host: payment.host._id,
         amount,
+        currency: payment.currency || 'INR',
         reason,
         type,
-        status: adminUser ? 'approved' : 'pending',
-        approvedAt: adminUser ? new Date() : null,
-        approvedBy: adminUser?._id,
+        status: 'pending',
         adminNotes,
         userNotes,
+        refundMethod,
+        walletAmount,
         refundReference: `REF_${Date.now()}`,
         refundBreakdown: this.calculateRefundBreakdown(payment, amount, type)
       });
 
+      // Refunds made by an admin are approved straight away (which pays any wallet share)
+      if (adminUser) {
+        refund = await RefundService.approveRefund(refund._id, adminUser._id, adminNotes);
+      }
+
       // Update payment
       payment.refunds.push({
         amount,
@@ -482,6 +482,9 @@ class PaymentService {
       if (!payout) {
         throw new Error('Payout not found');
       }
+      if (payout.onHold) {
+        throw new Error('Payout is on hold');
+      }
 
       const {
         method,
@@ -519,21 +522,11 @@ class PaymentService {
       await payout.save();
 
       // TODO: Integrate with actual payment gateway for processing
-      // For now, simulate processing
-      setTimeout(async () => {
-        payout.status = 'completed';
-        payout.processedDate = new Date();
-        await payout.save();
-
-        // Send notification to host
-        await Notification.create({
-          user: payout.host._id,
-          type: 'payout_completed',
-          title: 'Payout Completed',
-          message: `Your payout of ₹${payout.amount} has been processed successfully.`,
-          data: { payoutId: payout._id, amount: payout.amount }
-        });
-      }, 5000); // Simulate 5 second processing
+      // For now, completion is simulated by a scheduler job (survives restarts, runs once)
+      await JobScheduler.enqueue('complete-host-payout', { payoutId: payout._id.toString() }, {
+        delayMs: 5000,
+        uniqueKey: payout._id.toString()
+      });
 
       return payout;
     } catch (error) {
@@ -541,6 +534,35 @@ class PaymentService {
     }
   }
 
+  /**
+   * Mark a processing payout as completed and notify the host
+   * (run by the 'complete-host-payout' scheduler job)
+   */
+  static async completeHostPayout(payoutId) {
+    const payout = await Payout.findOneAndUpdate(
+      { _id: payoutId, status: 'processing' },
+      { $set: { status: 'completed', processedDate: new Date() } },
+      { new: true }
+    );
+
+    // Already completed, cancelled or reversed in the meantime
+    if (!payout) {
+      return { completed: false };
+    }
+
+    await LedgerService.queuePayout(payout._id);
+
+    await Notification.create({
+      user: payout.host,
+      type: 'payment',
+      title: 'Payout Completed',
+      message: `Your payout of ${payout.currency} ${payout.amount} has been processed successfully.`,
+      metadata: { payoutId: payout._id, amount: payout.amount }
+    });
+
+    return { completed: true, amount: payout.amount };
+  }
+
   /**
    * Get payment statistics for admin
    */
@@ -0,0 +1,471 @@
+/**
+ * Payment Gateway Service
+ * The booking and payment flows talk to gateways only through this service:
+ * it picks the provider adapter, verifies checkouts, issues refunds and turns
+ * every provider's webhook events into the same Payment/Booking/Refund updates.
+ */
+
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Refund = require('../models/Refund');
+const CurrencyService = require('./currency.service');
+const InvoiceService = require('./invoice.service');
+const LedgerService = require('./ledger.service');
+const PayoutService = require('./payout.service');
+const DisputeService = require('./dispute.service');
+const { getProvider, getDefaultProviderName } = require('./paymentProviders');
+
+// Allow 1 unit (e.g. ₹1) of rounding between the expected and the captured amount
+const AMOUNT_TOLERANCE = 1;
+const SUCCESSFUL_PAYMENT_STATUSES = ['authorized', 'captured'];
+const SETTLED_PAYMENT_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+// Booking states a late capture webhook must not override
+const FINAL_BOOKING_STATUSES = ['cancelled', 'rejected', 'expired', 'completed'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class PaymentGatewayService {
+  /**
+   * Checkout proof from a request's paymentData. Accepts the generic
+   * { provider, orderId, paymentId, signature } form and the older
+   * { razorpayOrderId, razorpayPaymentId, razorpaySignature } form.
+   * @returns {Object|null} { provider, orderId, paymentId, signature }
+   */
+  static getCheckoutProof(paymentData) {
+    if (!paymentData) {
+      return null;
+    }
+
+    if (paymentData.razorpayOrderId || paymentData.razorpayPaymentId) {
+      return {
+        provider: 'razorpay',
+        orderId: paymentData.razorpayOrderId,
+        paymentId: paymentData.razorpayPaymentId,
+        signature: paymentData.razorpaySignature
+      };
+    }
+
+    if (!paymentData.orderId && !paymentData.paymentId) {
+      return null;
+    }
+    return {
+      provider: (paymentData.provider || getDefaultProviderName()).toLowerCase(),
+      orderId: paymentData.orderId,
+      paymentId: paymentData.paymentId || paymentData.orderId,
+      signature: paymentData.signature
+    };
+  }
+
+  /**
+   * Amount the gateway charges for an amount in the booking currency: in the
+   * guest's currency at the rate locked on the booking, or in the booking
+   * currency when none was locked
+   * @param {Object} booking - Booking (or { currency, exchange })
+   * @param {number} amount - Amount in the booking currency
+   * @returns {Object} { amount, currency, rate }
+   */
+  static toChargeAmount(booking, amount) {
+    return CurrencyService.toLockedCurrency(booking, amount, 'guest');
+  }
+
+  /**
+   * Create a gateway order for the checkout UI
+   * @param {Object} params - { provider, amount, currency, receipt, notes }
+   * @returns {Promise<Object>} Order plus the provider's public checkout settings
+   */
+  static async createOrder({ provider: providerName, amount, currency = 'INR', receipt, notes = {} }) {
+    const provider = getProvider(providerName);
+    const order = await provider.createOrder({ amount, currency, receipt, notes });
+
+    return {
+      provider: provider.name,
+      orderId: order.orderId,
+      amount: order.amount,
+      currency: order.currency,
+      receipt: order.receipt,
+      ...provider.getClientConfig(),
+      ...order.clientData
+    };
+  }
+
+  /**
+   * ==== VERIFY A CHECKOUT ====
+   * Checks the proof, fetches the payment from the gateway (capturing it if
+   * the gateway needs a server-side capture) and compares order, amount,
+   * currency and status with what was expected.
+   * @param {Object} proof - { provider, orderId, paymentId, signature }
+   * @param {Object} expected - { amount, currency, rate } (see toChargeAmount)
+   * @returns {Promise<Object>} Normalized payment with its provider name and rate
+   */
+  static async verifyCheckout(proof, { amount, currency = 'INR', rate = 1 }) {
+    if (!proof || !proof.paymentId) {
+      throw httpError(400, 'Payment proof is required');
+    }
+
+    const provider = getProvider(proof.provider);
+
+    if (!(await provider.verifyPayment(proof))) {
+      throw httpError(400, 'Invalid payment signature. Payment verification failed.');
+    }
+
+    let payment;
+    try {
+      payment = await provider.fetchPayment(proof.paymentId);
+      if (payment.status === 'approved') {
+        payment = await provider.capturePayment(proof.paymentId, amount, currency);
+      }
+    } catch (error) {
+      console.error(`❌ Error fetching ${provider.name} payment details:`, error);
+      throw httpError(400, `Failed to verify payment with ${provider.name}: ${error.message}`);
+    }
+
+    if (proof.orderId && payment.orderId && payment.orderId !== proof.orderId) {
+      throw httpError(400, 'Payment order mismatch');
+    }
+    this.assertPaymentMatches(payment, { amount, currency });
+
+    return { ...payment, provider: provider.name, rate };
+  }
+
+  /**
+   * Check a gateway payment's amount, currency and status
+   * @param {Object} payment - Normalized payment
+   * @param {Object} expected - { amount, currency }
+   */
+  static assertPaymentMatches(payment, { amount, currency = 'INR' }) {
+    if (Math.abs(Number(payment.amount) - Number(amount)) > AMOUNT_TOLERANCE) {
+      throw httpError(400, `Payment amount mismatch: expected ${amount}, got ${payment.amount}`);
+    }
+    if ((payment.currency || '').toUpperCase() !== currency.toUpperCase()) {
+      throw httpError(400, 'Payment currency mismatch');
+    }
+    if (!SUCCESSFUL_PAYMENT_STATUSES.includes(payment.status)) {
+      throw httpError(400, `Payment status is not successful: ${payment.status || 'unknown'}`);
+    }
+  }
+
+  /**
+   * Payment document fields for a verified checkout
+   * @param {Object} verified - Result of verifyCheckout
+   * @param {Object} proof - Checkout proof
+   * @returns {Object} { paymentDetails, charge, razorpayOrderId, razorpayPaymentId, razorpaySignature }
+   */
+  static toPaymentFields(verified, proof) {
+    const isRazorpay = verified.provider === 'razorpay';
+    return {
+      paymentDetails: {
+        transactionId: verified.paymentId,
+        gatewayOrderId: verified.orderId || proof.orderId,
+        paymentGateway: verified.provider,
+        gatewayResponse: verified.raw
+      },
+      charge: {
+        amount: verified.amount,
+        currency: verified.currency,
+        rate: verified.rate || 1
+      },
+      razorpayOrderId: isRazorpay ? proof.orderId : undefined,
+      razorpayPaymentId: isRazorpay ? verified.paymentId : undefined,
+      razorpaySignature: isRazorpay ? proof.signature : undefined
+    };
+  }
+
+  // Gateway and gateway payment ID of a Payment document (older payments only have Razorpay fields)
+  static getGatewayReference(payment) {
+    if (!payment) {
+      return null;
+    }
+    const provider = payment.paymentDetails?.paymentGateway || (payment.razorpayPaymentId ? 'razorpay' : null);
+    const paymentId = provider === 'razorpay'
+      ? payment.razorpayPaymentId || payment.paymentDetails?.transactionId
+      : payment.paymentDetails?.transactionId;
+
+    return provider && paymentId ? { provider, paymentId } : null;
+  }
+
+  static canRefundThroughGateway(payment) {
+    return Boolean(this.getGatewayReference(payment));
+  }
+
+  /**
+   * Refund part or all of a payment through the gateway it was made with,
+   * in the currency it was charged in
+   * @param {Object} payment - Payment document
+   * @param {number} amount - Amount in the payment (booking) currency
+   * @param {string} reason - Shown to the payer where supported
+   * @param {Object} notes - Metadata stored with the gateway refund
+   * @returns {Promise<Object>} Normalized refund with its provider name
+   */
+  static async refundPayment(payment, amount, reason, notes = {}) {
+    const reference = this.getGatewayReference(payment);
+    if (!reference) {
+      throw httpError(400, 'Payment was not made through a payment gateway');
+    }
+    if (!Number.isFinite(Number(amount)) || Number(amount) <= 0) {
+      throw httpError(400, 'Invalid refund amount');
+    }
+
+    // Payments made before charges were recorded were charged in their own currency
+    const currency = payment.charge?.currency || payment.currency || 'INR';
+    const provider = getProvider(reference.provider);
+    const refund = await provider.refund({
+      paymentId: reference.paymentId,
+      amount: CurrencyService.convert(amount, payment.charge?.rate || 1),
+      currency,
+      reason,
+      notes
+    });
+
+    console.log(`💸 ${provider.name} refund ${refund.refundId} created for ${reference.paymentId}: ${refund.amount} ${refund.currency || currency}`);
+
+    return { ...refund, provider: provider.name };
+  }
+
+  /**
+   * Refund document fields for a gateway refund
+   */
+  static toRefundFields(gatewayRefund) {
+    return {
+      gateway: gatewayRefund.provider,
+      gatewayRefundId: gatewayRefund.refundId,
+      razorpayRefundId: gatewayRefund.provider === 'razorpay' ? gatewayRefund.refundId : undefined,
+      gatewayResponse: gatewayRefund.raw
+    };
+  }
+
+  /**
+   * ==== WEBHOOKS ====
+   * Apply a verified, normalized gateway event. Webhooks are received and
+   * stored by WebhookEventService, which calls this.
+   * @param {Object} event - Normalized event from a provider's parseWebhook
+   */
+  static async applyEvent(event) {
+    switch (event.type) {
+      case 'payment.authorized':
+        return this.onPaymentAuthorized(event);
+      case 'payment.captured':
+        return this.onPaymentCaptured(event);
+      case 'payment.failed':
+        return this.onPaymentFailed(event);
+      case 'dispute.created':
+      case 'dispute.updated':
+      case 'dispute.closed':
+        return this.onDisputeEvent(event);
+      case 'refund.created':
+        return this.onRefundCreated(event);
+      case 'refund.processed':
+        return this.onRefundProcessed(event);
+      case 'refund.failed':
+        return this.onRefundFailed(event);
+      default:
+        console.log(`ℹ️ Unhandled ${event.provider} webhook event: ${event.gatewayEvent}`);
+        return null;
+    }
+  }
+
+  static findPayment(provider, { paymentId, orderId }) {
+    const conditions = [];
+    if (paymentId) {
+      conditions.push({ 'paymentDetails.transactionId': paymentId });
+      if (provider === 'razorpay') conditions.push({ razorpayPaymentId: paymentId });
+    }
+    if (orderId) {
+      conditions.push({ 'paymentDetails.gatewayOrderId': orderId });
+      if (provider === 'razorpay') conditions.push({ razorpayOrderId: orderId });
+    }
+    return conditions.length ? Payment.findOne({ $or: conditions }) : null;
+  }
+
+  static findRefund(refundId) {
+    if (!refundId) {
+      return null;
+    }
+    return Refund.findOne({ $or: [{ gatewayRefundId: refundId }, { razorpayRefundId: refundId }] });
+  }
+
+  static async onPaymentAuthorized(event) {
+    const payment = await this.findPayment(event.provider, event.payment || {});
+    if (!payment) {
+      console.warn(`⚠️ Payment not found for ${event.provider} payment ${event.payment?.paymentId}`);
+      return;
+    }
+    // Capture may already have been recorded (webhooks can arrive out of order)
+    if (SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+      return;
+    }
+
+    payment.status = 'processing'; // capture will mark it completed
+    payment.paymentDetails.gatewayResponse = event.payment.raw;
+    await payment.save();
+
+    const booking = await Booking.findById(payment.booking);
+    if (booking) {
+      booking.paymentStatus = 'pending';
+      await booking.save();
+    }
+
+    console.log('✅ Payment authorized (awaiting capture):', payment._id);
+  }
+
+  static async onPaymentCaptured(event) {
+    const payment = await this.findPayment(event.provider, event.payment || {});
+    if (!payment) {
+      console.warn(`⚠️ Payment not found for ${event.provider} payment ${event.payment?.paymentId || event.payment?.orderId}`);
+      return;
+    }
+    if (SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+      return;
+    }
+
+    payment.status = 'completed';
+    payment.processedAt = new Date();
+    payment.paymentDetails.gatewayResponse = {
+      ...(payment.paymentDetails?.gatewayResponse || {}),
+      ...(event.payment.raw || {})
+    };
+    await payment.save();
+
+    const booking = await Booking.findById(payment.booking);
+    if (booking) {
+      // A payment plan deposit leaves the balance outstanding
+      const awaitingBalance = payment.installment === 'deposit' && booking.paymentPlan?.status === 'awaiting_balance';
+      booking.paymentStatus = awaitingBalance ? 'partially_paid' : 'paid';
+      // Requests still waiting for the host stay pending
+      const awaitingHost = booking.status === 'pending' && booking.responseDeadline;
+      if (!awaitingHost && !FINAL_BOOKING_STATUSES.includes(booking.status)) {
+        booking.status = 'confirmed';
+      }
+      await booking.save();
+      if (!awaitingBalance) {
+        await InvoiceService.queueBookingInvoices(booking._id);
+      }
+    }
+    await LedgerService.queuePayment(payment._id);
+    await PayoutService.queuePaymentPayouts(payment._id);
+
+    console.log('✅ Payment captured:', payment._id);
+  }
+
+  static async onPaymentFailed(event) {
+    const payment = await this.findPayment(event.provider, event.payment || {});
+    if (!payment) {
+      return;
+    }
+    if (SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+      return;
+    }
+
+    payment.status = 'failed';
+    payment.paymentDetails.gatewayResponse = event.payment.raw;
+    await payment.save();
+
+    const booking = await Booking.findById(payment.booking);
+    if (booking) {
+      booking.paymentStatus = 'failed';
+      booking.status = 'cancelled';
+      await booking.save();
+    }
+
+    // Revert availability
+    try {
+      const { updateAvailabilityStatus } = require('../controllers/availability.controller');
+      await updateAvailabilityStatus(payment.booking, 'available');
+    } catch (availabilityError) {
+      console.error('Error reverting availability status:', availabilityError);
+    }
+
+    console.log('❌ Payment failed:', payment._id);
+  }
+
+  static async onDisputeEvent(event) {
+    const paymentId = event.dispute?.paymentId;
+    if (!paymentId) {
+      console.warn(`⚠️ ${event.provider} dispute webhook missing payment reference`);
+      return;
+    }
+
+    const payment = await this.findPayment(event.provider, { paymentId });
+    if (!payment) {
+      console.warn(`⚠️ Payment not found for dispute on ${event.provider} payment ${paymentId}`);
+      return;
+    }
+
+    // The payment stays completed while the dispute is open; the Dispute
+    // tracks it and holds the host's payouts
+    await DisputeService.applyGatewayEvent(payment, event);
+  }
+
+  static async onRefundCreated(event) {
+    const refund = await this.findRefund(event.refund?.refundId);
+    if (!refund || refund.status === 'completed') {
+      return;
+    }
+
+    refund.status = 'processing';
+    refund.gatewayResponse = event.refund.raw;
+    await refund.save();
+
+    console.log('✅ Refund created at gateway:', refund._id);
+  }
+
+  static async onRefundProcessed(event) {
+    const refund = await this.findRefund(event.refund?.refundId);
+    if (!refund) {
+      console.warn(`⚠️ Refund record not found for ${event.provider} refund ${event.refund?.refundId}`);
+      return;
+    }
+    if (refund.status === 'completed') {
+      return;
+    }
+
+    refund.status = 'completed';
+    refund.processedAt = new Date();
+    refund.gatewayResponse = event.refund.raw;
+    await refund.save();
+
+    const booking = await Booking.findById(refund.booking);
+    if (booking) {
+      booking.refunded = true;
+      booking.refundStatus = 'completed';
+      booking.paymentStatus = refund.amount === booking.totalAmount ? 'refunded' : 'partially_refunded';
+      await booking.save();
+    }
+
+    const payment = await Payment.findById(refund.payment);
+    if (payment) {
+      payment.status = refund.amount === payment.amount ? 'refunded' : 'partially_refunded';
+      await payment.save();
+    }
+
+    await InvoiceService.queueCreditNotes(refund._id);
+    await LedgerService.queueRefund(refund._id);
+
+    console.log(`✅ Refund completed: ${refund._id} (${refund.amount} ${refund.currency})`);
+  }
+
+  static async onRefundFailed(event) {
+    const refund = await this.findRefund(event.refund?.refundId);
+    if (!refund) {
+      console.warn(`⚠️ Refund record not found for ${event.provider} refund ${event.refund?.refundId}`);
+      return;
+    }
+
+    refund.status = 'failed';
+    refund.gatewayResponse = event.refund.raw;
+    await refund.save();
+
+    const booking = await Booking.findById(refund.booking);
+    if (booking) {
+      booking.refundStatus = 'pending';
+      await booking.save();
+    }
+
+    console.log('⚠️ Refund failed:', refund._id);
+  }
+}
+
+module.exports = PaymentGatewayService;
@@ -0,0 +1,398 @@
+/**
+ * Payment Method Service
+ * Saved (tokenized) payment methods. The instrument itself is kept by the
+ * gateway: the guest enters it in the gateway's own form, which saves it
+ * under the guest's gateway customer and returns a token. We store the
+ * token with display details (brand, last4, expiry, UPI VPA) only.
+ *   - An instrument is saved once per guest and gateway, identified by a
+ *     fingerprint (the gateway's when it has one). Saving it again refreshes
+ *     the existing record.
+ *   - Each guest has at most one default method.
+ *   - Cards about to expire are flagged, and the guest is warned once.
+ *   - Checkout charges a saved method directly, so a returning guest pays
+ *     in one step (unless the issuer asks them to authenticate).
+ */
+
+const crypto = require('crypto');
+const PaymentMethod = require('../models/PaymentMethod');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const PaymentGatewayService = require('./paymentGateway.service');
+const { getProvider, getDefaultProviderName } = require('./paymentProviders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAVED_TYPES = ['card', 'upi'];
+const EXPIRY_WARNING_DAYS = () => parseInt(process.env.PAYMENT_METHOD_EXPIRY_WARNING_DAYS, 10) || 30;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Cards are valid until the end of their expiry month
+const hasExpired = ({ type, expMonth, expYear }, now = new Date()) =>
+  type === 'card' && Boolean(expMonth && expYear) && new Date(Date.UTC(expYear, expMonth, 1)) <= now;
+
+// "Visa •••• 4242" / "UPI guest@okbank"
+const describe = (method) => method.type === 'upi'
+  ? `UPI ${method.vpa}`
+  : `${method.brand ? method.brand.charAt(0).toUpperCase() + method.brand.slice(1) : 'Card'} •••• ${method.last4}`;
+
+class PaymentMethodService {
+  /**
+   * The guest's customer at a gateway, created on first use
+   * @param {Object} user - User document
+   * @param {Object} provider - Payment provider adapter
+   * @returns {Promise<string>} Gateway customer ID
+   */
+  static async getCustomerId(user, provider) {
+    const stored = await User.findById(user._id).select('paymentCustomers');
+    const existing = stored?.paymentCustomers?.find(entry => entry.provider === provider.name);
+    if (existing) {
+      return existing.customerId;
+    }
+
+    const { customerId } = await provider.createCustomer({
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      userId: user._id.toString()
+    });
+    const result = await User.updateOne(
+      { _id: user._id, 'paymentCustomers.provider': { $ne: provider.name } },
+      { $push: { paymentCustomers: { provider: provider.name, customerId } } }
+    );
+    if (result.modifiedCount === 0) {
+      // Another request created one first; use that
+      const current = await User.findById(user._id).select('paymentCustomers');
+      return current.paymentCustomers.find(entry => entry.provider === provider.name).customerId;
+    }
+    return customerId;
+  }
+
+  /**
+   * ==== SAVE A METHOD ====
+   * Settings the checkout UI needs to open the gateway's save form
+   * @param {Object} user - User document
+   * @param {Object} options - { provider, currency, testInstrument (mock only) }
+   * @returns {Promise<Object>} { provider, customerId, ...client settings }
+   */
+  static async startSetup(user, { provider: providerName, currency = 'INR', testInstrument } = {}) {
+    const provider = getProvider(providerName);
+    const customerId = await this.getCustomerId(user, provider);
+    const session = await provider.createSetupSession({ customerId, currency, testInstrument });
+
+    return {
+      provider: provider.name,
+      customerId,
+      ...provider.getClientConfig(),
+      ...session
+    };
+  }
+
+  static getFingerprint(providerName, instrument) {
+    const source = instrument.fingerprint
+      ? `${providerName}:${instrument.fingerprint}`
+      : instrument.type === 'upi'
+        ? `upi:${instrument.vpa.toLowerCase()}`
+        : `card:${(instrument.brand || '').toLowerCase()}:${instrument.last4}:${instrument.expMonth}/${instrument.expYear}`;
+    return crypto.createHash('sha256').update(source).digest('hex');
+  }
+
+  /**
+   * Save the instrument behind a gateway token
+   * @param {Object} user - User document
+   * @param {Object} data - { provider, token, nickname, isDefault }
+   * @returns {Promise<Object>} { method, duplicate }
+   */
+  static async addMethod(user, { provider: providerName, token, nickname, isDefault = false }) {
+    const provider = getProvider(providerName || getDefaultProviderName());
+    const stored = await User.findById(user._id).select('paymentCustomers');
+    const customer = stored?.paymentCustomers?.find(entry => entry.provider === provider.name);
+    if (!customer) {
+      throw httpError(400, `Start a ${provider.name} payment method setup first`);
+    }
+
+    let instrument;
+    try {
+      instrument = await provider.fetchInstrument(customer.customerId, token);
+    } catch (error) {
+      if (error.statusCode === 501) throw error;
+      throw httpError(400, `Could not find this payment method at ${provider.name}: ${error.message}`);
+    }
+    if (!SAVED_TYPES.includes(instrument.type)) {
+      throw httpError(400, `Only cards and UPI can be saved (got ${instrument.type || 'unknown'})`);
+    }
+    if (instrument.type === 'upi' && !instrument.vpa) {
+      throw httpError(400, 'The UPI payment method has no VPA');
+    }
+
+    const details = {
+      customerId: customer.customerId,
+      token: instrument.token,
+      type: instrument.type,
+      brand: instrument.brand,
+      funding: instrument.funding,
+      last4: instrument.last4,
+      expMonth: instrument.expMonth,
+      expYear: instrument.expYear,
+      vpa: instrument.vpa
+    };
+    if (hasExpired(details)) {
+      throw httpError(400, 'This card has expired');
+    }
+    const fingerprint = this.getFingerprint(provider.name, instrument);
+
+    let method = await this.refreshExisting(user._id, provider, fingerprint, details, nickname);
+    let duplicate = Boolean(method);
+    if (!method) {
+      try {
+        method = await PaymentMethod.create({
+          user: user._id,
+          provider: provider.name,
+          fingerprint,
+          nickname,
+          ...details
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        method = await this.refreshExisting(user._id, provider, fingerprint, details, nickname);
+        duplicate = true;
+      }
+    }
+
+    const hasDefault = await PaymentMethod.exists({ user: user._id, status: 'active', isDefault: true });
+    if (isDefault || !hasDefault) {
+      method = await this.setDefault(user._id, method._id);
+    }
+
+    console.log(`💳 ${duplicate ? 'Refreshed' : 'Saved'} ${provider.name} ${describe(method)} for user ${user._id}`);
+    return { method, duplicate };
+  }
+
+  // The same instrument saved again: keep one record, with the newest token
+  static async refreshExisting(userId, provider, fingerprint, details, nickname) {
+    const existing = await PaymentMethod.findOne({ user: userId, provider: provider.name, fingerprint, status: 'active' })
+      .select('+token');
+    if (!existing) {
+      return null;
+    }
+
+    const previousToken = existing.token;
+    const expiryChanged = existing.expMonth !== details.expMonth || existing.expYear !== details.expYear;
+    existing.set(details);
+    if (nickname !== undefined) existing.nickname = nickname;
+    if (expiryChanged) existing.expiryWarnedAt = undefined;
+    await existing.save();
+
+    if (previousToken !== details.token) {
+      await this.deleteAtGateway(provider, existing.customerId, previousToken);
+    }
+    return existing;
+  }
+
+  static async deleteAtGateway(provider, customerId, token) {
+    try {
+      await provider.deleteInstrument(customerId, token);
+    } catch (error) {
+      console.error(`❌ Error removing ${provider.name} token ${token}:`, error.message);
+    }
+  }
+
+  /**
+   * ==== MANAGE METHODS ====
+   * The guest's saved methods, default first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Methods with expiresAt, isExpired and expiresSoon
+   */
+  static async listMethods(userId) {
+    const methods = await PaymentMethod.find({ user: userId, status: 'active' })
+      .sort({ isDefault: -1, lastUsedAt: -1, createdAt: -1 });
+    return methods.map(method => this.present(method));
+  }
+
+  // A method as shown to its owner (never the gateway token)
+  static present(method) {
+    const warnBy = new Date(Date.now() + EXPIRY_WARNING_DAYS() * DAY_MS);
+    const shown = method.toJSON();
+    delete shown.token;
+    return {
+      ...shown,
+      description: describe(method),
+      expiresSoon: Boolean(method.expiresAt && !method.isExpired && method.expiresAt <= warnBy)
+    };
+  }
+
+  static async getMethod(userId, methodId, { withToken = false } = {}) {
+    const query = PaymentMethod.findOne({ _id: methodId, user: userId, status: 'active' });
+    const method = await (withToken ? query.select('+token') : query);
+    if (!method) {
+      throw httpError(404, 'Payment method not found');
+    }
+    return method;
+  }
+
+  static async updateMethod(userId, methodId, { nickname, isDefault }) {
+    let method = await this.getMethod(userId, methodId);
+    if (nickname !== undefined) {
+      method.nickname = nickname;
+      await method.save();
+    }
+    if (isDefault === true) {
+      method = await this.setDefault(userId, method._id);
+    }
+    return method;
+  }
+
+  static async setDefault(userId, methodId) {
+    const method = await this.getMethod(userId, methodId);
+    if (method.isExpired) {
+      throw httpError(400, 'An expired card cannot be the default payment method');
+    }
+
+    await PaymentMethod.updateMany(
+      { user: userId, _id: { $ne: method._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+    method.isDefault = true;
+    await method.save();
+    return method;
+  }
+
+  /**
+   * Remove a saved method here and at the gateway. If it was the default,
+   * the most recently used unexpired method becomes the default.
+   */
+  static async removeMethod(userId, methodId) {
+    const method = await this.getMethod(userId, methodId, { withToken: true });
+    const wasDefault = method.isDefault;
+
+    method.status = 'removed';
+    method.isDefault = false;
+    method.removedAt = new Date();
+    await method.save();
+    await this.deleteAtGateway(getProvider(method.provider, { requireConfigured: false }), method.customerId, method.token);
+
+    if (wasDefault) {
+      const candidates = await PaymentMethod.find({ user: userId, status: 'active' })
+        .sort({ lastUsedAt: -1, createdAt: -1 });
+      const next = candidates.find(candidate => !candidate.isExpired);
+      if (next) {
+        await this.setDefault(userId, next._id);
+      }
+    }
+    return method;
+  }
+
+  /**
+   * ==== CHARGE A SAVED METHOD ====
+   * Charge the booking amount to a saved method and check the result like a
+   * checkout proof. When the issuer asks the guest to authenticate, throws a
+   * 402 whose `data` lets the checkout UI finish the payment; the guest then
+   * submits the usual proof.
+   * @param {Object} user - User document
+   * @param {Object} method - PaymentMethod with its token selected
+   * @param {Object} charge - { amount, currency, rate, receipt, notes } (amount in
+   *   the charged currency; see PaymentGatewayService.toChargeAmount)
+   * @returns {Promise<Object>} Normalized payment with its provider name and rate
+   */
+  static async chargeMethod(user, method, { amount, currency = 'INR', rate = 1, receipt, notes = {} }) {
+    if (method.isExpired) {
+      throw httpError(400, `${describe(method)} has expired. Please use another payment method.`);
+    }
+    const provider = getProvider(method.provider);
+
+    let payment;
+    try {
+      payment = await provider.chargeInstrument({
+        customerId: method.customerId,
+        token: method.token,
+        amount,
+        currency,
+        receipt,
+        notes,
+        customer: { email: user.email, phone: user.phone }
+      });
+    } catch (error) {
+      console.error(`❌ Charge to saved ${provider.name} method ${method._id} failed:`, error.message);
+      throw httpError(error.statusCode === 501 ? 501 : 402, `Payment with ${describe(method)} failed: ${error.message}`);
+    }
+
+    if (payment.clientData) {
+      const error = httpError(402, 'Your bank needs you to confirm this payment');
+      error.data = {
+        requiresAction: true,
+        provider: provider.name,
+        orderId: payment.orderId,
+        paymentId: payment.paymentId,
+        ...payment.clientData
+      };
+      throw error;
+    }
+    PaymentGatewayService.assertPaymentMatches(payment, { amount, currency });
+
+    method.lastUsedAt = new Date();
+    await method.save();
+
+    return { ...payment, provider: provider.name, rate };
+  }
+
+  /**
+   * ==== EXPIRY WARNINGS ====
+   * Warn guests once about saved cards that expire within
+   * PAYMENT_METHOD_EXPIRY_WARNING_DAYS (default 30) or have expired
+   * @returns {Promise<Object>} { warned }
+   */
+  static async warnExpiringMethods() {
+    const warnBy = new Date(Date.now() + EXPIRY_WARNING_DAYS() * DAY_MS);
+    const year = warnBy.getUTCFullYear();
+    const month = warnBy.getUTCMonth() + 1;
+
+    // Cards valid until the end of their expiry month, so only months that
+    // end before warnBy are due (expiresAt <= warnBy)
+    const candidates = await PaymentMethod.find({
+      status: 'active',
+      type: 'card',
+      expiryWarnedAt: null,
+      $or: [
+        { expYear: { $lt: year } },
+        { expYear: year, expMonth: { $lt: month } }
+      ]
+    }).select('_id').limit(100);
+
+    let warned = 0;
+    for (const { _id } of candidates) {
+      const method = await PaymentMethod.findOneAndUpdate(
+        { _id, status: 'active', expiryWarnedAt: null },
+        { $set: { expiryWarnedAt: new Date() } },
+        { new: true }
+      );
+      if (!method) continue;
+
+      const expiry = `${String(method.expMonth).padStart(2, '0')}/${method.expYear}`;
+      try {
+        await Notification.create({
+          user: method.user,
+          type: 'payment',
+          title: method.isExpired ? 'Saved Card Expired' : 'Saved Card Expiring Soon',
+          message: method.isExpired
+            ? `Your saved ${describe(method)} expired in ${expiry}. Add a new card to keep paying in one step.`
+            : `Your saved ${describe(method)} expires at the end of ${expiry}. Add your new card to keep paying in one step.`
+        });
+        warned++;
+      } catch (error) {
+        console.error(`❌ Error warning about expiring payment method ${method._id}:`, error);
+        // Not warned yet: the next run tries again
+        await PaymentMethod.updateOne({ _id: method._id }, { $unset: { expiryWarnedAt: 1 } });
+      }
+    }
+
+    if (warned > 0) {
+      console.log(`💳 Warned about ${warned} expiring saved card(s)`);
+    }
+    return { warned };
+  }
+}
+
+module.exports = PaymentMethodService;
@@ -0,0 +1,518 @@
+/**
+ * Payment Plan Service
+ * Deposit-now, balance-later bookings for properties that enable it. The guest
+ * pays the listing's deposit percentage at booking and the balance through a
+ * second gateway order before the due date. Reminders go out ahead of the due
+ * date; bookings still unpaid after it are cancelled and the deposit is
+ * refunded under the booking's cancellation policy.
+ */
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Notification = require('../models/Notification');
+const AvailabilityService = require('./availability.service');
+const AvailabilityEventService = require('./availabilityEvent.service');
+const RefundService = require('./refundService');
+const PaymentGatewayService = require('./paymentGateway.service');
+const InvoiceService = require('./invoice.service');
+const LedgerService = require('./ledger.service');
+const { sendEmail, sendPaymentSuccessEmail } = require('../utils/sendEmail');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Reminders are sent this many days before the balance is due
+const REMINDER_DAYS = [7, 3, 1];
+// Bookings the guest can still pay the balance on
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+// A plan is only offered if the guest has at least this long to pay the balance
+const MIN_DAYS_TO_PAY = 2;
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+class PaymentPlanService {
+  /**
+   * Deposit/balance split offered for a stay, or null when the listing does not
+   * offer a plan or check-in is too close for one
+   * @param {Object} listing - Property
+   * @param {Date} checkIn - Check-in date
+   * @param {number} totalAmount - Booking total
+   * @param {Object} [options] - { bookingType, now }
+   * @returns {Object|null} { depositPercentage, depositAmount, balanceAmount, balanceDueDate, balanceDueDays }
+   */
+  static getPlanOffer(listing, checkIn, totalAmount, { bookingType = 'daily', now = new Date() } = {}) {
+    const plan = listing?.paymentPlan;
+    if (!plan?.enabled || bookingType === '24hour' || !checkIn || !(totalAmount > 0)) {
+      return null;
+    }
+
+    const balanceDueDays = plan.balanceDueDays || 30;
+    const balanceDueDate = new Date(new Date(checkIn).getTime() - balanceDueDays * DAY_MS);
+    if (balanceDueDate.getTime() - now.getTime() < MIN_DAYS_TO_PAY * DAY_MS) {
+      return null;
+    }
+
+    const depositPercentage = plan.depositPercentage || 30;
+    const depositAmount = toTwoDecimals(totalAmount * depositPercentage / 100);
+
+    return {
+      depositPercentage,
+      depositAmount,
+      balanceAmount: toTwoDecimals(totalAmount - depositAmount),
+      balanceDueDate,
+      balanceDueDays
+    };
+  }
+
+  /**
+   * Booking paymentPlan fields once the deposit has been captured
+   * @param {Object} offer - Result of getPlanOffer
+   * @returns {Object}
+   */
+  static buildBookingPlan(offer) {
+    return {
+      enabled: true,
+      depositPercentage: offer.depositPercentage,
+      depositAmount: offer.depositAmount,
+      balanceAmount: offer.balanceAmount,
+      balanceDueDate: offer.balanceDueDate,
+      amountPaid: offer.depositAmount,
+      status: 'awaiting_balance'
+    };
+  }
+
+  /**
+   * Load a plan booking the guest can pay the balance on
+   */
+  static async loadPayableBooking(bookingId, user) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw httpError(404, 'Booking not found');
+    }
+    if (booking.user.toString() !== user._id.toString()) {
+      throw httpError(403, 'Only the guest can pay the balance');
+    }
+    if (!booking.paymentPlan?.enabled) {
+      throw httpError(400, 'This booking does not have a payment plan');
+    }
+    if (booking.paymentPlan.status !== 'awaiting_balance') {
+      throw httpError(400, `The balance cannot be paid: payment plan is ${booking.paymentPlan.status}`);
+    }
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      throw httpError(400, `The balance cannot be paid on a ${booking.status} booking`);
+    }
+    if (booking.paymentPlan.balanceDueDate < new Date()) {
+      throw httpError(400, 'The balance due date has passed');
+    }
+    return booking;
+  }
+
+  /**
+   * ========================================
+   * CREATE BALANCE ORDER
+   * ========================================
+   * Gateway order for the outstanding balance, with the gateway the deposit
+   * was paid through unless the guest picks another one.
+   *
+   * @param {string} bookingId - Booking ID
+   * @param {Object} user - Guest
+   * @param {Object} [options] - { provider }
+   * @returns {Promise<Object>} { booking, order }
+   */
+  static async createBalanceOrder(bookingId, user, { provider } = {}) {
+    const booking = await this.loadPayableBooking(bookingId, user);
+    const deposit = await Payment.findById(booking.payment).select('paymentDetails razorpayPaymentId');
+
+    // Receipt IDs are capped at 40 characters (Razorpay's limit)
+    const receiptId = `BAL_${booking._id.toString().slice(-12)}_${Date.now().toString().slice(-10)}`.substring(0, 40);
+    const charge = PaymentGatewayService.toChargeAmount(booking, booking.paymentPlan.balanceAmount);
+    const order = await PaymentGatewayService.createOrder({
+      provider: provider || PaymentGatewayService.getGatewayReference(deposit)?.provider,
+      amount: charge.amount,
+      currency: charge.currency,
+      receipt: receiptId,
+      notes: {
+        bookingId: booking._id.toString(),
+        userId: booking.user.toString(),
+        description: `Balance payment for ${booking.receiptId}`
+      }
+    });
+
+    booking.paymentPlan.balanceOrder = {
+      provider: order.provider,
+      orderId: order.orderId,
+      createdAt: new Date()
+    };
+    await booking.save();
+
+    return { booking, order };
+  }
+
+  /**
+   * ========================================
+   * PAY BALANCE
+   * ========================================
+   * Verify the guest's payment against the balance order and settle the
+   * booking. If the plan changed while the guest was paying (cancelled for
+   * non-payment, or paid twice) the capture is refunded, unless it is the
+   * payment that settled the balance submitted again.
+   *
+   * @param {string} bookingId - Booking ID
+   * @param {Object} user - Guest
+   * @param {Object} paymentData - { provider, orderId, paymentId, signature } or the razorpay* fields
+   * @returns {Promise<Object>} { booking, payment }
+   */
+  static async payBalance(bookingId, user, paymentData) {
+    const booking = await this.loadPayableBooking(bookingId, user);
+    const { balanceOrder, balanceAmount } = booking.paymentPlan;
+
+    const proof = PaymentGatewayService.getCheckoutProof(paymentData);
+    if (!proof || !balanceOrder?.orderId || balanceOrder.orderId !== proof.orderId) {
+      throw httpError(400, 'Payment order does not belong to this booking balance');
+    }
+
+    const verified = await PaymentGatewayService.verifyCheckout(
+      { ...proof, provider: balanceOrder.provider || proof.provider },
+      PaymentGatewayService.toChargeAmount(booking, balanceAmount)
+    );
+
+    const now = new Date();
+    const claimed = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+        'paymentPlan.status': 'awaiting_balance',
+        'paymentPlan.balanceOrder.orderId': balanceOrder.orderId
+      },
+      {
+        $set: {
+          paymentStatus: 'paid',
+          'paymentPlan.status': 'paid',
+          'paymentPlan.amountPaid': booking.totalAmount,
+          'paymentPlan.balancePaidAt': now,
+          'paymentPlan.balanceOrder.paymentId': verified.paymentId
+        }
+      },
+      { new: true }
+    ).populate('user', 'name email').populate('listing', 'title');
+
+    if (!claimed) {
+      // A repeated submission of the payment that already settled the balance
+      // must not refund it
+      if (await Booking.exists({ _id: booking._id, 'paymentPlan.balanceOrder.paymentId': verified.paymentId })) {
+        throw httpError(409, 'The balance has already been paid with this payment');
+      }
+      try {
+        await PaymentGatewayService.refundPayment(
+          {
+            currency: booking.currency || 'INR',
+            charge: { currency: verified.currency, rate: verified.rate },
+            paymentDetails: { paymentGateway: verified.provider, transactionId: verified.paymentId }
+          },
+          balanceAmount,
+          'Balance payment could not be applied',
+          { bookingId: booking._id.toString() }
+        );
+      } catch (error) {
+        console.error(`❌ Error refunding balance payment for booking ${booking._id}:`, error);
+      }
+      throw httpError(409, 'The balance can no longer be paid on this booking. Your payment is being refunded.');
+    }
+
+    // The deposit payment carries the fee breakdown; the balance only settles the rest
+    const deposit = await Payment.findById(claimed.payment).select('paymentMethod');
+    const payment = await Payment.create({
+      booking: claimed._id,
+      user: claimed.user._id,
+      host: claimed.host,
+      amount: balanceAmount,
+      currency: claimed.currency || 'INR',
+      paymentMethod: deposit?.paymentMethod || 'credit_card',
+      ...PaymentGatewayService.toPaymentFields(verified, proof),
+      installment: 'balance',
+      status: 'completed',
+      processedAt: now,
+      subtotal: 0,
+      taxes: 0,
+      processingFee: 0,
+      commission: { platformFee: 0, hostEarning: 0, processingFee: 0 },
+      payout: { status: 'cancelled', notes: `Host payout is scheduled from the deposit payment of ${claimed.receiptId}` }
+    });
+
+    await Booking.updateOne({ _id: claimed._id }, { $set: { 'paymentPlan.balancePayment': payment._id } });
+    claimed.paymentPlan.balancePayment = payment._id;
+
+    await InvoiceService.queueBookingInvoices(claimed._id);
+    await LedgerService.queuePayment(payment._id);
+
+    try {
+      await sendPaymentSuccessEmail(claimed.user.email, claimed.user.name, {
+        amount: balanceAmount,
+        transactionId: verified.paymentId,
+        paymentMethod: verified.provider,
+        date: formatDate(now)
+      });
+    } catch (error) {
+      console.error('❌ Error sending balance payment email:', error);
+    }
+    await this.notify(
+      claimed.host,
+      claimed,
+      'Balance Paid',
+      `The guest paid the remaining ${claimed.currency || 'INR'} ${balanceAmount} for booking ${claimed.receiptId}. The booking is now fully paid.`
+    );
+
+    console.log(`💳 Balance paid for booking ${claimed._id}`);
+    return { booking: claimed, payment };
+  }
+
+  /**
+   * ========================================
+   * BALANCE REMINDERS
+   * ========================================
+   * Email guests whose balance is due within the reminder window. Each
+   * reminder stage is claimed on the booking so it is only sent once.
+   *
+   * @returns {Promise<Object>} { checked, sent, failed }
+   */
+  static async sendBalanceReminders() {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS);
+
+    const due = await Booking.find({
+      'paymentPlan.status': 'awaiting_balance',
+      'paymentPlan.balanceDueDate': { $gt: now, $lte: horizon },
+      status: { $in: ACTIVE_BOOKING_STATUSES }
+    })
+      .select('_id paymentPlan.balanceDueDate')
+      .sort({ 'paymentPlan.balanceDueDate': 1 })
+      .limit(200);
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const { _id, paymentPlan } of due) {
+      const daysLeft = (paymentPlan.balanceDueDate - now) / DAY_MS;
+      // Smallest stage the booking has reached (a booking created 2 days out only gets the 3- and 1-day reminders)
+      const stage = REMINDER_DAYS.filter(days => daysLeft <= days).sort((a, b) => a - b)[0];
+      try {
+        if (await this.sendReminder(_id, stage)) {
+          sent++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Error sending balance reminder for booking ${_id}:`, error);
+      }
+    }
+
+    if (sent || failed) {
+      console.log(`⏰ Balance reminders: ${sent} sent, ${failed} failed`);
+    }
+
+    return { checked: due.length, sent, failed };
+  }
+
+  /**
+   * Send one reminder stage if it has not been sent yet
+   * @param {string} bookingId - Booking ID
+   * @param {number} daysBefore - Reminder stage
+   * @returns {Promise<Object|null>} Booking, or null if the stage was already sent
+   */
+  static async sendReminder(bookingId, daysBefore) {
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        'paymentPlan.status': 'awaiting_balance',
+        'paymentPlan.remindersSent.daysBefore': { $ne: daysBefore }
+      },
+      { $push: { 'paymentPlan.remindersSent': { daysBefore, sentAt: new Date() } } },
+      { new: true }
+    ).populate('user', 'name email').populate('listing', 'title');
+
+    if (!booking) {
+      return null;
+    }
+
+    const { balanceAmount, balanceDueDate, amountPaid } = booking.paymentPlan;
+    const currency = booking.currency || 'INR';
+
+    await sendEmail(booking.user.email, 'balancePaymentReminder', {
+      userName: booking.user.name,
+      bookingId: booking.receiptId || booking._id,
+      propertyName: booking.listing?.title || 'your stay',
+      checkIn: formatDate(booking.checkIn),
+      dueDate: formatDate(balanceDueDate),
+      currency,
+      totalAmount: booking.totalAmount,
+      amountPaid,
+      balanceAmount,
+      cancellationPolicy: booking.cancellationPolicy || 'moderate',
+      paymentLink: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/bookings/${booking._id}`
+    });
+    await this.notify(
+      booking.user._id,
+      booking,
+      'Balance Payment Due',
+      `Your balance of ${currency} ${balanceAmount} for ${booking.listing?.title || 'your stay'} is due by ${formatDate(balanceDueDate)}.`
+    );
+
+    return booking;
+  }
+
+  /**
+   * ========================================
+   * CANCEL UNPAID BOOKINGS
+   * ========================================
+   * Cancel plan bookings whose balance due date has passed.
+   *
+   * @returns {Promise<Object>} { checked, cancelled, failed }
+   */
+  static async cancelUnpaidBookings() {
+    const due = await Booking.find({
+      'paymentPlan.status': 'awaiting_balance',
+      'paymentPlan.balanceDueDate': { $lte: new Date() }
+    })
+      .select('_id')
+      .sort({ 'paymentPlan.balanceDueDate': 1 })
+      .limit(100);
+
+    let cancelled = 0;
+    let failed = 0;
+
+    for (const { _id } of due) {
+      try {
+        if (await this.cancelForNonPayment(_id)) {
+          cancelled++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Error cancelling unpaid booking ${_id}:`, error);
+      }
+    }
+
+    if (cancelled || failed) {
+      console.log(`⌛ Unpaid balances: ${cancelled} cancelled, ${failed} failed`);
+    }
+
+    return { checked: due.length, cancelled, failed };
+  }
+
+  /**
+   * Cancel one booking if its balance is still unpaid past the due date. The
+   * deposit is refunded as if the guest had cancelled under the booking's policy.
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Object|null>} Cancelled booking, or null if it was paid meanwhile
+   */
+  static async cancelForNonPayment(bookingId) {
+    const now = new Date();
+
+    // Claim atomically so a balance payment arriving at the same moment wins or loses cleanly
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        'paymentPlan.status': 'awaiting_balance',
+        'paymentPlan.balanceDueDate': { $lte: now }
+      },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: now,
+          cancellationReason: 'Balance was not paid by the due date',
+          'paymentPlan.status': 'defaulted',
+          'paymentPlan.defaultedAt': now
+        }
+      },
+      { new: true }
+    ).populate('user', 'name email').populate('listing', 'title');
+
+    if (!booking) {
+      return null;
+    }
+
+    await LedgerService.queuePlanDefault(booking._id);
+
+    if (booking.listing) {
+      try {
+        await AvailabilityService.releaseBookingDates(booking);
+        await AvailabilityEventService.deleteBookingEvents(booking._id);
+      } catch (error) {
+        console.error(`❌ Error releasing dates for unpaid booking ${booking._id}:`, error);
+      }
+    }
+
+    let refund = null;
+    try {
+      const { amount } = await RefundService.calculateRefundAmount(booking, 'payment_plan_default', 'partial');
+      if (amount > 0) {
+        refund = await RefundService.processRefund(booking._id, 'payment_plan_default', 'partial', {
+          userNotes: 'Automatic refund: the balance was not paid by the due date'
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Error refunding unpaid booking ${booking._id}:`, error);
+    }
+
+    const title = booking.listing?.title || 'your stay';
+    const currency = booking.currency || 'INR';
+
+    try {
+      await sendEmail(booking.user.email, 'balanceUnpaidCancellation', {
+        userName: booking.user.name,
+        bookingId: booking.receiptId || booking._id,
+        propertyName: title,
+        checkIn: formatDate(booking.checkIn),
+        dueDate: formatDate(booking.paymentPlan.balanceDueDate),
+        currency,
+        amountPaid: booking.paymentPlan.amountPaid,
+        refundAmount: refund ? refund.amount : 0,
+        cancellationPolicy: booking.cancellationPolicy || 'moderate'
+      });
+    } catch (error) {
+      console.error('❌ Error sending unpaid balance cancellation email:', error);
+    }
+
+    await this.notify(
+      booking.user._id,
+      booking,
+      'Booking Cancelled',
+      `Your booking for ${title} was cancelled because the balance was not paid by the due date.${refund ? ` A refund of ${currency} ${refund.amount} has been initiated.` : ''}`
+    );
+    await this.notify(
+      booking.host,
+      booking,
+      'Booking Cancelled',
+      `Booking ${booking.receiptId} for ${title} was cancelled because the guest did not pay the balance. The dates were released.`
+    );
+
+    console.log(`⌛ Booking ${booking._id} cancelled for unpaid balance`);
+    return booking;
+  }
+
+  static async notify(userId, booking, title, message) {
+    try {
+      await Notification.create({
+        user: userId,
+        type: 'payment',
+        title,
+        message: message.slice(0, 500),
+        relatedEntity: {
+          type: 'Booking',
+          id: booking._id
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error creating payment plan notification:', error);
+    }
+  }
+}
+
+module.exports = PaymentPlanService;
@@ -0,0 +1,185 @@
+/**
+ * Payment Provider interface
+ * Every gateway adapter extends this class. The booking and payment flows only
+ * call these methods, so gateways can be swapped without touching them.
+ *
+ * Amounts are always in major units (e.g. 1499.50 INR); adapters convert to
+ * and from the gateway's minor units.
+ *
+ * Normalized payment:  { paymentId, orderId, amount, currency, status, method, raw }
+ *   status: 'created' | 'approved' | 'authorized' | 'captured' | 'failed' | 'refunded'
+ * Normalized refund:   { refundId, paymentId, amount, currency, status, raw }
+ *   status: 'pending' | 'processed' | 'failed'
+ * Normalized dispute:  { disputeId, paymentId, amount, currency, reason, phase, status, respondBy, raw }
+ *   status: 'open' | 'under_review' | 'won' | 'lost'
+ * Normalized instrument (saved payment method):
+ *   { token, type, brand, funding, last4, expMonth, expYear, vpa, fingerprint, raw }
+ *   type: 'card' | 'upi'; fingerprint is the gateway's, when it has one
+ * Normalized webhook:  { id, type, provider, payment?, refund?, dispute?, raw }
+ *   type: 'payment.authorized' | 'payment.captured' | 'payment.failed' |
+ *         'refund.created' | 'refund.processed' | 'refund.failed' |
+ *         'dispute.created' | 'dispute.updated' | 'dispute.closed' | 'ignored'
+ */
+
+// Currencies without minor units
+const ZERO_DECIMAL_CURRENCIES = ['JPY'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  static toMinorUnits(amount, currency = 'INR') {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? 1 : 100;
+    return Math.round(Number(amount) * factor);
+  }
+
+  static fromMinorUnits(amount, currency = 'INR') {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? 1 : 100;
+    return (Number(amount) || 0) / factor;
+  }
+
+  notImplemented(method) {
+    return httpError(501, `${this.name} provider does not support ${method}`);
+  }
+
+  /**
+   * Whether credentials for this gateway are present
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Public settings the checkout UI needs (publishable keys, client IDs)
+   * @returns {Object}
+   */
+  getClientConfig() {
+    return {};
+  }
+
+  /**
+   * Create an order / payment intent for the checkout UI
+   * @param {Object} params - { amount, currency, receipt, notes }
+   * @returns {Promise<Object>} { orderId, amount, currency, receipt, status, clientData, raw }
+   */
+  async createOrder() {
+    throw this.notImplemented('createOrder');
+  }
+
+  /**
+   * Verify the proof the checkout UI returned after payment
+   * @param {Object} proof - { orderId, paymentId, signature }
+   * @returns {Promise<boolean>}
+   */
+  async verifyPayment() {
+    throw this.notImplemented('verifyPayment');
+  }
+
+  /**
+   * Current state of a payment at the gateway
+   * @param {string} paymentId - Gateway payment ID
+   * @returns {Promise<Object>} Normalized payment
+   */
+  async fetchPayment() {
+    throw this.notImplemented('fetchPayment');
+  }
+
+  /**
+   * Capture an authorized/approved payment
+   * @param {string} paymentId - Gateway payment ID
+   * @param {number} amount - Amount to capture
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} Normalized payment
+   */
+  async capturePayment() {
+    throw this.notImplemented('capturePayment');
+  }
+
+  /**
+   * Refund all or part of a captured payment
+   * @param {Object} params - { paymentId, amount, currency, reason, notes }
+   * @returns {Promise<Object>} Normalized refund
+   */
+  async refund() {
+    throw this.notImplemented('refund');
+  }
+
+  /**
+   * Create a customer to save payment methods under
+   * @param {Object} customer - { name, email, phone, userId }
+   * @returns {Promise<Object>} { customerId, raw }
+   */
+  async createCustomer() {
+    throw this.notImplemented('saved payment methods');
+  }
+
+  /**
+   * Start saving a payment method for a customer
+   * @param {Object} params - { customerId, currency }
+   * @returns {Promise<Object>} Settings the checkout UI needs to collect it
+   */
+  async createSetupSession() {
+    throw this.notImplemented('saved payment methods');
+  }
+
+  /**
+   * Details of a saved payment method
+   * @param {string} customerId - Gateway customer ID
+   * @param {string} token - Gateway token / payment method ID
+   * @returns {Promise<Object>} Normalized instrument
+   */
+  async fetchInstrument() {
+    throw this.notImplemented('saved payment methods');
+  }
+
+  /**
+   * Remove a saved payment method at the gateway
+   * @param {string} customerId - Gateway customer ID
+   * @param {string} token - Gateway token / payment method ID
+   */
+  async deleteInstrument() {
+    throw this.notImplemented('saved payment methods');
+  }
+
+  /**
+   * Charge a saved payment method without the checkout UI
+   * @param {Object} params - { customerId, token, amount, currency, receipt, notes, customer: { email, phone } }
+   * @returns {Promise<Object>} Normalized payment. When the guest must
+   *   authenticate the status is 'created' and `clientData` has what the
+   *   checkout UI needs to finish it.
+   */
+  async chargeInstrument() {
+    throw this.notImplemented('saved payment methods');
+  }
+
+  /**
+   * Check a webhook's signature
+   * @param {string} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers (lower-cased names)
+   * @returns {Promise<boolean>}
+   */
+  async verifyWebhook() {
+    return false;
+  }
+
+  /**
+   * Translate a gateway webhook into a normalized event
+   * @param {string} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers (lower-cased names)
+   * @returns {Object} Normalized webhook event
+   */
+  parseWebhook() {
+    throw this.notImplemented('parseWebhook');
+  }
+}
+
+module.exports = PaymentProvider;
+module.exports.httpError = httpError;
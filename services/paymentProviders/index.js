@@ -0,0 +1,54 @@
+/**
+ * Payment provider registry
+ * PAYMENT_PROVIDER picks the default gateway for new checkouts (razorpay if unset).
+ */
+
+const RazorpayProvider = require('./razorpay.provider');
+const StripeProvider = require('./stripe.provider');
+const PayPalProvider = require('./paypal.provider');
+const MockProvider = require('./mock.provider');
+const { httpError } = require('./PaymentProvider');
+
+const providers = {
+  razorpay: new RazorpayProvider(),
+  stripe: new StripeProvider(),
+  paypal: new PayPalProvider(),
+  mock: new MockProvider()
+};
+
+const getDefaultProviderName = () => (process.env.PAYMENT_PROVIDER || 'razorpay').toLowerCase();
+
+/**
+ * Adapter for a gateway
+ * @param {string} name - Provider name (defaults to PAYMENT_PROVIDER)
+ * @param {Object} options - { requireConfigured } (default true)
+ * @returns {PaymentProvider}
+ */
+const getProvider = (name, { requireConfigured = true } = {}) => {
+  const key = (name || getDefaultProviderName()).toLowerCase();
+  const provider = providers[key];
+
+  if (!provider) {
+    throw httpError(400, `Unknown payment provider: ${key}`);
+  }
+  if (requireConfigured && !provider.isConfigured()) {
+    throw httpError(503, `Payment provider ${key} is not configured`);
+  }
+  return provider;
+};
+
+// Configured providers with their public checkout settings
+const listProviders = () => Object.values(providers)
+  .filter(provider => provider.isConfigured())
+  .map(provider => ({
+    name: provider.name,
+    isDefault: provider.name === getDefaultProviderName(),
+    config: provider.getClientConfig()
+  }));
+
+module.exports = {
+  getProvider,
+  getDefaultProviderName,
+  listProviders,
+  PROVIDER_NAMES: Object.keys(providers)
+};
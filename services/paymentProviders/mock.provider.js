@@ -0,0 +1,358 @@
+/**
+ * Mock adapter - a fully offline gateway for local development and tests.
+ *
+ * Orders, payments and refunds live in memory. A checkout is completed with
+ * simulate(), which plays the part of the gateway's payment page:
+ *   success  - payment captured at once
+ *   failure  - payment declined
+ *   delay    - payment authorized now, captured after `delayMs`
+ *   dispute  - payment captured, then disputed after `delayMs`
+ * and returns the { orderId, paymentId, signature } proof the client submits.
+ * Saved payment methods are test instruments issued by createSetupSession()
+ * (`testInstrument`, a Visa ending 4242 by default) and are always charged
+ * successfully.
+ * Gateway events are delivered to the normal webhook pipeline, signed with
+ * MOCK_PAYMENT_SECRET, exactly as a real gateway's would be.
+ *
+ * Never available when NODE_ENV is production.
+ */
+
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+const { httpError } = PaymentProvider;
+const OUTCOMES = ['success', 'failure', 'delay', 'dispute'];
+const DEFAULT_DELAY_MS = 5000;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+
+const orders = new Map();
+const payments = new Map();
+const refunds = new Map();
+const instruments = new Map();
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+const getSecret = () => process.env.MOCK_PAYMENT_SECRET || 'mock_payment_secret';
+
+const sign = (value) => crypto.createHmac('sha256', getSecret()).update(value).digest('hex');
+
+const safeEqual = (a, b) => {
+  try {
+    return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+  } catch (error) {
+    return false;
+  }
+};
+
+class MockProvider extends PaymentProvider {
+  constructor() {
+    super('mock');
+  }
+
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production' &&
+      (process.env.PAYMENT_PROVIDER === 'mock' || process.env.MOCK_PAYMENTS_ENABLED === 'true');
+  }
+
+  getClientConfig() {
+    return { simulateUrl: '/api/payments/mock/orders/:orderId/simulate', outcomes: OUTCOMES };
+  }
+
+  toPayment(payment) {
+    return {
+      paymentId: payment.id,
+      orderId: payment.orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      method: 'mock',
+      raw: { ...payment }
+    };
+  }
+
+  toRefund(refund) {
+    return {
+      refundId: refund.id,
+      paymentId: refund.paymentId,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: refund.status,
+      raw: { ...refund }
+    };
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const order = {
+      id: randomId('order'),
+      amount: Number(amount),
+      currency,
+      receipt,
+      notes,
+      status: 'created',
+      createdAt: new Date().toISOString()
+    };
+    orders.set(order.id, order);
+
+    return {
+      orderId: order.id,
+      amount: order.amount,
+      currency,
+      receipt,
+      status: order.status,
+      clientData: { simulateUrl: `/api/payments/mock/orders/${order.id}/simulate` },
+      raw: { ...order }
+    };
+  }
+
+  /**
+   * Pay a mock order the way a checkout page would
+   * @param {string} orderId - Mock order ID
+   * @param {Object} options - { outcome, delayMs }
+   * @returns {Object} { orderId, paymentId, signature, status, outcome }
+   */
+  simulate(orderId, { outcome = 'success', delayMs = DEFAULT_DELAY_MS } = {}) {
+    const order = orders.get(orderId);
+    if (!order) {
+      throw httpError(404, 'Mock order not found');
+    }
+    if (!OUTCOMES.includes(outcome)) {
+      throw httpError(400, `Outcome must be one of: ${OUTCOMES.join(', ')}`);
+    }
+    if (order.status === 'paid') {
+      throw httpError(400, 'Mock order has already been paid');
+    }
+
+    const wait = Math.min(MAX_DELAY_MS, Math.max(0, Number(delayMs) || 0));
+    const payment = {
+      id: randomId('pay'),
+      orderId,
+      amount: order.amount,
+      currency: order.currency,
+      refundedAmount: 0,
+      status: outcome === 'failure' ? 'failed' : outcome === 'delay' ? 'authorized' : 'captured',
+      createdAt: new Date().toISOString()
+    };
+    payments.set(payment.id, payment);
+    if (payment.status === 'captured') {
+      order.status = 'paid';
+    }
+
+    if (outcome === 'failure') {
+      this.emit('payment.failed', { payment });
+    } else if (outcome === 'delay') {
+      this.emit('payment.authorized', { payment });
+      setTimeout(() => {
+        if (payment.status === 'authorized') {
+          payment.status = 'captured';
+          order.status = 'paid';
+          this.emit('payment.captured', { payment });
+        }
+      }, wait).unref();
+    } else {
+      this.emit('payment.captured', { payment });
+      if (outcome === 'dispute') {
+        setTimeout(() => {
+          this.emit('dispute.created', {
+            dispute: {
+              id: randomId('disp'),
+              paymentId: payment.id,
+              amount: payment.amount,
+              currency: payment.currency,
+              reason: 'fraudulent',
+              status: 'open',
+              respondBy: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+            }
+          });
+        }, wait).unref();
+      }
+    }
+
+    console.log(`🧪 Mock payment ${payment.id} for ${orderId}: ${outcome}`);
+
+    return {
+      orderId,
+      paymentId: payment.id,
+      signature: sign(`${orderId}|${payment.id}`),
+      status: payment.status,
+      outcome
+    };
+  }
+
+  toInstrument(instrument) {
+    return {
+      token: instrument.id,
+      type: instrument.type,
+      brand: instrument.brand,
+      funding: instrument.funding,
+      last4: instrument.last4,
+      expMonth: instrument.expMonth,
+      expYear: instrument.expYear,
+      vpa: instrument.vpa,
+      fingerprint: null,
+      raw: { ...instrument }
+    };
+  }
+
+  async createCustomer() {
+    const customerId = randomId('cust');
+    return { customerId, raw: { id: customerId } };
+  }
+
+  // Plays the gateway's card form: issues a token for a test instrument
+  async createSetupSession({ customerId, testInstrument = {} }) {
+    const nextYear = new Date().getFullYear() + 1;
+    const instrument = testInstrument.type === 'upi'
+      ? { type: 'upi', vpa: testInstrument.vpa || 'guest@mockupi' }
+      : {
+        type: 'card',
+        brand: testInstrument.brand || 'visa',
+        funding: testInstrument.funding || 'credit',
+        last4: String(testInstrument.last4 || '4242').slice(-4),
+        expMonth: Number(testInstrument.expMonth) || 12,
+        expYear: Number(testInstrument.expYear) || nextYear
+      };
+    const token = { id: randomId('tok'), customerId, ...instrument };
+    instruments.set(token.id, token);
+    return { token: token.id };
+  }
+
+  async fetchInstrument(customerId, token) {
+    const instrument = instruments.get(token);
+    if (!instrument || instrument.customerId !== customerId) {
+      throw httpError(404, 'Mock payment method not found');
+    }
+    return this.toInstrument(instrument);
+  }
+
+  async deleteInstrument(customerId, token) {
+    instruments.delete(token);
+  }
+
+  async chargeInstrument({ customerId, token, amount, currency = 'INR', receipt, notes = {} }) {
+    await this.fetchInstrument(customerId, token);
+    const order = await this.createOrder({ amount, currency, receipt, notes });
+    const payment = {
+      id: randomId('pay'),
+      orderId: order.orderId,
+      amount: Number(amount),
+      currency,
+      refundedAmount: 0,
+      status: 'captured',
+      createdAt: new Date().toISOString()
+    };
+    payments.set(payment.id, payment);
+    orders.get(order.orderId).status = 'paid';
+    this.emit('payment.captured', { payment });
+    return this.toPayment(payment);
+  }
+
+  async verifyPayment({ orderId, paymentId, signature }) {
+    if (!orderId || !paymentId || !signature) {
+      return false;
+    }
+    return safeEqual(sign(`${orderId}|${paymentId}`), signature);
+  }
+
+  async fetchPayment(paymentId) {
+    const payment = payments.get(paymentId);
+    if (!payment) {
+      throw httpError(404, 'Mock payment not found');
+    }
+    return this.toPayment(payment);
+  }
+
+  async capturePayment(paymentId) {
+    const payment = payments.get(paymentId);
+    if (!payment) {
+      throw httpError(404, 'Mock payment not found');
+    }
+    if (payment.status === 'authorized') {
+      payment.status = 'captured';
+      orders.get(payment.orderId).status = 'paid';
+      this.emit('payment.captured', { payment });
+    }
+    return this.toPayment(payment);
+  }
+
+  async refund({ paymentId, amount }) {
+    const payment = payments.get(paymentId);
+    if (!payment || payment.status !== 'captured') {
+      throw httpError(400, 'Mock payment is not captured');
+    }
+    if (payment.refundedAmount + Number(amount) > payment.amount + 0.001) {
+      throw httpError(400, 'Refund exceeds the captured amount');
+    }
+
+    payment.refundedAmount += Number(amount);
+    const refund = {
+      id: randomId('rfnd'),
+      paymentId,
+      amount: Number(amount),
+      currency: payment.currency,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+    refunds.set(refund.id, refund);
+
+    this.emit('refund.created', { refund });
+    setTimeout(() => {
+      refund.status = 'processed';
+      this.emit('refund.processed', { refund });
+    }, 1000).unref();
+
+    return this.toRefund(refund);
+  }
+
+  /**
+   * Deliver a signed event through the same pipeline as gateway webhooks
+   */
+  emit(type, { payment, refund, dispute }) {
+    const body = JSON.stringify({
+      id: randomId('evt'),
+      type,
+      payment: payment && { ...payment },
+      refund: refund && { ...refund },
+      dispute: dispute && { ...dispute },
+      createdAt: new Date().toISOString()
+    });
+
+    setImmediate(async () => {
+      try {
+        // Required here: the webhook service loads the providers
+        const WebhookEventService = require('../webhookEvent.service');
+        await WebhookEventService.receive(this.name, body, { 'x-mock-signature': sign(body) });
+      } catch (error) {
+        console.error(`❌ Mock webhook ${type} failed:`, error.message);
+      }
+    });
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    return Boolean(headers['x-mock-signature']) && safeEqual(sign(rawBody), headers['x-mock-signature']);
+  }
+
+  parseWebhook(rawBody) {
+    const body = JSON.parse(rawBody);
+    return {
+      id: body.id,
+      type: body.type,
+      gatewayEvent: body.type,
+      provider: this.name,
+      payment: body.payment ? this.toPayment(body.payment) : undefined,
+      refund: body.refund ? this.toRefund(body.refund) : undefined,
+      dispute: body.dispute ? {
+        disputeId: body.dispute.id,
+        paymentId: body.dispute.paymentId,
+        amount: body.dispute.amount,
+        currency: body.dispute.currency,
+        reason: body.dispute.reason,
+        status: body.dispute.status || 'open',
+        respondBy: body.dispute.respondBy ? new Date(body.dispute.respondBy) : null,
+        raw: body.dispute
+      } : undefined,
+      raw: body
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,272 @@
+/**
+ * PayPal adapter (Orders v2, intent CAPTURE)
+ * The checkout UI approves the order and sends its ID back; the server then
+ * captures it. Once captured, the capture ID is the payment ID used for refunds.
+ */
+
+const paypal = require('@paypal/checkout-server-sdk');
+const PaymentProvider = require('./PaymentProvider');
+
+const ORDER_STATUSES = {
+  CREATED: 'created',
+  SAVED: 'created',
+  PAYER_ACTION_REQUIRED: 'created',
+  APPROVED: 'approved',
+  COMPLETED: 'captured',
+  VOIDED: 'failed'
+};
+
+const CAPTURE_STATUSES = {
+  COMPLETED: 'captured',
+  PENDING: 'authorized',
+  DECLINED: 'failed',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+  PARTIALLY_REFUNDED: 'captured'
+};
+
+const REFUND_STATUSES = {
+  PENDING: 'pending',
+  COMPLETED: 'processed',
+  CANCELLED: 'failed',
+  FAILED: 'failed'
+};
+
+const WEBHOOK_EVENTS = {
+  'PAYMENT.CAPTURE.COMPLETED': 'payment.captured',
+  'PAYMENT.CAPTURE.PENDING': 'payment.authorized',
+  'PAYMENT.CAPTURE.DENIED': 'payment.failed',
+  'PAYMENT.CAPTURE.DECLINED': 'payment.failed',
+  'PAYMENT.CAPTURE.REFUNDED': 'refund.processed',
+  'CUSTOMER.DISPUTE.CREATED': 'dispute.created',
+  'CUSTOMER.DISPUTE.UPDATED': 'dispute.updated',
+  'CUSTOMER.DISPUTE.RESOLVED': 'dispute.closed'
+};
+
+// Resolved disputes by outcome; open ones by whose move it is
+const DISPUTE_OUTCOMES = {
+  RESOLVED_BUYER_FAVOUR: 'lost',
+  ACCEPTED: 'lost',
+  RESOLVED_SELLER_FAVOUR: 'won',
+  RESOLVED_WITH_PAYOUT: 'won',
+  CANCELED_BY_BUYER: 'won',
+  DENIED: 'won'
+};
+const DISPUTE_STATUSES = {
+  OPEN: 'open',
+  WAITING_FOR_SELLER_RESPONSE: 'open',
+  WAITING_FOR_BUYER_RESPONSE: 'under_review',
+  UNDER_REVIEW: 'under_review'
+};
+
+// Last path segment of the HATEOAS link with the given rel
+const linkedId = (links = [], rel) => {
+  const link = links.find(entry => entry.rel === rel);
+  return link ? link.href.split('/').pop() : null;
+};
+
+let paypalClient = null;
+
+class PayPalProvider extends PaymentProvider {
+  constructor() {
+    super('paypal');
+  }
+
+  isConfigured() {
+    return Boolean(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET);
+  }
+
+  getClient() {
+    if (!this.isConfigured()) {
+      throw PaymentProvider.httpError(503, 'PayPal not initialized: Set PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET');
+    }
+    if (!paypalClient) {
+      const Environment = process.env.PAYPAL_MODE === 'live'
+        ? paypal.core.LiveEnvironment
+        : paypal.core.SandboxEnvironment;
+      paypalClient = new paypal.core.PayPalHttpClient(
+        new Environment(process.env.PAYPAL_CLIENT_ID, process.env.PAYPAL_CLIENT_SECRET)
+      );
+    }
+    return paypalClient;
+  }
+
+  async execute(request) {
+    const response = await this.getClient().execute(request);
+    return response.result;
+  }
+
+  getClientConfig() {
+    return { clientId: process.env.PAYPAL_CLIENT_ID };
+  }
+
+  normalizeOrder(order) {
+    const unit = order.purchase_units?.[0] || {};
+    const capture = unit.payments?.captures?.[0];
+    const amount = capture?.amount || unit.amount || {};
+
+    return {
+      paymentId: capture?.id || order.id,
+      orderId: order.id,
+      amount: Number(amount.value) || 0,
+      currency: amount.currency_code,
+      status: capture ? (CAPTURE_STATUSES[capture.status] || 'created') : (ORDER_STATUSES[order.status] || 'created'),
+      method: 'paypal',
+      raw: order
+    };
+  }
+
+  normalizeCapture(capture) {
+    return {
+      paymentId: capture.id,
+      orderId: capture.supplementary_data?.related_ids?.order_id || null,
+      amount: Number(capture.amount?.value) || 0,
+      currency: capture.amount?.currency_code,
+      status: CAPTURE_STATUSES[capture.status] || 'created',
+      method: 'paypal',
+      raw: capture
+    };
+  }
+
+  normalizeRefund(refund, paymentId = null) {
+    return {
+      refundId: refund.id,
+      paymentId: paymentId || linkedId(refund.links, 'up'),
+      amount: Number(refund.amount?.value) || 0,
+      currency: refund.amount?.currency_code,
+      status: REFUND_STATUSES[refund.status] || 'pending',
+      raw: refund
+    };
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const request = new paypal.orders.OrdersCreateRequest();
+    request.prefer('return=representation');
+    request.requestBody({
+      intent: 'CAPTURE',
+      purchase_units: [{
+        reference_id: receipt,
+        custom_id: notes.bookingId || receipt,
+        description: notes.description,
+        amount: {
+          currency_code: currency,
+          value: Number(amount).toFixed(currency === 'JPY' ? 0 : 2)
+        }
+      }]
+    });
+
+    const order = await this.execute(request);
+
+    return {
+      orderId: order.id,
+      amount,
+      currency,
+      receipt,
+      status: order.status,
+      clientData: {
+        approveUrl: order.links?.find(link => link.rel === 'approve' || link.rel === 'payer-action')?.href
+      },
+      raw: order
+    };
+  }
+
+  // PayPal returns no signature; the approved order is checked by fetching it
+  async verifyPayment({ orderId, paymentId }) {
+    return Boolean(orderId) && (!paymentId || paymentId === orderId);
+  }
+
+  async fetchPayment(paymentId) {
+    try {
+      return this.normalizeOrder(await this.execute(new paypal.orders.OrdersGetRequest(paymentId)));
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+      // Not an order ID: look it up as a capture
+      return this.normalizeCapture(await this.execute(new paypal.payments.CapturesGetRequest(paymentId)));
+    }
+  }
+
+  async capturePayment(orderId) {
+    const request = new paypal.orders.OrdersCaptureRequest(orderId);
+    request.prefer('return=representation');
+    request.requestBody({});
+    return this.normalizeOrder(await this.execute(request));
+  }
+
+  async refund({ paymentId, amount, currency = 'INR', reason }) {
+    const request = new paypal.payments.CapturesRefundRequest(paymentId);
+    request.prefer('return=representation');
+    request.requestBody({
+      amount: {
+        currency_code: currency,
+        value: Number(amount).toFixed(currency === 'JPY' ? 0 : 2)
+      },
+      note_to_payer: reason ? String(reason).slice(0, 255) : undefined
+    });
+    return this.normalizeRefund(await this.execute(request), paymentId);
+  }
+
+  // Verified by PayPal itself (needs the webhook ID from the developer dashboard)
+  async verifyWebhook(rawBody, headers) {
+    if (!process.env.PAYPAL_WEBHOOK_ID || !this.isConfigured()) {
+      return false;
+    }
+
+    try {
+      const result = await this.execute({
+        path: '/v1/notifications/verify-webhook-signature',
+        verb: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          auth_algo: headers['paypal-auth-algo'],
+          cert_url: headers['paypal-cert-url'],
+          transmission_id: headers['paypal-transmission-id'],
+          transmission_sig: headers['paypal-transmission-sig'],
+          transmission_time: headers['paypal-transmission-time'],
+          webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+          webhook_event: JSON.parse(rawBody)
+        }
+      });
+      return result.verification_status === 'SUCCESS';
+    } catch (error) {
+      console.error('❌ PayPal webhook verification failed:', error.message);
+      return false;
+    }
+  }
+
+  parseWebhook(rawBody) {
+    const body = JSON.parse(rawBody);
+    const resource = body.resource || {};
+    const event = {
+      id: body.id || null,
+      type: WEBHOOK_EVENTS[body.event_type] || 'ignored',
+      gatewayEvent: body.event_type,
+      provider: this.name,
+      raw: body
+    };
+
+    if (event.type.startsWith('payment.')) {
+      event.payment = this.normalizeCapture(resource);
+    } else if (event.type === 'refund.processed') {
+      event.refund = this.normalizeRefund(resource);
+    } else if (event.type.startsWith('dispute.')) {
+      const transaction = resource.disputed_transactions?.[0] || {};
+      event.dispute = {
+        disputeId: resource.dispute_id,
+        paymentId: transaction.seller_transaction_id,
+        amount: Number(resource.dispute_amount?.value) || 0,
+        currency: resource.dispute_amount?.currency_code,
+        reason: resource.reason,
+        phase: resource.dispute_life_cycle_stage?.toLowerCase(),
+        status: DISPUTE_OUTCOMES[resource.dispute_outcome?.outcome_code] || DISPUTE_STATUSES[resource.status] || 'open',
+        respondBy: resource.seller_response_due_date ? new Date(resource.seller_response_due_date) : null,
+        raw: resource
+      };
+    }
+
+    return event;
+  }
+}
+
+module.exports = PayPalProvider;
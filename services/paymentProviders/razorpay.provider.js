@@ -0,0 +1,232 @@
+/**
+ * Razorpay adapter (Orders API with auto-capture)
+ */
+
+const PaymentProvider = require('./PaymentProvider');
+const razorpayService = require('../razorpay.service');
+
+const EVENT_TYPES = {
+  'payment.authorized': 'payment.authorized',
+  'payment.captured': 'payment.captured',
+  'order.paid': 'payment.captured',
+  'payment.failed': 'payment.failed',
+  'refund.created': 'refund.created',
+  'refund.processed': 'refund.processed',
+  'refund.failed': 'refund.failed',
+  'payment.dispute.created': 'dispute.created',
+  'payment.dispute.under_review': 'dispute.updated',
+  'payment.dispute.action_required': 'dispute.updated',
+  'payment.dispute.won': 'dispute.closed',
+  'payment.dispute.lost': 'dispute.closed',
+  'payment.dispute.closed': 'dispute.closed'
+};
+
+// A closed Razorpay dispute was accepted by the merchant, so the money is lost
+const DISPUTE_STATUSES = {
+  open: 'open',
+  under_review: 'under_review',
+  won: 'won',
+  lost: 'lost',
+  closed: 'lost'
+};
+
+const REFUND_STATUSES = {
+  pending: 'pending',
+  processed: 'processed',
+  failed: 'failed'
+};
+
+class RazorpayProvider extends PaymentProvider {
+  constructor() {
+    super('razorpay');
+  }
+
+  isConfigured() {
+    if (!razorpayService.isInitialized()) {
+      razorpayService.initializeRazorpay();
+    }
+    return razorpayService.isInitialized();
+  }
+
+  getClientConfig() {
+    return { key: process.env.RAZORPAY_KEY_ID };
+  }
+
+  normalizePayment(payment) {
+    const currency = payment.currency || 'INR';
+    return {
+      paymentId: payment.id,
+      orderId: payment.order_id,
+      amount: PaymentProvider.fromMinorUnits(payment.amount, currency),
+      currency,
+      status: payment.status === 'created' ? 'created' : payment.status,
+      method: payment.method,
+      raw: payment
+    };
+  }
+
+  // Razorpay tokens carry no fingerprint; the service derives one
+  normalizeToken(token) {
+    const card = token.card || {};
+    const isUpi = token.method === 'upi';
+    return {
+      token: token.id,
+      type: isUpi ? 'upi' : 'card',
+      brand: card.network,
+      funding: card.type,
+      last4: card.last4,
+      expMonth: Number(card.expiry_month) || undefined,
+      expYear: Number(card.expiry_year) || undefined,
+      vpa: isUpi && token.vpa ? `${token.vpa.username}@${token.vpa.handle}` : undefined,
+      fingerprint: null,
+      raw: token
+    };
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const order = await razorpayService.createOrder(amount, currency, receipt, notes);
+
+    return {
+      orderId: order.orderId,
+      amount: PaymentProvider.fromMinorUnits(order.amount, order.currency),
+      currency: order.currency,
+      receipt: order.receipt,
+      status: order.status,
+      clientData: {},
+      raw: order.rawOrder
+    };
+  }
+
+  async verifyPayment({ orderId, paymentId, signature }) {
+    if (!orderId || !paymentId || !signature) {
+      return false;
+    }
+    return razorpayService.verifyPayment(orderId, paymentId, signature);
+  }
+
+  async fetchPayment(paymentId) {
+    return this.normalizePayment(await razorpayService.getPaymentDetails(paymentId));
+  }
+
+  // Orders are created with payment_capture: 1, so Razorpay captures on its own
+  async capturePayment(paymentId) {
+    return this.fetchPayment(paymentId);
+  }
+
+  async refund({ paymentId, amount, reason, notes = {} }) {
+    const refund = await razorpayService.createRefund(paymentId, amount, reason, notes);
+
+    return {
+      refundId: refund.refundId,
+      paymentId: refund.paymentId,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: REFUND_STATUSES[refund.status] || 'pending',
+      raw: refund.rawRefund
+    };
+  }
+
+  async createCustomer({ name, email, phone, userId }) {
+    const customer = await razorpayService.createCustomer({
+      name,
+      email,
+      contact: phone,
+      notes: { userId }
+    });
+    return { customerId: customer.id, raw: customer };
+  }
+
+  // Checkout opened with the customer and save: 1 stores the card or VPA as a token
+  async createSetupSession({ customerId }) {
+    return { customerId, save: 1 };
+  }
+
+  async fetchInstrument(customerId, token) {
+    return this.normalizeToken(await razorpayService.fetchToken(customerId, token));
+  }
+
+  async deleteInstrument(customerId, token) {
+    await razorpayService.deleteToken(customerId, token);
+  }
+
+  async chargeInstrument({ customerId, token, amount, currency = 'INR', receipt, notes = {}, customer = {} }) {
+    const order = await razorpayService.createOrder(amount, currency, receipt, notes);
+    const result = await razorpayService.createRecurringPayment({
+      email: customer.email,
+      contact: customer.phone,
+      amount: order.amount,
+      currency: order.currency,
+      order_id: order.orderId,
+      customer_id: customerId,
+      token,
+      recurring: '1',
+      description: notes.description,
+      notes
+    });
+    return this.fetchPayment(result.razorpay_payment_id);
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    return razorpayService.verifyWebhookSignature(rawBody, headers['x-razorpay-signature']);
+  }
+
+  parseWebhook(rawBody, headers) {
+    const body = JSON.parse(rawBody);
+    const payment = body.payload?.payment?.entity || body.payload?.payment;
+    const order = body.payload?.order?.entity || body.payload?.order;
+    const refund = body.payload?.refund?.entity || body.payload?.refund;
+    const dispute = body.payload?.dispute?.entity || body.payload?.dispute;
+
+    const event = {
+      id: headers['x-razorpay-event-id'] || null,
+      type: EVENT_TYPES[body.event] || 'ignored',
+      gatewayEvent: body.event,
+      provider: this.name,
+      raw: body
+    };
+
+    if (payment) {
+      event.payment = this.normalizePayment(payment);
+    } else if (order) {
+      event.payment = {
+        paymentId: null,
+        orderId: order.id,
+        amount: PaymentProvider.fromMinorUnits(order.amount_paid || order.amount, order.currency || 'INR'),
+        currency: order.currency,
+        status: 'captured',
+        raw: order
+      };
+    }
+    if (refund) {
+      event.refund = {
+        refundId: refund.id,
+        paymentId: refund.payment_id,
+        amount: PaymentProvider.fromMinorUnits(refund.amount, refund.currency || 'INR'),
+        currency: refund.currency,
+        status: REFUND_STATUSES[refund.status] || 'pending',
+        raw: refund
+      };
+    }
+    if (event.type.startsWith('dispute.')) {
+      const entity = dispute || payment || {};
+      const currency = entity.currency || 'INR';
+      event.dispute = {
+        disputeId: dispute?.id || null,
+        paymentId: entity.payment_id || entity.payment?.id || payment?.id,
+        amount: PaymentProvider.fromMinorUnits(entity.amount, currency),
+        amountLost: dispute?.amount_deducted ? PaymentProvider.fromMinorUnits(dispute.amount_deducted, currency) : undefined,
+        currency,
+        reason: dispute?.reason_code || dispute?.reason_description,
+        reasonDescription: dispute?.reason_description,
+        phase: dispute?.phase,
+        status: DISPUTE_STATUSES[dispute?.status] || 'open',
+        respondBy: dispute?.respond_by ? new Date(dispute.respond_by * 1000) : null,
+        raw: entity
+      };
+    }
+
+    return event;
+  }
+}
+
+module.exports = RazorpayProvider;
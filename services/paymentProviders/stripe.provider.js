@@ -0,0 +1,268 @@
+/**
+ * Stripe adapter (PaymentIntents)
+ * The PaymentIntent is both the order and the payment: the checkout UI
+ * confirms it with the client secret and sends its ID back as the proof.
+ * Stripe has no client-side signature, so the proof is checked by fetching the
+ * intent with the secret key and comparing amount and status.
+ */
+
+const PaymentProvider = require('./PaymentProvider');
+
+const INTENT_STATUSES = {
+  requires_payment_method: 'created',
+  requires_confirmation: 'created',
+  requires_action: 'created',
+  processing: 'created',
+  requires_capture: 'authorized',
+  succeeded: 'captured',
+  canceled: 'failed'
+};
+
+const REFUND_STATUSES = {
+  pending: 'pending',
+  requires_action: 'pending',
+  succeeded: 'processed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+const INTENT_EVENTS = {
+  'payment_intent.amount_capturable_updated': 'payment.authorized',
+  'payment_intent.succeeded': 'payment.captured',
+  'payment_intent.payment_failed': 'payment.failed'
+};
+
+const DISPUTE_EVENTS = {
+  'charge.dispute.created': 'dispute.created',
+  'charge.dispute.updated': 'dispute.updated',
+  'charge.dispute.closed': 'dispute.closed'
+};
+
+// An inquiry that closes without a chargeback costs nothing, like a won dispute
+const DISPUTE_STATUSES = {
+  warning_needs_response: 'open',
+  needs_response: 'open',
+  warning_under_review: 'under_review',
+  under_review: 'under_review',
+  warning_closed: 'won',
+  won: 'won',
+  lost: 'lost'
+};
+
+let stripeClient = null;
+
+class StripeProvider extends PaymentProvider {
+  constructor() {
+    super('stripe');
+  }
+
+  isConfigured() {
+    return Boolean(process.env.STRIPE_SECRET_KEY);
+  }
+
+  getClient() {
+    if (!this.isConfigured()) {
+      throw PaymentProvider.httpError(503, 'Stripe not initialized: Set STRIPE_SECRET_KEY');
+    }
+    if (!stripeClient) {
+      stripeClient = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    }
+    return stripeClient;
+  }
+
+  getClientConfig() {
+    return { publishableKey: process.env.STRIPE_PUBLISHABLE_KEY };
+  }
+
+  normalizeIntent(intent) {
+    const currency = (intent.currency || 'inr').toUpperCase();
+    return {
+      paymentId: intent.id,
+      orderId: intent.id,
+      amount: PaymentProvider.fromMinorUnits(intent.amount_received || intent.amount, currency),
+      currency,
+      status: INTENT_STATUSES[intent.status] || 'created',
+      method: intent.payment_method_types?.[0],
+      raw: intent
+    };
+  }
+
+  normalizeRefund(refund) {
+    const currency = (refund.currency || 'inr').toUpperCase();
+    return {
+      refundId: refund.id,
+      paymentId: refund.payment_intent,
+      amount: PaymentProvider.fromMinorUnits(refund.amount, currency),
+      currency,
+      status: REFUND_STATUSES[refund.status] || 'pending',
+      raw: refund
+    };
+  }
+
+  normalizePaymentMethod(method) {
+    const card = method.card || {};
+    return {
+      token: method.id,
+      type: method.type,
+      brand: card.brand,
+      funding: card.funding,
+      last4: card.last4,
+      expMonth: card.exp_month,
+      expYear: card.exp_year,
+      fingerprint: card.fingerprint,
+      raw: method
+    };
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const intent = await this.getClient().paymentIntents.create({
+      amount: PaymentProvider.toMinorUnits(amount, currency),
+      currency: currency.toLowerCase(),
+      description: notes.description,
+      metadata: { receipt, ...notes },
+      automatic_payment_methods: { enabled: true }
+    });
+
+    return {
+      orderId: intent.id,
+      amount,
+      currency: currency.toUpperCase(),
+      receipt,
+      status: intent.status,
+      clientData: { clientSecret: intent.client_secret },
+      raw: intent
+    };
+  }
+
+  async verifyPayment({ orderId, paymentId }) {
+    return Boolean(paymentId) && (!orderId || orderId === paymentId);
+  }
+
+  async fetchPayment(paymentId) {
+    return this.normalizeIntent(await this.getClient().paymentIntents.retrieve(paymentId));
+  }
+
+  async capturePayment(paymentId, amount, currency) {
+    const intent = await this.getClient().paymentIntents.capture(paymentId, amount
+      ? { amount_to_capture: PaymentProvider.toMinorUnits(amount, currency) }
+      : {});
+    return this.normalizeIntent(intent);
+  }
+
+  async refund({ paymentId, amount, currency = 'INR', notes = {} }) {
+    const refund = await this.getClient().refunds.create({
+      payment_intent: paymentId,
+      amount: PaymentProvider.toMinorUnits(amount, currency),
+      reason: 'requested_by_customer',
+      metadata: notes
+    });
+    return this.normalizeRefund(refund);
+  }
+
+  async createCustomer({ name, email, phone, userId }) {
+    const customer = await this.getClient().customers.create({
+      name,
+      email,
+      phone,
+      metadata: { userId }
+    });
+    return { customerId: customer.id, raw: customer };
+  }
+
+  // The checkout UI confirms the SetupIntent, which attaches the card to the customer
+  async createSetupSession({ customerId }) {
+    const intent = await this.getClient().setupIntents.create({
+      customer: customerId,
+      usage: 'off_session',
+      payment_method_types: ['card']
+    });
+    return { setupId: intent.id, clientSecret: intent.client_secret };
+  }
+
+  async fetchInstrument(customerId, token) {
+    const method = await this.getClient().paymentMethods.retrieve(token);
+    if (method.customer !== customerId) {
+      throw PaymentProvider.httpError(400, 'Payment method does not belong to this customer');
+    }
+    return this.normalizePaymentMethod(method);
+  }
+
+  async deleteInstrument(customerId, token) {
+    await this.getClient().paymentMethods.detach(token);
+  }
+
+  async chargeInstrument({ customerId, token, amount, currency = 'INR', receipt, notes = {} }) {
+    try {
+      const intent = await this.getClient().paymentIntents.create({
+        amount: PaymentProvider.toMinorUnits(amount, currency),
+        currency: currency.toLowerCase(),
+        customer: customerId,
+        payment_method: token,
+        payment_method_types: ['card'],
+        confirm: true,
+        off_session: true,
+        description: notes.description,
+        metadata: { receipt, ...notes }
+      });
+      return this.normalizeIntent(intent);
+    } catch (error) {
+      // The issuer wants the guest to authenticate (3-D Secure)
+      const intent = error.raw?.payment_intent;
+      if (error.code === 'authentication_required' && intent) {
+        return { ...this.normalizeIntent(intent), clientData: { clientSecret: intent.client_secret } };
+      }
+      throw error;
+    }
+  }
+
+  async verifyWebhook(rawBody, headers) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret || !headers['stripe-signature'] || !this.isConfigured()) {
+      return false;
+    }
+    try {
+      this.getClient().webhooks.constructEvent(rawBody, headers['stripe-signature'], secret);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  parseWebhook(rawBody) {
+    const body = JSON.parse(rawBody);
+    const object = body.data?.object || {};
+    const event = {
+      id: body.id || null,
+      type: 'ignored',
+      gatewayEvent: body.type,
+      provider: this.name,
+      raw: body
+    };
+
+    if (INTENT_EVENTS[body.type]) {
+      event.type = INTENT_EVENTS[body.type];
+      event.payment = this.normalizeIntent(object);
+    } else if (body.type === 'refund.created' || body.type === 'refund.updated' || body.type === 'charge.refund.updated') {
+      event.refund = this.normalizeRefund(object);
+      event.type = `refund.${event.refund.status === 'pending' ? 'created' : event.refund.status}`;
+    } else if (DISPUTE_EVENTS[body.type]) {
+      const currency = (object.currency || 'inr').toUpperCase();
+      event.type = DISPUTE_EVENTS[body.type];
+      event.dispute = {
+        disputeId: object.id,
+        paymentId: object.payment_intent,
+        amount: PaymentProvider.fromMinorUnits(object.amount, currency),
+        currency,
+        reason: object.reason,
+        phase: object.status?.startsWith('warning_') ? 'inquiry' : 'chargeback',
+        status: DISPUTE_STATUSES[object.status] || 'open',
+        respondBy: object.evidence_details?.due_by ? new Date(object.evidence_details.due_by * 1000) : null,
+        raw: object
+      };
+    }
+
+    return event;
+  }
+}
+
+module.exports = StripeProvider;
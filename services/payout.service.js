@@ -0,0 +1,835 @@
+/**
+ * Payout Service
+ * When and how hosts are paid.
+ *   - Release rules (PayoutPolicy): stays are released a set time after
+ *     check-in; long stays are split into monthly installments; services are
+ *     released after the service starts.
+ *   - Holds: an open dispute or damage claim (or an admin) holds a booking's
+ *     payouts until it is resolved.
+ *   - Damage claims: the part of a security deposit awarded to the host is
+ *     paid as its own payout with the next batch.
+ *   - Bank batches: due payouts are grouped per host into NEFT/IMPS transfer
+ *     lines and written to a bulk-upload CSV. Hosts whose balance is below the
+ *     minimum payout roll over to a later batch.
+ */
+
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const PayoutBatch = require('../models/PayoutBatch');
+const PayoutPolicy = require('../models/PayoutPolicy');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const JobScheduler = require('./scheduler.service');
+const CurrencyService = require('./currency.service');
+const LedgerService = require('./ledger.service');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+const { parseCsv, toCsv } = require('../utils/csv');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const BATCH_MODES = ['NEFT', 'IMPS'];
+const BATCH_CURRENCY = 'INR';
+const SETTLED_PAYMENT_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+// Payouts for these bookings are cancelled instead of paid
+const CLOSED_BOOKING_STATUSES = ['cancelled', 'rejected', 'expired'];
+const PAID_RESULTS = ['paid', 'success', 'completed'];
+const FAILED_RESULTS = ['failed', 'rejected', 'returned'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const addMonth = (date) => {
+  const next = new Date(date);
+  next.setMonth(next.getMonth() + 1);
+  return next;
+};
+
+const hasBankDetails = (details) => Boolean(details?.accountNumber && details?.ifscCode);
+
+// DD-MM-YYYY in IST, the format bank bulk uploads expect
+const bankDate = (date) => new Date(date)
+  .toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata', day: '2-digit', month: '2-digit', year: 'numeric' })
+  .replace(/\//g, '-');
+
+class PayoutService {
+  static getPolicy() {
+    return PayoutPolicy.getCurrentPolicy();
+  }
+
+  static minimumPayout(policy, currency) {
+    return policy.minimumPayouts?.get(currency) || 0;
+  }
+
+  /**
+   * ==== RELEASE PLAN ====
+   * Split a booking's host earning into payouts with release dates
+   * @param {Object} booking - Booking (checkIn, checkOut, bookingType)
+   * @param {number} amount - Host earning in the booking currency
+   * @param {Object} policy - PayoutPolicy
+   * @returns {Array} [{ amount, releaseDate, rule, installment }]
+   */
+  static planReleases(booking, amount, policy) {
+    const checkIn = booking.checkIn ? new Date(booking.checkIn) : new Date();
+
+    if (booking.bookingType === 'service' || !booking.checkOut) {
+      return [{
+        amount: toTwoDecimals(amount),
+        releaseDate: new Date(checkIn.getTime() + policy.serviceReleaseAfterHours * HOUR_MS),
+        rule: 'after_service'
+      }];
+    }
+
+    const releaseDelay = policy.releaseAfterCheckInHours * HOUR_MS;
+    const checkOut = new Date(booking.checkOut);
+    const nights = Math.round((checkOut - checkIn) / DAY_MS);
+
+    if (nights < policy.longStayNights) {
+      return [{
+        amount: toTwoDecimals(amount),
+        releaseDate: new Date(checkIn.getTime() + releaseDelay),
+        rule: 'after_check_in'
+      }];
+    }
+
+    // One installment per month of the stay, each released after its month starts
+    const periods = [];
+    for (let start = checkIn; start < checkOut; start = addMonth(start)) {
+      const end = addMonth(start) < checkOut ? addMonth(start) : checkOut;
+      periods.push({ start, end, nights: Math.round((end - start) / DAY_MS) });
+    }
+
+    let allocated = 0;
+    return periods.map((period, index) => {
+      const share = index === periods.length - 1
+        ? toTwoDecimals(amount - allocated)
+        : toTwoDecimals(amount * period.nights / nights);
+      allocated = toTwoDecimals(allocated + share);
+
+      return {
+        amount: share,
+        releaseDate: new Date(period.start.getTime() + releaseDelay),
+        rule: 'monthly_installment',
+        installment: {
+          number: index + 1,
+          of: periods.length,
+          periodStart: period.start,
+          periodEnd: period.end,
+          nights: period.nights
+        }
+      };
+    });
+  }
+
+  // Bank details from the host's most recent payout that has them
+  static async getHostBankDetails(hostId) {
+    const payout = await Payout.findOne({
+      host: hostId,
+      'bankDetails.accountNumber': { $nin: [null, ''] },
+      'bankDetails.ifscCode': { $nin: [null, ''] }
+    }).sort({ updatedAt: -1 }).select('bankDetails');
+
+    return payout?.bankDetails || undefined;
+  }
+
+  /**
+   * Create the payouts for a paid booking under the current policy
+   * @param {Object} params - { paymentId, booking, amount (booking currency), hostId, holds }
+   * @returns {Promise<Array>} Created payouts
+   */
+  static async scheduleBookingPayouts({ paymentId, booking, amount, hostId, holds = [] }) {
+    const policy = await this.getPolicy();
+    const bankDetails = await this.getHostBankDetails(hostId);
+    const activeHolds = holds.filter(hold => !hold.releasedAt);
+
+    const payouts = [];
+    for (const release of this.planReleases(booking, amount, policy)) {
+      // Pay out in the host's settlement currency at the rate locked on the booking
+      const settlement = CurrencyService.toLockedCurrency(booking, release.amount, 'host');
+
+      payouts.push(await Payout.create({
+        host: hostId,
+        payment: paymentId,
+        booking: booking._id,
+        amount: settlement.amount,
+        currency: settlement.currency,
+        conversion: {
+          amount: release.amount,
+          currency: booking.currency || 'INR',
+          rate: settlement.rate
+        },
+        status: 'pending',
+        method: 'bank_transfer', // Default method
+        bankDetails,
+        scheduledDate: release.releaseDate,
+        release: {
+          rule: release.rule,
+          policyVersion: policy.version,
+          installment: release.installment
+        },
+        holds: activeHolds,
+        onHold: activeHolds.length > 0,
+        fees: {
+          processingFee: 0,
+          taxDeduction: 0,
+          netAmount: settlement.amount
+        }
+      }));
+    }
+
+    console.log(`🗓️ ${payouts.length} payout(s) scheduled for booking ${booking._id}`);
+    return payouts;
+  }
+
+  /**
+   * Queue payout scheduling for a settled payment (never throws)
+   */
+  static async queuePaymentPayouts(paymentId) {
+    try {
+      await JobScheduler.enqueue('schedule-host-payouts', { paymentId: paymentId.toString() }, {
+        uniqueKey: paymentId.toString()
+      });
+    } catch (error) {
+      console.error(`❌ Failed to queue payouts for payment ${paymentId}:`, error.message);
+    }
+  }
+
+  /**
+   * Schedule the payouts for a payment unless it already has them
+   * (run by the 'schedule-host-payouts' job)
+   */
+  static async scheduleForPayment(paymentId) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+    if (!SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
+      return { scheduled: 0, reason: `Payment is ${payment.status}` };
+    }
+    if (payment.installment === 'balance') {
+      // The host earning is paid out from the deposit (or original) payment
+      return { scheduled: 0, reason: payment.modification ? 'Modification difference payment' : 'Balance payment of a payment plan' };
+    }
+    if (await Payout.exists({ payment: payment._id, 'release.damageClaim': null })) {
+      return { scheduled: 0, reason: 'Payouts already scheduled' };
+    }
+
+    const booking = await Booking.findById(payment.booking);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    const payouts = await this.scheduleBookingPayouts({
+      paymentId: payment._id,
+      booking,
+      amount: payment.commission?.hostEarning ?? booking.hostFee,
+      hostId: booking.host
+    });
+    return { scheduled: payouts.length };
+  }
+
+  /**
+   * Re-plan a booking's unsent payouts after its dates or price changed.
+   * Payouts already sent (or in a batch) count towards the new host earning.
+   * @param {string} bookingId - Booking ID
+   * @returns {Promise<Array>} New payouts
+   */
+  static async replanBookingPayouts(bookingId) {
+    const booking = await Booking.findById(bookingId);
+    // Damage claim credits come out of the deposit, not the host earning
+    const payouts = await Payout.find({
+      booking: bookingId,
+      status: { $in: ['pending', 'processing', 'completed'] },
+      'release.damageClaim': null
+    });
+    const unsent = payouts.filter(payout => payout.status === 'pending');
+    if (!booking || unsent.length === 0) {
+      return [];
+    }
+
+    const sentAmount = payouts
+      .filter(payout => payout.status !== 'pending')
+      .reduce((sum, payout) => sum + (payout.conversion?.amount ?? payout.amount), 0);
+    const remaining = toTwoDecimals((booking.hostFee || 0) - sentAmount);
+
+    const holds = unsent.flatMap(payout => payout.holds.filter(hold => !hold.releasedAt));
+    const uniqueHolds = holds.filter((hold, index) =>
+      holds.findIndex(other => other.reason === hold.reason && other.reference === hold.reference) === index
+    );
+
+    await Payout.updateMany(
+      { _id: { $in: unsent.map(payout => payout._id) }, status: 'pending' },
+      { $set: { status: 'cancelled', notes: 'Replaced after the booking was modified' } }
+    );
+
+    if (remaining <= 0) {
+      return [];
+    }
+
+    return this.scheduleBookingPayouts({
+      paymentId: unsent[0].payment,
+      booking: { ...booking.toObject(), checkIn: this.remainingStayStart(booking, payouts) },
+      amount: remaining,
+      hostId: booking.host,
+      holds: uniqueHolds.map(hold => hold.toObject())
+    });
+  }
+
+  /**
+   * ==== DAMAGE CLAIM CREDIT ====
+   * Pay the host the part of the security deposit awarded on a damage claim.
+   * The payout is due straight away, so it goes out with the next batch.
+   * @param {Object} booking - Booking the claim was filed on
+   * @param {Object} claim - Settled DamageClaim (approvedAmount in the booking currency)
+   * @returns {Promise<Object>} Payout (the existing one when already created)
+   */
+  static async scheduleDamageClaimPayout(booking, claim) {
+    const existing = await Payout.findOne({ 'release.damageClaim': claim._id });
+    if (existing) {
+      return existing;
+    }
+
+    const policy = await this.getPolicy();
+    const settlement = CurrencyService.toLockedCurrency(booking, claim.approvedAmount, 'host');
+
+    const payout = await Payout.create({
+      host: booking.host._id || booking.host,
+      payment: booking.payment._id || booking.payment,
+      booking: booking._id,
+      amount: settlement.amount,
+      currency: settlement.currency,
+      conversion: {
+        amount: claim.approvedAmount,
+        currency: booking.currency || 'INR',
+        rate: settlement.rate
+      },
+      status: 'pending',
+      method: 'bank_transfer', // Default method
+      bankDetails: await this.getHostBankDetails(booking.host._id || booking.host),
+      scheduledDate: new Date(),
+      release: {
+        rule: 'damage_claim',
+        policyVersion: policy.version,
+        damageClaim: claim._id
+      },
+      notes: 'Damage claim on the security deposit',
+      fees: {
+        processingFee: 0,
+        taxDeduction: 0,
+        netAmount: settlement.amount
+      }
+    });
+
+    console.log(`🗓️ Damage claim payout of ${payout.amount} ${payout.currency} scheduled for booking ${booking._id}`);
+    return payout;
+  }
+
+  // Installments already sent cover the start of a long stay
+  static remainingStayStart(booking, payouts) {
+    const sentPeriods = payouts
+      .filter(payout => payout.status !== 'pending' && payout.release?.installment?.periodEnd)
+      .map(payout => payout.release.installment.periodEnd);
+    if (sentPeriods.length === 0) {
+      return booking.checkIn;
+    }
+    const latest = new Date(Math.max(...sentPeriods.map(date => new Date(date).getTime())));
+    return latest < new Date(booking.checkOut) ? latest : booking.checkIn;
+  }
+
+  /**
+   * ==== HOLDS ====
+   * Hold a booking's unsent payouts (one hold per reason and reference)
+   * @param {string} bookingId - Booking ID
+   * @param {Object} hold - { reason: dispute | damage_claim | admin, reference, note }
+   * @param {Object} user - User placing the hold (omitted for automatic holds)
+   * @returns {Promise<Object>} { held, inBatch }
+   */
+  static async placeHold(bookingId, { reason, reference = null, note } = {}, user = null) {
+    const result = await Payout.updateMany(
+      {
+        booking: bookingId,
+        status: 'pending',
+        holds: { $not: { $elemMatch: { reason, reference, releasedAt: null } } }
+      },
+      {
+        $push: { holds: { reason, reference, note, placedAt: new Date(), placedBy: user?._id } },
+        $set: { onHold: true }
+      }
+    );
+    // Payouts already in a bank batch are out of reach until the batch is cancelled
+    const inBatch = await Payout.countDocuments({ booking: bookingId, status: 'processing' });
+
+    if (result.modifiedCount) {
+      console.log(`⏸️ ${result.modifiedCount} payout(s) for booking ${bookingId} held (${reason}${reference ? ` ${reference}` : ''})`);
+    }
+    return { held: result.modifiedCount, inBatch };
+  }
+
+  /**
+   * Release holds on a booking's payouts
+   * @param {Object} hold - { reason, reference } (all references when omitted)
+   * @returns {Promise<Object>} { released, stillHeld }
+   */
+  static async releaseHold(bookingId, { reason, reference } = {}, user = null) {
+    const matches = hold => !hold.releasedAt &&
+      hold.reason === reason &&
+      (reference === undefined || hold.reference === reference);
+
+    const payouts = await Payout.find({ booking: bookingId, 'holds.reason': reason, onHold: true });
+    let released = 0;
+    let stillHeld = 0;
+
+    for (const payout of payouts) {
+      const holds = payout.holds.filter(matches);
+      if (holds.length === 0) continue;
+
+      holds.forEach(hold => {
+        hold.releasedAt = new Date();
+        hold.releasedBy = user?._id;
+      });
+      payout.onHold = payout.holds.some(hold => !hold.releasedAt);
+      await payout.save();
+
+      released += 1;
+      if (payout.onHold) stillHeld += 1;
+    }
+
+    if (released) {
+      console.log(`▶️ ${reason} hold released on ${released} payout(s) for booking ${bookingId}`);
+    }
+    return { released, stillHeld };
+  }
+
+  /**
+   * ==== UPCOMING PAYOUTS ====
+   * Unsent payouts for a host with the date each is expected to be sent.
+   * A bank payout below the minimum waits until the host's balance reaches it.
+   * @param {string} hostId - Host user ID
+   * @returns {Promise<Object>} { payouts, totals }
+   */
+  static async getUpcomingPayouts(hostId) {
+    const [policy, payouts] = await Promise.all([
+      this.getPolicy(),
+      Payout.find({ host: hostId, status: { $in: ['pending', 'processing'] } })
+        .populate('booking', 'receiptId checkIn checkOut')
+        .populate('batch', 'reference status valueDate')
+        .sort({ scheduledDate: 1 })
+    ]);
+
+    const now = new Date();
+    const waiting = {};
+    const balances = {};
+
+    const upcoming = payouts.map(payout => {
+      const item = {
+        _id: payout._id,
+        booking: payout.booking,
+        amount: payout.amount,
+        currency: payout.currency,
+        method: payout.method,
+        releaseDate: payout.scheduledDate,
+        release: payout.release,
+        status: payout.status
+      };
+
+      if (payout.status === 'processing') {
+        return { ...item, state: 'in_batch', expectedDate: payout.batch?.valueDate || now };
+      }
+      if (payout.onHold) {
+        return {
+          ...item,
+          state: 'on_hold',
+          expectedDate: null,
+          holds: payout.holds.filter(hold => !hold.releasedAt).map(hold => ({ reason: hold.reason, placedAt: hold.placedAt }))
+        };
+      }
+
+      const minimum = payout.method === 'bank_transfer' ? this.minimumPayout(policy, payout.currency) : 0;
+      const expected = payout.scheduledDate > now ? payout.scheduledDate : now;
+      const queue = waiting[payout.currency] || (waiting[payout.currency] = []);
+      balances[payout.currency] = toTwoDecimals((balances[payout.currency] || 0) + payout.amount);
+      Object.assign(item, { state: 'below_minimum', expectedDate: null });
+      queue.push(item);
+
+      // The balance reaches the minimum on this payout's release date
+      if (balances[payout.currency] >= minimum) {
+        queue.forEach(queued => Object.assign(queued, { state: 'scheduled', expectedDate: expected }));
+        waiting[payout.currency] = [];
+        balances[payout.currency] = 0;
+      }
+      return item;
+    });
+
+    const totals = {};
+    for (const item of upcoming) {
+      const total = totals[item.currency] || (totals[item.currency] = {
+        currency: item.currency,
+        amount: 0,
+        minimumPayout: this.minimumPayout(policy, item.currency)
+      });
+      total.amount = toTwoDecimals(total.amount + item.amount);
+    }
+
+    return { payouts: upcoming, totals: Object.values(totals) };
+  }
+
+  /**
+   * ==== CREATE A BANK BATCH ====
+   * Group due INR bank payouts per host into transfer lines. Hosts below the
+   * minimum payout roll over; hosts without bank details are skipped.
+   * @param {Object} options - { mode: NEFT | IMPS, cutoffDate, valueDate, hostIds }
+   * @param {Object} admin - Admin user
+   * @returns {Promise<Object>} PayoutBatch
+   */
+  static async createBatch({ mode = 'NEFT', cutoffDate, valueDate, hostIds } = {}, admin) {
+    const batchMode = String(mode).toUpperCase();
+    if (!BATCH_MODES.includes(batchMode)) {
+      throw httpError(400, `Mode must be one of: ${BATCH_MODES.join(', ')}`);
+    }
+    const cutoff = cutoffDate ? new Date(cutoffDate) : new Date();
+    const value = valueDate ? new Date(valueDate) : new Date();
+    if (isNaN(cutoff.getTime()) || isNaN(value.getTime())) {
+      throw httpError(400, 'Invalid cutoff or value date');
+    }
+
+    const policy = await this.getPolicy();
+    const minimum = this.minimumPayout(policy, BATCH_CURRENCY);
+
+    const candidates = await Payout.find({
+      status: 'pending',
+      onHold: false,
+      method: 'bank_transfer',
+      currency: BATCH_CURRENCY,
+      scheduledDate: { $lte: cutoff },
+      ...(hostIds?.length && { host: { $in: hostIds } })
+    }).populate('booking', 'status').sort({ scheduledDate: 1 });
+
+    // Bookings cancelled after payment are not paid out
+    const closed = candidates.filter(payout => CLOSED_BOOKING_STATUSES.includes(payout.booking?.status));
+    if (closed.length) {
+      await Payout.updateMany(
+        { _id: { $in: closed.map(payout => payout._id) }, status: 'pending' },
+        { $set: { status: 'cancelled', notes: 'Booking was cancelled before payout' } }
+      );
+    }
+
+    const groups = new Map();
+    for (const payout of candidates.filter(payout => !closed.includes(payout))) {
+      const key = payout.host.toString();
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(payout);
+    }
+
+    const batchId = new mongoose.Types.ObjectId();
+    const reference = `PB${bankDate(new Date()).split('-').reverse().join('').slice(2)}${batchId.toString().slice(-4).toUpperCase()}`;
+    const lines = [];
+    const rolledOver = [];
+    const skipped = [];
+
+    for (const [hostId, payouts] of groups) {
+      const amount = toTwoDecimals(payouts.reduce((sum, payout) => sum + payout.amount, 0));
+      const summary = { host: hostId, amount, payoutCount: payouts.length };
+
+      if (amount < minimum) {
+        rolledOver.push({ ...summary, payoutIds: payouts.map(payout => payout._id) });
+        continue;
+      }
+
+      const beneficiary = [...payouts].reverse().map(payout => payout.bankDetails).find(hasBankDetails) ||
+        await this.getHostBankDetails(hostId);
+      if (!hasBankDetails(beneficiary)) {
+        skipped.push({ ...summary, reason: 'missing_bank_details' });
+        continue;
+      }
+
+      const lineReference = `${reference}${String(lines.length + 1).padStart(4, '0')}`;
+      await Payout.updateMany(
+        { _id: { $in: payouts.map(payout => payout._id) }, status: 'pending', onHold: false },
+        { $set: { status: 'processing', batch: batchId, batchLine: lineReference } }
+      );
+      // Only what this batch actually claimed (a hold may have landed meanwhile)
+      const claimed = await Payout.find({ batch: batchId, batchLine: lineReference });
+      if (claimed.length === 0) continue;
+
+      const lineAmount = toTwoDecimals(claimed.reduce((sum, payout) => sum + payout.amount, 0));
+      lines.push({
+        reference: lineReference,
+        host: hostId,
+        mode: batchMode === 'IMPS' && lineAmount > policy.impsMaxAmount ? 'NEFT' : batchMode,
+        amount: lineAmount,
+        beneficiary: {
+          accountHolderName: beneficiary.accountHolderName,
+          accountNumber: beneficiary.accountNumber,
+          ifscCode: beneficiary.ifscCode?.toUpperCase(),
+          bankName: beneficiary.bankName
+        },
+        payouts: claimed.map(payout => payout._id),
+        bookings: [...new Set(claimed.map(payout => payout.booking.toString()))]
+      });
+    }
+
+    if (lines.length === 0) {
+      throw httpError(400, 'No payouts are ready to batch');
+    }
+
+    let batch;
+    try {
+      batch = await PayoutBatch.create({
+        _id: batchId,
+        reference,
+        mode: batchMode,
+        currency: BATCH_CURRENCY,
+        cutoffDate: cutoff,
+        valueDate: value,
+        lines,
+        totalAmount: toTwoDecimals(lines.reduce((sum, line) => sum + line.amount, 0)),
+        payoutCount: lines.reduce((sum, line) => sum + line.payouts.length, 0),
+        rolledOver: rolledOver.map(({ host, amount, payoutCount }) => ({ host, amount, payoutCount })),
+        skipped,
+        createdBy: admin?._id
+      });
+    } catch (error) {
+      await this.unbatchPayouts(batchId);
+      throw error;
+    }
+
+    for (const { payoutIds } of rolledOver) {
+      await Payout.updateMany(
+        { _id: { $in: payoutIds } },
+        { $inc: { 'rollover.count': 1 }, $set: { 'rollover.lastRolledAt': new Date() } }
+      );
+    }
+
+    console.log(`🏦 Payout batch ${batch.reference}: ${lines.length} transfer(s), ${batch.totalAmount} ${BATCH_CURRENCY}` +
+      ` (${rolledOver.length} rolled over, ${skipped.length} skipped)`);
+    return batch;
+  }
+
+  // Put a batch's unsettled payouts back in the queue
+  static unbatchPayouts(batchId, failure = null) {
+    return Payout.updateMany(
+      { batch: batchId, status: 'processing' },
+      {
+        $set: { status: 'pending', ...(failure && { lastFailure: { ...failure, batch: batchId, failedAt: new Date() } }) },
+        $unset: { batch: 1, batchLine: 1 }
+      }
+    );
+  }
+
+  /**
+   * Bulk-transfer CSV for upload to the bank
+   * @returns {Object} { fileName, csv }
+   */
+  static buildBatchCsv(batch) {
+    const header = [
+      'Transaction Type',
+      'Beneficiary Name',
+      'Beneficiary Account Number',
+      'IFSC Code',
+      'Amount',
+      'Value Date',
+      'Customer Reference',
+      'Remarks'
+    ];
+
+    const rows = batch.lines
+      .filter(line => line.status !== 'failed')
+      .map(line => [
+        line.mode,
+        line.beneficiary.accountHolderName,
+        line.beneficiary.accountNumber,
+        line.beneficiary.ifscCode,
+        line.amount.toFixed(2),
+        bankDate(batch.valueDate),
+        line.reference,
+        `TripMe payout ${line.bookings.length} booking${line.bookings.length === 1 ? '' : 's'}`
+      ]);
+
+    return {
+      fileName: `${batch.reference}_${batch.mode}.csv`,
+      csv: toCsv([header, ...rows])
+    };
+  }
+
+  static async getBatch(batchId) {
+    if (!mongoose.Types.ObjectId.isValid(batchId)) {
+      throw httpError(400, 'Invalid batch ID');
+    }
+    const batch = await PayoutBatch.findById(batchId);
+    if (!batch) {
+      throw httpError(404, 'Payout batch not found');
+    }
+    return batch;
+  }
+
+  /**
+   * Mark a batch as uploaded to the bank
+   */
+  static async submitBatch(batchId, admin) {
+    await this.getBatch(batchId);
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { _id: batchId, status: 'generated' },
+      { $set: { status: 'submitted', submittedAt: new Date(), submittedBy: admin?._id } },
+      { new: true }
+    );
+    if (!batch) {
+      throw httpError(400, 'Only a generated batch can be submitted');
+    }
+    return batch;
+  }
+
+  /**
+   * Cancel a batch that has not been sent to the bank; its payouts go back to the queue
+   */
+  static async cancelBatch(batchId, admin, notes) {
+    await this.getBatch(batchId);
+    const batch = await PayoutBatch.findOneAndUpdate(
+      { _id: batchId, status: 'generated' },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), notes } },
+      { new: true }
+    );
+    if (!batch) {
+      throw httpError(400, 'Only a batch that has not been submitted can be cancelled');
+    }
+
+    await this.unbatchPayouts(batch._id);
+    console.log(`🏦 Payout batch ${batch.reference} cancelled by ${admin?.email}`);
+    return batch;
+  }
+
+  /**
+   * Parse a bank response CSV (`reference,status[,utr][,reason]`, header optional)
+   * @returns {Array} [{ reference, status, utr, reason }]
+   */
+  static parseResultsCsv(csvText) {
+    return parseCsv(csvText)
+      .filter((cells, index) => !(index === 0 && cells[0].toLowerCase() === 'reference'))
+      .map(([reference, status, utr, reason]) => ({ reference, status, utr, reason }));
+  }
+
+  /**
+   * ==== BANK RESULTS ====
+   * Settle a submitted batch's lines from the bank response. Paid lines
+   * complete their payouts; failed lines put them back in the queue.
+   * @param {string} batchId - Batch ID
+   * @param {Array} results - [{ reference, status: paid | failed, utr, reason }]
+   * @returns {Promise<Object>} { batch, settled, errors }
+   */
+  static async recordBatchResults(batchId, results, admin) {
+    const batch = await this.getBatch(batchId);
+    if (!['submitted', 'partially_failed'].includes(batch.status)) {
+      throw httpError(400, 'Results can only be recorded for a submitted batch');
+    }
+
+    const settled = [];
+    const errors = [];
+
+    for (const result of results) {
+      const status = String(result.status || '').toLowerCase();
+      const line = batch.lines.find(candidate => candidate.reference === result.reference);
+      const paid = PAID_RESULTS.includes(status);
+
+      if (!line) {
+        errors.push({ reference: result.reference, error: 'Unknown line reference' });
+        continue;
+      }
+      if (!paid && !FAILED_RESULTS.includes(status)) {
+        errors.push({ reference: result.reference, error: `Unknown status "${result.status}"` });
+        continue;
+      }
+      if (paid && !result.utr) {
+        errors.push({ reference: result.reference, error: 'UTR is required for a paid line' });
+        continue;
+      }
+
+      // Claim the line so a result is only applied once
+      const claimed = await PayoutBatch.updateOne(
+        { _id: batch._id, lines: { $elemMatch: { reference: line.reference, status: 'pending' } } },
+        {
+          $set: {
+            'lines.$.status': paid ? 'paid' : 'failed',
+            'lines.$.utr': paid ? result.utr : undefined,
+            'lines.$.failureReason': paid ? undefined : (result.reason || 'Rejected by bank'),
+            'lines.$.settledAt': new Date()
+          }
+        }
+      );
+      if (claimed.modifiedCount === 0) {
+        errors.push({ reference: result.reference, error: 'Line already settled' });
+        continue;
+      }
+
+      if (paid) {
+        await this.completeBatchLine(batch, line, result.utr);
+      } else {
+        await Payout.updateMany(
+          { _id: { $in: line.payouts }, batch: batch._id, status: 'processing' },
+          {
+            $set: {
+              status: 'pending',
+              lastFailure: { reason: result.reason || 'Rejected by bank', batch: batch._id, failedAt: new Date() }
+            },
+            $unset: { batch: 1, batchLine: 1 }
+          }
+        );
+      }
+      settled.push({ reference: line.reference, status: paid ? 'paid' : 'failed' });
+    }
+
+    const updated = await this.refreshBatchStatus(batch._id);
+    console.log(`🏦 Payout batch ${updated.reference}: ${settled.length} line(s) settled by ${admin?.email}`);
+    return { batch: updated, settled, errors };
+  }
+
+  static async completeBatchLine(batch, line, utr) {
+    await Payout.updateMany(
+      { _id: { $in: line.payouts }, batch: batch._id, status: 'processing' },
+      {
+        $set: {
+          status: 'completed',
+          processedDate: new Date(),
+          transactionId: utr,
+          reference: line.reference
+        }
+      }
+    );
+
+    for (const payoutId of line.payouts) {
+      await LedgerService.queuePayout(payoutId);
+    }
+
+    await Notification.create({
+      user: line.host,
+      type: 'payment',
+      title: 'Payout Sent',
+      message: `Your payout of ${batch.currency} ${line.amount} for ${line.bookings.length} booking(s) has been sent by ${line.mode} (UTR ${utr}).`,
+      metadata: { batchId: batch._id, lineReference: line.reference, amount: line.amount }
+    });
+  }
+
+  static async refreshBatchStatus(batchId) {
+    const batch = await PayoutBatch.findById(batchId);
+    const statuses = batch.lines.map(line => line.status);
+
+    if (!statuses.includes('pending')) {
+      if (statuses.every(status => status === 'paid')) {
+        batch.status = 'completed';
+      } else if (statuses.every(status => status === 'failed')) {
+        batch.status = 'failed';
+      } else {
+        batch.status = 'partially_failed';
+      }
+      batch.completedAt = new Date();
+    } else if (statuses.includes('failed')) {
+      batch.status = 'partially_failed';
+    }
+
+    await batch.save();
+    return batch;
+  }
+}
+
+module.exports = PayoutService;
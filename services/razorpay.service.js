@@ -171,6 +171,40 @@ async function createRefund(paymentId, amount, notes = '', meta = {}) {
     }
   }
 
+function getInstance() {
+  if (!isInitialized()) {
+    initializeRazorpay();
+    if (!isInitialized()) {
+      throw new Error('Razorpay not initialized');
+    }
+  }
+  return razorpayInstance;
+}
+
+// Returns the existing customer when one has the same email/contact
+async function createCustomer({ name, email, contact, notes = {} }) {
+  return getInstance().customers.create({
+    name,
+    email,
+    contact,
+    fail_existing: '0',
+    notes
+  });
+}
+
+async function fetchToken(customerId, tokenId) {
+  return getInstance().customers.fetchToken(customerId, tokenId);
+}
+
+async function deleteToken(customerId, tokenId) {
+  return getInstance().customers.deleteToken(customerId, tokenId);
+}
+
+// Charge a saved token against an order; resolves to { razorpay_payment_id, razorpay_order_id, razorpay_signature }
+async function createRecurringPayment(params) {
+  return getInstance().payments.createRecurringPayment(params);
+}
+
 module.exports = {
   initializeRazorpay,
   isInitialized,
@@ -179,5 +213,9 @@ module.exports = {
   verifyPayment,
   getPaymentDetails,
   verifyWebhookSignature,
-  createRefund
+  createRefund,
+  createCustomer,
+  fetchToken,
+  deleteToken,
+  createRecurringPayment
 };
@@ -0,0 +1,425 @@
+/**
+ * Referral Service
+ * "Invite a friend, you both get ₹500".
+ *   - Every user has a referral code (created on first use).
+ *   - Signing up with a code (email registration or Google) records a
+ *     pending Referral. Self-referral from the same device or phone number
+ *     is rejected at signup.
+ *   - The 'issue-referral-rewards' job rewards both sides once the referee
+ *     has a completed booking, after checking again for a shared device,
+ *     phone number or saved payment method. The referrer is rewarded for
+ *     at most REFERRAL_MAX_REWARDS referrals; past that only the referee is.
+ *   - Rewards are wallet credit, or single-use coupons issued to the user
+ *     (REFERRAL_REWARD_TYPE=coupon).
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const Booking = require('../models/Booking');
+const Coupon = require('../models/Coupon');
+const Session = require('../models/Session');
+const PaymentMethod = require('../models/PaymentMethod');
+const Notification = require('../models/Notification');
+const WalletService = require('./wallet.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REWARD_AMOUNT = Number(process.env.REFERRAL_REWARD_AMOUNT) || 500;
+const REWARD_CURRENCY = process.env.REFERRAL_REWARD_CURRENCY || 'INR';
+const REWARD_TYPE = process.env.REFERRAL_REWARD_TYPE === 'coupon' ? 'coupon' : 'credit';
+const MAX_REWARDS_PER_REFERRER = parseInt(process.env.REFERRAL_MAX_REWARDS, 10) || 10;
+const COUPON_VALID_DAYS = parseInt(process.env.REFERRAL_COUPON_VALID_DAYS, 10) || 90;
+const COUPON_IMAGE = process.env.REFERRAL_COUPON_IMAGE || 'referral-reward.png';
+// No 0/O or 1/I, so codes can be read out and typed back
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const randomChars = (length) => {
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+// Last 10 digits, so +91 98765 43210 and 9876543210 match
+const normalisePhone = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+const maskName = (name) => {
+  const [first = '', last = ''] = (name || '').trim().split(/\s+/);
+  return last ? `${first} ${last[0]}.` : first;
+};
+
+class ReferralService {
+  static hashDevice(deviceId) {
+    return deviceId ? crypto.createHash('sha256').update(String(deviceId)).digest('hex') : null;
+  }
+
+  // Device ID sent by the app, from the X-Device-Id header or the body
+  static getDeviceHash(req) {
+    return this.hashDevice(req.headers['x-device-id'] || req.body?.deviceId);
+  }
+
+  static getShareUrl(code) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${frontendUrl}/auth/register?ref=${code}`;
+  }
+
+  static getRewardTerms() {
+    return {
+      amount: REWARD_AMOUNT,
+      currency: REWARD_CURRENCY,
+      type: REWARD_TYPE,
+      maxRewards: MAX_REWARDS_PER_REFERRER
+    };
+  }
+
+  /**
+   * The user's referral code, created the first time it is asked for
+   * @returns {Promise<string>} Code
+   */
+  static async getOrCreateCode(userId) {
+    const user = await User.findById(userId).select('name referralCode');
+    if (!user) {
+      throw httpError(404, 'User not found');
+    }
+    if (user.referralCode) {
+      return user.referralCode;
+    }
+
+    const prefix = (user.name || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 4);
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = `${prefix}${randomChars(prefix.length >= 4 ? 4 : 8 - prefix.length)}`;
+      try {
+        const updated = await User.findOneAndUpdate(
+          { _id: userId, referralCode: null },
+          { $set: { referralCode: code } },
+          { new: true }
+        ).select('referralCode');
+        // Created by a concurrent request
+        return updated ? updated.referralCode : (await User.findById(userId).select('referralCode')).referralCode;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw new Error('Could not generate a unique referral code');
+  }
+
+  /**
+   * ==== SIGNUP ====
+   * Record that a new user signed up with a referral code. Never fails the
+   * signup: an unknown code or a rejected referral is reported, not thrown.
+   * @param {Object} user - New user
+   * @param {Object} data - { referralCode, deviceHash, ipAddress, userAgent, method }
+   * @returns {Promise<Object>} { applied, reason }
+   */
+  static async attributeSignup(user, { referralCode, deviceHash, ipAddress, userAgent, method }) {
+    try {
+      if (deviceHash) {
+        await User.updateOne({ _id: user._id }, { $set: { signupDeviceHash: deviceHash } });
+      }
+      if (!referralCode) {
+        return { applied: false };
+      }
+
+      const referrer = await User.findOne({ referralCode: String(referralCode).trim().toUpperCase() })
+        .select('_id');
+      if (!referrer || referrer._id.equals(user._id)) {
+        return { applied: false, reason: 'Invalid referral code' };
+      }
+
+      const linked = await this.findLink(referrer._id, user._id, { deviceHash, checkPayments: false });
+      const referral = await Referral.create({
+        referrer: referrer._id,
+        referee: user._id,
+        code: String(referralCode).trim().toUpperCase(),
+        signup: { method, deviceHash, ipAddress, userAgent },
+        ...(linked && { status: 'rejected', rejectionReason: linked, rejectedAt: new Date() })
+      });
+      await User.updateOne({ _id: user._id }, { $set: { referredBy: referrer._id } });
+
+      if (linked) {
+        console.warn(`⚠️ Referral ${referral._id} rejected at signup: ${linked}`);
+        return { applied: false, reason: 'This referral code cannot be used from this account' };
+      }
+
+      console.log(`🤝 Referral ${referral._id}: ${user._id} referred by ${referrer._id}`);
+      return { applied: true };
+    } catch (error) {
+      console.error('❌ Failed to record referral:', error.message);
+      return { applied: false, reason: 'Referral could not be recorded' };
+    }
+  }
+
+  /**
+   * Why the two accounts look like the same person, or null
+   * @returns {Promise<string|null>} same_device | same_phone | same_payment_method
+   */
+  static async findLink(referrerId, refereeId, { deviceHash, checkPayments = true } = {}) {
+    const [referrerUser, refereeUser] = await Promise.all([
+      User.findById(referrerId).select('phone +signupDeviceHash'),
+      User.findById(refereeId).select('phone +signupDeviceHash')
+    ]);
+
+    const phone = normalisePhone(refereeUser?.phone);
+    if (phone && phone === normalisePhone(referrerUser?.phone)) {
+      return 'same_phone';
+    }
+
+    const refereeDevices = new Set([deviceHash, refereeUser?.signupDeviceHash].filter(Boolean));
+    (await Session.find({ user: refereeId, deviceHash: { $ne: null } }).distinct('deviceHash'))
+      .forEach(hash => refereeDevices.add(hash));
+    if (refereeDevices.size > 0) {
+      if (referrerUser?.signupDeviceHash && refereeDevices.has(referrerUser.signupDeviceHash)) {
+        return 'same_device';
+      }
+      const shared = await Session.exists({ user: referrerId, deviceHash: { $in: [...refereeDevices] } });
+      if (shared) {
+        return 'same_device';
+      }
+    }
+
+    if (checkPayments) {
+      const fingerprints = await PaymentMethod.find({ user: refereeId }).distinct('fingerprint');
+      if (fingerprints.length > 0 &&
+          await PaymentMethod.exists({ user: referrerId, fingerprint: { $in: fingerprints } })) {
+        return 'same_payment_method';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * ==== REWARDS ====
+   * Reward referrals whose referee has completed a booking
+   * (the 'issue-referral-rewards' job). Referrals left 'qualified' by an
+   * earlier run that stopped part-way are finished too.
+   * @returns {Promise<Object>} { checked, rewarded, rejected }
+   */
+  static async issueDueRewards() {
+    const result = { checked: 0, rewarded: 0, rejected: 0 };
+
+    // Only referrals that can move: the referee has a completed booking,
+    // or rewards were left half-issued
+    const due = await Referral.aggregate([
+      { $match: { status: { $in: ['pending', 'qualified'] } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $lookup: {
+          from: 'bookings',
+          let: { referee: '$referee' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$user', '$$referee'] }, status: 'completed' } },
+            { $limit: 1 },
+            { $project: { _id: 1 } }
+          ],
+          as: 'completedBookings'
+        }
+      },
+      { $match: { $or: [{ status: 'qualified' }, { 'completedBookings.0': { $exists: true } }] } },
+      { $limit: 100 },
+      { $project: { completedBookings: 0 } }
+    ]);
+
+    for (const referral of due.map(doc => Referral.hydrate(doc))) {
+      result.checked++;
+      try {
+        const outcome = await this.processReferral(referral);
+        if (outcome === 'rewarded') result.rewarded++;
+        if (outcome === 'rejected') result.rejected++;
+      } catch (error) {
+        console.error(`❌ Referral ${referral._id} reward failed:`, error.message);
+      }
+    }
+
+    if (result.rewarded || result.rejected) {
+      console.log(`🤝 Referral rewards: ${result.rewarded} rewarded, ${result.rejected} rejected`);
+    }
+    return result;
+  }
+
+  static async processReferral(referral) {
+    if (referral.status === 'pending') {
+      const booking = await Booking.findOne({ user: referral.referee, status: 'completed' })
+        .sort({ createdAt: 1 })
+        .select('_id');
+      if (!booking) {
+        return 'waiting';
+      }
+
+      const referrer = await User.findById(referral.referrer).select('accountStatus');
+      const linked = referrer?.accountStatus === 'active'
+        ? await this.findLink(referral.referrer, referral.referee, { deviceHash: referral.signup?.deviceHash })
+        : 'referrer_inactive';
+
+      const update = linked
+        ? { status: 'rejected', rejectionReason: linked, rejectedAt: new Date(), qualifyingBooking: booking._id }
+        : { status: 'qualified', qualifiedAt: new Date(), qualifyingBooking: booking._id };
+      referral = await Referral.findOneAndUpdate(
+        { _id: referral._id, status: 'pending' },
+        { $set: update },
+        { new: true }
+      );
+      if (!referral) {
+        return 'waiting';
+      }
+      if (linked) {
+        console.warn(`⚠️ Referral ${referral._id} rejected: ${linked}`);
+        return 'rejected';
+      }
+    }
+
+    // Cap counts the referrer's rewards from other referrals
+    const rewardedBefore = await Referral.countDocuments({
+      _id: { $ne: referral._id },
+      referrer: referral.referrer,
+      'rewards.role': 'referrer'
+    });
+    const capped = rewardedBefore >= MAX_REWARDS_PER_REFERRER;
+
+    const issued = new Set(referral.rewards.map(reward => reward.role));
+    const sides = [['referee', referral.referee], ...(capped ? [] : [['referrer', referral.referrer]])];
+    for (const [role, userId] of sides) {
+      if (issued.has(role)) continue;
+      const reward = await this.issueReward(referral, role, userId);
+      await Referral.updateOne({ _id: referral._id }, { $push: { rewards: reward } });
+    }
+
+    await Referral.updateOne(
+      { _id: referral._id },
+      { $set: { status: 'rewarded', rewardedAt: new Date(), referrerCapped: capped } }
+    );
+    return 'rewarded';
+  }
+
+  /**
+   * Wallet credit or a single-use coupon for one side of a referral.
+   * Wallet credit has an idempotency key, so a retried run credits once.
+   */
+  static async issueReward(referral, role, userId) {
+    const description = role === 'referrer'
+      ? 'Referral reward: your friend completed their first stay'
+      : 'Referral reward: welcome bonus for your first stay';
+
+    if (REWARD_TYPE === 'credit') {
+      const transaction = await WalletService.applyTransaction(userId, {
+        type: 'credit',
+        source: 'referral',
+        amount: REWARD_AMOUNT,
+        currency: REWARD_CURRENCY,
+        description,
+        key: `referral:${referral._id}:${role}`
+      });
+      await this.notify(userId, 'Referral reward added', `${REWARD_AMOUNT} ${REWARD_CURRENCY} has been added to your wallet. ${description}.`);
+      return { user: userId, role, type: 'credit', amount: REWARD_AMOUNT, currency: REWARD_CURRENCY, walletTransaction: transaction?._id };
+    }
+
+    const validTo = new Date(Date.now() + COUPON_VALID_DAYS * DAY_MS);
+    let coupon = null;
+    for (let attempt = 0; attempt < 5 && !coupon; attempt++) {
+      try {
+        coupon = await Coupon.create({
+          code: `REF${randomChars(8)}`,
+          couponImage: COUPON_IMAGE,
+          discountType: 'fixed',
+          amount: REWARD_AMOUNT,
+          validFrom: new Date(),
+          validTo,
+          usageLimit: 1,
+          targeting: { users: [userId], perUserLimit: 1 }
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    if (!coupon) {
+      throw new Error('Could not generate a unique coupon code');
+    }
+
+    await this.notify(
+      userId,
+      'Referral reward',
+      `${description}. Use code ${coupon.code} for ${REWARD_AMOUNT} ${REWARD_CURRENCY} off your next booking before ${validTo.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}.`
+    );
+    return { user: userId, role, type: 'coupon', amount: REWARD_AMOUNT, currency: REWARD_CURRENCY, coupon: coupon._id };
+  }
+
+  /**
+   * ==== STATS ====
+   * The user's code, what they have earned and the people they referred
+   */
+  static async getStats(userId, { page = 1, limit = 20 } = {}) {
+    const code = await this.getOrCreateCode(userId);
+
+    const [counts, earnedRows, referrals, total] = await Promise.all([
+      Referral.aggregate([
+        { $match: { referrer: userId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Referral.aggregate([
+        { $match: { $or: [{ referrer: userId }, { referee: userId }] } },
+        { $unwind: '$rewards' },
+        { $match: { 'rewards.user': userId } },
+        { $group: { _id: '$rewards.currency', amount: { $sum: '$rewards.amount' }, count: { $sum: 1 } } }
+      ]),
+      Referral.find({ referrer: userId })
+        .populate('referee', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Referral.countDocuments({ referrer: userId })
+    ]);
+
+    const byStatus = Object.fromEntries(counts.map(row => [row._id, row.count]));
+    const referrerRewards = await Referral.countDocuments({ referrer: userId, 'rewards.role': 'referrer' });
+
+    return {
+      code,
+      shareUrl: this.getShareUrl(code),
+      terms: this.getRewardTerms(),
+      stats: {
+        invited: total,
+        pending: byStatus.pending || 0,
+        rewarded: (byStatus.rewarded || 0) + (byStatus.qualified || 0),
+        rejected: byStatus.rejected || 0,
+        rewardsRemaining: Math.max(0, MAX_REWARDS_PER_REFERRER - referrerRewards),
+        earned: earnedRows.map(row => ({ currency: row._id, amount: row.amount, rewards: row.count }))
+      },
+      referrals: referrals.map(referral => ({
+        _id: referral._id,
+        friend: maskName(referral.referee?.name),
+        status: referral.status,
+        joinedAt: referral.createdAt,
+        rewardedAt: referral.rewardedAt || null,
+        reward: referral.rewards.find(reward => reward.role === 'referrer') || null
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async notify(userId, title, message) {
+    try {
+      await Notification.create({
+        user: userId,
+        type: 'system',
+        title,
+        message
+      });
+    } catch (error) {
+      console.error('❌ Failed to send referral notification:', error.message);
+    }
+  }
+}
+
+module.exports = ReferralService;
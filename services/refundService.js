@@ -6,8 +6,28 @@
 const Refund = require('../models/Refund');
 const Booking = require('../models/Booking');
 const Payment = require('../models/Payment');
-const { calculateRefundBreakdown } = require('../utils/refundCalculator');
-const razorpayService = require('./razorpay.service');
+const { calculateRefundBreakdown, calculateUnusedNightsRefund } = require('../utils/refundCalculator');
+const PaymentGatewayService = require('./paymentGateway.service');
+const CurrencyService = require('./currency.service');
+const InvoiceService = require('./invoice.service');
+const LedgerService = require('./ledger.service');
+const PayoutService = require('./payout.service');
+const WalletService = require('./wallet.service');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+
+// Refund reasons processed through Razorpay without admin approval
+const AUTO_REFUND_LABELS = {
+  host_cancel: 'Host cancellation',
+  modification: 'Booking modification',
+  request_expired: 'Expired booking request',
+  payment_plan_default: 'Unpaid balance cancellation',
+  security_deposit: 'Security deposit release'
+};
+
+// Refunds whose gateway share no longer counts against the payment
+const VOID_REFUND_STATUSES = ['rejected', 'failed', 'cancelled'];
+
+const SETTLED_PAYMENT_STATUSES = ['completed', 'refunded', 'partially_refunded'];
 
 class RefundService {
   /**
@@ -15,7 +35,7 @@ class RefundService {
    * @param {string} bookingId - Booking ID
    * @param {string} reason - Refund reason
    * @param {string} type - Refund type
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options ({ userNotes, adminNotes, refundMethod })
    * @returns {Object} Refund record
    */
   static async processRefund(bookingId, reason, type, options = {}) {
@@ -43,10 +63,15 @@ class RefundService {
 
       console.log('✅ Booking found:', booking._id);
       console.log('✅ Payment found:', booking.payment._id);
-      console.log('💳 Razorpay Payment ID:', booking.payment.razorpayPaymentId || 'N/A');
+      console.log('💳 Gateway Payment ID:', booking.payment.paymentDetails?.transactionId || booking.payment.razorpayPaymentId || 'N/A');
 
       // Calculate refund amount based on scenario
       const refundData = await this.calculateRefundAmount(booking, reason, type, options);
+
+      // Payment plan bookings can only get back what the guest has paid so far
+      if (booking.paymentPlan?.enabled && refundData.amount > booking.paymentPlan.amountPaid) {
+        refundData.amount = booking.paymentPlan.amountPaid;
+      }
       
       console.log('💰 ===========================================');
       console.log('💰 REFUND CALCULATION');
@@ -56,106 +81,68 @@ class RefundService {
       console.log('💰 Refund Type:', type);
       console.log('💰 ===========================================');
       
-      // Create refund record
-      const refund = new Refund({
-        booking: booking._id,
-        payment: booking.payment._id,
-        user: booking.user._id,
-        host: booking.host._id,
-        amount: refundData.amount,
-        currency: booking.currency || 'INR',
-        reason: reason,
-        type: type,
-        status: 'pending', // Always start as pending for admin approval
-        refundBreakdown: refundData.breakdown,
-        userNotes: options.userNotes || '',
-        adminNotes: options.adminNotes || '',
-        refundMethod: 'original_payment_method',
-        refundReference: `REF-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
-        estimatedProcessingTime: '3-5 business days'
-      });
+      const refundMethod = options.refundMethod === 'wallet_credit' ? 'wallet_credit' : 'original_payment_method';
+      const reference = `REF-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+      const parts = await this.allocateRefund(booking, refundData.amount);
+      let depositLeft = toTwoDecimals(refundData.breakdown?.securityDeposit || 0);
+      let refund = null;
+      let allCompleted = true;
+
+      // One refund record per payment it is made against; later parts point to the first
+      for (const [index, part] of parts.entries()) {
+        const { walletAmount, gatewayAmount } = await this.splitRefund(part.payment, part.amount, refundMethod);
+        // Guest-currency equivalent at the rate locked when the booking was made
+        const guestRefund = CurrencyService.toLockedCurrency(booking, part.amount, 'guest');
+        const securityDeposit = Math.min(depositLeft, part.amount);
+        depositLeft = toTwoDecimals(depositLeft - securityDeposit);
+
+        const partRefund = new Refund({
+          booking: booking._id,
+          payment: part.payment._id,
+          user: booking.user._id,
+          host: booking.host._id,
+          amount: part.amount,
+          currency: booking.currency || 'INR',
+          guestAmount: guestRefund.amount,
+          guestCurrency: guestRefund.currency,
+          exchangeRate: guestRefund.rate,
+          reason: reason,
+          type: type,
+          status: 'pending', // Always start as pending for admin approval
+          refundBreakdown: index === 0
+            ? { ...refundData.breakdown, ...(parts.length > 1 && { securityDeposit }) }
+            : { securityDeposit },
+          splitFrom: refund?._id,
+          userNotes: options.userNotes || '',
+          adminNotes: options.adminNotes || '',
+          refundMethod,
+          walletAmount,
+          refundReference: parts.length > 1 ? `${reference}-${index + 1}` : reference,
+          estimatedProcessingTime: gatewayAmount > 0 ? '3-5 business days' : 'Instant'
+        });
+
+        await partRefund.save();
+        console.log('✅ Refund record created in database:', partRefund._id);
+        console.log('📋 Refund Reference:', partRefund.refundReference);
+
+        await this.initiateRefund(partRefund, part.payment, booking, { walletAmount, gatewayAmount });
+        allCompleted = allCompleted && partRefund.status === 'completed';
+        refund = refund || partRefund;
+      }
 
-      await refund.save();
-      console.log('✅ Refund record created in database:', refund._id);
-      console.log('📋 Refund Reference:', refund.refundReference);
-
-      // Process refund through Razorpay if payment was made via Razorpay
-      const payment = await Payment.findById(booking.payment._id);
-      if (payment && payment.razorpayPaymentId && refundData.amount > 0) {
-        try {
-          // For host cancellations, automatically process refund
-          if (reason === 'host_cancel') {
-            console.log('🔄 ===========================================');
-            console.log('🔄 INITIATING RAZORPAY REFUND');
-            console.log('🔄 ===========================================');
-            console.log('💳 Razorpay Payment ID:', payment.razorpayPaymentId);
-            console.log('💰 Refund Amount:', refundData.amount, 'INR');
-            console.log('💰 Refund Amount (Paise):', Math.round(refundData.amount * 100));
-            console.log('📋 Refund Reference:', refund.refundReference);
-            console.log('🔄 ===========================================');
-            
-            const razorpayRefund = await razorpayService.createRefund(
-              payment.razorpayPaymentId,
-              refundData.amount,
-              `Host cancellation refund - ${refund.refundReference}`,
-              {
-                bookingId: booking._id.toString(),
-                refundReference: refund.refundReference
-              }
-            );
-
-            console.log('✅ ===========================================');
-            console.log('✅ RAZORPAY REFUND INITIATED');
-            console.log('✅ ===========================================');
-            console.log('💳 Razorpay Refund ID:', razorpayRefund.refundId);
-            console.log('💳 Original Payment ID:', razorpayRefund.paymentId);
-            console.log('💰 Refund Amount:', razorpayRefund.amount, razorpayRefund.currency);
-            console.log('📊 Refund Status:', razorpayRefund.status);
-            console.log('⚡ Refund Speed:', razorpayRefund.speed);
-            console.log('📅 Created At:', razorpayRefund.createdAt);
-            console.log('✅ ===========================================');
-
-            // Update refund with Razorpay details
-            refund.razorpayRefundId = razorpayRefund.refundId;
-            refund.gatewayResponse = razorpayRefund;
-            refund.status = 'processing'; // Move to processing since refund initiated
-            refund.processedAt = new Date();
-            await refund.save();
-
-            console.log('✅ Refund record updated with Razorpay details');
-            console.log('📊 Refund Status: processing (waiting for Razorpay webhook)');
-          } else {
-            // For other refunds, mark as pending for admin approval
-            // Admin will process refund through Razorpay after approval
-            console.log(`📋 Refund created, pending admin approval for Razorpay processing`);
-          }
-        } catch (razorpayError) {
-          console.error('❌ ===========================================');
-          console.error('❌ RAZORPAY REFUND ERROR');
-          console.error('❌ ===========================================');
-          console.error('❌ Error:', razorpayError.message);
-          console.error('❌ Stack:', razorpayError.stack);
-          console.error('❌ ===========================================');
-          // Don't fail the refund creation, but log the error
-          refund.adminNotes = (refund.adminNotes || '') + ` | Razorpay refund error: ${razorpayError.message}`;
-          await refund.save();
-          // Refund record is created, but Razorpay processing failed
-          // Admin can retry manually
-        }
-      } else {
-        if (!payment) {
-          console.log('⚠️ Payment not found - skipping Razorpay refund');
-        } else if (!payment.razorpayPaymentId) {
-          console.log('⚠️ No Razorpay Payment ID - payment was not made via Razorpay');
-        } else if (refundData.amount <= 0) {
-          console.log('⚠️ Refund amount is 0 - skipping Razorpay refund');
-        }
+      // The host is not paid while the guest disputes the booking
+      if (reason === 'dispute') {
+        await PayoutService.placeHold(booking._id, { reason: 'dispute', reference: refund._id.toString() });
       }
 
       // Update booking refund status
       booking.refundAmount = refundData.amount;
       booking.refunded = refundData.amount > 0;
-      booking.refundStatus = refundData.amount > 0 ? 'pending' : 'not_applicable';
+      if (allCompleted) {
+        booking.refundStatus = 'completed';
+      } else {
+        booking.refundStatus = refundData.amount > 0 ? 'pending' : 'not_applicable';
+      }
       await booking.save();
 
       console.log('✅ Booking updated with refund details');
@@ -175,6 +162,182 @@ class RefundService {
     }
   }
 
+  /**
+   * Send a new refund record's wallet and gateway shares. Automatic refunds
+   * are paid straight away; the rest wait for admin approval.
+   * @param {Object} refund - Refund record
+   * @param {Object} payment - Payment the refund is made against
+   * @param {Object} booking - Booking
+   * @param {Object} shares - { walletAmount, gatewayAmount } from splitRefund
+   */
+  static async initiateRefund(refund, payment, booking, { walletAmount, gatewayAmount }) {
+    const reason = refund.reason;
+
+    // The wallet share of automatic refunds is paid straight away; a refund
+    // with nothing left for the gateway is then complete
+    if (AUTO_REFUND_LABELS[reason] && walletAmount > 0) {
+      try {
+        await WalletService.creditRefund(refund);
+        if (gatewayAmount <= 0) {
+          await this.updateRefundStatus(refund._id, 'completed');
+          refund.status = 'completed';
+          refund.processedAt = new Date();
+        }
+      } catch (walletError) {
+        console.error('❌ Wallet refund error:', walletError.message);
+        refund.adminNotes = (refund.adminNotes || '') + ` | Wallet credit error: ${walletError.message}`;
+        await refund.save();
+      }
+    }
+
+    // Process refund through the gateway the payment was made with
+    const gatewayReference = PaymentGatewayService.getGatewayReference(payment);
+    if (gatewayReference && gatewayAmount > 0) {
+      try {
+        // Host cancellations, agreed modifications and expired requests are refunded automatically
+        if (AUTO_REFUND_LABELS[reason]) {
+          console.log('🔄 ===========================================');
+          console.log('🔄 INITIATING GATEWAY REFUND');
+          console.log('🔄 ===========================================');
+          console.log('🏦 Gateway:', gatewayReference.provider);
+          console.log('💳 Gateway Payment ID:', gatewayReference.paymentId);
+          console.log('💰 Refund Amount:', gatewayAmount, payment.currency || 'INR');
+          console.log('📋 Refund Reference:', refund.refundReference);
+          console.log('🔄 ===========================================');
+          
+          const gatewayRefund = await PaymentGatewayService.refundPayment(
+            payment,
+            gatewayAmount,
+            `${AUTO_REFUND_LABELS[reason]} refund - ${refund.refundReference}`,
+            {
+              bookingId: booking._id.toString(),
+              refundReference: refund.refundReference
+            }
+          );
+
+          console.log('✅ ===========================================');
+          console.log('✅ GATEWAY REFUND INITIATED');
+          console.log('✅ ===========================================');
+          console.log('💳 Gateway Refund ID:', gatewayRefund.refundId);
+          console.log('💳 Original Payment ID:', gatewayRefund.paymentId);
+          console.log('💰 Refund Amount:', gatewayRefund.amount, gatewayRefund.currency);
+          console.log('📊 Refund Status:', gatewayRefund.status);
+          console.log('✅ ===========================================');
+
+          // Update refund with gateway details
+          Object.assign(refund, PaymentGatewayService.toRefundFields(gatewayRefund));
+          refund.status = 'processing'; // Move to processing since refund initiated
+          refund.processedAt = new Date();
+          await refund.save();
+
+          console.log('✅ Refund record updated with gateway details');
+          console.log(`📊 Refund Status: processing (waiting for ${gatewayRefund.provider} webhook)`);
+        } else {
+          // For other refunds, mark as pending for admin approval
+          // Admin will process refund through the gateway after approval
+          console.log(`📋 Refund created, pending admin approval for ${gatewayReference.provider} processing`);
+        }
+      } catch (gatewayError) {
+        console.error('❌ ===========================================');
+        console.error('❌ GATEWAY REFUND ERROR');
+        console.error('❌ ===========================================');
+        console.error('❌ Error:', gatewayError.message);
+        console.error('❌ Stack:', gatewayError.stack);
+        console.error('❌ ===========================================');
+        // Don't fail the refund creation, but log the error
+        refund.adminNotes = (refund.adminNotes || '') + ` | Gateway refund error: ${gatewayError.message}`;
+        await refund.save();
+        // Refund record is created, but gateway processing failed
+        // Admin can retry manually
+      }
+    } else {
+      if (!gatewayReference) {
+        console.log('⚠️ No gateway payment ID - payment was not made through a payment gateway');
+      } else if (refund.amount <= 0) {
+        console.log('⚠️ Refund amount is 0 - skipping gateway refund');
+      } else if (gatewayAmount <= 0) {
+        console.log('👛 Refund goes to the wallet only - skipping gateway refund');
+      }
+    }
+  }
+
+  /**
+   * Split a refund across the payments made for the booking, newest first:
+   * modification difference payments, the payment plan balance, then the
+   * original payment. Each payment gives back at most what it took less its
+   * earlier refunds; anything beyond that stays on the original payment.
+   * @param {Object} booking - Booking with its payment populated
+   * @param {number} amount - Refund amount
+   * @returns {Promise<Array>} [{ payment, amount }], at least one part
+   */
+  static async allocateRefund(booking, amount) {
+    const paymentIds = [
+      ...(booking.modifications || [])
+        .filter(modification => modification.status === 'completed' && modification.payment?.record)
+        .map(modification => modification.payment.record)
+        .reverse(),
+      booking.paymentPlan?.balancePayment
+    ].filter(Boolean);
+
+    const payments = paymentIds.length
+      ? await Payment.find({ _id: { $in: paymentIds }, status: { $in: SETTLED_PAYMENT_STATUSES } })
+      : [];
+    const ordered = paymentIds
+      .map(id => payments.find(payment => payment._id.equals(id)))
+      .filter(Boolean);
+    const original = await Payment.findById(booking.payment._id);
+
+    const refunded = await Refund.aggregate([
+      { $match: { payment: { $in: ordered.map(payment => payment._id) }, status: { $nin: VOID_REFUND_STATUSES } } },
+      { $group: { _id: '$payment', amount: { $sum: '$amount' } } }
+    ]);
+    const refundedByPayment = new Map(refunded.map(row => [row._id.toString(), row.amount]));
+
+    let remaining = toTwoDecimals(amount || 0);
+    const parts = [];
+    for (const payment of ordered) {
+      const refundable = Math.max(0, toTwoDecimals(payment.amount - (refundedByPayment.get(payment._id.toString()) || 0)));
+      const share = Math.min(remaining, refundable);
+      if (share > 0) {
+        parts.push({ payment, amount: share });
+        remaining = toTwoDecimals(remaining - share);
+      }
+    }
+    if (remaining > 0 || parts.length === 0) {
+      parts.push({ payment: original, amount: remaining });
+    }
+    return parts;
+  }
+
+  /**
+   * Wallet and gateway shares of a refund. Wallet credit refunds go entirely
+   * to the wallet. Otherwise the gateway gets back what it charged (less its
+   * earlier refunds) and anything paid from the wallet returns to the wallet.
+   * @param {Object} payment - Payment the refund is made against
+   * @param {number} amount - Refund amount
+   * @param {string} refundMethod - original_payment_method | wallet_credit
+   * @returns {Promise<Object>} { walletAmount, gatewayAmount }
+   */
+  static async splitRefund(payment, amount, refundMethod = 'original_payment_method') {
+    const total = toTwoDecimals(amount || 0);
+    if (refundMethod === 'wallet_credit') {
+      return { walletAmount: total, gatewayAmount: 0 };
+    }
+    if (!payment?.walletAmount) {
+      return { walletAmount: 0, gatewayAmount: total };
+    }
+
+    const earlierRefunds = await Refund.find({
+      payment: payment._id,
+      status: { $nin: VOID_REFUND_STATUSES }
+    }).select('amount walletAmount');
+    const gatewayRefunded = earlierRefunds.reduce((sum, refund) => sum + refund.amount - (refund.walletAmount || 0), 0);
+    const gatewayRefundable = Math.max(0, toTwoDecimals(payment.amount - payment.walletAmount - gatewayRefunded));
+    const gatewayAmount = Math.min(total, gatewayRefundable);
+
+    return { walletAmount: toTwoDecimals(total - gatewayAmount), gatewayAmount };
+  }
+
   /**
    * Calculate refund amount based on scenario
    * @param {Object} booking - Booking object
@@ -185,7 +348,32 @@ class RefundService {
    */
   static async calculateRefundAmount(booking, reason, type, options = {}) {
     const pricingBreakdown = booking.pricingBreakdown;
+
+    // Scenario 0: Booking modified to a cheaper stay - refund the price difference
+    if (reason === 'modification') {
+      return {
+        amount: options.amount || 0,
+        breakdown: options.breakdown || this.createRefundBreakdown(pricingBreakdown, 'none', booking)
+      };
+    }
     
+    // Scenario 0b: Payment plan balance never paid - cancellation policy applies to the deposit
+    if (reason === 'payment_plan_default') {
+      const refundData = this.calculateCancellationRefundWithPolicy(booking, options);
+      return {
+        amount: Math.min(refundData.amount, booking.paymentPlan?.amountPaid || 0),
+        breakdown: refundData.breakdown
+      };
+    }
+
+    // Scenario 0c: Host never answered the booking request - FULL REFUND
+    if (reason === 'request_expired') {
+      return {
+        amount: booking.totalAmount,
+        breakdown: this.createRefundBreakdown(pricingBreakdown, 'full', booking)
+      };
+    }
+
     // Scenario 1: Host cancels before accepting booking - FULL REFUND
     if (reason === 'host_cancel' && booking.status === 'pending') {
       return {
@@ -202,13 +390,18 @@ class RefundService {
       };
     }
 
-    // Scenario 3: Security deposit refund (always refunded)
+    // Scenario 3: Security deposit refund (always refunded, less any damage
+    // awarded to the host when options.amount is given)
     if (type === 'security_deposit_only') {
       const securityDeposit = pricingBreakdown?.customerBreakdown?.securityDeposit || 
                              booking.securityDeposit || 0;
+      const amount = options.amount !== undefined
+        ? toTwoDecimals(Math.min(Math.max(0, options.amount), securityDeposit))
+        : securityDeposit;
+      const breakdown = this.createRefundBreakdown(pricingBreakdown, 'security_deposit_only', booking);
       return {
-        amount: securityDeposit,
-        breakdown: this.createRefundBreakdown(pricingBreakdown, 'security_deposit_only', booking)
+        amount,
+        breakdown: { ...breakdown, securityDeposit: amount, refundAmount: amount }
       };
     }
 
@@ -221,8 +414,17 @@ class RefundService {
       };
     }
 
-    // Scenario 5: Host cancels after accepting - FULL REFUND
+    // Scenario 4b: Guest leaves early - the nights given up, at the rates paid for them
+    if (reason === 'early_checkout') {
+      return this.calculateUnusedNightsRefundAmount(booking, options.fromDate || new Date());
+    }
+
+    // Scenario 5: Host cancels after accepting - FULL REFUND, or the nights not
+    // yet stayed when the stay has started
     if (reason === 'host_cancel' && booking.status === 'confirmed') {
+      if (this.hasStayStarted(booking)) {
+        return this.calculateUnusedNightsRefundAmount(booking, new Date());
+      }
       return {
         amount: booking.totalAmount, // Full refund + compensation
         breakdown: this.createRefundBreakdown(pricingBreakdown, 'full', booking)
@@ -244,6 +446,33 @@ class RefundService {
     };
   }
 
+  /**
+   * Has a daily stay begun (guest checked in or check-in date passed)?
+   * @param {Object} booking - Booking object
+   * @returns {boolean}
+   */
+  static hasStayStarted(booking) {
+    if (booking.bookingDuration === '24hour' || !booking.checkIn || !booking.pricingBreakdown?.customerBreakdown) {
+      return false;
+    }
+    return !!booking.checkedIn || new Date(booking.checkIn) <= new Date();
+  }
+
+  /**
+   * Refund for the nights from fromDate to check-out, priced night by night
+   * from the booking's stored breakdown (utils/refundCalculator.js)
+   * @param {Object} booking - Booking object
+   * @param {Date} fromDate - First night given up
+   * @returns {Object} Refund amount and breakdown
+   */
+  static calculateUnusedNightsRefundAmount(booking, fromDate) {
+    const breakdown = calculateUnusedNightsRefund(booking, fromDate);
+    return {
+      amount: breakdown.totalAmount,
+      breakdown: { ...breakdown, refundAmount: breakdown.totalAmount }
+    };
+  }
+
   /**
    * Calculate refund based on cancellation policy (EXCLUDES PLATFORM FEES)
    * @param {Object} booking - Booking object
@@ -522,11 +751,27 @@ class RefundService {
     }
 
     const oldStatus = refund.status;
-    refund.status = status;
-    
+
     if (status === 'approved') {
       refund.approvedAt = new Date();
       refund.approvedBy = options.approvedBy;
+
+      // The admin can pay a refund into the wallet instead, while nothing has gone to the gateway yet
+      if (options.refundMethod === 'wallet_credit' && !refund.gatewayRefundId && !refund.razorpayRefundId) {
+        refund.refundMethod = 'wallet_credit';
+        refund.walletAmount = refund.amount;
+        refund.estimatedProcessingTime = 'Instant';
+      }
+      // Nothing goes back through the gateway, so approval completes the refund
+      if (refund.amount > 0 && refund.walletAmount >= refund.amount) {
+        status = 'completed';
+      }
+    }
+    refund.status = status;
+
+    // The wallet share is paid once the refund is approved (once per refund)
+    if (['approved', 'processing', 'completed'].includes(status)) {
+      await WalletService.creditRefund(refund);
     }
     
     if (status === 'processing') {
@@ -559,6 +804,20 @@ class RefundService {
     }
 
     await refund.save();
+
+    if (status === 'completed') {
+      await InvoiceService.queueCreditNotes(refund._id);
+      await LedgerService.queueRefund(refund._id);
+    }
+
+    // A dismissed dispute releases the host's payouts. An upheld one keeps
+    // them held for an admin to adjust or cancel.
+    if (refund.reason === 'dispute' && ['rejected', 'cancelled'].includes(status)) {
+      await PayoutService.releaseHold(refund.booking?._id || refund.booking, {
+        reason: 'dispute',
+        reference: refund._id.toString()
+      });
+    }
     
     console.log(`✅ Refund ${refundId} status updated from ${oldStatus} to ${status}`);
     return refund;
@@ -603,12 +862,14 @@ class RefundService {
    * @param {string} refundId - Refund ID
    * @param {string} adminId - Admin user ID
    * @param {string} adminNotes - Admin notes
+   * @param {Object} [options] - { refundMethod: 'wallet_credit' to pay it into the guest's wallet }
    * @returns {Object} Updated refund
    */
-  static async approveRefund(refundId, adminId, adminNotes = '') {
+  static async approveRefund(refundId, adminId, adminNotes = '', options = {}) {
     return await this.updateRefundStatus(refundId, 'approved', {
       approvedBy: adminId,
-      adminNotes: adminNotes || 'Refund approved by admin'
+      adminNotes: adminNotes || 'Refund approved by admin',
+      refundMethod: options.refundMethod
     });
   }
 
@@ -655,11 +916,11 @@ class RefundService {
   }
 
   /**
-   * Process refund through Razorpay (called when admin approves or for host cancellations)
+   * Process refund through the payment's gateway (called when admin approves or for host cancellations)
    * @param {string} refundId - Refund ID
-   * @returns {Object} Updated refund with Razorpay details
+   * @returns {Object} Updated refund with gateway details
    */
-  static async processRazorpayRefund(refundId) {
+  static async processGatewayRefund(refundId) {
     try {
       const refund = await Refund.findById(refundId)
         .populate('payment')
@@ -670,19 +931,26 @@ class RefundService {
       }
 
       const payment = refund.payment;
-      if (!payment.razorpayPaymentId) {
-        throw new Error('Payment was not made through Razorpay');
+      if (!PaymentGatewayService.canRefundThroughGateway(payment)) {
+        throw new Error('Payment was not made through a payment gateway');
+      }
+
+      if (refund.gatewayRefundId || refund.razorpayRefundId) {
+        console.log(`ℹ️ Refund already processed through the gateway: ${refund.gatewayRefundId || refund.razorpayRefundId}`);
+        return refund;
       }
 
-      if (refund.razorpayRefundId) {
-        console.log(`ℹ️ Refund already processed through Razorpay: ${refund.razorpayRefundId}`);
+      // The wallet share is credited on approval; only the rest goes to the gateway
+      const gatewayAmount = toTwoDecimals(refund.amount - (refund.walletAmount || 0));
+      if (gatewayAmount <= 0) {
+        console.log(`ℹ️ Refund ${refund._id} is paid to the wallet only`);
         return refund;
       }
 
-      // Create refund through Razorpay
-      const razorpayRefund = await razorpayService.createRefund(
-        payment.razorpayPaymentId,
-        refund.amount,
+      // Create refund through the gateway
+      const gatewayRefund = await PaymentGatewayService.refundPayment(
+        payment,
+        gatewayAmount,
         `Refund for ${refund.reason} - ${refund.refundReference}`,
         {
           bookingId: refund.booking._id.toString(),
@@ -690,18 +958,17 @@ class RefundService {
         }
       );
 
-      // Update refund with Razorpay details
-      refund.razorpayRefundId = razorpayRefund.refundId;
-      refund.gatewayResponse = razorpayRefund;
+      // Update refund with gateway details
+      Object.assign(refund, PaymentGatewayService.toRefundFields(gatewayRefund));
       refund.status = 'processing';
       refund.processedAt = new Date();
       await refund.save();
 
-      console.log(`✅ Razorpay refund processed: ${razorpayRefund.refundId}`);
+      console.log(`✅ ${gatewayRefund.provider} refund processed: ${gatewayRefund.refundId}`);
       return refund;
     } catch (error) {
-      console.error('❌ Error processing Razorpay refund:', error);
-      throw new Error(`Failed to process Razorpay refund: ${error.message}`);
+      console.error('❌ Error processing gateway refund:', error);
+      throw new Error(`Failed to process gateway refund: ${error.message}`);
     }
   }
 }
@@ -0,0 +1,368 @@
+/**
+ * Job Scheduler Service
+ * Mongo-backed job queue with named recurring and one-off jobs.
+ * Every instance polls the same collection; a job is claimed with an atomic
+ * findOneAndUpdate lock, so only one instance runs it at a time.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const DEFAULT_POLL_INTERVAL_MS = 15 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Registered handlers: name -> { handler, options }
+const handlers = new Map();
+let pollTimer = null;
+let polling = false;
+
+class JobScheduler {
+  static get instanceId() {
+    return INSTANCE_ID;
+  }
+
+  /**
+   * ========================================
+   * DEFINE JOB HANDLER
+   * ========================================
+   * @param {string} name - Job name
+   * @param {Function} handler - async (data, { job }) => result
+   * @param {Object} options - Defaults for jobs of this name
+   * @param {number} options.maxAttempts - Attempts before giving up (default 3)
+   * @param {number} options.backoffMs - First retry delay, doubled each attempt (default 30s)
+   * @param {number} options.lockTimeoutMs - Lock lifetime; an expired lock can be taken over (default 10 min)
+   */
+  static define(name, handler, options = {}) {
+    handlers.set(name, { handler, options });
+  }
+
+  static isDefined(name) {
+    return handlers.has(name);
+  }
+
+  /**
+   * Create or update a recurring job. Pause state, history and the next run
+   * time survive restarts; only the interval and options are refreshed.
+   * @param {string} name - Registered job name
+   * @param {number} intervalMs - Interval between runs
+   * @param {Object} options - { data, firstRunDelayMs }
+   * @returns {Promise<Object>} Job document
+   */
+  static async every(name, intervalMs, { data = {}, firstRunDelayMs = 0 } = {}) {
+    const defaults = this.getJobDefaults(name);
+
+    return Job.findOneAndUpdate(
+      { key: name },
+      {
+        $set: { intervalMs, data, ...defaults },
+        $setOnInsert: {
+          name,
+          key: name,
+          type: 'recurring',
+          status: 'scheduled',
+          nextRunAt: new Date(Date.now() + firstRunDelayMs)
+        }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Enqueue a one-off job
+   * @param {string} name - Registered job name
+   * @param {Object} data - Job payload
+   * @param {Object} options - { runAt, delayMs, uniqueKey }
+   *   uniqueKey makes enqueueing idempotent: the same key is only queued once
+   * @returns {Promise<Object>} Job document
+   */
+  static async enqueue(name, data = {}, { runAt, delayMs = 0, uniqueKey } = {}) {
+    const defaults = this.getJobDefaults(name);
+    const key = uniqueKey ? `${name}:${uniqueKey}` : `${name}:${crypto.randomUUID()}`;
+
+    try {
+      return await Job.findOneAndUpdate(
+        { key },
+        {
+          $setOnInsert: {
+            name,
+            key,
+            type: 'one_off',
+            data,
+            status: 'scheduled',
+            nextRunAt: runAt ? new Date(runAt) : new Date(Date.now() + delayMs),
+            ...defaults
+          }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Concurrent enqueue with the same unique key
+      if (error.code === 11000) {
+        return Job.findOne({ key });
+      }
+      throw error;
+    }
+  }
+
+  static getJobDefaults(name) {
+    const options = handlers.get(name)?.options || {};
+    const defaults = {};
+    if (options.maxAttempts) defaults.maxAttempts = options.maxAttempts;
+    if (options.backoffMs) defaults.backoffMs = options.backoffMs;
+    if (options.lockTimeoutMs) defaults.lockTimeoutMs = options.lockTimeoutMs;
+    return defaults;
+  }
+
+  /**
+   * ========================================
+   * START / STOP POLLING
+   * ========================================
+   */
+  static start({ pollIntervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) {
+    if (pollTimer) return;
+
+    console.log(`⏱️ Job scheduler started on ${INSTANCE_ID} (poll every ${pollIntervalMs / 1000}s, ${handlers.size} job types)`);
+    pollTimer = setInterval(() => {
+      this.poll().catch(error => console.error('❌ Job scheduler poll error:', error));
+    }, pollIntervalMs);
+  }
+
+  static stop() {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  /**
+   * Run every due job this instance can claim
+   * @returns {Promise<number>} Number of jobs run
+   */
+  static async poll() {
+    if (polling) return 0;
+    polling = true;
+
+    let ran = 0;
+    try {
+      let job;
+      while ((job = await this.claimNextDueJob())) {
+        await this.runClaimedJob(job, job.attempts > 1 ? 'retry' : 'schedule');
+        ran += 1;
+      }
+    } finally {
+      polling = false;
+    }
+    return ran;
+  }
+
+  /**
+   * Atomically lock the next due job (or a job whose lock has expired)
+   * @returns {Promise<Object|null>}
+   */
+  static async claimNextDueJob() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        name: { $in: [...handlers.keys()] },
+        paused: false,
+        nextRunAt: { $lte: now },
+        $or: [
+          { status: 'scheduled' },
+          { status: 'running', lockExpiresAt: { $lt: now } }
+        ]
+      },
+      [
+        {
+          $set: {
+            status: 'running',
+            lockedBy: INSTANCE_ID,
+            lockedAt: now,
+            lockExpiresAt: { $add: [now, '$lockTimeoutMs'] },
+            attempts: { $add: ['$attempts', 1] }
+          }
+        }
+      ],
+      { sort: { nextRunAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * ========================================
+   * TRIGGER JOB NOW (ADMIN)
+   * ========================================
+   * Runs the job immediately on this instance, even if paused, unless
+   * another instance currently holds its lock.
+   * @param {string} jobId - Job ID
+   * @param {Object} options - { triggeredBy }
+   * @returns {Promise<Object>} Job run record
+   */
+  static async triggerNow(jobId, { triggeredBy } = {}) {
+    const job = await Job.findById(jobId);
+    if (!job) {
+      const error = new Error('Job not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (!handlers.has(job.name)) {
+      const error = new Error(`No handler registered for job "${job.name}"`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const now = new Date();
+    const claimed = await Job.findOneAndUpdate(
+      {
+        _id: jobId,
+        $or: [
+          { status: { $ne: 'running' } },
+          { lockExpiresAt: { $lt: now } }
+        ]
+      },
+      [
+        {
+          $set: {
+            status: 'running',
+            lockedBy: INSTANCE_ID,
+            lockedAt: now,
+            lockExpiresAt: { $add: [now, '$lockTimeoutMs'] },
+            attempts: 1
+          }
+        }
+      ],
+      { new: true }
+    );
+
+    if (!claimed) {
+      const error = new Error('Job is already running on another instance');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return this.runClaimedJob(claimed, 'manual', { triggeredBy });
+  }
+
+  /**
+   * Execute a job this instance has locked, record the run and reschedule
+   * @param {Object} job - Claimed job document
+   * @param {string} trigger - 'schedule' | 'retry' | 'manual'
+   * @param {Object} options - { triggeredBy }
+   * @returns {Promise<Object>} Job run record
+   */
+  static async runClaimedJob(job, trigger, { triggeredBy } = {}) {
+    const { handler } = handlers.get(job.name);
+    const startedAt = new Date();
+
+    const run = await JobRun.create({
+      job: job._id,
+      jobName: job.name,
+      status: 'running',
+      trigger,
+      attempt: job.attempts,
+      instanceId: INSTANCE_ID,
+      triggeredBy,
+      startedAt
+    });
+
+    let result;
+    let failure = null;
+    try {
+      result = await handler(job.data || {}, { job });
+    } catch (error) {
+      failure = error;
+    }
+
+    const finishedAt = new Date();
+    run.status = failure ? 'failed' : 'succeeded';
+    run.finishedAt = finishedAt;
+    run.durationMs = finishedAt - startedAt;
+    run.result = failure ? undefined : result;
+    run.error = failure ? (failure.message || String(failure)) : undefined;
+    await run.save();
+
+    const update = this.getCompletionUpdate(job, failure, finishedAt, trigger);
+
+    // Only release the lock if we still hold it
+    await Job.updateOne({ _id: job._id, lockedBy: INSTANCE_ID }, update);
+
+    if (failure) {
+      console.error(`❌ Job ${job.name} failed (attempt ${job.attempts}/${job.maxAttempts}):`, failure.message);
+    } else if (trigger === 'manual') {
+      console.log(`✅ Job ${job.name} run manually in ${run.durationMs}ms`);
+    }
+
+    return run;
+  }
+
+  // Next state after a run: reschedule, retry with backoff, or finish
+  static getCompletionUpdate(job, failure, finishedAt, trigger) {
+    const release = {
+      lockedBy: null,
+      lockedAt: null,
+      lockExpiresAt: null,
+      lastRunAt: job.lockedAt,
+      lastFinishedAt: finishedAt,
+      lastRunStatus: failure ? 'failed' : 'succeeded',
+      lastError: failure ? (failure.message || String(failure)) : null
+    };
+    const counters = { runCount: 1, failureCount: failure ? 1 : 0 };
+    const nextInterval = new Date(finishedAt.getTime() + (job.intervalMs || 0));
+
+    if (!failure) {
+      // A manual run of a recurring job keeps its regular schedule
+      const keepSchedule = trigger === 'manual' && job.type === 'recurring' && job.nextRunAt > finishedAt;
+      return {
+        $set: {
+          ...release,
+          attempts: 0,
+          status: job.type === 'recurring' ? 'scheduled' : 'completed',
+          nextRunAt: job.type === 'recurring' ? (keepSchedule ? job.nextRunAt : nextInterval) : job.nextRunAt
+        },
+        $inc: counters
+      };
+    }
+
+    if (trigger !== 'manual' && job.attempts < job.maxAttempts) {
+      const delay = Math.min(MAX_BACKOFF_MS, job.backoffMs * Math.pow(2, job.attempts - 1));
+      return {
+        $set: {
+          ...release,
+          status: 'scheduled',
+          nextRunAt: new Date(finishedAt.getTime() + delay)
+        },
+        $inc: counters
+      };
+    }
+
+    // Out of attempts: recurring jobs wait for their next interval
+    return {
+      $set: {
+        ...release,
+        attempts: 0,
+        status: job.type === 'recurring' ? 'scheduled' : 'failed',
+        nextRunAt: job.type === 'recurring' ? nextInterval : job.nextRunAt
+      },
+      $inc: counters
+    };
+  }
+
+  /**
+   * Pause or resume a job
+   * @param {string} jobId - Job ID
+   * @param {boolean} paused - Pause state
+   * @param {Object} admin - Admin making the change
+   * @returns {Promise<Object|null>} Updated job
+   */
+  static async setPaused(jobId, paused, admin) {
+    const update = paused
+      ? { $set: { paused: true, pausedBy: admin?._id, pausedAt: new Date() } }
+      : { $set: { paused: false }, $unset: { pausedBy: 1, pausedAt: 1 } };
+
+    return Job.findByIdAndUpdate(jobId, update, { new: true });
+  }
+}
+
+module.exports = JobScheduler;
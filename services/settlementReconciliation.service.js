@@ -0,0 +1,578 @@
+/**
+ * Settlement Reconciliation Service
+ * Imports Razorpay settlement/transactions reports (CSV) and checks every
+ * line against our Payment and Refund records:
+ *   - missing: the gateway settled something we have no record of
+ *   - duplicate: the same payment/refund appears again (same or earlier file)
+ *   - amount mismatch: the settled amount differs from what we charged/refunded
+ *   - fee mismatch: the gateway fee differs from the fee we were quoted
+ * Every problem is written to PaymentAuditLog. Finance downloads a summary
+ * per settlement date.
+ */
+
+const crypto = require('crypto');
+const SettlementImport = require('../models/SettlementImport');
+const SettlementTransaction = require('../models/SettlementTransaction');
+const PaymentAuditLog = require('../models/PaymentAuditLog');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+const { parseCsv, toCsv } = require('../utils/csv');
+
+const PROVIDER = 'razorpay';
+const AMOUNT_UNITS = ['rupees', 'paise'];
+const AMOUNT_TOLERANCE = 0.01;
+// Report dates without a zone are in IST
+const IST_OFFSET = '+05:30';
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Report header -> field. Headers are lower-cased with spaces as underscores.
+const COLUMN_ALIASES = {
+  entity_id: 'entityId',
+  id: 'entityId',
+  type: 'type',
+  entity_type: 'type',
+  amount: 'amount',
+  fee: 'fee',
+  fees: 'fee',
+  tax: 'tax',
+  credit: 'credit',
+  debit: 'debit',
+  currency: 'currency',
+  payment_id: 'paymentId',
+  order_id: 'orderId',
+  settlement_id: 'settlementId',
+  settled_at: 'settledAt',
+  settlement_date: 'settledAt',
+  settlement_utr: 'settlementUtr',
+  utr: 'settlementUtr'
+};
+const AMOUNT_FIELDS = ['amount', 'fee', 'tax', 'credit', 'debit'];
+
+const ISSUE_ACTIONS = {
+  missing: 'settlement_missing',
+  duplicate: 'settlement_duplicate',
+  amount_mismatch: 'settlement_amount_mismatch',
+  fee_mismatch: 'settlement_fee_mismatch'
+};
+const ISSUE_SEVERITY = {
+  missing: 'high',
+  duplicate: 'high',
+  amount_mismatch: 'high',
+  fee_mismatch: 'medium'
+};
+const COUNT_KEYS = {
+  missing: 'missing',
+  duplicate: 'duplicate',
+  amount_mismatch: 'amountMismatch',
+  fee_mismatch: 'feeMismatch'
+};
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeHeader = header => String(header || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+// Epoch seconds, or a date string (IST unless it carries a zone)
+function parseReportDate(value) {
+  if (!value) return null;
+  if (/^\d{9,}$/.test(value)) return new Date(Number(value) * 1000);
+
+  let text = value.replace(' ', 'T');
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) text += 'T00:00:00';
+  if (/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(text)) text += IST_OFFSET;
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// IST calendar day of a settlement, as YYYY-MM-DD
+const settlementDay = date => (date ? new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10) : 'unsettled');
+
+class SettlementReconciliationService {
+  /**
+   * ==== PARSING ====
+   */
+
+  /**
+   * Read a Razorpay settlement/transactions report
+   * @param {string} text - CSV contents
+   * @param {Object} [options]
+   * @param {string} [options.amountUnit='rupees'] - 'paise' for API exports
+   * @returns {{ rows: Array, errors: Array<{ line, message }> }}
+   */
+  static parseRazorpayReport(text, { amountUnit = 'rupees' } = {}) {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) throw httpError(400, 'Report is empty');
+
+    const fields = header.map(name => COLUMN_ALIASES[normalizeHeader(name)]);
+    if (!fields.includes('entityId') || !fields.includes('amount')) {
+      throw httpError(400, 'Report needs at least "entity_id" and "amount" columns');
+    }
+
+    const divisor = amountUnit === 'paise' ? 100 : 1;
+    const rows = [];
+    const errors = [];
+
+    lines.forEach((cells, index) => {
+      const line = index + 2;
+      const raw = {};
+      fields.forEach((field, column) => {
+        if (field && raw[field] === undefined) raw[field] = cells[column] || '';
+      });
+
+      if (!raw.entityId) {
+        errors.push({ line, message: 'Missing entity_id' });
+        return;
+      }
+
+      const row = {
+        line,
+        entityId: raw.entityId,
+        type: (raw.type || SettlementReconciliationService.typeFromId(raw.entityId)).toLowerCase(),
+        paymentId: raw.paymentId || undefined,
+        orderId: raw.orderId || undefined,
+        settlementId: raw.settlementId || undefined,
+        settlementUtr: raw.settlementUtr || undefined,
+        currency: (raw.currency || 'INR').toUpperCase()
+      };
+
+      for (const field of AMOUNT_FIELDS) {
+        const value = String(raw[field] || '').replace(/,/g, '');
+        const number = value === '' ? 0 : Number(value);
+        if (!Number.isFinite(number)) {
+          errors.push({ line, message: `Invalid ${field} "${raw[field]}"` });
+          return;
+        }
+        row[field] = toTwoDecimals(number / divisor);
+      }
+
+      if (raw.settledAt) {
+        row.settlementDate = parseReportDate(raw.settledAt);
+        if (!row.settlementDate) {
+          errors.push({ line, message: `Invalid settlement date "${raw.settledAt}"` });
+          return;
+        }
+      }
+
+      rows.push(row);
+    });
+
+    return { rows, errors };
+  }
+
+  // Reports without a type column: infer it from the ID prefix
+  static typeFromId(entityId) {
+    if (entityId.startsWith('pay_')) return 'payment';
+    if (entityId.startsWith('rfnd_')) return 'refund';
+    if (entityId.startsWith('adj_')) return 'adjustment';
+    if (entityId.startsWith('trf_')) return 'transfer';
+    return 'other';
+  }
+
+  /**
+   * ==== MATCHING ====
+   */
+
+  // Gateway fee we expect for a payment: the fee Razorpay returned when it
+  // was captured, else an estimate from the configured rate (plus 18% GST)
+  static expectedPaymentFee(payment) {
+    const gatewayFee = payment.paymentDetails?.gatewayResponse?.fee;
+    if (Number.isFinite(Number(gatewayFee)) && gatewayFee !== null) {
+      return toTwoDecimals(Number(gatewayFee) / 100);
+    }
+    const rate = parseFloat(process.env.RAZORPAY_FEE_RATE || '0.02');
+    return toTwoDecimals((payment.amount - (payment.walletAmount || 0)) * rate * 1.18);
+  }
+
+  static feeTolerance() {
+    const tolerance = parseFloat(process.env.RAZORPAY_FEE_TOLERANCE || '1');
+    return Number.isFinite(tolerance) ? tolerance : 1;
+  }
+
+  // Load the payments and refunds the report refers to, keyed by gateway ID
+  static async loadRecords(rows) {
+    const paymentIds = new Set();
+    const orderIds = new Set();
+    const refundIds = new Set();
+
+    for (const row of rows) {
+      if (row.type === 'payment') paymentIds.add(row.entityId);
+      if (row.type === 'refund') refundIds.add(row.entityId);
+      if (row.paymentId) paymentIds.add(row.paymentId);
+      if (row.orderId) orderIds.add(row.orderId);
+    }
+
+    const [payments, refunds] = await Promise.all([
+      paymentIds.size || orderIds.size
+        ? Payment.find({
+          $or: [
+            { razorpayPaymentId: { $in: [...paymentIds] } },
+            { 'paymentDetails.transactionId': { $in: [...paymentIds] } },
+            { razorpayOrderId: { $in: [...orderIds] } },
+            { 'paymentDetails.gatewayOrderId': { $in: [...orderIds] } }
+          ]
+        }).select('booking user host amount walletAmount currency status razorpayPaymentId razorpayOrderId paymentDetails')
+        : [],
+      refundIds.size
+        ? Refund.find({
+          $or: [
+            { gatewayRefundId: { $in: [...refundIds] } },
+            { razorpayRefundId: { $in: [...refundIds] } }
+          ]
+        }).select('booking payment user host amount walletAmount currency status gatewayRefundId razorpayRefundId')
+        : []
+    ]);
+
+    const byPaymentId = new Map();
+    const byOrderId = new Map();
+    for (const payment of payments) {
+      const paymentId = payment.razorpayPaymentId || payment.paymentDetails?.transactionId;
+      const orderId = payment.razorpayOrderId || payment.paymentDetails?.gatewayOrderId;
+      if (paymentId) byPaymentId.set(paymentId, payment);
+      if (orderId && !byOrderId.has(orderId)) byOrderId.set(orderId, payment);
+    }
+
+    const byRefundId = new Map();
+    for (const refund of refunds) {
+      byRefundId.set(refund.gatewayRefundId || refund.razorpayRefundId, refund);
+    }
+
+    return { byPaymentId, byOrderId, byRefundId };
+  }
+
+  /**
+   * Compare one report line with our records
+   * @returns {Object} Match fields for SettlementTransaction
+   */
+  static matchRow(row, records) {
+    if (row.type === 'payment') {
+      const payment = records.byPaymentId.get(row.entityId) || (row.orderId && records.byOrderId.get(row.orderId));
+      if (!payment) return { status: 'missing', issues: ['missing'] };
+
+      // The gateway only charged what the wallet did not cover
+      const expectedAmount = toTwoDecimals(payment.amount - (payment.walletAmount || 0));
+      const expectedFee = SettlementReconciliationService.expectedPaymentFee(payment);
+      const issues = [];
+      if (Math.abs(row.amount - expectedAmount) > AMOUNT_TOLERANCE) issues.push('amount_mismatch');
+      if (Math.abs(row.fee - expectedFee) > SettlementReconciliationService.feeTolerance()) issues.push('fee_mismatch');
+
+      return {
+        payment: payment._id,
+        booking: payment.booking,
+        expectedAmount,
+        expectedFee,
+        issues,
+        status: issues.length ? 'mismatched' : 'matched'
+      };
+    }
+
+    if (row.type === 'refund') {
+      const refund = records.byRefundId.get(row.entityId);
+      if (!refund) return { status: 'missing', issues: ['missing'] };
+
+      const expectedAmount = toTwoDecimals(refund.amount - (refund.walletAmount || 0));
+      const issues = Math.abs(row.amount - expectedAmount) > AMOUNT_TOLERANCE ? ['amount_mismatch'] : [];
+
+      return {
+        refund: refund._id,
+        payment: refund.payment,
+        booking: refund.booking,
+        expectedAmount,
+        issues,
+        status: issues.length ? 'mismatched' : 'matched'
+      };
+    }
+
+    // Adjustments, transfers and settlement lines have nothing to match
+    return { status: 'ignored', issues: [] };
+  }
+
+  /**
+   * ==== IMPORT ====
+   */
+
+  /**
+   * Import a Razorpay report and reconcile every line
+   * @param {Object} params
+   * @param {string} params.csv - Report contents
+   * @param {string} [params.fileName]
+   * @param {string} [params.amountUnit='rupees']
+   * @param {Object} admin - Importing user
+   * @returns {Promise<Object>} The completed SettlementImport
+   */
+  static async importRazorpayReport({ csv, fileName, amountUnit = 'rupees' }, admin) {
+    if (!AMOUNT_UNITS.includes(amountUnit)) {
+      throw httpError(400, `amountUnit must be one of: ${AMOUNT_UNITS.join(', ')}`);
+    }
+
+    const { rows, errors } = SettlementReconciliationService.parseRazorpayReport(csv, { amountUnit });
+    if (rows.length === 0) throw httpError(400, 'Report has no readable lines');
+
+    const fileHash = crypto.createHash('sha256').update(csv).digest('hex');
+    const existing = await SettlementImport.findOne({ fileHash }).select('_id createdAt');
+    if (existing) {
+      throw httpError(409, `This file was already imported (import ${existing._id})`);
+    }
+
+    let settlementImport;
+    try {
+      settlementImport = await SettlementImport.create({
+        provider: PROVIDER,
+        fileName,
+        fileHash,
+        amountUnit,
+        importedBy: admin?._id,
+        rowErrors: errors,
+        counts: { rows: rows.length + errors.length, invalid: errors.length }
+      });
+    } catch (error) {
+      if (error.code === 11000) throw httpError(409, 'This file was already imported');
+      throw error;
+    }
+
+    try {
+      const records = await SettlementReconciliationService.loadRecords(rows);
+      const counts = settlementImport.counts;
+      const auditLogs = [];
+      const dates = new Set();
+
+      for (const row of rows) {
+        const match = SettlementReconciliationService.matchRow(row, records);
+        const transaction = await SettlementReconciliationService.saveTransaction(
+          settlementImport._id, row, match
+        );
+
+        if (row.settlementDate) dates.add(row.settlementDate.getTime());
+        if (transaction.status === 'matched') counts.matched++;
+        if (transaction.status === 'ignored') counts.ignored++;
+        for (const issue of transaction.issues) {
+          counts[COUNT_KEYS[issue]]++;
+          auditLogs.push(SettlementReconciliationService.buildAuditLog(settlementImport, row, transaction, issue, records));
+        }
+      }
+
+      if (auditLogs.length) await PaymentAuditLog.insertMany(auditLogs);
+
+      settlementImport.settlementDates = [...dates].sort((a, b) => a - b).map(time => new Date(time));
+      settlementImport.status = 'completed';
+      settlementImport.completedAt = new Date();
+      await settlementImport.save();
+
+      const issues = counts.missing + counts.duplicate + counts.amountMismatch + counts.feeMismatch;
+      console.log(`🧾 Settlement import ${settlementImport._id}: ${rows.length} line(s), ${counts.matched} matched, ${issues} issue(s)`);
+
+      return settlementImport;
+    } catch (error) {
+      settlementImport.status = 'failed';
+      settlementImport.failureReason = error.message;
+      await settlementImport.save().catch(() => {});
+      throw error;
+    }
+  }
+
+  // Store a report line. An entity already on record is stored as a duplicate.
+  static async saveTransaction(importId, row, match) {
+    const data = {
+      provider: PROVIDER,
+      settlementImport: importId,
+      line: row.line,
+      entityId: row.entityId,
+      type: row.type,
+      orderId: row.orderId,
+      paymentId: row.paymentId,
+      settlementId: row.settlementId,
+      settlementDate: row.settlementDate,
+      settlementUtr: row.settlementUtr,
+      amount: row.amount,
+      fee: row.fee,
+      tax: row.tax,
+      credit: row.credit,
+      debit: row.debit,
+      currency: row.currency,
+      ...match
+    };
+
+    try {
+      return await SettlementTransaction.create(data);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const original = await SettlementTransaction.findOne({
+        provider: PROVIDER,
+        type: row.type,
+        entityId: row.entityId,
+        isDuplicate: false
+      }).select('_id');
+
+      return SettlementTransaction.create({
+        ...data,
+        status: 'duplicate',
+        issues: ['duplicate'],
+        isDuplicate: true,
+        duplicateOf: original?._id
+      });
+    }
+  }
+
+  static buildAuditLog(settlementImport, row, transaction, issue, records) {
+    // Payment or refund the line matched (both carry guest and host)
+    const record = row.type === 'refund'
+      ? records.byRefundId.get(row.entityId)
+      : records.byPaymentId.get(row.entityId) || (row.orderId && records.byOrderId.get(row.orderId));
+
+    const reasons = {
+      missing: `${row.type} ${row.entityId} is in the settlement report but not in our records`,
+      duplicate: `${row.type} ${row.entityId} was already reported in an earlier settlement line`,
+      amount_mismatch: `Settled amount ${row.amount} differs from our amount ${transaction.expectedAmount}`,
+      fee_mismatch: `Gateway fee ${row.fee} differs from the expected fee ${transaction.expectedFee}`
+    };
+
+    return {
+      payment: transaction.payment,
+      booking: transaction.booking,
+      user: record ? record.user : undefined,
+      host: record ? record.host : undefined,
+      reconciliation: {
+        settlementImport: settlementImport._id,
+        provider: PROVIDER,
+        settlementId: row.settlementId,
+        settlementDate: row.settlementDate,
+        entityType: row.type,
+        entityId: row.entityId,
+        orderId: row.orderId,
+        line: row.line,
+        reportedAmount: row.amount,
+        expectedAmount: transaction.expectedAmount,
+        reportedFee: row.fee,
+        expectedFee: transaction.expectedFee
+      },
+      audit: {
+        action: ISSUE_ACTIONS[issue],
+        reason: reasons[issue],
+        severity: ISSUE_SEVERITY[issue]
+      }
+    };
+  }
+
+  /**
+   * ==== SUMMARY ====
+   */
+
+  /**
+   * Reconciliation summary per settlement date (IST) and settlement
+   * @param {Object} [filters]
+   * @param {Date} [filters.from]
+   * @param {Date} [filters.to]
+   * @param {string} [filters.settlementImport] - Limit to one import
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getSettlementSummary({ from, to, settlementImport } = {}) {
+    const query = { provider: PROVIDER };
+    if (settlementImport) query.settlementImport = settlementImport;
+    if (from || to) {
+      query.settlementDate = {};
+      if (from) query.settlementDate.$gte = from;
+      if (to) query.settlementDate.$lte = to;
+    }
+
+    const transactions = await SettlementTransaction.find(query)
+      .select('type settlementId settlementDate settlementUtr amount fee tax credit debit expectedAmount status issues')
+      .sort({ settlementDate: 1, line: 1 })
+      .lean();
+
+    const groups = new Map();
+    for (const transaction of transactions) {
+      const date = settlementDay(transaction.settlementDate);
+      const key = `${date}|${transaction.settlementId || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          settlementDate: date,
+          settlementId: transaction.settlementId || null,
+          settlementUtr: transaction.settlementUtr || null,
+          lines: 0,
+          payments: 0,
+          refunds: 0,
+          grossPayments: 0,
+          grossRefunds: 0,
+          expectedPayments: 0,
+          expectedRefunds: 0,
+          fees: 0,
+          tax: 0,
+          netSettled: 0,
+          matched: 0,
+          missing: 0,
+          duplicate: 0,
+          amountMismatch: 0,
+          feeMismatch: 0
+        });
+      }
+
+      const group = groups.get(key);
+      group.lines++;
+      if (transaction.type === 'payment') {
+        group.payments++;
+        group.grossPayments += transaction.amount;
+        group.expectedPayments += transaction.expectedAmount || 0;
+      } else if (transaction.type === 'refund') {
+        group.refunds++;
+        group.grossRefunds += transaction.amount;
+        group.expectedRefunds += transaction.expectedAmount || 0;
+      }
+      group.fees += transaction.fee;
+      group.tax += transaction.tax;
+      group.netSettled += transaction.credit - transaction.debit;
+      if (transaction.status === 'matched') group.matched++;
+      for (const issue of transaction.issues) group[COUNT_KEYS[issue]]++;
+    }
+
+    return [...groups.values()].map(group => ({
+      ...group,
+      grossPayments: toTwoDecimals(group.grossPayments),
+      grossRefunds: toTwoDecimals(group.grossRefunds),
+      expectedPayments: toTwoDecimals(group.expectedPayments),
+      expectedRefunds: toTwoDecimals(group.expectedRefunds),
+      fees: toTwoDecimals(group.fees),
+      tax: toTwoDecimals(group.tax),
+      netSettled: toTwoDecimals(group.netSettled)
+    }));
+  }
+
+  // Summary rows as a CSV for finance
+  static buildSummaryCsv(summary) {
+    const columns = [
+      ['Settlement Date', 'settlementDate'],
+      ['Settlement ID', 'settlementId'],
+      ['Settlement UTR', 'settlementUtr'],
+      ['Lines', 'lines'],
+      ['Payments', 'payments'],
+      ['Gross Payments', 'grossPayments'],
+      ['Expected Payments', 'expectedPayments'],
+      ['Refunds', 'refunds'],
+      ['Gross Refunds', 'grossRefunds'],
+      ['Expected Refunds', 'expectedRefunds'],
+      ['Fees', 'fees'],
+      ['Tax', 'tax'],
+      ['Net Settled', 'netSettled'],
+      ['Matched', 'matched'],
+      ['Missing', 'missing'],
+      ['Duplicate', 'duplicate'],
+      ['Amount Mismatch', 'amountMismatch'],
+      ['Fee Mismatch', 'feeMismatch']
+    ];
+
+    return toCsv([
+      columns.map(([label]) => label),
+      ...summary.map(group => columns.map(([, key]) => group[key]))
+    ]);
+  }
+}
+
+module.exports = SettlementReconciliationService;
@@ -0,0 +1,416 @@
+/**
+ * Wallet Service
+ * Store credit for guests. Refunds can be paid into the wallet, admins can
+ * issue goodwill credit (optionally expiring) and checkout can spend the
+ * balance alone or together with a gateway charge.
+ *
+ * Every change is a WalletTransaction with a unique key, written in the same
+ * MongoDB transaction as a version-checked update of the wallet, so a retried
+ * call is applied once and two concurrent debits cannot both spend the same
+ * balance. A change made in its own transaction is re-run against the new
+ * balance when it conflicts (up to WRITE_ATTEMPTS times); one made in the
+ * caller's session fails with 409 and the caller's transaction is aborted.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const Notification = require('../models/Notification');
+const LedgerService = require('./ledger.service');
+const { toTwoDecimals } = require('../utils/pricingUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CURRENCY = 'INR';
+// Times a change in its own transaction is tried when another write conflicts
+const WRITE_ATTEMPTS = 3;
+// Transaction sources the ledger posts on their own (the others are part of
+// a payment or refund entry)
+const LEDGER_SOURCES = ['goodwill', 'expiry', 'referral'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Unspent part of credits that have lapsed but not been swept yet
+const expiredRemaining = (wallet, now = new Date()) => toTwoDecimals(
+  (wallet?.expiringCredits || [])
+    .filter(lot => lot.expiresAt <= now)
+    .reduce((sum, lot) => sum + lot.remaining, 0)
+);
+
+class WalletService {
+  static async getWallet(userId, { session } = {}) {
+    return Wallet.findOne({ user: userId }).session(session || null);
+  }
+
+  static async getOrCreateWallet(userId, { currency = DEFAULT_CURRENCY, session } = {}) {
+    return Wallet.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId, currency: currency.toUpperCase() } },
+      { upsert: true, new: true, session }
+    );
+  }
+
+  /**
+   * Balance the guest can spend now (expired credits excluded)
+   * @param {Object} wallet - Wallet document (or null)
+   * @returns {number} Available balance
+   */
+  static getAvailableBalance(wallet, now = new Date()) {
+    if (!wallet) {
+      return 0;
+    }
+    return Math.max(0, toTwoDecimals(wallet.balance - expiredRemaining(wallet, now)));
+  }
+
+  /**
+   * Wallet as shown to its owner
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { balance, availableBalance, currency, expiringCredits }
+   */
+  static async getSummary(userId) {
+    const wallet = await this.getWallet(userId);
+    const now = new Date();
+
+    return {
+      walletId: wallet?._id || null,
+      currency: wallet?.currency || DEFAULT_CURRENCY,
+      balance: wallet ? toTwoDecimals(wallet.balance) : 0,
+      availableBalance: this.getAvailableBalance(wallet, now),
+      expiringCredits: (wallet?.expiringCredits || [])
+        .filter(lot => lot.expiresAt > now && lot.remaining > 0)
+        .sort((a, b) => a.expiresAt - b.expiresAt)
+        .map(lot => ({ amount: toTwoDecimals(lot.remaining), expiresAt: lot.expiresAt }))
+    };
+  }
+
+  /**
+   * Check that a checkout can spend this much from the wallet (the debit
+   * itself is checked again when it is written)
+   * @returns {Promise<Object>} Wallet
+   */
+  static async assertCanSpend(userId, amount, currency) {
+    const wallet = await this.getWallet(userId);
+    if (!wallet) {
+      throw httpError(400, 'Your wallet has no balance');
+    }
+    if (currency && wallet.currency !== currency.toUpperCase()) {
+      throw httpError(400, `Wallet balance is in ${wallet.currency} and cannot be used for a ${currency.toUpperCase()} payment`);
+    }
+    const available = this.getAvailableBalance(wallet);
+    if (toTwoDecimals(amount) > available) {
+      throw httpError(400, `Insufficient wallet balance. Available: ${available} ${wallet.currency}`);
+    }
+    return wallet;
+  }
+
+  /**
+   * ==== APPLY A TRANSACTION ====
+   * Runs in the caller's session when given one (so the debit commits or
+   * aborts with the booking), otherwise in its own transaction, which is
+   * re-run against the new balance if another write conflicts with it.
+   * @param {string} userId - Wallet owner
+   * @param {Object} entry - { type, source, amount, currency, key, expiresAt, booking, payment, refund, description, createdBy }
+   * @param {Object} [options] - { session }
+   * @returns {Promise<Object|null>} Transaction (the existing one for a repeated key)
+   */
+  static async applyTransaction(userId, entry, { session } = {}) {
+    if (session) {
+      return this.writeTransaction(userId, entry, session);
+    }
+
+    let transaction = null;
+    for (let attempt = 1; ; attempt++) {
+      const ownSession = await mongoose.startSession();
+      try {
+        await ownSession.withTransaction(async () => {
+          transaction = await this.writeTransaction(userId, entry, ownSession);
+        });
+        break;
+      } catch (error) {
+        if (error.statusCode !== 409 || attempt >= WRITE_ATTEMPTS) {
+          throw error;
+        }
+        console.log(`🔁 Wallet write conflict for user ${userId}, retrying (attempt ${attempt + 1})`);
+      } finally {
+        await ownSession.endSession();
+      }
+    }
+
+    if (transaction && LEDGER_SOURCES.includes(transaction.source)) {
+      await LedgerService.queueWalletTransaction(transaction._id);
+    }
+    return transaction;
+  }
+
+  static async writeTransaction(userId, entry, session) {
+    const { type, source, currency } = entry;
+    const now = new Date();
+
+    if (entry.key) {
+      const existing = await WalletTransaction.findOne({ key: entry.key }).session(session);
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const wallet = type === 'credit'
+      ? await this.getOrCreateWallet(userId, { currency: currency || DEFAULT_CURRENCY, session })
+      : await this.getWallet(userId, { session });
+    if (!wallet) {
+      throw httpError(400, 'Your wallet has no balance');
+    }
+    if (currency && wallet.currency !== currency.toUpperCase()) {
+      throw httpError(400, `Wallet is in ${wallet.currency}; ${currency.toUpperCase()} amounts cannot be applied to it`);
+    }
+
+    const transactionId = new mongoose.Types.ObjectId();
+    let lots = (wallet.expiringCredits || []).map(lot => lot.toObject());
+    let amount;
+
+    if (source === 'expiry') {
+      // Sweep whatever has lapsed
+      amount = expiredRemaining(wallet, now);
+      if (amount <= 0) {
+        return null;
+      }
+      lots = lots.filter(lot => lot.expiresAt > now);
+    } else {
+      amount = toTwoDecimals(entry.amount);
+      if (!(amount > 0)) {
+        throw httpError(400, 'Amount must be greater than zero');
+      }
+    }
+
+    let balance;
+    if (type === 'credit') {
+      balance = toTwoDecimals(wallet.balance + amount);
+      if (entry.expiresAt) {
+        lots.push({ transaction: transactionId, amount, remaining: amount, expiresAt: new Date(entry.expiresAt) });
+      }
+    } else {
+      if (source !== 'expiry') {
+        const available = this.getAvailableBalance(wallet, now);
+        if (amount > available) {
+          throw httpError(400, `Insufficient wallet balance. Available: ${available} ${wallet.currency}`);
+        }
+        // Spend the credits that lapse soonest first
+        let toConsume = amount;
+        lots.sort((a, b) => a.expiresAt - b.expiresAt);
+        for (const lot of lots) {
+          if (toConsume <= 0) break;
+          if (lot.expiresAt <= now) continue;
+          const used = Math.min(lot.remaining, toConsume);
+          lot.remaining = toTwoDecimals(lot.remaining - used);
+          toConsume = toTwoDecimals(toConsume - used);
+        }
+      }
+      balance = toTwoDecimals(wallet.balance - amount);
+    }
+
+    const updated = await Wallet.findOneAndUpdate(
+      { _id: wallet._id, version: wallet.version },
+      {
+        $set: { balance, expiringCredits: lots.filter(lot => lot.remaining > 0) },
+        $inc: { version: 1 }
+      },
+      { new: true, session }
+    );
+    if (!updated) {
+      // Another write got in between the read and the update
+      throw httpError(409, 'Wallet was updated at the same time, please try again');
+    }
+
+    const [transaction] = await WalletTransaction.create([{
+      _id: transactionId,
+      wallet: wallet._id,
+      user: userId,
+      type,
+      source,
+      amount,
+      currency: wallet.currency,
+      balanceAfter: balance,
+      expiresAt: type === 'credit' ? entry.expiresAt : undefined,
+      booking: entry.booking,
+      payment: entry.payment,
+      refund: entry.refund,
+      description: entry.description,
+      createdBy: entry.createdBy,
+      key: entry.key || `${source}:${wallet._id}:${wallet.version}`
+    }], { session });
+
+    console.log(`👛 Wallet ${type} ${source} ${amount} ${wallet.currency} for user ${userId} (balance ${balance})`);
+    return transaction;
+  }
+
+  /**
+   * Pay for a booking from the wallet, inside the checkout transaction
+   */
+  static debitForBooking(userId, { amount, currency, bookingId, paymentId }, session) {
+    return this.applyTransaction(userId, {
+      type: 'debit',
+      source: 'booking_payment',
+      amount,
+      currency,
+      booking: bookingId,
+      payment: paymentId,
+      description: 'Booking payment',
+      key: `booking:${bookingId}:payment`
+    }, { session });
+  }
+
+  /**
+   * Pay a refund's wallet share into the guest's wallet (once per refund)
+   * @param {Object} refund - Refund document
+   * @returns {Promise<Object|null>} Transaction, or null when nothing goes to the wallet
+   */
+  static async creditRefund(refund) {
+    const amount = toTwoDecimals(refund.walletAmount || 0);
+    if (amount <= 0) {
+      return null;
+    }
+    const existing = await WalletTransaction.findOne({ key: `refund:${refund._id}` });
+    if (existing) {
+      return existing;
+    }
+
+    const transaction = await this.applyTransaction(refund.user?._id || refund.user, {
+      type: 'credit',
+      source: 'refund',
+      amount,
+      currency: refund.currency || DEFAULT_CURRENCY,
+      booking: refund.booking?._id || refund.booking,
+      payment: refund.payment?._id || refund.payment,
+      refund: refund._id,
+      description: `Refund ${refund.refundReference || refund._id}`,
+      key: `refund:${refund._id}`
+    });
+
+    await this.notify(
+      refund.user?._id || refund.user,
+      'Refund added to your wallet',
+      `${amount} ${transaction.currency} from refund ${refund.refundReference || refund._id} is now in your wallet.`
+    );
+    return transaction;
+  }
+
+  /**
+   * ==== GOODWILL CREDIT (ADMIN) ====
+   * @param {string} userId - Guest
+   * @param {Object} data - { amount, currency, description, expiresAt, expiresInDays }
+   * @param {Object} admin - Issuing admin
+   * @returns {Promise<Object>} Transaction
+   */
+  static async issueGoodwill(userId, { amount, currency, description, expiresAt, expiresInDays }, admin) {
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else if (expiresInDays) {
+      expiry = new Date(Date.now() + Number(expiresInDays) * DAY_MS);
+    }
+    if (expiry && (isNaN(expiry) || expiry <= new Date())) {
+      throw httpError(400, 'Expiry must be in the future');
+    }
+
+    const transaction = await this.applyTransaction(userId, {
+      type: 'credit',
+      source: 'goodwill',
+      amount,
+      currency,
+      expiresAt: expiry || undefined,
+      description: description || 'Goodwill credit',
+      createdBy: admin?._id,
+      key: `goodwill:${crypto.randomUUID()}`
+    });
+
+    const expiryNote = expiry
+      ? ` It expires on ${expiry.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}.`
+      : '';
+    await this.notify(
+      userId,
+      'Credit added to your wallet',
+      `${transaction.amount} ${transaction.currency} has been added to your wallet.${expiryNote}`
+    );
+    return transaction;
+  }
+
+  /**
+   * ==== EXPIRE CREDITS ====
+   * Sweep lapsed goodwill credit out of wallets (the 'expire-wallet-credits' job)
+   * @returns {Promise<Object>} { checked, expired }
+   */
+  static async expireCredits() {
+    const wallets = await Wallet.find({ 'expiringCredits.expiresAt': { $lte: new Date() } })
+      .select('_id user')
+      .limit(100);
+
+    let expired = 0;
+    for (const wallet of wallets) {
+      try {
+        const transaction = await this.applyTransaction(wallet.user, {
+          type: 'debit',
+          source: 'expiry',
+          description: 'Expired credit'
+        });
+        if (transaction) expired++;
+      } catch (error) {
+        console.error(`❌ Failed to expire credits in wallet ${wallet._id}:`, error.message);
+      }
+    }
+
+    if (wallets.length > 0) {
+      console.log(`⏰ Expired credits in ${expired} of ${wallets.length} wallet(s)`);
+    }
+    return { checked: wallets.length, expired };
+  }
+
+  /**
+   * Transaction history, newest first
+   * @param {string} userId - Wallet owner
+   * @param {Object} options - { page, limit, type, source }
+   * @returns {Promise<Object>} { transactions, pagination }
+   */
+  static async getTransactions(userId, { page = 1, limit = 20, type, source } = {}) {
+    const query = { user: userId };
+    if (type) query.type = type;
+    if (source) query.source = source;
+
+    const [transactions, total] = await Promise.all([
+      WalletTransaction.find(query)
+        .populate('booking', 'receiptId')
+        .populate('refund', 'refundReference')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WalletTransaction.countDocuments(query)
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async notify(userId, title, message) {
+    try {
+      await Notification.create({
+        user: userId,
+        type: 'payment',
+        title,
+        message
+      });
+    } catch (error) {
+      console.error('❌ Failed to send wallet notification:', error.message);
+    }
+  }
+}
+
+module.exports = WalletService;
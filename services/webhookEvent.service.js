@@ -0,0 +1,264 @@
+/**
+ * Webhook Event Service
+ * Every gateway webhook is stored before it is applied, with its raw payload,
+ * headers, signature result and processing outcome.
+ *   - A redelivered event (same provider and event ID) is recorded as a
+ *     duplicate and not applied again.
+ *   - An event whose processing fails is retried from the store with
+ *     exponential backoff (retry-webhook-events job).
+ *   - Admins can inspect any event and replay it.
+ */
+
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const PaymentGatewayService = require('./paymentGateway.service');
+const { getProvider } = require('./paymentProviders');
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BACKOFF_MS = 60 * 1000;
+const MAX_RETRY_BACKOFF_MS = 60 * 60 * 1000;
+// A 'processing' event older than this was abandoned (crashed instance)
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const REJECTED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// Headers that are never stored
+const PRIVATE_HEADERS = ['authorization', 'cookie'];
+
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeHeaders = (headers = {}) => Object.fromEntries(
+  Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), value])
+    .filter(([name]) => !PRIVATE_HEADERS.includes(name))
+);
+
+class WebhookEventService {
+  /**
+   * ==== RECEIVE A WEBHOOK ====
+   * Verify and store the event, then apply it unless it was seen before.
+   * Processing errors are recorded on the event (and retried) rather than
+   * thrown, so the gateway is not asked to redeliver.
+   * @param {string} providerName - Provider from the webhook URL
+   * @param {string} rawBody - Body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} { webhookEvent, duplicate }
+   */
+  static async receive(providerName, rawBody, headers = {}) {
+    const provider = getProvider(providerName, { requireConfigured: false });
+    const storedHeaders = normalizeHeaders(headers);
+    const payloadHash = `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+
+    if (!(await provider.verifyWebhook(rawBody, storedHeaders))) {
+      await this.recordRejected(provider.name, payloadHash, rawBody, storedHeaders, 'Invalid webhook signature');
+      throw httpError(400, 'Invalid webhook signature');
+    }
+
+    let event;
+    try {
+      event = provider.parseWebhook(rawBody, storedHeaders);
+    } catch (error) {
+      await this.recordRejected(provider.name, payloadHash, rawBody, storedHeaders, `Invalid webhook payload: ${error.message}`);
+      throw httpError(400, 'Invalid webhook payload');
+    }
+
+    const eventId = event.id || payloadHash;
+
+    console.log(`🔒 ${provider.name} webhook received:`, {
+      timestamp: new Date().toISOString(),
+      id: eventId,
+      event: event.gatewayEvent,
+      type: event.type
+    });
+
+    let webhookEvent;
+    try {
+      webhookEvent = await WebhookEvent.create({
+        provider: provider.name,
+        eventId,
+        eventType: event.type,
+        gatewayEvent: event.gatewayEvent,
+        payload: rawBody,
+        headers: storedHeaders,
+        signatureValid: true,
+        status: 'processing',
+        attempts: 1,
+        lockedAt: new Date()
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const existing = await WebhookEvent.findOneAndUpdate(
+        { provider: provider.name, eventId, signatureValid: true },
+        { $inc: { duplicateCount: 1 }, $set: { lastDuplicateAt: new Date() } },
+        { new: true }
+      );
+      console.log(`🔁 Duplicate ${provider.name} webhook ${eventId} ignored (${existing?.status})`);
+      return { webhookEvent: existing, duplicate: true };
+    }
+
+    return { webhookEvent: await this.process(webhookEvent, event), duplicate: false };
+  }
+
+  static async recordRejected(provider, eventId, rawBody, headers, reason) {
+    console.error(`❌ ${provider} webhook rejected: ${reason}`);
+    try {
+      await WebhookEvent.create({
+        provider,
+        eventId,
+        payload: rawBody,
+        headers,
+        signatureValid: false,
+        status: 'rejected',
+        lastError: reason,
+        expiresAt: new Date(Date.now() + REJECTED_RETENTION_MS)
+      });
+    } catch (error) {
+      console.error('❌ Failed to store rejected webhook:', error.message);
+    }
+  }
+
+  /**
+   * Apply a claimed ('processing') event and record the outcome
+   * @param {Object} webhookEvent - WebhookEvent document
+   * @param {Object} event - Parsed event (parsed from the stored payload if omitted)
+   * @returns {Promise<Object>} Updated WebhookEvent
+   */
+  static async process(webhookEvent, event = null) {
+    let update;
+    try {
+      const parsed = event || getProvider(webhookEvent.provider, { requireConfigured: false })
+        .parseWebhook(webhookEvent.payload, webhookEvent.headers || {});
+
+      await PaymentGatewayService.applyEvent(parsed);
+
+      update = {
+        $set: {
+          status: parsed.type === 'ignored' ? 'ignored' : 'processed',
+          processedAt: new Date()
+        },
+        $unset: { lastError: 1, nextRetryAt: 1, lockedAt: 1 }
+      };
+    } catch (error) {
+      const canRetry = webhookEvent.attempts < MAX_ATTEMPTS;
+      const delay = Math.min(MAX_RETRY_BACKOFF_MS, RETRY_BACKOFF_MS * Math.pow(2, webhookEvent.attempts - 1));
+
+      console.error(`❌ ${webhookEvent.provider} webhook ${webhookEvent.eventId} failed (attempt ${webhookEvent.attempts}):`, error.message);
+
+      update = {
+        $set: { status: 'failed', lastError: error.message },
+        $unset: { lockedAt: 1 }
+      };
+      if (canRetry) {
+        update.$set.nextRetryAt = new Date(Date.now() + delay);
+      } else {
+        update.$unset.nextRetryAt = 1;
+      }
+    }
+
+    return WebhookEvent.findByIdAndUpdate(webhookEvent._id, update, { new: true });
+  }
+
+  /**
+   * Claim an event for processing (one instance at a time)
+   * @param {Object} filter - Extra conditions the event must meet
+   */
+  static claim(id, filter = {}) {
+    return WebhookEvent.findOneAndUpdate(
+      { _id: id, signatureValid: true, ...filter },
+      { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+
+  static retryableFilter(now = new Date()) {
+    return {
+      $or: [
+        { status: 'failed', nextRetryAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    };
+  }
+
+  /**
+   * ==== RETRY FAILED EVENTS ====
+   * Reprocess failed events whose backoff has passed, and events left
+   * 'processing' by a crashed instance.
+   * @param {number} limit - Max events per run
+   * @returns {Promise<Object>} { retried, processed, failed }
+   */
+  static async retryDueEvents(limit = 50) {
+    const now = new Date();
+    const due = await WebhookEvent.find({ signatureValid: true, ...this.retryableFilter(now) })
+      .select('_id')
+      .sort({ nextRetryAt: 1 })
+      .limit(limit);
+
+    const result = { retried: 0, processed: 0, failed: 0 };
+    for (const { _id } of due) {
+      const claimed = await this.claim(_id, this.retryableFilter(now));
+      if (!claimed) {
+        continue; // picked up by another instance
+      }
+
+      result.retried += 1;
+      const outcome = await this.process(claimed);
+      if (outcome.status === 'failed') {
+        result.failed += 1;
+      } else {
+        result.processed += 1;
+      }
+    }
+
+    if (result.retried) {
+      console.log(`🔁 Webhook retries: ${result.processed} processed, ${result.failed} failed`);
+    }
+    return result;
+  }
+
+  /**
+   * Replay a stored event on an admin's request, whatever its status
+   * @param {string} id - WebhookEvent ID
+   * @param {Object} admin - Admin user
+   * @returns {Promise<Object>} Updated WebhookEvent
+   */
+  static async replay(id, admin) {
+    const webhookEvent = await WebhookEvent.findById(id);
+    if (!webhookEvent) {
+      throw httpError(404, 'Webhook event not found');
+    }
+    if (!webhookEvent.signatureValid) {
+      throw httpError(400, 'Rejected webhooks cannot be replayed');
+    }
+
+    const claimed = await this.claim(id, {
+      $or: [
+        { status: { $ne: 'processing' } },
+        { lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } }
+      ]
+    });
+    if (!claimed) {
+      throw httpError(409, 'Webhook event is being processed');
+    }
+
+    const outcome = await this.process(claimed);
+    console.log(`🔁 Webhook ${outcome.provider}/${outcome.eventId} replayed by ${admin.email}: ${outcome.status}`);
+
+    return WebhookEvent.findByIdAndUpdate(id, {
+      $push: {
+        replays: {
+          replayedBy: admin._id,
+          replayedAt: new Date(),
+          status: outcome.status,
+          error: outcome.status === 'failed' ? outcome.lastError : undefined
+        }
+      }
+    }, { new: true });
+  }
+}
+
+module.exports = WebhookEventService;
@@ -0,0 +1,138 @@
+const PDFDocument = require('pdfkit');
+
+// Standard PDF fonts have no ₹ glyph, so amounts are printed as plain numbers in INR
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const COLUMNS = [
+  { key: 'description', label: 'Description', width: 150 },
+  { key: 'sacCode', label: 'SAC', width: 50 },
+  { key: 'taxableValue', label: 'Taxable', width: 70, amount: true },
+  { key: 'gstRate', label: 'Rate %', width: 40, amount: true },
+  { key: 'cgstAmount', label: 'CGST', width: 55, amount: true },
+  { key: 'sgstAmount', label: 'SGST', width: 55, amount: true },
+  { key: 'igstAmount', label: 'IGST', width: 55, amount: true },
+  { key: 'totalAmount', label: 'Total', width: 70, amount: true }
+];
+
+const writeParty = (doc, heading, party, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(9).text(heading, x, y, { width });
+  doc.font('Helvetica').fontSize(9);
+  doc.text(party?.legalName || party?.name || '-', { width });
+  if (party?.address) {
+    doc.text(party.address, { width });
+  }
+  if (party?.stateName) {
+    doc.text(`State: ${party.stateName} (${party.stateCode})`, { width });
+  }
+  doc.text(`GSTIN: ${party?.gstin || 'Unregistered'}`, { width });
+  return doc.y;
+};
+
+/**
+ * Render a tax invoice or credit note as a PDF
+ * @param {Object} invoice - Invoice document (originalInvoice populated for credit notes)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const generateInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const contentWidth = doc.page.width - left - doc.page.margins.right;
+  const isCreditNote = invoice.documentType === 'credit_note';
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(16)
+    .text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', left, 40, { width: contentWidth, align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(9);
+  doc.text(`${isCreditNote ? 'Credit note' : 'Invoice'} No: ${invoice.invoiceNumber}`);
+  doc.text(`Date: ${formatDate(invoice.issuedAt)}`);
+  if (isCreditNote && invoice.originalInvoice?.invoiceNumber) {
+    doc.text(`Against invoice: ${invoice.originalInvoice.invoiceNumber} dated ${formatDate(invoice.originalInvoice.issuedAt)}`);
+  }
+  doc.text(`Place of supply: ${invoice.placeOfSupply?.stateName || '-'} (${invoice.placeOfSupply?.stateCode || '-'})`);
+  doc.text(`Reverse charge: ${invoice.reverseCharge ? 'Yes' : 'No'}`);
+  doc.text(`Booking: ${invoice.booking?._id || invoice.booking}`);
+
+  // Supplier / recipient
+  const partyTop = doc.y + 12;
+  const halfWidth = contentWidth / 2 - 10;
+  const supplierBottom = writeParty(doc, 'Supplier', invoice.supplier, left, partyTop, halfWidth);
+  const recipientBottom = writeParty(doc, 'Bill to', invoice.recipient, left + contentWidth / 2 + 10, partyTop, halfWidth);
+  let y = Math.max(supplierBottom, recipientBottom) + 16;
+
+  // Line items
+  const drawRow = (row, bold = false) => {
+    let x = left;
+    const heights = COLUMNS.map(column => {
+      const value = row[column.key];
+      return doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+        .heightOfString(String(value ?? ''), { width: column.width - 4 });
+    });
+    COLUMNS.forEach(column => {
+      const value = row[column.key];
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).text(
+        column.amount && typeof value === 'number' ? formatAmount(value) : String(value ?? ''),
+        x + 2,
+        y,
+        { width: column.width - 4, align: column.amount ? 'right' : 'left' }
+      );
+      x += column.width;
+    });
+    y += Math.max(...heights) + 6;
+    doc.moveTo(left, y - 3).lineTo(left + contentWidth, y - 3).lineWidth(0.5).strokeColor('#cccccc').stroke();
+  };
+
+  drawRow(Object.fromEntries(COLUMNS.map(column => [column.key, column.label])), true);
+  invoice.lineItems.forEach(line => drawRow(line));
+
+  // Totals
+  y += 8;
+  const totals = [
+    ['Taxable value', invoice.totals.taxableValue],
+    ...(invoice.supplyType === 'intra_state'
+      ? [['CGST', invoice.totals.cgstAmount], ['SGST', invoice.totals.sgstAmount]]
+      : [['IGST', invoice.totals.igstAmount]]),
+    [`${isCreditNote ? 'Total credit' : 'Invoice total'} (INR)`, invoice.totals.grandTotal]
+  ];
+  totals.forEach(([label, value], index) => {
+    const bold = index === totals.length - 1;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, left + contentWidth - 240, y, { width: 150, align: 'right' });
+    doc.text(formatAmount(value), left + contentWidth - 90, y, { width: 90, align: 'right' });
+    y += 14;
+  });
+
+  // Notes
+  const notes = [...(invoice.notes || [])];
+  if (invoice.conversion?.currency) {
+    notes.push(`Amounts converted from ${invoice.conversion.currency} at 1 ${invoice.conversion.currency} = ${invoice.conversion.rate} INR`);
+  }
+  if (notes.length > 0) {
+    doc.font('Helvetica').fontSize(8).fillColor('#444444');
+    doc.text(notes.join('\n'), left, y + 12, { width: contentWidth });
+    doc.fillColor('black');
+  }
+
+  doc.fontSize(8).text('This is a computer generated document and does not require a signature.', left, doc.page.height - 70, {
+    width: contentWidth,
+    align: 'center'
+  });
+
+  doc.end();
+});
+
+module.exports = generateInvoicePdf;
@@ -66,6 +66,27 @@ const generateReceipt = (booking, payment = null) => {
       currency: booking.currency || 'INR'
     },
 
+    // Guest/host currency amounts at the rates locked when the booking was made
+    currencyConversion: booking.exchange?.guestRate ? {
+      guestCurrency: booking.exchange.guestCurrency,
+      guestRate: booking.exchange.guestRate,
+      guestTotalAmount: booking.exchange.guestTotalAmount,
+      hostCurrency: booking.exchange.hostCurrency,
+      hostRate: booking.exchange.hostRate,
+      hostEarningAmount: booking.exchange.hostEarningAmount,
+      lockedAt: booking.exchange.lockedAt
+    } : null,
+
+    // Deposit paid at booking and the balance due before check-in
+    paymentPlan: booking.paymentPlan?.enabled ? {
+      status: booking.paymentPlan.status,
+      depositAmount: booking.paymentPlan.depositAmount,
+      amountPaid: booking.paymentPlan.amountPaid,
+      balanceDue: booking.paymentPlan.status === 'awaiting_balance' ? booking.paymentPlan.balanceAmount : 0,
+      balanceDueDate: booking.paymentPlan.balanceDueDate ? formatDate(booking.paymentPlan.balanceDueDate) : null,
+      balancePaidAt: booking.paymentPlan.balancePaidAt ? formatDate(booking.paymentPlan.balancePaidAt) : null
+    } : null,
+
     // Commission Breakdown (for hosts)
     commissionBreakdown: {
       hostEarning: booking.hostFee || 0,
@@ -223,8 +244,40 @@ const generateReceiptHTML = (receipt) => {
             <span class="label">Total Amount:</span>
             <span class="value">${formatCurrency(receipt.paymentBreakdown.totalAmount, receipt.paymentBreakdown.currency)}</span>
           </div>
+          ${receipt.currencyConversion && receipt.currencyConversion.guestCurrency !== receipt.paymentBreakdown.currency ? `
+          <div class="row">
+            <span class="label">Charged in ${receipt.currencyConversion.guestCurrency} (1 ${receipt.paymentBreakdown.currency} = ${receipt.currencyConversion.guestRate} ${receipt.currencyConversion.guestCurrency}):</span>
+            <span class="value">${formatCurrency(receipt.currencyConversion.guestTotalAmount, receipt.currencyConversion.guestCurrency)}</span>
+          </div>
+          ` : ''}
         </div>
 
+        ${receipt.paymentPlan ? `
+        <div class="section">
+          <div class="section-title">Payment Plan</div>
+          <div class="row">
+            <span class="label">Deposit:</span>
+            <span class="value">${formatCurrency(receipt.paymentPlan.depositAmount, receipt.paymentBreakdown.currency)}</span>
+          </div>
+          <div class="row">
+            <span class="label">Paid So Far:</span>
+            <span class="value">${formatCurrency(receipt.paymentPlan.amountPaid, receipt.paymentBreakdown.currency)}</span>
+          </div>
+          ${receipt.paymentPlan.balanceDue > 0 ? `
+          <div class="row">
+            <span class="label">Balance Due by ${receipt.paymentPlan.balanceDueDate}:</span>
+            <span class="value" style="color: #f59e0b;">${formatCurrency(receipt.paymentPlan.balanceDue, receipt.paymentBreakdown.currency)}</span>
+          </div>
+          ` : ''}
+          ${receipt.paymentPlan.balancePaidAt ? `
+          <div class="row">
+            <span class="label">Balance Paid:</span>
+            <span class="value">${receipt.paymentPlan.balancePaidAt}</span>
+          </div>
+          ` : ''}
+        </div>
+        ` : ''}
+
         ${receipt.commissionBreakdown.hostEarning > 0 ? `
         <div class="section">
           <div class="section-title">Host Earning</div>
@@ -63,9 +63,15 @@ const generatePasswordResetToken = (userId) => {
 };
 
 // Generate two-factor authentication token
-const generate2FAToken = (userId) => {
+// Issued after a correct password; exchanged for a real access token once the
+// TOTP/backup code is verified. `accountType` is 'user' or 'admin', `purpose` is
+// 'login' or 'enroll' (admin forced to set up 2FA before first access).
+const generate2FAToken = (userId, { accountType = 'user', purpose = 'login', challengeId } = {}) => {
   const payload = {
     userId,
+    accountType,
+    purpose,
+    challengeId,
     type: '2fa'
   };
   return generateJWTToken(payload, '5m'); // 5 minutes
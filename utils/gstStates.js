@@ -0,0 +1,95 @@
+/**
+ * GST state codes (first two digits of a GSTIN) and lookups by state name.
+ */
+
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Common alternative spellings seen in addresses
+const STATE_ALIASES = {
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'orissa': '21',
+  'pondicherry': '34',
+  'j&k': '01',
+  'jammu & kashmir': '01',
+  'andaman & nicobar islands': '35',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'uttaranchal': '05'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * GST state code for a state name or code
+ * @param {string} state - State name ("Karnataka") or code ("29")
+ * @returns {string|null}
+ */
+const getStateCode = (state) => {
+  if (!state) {
+    return null;
+  }
+
+  const value = String(state).trim();
+  if (/^\d{1,2}$/.test(value)) {
+    const code = value.padStart(2, '0');
+    return GST_STATES[code] ? code : null;
+  }
+
+  const name = normalizeName(value);
+  if (STATE_ALIASES[name]) {
+    return STATE_ALIASES[name];
+  }
+  return Object.keys(GST_STATES).find(code => normalizeName(GST_STATES[code]) === name) || null;
+};
+
+const getStateName = (code) => GST_STATES[code] || null;
+
+const isValidGstin = (gstin) => GSTIN_PATTERN.test(String(gstin || '')) && Boolean(GST_STATES[gstin.slice(0, 2)]);
+
+module.exports = {
+  GST_STATES,
+  GSTIN_PATTERN,
+  getStateCode,
+  getStateName,
+  isValidGstin
+};
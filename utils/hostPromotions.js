@@ -0,0 +1,114 @@
+/**
+ * Host Promotions
+ * Works out the discount a host promotion gives a stay. Pure functions:
+ * promotions are loaded by the caller. At most one promotion applies to a
+ * booking - the one with the largest discount.
+ */
+
+function toTwoDecimals(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+/**
+ * Share of the stay's price that falls inside the promotion's stay window
+ * @param {Object} promotion - HostPromotion (plain object)
+ * @param {Object} stay - { checkIn, nights, nightlyBreakdown }
+ * @returns {number} 0..1
+ */
+function getEligibleShare(promotion, stay) {
+  if (!promotion.stayStartDate && !promotion.stayEndDate) {
+    return 1;
+  }
+
+  const from = promotion.stayStartDate ? startOfDay(promotion.stayStartDate) : null;
+  const to = promotion.stayEndDate ? startOfDay(promotion.stayEndDate) : null;
+  const inWindow = (date) => {
+    const night = startOfDay(date);
+    return (!from || night >= from) && (!to || night <= to);
+  };
+
+  // Weight nights by their price when host pricing rules have run
+  if (Array.isArray(stay.nightlyBreakdown) && stay.nightlyBreakdown.length > 0) {
+    const total = stay.nightlyBreakdown.reduce((sum, night) => sum + night.price, 0);
+    if (total <= 0) return 0;
+    const eligible = stay.nightlyBreakdown
+      .filter(night => inWindow(night.date))
+      .reduce((sum, night) => sum + night.price, 0);
+    return eligible / total;
+  }
+
+  if (!stay.checkIn || !(stay.nights > 0)) {
+    return 0;
+  }
+  const firstNight = startOfDay(stay.checkIn);
+  let eligibleNights = 0;
+  for (let i = 0; i < stay.nights; i++) {
+    if (inWindow(new Date(firstNight.getFullYear(), firstNight.getMonth(), firstNight.getDate() + i))) eligibleNights++;
+  }
+  return eligibleNights / stay.nights;
+}
+
+/**
+ * Discount one promotion gives a stay
+ * @param {Object} promotion - HostPromotion (plain object)
+ * @param {Object} stay - { baseAmount, checkIn, nights, nightlyBreakdown }
+ * @returns {number} Discount (0 when the promotion does not apply)
+ */
+function calculatePromotionDiscount(promotion, stay) {
+  if (promotion.minNights && stay.nights < promotion.minNights) {
+    return 0;
+  }
+
+  const discountable = stay.baseAmount * getEligibleShare(promotion, stay);
+  if (discountable <= 0) {
+    return 0;
+  }
+
+  let discount = promotion.discountType === 'percentage'
+    ? discountable * promotion.discountValue / 100
+    : promotion.discountValue;
+  if (promotion.discountType === 'percentage' && promotion.maxDiscount) {
+    discount = Math.min(discount, promotion.maxDiscount);
+  }
+  // Never more than the discounted nights, or than what is left of the budget
+  discount = Math.min(discount, discountable);
+  if (promotion.budget !== undefined && promotion.budget !== null) {
+    discount = Math.min(discount, Math.max(0, promotion.budget - (promotion.spent || 0)));
+  }
+
+  return toTwoDecimals(Math.max(0, discount));
+}
+
+/**
+ * Pick the promotion with the largest discount for a stay
+ * @param {Array} promotions - Active promotions for the property
+ * @param {Object} stay - { baseAmount, checkIn, nights, nightlyBreakdown }
+ * @returns {Object|null} { promotion, name, discountType, discountValue, discountAmount }
+ */
+function pickBestPromotion(promotions = [], stay) {
+  let best = null;
+  for (const promotion of promotions) {
+    const discountAmount = calculatePromotionDiscount(promotion, stay);
+    if (discountAmount > 0 && (!best || discountAmount > best.discountAmount)) {
+      best = {
+        promotion: promotion._id,
+        name: promotion.name,
+        discountType: promotion.discountType,
+        discountValue: promotion.discountValue,
+        discountAmount
+      };
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  getEligibleShare,
+  calculatePromotionDiscount,
+  pickBestPromotion
+};
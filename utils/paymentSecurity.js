@@ -60,7 +60,10 @@ async function verifyPaymentAmount(paymentData, bookingData) {
     extraGuests: bookingData.extraGuests,
     hourlyExtension: bookingData.hourlyExtension,
     discountAmount: bookingData.discountAmount,
-    currency: bookingData.currency
+    currency: bookingData.currency,
+    nightlyRates: bookingData.nightlyBreakdown,
+    hostPromotion: bookingData.hostPromotion,
+    pricingConfigVersion: bookingData.pricingConfigVersion
   });
   
   // Verify total amount
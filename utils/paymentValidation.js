@@ -97,7 +97,11 @@ async function validateBookingPricing(booking) {
     extraGuests: booking.guests?.adults > 1 ? booking.guests.adults - 1 : 0,
     hourlyExtension: booking.hourlyExtension?.cost || 0,
     discountAmount: booking.discountAmount || 0,
-    currency: booking.currency || 'INR'
+    currency: booking.currency || 'INR',
+    // Nightly prices, host promotion and fee config locked in at booking time
+    nightlyRates: booking.pricingBreakdown?.nightlyBreakdown,
+    hostPromotion: booking.pricingBreakdown?.hostPromotion,
+    pricingConfigVersion: booking.pricingConfigVersion
   };
   
   const calculatedPricing = await calculatePricingBreakdown(pricingParams);
@@ -0,0 +1,160 @@
+/**
+ * Dynamic Pricing Rules
+ * Applies host pricing rules (seasonal, day-of-week, last-minute, early-bird,
+ * length-of-stay) night by night. Pure functions: rules are loaded by the caller.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order in which rule types are applied to each night. At most one rule of
+// each type applies per night (highest priority, then most recently updated),
+// and adjustments compound in this order.
+const RULE_APPLICATION_ORDER = ['seasonal', 'day_of_week', 'last_minute', 'early_bird', 'length_of_stay'];
+
+function toTwoDecimals(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+/**
+ * Whole days between booking and check-in
+ * @param {Date} checkIn - Check-in date
+ * @param {Date} bookedAt - When the booking is made
+ * @returns {number} Lead time in days (never negative)
+ */
+function getLeadDays(checkIn, bookedAt = new Date()) {
+  return Math.max(0, Math.round((startOfDay(checkIn) - startOfDay(bookedAt)) / DAY_MS));
+}
+
+/**
+ * Check whether a rule applies to a given night of a stay
+ * @param {Object} rule - PricingRule document (plain object)
+ * @param {Date} night - Night date (start of day)
+ * @param {Object} stay - { nights, leadDays }
+ * @returns {boolean}
+ */
+function ruleMatchesNight(rule, night, stay) {
+  switch (rule.ruleType) {
+    case 'seasonal':
+      return night >= startOfDay(rule.startDate) && night <= startOfDay(rule.endDate);
+    case 'day_of_week':
+      return (rule.daysOfWeek || []).includes(night.getDay());
+    case 'last_minute':
+      return stay.leadDays <= rule.maxLeadDays;
+    case 'early_bird':
+      return stay.leadDays >= rule.minLeadDays;
+    case 'length_of_stay':
+      return stay.nights >= rule.minNights && (!rule.maxNights || stay.nights <= rule.maxNights);
+    default:
+      return false;
+  }
+}
+
+// Highest priority first, then most recently updated; for length-of-stay the
+// most specific tier (largest minNights) wins among equal priorities
+function compareRules(a, b) {
+  if ((b.priority || 0) !== (a.priority || 0)) {
+    return (b.priority || 0) - (a.priority || 0);
+  }
+  if (a.ruleType === 'length_of_stay' && (b.minNights || 0) !== (a.minNights || 0)) {
+    return (b.minNights || 0) - (a.minNights || 0);
+  }
+  return new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0);
+}
+
+/**
+ * Apply one rule's adjustment to a nightly price
+ * @param {number} price - Current nightly price
+ * @param {Object} rule - Pricing rule
+ * @returns {number} Adjusted price (never below 0)
+ */
+function applyAdjustment(price, rule) {
+  let adjusted;
+  switch (rule.adjustmentType) {
+    case 'set_price':
+      adjusted = rule.adjustmentValue;
+      break;
+    case 'fixed':
+      adjusted = price + rule.adjustmentValue;
+      break;
+    case 'percentage':
+      adjusted = price * (1 + rule.adjustmentValue / 100);
+      break;
+    default:
+      adjusted = price;
+  }
+  return toTwoDecimals(Math.max(0, adjusted));
+}
+
+/**
+ * Build the per-night price list for a stay
+ * @param {Object} params
+ * @param {number} params.basePrice - Nightly base price
+ * @param {Date} params.checkIn - Check-in date
+ * @param {number} params.nights - Number of nights
+ * @param {Array} params.rules - Active pricing rules for the property
+ * @param {Date} params.bookedAt - When the booking is made (for lead-time rules)
+ * @returns {Array<Object>} [{ date, basePrice, price, adjustments }]
+ */
+function buildNightlyBreakdown({ basePrice, checkIn, nights, rules = [], bookedAt = new Date() }) {
+  const firstNight = startOfDay(checkIn);
+  const stay = { nights, leadDays: getLeadDays(checkIn, bookedAt) };
+  const rulesByType = {};
+  for (const type of RULE_APPLICATION_ORDER) {
+    rulesByType[type] = rules.filter(rule => rule.ruleType === type && rule.isActive !== false).sort(compareRules);
+  }
+
+  const breakdown = [];
+  for (let i = 0; i < nights; i++) {
+    const night = new Date(firstNight.getFullYear(), firstNight.getMonth(), firstNight.getDate() + i);
+    let price = toTwoDecimals(basePrice);
+    const adjustments = [];
+
+    for (const type of RULE_APPLICATION_ORDER) {
+      const rule = rulesByType[type].find(candidate => ruleMatchesNight(candidate, night, stay));
+      if (!rule) continue;
+
+      const adjusted = applyAdjustment(price, rule);
+      adjustments.push({
+        rule: rule._id,
+        name: rule.name,
+        ruleType: rule.ruleType,
+        adjustmentType: rule.adjustmentType,
+        adjustmentValue: rule.adjustmentValue,
+        amount: toTwoDecimals(adjusted - price)
+      });
+      price = adjusted;
+    }
+
+    breakdown.push({
+      date: night,
+      basePrice: toTwoDecimals(basePrice),
+      price,
+      adjustments
+    });
+  }
+
+  return breakdown;
+}
+
+/**
+ * Sum of nightly prices
+ * @param {Array<Object>} nightlyBreakdown - Output of buildNightlyBreakdown
+ * @returns {number}
+ */
+function sumNightlyPrices(nightlyBreakdown) {
+  return toTwoDecimals((nightlyBreakdown || []).reduce((total, night) => total + (night.price || 0), 0));
+}
+
+module.exports = {
+  RULE_APPLICATION_ORDER,
+  getLeadDays,
+  ruleMatchesNight,
+  applyAdjustment,
+  buildNightlyBreakdown,
+  sumNightlyPrices
+};
@@ -4,7 +4,12 @@
  */
 
 const PricingConfig = require('../models/PricingConfig');
+const PricingRule = require('../models/PricingRule');
+const Property = require('../models/Property');
+const HostPromotion = require('../models/HostPromotion');
 const { PRICING_CONFIG } = require('../config/pricing.config');
+const { buildNightlyBreakdown, sumNightlyPrices } = require('./pricingRules');
+const { pickBestPromotion } = require('./hostPromotions');
 
 /**
  * Round to two decimal places consistently
@@ -31,26 +36,65 @@ async function getCurrentPlatformFeeRate() {
 }
 
 /**
- * Get full current fee configuration (platform, GST, processing)
+ * Segment a booking falls in, for fee config resolution
+ * (host, city, state, property type and daily vs 24-hour)
+ * @param {Object} params - Pricing parameters (propertyId, bookingType, totalHours)
+ * @returns {Promise<Object>} Context for PricingConfig.resolveConfig
+ */
+async function getFeeContext(params = {}) {
+  if (!params.propertyId) {
+    return {};
+  }
+
+  const property = await Property.findById(params.propertyId)
+    .select('host type location.city location.state')
+    .lean();
+  if (!property) {
+    return {};
+  }
+
+  return {
+    host: property.host,
+    city: property.location?.city,
+    state: property.location?.state,
+    type: property.type,
+    bookingType: params.bookingType === '24hour' || params.totalHours ? '24hour' : 'daily'
+  };
+}
+
+/**
+ * Get the fee configuration for a booking (platform, GST, processing)
+ * - pricingConfigVersion (stored on an existing booking) is reused as-is so
+ *   re-validation doesn't drift when fees change after booking
+ * - otherwise the most specific config in force for the booking's segment
  * Falls back to defaults if DB is missing.
+ * @param {Object} params - Pricing parameters
+ * @returns {Promise<Object>} Fee rates with the config version used
  */
-async function getCurrentFeeConfig() {
+async function getCurrentFeeConfig(params = {}) {
   try {
-    const cfg = await PricingConfig.getCurrentPricingConfig();
-    return cfg;
+    if (params.pricingConfigVersion) {
+      const locked = await PricingConfig.getVersionConfig(params.pricingConfigVersion);
+      if (locked) {
+        return locked;
+      }
+    }
+    return await PricingConfig.resolveConfig(await getFeeContext(params), params.bookedAt || new Date());
   } catch (error) {
     console.error('❌ Error fetching pricing config:', error);
     return {
       platformFeeRate: PRICING_CONFIG.PLATFORM_FEE_RATE,
       gstRate: PRICING_CONFIG.GST_RATE,
       processingFeeRate: PRICING_CONFIG.PROCESSING_FEE_RATE,
-      processingFeeFixed: PRICING_CONFIG.PROCESSING_FEE_FIXED
+      processingFeeFixed: PRICING_CONFIG.PROCESSING_FEE_FIXED,
+      version: null
     };
   }
 }
 
 /**
- * Calculate 24-hour based pricing breakdown
+ * Calculate 24-hour based pricing breakdown. Host promotions are for daily
+ * stays only, so none is applied here.
  * @param {Object} params - Pricing parameters for 24-hour booking
  * @returns {Promise<Object>} Complete pricing breakdown
  */
@@ -68,8 +112,8 @@ async function calculate24HourPricing(params) {
     currency = 'INR'
   } = params;
 
-  // Get current fee config from database
-  const { platformFeeRate, gstRate, processingFeeRate, processingFeeFixed } = await getCurrentFeeConfig();
+  // Get the fee config for this booking's segment from database
+  const { platformFeeRate, gstRate, processingFeeRate, processingFeeFixed, version: pricingConfigVersion } = await getCurrentFeeConfig(params);
 
   // Base calculation for 24 hours
   let baseAmount = basePrice24Hour;
@@ -92,8 +136,11 @@ async function calculate24HourPricing(params) {
   // Add hourly extension
   const extensionCost = hourlyExtension || 0;
   
+  // A coupon cannot take more than the stay and host fees
+  const couponDiscount = Math.min(discountAmount, baseAmount + hostFees + extensionCost);
+  
   // Calculate subtotal for host earning (excluding security deposit)
-  const hostSubtotal = baseAmount + hostFees + extensionCost - discountAmount;
+  const hostSubtotal = baseAmount + hostFees + extensionCost - couponDiscount;
   
   // Calculate total subtotal (including security deposit for customer payment)
   const totalSubtotal = hostSubtotal + securityDeposit;
@@ -131,7 +178,7 @@ async function calculate24HourPricing(params) {
     
     // Extensions and discounts
     hourlyExtension: toTwoDecimals(extensionCost),
-    discountAmount: toTwoDecimals(discountAmount),
+    discountAmount: toTwoDecimals(couponDiscount),
     
     // Subtotal (before platform fee and taxes)
     subtotal: toTwoDecimals(totalSubtotal),
@@ -158,6 +205,9 @@ async function calculate24HourPricing(params) {
     processingFeeRate,
     processingFeeFixed,
     
+    // Fee config version used (recorded on the booking)
+    pricingConfigVersion,
+    
     // Breakdown for display
     breakdown: {
       // What customer sees
@@ -167,7 +217,7 @@ async function calculate24HourPricing(params) {
         serviceFee: toTwoDecimals(serviceFee),
         securityDeposit: toTwoDecimals(securityDeposit),
         hourlyExtension: toTwoDecimals(extensionCost),
-        discountAmount: toTwoDecimals(discountAmount),
+        discountAmount: toTwoDecimals(couponDiscount),
         subtotal: toTwoDecimals(totalSubtotal),
         platformFee: toTwoDecimals(platformFee),
         gst: toTwoDecimals(gst),
@@ -182,7 +232,7 @@ async function calculate24HourPricing(params) {
         serviceFee: toTwoDecimals(serviceFee),
         securityDeposit: toTwoDecimals(securityDeposit),
         hourlyExtension: toTwoDecimals(extensionCost),
-        discountAmount: toTwoDecimals(discountAmount),
+        discountAmount: toTwoDecimals(couponDiscount),
         subtotal: toTwoDecimals(hostSubtotal),
         platformFee: toTwoDecimals(platformFee),
         hostEarning: toTwoDecimals(hostEarning)
@@ -199,6 +249,79 @@ async function calculate24HourPricing(params) {
   };
 }
 
+/**
+ * Resolve per-night prices for a daily stay
+ * - nightlyRates (stored on an existing booking) are reused as-is so
+ *   re-validation doesn't drift when rules change after booking
+ * - otherwise the property's active pricing rules are applied night by night
+ * @param {Object} params - Pricing parameters
+ * @returns {Promise<Array|null>} Nightly breakdown, or null when check-in is unknown
+ */
+async function resolveNightlyBreakdown(params) {
+  const { basePrice, nights = 1, propertyId, checkIn, bookedAt, nightlyRates, pricingRules } = params;
+
+  if (Array.isArray(nightlyRates) && nightlyRates.length === nights && nights > 0) {
+    return nightlyRates.map(night => ({
+      date: night.date,
+      basePrice: night.basePrice,
+      price: night.price,
+      adjustments: night.adjustments || []
+    }));
+  }
+
+  if (!checkIn || !(nights > 0)) {
+    return null;
+  }
+
+  let rules = pricingRules;
+  if (!rules) {
+    rules = [];
+    if (propertyId) {
+      try {
+        rules = await PricingRule.getActiveRules(propertyId);
+      } catch (error) {
+        console.error('❌ Error fetching pricing rules, using base price:', error);
+      }
+    }
+  }
+
+  return buildNightlyBreakdown({
+    basePrice,
+    checkIn,
+    nights,
+    rules,
+    bookedAt: bookedAt || new Date()
+  });
+}
+
+/**
+ * Resolve the host promotion for a daily stay
+ * - hostPromotion (stored on an existing booking) is reused as-is, like
+ *   nightlyRates, so re-validation doesn't drift when promotions change
+ * - otherwise the property's best active promotion is applied
+ * @param {Object} params - Pricing parameters
+ * @param {Object} stay - { baseAmount, nightlyBreakdown }
+ * @returns {Promise<Object|null>} { promotion, name, discountType, discountValue, discountAmount }
+ */
+async function resolveHostPromotion(params, stay) {
+  const { nights = 1, propertyId, checkIn, bookedAt } = params;
+
+  if ('hostPromotion' in params) {
+    return params.hostPromotion?.discountAmount > 0 ? params.hostPromotion : null;
+  }
+  if (!propertyId || !(nights > 0)) {
+    return null;
+  }
+
+  try {
+    const promotions = await HostPromotion.getActivePromotions(propertyId, bookedAt || new Date());
+    return pickBestPromotion(promotions, { ...stay, checkIn, nights });
+  } catch (error) {
+    console.error('❌ Error fetching host promotions, pricing without them:', error);
+    return null;
+  }
+}
+
 /**
  * Calculate pricing breakdown with dynamic platform fee rate
  * @param {Object} params - Pricing parameters
@@ -226,11 +349,12 @@ async function calculatePricingBreakdown(params) {
     return await calculate24HourPricing(params);
   }
 
-  // Get current fee config from database
-  const { platformFeeRate, gstRate, processingFeeRate, processingFeeFixed } = await getCurrentFeeConfig();
+  // Get the fee config for this booking's segment from database
+  const { platformFeeRate, gstRate, processingFeeRate, processingFeeFixed, version: pricingConfigVersion } = await getCurrentFeeConfig(params);
 
-  // Calculate base amount
-  let baseAmount = basePrice * nights;
+  // Calculate base amount (night by night when host pricing rules can apply)
+  const nightlyBreakdown = await resolveNightlyBreakdown(params);
+  let baseAmount = nightlyBreakdown ? sumNightlyPrices(nightlyBreakdown) : basePrice * nights;
   
   // Add extra guest charges
   if (extraGuests > 0) {
@@ -243,15 +367,32 @@ async function calculatePricingBreakdown(params) {
   // Add hourly extension
   const extensionCost = hourlyExtension || 0;
   
+  // A coupon cannot take more than the stay and host fees
+  const couponDiscount = Math.min(discountAmount, baseAmount + hostFees + extensionCost);
+  
+  // Subtotal before the host promotion; the TripMe service fee is charged on it
+  // so the promotion comes out of the host's earning, not platform revenue
+  const feeSubtotal = baseAmount + hostFees + extensionCost - couponDiscount;
+  
+  // Calculate TripMe service fee (on host subtotal only, not security deposit)
+  const platformFee = toTwoDecimals(feeSubtotal * platformFeeRate);
+  
+  // Host promotion (at most one, discount on the stay itself). On top of a
+  // coupon it is capped at what the host still earns, so earnings never go negative
+  let hostPromotion = await resolveHostPromotion(params, { baseAmount, nightlyBreakdown });
+  const promotionDiscount = hostPromotion
+    ? toTwoDecimals(Math.max(0, Math.min(hostPromotion.discountAmount, baseAmount, feeSubtotal - platformFee)))
+    : 0;
+  if (hostPromotion && promotionDiscount < hostPromotion.discountAmount) {
+    hostPromotion = promotionDiscount > 0 ? { ...hostPromotion, discountAmount: promotionDiscount } : null;
+  }
+  
   // Calculate subtotal for host earning (excluding security deposit)
-  const hostSubtotal = baseAmount + hostFees + extensionCost - discountAmount;
+  const hostSubtotal = feeSubtotal - promotionDiscount;
   
   // Calculate total subtotal (including security deposit for customer payment)
   const totalSubtotal = hostSubtotal + securityDeposit;
   
-  // Calculate TripMe service fee (on host subtotal only, not security deposit)
-  const platformFee = toTwoDecimals(hostSubtotal * platformFeeRate);
-  
   // Calculate GST (configurable, on total subtotal including security deposit)
   const gst = toTwoDecimals(totalSubtotal * gstRate);
   
@@ -282,7 +423,8 @@ async function calculatePricingBreakdown(params) {
     
     // Extensions and discounts
     hourlyExtension: toTwoDecimals(extensionCost),
-    discountAmount: toTwoDecimals(discountAmount),
+    discountAmount: toTwoDecimals(couponDiscount),
+    promotionDiscount: toTwoDecimals(promotionDiscount),
     
     // Subtotal (before platform fee and taxes)
     subtotal: toTwoDecimals(totalSubtotal),
@@ -306,8 +448,23 @@ async function calculatePricingBreakdown(params) {
     // Rate used for calculation
     platformFeeRate: platformFeeRate,
     
+    // Fee config version used (recorded on the booking)
+    pricingConfigVersion,
+    
+    // Host promotion applied (null when none)
+    hostPromotion,
+    
+    // Per-night prices after host pricing rules (null without check-in date)
+    nightlyBreakdown,
+    
     // Breakdown for display
     breakdown: {
+      // Per-night prices (stored on the booking for refunds and modifications)
+      nightlyBreakdown: nightlyBreakdown || undefined,
+      
+      // Host promotion (stored on the booking for re-validation and budget tracking)
+      hostPromotion: hostPromotion || undefined,
+      
       // What customer sees
       customerBreakdown: {
         baseAmount: toTwoDecimals(baseAmount),
@@ -315,7 +472,8 @@ async function calculatePricingBreakdown(params) {
         serviceFee: toTwoDecimals(serviceFee),
         securityDeposit: toTwoDecimals(securityDeposit),
         hourlyExtension: toTwoDecimals(extensionCost),
-        discountAmount: toTwoDecimals(discountAmount),
+        discountAmount: toTwoDecimals(couponDiscount),
+        promotionDiscount: toTwoDecimals(promotionDiscount),
         subtotal: toTwoDecimals(totalSubtotal),
         platformFee: toTwoDecimals(platformFee),
         gst: toTwoDecimals(gst),
@@ -330,7 +488,9 @@ async function calculatePricingBreakdown(params) {
         serviceFee: toTwoDecimals(serviceFee),
         securityDeposit: toTwoDecimals(securityDeposit),
         hourlyExtension: toTwoDecimals(extensionCost),
-        discountAmount: toTwoDecimals(discountAmount),
+        discountAmount: toTwoDecimals(couponDiscount),
+        // Host promotion, paid for out of the host's earning
+        promotionDiscount: toTwoDecimals(promotionDiscount),
         subtotal: toTwoDecimals(hostSubtotal),
         platformFee: toTwoDecimals(platformFee),
         hostEarning: toTwoDecimals(hostEarning)
@@ -476,7 +636,11 @@ function validate24HourBooking(params) {
 module.exports = {
   toTwoDecimals,
   getCurrentPlatformFeeRate,
+  getFeeContext,
+  getCurrentFeeConfig,
   calculatePricingBreakdown,
+  resolveNightlyBreakdown,
+  resolveHostPromotion,
   calculate24HourPricing,
   calculateHourlyExtension,
   calculateTotalHours,
@@ -132,6 +132,85 @@ function calculateRefundBreakdown(booking, payment, refundType, customAmount = 0
   return refundBreakdown;
 }
 
+/**
+ * Calculate refund breakdown for nights that will not be stayed
+ * (early checkout or shortened stay), priced from the per-night breakdown
+ * stored on the booking so seasonal/weekend rates are refunded at the rate paid.
+ * Host fees (cleaning, service) and the processing fee are not refunded;
+ * the coupon and host promotion discounts are taken off in proportion.
+ * @param {Object} booking - Booking object with pricingBreakdown
+ * @param {Date} fromDate - First night given up
+ * @returns {Object} Refund breakdown (same shape as calculateRefundBreakdown, plus refundedNights)
+ */
+function calculateUnusedNightsRefund(booking, fromDate) {
+  const pricingBreakdown = booking.pricingBreakdown;
+
+  if (!pricingBreakdown || !pricingBreakdown.customerBreakdown) {
+    throw new Error('Pricing breakdown not found in booking');
+  }
+
+  const customerBreakdown = pricingBreakdown.customerBreakdown;
+  const hostBreakdown = pricingBreakdown.hostBreakdown || {};
+  const round = (value) => Math.round(value * 100) / 100;
+  const startOfDay = (date) => {
+    const d = new Date(date);
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  };
+
+  // Nightly prices stored at booking time; older bookings get an even split
+  let nights = (pricingBreakdown.nightlyBreakdown || []).map(night => ({
+    date: startOfDay(night.date),
+    price: night.price || 0
+  }));
+  if (nights.length === 0) {
+    const checkIn = startOfDay(booking.checkIn);
+    const count = Math.max(1, Math.round((startOfDay(booking.checkOut) - checkIn) / (24 * 60 * 60 * 1000)));
+    const evenPrice = (customerBreakdown.baseAmount || 0) / count;
+    nights = Array.from({ length: count }, (_, i) => ({
+      date: new Date(checkIn.getFullYear(), checkIn.getMonth(), checkIn.getDate() + i),
+      price: evenPrice
+    }));
+  }
+
+  // baseAmount also carries per-night extra guest charges
+  const nightlyTotal = nights.reduce((total, night) => total + night.price, 0);
+  const extraPerNight = Math.max(0, (customerBreakdown.baseAmount || 0) - nightlyTotal) / nights.length;
+
+  const firstUnused = startOfDay(fromDate);
+  const refundedNights = nights.filter(night => night.date >= firstUnused);
+  const baseAmount = round(refundedNights.reduce((total, night) => total + night.price + extraPerNight, 0));
+
+  // Discounts follow the nights they were given on
+  const share = customerBreakdown.baseAmount > 0 ? baseAmount / customerBreakdown.baseAmount : 0;
+  const discountAmount = round((customerBreakdown.discountAmount || 0) * share);
+  const promotionDiscount = round((customerBreakdown.promotionDiscount || 0) * share);
+  const subtotal = Math.max(0, round(baseAmount - discountAmount - promotionDiscount));
+
+  // The platform fee is charged before the host promotion
+  const feeSubtotal = (hostBreakdown.subtotal || customerBreakdown.subtotal || 0) + (customerBreakdown.promotionDiscount || 0);
+  const platformFee = feeSubtotal > 0 ? round((customerBreakdown.platformFee || 0) * (baseAmount - discountAmount) / feeSubtotal) : 0;
+  const gst = customerBreakdown.subtotal > 0 ? round((customerBreakdown.gst || 0) * subtotal / customerBreakdown.subtotal) : 0;
+
+  return {
+    baseAmount,
+    extraGuestCost: round(extraPerNight * refundedNights.length),
+    cleaningFee: 0,
+    serviceFee: 0,
+    securityDeposit: 0,
+    hourlyExtension: 0,
+    discountAmount,
+    promotionDiscount,
+    subtotal,
+    platformFee,
+    processingFee: 0,
+    gst,
+    totalAmount: round(subtotal + platformFee + gst),
+    hostEarning: round(subtotal - platformFee),
+    platformRevenue: platformFee,
+    refundedNights: refundedNights.map(night => ({ date: night.date, price: round(night.price + extraPerNight) }))
+  };
+}
+
 /**
  * Calculate refund amounts for different stakeholders
  * @param {Object} refundBreakdown - Refund breakdown object
@@ -166,8 +245,8 @@ function validateRefundRequest(booking, refundType, customAmount = 0) {
     errors.push('Cannot refund completed booking');
   }
 
-  // Check payment status
-  if (booking.paymentStatus !== 'paid') {
+  // Check payment status (payment plan bookings can be refunded once the deposit is paid)
+  if (booking.paymentStatus !== 'paid' && booking.paymentStatus !== 'partially_paid') {
     errors.push('Booking payment not completed');
   }
 
@@ -206,6 +285,7 @@ function validateRefundRequest(booking, refundType, customAmount = 0) {
 
 module.exports = {
   calculateRefundBreakdown,
+  calculateUnusedNightsRefund,
   calculateRefundAmounts,
   validateRefundRequest
 };
@@ -375,6 +375,61 @@ const emailTemplates = {
     `
   }),
 
+  balancePaymentReminder: (userName, balanceDetails) => ({
+    subject: 'Balance Payment Due - TripMe',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #f39c12;">Your Balance Payment Is Due</h2>
+        <p>Hello ${userName},</p>
+        <p>You paid a deposit for your stay at <strong>${balanceDetails.propertyName}</strong>. The remaining balance is due by <strong>${balanceDetails.dueDate}</strong>.</p>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <h3>Payment Details</h3>
+          <p><strong>Booking ID:</strong> ${balanceDetails.bookingId}</p>
+          <p><strong>Check-in:</strong> ${balanceDetails.checkIn}</p>
+          <p><strong>Total:</strong> ${balanceDetails.currency} ${balanceDetails.totalAmount}</p>
+          <p><strong>Paid so far:</strong> ${balanceDetails.currency} ${balanceDetails.amountPaid}</p>
+          <p><strong>Balance due:</strong> ${balanceDetails.currency} ${balanceDetails.balanceAmount}</p>
+        </div>
+        <div style="background-color: #fff3cd; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p style="margin: 0;">If the balance is not paid by the due date, the booking is cancelled and your deposit is refunded according to the ${balanceDetails.cancellationPolicy} cancellation policy.</p>
+        </div>
+        <p><a href="${balanceDetails.paymentLink}" style="background-color: #667eea; color: white; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Pay Balance</a></p>
+        <p>Best regards,<br>The TripMe Team</p>
+      </div>
+    `
+  }),
+
+  balanceUnpaidCancellation: (userName, cancellationDetails) => ({
+    subject: 'Booking Cancelled: Balance Not Paid - TripMe',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #e74c3c;">Booking Cancelled</h2>
+        <p>Hello ${userName},</p>
+        <p>The balance for your booking was not paid by ${cancellationDetails.dueDate}, so the booking has been cancelled.</p>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <h3>Booking Details</h3>
+          <p><strong>Property:</strong> ${cancellationDetails.propertyName}</p>
+          <p><strong>Booking ID:</strong> ${cancellationDetails.bookingId}</p>
+          <p><strong>Check-in:</strong> ${cancellationDetails.checkIn}</p>
+          <p><strong>Deposit paid:</strong> ${cancellationDetails.currency} ${cancellationDetails.amountPaid}</p>
+        </div>
+        ${cancellationDetails.refundAmount > 0 ? `
+        <div style="background-color: #d4edda; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <h3 style="color: #155724;">Refund Information</h3>
+          <p><strong>Refund Amount:</strong> ${cancellationDetails.currency} ${cancellationDetails.refundAmount}</p>
+          <p><em>Refunds typically take 5-7 business days to appear in your account.</em></p>
+        </div>
+        ` : `
+        <div style="background-color: #f8d7da; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p style="margin: 0;">Under the ${cancellationDetails.cancellationPolicy} cancellation policy, the deposit is not refundable.</p>
+        </div>
+        `}
+        <p>If you have any questions about this cancellation, please contact our support team.</p>
+        <p>Best regards,<br>The TripMe Team</p>
+      </div>
+    `
+  }),
+
   // Host Action Email Templates
   hostCancelledBooking: (userName, cancellationDetails) => ({
     subject: 'Booking Cancelled by Host - TripMe',
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30s step, 6 digits)
+// compatible with Google Authenticator, Authy, 1Password, etc.
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept one step of clock drift either side
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Base32 encode (RFC 4648, no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Base32 decode (ignores padding, spaces and case)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Generate a new random base32 secret (160 bits as recommended by RFC 4226)
+const generateTOTPSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// HOTP value for a given counter (RFC 4226)
+const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+// Current time step
+const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+};
+
+// Generate the TOTP code for a point in time
+const generateTOTP = (secret, timestamp = Date.now()) => {
+  return generateHOTP(secret, getTimeStep(timestamp));
+};
+
+// Verify a TOTP code. Returns the matched time step (so callers can reject
+// replays of the same code) or null if the code is invalid.
+const verifyTOTP = (secret, code, { timestamp = Date.now(), window = TOTP_WINDOW, lastUsedStep = null } = {}) => {
+  if (!secret || !code) return null;
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Provisioning URI for authenticator apps (rendered as a QR code by the frontend)
+const buildOtpAuthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || 'TripMe') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Backup codes: shown to the user once, stored only as hashes
+const generateBackupCodes = (count = 10) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+const hashBackupCode = (code) => {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Secrets are encrypted at rest with AES-256-GCM
+const getEncryptionKey = () => {
+  const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!keyMaterial) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+  }
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv.toString('hex'), tag.toString('hex'), encrypted.toString('hex')].join(':');
+};
+
+const decryptSecret = (payload) => {
+  if (!payload) return null;
+  const [ivHex, tagHex, dataHex] = payload.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(dataHex, 'hex')), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTOTPSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  getTimeStep,
+  buildOtpAuthUri,
+  generateBackupCodes,
+  hashBackupCode,
+  encryptSecret,
+  decryptSecret
+};
@@ -55,7 +55,19 @@ const validateRegistration = (req, res, next) => {
         'any.required': 'Terms acceptance is required'
       }),
     marketingConsent: Joi.boolean()
-      .default(false)
+      .default(false),
+    referralCode: Joi.string()
+      .trim()
+      .alphanum()
+      .max(20)
+      .allow('')
+      .optional()
+      .messages({
+        'string.alphanum': 'Referral code can only contain letters and numbers'
+      }),
+    deviceId: Joi.string()
+      .max(200)
+      .optional()
   });
 
   const { error } = schema.validate(req.body);
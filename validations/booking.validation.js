@@ -122,6 +122,14 @@ const validateBooking = (req, res, next) => {
       .messages({
         'string.max': 'Coupon code cannot exceed 20 characters'
       }),
+    // Further coupons to stack with couponCode
+    couponCodes: Joi.array()
+      .items(Joi.string().max(20))
+      .max(3)
+      .optional()
+      .messages({
+        'array.max': 'At most 3 coupons can be used on one booking'
+      }),
     agreeToTerms: Joi.boolean()
       .optional()
       .messages({
@@ -171,6 +179,27 @@ const validateBooking = (req, res, next) => {
         'string.base': 'Pricing token must be a string'
       }),
     paymentData: Joi.object({
+      // Gateway payment proof (any configured provider)
+      provider: Joi.string()
+        .optional()
+        .messages({
+          'string.base': 'Payment provider must be a string'
+        }),
+      orderId: Joi.string()
+        .optional()
+        .messages({
+          'string.base': 'Payment order ID must be a string'
+        }),
+      paymentId: Joi.string()
+        .optional()
+        .messages({
+          'string.base': 'Payment ID must be a string'
+        }),
+      signature: Joi.string()
+        .optional()
+        .messages({
+          'string.base': 'Payment signature must be a string'
+        }),
       // Razorpay payment fields
       razorpayOrderId: Joi.string()
         .optional()
@@ -247,6 +276,26 @@ const validateBooking = (req, res, next) => {
           'string.base': 'Client version must be a string'
         })
     }).optional().unknown(true), // Allow unknown fields in paymentData
+    guestCurrency: Joi.string()
+      .valid('INR', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD')
+      .optional()
+      .messages({
+        'any.only': 'Guest currency must be one of INR, USD, EUR, GBP, JPY, CAD, AUD'
+      }),
+    paymentOption: Joi.string()
+      .valid('full', 'deposit')
+      .optional()
+      .messages({
+        'any.only': 'Payment option must be either full or deposit'
+      }),
+    walletAmount: Joi.number()
+      .min(0)
+      .precision(2)
+      .optional()
+      .messages({
+        'number.base': 'Wallet amount must be a number',
+        'number.min': 'Wallet amount cannot be negative'
+      }),
     securityMetadata: Joi.object({
       userAgent: Joi.string()
         .optional()
@@ -524,6 +573,13 @@ const validatePriceCalculation = (req, res, next) => {
       .optional()
       .messages({
         'string.max': 'Coupon code cannot exceed 20 characters'
+      }),
+    couponCodes: Joi.array()
+      .items(Joi.string().max(20))
+      .max(3)
+      .optional()
+      .messages({
+        'array.max': 'At most 3 coupons can be used on one booking'
       })
   });
 
@@ -633,12 +689,205 @@ const validateBookingQuery = (req, res, next) => {
   next();
 };
 
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  });
+};
+
+// Booking modification (new dates and/or guests) validation
+const validateBookingModification = (req, res, next) => {
+  const schema = Joi.object({
+    checkIn: Joi.date()
+      .messages({
+        'date.base': 'Check-in date must be a valid date'
+      }),
+    checkOut: Joi.date()
+      .when('checkIn', {
+        is: Joi.exist(),
+        then: Joi.date().greater(Joi.ref('checkIn'))
+      })
+      .messages({
+        'date.base': 'Check-out date must be a valid date',
+        'date.greater': 'Check-out date must be after check-in date'
+      }),
+    guests: Joi.object({
+      adults: Joi.number().integer().min(1).max(20)
+        .messages({
+          'number.min': 'At least 1 adult is required',
+          'number.max': 'Maximum 20 adults allowed'
+        }),
+      children: Joi.number().integer().min(0).max(10)
+        .messages({
+          'number.min': 'Children count cannot be negative',
+          'number.max': 'Maximum 10 children allowed'
+        }),
+      infants: Joi.number().integer().min(0).max(5)
+        .messages({
+          'number.min': 'Infants count cannot be negative',
+          'number.max': 'Maximum 5 infants allowed'
+        })
+    }).min(1),
+    reason: Joi.string()
+      .trim()
+      .max(500)
+      .allow('')
+      .messages({
+        'string.max': 'Reason cannot exceed 500 characters'
+      })
+  }).or('checkIn', 'checkOut', 'guests').messages({
+    'object.missing': 'Provide new dates and/or guests'
+  });
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+// Accept/reject booking modification validation
+const validateModificationResponse = (req, res, next) => {
+  const schema = Joi.object({
+    message: Joi.string()
+      .trim()
+      .max(500)
+      .allow('')
+      .messages({
+        'string.max': 'Message cannot exceed 500 characters'
+      })
+  });
+
+  const { error, value } = schema.validate(req.body || {}, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+// Gateway payment proof for a second payment on an existing booking
+const paymentProofSchema = Joi.object({
+  // Generic gateway proof
+  provider: Joi.string().optional(),
+  orderId: Joi.string().optional(),
+  paymentId: Joi.string().optional(),
+  signature: Joi.string().optional(),
+  // Razorpay proof (older clients)
+  razorpayOrderId: Joi.string().optional(),
+  razorpayPaymentId: Joi.string().optional(),
+  razorpaySignature: Joi.string().optional()
+})
+  .or('orderId', 'razorpayOrderId')
+  .messages({ 'object.missing': 'Payment order ID is required' });
+
+// Booking modification price-difference payment validation
+const validateModificationPayment = (req, res, next) => {
+  const { error, value } = paymentProofSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+// Payment plan balance payment validation
+const validateBalancePayment = (req, res, next) => {
+  const { error, value } = paymentProofSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+// Host damage claim on the security deposit
+const validateDamageClaim = (req, res, next) => {
+  const schema = Joi.object({
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .required()
+      .messages({
+        'number.base': 'Claim amount must be a number',
+        'number.positive': 'Claim amount must be greater than zero',
+        'any.required': 'Claim amount is required'
+      }),
+    description: Joi.string()
+      .trim()
+      .min(10)
+      .max(2000)
+      .required()
+      .messages({
+        'string.min': 'Description must be at least 10 characters',
+        'string.max': 'Description cannot exceed 2000 characters',
+        'any.required': 'Description is required'
+      }),
+    // Photo URLs from /api/upload/images
+    photos: Joi.array()
+      .items(Joi.string().uri())
+      .min(1)
+      .max(10)
+      .required()
+      .messages({
+        'array.min': 'At least one photo of the damage is required',
+        'array.max': 'A claim can have at most 10 photos',
+        'string.uri': 'Photos must be uploaded image URLs',
+        'any.required': 'Photos of the damage are required'
+      })
+  });
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateDamageClaimResponse = (req, res, next) => {
+  const schema = Joi.object({
+    message: Joi.string()
+      .trim()
+      .max(1000)
+      .allow('')
+      .messages({
+        'string.max': 'Message cannot exceed 1000 characters'
+      })
+  });
+
+  const { error, value } = schema.validate(req.body || {}, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
 module.exports = {
   validateBooking,
   validateBookingUpdate,
   validateBookingStatusUpdate,
   validatePriceCalculation,
   validateApplyCoupon,
-  validateBookingQuery
+  validateBookingQuery,
+  validateBookingModification,
+  validateModificationResponse,
+  validateModificationPayment,
+  validateBalancePayment,
+  validateDamageClaim,
+  validateDamageClaimResponse
 }; 
 
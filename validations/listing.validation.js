@@ -173,6 +173,57 @@ const validateListing = (req, res, next) => {
 
    
     
+    instantBook: Joi.object({
+      enabled: Joi.boolean().optional(),
+      requireVerifiedGuests: Joi.boolean().optional(),
+      minCompletedStays: Joi.number()
+        .integer()
+        .min(0)
+        .max(50)
+        .optional()
+        .messages({
+          'number.min': 'Minimum completed stays cannot be negative',
+          'number.max': 'Minimum completed stays cannot exceed 50'
+        }),
+      minGuestReviews: Joi.number()
+        .integer()
+        .min(0)
+        .max(50)
+        .optional()
+        .messages({
+          'number.min': 'Minimum guest reviews cannot be negative',
+          'number.max': 'Minimum guest reviews cannot exceed 50'
+        })
+    }).optional(),
+    paymentPlan: Joi.object({
+      enabled: Joi.boolean().optional(),
+      depositPercentage: Joi.number()
+        .min(10)
+        .max(90)
+        .optional()
+        .messages({
+          'number.min': 'Deposit must be at least 10% of the total',
+          'number.max': 'Deposit cannot exceed 90% of the total'
+        }),
+      balanceDueDays: Joi.number()
+        .integer()
+        .min(1)
+        .max(180)
+        .optional()
+        .messages({
+          'number.min': 'Balance must be due at least 1 day before check-in',
+          'number.max': 'Balance cannot be due more than 180 days before check-in'
+        })
+    }).optional(),
+    bookingRequestExpiryHours: Joi.number()
+      .integer()
+      .min(1)
+      .max(168)
+      .optional()
+      .messages({
+        'number.min': 'Booking request expiry must be at least 1 hour',
+        'number.max': 'Booking request expiry cannot exceed 168 hours (7 days)'
+      }),
     hourlyBooking: Joi.object({
       enabled: Joi.boolean()
         .default(false)
@@ -760,6 +811,57 @@ const validateListingUpdate = (req, res, next) => {
     isSponsored: Joi.boolean().optional(),
     isTopRated: Joi.boolean().optional(),
     enable24HourBooking: Joi.boolean().optional(),
+    instantBook: Joi.object({
+      enabled: Joi.boolean().optional(),
+      requireVerifiedGuests: Joi.boolean().optional(),
+      minCompletedStays: Joi.number()
+        .integer()
+        .min(0)
+        .max(50)
+        .optional()
+        .messages({
+          'number.min': 'Minimum completed stays cannot be negative',
+          'number.max': 'Minimum completed stays cannot exceed 50'
+        }),
+      minGuestReviews: Joi.number()
+        .integer()
+        .min(0)
+        .max(50)
+        .optional()
+        .messages({
+          'number.min': 'Minimum guest reviews cannot be negative',
+          'number.max': 'Minimum guest reviews cannot exceed 50'
+        })
+    }).optional(),
+    paymentPlan: Joi.object({
+      enabled: Joi.boolean().optional(),
+      depositPercentage: Joi.number()
+        .min(10)
+        .max(90)
+        .optional()
+        .messages({
+          'number.min': 'Deposit must be at least 10% of the total',
+          'number.max': 'Deposit cannot exceed 90% of the total'
+        }),
+      balanceDueDays: Joi.number()
+        .integer()
+        .min(1)
+        .max(180)
+        .optional()
+        .messages({
+          'number.min': 'Balance must be due at least 1 day before check-in',
+          'number.max': 'Balance cannot be due more than 180 days before check-in'
+        })
+    }).optional(),
+    bookingRequestExpiryHours: Joi.number()
+      .integer()
+      .min(1)
+      .max(168)
+      .optional()
+      .messages({
+        'number.min': 'Booking request expiry must be at least 1 hour',
+        'number.max': 'Booking request expiry cannot exceed 168 hours (7 days)'
+      }),
     hourlyBooking: Joi.object({
       enabled: Joi.boolean()
         .optional()
@@ -0,0 +1,92 @@
+const Joi = require('joi');
+
+const messageFields = {
+  content: Joi.string()
+    .trim()
+    .max(1000)
+    .when('messageType', {
+      is: 'image',
+      then: Joi.optional().allow(''),
+      otherwise: Joi.required()
+    })
+    .messages({
+      'string.max': 'Message cannot exceed 1000 characters',
+      'string.empty': 'Message content is required',
+      'any.required': 'Message content is required'
+    }),
+  messageType: Joi.string()
+    .valid('text', 'image', 'link')
+    .default('text')
+    .messages({
+      'any.only': 'Message type must be one of: text, image, link'
+    }),
+  mediaUrl: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .when('messageType', {
+      is: Joi.valid('image', 'link'),
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+    .messages({
+      'string.uri': 'Media URL must be a valid http(s) URL',
+      'any.required': 'Media URL is required for image and link messages',
+      'any.unknown': 'Media URL is only allowed for image and link messages'
+    })
+};
+
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  });
+};
+
+// Start conversation validation
+const validateStartConversation = (req, res, next) => {
+  const schema = Joi.object({
+    listingId: Joi.string().hex().length(24),
+    serviceId: Joi.string().hex().length(24),
+    bookingId: Joi.string().hex().length(24),
+    // Optional first message
+    content: Joi.string().trim().max(1000).allow(''),
+    messageType: messageFields.messageType,
+    mediaUrl: messageFields.mediaUrl
+  })
+    .xor('listingId', 'serviceId', 'bookingId')
+    .messages({
+      'object.missing': 'One of listingId, serviceId or bookingId is required',
+      'object.xor': 'Provide only one of listingId, serviceId or bookingId',
+      'string.hex': 'IDs must be valid ObjectIds',
+      'string.length': 'IDs must be valid ObjectIds'
+    });
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+// Send message validation
+const validateMessage = (req, res, next) => {
+  const schema = Joi.object(messageFields);
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+module.exports = {
+  validateStartConversation,
+  validateMessage
+};
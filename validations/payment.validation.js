@@ -14,12 +14,22 @@ const validatePayment = Joi.object({
     'wallet', 
     'upi', 
     'net_banking'
-  ).required().messages({
+  ).when('savedMethodId', {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }).messages({
     'string.empty': 'Payment method is required',
     'any.only': 'Invalid payment method',
     'any.required': 'Payment method is required'
   }),
+  // Saved payment method to charge instead of a checkout proof
+  savedMethodId: Joi.string().hex().length(24).optional().messages({
+    'string.hex': 'Invalid saved payment method ID',
+    'string.length': 'Invalid saved payment method ID'
+  }),
   couponCode: Joi.string().optional().allow(''),
+  couponCodes: Joi.array().items(Joi.string().max(20)).max(3).optional(),
   ipAddress: Joi.string().ip().optional(),
   userAgent: Joi.string().optional(),
   // Security fields
@@ -28,6 +38,10 @@ const validatePayment = Joi.object({
     'any.required': 'Idempotency key is required'
   }),
   paymentData: Joi.object({
+    provider: Joi.string().optional(),
+    orderId: Joi.string().optional(),
+    paymentId: Joi.string().optional(),
+    signature: Joi.string().optional(),
     razorpayOrderId: Joi.string().optional(),
     razorpayPaymentId: Joi.string().optional(),
     razorpaySignature: Joi.string().optional(),
@@ -42,13 +56,14 @@ const validatePayment = Joi.object({
   }).optional().custom((value, helpers) => {
     if (!value) return value;
     const hasRazorpayProof = !!(value.razorpayOrderId && value.razorpayPaymentId && value.razorpaySignature);
+    const hasGatewayProof = !!(value.orderId || value.paymentId);
     const hasAmountBundle = value.amount != null && value.subtotal != null;
-    if (!hasRazorpayProof && !hasAmountBundle) {
+    if (!hasRazorpayProof && !hasGatewayProof && !hasAmountBundle) {
       return helpers.error('any.invalid');
     }
     return value;
-  }, 'Razorpay proof or pricing bundle validation').messages({
-    'any.invalid': 'paymentData must include Razorpay proof fields or amount+subtotal'
+  }, 'Gateway proof or pricing bundle validation').messages({
+    'any.invalid': 'paymentData must include payment proof fields or amount+subtotal'
   }),
   securityMetadata: Joi.object({
     userAgent: Joi.string().optional(),
@@ -86,6 +101,9 @@ const validateRefund = Joi.object({
     'any.only': 'Invalid refund type',
     'any.required': 'Refund type is required'
   }),
+  refundMethod: Joi.string().valid('original_payment_method', 'wallet_credit').optional().messages({
+    'any.only': 'Refund method must be original_payment_method or wallet_credit'
+  }),
   userNotes: Joi.string().max(500).optional().allow(''),
   adminNotes: Joi.string().max(500).optional().allow('')
 });
@@ -222,16 +240,39 @@ const validateBulkPayout = Joi.object({
   notes: Joi.string().max(500).optional().allow('')
 });
 
-// Payment method validation
+// Start saving a payment method
+const validatePaymentMethodSetup = Joi.object({
+  provider: Joi.string().lowercase().optional(),
+  currency: Joi.string().uppercase().length(3).optional(),
+  // Mock gateway only: the test card or VPA its save form "collects"
+  testInstrument: Joi.object({
+    type: Joi.string().valid('card', 'upi').optional(),
+    brand: Joi.string().optional(),
+    funding: Joi.string().valid('credit', 'debit', 'prepaid').optional(),
+    last4: Joi.string().pattern(/^\d{4}$/).optional(),
+    expMonth: Joi.number().integer().min(1).max(12).optional(),
+    expYear: Joi.number().integer().min(2000).optional(),
+    vpa: Joi.string().pattern(/^[\w.-]+@[\w.-]+$/).optional()
+  }).optional()
+});
+
+// Save a payment method from its gateway token
 const validatePaymentMethod = Joi.object({
-  type: Joi.string().valid('card', 'upi', 'wallet', 'net_banking').required(),
-  details: Joi.object().required(),
-  isDefault: Joi.boolean().default(false)
+  provider: Joi.string().lowercase().optional(),
+  token: Joi.string().required().messages({
+    'string.empty': 'Payment method token is required',
+    'any.required': 'Payment method token is required'
+  }),
+  nickname: Joi.string().trim().max(50).optional().allow(''),
+  isDefault: Joi.boolean().optional()
 });
 
-// Payment method update validation
+// Rename a saved payment method or make it the default
 const validatePaymentMethodUpdate = Joi.object({
-  details: Joi.object().required()
+  nickname: Joi.string().trim().max(50).optional().allow(''),
+  isDefault: Joi.boolean().optional()
+}).min(1).messages({
+  'object.min': 'Provide a nickname or isDefault'
 });
 
 module.exports = {
@@ -242,6 +283,7 @@ module.exports = {
   validateAdminPayout,
   validatePayoutReversal,
   validateBulkPayout,
+  validatePaymentMethodSetup,
   validatePaymentMethod,
   validatePaymentMethodUpdate
 }; 
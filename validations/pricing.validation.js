@@ -0,0 +1,191 @@
+const Joi = require('joi');
+
+const RULE_TYPES = ['seasonal', 'day_of_week', 'last_minute', 'early_bird', 'length_of_stay'];
+
+const ruleFields = {
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .messages({
+      'string.max': 'Rule name cannot exceed 100 characters'
+    }),
+  ruleType: Joi.string()
+    .valid(...RULE_TYPES)
+    .messages({
+      'any.only': `Rule type must be one of: ${RULE_TYPES.join(', ')}`
+    }),
+  adjustmentType: Joi.string()
+    .valid('percentage', 'fixed', 'set_price')
+    .messages({
+      'any.only': 'Adjustment type must be one of: percentage, fixed, set_price'
+    }),
+  adjustmentValue: Joi.number()
+    .messages({
+      'number.base': 'Adjustment value must be a number'
+    }),
+  priority: Joi.number().integer(),
+  isActive: Joi.boolean(),
+  startDate: Joi.date(),
+  endDate: Joi.date()
+    .when('startDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('startDate'))
+    })
+    .messages({
+      'date.min': 'End date must be on or after start date'
+    }),
+  daysOfWeek: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .unique()
+    .messages({
+      'number.min': 'Days of week must be between 0 (Sunday) and 6 (Saturday)',
+      'number.max': 'Days of week must be between 0 (Sunday) and 6 (Saturday)'
+    }),
+  maxLeadDays: Joi.number().integer().min(0),
+  minLeadDays: Joi.number().integer().min(0),
+  minNights: Joi.number().integer().min(1),
+  maxNights: Joi.number().integer().min(1)
+};
+
+const promotionFields = {
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .messages({
+      'string.max': 'Promotion name cannot exceed 100 characters'
+    }),
+  properties: Joi.array()
+    .items(Joi.string().hex().length(24))
+    .min(1)
+    .unique()
+    .messages({
+      'array.min': 'A promotion needs at least one property',
+      'string.hex': 'Invalid property ID',
+      'string.length': 'Invalid property ID'
+    }),
+  discountType: Joi.string()
+    .valid('percentage', 'fixed')
+    .messages({
+      'any.only': 'Discount type must be percentage or fixed'
+    }),
+  discountValue: Joi.number()
+    .positive()
+    .when('discountType', {
+      is: 'percentage',
+      then: Joi.number().max(100)
+    })
+    .messages({
+      'number.positive': 'Discount must be greater than 0',
+      'number.max': 'Percentage discount cannot exceed 100%'
+    }),
+  maxDiscount: Joi.number().positive().allow(null),
+  stayStartDate: Joi.date().allow(null),
+  stayEndDate: Joi.date()
+    .allow(null)
+    .when('stayStartDate', {
+      is: Joi.date().required(),
+      then: Joi.date().min(Joi.ref('stayStartDate'))
+    })
+    .messages({
+      'date.min': 'Stay end date must be on or after the stay start date'
+    }),
+  bookingStartDate: Joi.date().allow(null),
+  bookingEndDate: Joi.date()
+    .allow(null)
+    .when('bookingStartDate', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('bookingStartDate'))
+    })
+    .messages({
+      'date.greater': 'Booking end date must be after the booking start date'
+    }),
+  minNights: Joi.number().integer().min(1).allow(null),
+  budget: Joi.number().positive().allow(null),
+  isActive: Joi.boolean()
+};
+
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  });
+};
+
+// Create pricing rule validation (type-specific fields are checked by the model)
+const validatePricingRule = (req, res, next) => {
+  const schema = Joi.object({
+    ...ruleFields,
+    name: ruleFields.name.required().messages({ 'any.required': 'Rule name is required' }),
+    ruleType: ruleFields.ruleType.required().messages({ 'any.required': 'Rule type is required' }),
+    adjustmentType: ruleFields.adjustmentType.required().messages({ 'any.required': 'Adjustment type is required' }),
+    adjustmentValue: ruleFields.adjustmentValue.required().messages({ 'any.required': 'Adjustment value is required' })
+  });
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+// Update pricing rule validation
+const validatePricingRuleUpdate = (req, res, next) => {
+  const schema = Joi.object(ruleFields).min(1).messages({
+    'object.min': 'At least one field is required'
+  });
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+// Create host promotion validation
+const validateHostPromotion = (req, res, next) => {
+  const schema = Joi.object({
+    ...promotionFields,
+    name: promotionFields.name.required().messages({ 'any.required': 'Promotion name is required' }),
+    properties: promotionFields.properties.required().messages({ 'any.required': 'Properties are required' }),
+    discountType: promotionFields.discountType.required().messages({ 'any.required': 'Discount type is required' }),
+    discountValue: promotionFields.discountValue.required().messages({ 'any.required': 'Discount value is required' })
+  });
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+// Update host promotion validation
+const validateHostPromotionUpdate = (req, res, next) => {
+  const schema = Joi.object(promotionFields).min(1).messages({
+    'object.min': 'At least one field is required'
+  });
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  req.body = value;
+  next();
+};
+
+module.exports = {
+  validatePricingRule,
+  validatePricingRuleUpdate,
+  validateHostPromotion,
+  validateHostPromotionUpdate
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { GST_STATES, GSTIN_PATTERN } = require('../utils/gstStates');
 
 // Update user profile validation
 const validateUpdateProfile = (req, res, next) => {
@@ -22,7 +23,16 @@ const validateUpdateProfile = (req, res, next) => {
       state: Joi.string().optional().allow(''),
       country: Joi.string().optional().allow('')
     }).optional(),
-    profileImage: Joi.string().uri().optional().allow('')
+    profileImage: Joi.string().uri().optional().allow(''),
+    preferredCurrency: Joi.string().valid('INR', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD').optional(),
+    taxProfile: Joi.object({
+      gstin: Joi.string().uppercase().pattern(GSTIN_PATTERN).allow('', null).messages({
+        'string.pattern.base': 'Please enter a valid GSTIN'
+      }),
+      legalName: Joi.string().max(200).allow(''),
+      stateCode: Joi.string().valid(...Object.keys(GST_STATES)).allow(''),
+      address: Joi.string().max(500).allow('')
+    }).optional()
   });
 
   const { error } = schema.validate(req.body);